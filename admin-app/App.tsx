@@ -5,6 +5,7 @@ import * as Notifications from 'expo-notifications';
 import * as Device from 'expo-device';
 import { supabase } from './src/services/supabaseClient';
 import AppNavigator from './src/navigation/AppNavigator';
+import RiderNavigator from './src/navigation/RiderNavigator';
 import LoginScreen from './src/screens/LoginScreen';
 import { registerForPushNotificationsAsync } from './src/services/notificationService';
 import Toast from 'react-native-toast-message'; // Import Toast
@@ -19,6 +20,7 @@ Notifications.setNotificationHandler({
 
 export default function App() {
   const [userId, setUserId] = useState<string | null>(null);
+  const [userRole, setUserRole] = useState<string | null>(null);
   const [loading, setLoading] = useState(true);
 
   useEffect(() => {
@@ -27,6 +29,7 @@ export default function App() {
       const { data } = await supabase.auth.getSession();
       if (data.session && data.session.user) {
         setUserId(data.session.user.id);
+        setUserRole(data.session.user.app_metadata?.user_role ?? null);
       }
       setLoading(false);
     };
@@ -35,8 +38,10 @@ export default function App() {
     const { data: listener } = supabase.auth.onAuthStateChange((_event, session) => {
       if (session && session.user) {
         setUserId(session.user.id);
+        setUserRole(session.user.app_metadata?.user_role ?? null);
       } else {
         setUserId(null);
+        setUserRole(null);
       }
     });
     return () => {
@@ -60,6 +65,15 @@ export default function App() {
     );
   }
 
+  if (userRole === 'RIDER') {
+    return (
+      <>
+        <RiderNavigator onLogout={() => setUserId(null)} />
+        <Toast />
+      </>
+    );
+  }
+
   return (
     <>
       <AppNavigator onLogout={() => setUserId(null)} />
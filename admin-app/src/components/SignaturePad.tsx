@@ -0,0 +1,115 @@
+import { useRef, useState } from 'react';
+import { View, Text, TouchableOpacity, StyleSheet, PanResponder, LayoutChangeEvent } from 'react-native';
+import Svg, { Path } from 'react-native-svg';
+import { colors, spacing, typography } from '../theme';
+
+type Point = { x: number; y: number };
+
+const toPathData = (stroke: Point[]) =>
+  stroke.map((point, index) => `${index === 0 ? 'M' : 'L'}${point.x.toFixed(1)} ${point.y.toFixed(1)}`).join(' ');
+
+/** The strokes as a standalone SVG document, for uploading as proof of delivery. */
+export const signatureToSvg = (strokes: Point[][], width: number, height: number) =>
+  `<svg xmlns="http://www.w3.org/2000/svg" width="${Math.round(width)}" height="${Math.round(height)}" viewBox="0 0 ${Math.round(width)} ${Math.round(height)}">` +
+  '<rect width="100%" height="100%" fill="#fff"/>' +
+  strokes
+    .filter(stroke => stroke.length > 1)
+    .map(stroke => `<path d="${toPathData(stroke)}" fill="none" stroke="#000" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round"/>`)
+    .join('') +
+  '</svg>';
+
+interface SignaturePadProps {
+  /** Called with the signature as SVG markup after each stroke, or null once cleared. */
+  onChange: (svg: string | null) => void;
+}
+
+export default function SignaturePad({ onChange }: SignaturePadProps) {
+  const [strokes, setStrokes] = useState<Point[][]>([]);
+  const strokesRef = useRef<Point[][]>([]);
+  const sizeRef = useRef({ width: 0, height: 0 });
+
+  const update = (next: Point[][]) => {
+    strokesRef.current = next;
+    setStrokes(next);
+  };
+
+  const panResponder = useRef(
+    PanResponder.create({
+      onStartShouldSetPanResponder: () => true,
+      onMoveShouldSetPanResponder: () => true,
+      // Keep the stroke when the pad sits inside a ScrollView
+      onPanResponderTerminationRequest: () => false,
+      onPanResponderGrant: event => {
+        const { locationX, locationY } = event.nativeEvent;
+        update([...strokesRef.current, [{ x: locationX, y: locationY }]]);
+      },
+      onPanResponderMove: event => {
+        const { locationX, locationY } = event.nativeEvent;
+        const current = strokesRef.current;
+        const last = current[current.length - 1] || [];
+        update([...current.slice(0, -1), [...last, { x: locationX, y: locationY }]]);
+      },
+      onPanResponderRelease: () => {
+        const { width, height } = sizeRef.current;
+        onChange(signatureToSvg(strokesRef.current, width, height));
+      },
+    })
+  ).current;
+
+  const handleLayout = (event: LayoutChangeEvent) => {
+    const { width, height } = event.nativeEvent.layout;
+    sizeRef.current = { width, height };
+  };
+
+  const clear = () => {
+    update([]);
+    onChange(null);
+  };
+
+  return (
+    <View>
+      <View style={styles.pad} onLayout={handleLayout} {...panResponder.panHandlers}>
+        <Svg width="100%" height="100%">
+          {strokes.map((stroke, index) => (
+            <Path
+              key={index}
+              d={toPathData(stroke)}
+              fill="none"
+              stroke={colors.textPrimary}
+              strokeWidth={2.5}
+              strokeLinecap="round"
+              strokeLinejoin="round"
+            />
+          ))}
+        </Svg>
+        {strokes.length === 0 && (
+          <View style={styles.placeholder} pointerEvents="none">
+            <Text style={styles.placeholderText}>Customer signs here</Text>
+          </View>
+        )}
+      </View>
+      <TouchableOpacity onPress={clear} style={styles.clearButton}>
+        <Text style={styles.clearText}>Clear</Text>
+      </TouchableOpacity>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  pad: {
+    height: 180,
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: 8,
+    backgroundColor: colors.white,
+    overflow: 'hidden',
+  },
+  placeholder: {
+    position: 'absolute',
+    alignSelf: 'center',
+    top: 80,
+  },
+  placeholderText: { color: colors.textSecondary, fontSize: typography.fontSizeSm },
+  clearButton: { alignSelf: 'flex-end', paddingVertical: spacing.xs, paddingHorizontal: spacing.sm, marginTop: spacing.xs },
+  clearText: { color: colors.textSecondary, fontSize: typography.fontSizeSm },
+});
@@ -8,7 +8,7 @@ export type User = {
   id: string;
   name: string | null;
   email: string | null;
-  role: 'ADMIN' | 'USER' | string | null; // Allow for other roles or null
+  role: 'ADMIN' | 'USER' | 'RIDER' | string | null; // Allow for other roles or null
   // Add other relevant fields like createdAt if needed
 };
 
@@ -33,6 +33,8 @@ const getRoleBadgeStyle = (role: string | null) => {
       return { backgroundColor: colors.primaryMuted, textColor: colors.primary };
     case 'USER':
       return { backgroundColor: colors.successMuted, textColor: colors.success };
+    case 'RIDER':
+      return { backgroundColor: colors.infoBg, textColor: colors.info };
     default:
       return { backgroundColor: colors.greyMuted, textColor: colors.textSecondary };
   }
@@ -0,0 +1,29 @@
+import { NavigationContainer } from '@react-navigation/native';
+import { createNativeStackNavigator } from '@react-navigation/native-stack';
+import RiderDeliveriesScreen from '../screens/RiderDeliveriesScreen';
+import RiderDeliveryScreen from '../screens/RiderDeliveryScreen';
+
+export type RiderStackParamList = {
+  RiderDeliveries: undefined;
+  RiderDelivery: { deliveryId: string };
+};
+
+const RiderStack = createNativeStackNavigator<RiderStackParamList>();
+
+// Riders (app_metadata.user_role = 'RIDER') only see their own deliveries
+export default function RiderNavigator({ onLogout }: { onLogout: () => void }) {
+  return (
+    <NavigationContainer>
+      <RiderStack.Navigator screenOptions={{ headerShown: false }}>
+        <RiderStack.Screen name="RiderDeliveries">
+          {props => <RiderDeliveriesScreen {...props} onLogout={onLogout} />}
+        </RiderStack.Screen>
+        <RiderStack.Screen
+          name="RiderDelivery"
+          component={RiderDeliveryScreen}
+          options={{ headerShown: true, title: 'Delivery' }}
+        />
+      </RiderStack.Navigator>
+    </NavigationContainer>
+  );
+}
@@ -37,6 +37,32 @@ type Category = {
   name: string;
 };
 
+// A row of product_variants as edited here. Prices/stock are kept as text while typing.
+// Variant images are linked from the web admin, which works with storage paths.
+type VariantDraft = {
+  id: string | null;
+  size: string;
+  color: string;
+  sku: string;
+  barcode: string;
+  price: string;
+  stock: string;
+  isActive: boolean;
+};
+
+const emptyVariant = (): VariantDraft => ({
+  id: null,
+  size: '',
+  color: '',
+  sku: '',
+  barcode: '',
+  price: '',
+  stock: '0',
+  isActive: true,
+});
+
+const cleanText = (value: string) => value.trim() || null;
+
 export default function AddEditProductScreen({ route, navigation }: any) {
   const product = route.params?.product;
   const isEdit = !!product;
@@ -52,6 +78,8 @@ export default function AddEditProductScreen({ route, navigation }: any) {
   const [imageFiles, setImageFiles] = useState<ImagePicker.ImagePickerAsset[]>([]);
   const [loading, setLoading] = useState(false);
   const [loadingCategories, setLoadingCategories] = useState(true);
+  const [variants, setVariants] = useState<VariantDraft[]>([]);
+  const [loadedVariantIds, setLoadedVariantIds] = useState<string[]>([]);
 
   useEffect(() => {
     navigation.setOptions({
@@ -73,7 +101,84 @@ export default function AddEditProductScreen({ route, navigation }: any) {
         </TouchableOpacity>
       ),
     });
-  }, [navigation, isEdit, loading, name, description, price, stock, isActive, categoryId, images]);
+  }, [navigation, isEdit, loading, name, description, price, stock, isActive, categoryId, images, variants]);
+
+  useEffect(() => {
+    if (!product?.id) return;
+    const fetchVariants = async () => {
+      const { data, error } = await supabase
+        .from('product_variants')
+        .select('id, size, color, sku, barcode, price, stock_quantity, is_active')
+        .eq('product_id', product.id)
+        .order('position');
+      if (error) {
+        console.error('Error fetching variants:', error);
+        Toast.show({ type: 'error', text1: 'Error', text2: 'Could not load product variants.' });
+        return;
+      }
+      setLoadedVariantIds((data || []).map((v: any) => v.id));
+      setVariants((data || []).map((v: any) => ({
+        id: v.id,
+        size: v.size || '',
+        color: v.color || '',
+        sku: v.sku || '',
+        barcode: v.barcode || '',
+        price: v.price != null ? String(v.price) : '',
+        stock: String(v.stock_quantity ?? 0),
+        isActive: v.is_active !== false,
+      })));
+    };
+    fetchVariants();
+  }, [product?.id]);
+
+  const updateVariant = (index: number, changes: Partial<VariantDraft>) => {
+    setVariants(prev => prev.map((variant, i) => (i === index ? { ...variant, ...changes } : variant)));
+  };
+
+  const addVariant = () => {
+    LayoutAnimation.configureNext(LayoutAnimation.Presets.easeInEaseOut);
+    setVariants(prev => [...prev, emptyVariant()]);
+  };
+
+  const removeVariant = (index: number) => {
+    LayoutAnimation.configureNext(LayoutAnimation.Presets.easeInEaseOut);
+    setVariants(prev => prev.filter((_, i) => i !== index));
+  };
+
+  // Writes the variant rows for a saved product; stock and has_variants on the product follow
+  // through the database trigger
+  const saveVariants = async (productId: string) => {
+    const keptIds = variants.map(v => v.id).filter(Boolean) as string[];
+    const removedIds = loadedVariantIds.filter(id => !keptIds.includes(id));
+    if (removedIds.length > 0) {
+      const { error } = await supabase.from('product_variants').delete().in('id', removedIds);
+      if (error) throw error;
+    }
+    const now = new Date().toISOString();
+    const rows = variants.map((variant, index) => ({
+      ...(variant.id ? { id: variant.id } : {}),
+      product_id: productId,
+      size: cleanText(variant.size),
+      color: cleanText(variant.color),
+      sku: cleanText(variant.sku),
+      barcode: cleanText(variant.barcode),
+      price: variant.price.trim() ? parseFloat(variant.price) : null,
+      stock_quantity: parseInt(variant.stock) || 0,
+      is_active: variant.isActive,
+      position: index,
+      updated_at: now,
+    }));
+    const updates = rows.filter(row => 'id' in row);
+    const inserts = rows.filter(row => !('id' in row));
+    if (updates.length > 0) {
+      const { error } = await supabase.from('product_variants').upsert(updates);
+      if (error) throw error;
+    }
+    if (inserts.length > 0) {
+      const { error } = await supabase.from('product_variants').insert(inserts);
+      if (error) throw error;
+    }
+  };
 
   useEffect(() => {
     const fetchCategories = async () => {
@@ -223,6 +328,15 @@ export default function AddEditProductScreen({ route, navigation }: any) {
       return;
     }
 
+    if (variants.some(v => !v.size.trim() && !v.color.trim())) {
+      Toast.show({
+        type: 'error',
+        text1: 'Incomplete Variant',
+        text2: 'Every variant needs a size or a color.',
+      });
+      return;
+    }
+
     setLoading(true);
 
     try {
@@ -242,15 +356,18 @@ export default function AddEditProductScreen({ route, navigation }: any) {
         return;
       }
 
-      const payload = {
+      const payload: Record<string, any> = {
         name: name.trim(),
         description: description?.trim(),
         price: parseFloat(price),
-        stock_quantity: parseInt(stock) || 0,
         is_active: isActive,
         categoryId: categoryId,
         images: finalImageUrls,
       };
+      // With variants the product's stock is the sum of theirs
+      if (variants.length === 0) {
+        payload.stock_quantity = parseInt(stock) || 0;
+      }
 
       let result;
       if (isEdit && product?.id) {
@@ -262,6 +379,10 @@ export default function AddEditProductScreen({ route, navigation }: any) {
       if (result.error) {
         throw result.error;
       }
+      const savedProductId = isEdit ? product.id : result.data?.[0]?.id;
+      if (savedProductId && (variants.length > 0 || loadedVariantIds.length > 0)) {
+        await saveVariants(savedProductId);
+      }
 
       Toast.show({
         type: 'success',
@@ -343,19 +464,119 @@ export default function AddEditProductScreen({ route, navigation }: any) {
           <View style={styles.spacer} />
           <View style={[styles.inputGroup, styles.flexInput]}>
             <Text style={styles.label}>Stock Quantity</Text>
-            <TextInput
-              style={styles.input}
-              placeholder="e.g., 100"
-              placeholderTextColor={colors.textSecondary}
-              value={stock}
-              onChangeText={setStock}
-              keyboardType="number-pad"
-              editable={!loading}
-            />
+            {variants.length > 0 ? (
+              <Text style={styles.variantHint}>
+                {variants.filter(v => v.isActive).reduce((sum, v) => sum + (parseInt(v.stock) || 0), 0)} across variants
+              </Text>
+            ) : (
+              <TextInput
+                style={styles.input}
+                placeholder="e.g., 100"
+                placeholderTextColor={colors.textSecondary}
+                value={stock}
+                onChangeText={setStock}
+                keyboardType="number-pad"
+                editable={!loading}
+              />
+            )}
           </View>
         </View>
         <View style={styles.sectionDivider} />
 
+        {/* Variants */}
+        <View style={styles.inputGroup}>
+          <Text style={styles.label}>Variants</Text>
+          <Text style={styles.variantHint}>
+            Sizes and colors shoppers pick from. Leave the price empty to use the product price.
+          </Text>
+          {variants.map((variant, index) => (
+            <View key={variant.id || `new-${index}`} style={styles.variantCard}>
+              <View style={styles.row}>
+                <TextInput
+                  style={[styles.input, styles.flexInput]}
+                  placeholder="Size"
+                  placeholderTextColor={colors.textSecondary}
+                  value={variant.size}
+                  onChangeText={(text) => updateVariant(index, { size: text })}
+                  editable={!loading}
+                />
+                <View style={styles.spacer} />
+                <TextInput
+                  style={[styles.input, styles.flexInput]}
+                  placeholder="Color"
+                  placeholderTextColor={colors.textSecondary}
+                  value={variant.color}
+                  onChangeText={(text) => updateVariant(index, { color: text })}
+                  editable={!loading}
+                />
+              </View>
+              <View style={[styles.row, styles.variantRow]}>
+                <TextInput
+                  style={[styles.input, styles.flexInput]}
+                  placeholder="SKU"
+                  placeholderTextColor={colors.textSecondary}
+                  value={variant.sku}
+                  onChangeText={(text) => updateVariant(index, { sku: text })}
+                  autoCapitalize="characters"
+                  editable={!loading}
+                />
+                <View style={styles.spacer} />
+                <TextInput
+                  style={[styles.input, styles.flexInput]}
+                  placeholder="Barcode"
+                  placeholderTextColor={colors.textSecondary}
+                  value={variant.barcode}
+                  onChangeText={(text) => updateVariant(index, { barcode: text })}
+                  keyboardType="number-pad"
+                  editable={!loading}
+                />
+              </View>
+              <View style={[styles.row, styles.variantRow]}>
+                <TextInput
+                  style={[styles.input, styles.flexInput]}
+                  placeholder="Price"
+                  placeholderTextColor={colors.textSecondary}
+                  value={variant.price}
+                  onChangeText={(text) => updateVariant(index, { price: text })}
+                  keyboardType="decimal-pad"
+                  editable={!loading}
+                />
+                <View style={styles.spacer} />
+                <TextInput
+                  style={[styles.input, styles.flexInput]}
+                  placeholder="Stock"
+                  placeholderTextColor={colors.textSecondary}
+                  value={variant.stock}
+                  onChangeText={(text) => updateVariant(index, { stock: text })}
+                  keyboardType="number-pad"
+                  editable={!loading}
+                />
+              </View>
+              <View style={styles.variantFooter}>
+                <View style={styles.variantActive}>
+                  <Switch
+                    trackColor={{ false: colors.border, true: fadedPrimary }}
+                    thumbColor={variant.isActive ? colors.primary : colors.cardBackground}
+                    ios_backgroundColor={colors.border}
+                    onValueChange={(value) => updateVariant(index, { isActive: value })}
+                    value={variant.isActive}
+                    disabled={loading}
+                  />
+                  <Text style={styles.variantHint}>Active</Text>
+                </View>
+                <TouchableOpacity onPress={() => removeVariant(index)} disabled={loading}>
+                  <MaterialIcons name="delete-outline" size={22} color={colors.error} />
+                </TouchableOpacity>
+              </View>
+            </View>
+          ))}
+          <TouchableOpacity style={styles.addVariantButton} onPress={addVariant} disabled={loading}>
+            <MaterialIcons name="add" size={20} color={colors.primary} />
+            <Text style={styles.addImageText}>Add variant</Text>
+          </TouchableOpacity>
+        </View>
+        <View style={styles.sectionDivider} />
+
         {/* Category Picker Card */}
         <View style={styles.inputGroup}>
           <Text style={styles.label}>Category *</Text>
@@ -603,6 +824,45 @@ const styles = StyleSheet.create({
     fontSize: typography.fontSizeSm,
     marginTop: spacing.xs,
   },
+  variantHint: {
+    fontSize: typography.fontSizeSm,
+    color: colors.textSecondary,
+    marginBottom: spacing.sm,
+  },
+  variantCard: {
+    backgroundColor: colors.cardBackground,
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: constants.borderRadiusMd,
+    padding: spacing.sm,
+    marginBottom: spacing.sm,
+  },
+  variantRow: {
+    marginTop: spacing.sm,
+  },
+  variantFooter: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginTop: spacing.sm,
+  },
+  variantActive: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: spacing.xs,
+  },
+  addVariantButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: spacing.xs,
+    borderWidth: 1,
+    borderColor: colors.primary,
+    borderStyle: 'dashed',
+    borderRadius: constants.borderRadiusMd,
+    paddingVertical: spacing.sm,
+    backgroundColor: fadedPrimary,
+  },
   categoryCard: {
     backgroundColor: colors.cardBackground,
     borderRadius: constants.borderRadiusMd,
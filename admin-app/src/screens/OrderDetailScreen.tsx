@@ -1,66 +1,126 @@
-import { useEffect, useState } from 'react';
-import { View, Text, StyleSheet, Button, ActivityIndicator, Alert } from 'react-native';
+import { useCallback, useEffect, useState } from 'react';
+import { View, Text, StyleSheet, Button, ActivityIndicator, Alert, ScrollView, TextInput } from 'react-native';
 import { supabase } from '../services/supabaseClient';
+import {
+  formatOrderStatus,
+  getNextOrderStatuses,
+  ORDER_EVENT_LABELS,
+  OrderStatusHistoryEntry,
+} from '../services/orderStatus';
 
 export default function OrderDetailScreen({ route, navigation }: any) {
   const { orderId } = route.params;
   const [order, setOrder] = useState<any>(null);
   const [loading, setLoading] = useState(true);
   const [updating, setUpdating] = useState(false);
+  const [note, setNote] = useState('');
 
-  useEffect(() => {
-    const loadOrder = async () => {
-      setLoading(true);
-      const { data, error } = await supabase
-        .from('orders')
-        .select('*')
-        .eq('id', orderId)
-        .single();
-      if (error) Alert.alert('Error', error.message);
-      setOrder(data);
-      setLoading(false);
-    };
-    loadOrder();
+  const loadOrder = useCallback(async () => {
+    const { data, error } = await supabase
+      .from('orders')
+      .select('*, order_status_history(id, from_status, to_status, actor_role, note, event, created_at)')
+      .eq('id', orderId)
+      .single();
+    if (error) Alert.alert('Error', error.message);
+    setOrder(data);
   }, [orderId]);
 
+  useEffect(() => {
+    setLoading(true);
+    loadOrder().finally(() => setLoading(false));
+  }, [loadOrder]);
+
   const updateStatus = async (newStatus: string) => {
     setUpdating(true);
-    const { error } = await supabase
-      .from('orders')
-      .update({ status: newStatus })
-      .eq('id', orderId);
+    // update_order_status checks the transition and records it in order_status_history
+    const { error } = await supabase.rpc('update_order_status', {
+      p_order_id: orderId,
+      p_status: newStatus,
+      p_note: note.trim() || null,
+    });
     setUpdating(false);
     if (error) {
       Alert.alert('Error', error.message);
     } else {
-      setOrder({ ...order, status: newStatus });
-      Alert.alert('Success', 'Order status updated!');
+      setNote('');
+      await loadOrder();
+      Alert.alert('Success', `Order marked as ${formatOrderStatus(newStatus)}.`);
     }
   };
 
   if (loading) return <View style={styles.center}><ActivityIndicator size="large" /></View>;
   if (!order) return <View style={styles.center}><Text>Order not found.</Text></View>;
 
+  const history: OrderStatusHistoryEntry[] = [...(order.order_status_history || [])].sort(
+    (a, b) => new Date(a.created_at).getTime() - new Date(b.created_at).getTime()
+  );
+  const nextStatuses = getNextOrderStatuses(order.status);
+
   return (
-    <View style={styles.container}>
+    <ScrollView style={styles.container}>
       <Text style={styles.title}>Order #{order.id}</Text>
-      <Text>Status: {order.status || 'N/A'}</Text>
-      <Text>Total: ${order.total ?? 'N/A'}</Text>
-      <Text>User ID: {order.user_id}</Text>
+      <Text>Status: {formatOrderStatus(order.status)}</Text>
+      <Text>Total: ETB {order.totalAmount ?? 'N/A'}</Text>
+      <Text>User ID: {order.userId}</Text>
       <Text>Date: {new Date(order.created_at).toLocaleString()}</Text>
-      {/* Add more order details here as needed */}
-      <View style={styles.statusRow}>
-        <Button title="Mark as Pending" onPress={() => updateStatus('pending')} disabled={updating} />
-        <Button title="Mark as Shipped" onPress={() => updateStatus('shipped')} disabled={updating} />
-        <Button title="Mark as Delivered" onPress={() => updateStatus('delivered')} disabled={updating} />
-      </View>
-    </View>
+
+      {nextStatuses.length > 0 ? (
+        <>
+          <TextInput
+            style={styles.noteInput}
+            placeholder="Note (optional)"
+            value={note}
+            onChangeText={setNote}
+            editable={!updating}
+          />
+          <View style={styles.statusRow}>
+            {nextStatuses.map(status => (
+              <Button
+                key={status}
+                title={`Mark as ${formatOrderStatus(status)}`}
+                onPress={() => updateStatus(status)}
+                disabled={updating}
+              />
+            ))}
+          </View>
+        </>
+      ) : (
+        <Text style={styles.muted}>This order is in a final state.</Text>
+      )}
+
+      <Text style={styles.sectionTitle}>History</Text>
+      {history.length === 0 && <Text style={styles.muted}>No status history yet.</Text>}
+      {history.map(entry => (
+        <View key={entry.id} style={styles.historyItem}>
+          <View style={styles.historyDot} />
+          <View style={{ flex: 1 }}>
+            <Text style={styles.historyStatus}>
+              {entry.event
+                ? ORDER_EVENT_LABELS[entry.event] || entry.event
+                : entry.from_status
+                  ? `${formatOrderStatus(entry.from_status)} → ${formatOrderStatus(entry.to_status)}`
+                  : `Placed · ${formatOrderStatus(entry.to_status)}`}
+            </Text>
+            <Text style={styles.muted}>
+              {new Date(entry.created_at).toLocaleString()} · {entry.actor_role}
+            </Text>
+            {entry.note ? <Text>{entry.note}</Text> : null}
+          </View>
+        </View>
+      ))}
+    </ScrollView>
   );
 }
 
 const styles = StyleSheet.create({
   container: { flex: 1, padding: 16, backgroundColor: '#fff' },
   title: { fontSize: 24, fontWeight: 'bold', marginBottom: 16 },
-  statusRow: { flexDirection: 'row', justifyContent: 'space-between', marginTop: 24 },
+  statusRow: { flexDirection: 'row', flexWrap: 'wrap', justifyContent: 'space-between', gap: 8, marginTop: 12 },
+  noteInput: { borderWidth: 1, borderColor: '#E3E6EC', borderRadius: 8, padding: 10, marginTop: 24 },
+  sectionTitle: { fontSize: 18, fontWeight: '600', marginTop: 32, marginBottom: 12 },
+  historyItem: { flexDirection: 'row', marginBottom: 14 },
+  historyDot: { width: 10, height: 10, borderRadius: 5, backgroundColor: '#2D3748', marginTop: 5, marginRight: 12 },
+  historyStatus: { fontWeight: '600' },
+  muted: { color: '#6C7280', marginTop: 4 },
   center: { flex: 1, justifyContent: 'center', alignItems: 'center' },
 });
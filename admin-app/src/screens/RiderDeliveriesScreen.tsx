@@ -0,0 +1,121 @@
+import { useCallback, useState } from 'react';
+import { View, Text, StyleSheet, FlatList, TouchableOpacity, ActivityIndicator, Alert } from 'react-native';
+import { useFocusEffect } from '@react-navigation/native';
+import { MaterialIcons } from '@expo/vector-icons';
+import { supabase } from '../services/supabaseClient';
+import { DELIVERY_STATUS_LABELS, fetchMyDeliveries, isCashToCollect, RiderDelivery } from '../services/deliveries';
+import { colors, spacing, typography } from '../theme';
+
+const STATUS_COLORS: Record<string, { backgroundColor: string; color: string }> = {
+  assigned: { backgroundColor: colors.infoBg, color: colors.info },
+  out_for_delivery: { backgroundColor: colors.warningBg, color: colors.warning },
+  failed: { backgroundColor: colors.mutedBg, color: colors.error },
+  delivered: { backgroundColor: colors.successBg, color: colors.success },
+};
+
+export default function RiderDeliveriesScreen({ navigation, onLogout }: any) {
+  const [deliveries, setDeliveries] = useState<RiderDelivery[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+
+  const loadDeliveries = useCallback(async () => {
+    try {
+      setDeliveries(await fetchMyDeliveries());
+    } catch (error: any) {
+      Alert.alert('Error', error.message);
+    }
+  }, []);
+
+  // Reload whenever the list comes back into view, e.g. after completing a delivery
+  useFocusEffect(
+    useCallback(() => {
+      loadDeliveries().finally(() => setLoading(false));
+    }, [loadDeliveries])
+  );
+
+  const handleRefresh = async () => {
+    setRefreshing(true);
+    await loadDeliveries();
+    setRefreshing(false);
+  };
+
+  const handleLogout = async () => {
+    await supabase.auth.signOut();
+    onLogout();
+  };
+
+  if (loading) return <View style={styles.center}><ActivityIndicator size="large" /></View>;
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <Text style={styles.title}>My Deliveries</Text>
+        <TouchableOpacity onPress={handleLogout} accessibilityLabel="Log out">
+          <MaterialIcons name="logout" size={24} color={colors.textSecondary} />
+        </TouchableOpacity>
+      </View>
+      <FlatList
+        data={deliveries}
+        keyExtractor={item => item.id}
+        refreshing={refreshing}
+        onRefresh={handleRefresh}
+        contentContainerStyle={{ paddingBottom: spacing.xxl }}
+        ListEmptyComponent={<Text style={styles.muted}>Nothing to deliver right now. Pull down to refresh.</Text>}
+        renderItem={({ item }) => {
+          const address = item.order?.shippingAddress || {};
+          const statusColors = STATUS_COLORS[item.status] || STATUS_COLORS.assigned;
+          return (
+            <TouchableOpacity
+              style={[styles.card, item.status === 'delivered' && styles.cardDone]}
+              onPress={() => navigation.navigate('RiderDelivery', { deliveryId: item.id })}
+            >
+              <View style={styles.cardHeader}>
+                <Text style={styles.orderId}>#{item.order_id.slice(0, 8)}</Text>
+                <Text style={[styles.badge, statusColors]}>{DELIVERY_STATUS_LABELS[item.status]}</Text>
+              </View>
+              <Text style={styles.name}>{`${address.firstName || ''} ${address.lastName || ''}`.trim()}</Text>
+              <Text style={styles.muted}>{[address.subCity, address.woreda && `Woreda ${address.woreda}`, address.city].filter(Boolean).join(', ')}</Text>
+              {address.landmark ? <Text style={styles.muted}>Near {address.landmark}</Text> : null}
+              {isCashToCollect(item) && item.status !== 'delivered' && (
+                <Text style={styles.cash}>Collect ETB {item.order?.totalAmount}</Text>
+              )}
+              {item.status === 'failed' && item.failure_reason ? (
+                <Text style={styles.failure}>Last attempt: {item.failure_reason}</Text>
+              ) : null}
+            </TouchableOpacity>
+          );
+        }}
+      />
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: { flex: 1, padding: spacing.md, paddingTop: spacing.xxl, backgroundColor: colors.background },
+  header: { flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center', marginBottom: spacing.md },
+  title: { fontSize: typography.fontSizeXl, fontWeight: typography.fontWeightBold, color: colors.textPrimary },
+  card: {
+    backgroundColor: colors.cardBackground,
+    borderRadius: 10,
+    borderWidth: 1,
+    borderColor: colors.border,
+    padding: spacing.md,
+    marginBottom: spacing.sm,
+  },
+  cardDone: { opacity: 0.6 },
+  cardHeader: { flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center', marginBottom: spacing.xs },
+  orderId: { fontWeight: typography.fontWeightSemibold, color: colors.textPrimary },
+  badge: {
+    fontSize: typography.fontSizeXs,
+    fontWeight: typography.fontWeightMedium,
+    paddingHorizontal: spacing.sm,
+    paddingVertical: 2,
+    borderRadius: 10,
+    overflow: 'hidden',
+  },
+  name: { fontSize: typography.fontSizeMd, color: colors.textPrimary },
+  muted: { color: colors.textSecondary, marginTop: 2 },
+  cash: { color: colors.warning, fontWeight: typography.fontWeightSemibold, marginTop: spacing.xs },
+  failure: { color: colors.error, marginTop: spacing.xs },
+  center: { flex: 1, justifyContent: 'center', alignItems: 'center' },
+});
@@ -0,0 +1,245 @@
+import { useCallback, useEffect, useState } from 'react';
+import { View, Text, StyleSheet, Button, ActivityIndicator, Alert, ScrollView, TextInput, Linking, TouchableOpacity } from 'react-native';
+import * as ImagePicker from 'expo-image-picker';
+import SignaturePad from '../components/SignaturePad';
+import {
+  DELIVERY_STATUS_LABELS,
+  ProofType,
+  RiderDelivery,
+  checkDeliveryCode,
+  completeDelivery,
+  failDelivery,
+  fetchDelivery,
+  fetchProductNames,
+  isCashToCollect,
+  startDelivery,
+  uploadProof,
+} from '../services/deliveries';
+import { colors, spacing, typography } from '../theme';
+
+const PROOF_OPTIONS: { type: ProofType; label: string }[] = [
+  { type: 'otp', label: 'Code' },
+  { type: 'photo', label: 'Photo' },
+  { type: 'signature', label: 'Signature' },
+];
+
+export default function RiderDeliveryScreen({ route, navigation }: any) {
+  const { deliveryId } = route.params;
+  const [delivery, setDelivery] = useState<RiderDelivery | null>(null);
+  const [productNames, setProductNames] = useState<Record<string, string>>({});
+  const [loading, setLoading] = useState(true);
+  const [working, setWorking] = useState(false);
+  const [proofType, setProofType] = useState<ProofType>('otp');
+  const [code, setCode] = useState('');
+  const [photo, setPhoto] = useState<ImagePicker.ImagePickerAsset | null>(null);
+  const [signature, setSignature] = useState<string | null>(null);
+  const [recipientName, setRecipientName] = useState('');
+  const [note, setNote] = useState('');
+  const [failureReason, setFailureReason] = useState('');
+
+  const loadDelivery = useCallback(async () => {
+    try {
+      const data = await fetchDelivery(deliveryId);
+      setDelivery(data);
+      const productIds = (data?.order?.order_items || []).map(item => item.productId);
+      setProductNames(await fetchProductNames(productIds));
+    } catch (error: any) {
+      Alert.alert('Error', error.message);
+    }
+  }, [deliveryId]);
+
+  useEffect(() => {
+    setLoading(true);
+    loadDelivery().finally(() => setLoading(false));
+  }, [loadDelivery]);
+
+  // Runs a delivery action, showing the database's message if it refuses
+  const run = async (action: () => Promise<void>) => {
+    setWorking(true);
+    try {
+      await action();
+    } catch (error: any) {
+      Alert.alert('Error', error.message);
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleStart = () => run(async () => {
+    await startDelivery(deliveryId);
+    await loadDelivery();
+    Alert.alert('On your way', 'The customer has been sent a delivery code. Ask for it when you hand over the order.');
+  });
+
+  const handleTakePhoto = async () => {
+    const permission = await ImagePicker.requestCameraPermissionsAsync();
+    if (!permission.granted) {
+      Alert.alert('Camera needed', 'Allow camera access to photograph the handover.');
+      return;
+    }
+    const result = await ImagePicker.launchCameraAsync({ quality: 0.5 });
+    if (!result.canceled && result.assets?.length) setPhoto(result.assets[0]);
+  };
+
+  const handleComplete = () => run(async () => {
+    let proofPath: string | null = null;
+    if (proofType === 'otp') {
+      if (!(await checkDeliveryCode(deliveryId, code))) {
+        Alert.alert('Wrong code', 'That code does not match. Check it with the customer and try again.');
+        return;
+      }
+    } else if (proofType === 'photo') {
+      if (!photo) {
+        Alert.alert('Photo needed', 'Take a photo of the order at the door first.');
+        return;
+      }
+      const blob = await (await fetch(photo.uri)).blob();
+      proofPath = await uploadProof(deliveryId, blob, photo.mimeType ?? 'image/jpeg', 'jpg');
+    } else {
+      if (!signature) {
+        Alert.alert('Signature needed', 'Ask the customer to sign first.');
+        return;
+      }
+      proofPath = await uploadProof(deliveryId, signature, 'image/svg+xml', 'svg');
+    }
+    await completeDelivery(deliveryId, { type: proofType, path: proofPath, recipientName, note });
+    Alert.alert('Delivered', 'Thanks! The customer has been notified.');
+    navigation.goBack();
+  });
+
+  const handleFail = () => run(async () => {
+    if (!failureReason.trim()) {
+      Alert.alert('Reason needed', 'Say why the order could not be delivered.');
+      return;
+    }
+    await failDelivery(deliveryId, failureReason.trim());
+    setFailureReason('');
+    await loadDelivery();
+  });
+
+  if (loading) return <View style={styles.center}><ActivityIndicator size="large" /></View>;
+  if (!delivery || !delivery.order) return <View style={styles.center}><Text>Delivery not found.</Text></View>;
+
+  const { order } = delivery;
+  const address = order.shippingAddress || {};
+  const canStart = delivery.status === 'assigned' || delivery.status === 'failed';
+  const isOut = delivery.status === 'out_for_delivery';
+
+  return (
+    <ScrollView style={styles.container} contentContainerStyle={{ paddingBottom: spacing.xxl }} keyboardShouldPersistTaps="handled">
+      <Text style={styles.title}>Order #{order.id.slice(0, 8)}</Text>
+      <Text style={styles.muted}>
+        {DELIVERY_STATUS_LABELS[delivery.status]}
+        {delivery.failed_attempts > 0 ? ` · ${delivery.failed_attempts} failed attempt(s)` : ''}
+      </Text>
+
+      <Text style={styles.sectionTitle}>Deliver to</Text>
+      <Text style={styles.name}>{`${address.firstName || ''} ${address.lastName || ''}`.trim()}</Text>
+      {address.street ? <Text>{[address.street, address.apartment].filter(Boolean).join(', ')}</Text> : null}
+      <Text>{[address.subCity, address.woreda && `Woreda ${address.woreda}`, address.city].filter(Boolean).join(', ')}</Text>
+      {address.landmark ? <Text>Near {address.landmark}</Text> : null}
+      {address.phone ? (
+        <TouchableOpacity onPress={() => Linking.openURL(`tel:${address.phone}`)}>
+          <Text style={styles.link}>Call {address.phone}</Text>
+        </TouchableOpacity>
+      ) : null}
+
+      {isCashToCollect(delivery) && (
+        <View style={styles.cashBox}>
+          <Text style={styles.cashText}>Cash on delivery: collect ETB {order.totalAmount}</Text>
+        </View>
+      )}
+
+      <Text style={styles.sectionTitle}>Items</Text>
+      {order.order_items.map(item => (
+        <Text key={item.id}>
+          {item.quantity} × {productNames[item.productId] || 'Product'}
+          {item.variant_label ? ` (${item.variant_label})` : ''}
+        </Text>
+      ))}
+
+      {canStart && (
+        <View style={styles.section}>
+          <Button title="Start delivery" onPress={handleStart} disabled={working} />
+        </View>
+      )}
+
+      {isOut && (
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Hand over</Text>
+          <View style={styles.proofRow}>
+            {PROOF_OPTIONS.map(option => (
+              <TouchableOpacity
+                key={option.type}
+                style={[styles.proofOption, proofType === option.type && styles.proofOptionActive]}
+                onPress={() => setProofType(option.type)}
+              >
+                <Text style={proofType === option.type ? styles.proofTextActive : styles.proofText}>{option.label}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          {proofType === 'otp' && (
+            <TextInput
+              style={styles.input}
+              placeholder="6-digit code from the customer"
+              keyboardType="number-pad"
+              maxLength={6}
+              value={code}
+              onChangeText={setCode}
+            />
+          )}
+          {proofType === 'photo' && (
+            <View style={styles.section}>
+              <Button title={photo ? 'Retake photo' : 'Take photo'} onPress={handleTakePhoto} disabled={working} />
+              {photo ? <Text style={styles.muted}>Photo ready.</Text> : null}
+            </View>
+          )}
+          {proofType === 'signature' && <SignaturePad onChange={setSignature} />}
+
+          <TextInput style={styles.input} placeholder="Received by (optional)" value={recipientName} onChangeText={setRecipientName} />
+          <TextInput style={styles.input} placeholder="Note (optional)" value={note} onChangeText={setNote} />
+          <View style={styles.section}>
+            <Button title="Mark as delivered" onPress={handleComplete} disabled={working} />
+          </View>
+        </View>
+      )}
+
+      {(isOut || delivery.status === 'assigned') && (
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Could not deliver?</Text>
+          <TextInput
+            style={styles.input}
+            placeholder="e.g. Nobody home, phone off"
+            value={failureReason}
+            onChangeText={setFailureReason}
+          />
+          <View style={styles.section}>
+            <Button title="Report failed attempt" color={colors.error} onPress={handleFail} disabled={working} />
+          </View>
+        </View>
+      )}
+
+      {working && <ActivityIndicator style={styles.section} />}
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: { flex: 1, padding: spacing.md, backgroundColor: colors.white },
+  title: { fontSize: typography.fontSizeXl, fontWeight: typography.fontWeightBold, color: colors.textPrimary },
+  sectionTitle: { fontSize: typography.fontSizeLg, fontWeight: typography.fontWeightSemibold, marginTop: spacing.xl, marginBottom: spacing.sm },
+  section: { marginTop: spacing.md },
+  name: { fontSize: typography.fontSizeMd, fontWeight: typography.fontWeightMedium },
+  link: { color: colors.info, fontWeight: typography.fontWeightSemibold, marginTop: spacing.sm },
+  cashBox: { backgroundColor: colors.warningBg, borderRadius: 8, padding: spacing.md, marginTop: spacing.md },
+  cashText: { color: colors.warning, fontWeight: typography.fontWeightSemibold },
+  proofRow: { flexDirection: 'row', gap: spacing.sm, marginBottom: spacing.md },
+  proofOption: { flex: 1, borderWidth: 1, borderColor: colors.border, borderRadius: 8, paddingVertical: spacing.sm, alignItems: 'center' },
+  proofOptionActive: { backgroundColor: colors.primary, borderColor: colors.primary },
+  proofText: { color: colors.textPrimary },
+  proofTextActive: { color: colors.white, fontWeight: typography.fontWeightSemibold },
+  input: { borderWidth: 1, borderColor: colors.border, borderRadius: 8, padding: 10, marginTop: spacing.sm },
+  muted: { color: colors.textSecondary, marginTop: spacing.xs },
+  center: { flex: 1, justifyContent: 'center', alignItems: 'center' },
+});
@@ -0,0 +1,120 @@
+import { supabase } from './supabaseClient';
+
+// Rider side of dispatch. Riders only read through RLS and change things through the SQL
+// functions in 20250901100000_rider_dispatch.sql, which check the delivery is theirs.
+
+export const PROOF_BUCKET = 'delivery-proofs';
+
+export type DeliveryStatus = 'assigned' | 'out_for_delivery' | 'delivered' | 'failed' | 'cancelled';
+export type ProofType = 'otp' | 'photo' | 'signature';
+
+export const DELIVERY_STATUS_LABELS: Record<DeliveryStatus, string> = {
+  assigned: 'Assigned',
+  out_for_delivery: 'Out for delivery',
+  delivered: 'Delivered',
+  failed: 'Failed attempt',
+  cancelled: 'Cancelled',
+};
+
+export interface RiderDelivery {
+  id: string;
+  order_id: string;
+  status: DeliveryStatus;
+  assigned_at: string;
+  started_at: string | null;
+  delivered_at: string | null;
+  failed_attempts: number;
+  failure_reason: string | null;
+  order: {
+    id: string;
+    shippingAddress: Record<string, any>;
+    totalAmount: number;
+    payment_method: string;
+    payment_status: string;
+    shipping_method_name: string | null;
+    order_items: { id: string; productId: string; quantity: number; variant_label: string | null }[];
+  } | null;
+}
+
+const DELIVERY_SELECT = `
+  id, order_id, status, assigned_at, started_at, delivered_at, failed_attempts, failure_reason,
+  order:orders(
+    id, shippingAddress, totalAmount, payment_method, payment_status, shipping_method_name,
+    order_items(id, productId, quantity, variant_label)
+  )
+`;
+
+/** Open deliveries plus anything handed over today, open ones first. */
+export async function fetchMyDeliveries(): Promise<RiderDelivery[]> {
+  const startOfDay = new Date();
+  startOfDay.setHours(0, 0, 0, 0);
+  const { data, error } = await supabase
+    .from('deliveries')
+    .select(DELIVERY_SELECT)
+    .or(`status.in.(assigned,out_for_delivery,failed),delivered_at.gte.${startOfDay.toISOString()}`)
+    .order('assigned_at', { ascending: true });
+  if (error) throw error;
+  const open = (data || []).filter((delivery: any) => delivery.status !== 'delivered');
+  const done = (data || []).filter((delivery: any) => delivery.status === 'delivered');
+  return [...open, ...done] as unknown as RiderDelivery[];
+}
+
+/** Product names by id for a delivery's items (products are publicly readable). */
+export async function fetchProductNames(productIds: string[]): Promise<Record<string, string>> {
+  if (productIds.length === 0) return {};
+  const { data, error } = await supabase.from('products').select('id, name').in('id', productIds);
+  if (error) throw error;
+  return Object.fromEntries((data || []).map(product => [product.id, product.name]));
+}
+
+export async function fetchDelivery(deliveryId: string): Promise<RiderDelivery | null> {
+  const { data, error } = await supabase.from('deliveries').select(DELIVERY_SELECT).eq('id', deliveryId).maybeSingle();
+  if (error) throw error;
+  return data as unknown as RiderDelivery | null;
+}
+
+/** Cash on delivery that hasn't been paid yet: the rider collects the order total. */
+export const isCashToCollect = (delivery: RiderDelivery) =>
+  delivery.order?.payment_method === 'cod' && delivery.order.payment_status !== 'paid';
+
+export async function startDelivery(deliveryId: string) {
+  const { error } = await supabase.rpc('start_delivery', { p_delivery_id: deliveryId });
+  if (error) throw error;
+}
+
+/** false when the code is wrong (the database counts it; after 5 the code stops working). */
+export async function checkDeliveryCode(deliveryId: string, code: string): Promise<boolean> {
+  const { data, error } = await supabase.rpc('check_delivery_code', { p_delivery_id: deliveryId, p_code: code });
+  if (error) throw error;
+  return data === true;
+}
+
+export async function completeDelivery(
+  deliveryId: string,
+  proof: { type: ProofType; path?: string | null; recipientName?: string; note?: string }
+) {
+  const { error } = await supabase.rpc('complete_delivery', {
+    p_delivery_id: deliveryId,
+    p_proof_type: proof.type,
+    p_proof_path: proof.path ?? null,
+    p_recipient_name: proof.recipientName?.trim() || null,
+    p_note: proof.note?.trim() || null,
+  });
+  if (error) throw error;
+}
+
+export async function failDelivery(deliveryId: string, reason: string) {
+  const { error } = await supabase.rpc('fail_delivery', { p_delivery_id: deliveryId, p_reason: reason });
+  if (error) throw error;
+}
+
+/**
+ * Uploads a proof photo or signature to delivery-proofs/<delivery id>/, the only folder the
+ * storage policy lets the rider write to, and returns its path for completeDelivery.
+ */
+export async function uploadProof(deliveryId: string, body: Blob | string, contentType: string, extension: string) {
+  const path = `${deliveryId}/${Date.now()}.${extension}`;
+  const { error } = await supabase.storage.from(PROOF_BUCKET).upload(path, body, { contentType, upsert: false });
+  if (error) throw error;
+  return path;
+}
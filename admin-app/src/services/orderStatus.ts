@@ -0,0 +1,36 @@
+// Order lifecycle, mirroring order_status_transition_allowed() in the Supabase migrations.
+// The database enforces it; this copy only decides which buttons to show.
+
+export const ORDER_STATUS_TRANSITIONS: Record<string, string[]> = {
+  pending: ['paid', 'processing', 'cancelled'],
+  paid: ['processing', 'cancelled', 'refunded'],
+  processing: ['shipped', 'cancelled'],
+  shipped: ['delivered', 'returned'],
+  delivered: ['returned', 'refunded'],
+  returned: ['refunded'],
+  cancelled: ['refunded'],
+  refunded: [],
+};
+
+export const getNextOrderStatuses = (status?: string | null) =>
+  ORDER_STATUS_TRANSITIONS[(status || '').toLowerCase()] || [];
+
+export const formatOrderStatus = (status?: string | null) =>
+  status ? status.charAt(0).toUpperCase() + status.slice(1).toLowerCase() : 'N/A';
+
+export interface OrderStatusHistoryEntry {
+  id: string;
+  from_status: string | null;
+  to_status: string;
+  actor_role: 'customer' | 'admin' | 'rider' | 'system';
+  note: string | null;
+  // Delivery events (rider assigned, out for delivery, failed attempt) don't change the status
+  event: string | null;
+  created_at: string;
+}
+
+export const ORDER_EVENT_LABELS: Record<string, string> = {
+  rider_assigned: 'Rider assigned',
+  out_for_delivery: 'Out for delivery',
+  delivery_failed: 'Delivery attempt failed',
+};
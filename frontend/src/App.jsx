@@ -16,14 +16,20 @@ import ProductDetailPage from './pages/ProductDetailPage.jsx';
 import CartPage from './pages/CartPage';
 import LoginPage from './pages/LoginPage';
 import RegisterPage from './pages/RegisterPage';
+import ForgotPasswordPage from './pages/ForgotPasswordPage';
+import ResetPasswordPage from './pages/ResetPasswordPage';
 import CheckoutPage from './pages/CheckoutPage';
 import OrderSuccessPage from './pages/OrderSuccessPage';
+import FakeGatewayPage from './pages/FakeGatewayPage';
+import TrackOrderPage from './pages/TrackOrderPage';
 import ProfilePage from './pages/ProfilePage';
+import AddressesPage from './pages/AddressesPage';
 import NotFoundPage from './pages/NotFoundPage';
 import CollectionsPage from './pages/CollectionsPage';
 import CollectionDetailPage from './pages/CollectionDetailPage';
 import WishlistPage from './pages/WishlistPage';
 import MyOrdersPage from './pages/MyOrdersPage'; // Import MyOrdersPage
+import OrderDetailPage from './pages/OrderDetailPage';
 
 // --- Admin Pages ---
 import AdminDashboardPage from './pages/admin/AdminDashboardPage';
@@ -31,8 +37,17 @@ import AdminProductListPage from './pages/admin/AdminProductListPage';
 import AdminCategoryListPage from './pages/admin/AdminCategoryListPage';
 import AdminProductAddEditPage from './pages/admin/AdminProductAddEditPage';
 import AdminCategoryAddEditPage from './pages/admin/AdminCategoryAddEditPage';
+import AdminCouponListPage from './pages/admin/AdminCouponListPage';
+import AdminCouponAddEditPage from './pages/admin/AdminCouponAddEditPage';
 import AdminOrderListPage from './pages/admin/AdminOrderListPage';   // Ensure this path is correct
+import AdminOrderDetailPage from './pages/admin/AdminOrderDetailPage';
+import AdminReturnListPage from './pages/admin/AdminReturnListPage';
+import AdminReviewListPage from './pages/admin/AdminReviewListPage';
+import AdminShippingPage from './pages/admin/AdminShippingPage';
+import AdminDeliveriesPage from './pages/admin/AdminDeliveriesPage';
 import AdminUserListPage from './pages/admin/AdminUserListPage';     // Ensure this path is correct
+import AdminSellerListPage from './pages/admin/AdminSellerListPage';
+import AdminProductApprovalsPage from './pages/admin/AdminProductApprovalsPage';
 import AdminSettingsPage from './pages/admin/AdminSettingsPage';   // Ensure this path is correct
 import AdminFinancePage from './pages/admin/AdminFinancePage'; // Import the new page
 import AdminAnalyticsPage from './pages/admin/AdminAnalyticsPage'; // Import the analytics page
@@ -40,14 +55,18 @@ import AdminAnalyticsPage from './pages/admin/AdminAnalyticsPage'; // Import the
 // --- Seller Pages ---
 import SellerApplicationPage from './pages/seller/SellerApplicationPage';
 import ApplicationSubmittedPage from './pages/seller/ApplicationSubmittedPage';
+import SellerDocumentsPage from './pages/seller/SellerDocumentsPage';
 import SellerDashboardPage from './pages/seller/SellerDashboardPage';
 import SellerCollectionsPage from './pages/seller/SellerCollectionsPage';
 import CollectionFormPage from './pages/seller/CollectionFormPage';
 import SellerProductsPage from './pages/seller/SellerProductsPage';
+import SellerProductFormPage from './pages/seller/SellerProductFormPage';
 import SellerOrdersPage from './pages/seller/SellerOrdersPage';
 import SellerEarningsPage from './pages/seller/SellerEarningsPage';
 import SellerProfilePage from './pages/seller/SellerProfilePage';
 import SellerSettingsPage from './pages/seller/SellerSettingsPage';
+import SellerReturnsPage from './pages/seller/SellerReturnsPage';
+import SellerReviewsPage from './pages/seller/SellerReviewsPage';
 
 // --- Route Protection ---
 import ProtectedRoute from './components/routes/ProtectedRoute';
@@ -80,18 +99,26 @@ const AppContent = () => {
                     <Route path="/cart" element={<CartPage />} />
                     <Route path="/login" element={<LoginPage />} />
                     <Route path="/register" element={<RegisterPage />} />
+                    <Route path="/forgot-password" element={<ForgotPasswordPage />} />
+                    <Route path="/reset-password" element={<ResetPasswordPage />} />
                     <Route path="/collections" element={<CollectionsPage />} />
                     <Route path="/collections/:collectionId" element={<CollectionDetailPage />} />
                     <Route path="/wishlist" element={<WishlistPage />} />
                     {/* Protected User Routes */}
                     <Route path="/profile" element={<ProtectedRoute><ProfilePage /></ProtectedRoute>} />
-                    <Route path="/checkout" element={<ProtectedRoute><CheckoutPage /></ProtectedRoute>} />
-                    <Route path="/order-success/:orderId" element={<ProtectedRoute><OrderSuccessPage /></ProtectedRoute>} />
+                    <Route path="/addresses" element={<ProtectedRoute><AddressesPage /></ProtectedRoute>} />
+                    <Route path="/checkout" element={<CheckoutPage />} />
+                    <Route path="/order-success/:orderId" element={<OrderSuccessPage />} />
+                    <Route path="/payments/fake-gateway" element={<FakeGatewayPage />} />
+                    <Route path="/track-order" element={<TrackOrderPage />} />
                     <Route path="/orders" element={<ProtectedRoute><MyOrdersPage /></ProtectedRoute>} /> {/* Add MyOrdersPage Route */}
+                    <Route path="/orders/:orderId" element={<ProtectedRoute guestRedirect={({ orderId }) => `/track-order?order=${orderId}`}><OrderDetailPage /></ProtectedRoute>} />
 
                     {/* --- Seller Routes --- */}
                     <Route path="/seller/apply" element={<ProtectedRoute><SellerApplicationPage /></ProtectedRoute>} />
                     <Route path="/seller/application-submitted" element={<ProtectedRoute><ApplicationSubmittedPage /></ProtectedRoute>} />
+                    {/* Outside the seller area so applicants can upload documents while their application is reviewed */}
+                    <Route path="/seller/documents" element={<ProtectedRoute><SellerDocumentsPage /></ProtectedRoute>} />
                     <Route
                         path="/seller"
                         element={
@@ -102,11 +129,15 @@ const AppContent = () => {
                     >
                         <Route index element={<Navigate to="dashboard" replace />} />
                         <Route path="dashboard" element={<SellerDashboardPage />} />
-                        <Route path="collections" element={<SellerCollectionsPage />} />
-                        <Route path="collections/new" element={<CollectionFormPage />} />
-                        <Route path="collections/edit/:collectionId" element={<CollectionFormPage />} />
+                        <Route path="collections" element={<SellerRoute requiredLevel="basic"><SellerCollectionsPage /></SellerRoute>} />
+                        <Route path="collections/new" element={<SellerRoute requiredLevel="basic"><CollectionFormPage /></SellerRoute>} />
+                        <Route path="collections/edit/:collectionId" element={<SellerRoute requiredLevel="basic"><CollectionFormPage /></SellerRoute>} />
                         <Route path="products" element={<SellerProductsPage />} />
+                        <Route path="products/new" element={<SellerRoute requiredLevel="basic"><SellerProductFormPage /></SellerRoute>} />
+                        <Route path="products/edit/:productId" element={<SellerRoute requiredLevel="basic"><SellerProductFormPage /></SellerRoute>} />
                         <Route path="orders" element={<SellerOrdersPage />} />
+                        <Route path="returns" element={<SellerReturnsPage />} />
+                        <Route path="reviews" element={<SellerReviewsPage />} />
                         <Route path="earnings" element={<SellerEarningsPage />} />
                         <Route path="profile" element={<SellerProfilePage />} />
                         <Route path="settings" element={<SellerSettingsPage />} />
@@ -126,11 +157,21 @@ const AppContent = () => {
                         <Route path="products" element={<AdminProductListPage />} />
                         <Route path="products/new" element={<AdminProductAddEditPage />} />
                         <Route path="products/edit/:productId" element={<AdminProductAddEditPage />} />
+                        <Route path="products/approvals" element={<AdminProductApprovalsPage />} />
                         <Route path="categories" element={<AdminCategoryListPage />} />
                         <Route path="categories/new" element={<AdminCategoryAddEditPage />} />
                         <Route path="categories/edit/:categoryId" element={<AdminCategoryAddEditPage />} />
+                        <Route path="coupons" element={<AdminCouponListPage />} />
+                        <Route path="coupons/new" element={<AdminCouponAddEditPage />} />
+                        <Route path="coupons/edit/:couponId" element={<AdminCouponAddEditPage />} />
                         <Route path="orders" element={<AdminOrderListPage />} />
+                        <Route path="orders/:orderId" element={<AdminOrderDetailPage />} />
+                        <Route path="returns" element={<AdminReturnListPage />} />
+                        <Route path="reviews" element={<AdminReviewListPage />} />
+                        <Route path="shipping" element={<AdminShippingPage />} />
+                        <Route path="deliveries" element={<AdminDeliveriesPage />} />
                         <Route path="users" element={<AdminUserListPage />} />
+                        <Route path="sellers" element={<AdminSellerListPage />} />
                         <Route path="finance" element={<AdminFinancePage />} /> {/* Add Finance Route */}
                         <Route path="analytics" element={<AdminAnalyticsPage />} /> {/* Add Analytics Route */}
                         <Route path="settings" element={<AdminSettingsPage />} />
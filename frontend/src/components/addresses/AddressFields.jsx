@@ -0,0 +1,115 @@
+import React from 'react';
+import { ADDIS_ABABA_SUB_CITIES, isAddisAbaba } from '../../utils/addresses';
+
+const inputClass = 'w-full px-4 py-3 border border-gray-200 rounded-lg focus:ring-1 focus:ring-black focus:border-black';
+const labelClass = 'block text-sm font-medium text-gray-700 mb-1';
+
+/**
+ * Delivery address inputs shared by checkout and the address book, laid out for a two column
+ * grid (the caller renders the grid). Addis Ababa addresses ask for sub-city, woreda and a
+ * landmark instead of a region and ZIP code.
+ * @param {{
+ *   address: Record<string, string>,
+ *   onChange: (e: React.ChangeEvent<HTMLInputElement | HTMLSelectElement | HTMLTextAreaElement>) => void,
+ *   phoneError?: string | null,
+ *   onPhoneBlur?: () => void,
+ * }} props
+ *   address: shippingAddress shape (see utils/addresses.js); inputs are named after its keys.
+ */
+const AddressFields = ({ address, onChange, phoneError, onPhoneBlur }) => {
+  const inAddis = isAddisAbaba(address.city);
+  const inEthiopia = address.country === 'Ethiopia';
+
+  return (
+    <>
+      <div>
+        <label className={labelClass}>First Name *</label>
+        <input type="text" name="firstName" value={address.firstName} onChange={onChange} autoComplete="given-name" className={inputClass} required />
+      </div>
+      <div>
+        <label className={labelClass}>Last Name</label>
+        <input type="text" name="lastName" value={address.lastName} onChange={onChange} autoComplete="family-name" className={inputClass} />
+      </div>
+      <div className="md:col-span-2">
+        <label className={labelClass}>Phone Number *</label>
+        <input
+          type="tel"
+          name="phone"
+          value={address.phone}
+          onChange={onChange}
+          onBlur={onPhoneBlur}
+          placeholder={inEthiopia ? '09XX XXX XXX' : undefined}
+          autoComplete="tel"
+          className={`${inputClass} ${phoneError ? 'border-red-400' : ''}`}
+          required
+        />
+        {phoneError ? (
+          <p className="mt-1 text-xs text-red-600">{phoneError}</p>
+        ) : inEthiopia && (
+          <p className="mt-1 text-xs text-gray-500">We&apos;ll text you order and delivery updates.</p>
+        )}
+      </div>
+      <div>
+        <label className={labelClass}>Country *</label>
+        <select name="country" value={address.country} onChange={onChange} className={inputClass} required>
+          <option value="Ethiopia">Ethiopia</option>
+          <option value="Other">Other</option>
+        </select>
+      </div>
+      <div>
+        <label className={labelClass}>City *</label>
+        <input type="text" name="city" value={address.city} onChange={onChange} autoComplete="address-level2" className={inputClass} required />
+      </div>
+      {inAddis ? (
+        <>
+          <div>
+            <label className={labelClass}>Sub-city *</label>
+            <select name="subCity" value={address.subCity} onChange={onChange} className={inputClass} required>
+              <option value="">Select sub-city</option>
+              {ADDIS_ABABA_SUB_CITIES.map(subCity => (
+                <option key={subCity} value={subCity}>{subCity}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className={labelClass}>Woreda</label>
+            <input type="text" name="woreda" value={address.woreda} onChange={onChange} placeholder="e.g. 03" className={inputClass} />
+          </div>
+        </>
+      ) : (
+        <div className={inEthiopia ? 'md:col-span-2' : ''}>
+          <label className={labelClass}>State/Region</label>
+          <input type="text" name="state" value={address.state} onChange={onChange} autoComplete="address-level1" className={inputClass} />
+        </div>
+      )}
+      {!inEthiopia && (
+        <div>
+          <label className={labelClass}>ZIP Code</label>
+          <input type="text" name="zipCode" value={address.zipCode} onChange={onChange} autoComplete="postal-code" className={inputClass} />
+        </div>
+      )}
+      <div className="md:col-span-2">
+        <label className={labelClass}>Street Address</label>
+        <input type="text" name="street" value={address.street} onChange={onChange} autoComplete="address-line1" className={inputClass} />
+      </div>
+      <div className="md:col-span-2">
+        <label className={labelClass}>House No., Apartment, Floor</label>
+        <input type="text" name="apartment" value={address.apartment} onChange={onChange} autoComplete="address-line2" className={inputClass} />
+      </div>
+      <div className="md:col-span-2">
+        <label className={labelClass}>Landmark / Directions</label>
+        <textarea
+          name="landmark"
+          value={address.landmark}
+          onChange={onChange}
+          rows={2}
+          placeholder="e.g. Behind Edna Mall, blue gate next to the pharmacy"
+          className={inputClass}
+        />
+        <p className="mt-1 text-xs text-gray-500">No street name or house number? Tell the rider how to find you. A street or a landmark is required.</p>
+      </div>
+    </>
+  );
+};
+
+export default AddressFields;
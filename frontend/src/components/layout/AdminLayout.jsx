@@ -14,6 +14,12 @@ import {
   FiBox,
   FiTag,
   FiGrid,
+  FiPercent,
+  FiRotateCcw,
+  FiStar,
+  FiTruck,
+  FiNavigation,
+  FiBriefcase,
   FiMenu, // Add Menu icon
   FiX, // Add Close icon
 } from 'react-icons/fi';
@@ -33,13 +39,23 @@ const getPageTitle = (pathname) => {
     case 'products':
       if (action === 'new') return 'Add New Product';
       if (action === 'edit' && id) return 'Edit Product';
+      if (action === 'approvals') return 'Product Approvals';
       return 'Products';
     case 'categories':
       if (action === 'new') return 'Add New Category';
       if (action === 'edit' && id) return 'Edit Category';
       return 'Categories';
-    case 'orders': return 'Orders';
+    case 'coupons':
+      if (action === 'new') return 'Add New Coupon';
+      if (action === 'edit' && id) return 'Edit Coupon';
+      return 'Coupons';
+    case 'orders': return action ? 'Order Detail' : 'Orders';
+    case 'returns': return 'Returns';
+    case 'shipping': return 'Shipping';
+    case 'deliveries': return 'Deliveries';
+    case 'reviews': return 'Reviews';
     case 'users': return 'Users';
+    case 'sellers': return 'Sellers';
     case 'settings': return 'Settings';
     default: return 'Admin Panel'; // Fallback
   }
@@ -124,18 +140,54 @@ const AdminLayout = () => {
               {!isCollapsed && <span>Categories</span>}
             </NavLink>
           </li>
+          <li>
+            <NavLink to="/admin/coupons" className={getNavLinkClass}>
+              <FiPercent className="h-5 w-5 flex-shrink-0" />
+              {!isCollapsed && <span>Coupons</span>}
+            </NavLink>
+          </li>
           <li>
             <NavLink to="/admin/orders" className={getNavLinkClass}>
               <FiShoppingBag className="h-5 w-5 flex-shrink-0" />
               {!isCollapsed && <span>Orders</span>}
             </NavLink>
           </li>
+          <li>
+            <NavLink to="/admin/returns" className={getNavLinkClass}>
+              <FiRotateCcw className="h-5 w-5 flex-shrink-0" />
+              {!isCollapsed && <span>Returns</span>}
+            </NavLink>
+          </li>
+          <li>
+            <NavLink to="/admin/shipping" className={getNavLinkClass}>
+              <FiTruck className="h-5 w-5 flex-shrink-0" />
+              {!isCollapsed && <span>Shipping</span>}
+            </NavLink>
+          </li>
+          <li>
+            <NavLink to="/admin/deliveries" className={getNavLinkClass}>
+              <FiNavigation className="h-5 w-5 flex-shrink-0" />
+              {!isCollapsed && <span>Deliveries</span>}
+            </NavLink>
+          </li>
+          <li>
+            <NavLink to="/admin/reviews" className={getNavLinkClass}>
+              <FiStar className="h-5 w-5 flex-shrink-0" />
+              {!isCollapsed && <span>Reviews</span>}
+            </NavLink>
+          </li>
           <li>
             <NavLink to="/admin/users" className={getNavLinkClass}>
               <FiUsers className="h-5 w-5 flex-shrink-0" />
               {!isCollapsed && <span>Users</span>}
             </NavLink>
           </li>
+          <li>
+            <NavLink to="/admin/sellers" className={getNavLinkClass}>
+              <FiBriefcase className="h-5 w-5 flex-shrink-0" />
+              {!isCollapsed && <span>Sellers</span>}
+            </NavLink>
+          </li>
           <li>
             <NavLink to="/admin/finance" className={getNavLinkClass}>
               <FiDollarSign className="h-5 w-5 flex-shrink-0" />
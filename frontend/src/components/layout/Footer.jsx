@@ -10,6 +10,7 @@ const Footer = () => {
   ]
 
   const customerLinks = [
+    { name: "Track Your Order", path: "/track-order" },
     { name: "Contact Us", path: "/contact" },
     { name: "FAQs", path: "/faq" },
     { name: "Shipping", path: "/shipping" },
@@ -6,7 +6,8 @@ import { useAuth } from "../../contexts/authContext.jsx"
 import { useSelector } from 'react-redux';
 import { selectCartCount } from '../../store/cartSlice';
 import { supabase } from "../../services/supabaseClient"
-import { Search, ShoppingCart, User, Menu, X, Store } from "lucide-react"
+import { ShoppingCart, User, Menu, X, Store } from "lucide-react"
+import HeaderSearch from "./HeaderSearch"
 
 // Font stacks for luxury, flowing look
 const flowingSerif = '"Playfair Display", "Georgia", serif';
@@ -81,9 +82,9 @@ const Header = () => {
           </nav>
           {/* Actions Right */}
           <div className="flex items-center space-x-4">
-            <button className={`hidden md:flex items-center ${isScrolled ? 'text-neutral-700 hover:text-black' : 'text-black hover:text-neutral-700'} transition-colors`} style={{textShadow: isScrolled ? 'none' : '0 2px 8px rgba(0,0,0,0.12)'}}>
-              <Search className="h-5 w-5" />
-            </button>
+            <div className={`hidden md:flex items-center ${isScrolled ? 'text-neutral-700 hover:text-black' : 'text-black hover:text-neutral-700'} transition-colors`} style={{textShadow: isScrolled ? 'none' : '0 2px 8px rgba(0,0,0,0.12)'}}>
+              <HeaderSearch />
+            </div>
             
             {/* Seller Link - Show based on authentication and seller status */}
             {isAuthenticated && (
@@ -119,7 +120,10 @@ const Header = () => {
       </div>
       {/* Simple Dropdown Menu (mobile only, below hamburger) */}
       {isMenuOpen && (
-        <div className="md:hidden absolute right-4 top-20 w-56 bg-white border border-neutral-200 rounded-xl shadow-xl z-50 animate-fadeIn">
+        <div className="md:hidden absolute right-4 top-20 w-72 bg-white border border-neutral-200 rounded-xl shadow-xl z-50 animate-fadeIn">
+          <div className="px-6 pt-4 pb-2">
+            <HeaderSearch inline onNavigate={() => setIsMenuOpen(false)} />
+          </div>
           <nav className="flex flex-col py-2">
             <Link to="/products" className="px-6 py-3 text-base font-medium uppercase tracking-widest text-black hover:bg-neutral-100 transition-all" style={{fontFamily: flowingSans}} onClick={() => setIsMenuOpen(false)}>
               All Products
@@ -0,0 +1,297 @@
+import { useState, useEffect, useRef, useId } from "react"
+import { useNavigate } from "react-router-dom"
+import { Search, X, Clock, Tag, Layers } from "lucide-react"
+import { fetchSearchSuggestions, MIN_SUGGESTION_QUERY_LENGTH } from "../../services/searchApi"
+import { getRecentSearches, addRecentSearch, removeRecentSearch, clearRecentSearches } from "../../utils/recentSearches"
+import { getEffectivePrice } from "../../utils/pricing"
+import { formatETB } from "../../utils/utils"
+
+const SUGGESTION_DELAY_MS = 250;
+const emptySuggestions = { products: [], categories: [], collections: [] };
+
+/**
+ * Header search box with autocomplete.
+ * Arrow keys move through the options, Enter opens the highlighted one (or searches for the
+ * typed text) and Escape closes the panel. With an empty box it lists recent searches.
+ * @param {{ inline?: boolean, onNavigate?: () => void }} props
+ *   inline: always show the input (mobile menu) instead of expanding from the icon.
+ *   onNavigate: called after leaving for a result, e.g. to close the surrounding menu.
+ */
+export default function HeaderSearch({ inline = false, onNavigate }) {
+  const navigate = useNavigate();
+  const listboxId = useId();
+  const containerRef = useRef(null);
+  const inputRef = useRef(null);
+  const requestRef = useRef(0);
+
+  const [isOpen, setIsOpen] = useState(false);
+  const [query, setQuery] = useState('');
+  const [suggestions, setSuggestions] = useState(emptySuggestions);
+  const [isLoading, setIsLoading] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const [recentSearches, setRecentSearches] = useState(getRecentSearches);
+
+  const trimmedQuery = query.trim();
+  const showSuggestions = trimmedQuery.length >= MIN_SUGGESTION_QUERY_LENGTH;
+
+  // Debounced fetch; a response for an older query is dropped
+  useEffect(() => {
+    if (!showSuggestions) {
+      setSuggestions(emptySuggestions);
+      setIsLoading(false);
+      return;
+    }
+    const requestId = ++requestRef.current;
+    setIsLoading(true);
+    const timer = setTimeout(() => {
+      fetchSearchSuggestions(trimmedQuery)
+        .then(res => {
+          if (requestId === requestRef.current) setSuggestions(res.data || emptySuggestions);
+        })
+        .catch(err => {
+          console.error('Search suggestions failed:', err);
+          if (requestId === requestRef.current) setSuggestions(emptySuggestions);
+        })
+        .finally(() => {
+          if (requestId === requestRef.current) setIsLoading(false);
+        });
+    }, SUGGESTION_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [trimmedQuery, showSuggestions]);
+
+  useEffect(() => {
+    setActiveIndex(-1);
+  }, [trimmedQuery]);
+
+  // Close when clicking anywhere outside the box and its panel
+  useEffect(() => {
+    if (!isOpen) return;
+    const handlePointerDown = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) setIsOpen(false);
+    };
+    document.addEventListener('mousedown', handlePointerDown);
+    return () => document.removeEventListener('mousedown', handlePointerDown);
+  }, [isOpen]);
+
+  // Flat list of everything the arrow keys can reach, in display order
+  const options = showSuggestions
+    ? [
+      ...suggestions.products.map(product => ({ type: 'product', key: `product-${product.id}`, item: product })),
+      ...suggestions.categories.map(category => ({ type: 'category', key: `category-${category.id}`, item: category })),
+      ...suggestions.collections.map(collection => ({ type: 'collection', key: `collection-${collection.id}`, item: collection })),
+      { type: 'search', key: 'search', item: trimmedQuery },
+    ]
+    : recentSearches.map(term => ({ type: 'recent', key: `recent-${term}`, item: term }));
+
+  const close = () => {
+    setIsOpen(false);
+    setActiveIndex(-1);
+    inputRef.current?.blur();
+  };
+
+  const leaveFor = (path) => {
+    close();
+    setQuery('');
+    navigate(path);
+    onNavigate?.();
+  };
+
+  const searchFor = (term) => {
+    const trimmed = term.trim();
+    if (!trimmed) return;
+    setRecentSearches(addRecentSearch(trimmed));
+    leaveFor(`/products?search=${encodeURIComponent(trimmed)}`);
+  };
+
+  const selectOption = (option) => {
+    switch (option.type) {
+      case 'product':
+        setRecentSearches(addRecentSearch(trimmedQuery));
+        leaveFor(`/products/${option.item.slug || option.item.id}`);
+        break;
+      case 'category':
+        leaveFor(`/products?category=${encodeURIComponent(option.item.slug)}`);
+        break;
+      case 'collection':
+        leaveFor(`/collections/${option.item.id}`);
+        break;
+      default:
+        searchFor(option.item);
+    }
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      setIsOpen(true);
+      if (options.length === 0) return;
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      // -1 is the input itself, so the highlight wraps through it
+      setActiveIndex(prev => ((prev + 1 + step + options.length + 1) % (options.length + 1)) - 1);
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      if (activeIndex >= 0 && options[activeIndex]) {
+        selectOption(options[activeIndex]);
+      } else {
+        searchFor(query);
+      }
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      close();
+    }
+  };
+
+  const handleRemoveRecent = (e, term) => {
+    e.stopPropagation();
+    setRecentSearches(removeRecentSearch(term));
+    inputRef.current?.focus();
+  };
+
+  const optionId = (index) => `${listboxId}-option-${index}`;
+  const optionClass = (index) =>
+    `flex w-full items-center gap-3 px-4 py-2 text-left text-sm cursor-pointer ${activeIndex === index ? 'bg-neutral-100' : 'hover:bg-neutral-50'}`;
+
+  const renderOption = (option, index) => {
+    const common = {
+      id: optionId(index),
+      role: 'option',
+      'aria-selected': activeIndex === index,
+      className: optionClass(index),
+      onMouseEnter: () => setActiveIndex(index),
+      // mousedown would blur the input before the click lands
+      onMouseDown: (e) => e.preventDefault(),
+      onClick: () => selectOption(option),
+    };
+    switch (option.type) {
+      case 'product':
+        return (
+          <li key={option.key} {...common}>
+            {option.item.image ? (
+              <img src={option.item.image} alt="" className="h-10 w-10 rounded object-cover bg-neutral-100 flex-shrink-0" />
+            ) : (
+              <div className="h-10 w-10 rounded bg-neutral-100 flex-shrink-0" />
+            )}
+            <span className="flex-1 truncate text-black">{option.item.name}</span>
+            <span className="text-neutral-500 whitespace-nowrap">{formatETB(getEffectivePrice(option.item))}</span>
+          </li>
+        );
+      case 'category':
+        return (
+          <li key={option.key} {...common}>
+            <Tag className="h-4 w-4 text-neutral-400 flex-shrink-0" />
+            <span className="flex-1 truncate text-black">{option.item.name}</span>
+            <span className="text-xs uppercase tracking-widest text-neutral-400">Category</span>
+          </li>
+        );
+      case 'collection':
+        return (
+          <li key={option.key} {...common}>
+            <Layers className="h-4 w-4 text-neutral-400 flex-shrink-0" />
+            <span className="flex-1 truncate text-black">{option.item.name}</span>
+            <span className="text-xs uppercase tracking-widest text-neutral-400">Collection</span>
+          </li>
+        );
+      case 'recent':
+        return (
+          <li key={option.key} {...common}>
+            <Clock className="h-4 w-4 text-neutral-400 flex-shrink-0" />
+            <span className="flex-1 truncate text-black">{option.item}</span>
+            <button
+              type="button"
+              className="p-1 text-neutral-400 hover:text-black"
+              aria-label={`Remove ${option.item} from recent searches`}
+              onClick={(e) => handleRemoveRecent(e, option.item)}
+            >
+              <X className="h-3.5 w-3.5" />
+            </button>
+          </li>
+        );
+      default:
+        return (
+          <li key={option.key} {...common}>
+            <Search className="h-4 w-4 text-neutral-400 flex-shrink-0" />
+            <span className="flex-1 truncate text-black">
+              Search for “<span className="font-medium">{option.item}</span>”
+            </span>
+          </li>
+        );
+    }
+  };
+
+  const hasResults = options.some(option => option.type !== 'search');
+  const showPanel = isOpen && (showSuggestions || recentSearches.length > 0);
+
+  if (!inline && !isOpen) {
+    return (
+      <button
+        type="button"
+        className="flex items-center text-inherit"
+        aria-label="Search"
+        onClick={() => {
+          setIsOpen(true);
+          setTimeout(() => inputRef.current?.focus(), 0);
+        }}
+      >
+        <Search className="h-5 w-5" />
+      </button>
+    );
+  }
+
+  return (
+    <div ref={containerRef} className={`relative ${inline ? 'w-full' : 'w-72'}`}>
+      <div className="flex items-center gap-2 border-b border-black pb-1">
+        <Search className="h-4 w-4 text-neutral-500 flex-shrink-0" />
+        <input
+          ref={inputRef}
+          type="search"
+          value={query}
+          onChange={(e) => {
+            setQuery(e.target.value);
+            setIsOpen(true);
+          }}
+          onFocus={() => setIsOpen(true)}
+          onKeyDown={handleKeyDown}
+          placeholder="Search products, categories..."
+          className="w-full bg-transparent text-sm text-black placeholder-neutral-400 focus:outline-none [&::-webkit-search-cancel-button]:hidden"
+          role="combobox"
+          aria-expanded={showPanel}
+          aria-controls={listboxId}
+          aria-autocomplete="list"
+          aria-activedescendant={activeIndex >= 0 ? optionId(activeIndex) : undefined}
+        />
+        {!inline && (
+          <button type="button" onClick={close} className="text-neutral-500 hover:text-black" aria-label="Close search">
+            <X className="h-4 w-4" />
+          </button>
+        )}
+      </div>
+
+      {showPanel && (
+        <div className={`${inline ? 'mt-2' : 'absolute right-0 top-full mt-3 w-96'} bg-white border border-neutral-200 rounded-xl shadow-xl z-50 overflow-hidden`}>
+          {!showSuggestions && (
+            <div className="flex items-center justify-between px-4 pt-3 pb-1">
+              <span className="text-xs uppercase tracking-widest text-neutral-400">Recent searches</span>
+              <button
+                type="button"
+                className="text-xs text-neutral-500 hover:text-black"
+                onMouseDown={(e) => e.preventDefault()}
+                onClick={() => setRecentSearches(clearRecentSearches())}
+              >
+                Clear
+              </button>
+            </div>
+          )}
+          {showSuggestions && isLoading && !hasResults && (
+            <p className="px-4 pt-3 text-sm text-neutral-500">Searching...</p>
+          )}
+          {showSuggestions && !isLoading && !hasResults && (
+            <p className="px-4 pt-3 text-sm text-neutral-500">No matches for “{trimmedQuery}”</p>
+          )}
+          <ul id={listboxId} role="listbox" className="py-2 max-h-96 overflow-y-auto">
+            {options.map(renderOption)}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -15,6 +15,8 @@ import {
   FiTag,
   FiBarChart,
   FiUser,
+  FiRotateCcw,
+  FiStar,
 } from 'react-icons/fi';
 import { useAuth } from '../../contexts/authContext.jsx';
 
@@ -33,8 +35,13 @@ const getPageTitle = (pathname) => {
       if (action === 'new') return 'Create Collection';
       if (action === 'edit' && id) return 'Edit Collection';
       return 'My Collections';
-    case 'products': return 'My Products';
+    case 'products':
+      if (action === 'new') return 'Add Product';
+      if (action === 'edit' && id) return 'Edit Product';
+      return 'My Products';
     case 'orders': return 'My Orders';
+    case 'returns': return 'Returns';
+    case 'reviews': return 'Reviews';
     case 'earnings': return 'Earnings';
     case 'profile': return 'Seller Profile';
     case 'settings': return 'Settings';
@@ -127,6 +134,18 @@ const SellerLayout = () => {
               {!isCollapsed && <span>Orders</span>}
             </NavLink>
           </li>
+          <li>
+            <NavLink to="/seller/returns" className={getNavLinkClass}>
+              <FiRotateCcw className="h-5 w-5 flex-shrink-0" />
+              {!isCollapsed && <span>Returns</span>}
+            </NavLink>
+          </li>
+          <li>
+            <NavLink to="/seller/reviews" className={getNavLinkClass}>
+              <FiStar className="h-5 w-5 flex-shrink-0" />
+              {!isCollapsed && <span>Reviews</span>}
+            </NavLink>
+          </li>
           <li>
             <NavLink to="/seller/earnings" className={getNavLinkClass}>
               <FiDollarSign className="h-5 w-5 flex-shrink-0" />
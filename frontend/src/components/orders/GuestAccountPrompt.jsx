@@ -0,0 +1,110 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { FiUserPlus } from 'react-icons/fi';
+import { supabase } from '../../services/supabaseClient';
+import { claimGuestOrders } from '../../services/guestOrderApi';
+import Spinner from '../common/Spinner';
+
+/**
+ * Offered after a guest checkout: an account with the email the order was placed with.
+ * Guest orders move onto the account the first time it signs in with that email confirmed
+ * (see claim_guest_orders()), so nothing is linked until the shopper has proved the address.
+ * Signs up directly rather than through useAuth().register, which would swap the page for
+ * the app-wide spinner and lose the order on screen.
+ */
+const GuestAccountPrompt = ({ email, name = '', className = '' }) => {
+  const [fullName, setFullName] = useState(name);
+  const [password, setPassword] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+  const [done, setDone] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (password.length < 6) {
+      setError('Password must be at least 6 characters.');
+      return;
+    }
+    setSubmitting(true);
+    setError(null);
+    try {
+      const { data, error: signUpError } = await supabase.auth.signUp({
+        email,
+        password,
+        options: { data: { full_name: fullName.trim() } },
+      });
+      if (signUpError) throw signUpError;
+      // Projects without email confirmation sign the shopper straight in
+      if (data?.session) {
+        await claimGuestOrders().catch(err => console.error('Failed to claim guest orders:', err));
+      }
+      setDone(true);
+    } catch (err) {
+      setError(err.message || 'Could not create your account.');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (!email) return null;
+
+  return (
+    <div className={`bg-neutral-50 border border-neutral-200 rounded-xl p-6 text-left space-y-4 ${className}`}>
+      <div className="flex items-start gap-3">
+        <FiUserPlus className="w-5 h-5 text-neutral-700 mt-0.5 flex-shrink-0" />
+        <div>
+          <h2 className="font-semibold text-neutral-900">Save this order to an account</h2>
+          <p className="text-sm text-neutral-600 mt-1">
+            Track it, cancel or return items and check out faster next time.
+          </p>
+        </div>
+      </div>
+
+      {done ? (
+        <p className="text-sm text-emerald-700">
+          Almost there: confirm the email we sent to <span className="font-medium">{email}</span>, then{' '}
+          <Link to="/login" className="font-medium underline">sign in</Link> and this order will be added to your account.
+        </p>
+      ) : (
+        <form onSubmit={handleSubmit} className="space-y-3">
+          <input
+            type="text"
+            value={fullName}
+            onChange={(e) => setFullName(e.target.value)}
+            placeholder="Full name"
+            className="w-full px-4 py-2 border border-gray-200 rounded-lg text-sm focus:ring-1 focus:ring-black focus:border-black"
+          />
+          <input
+            type="email"
+            value={email}
+            readOnly
+            className="w-full px-4 py-2 border border-gray-200 rounded-lg text-sm bg-gray-100 text-neutral-600"
+          />
+          <input
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            placeholder="Choose a password"
+            autoComplete="new-password"
+            required
+            className="w-full px-4 py-2 border border-gray-200 rounded-lg text-sm focus:ring-1 focus:ring-black focus:border-black"
+          />
+          {error && <p className="text-sm text-red-600">{error}</p>}
+          <button
+            type="submit"
+            disabled={submitting}
+            className="inline-flex items-center justify-center gap-2 w-full px-6 py-2.5 bg-black text-white text-sm font-medium rounded-full hover:bg-neutral-900 disabled:opacity-60"
+          >
+            {submitting && <Spinner size="sm" />}
+            Create Account
+          </button>
+          <p className="text-xs text-neutral-500 text-center">
+            Already have one? <Link to="/login" className="underline">Sign in</Link> with this email to add the order.
+          </p>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default GuestAccountPrompt;
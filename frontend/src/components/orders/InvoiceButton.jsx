@@ -0,0 +1,37 @@
+import React, { useState } from 'react';
+import toast from 'react-hot-toast';
+import { FiFileText } from 'react-icons/fi';
+import Spinner from '../common/Spinner';
+import { generateInvoiceApi } from '../../services/orderApi';
+
+/**
+ * Downloads the order's PDF invoice (generate-invoice signs the link as an attachment, so the
+ * browser saves it without leaving the page). Admins pass `regenerate` to re-render it first.
+ */
+const InvoiceButton = ({ orderId, regenerate = false, className = '', label, iconSize = 16 }) => {
+  const [loading, setLoading] = useState(false);
+
+  const handleClick = async () => {
+    setLoading(true);
+    try {
+      const response = await generateInvoiceApi(orderId, { regenerate });
+      if (regenerate) {
+        toast.success(`Invoice ${response.data.invoiceNumber} regenerated.`);
+      }
+      window.location.assign(response.data.url);
+    } catch (err) {
+      toast.error(err.message || 'Could not get the invoice.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <button type="button" onClick={handleClick} disabled={loading} className={className}>
+      {loading ? <Spinner size="sm" /> : <FiFileText size={iconSize} />}
+      {label ?? (regenerate ? 'Regenerate Invoice' : 'Download Invoice')}
+    </button>
+  );
+};
+
+export default InvoiceButton;
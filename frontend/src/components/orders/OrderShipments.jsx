@@ -0,0 +1,73 @@
+import React from 'react';
+import { FiPackage } from 'react-icons/fi';
+import { getOrderStatusBadgeClass, formatOrderStatus, getShipmentProgress } from '../../utils/orderStatus';
+
+/**
+ * "Partially shipped (1 of 2)" pill for orders whose stores ship separately; renders nothing
+ * until some, but not all, of the shipments are on their way.
+ */
+export const PartialShipmentBadge = ({ fulfillments, className = '' }) => {
+  const progress = getShipmentProgress(fulfillments);
+  if (!progress.partial) return null;
+  return (
+    <span className={`px-3 py-1 rounded-full text-sm font-medium bg-amber-100 text-amber-800 ${className}`}>
+      Partially shipped ({progress.shipped} of {progress.total})
+    </span>
+  );
+};
+
+/**
+ * An order's shipments (order_fulfillments, one per store), each with its own status, tracking
+ * and the order lines it carries. Single-shipment orders are covered by the order's own
+ * tracking box, so this renders only when the order ships in more than one part.
+ */
+const OrderShipments = ({ fulfillments = [], items = [], className = '' }) => {
+  if (!fulfillments || fulfillments.length < 2) return null;
+
+  return (
+    <div className={`bg-white rounded-xl shadow border border-neutral-200 p-6 ${className}`}>
+      <h2 className="text-lg font-semibold text-neutral-900">Shipments</h2>
+      <p className="text-sm text-neutral-500 mt-1 mb-4">
+        Your order comes from {fulfillments.length} stores, so it arrives in separate packages.
+      </p>
+      <ul className="divide-y divide-neutral-100">
+        {fulfillments.map((fulfillment, index) => {
+          const lines = items.filter(item => item.fulfillment_id === fulfillment.id);
+          return (
+            <li key={fulfillment.id} className="py-4 first:pt-0 last:pb-0 space-y-2">
+              <div className="flex flex-wrap items-center justify-between gap-2">
+                <p className="flex items-center gap-2 font-medium text-neutral-900">
+                  <FiPackage className="text-neutral-500" />
+                  Package {index + 1}
+                  <span className="font-normal text-neutral-500">· {fulfillment.store_name || 'Marketplace seller'}</span>
+                </p>
+                <span className={`px-2.5 py-0.5 rounded-full text-xs font-medium ${getOrderStatusBadgeClass(fulfillment.status)}`}>
+                  {formatOrderStatus(fulfillment.status)}
+                </span>
+              </div>
+              {lines.length > 0 && (
+                <p className="text-sm text-neutral-600">
+                  {lines.map(item => `${item.product?.name || 'Product'}${item.quantity > 1 ? ` ×${item.quantity}` : ''}`).join(', ')}
+                </p>
+              )}
+              <div className="text-sm text-neutral-600 space-y-0.5">
+                {fulfillment.carrier && <p>Carrier: <span className="font-medium">{fulfillment.carrier}</span></p>}
+                {fulfillment.tracking_number && (
+                  <p>Tracking number: <span className="font-mono font-medium">{fulfillment.tracking_number}</span></p>
+                )}
+                {fulfillment.delivered_at ? (
+                  <p>Delivered on {new Date(fulfillment.delivered_at).toLocaleDateString()}</p>
+                ) : fulfillment.shipped_at ? (
+                  <p>Shipped on {new Date(fulfillment.shipped_at).toLocaleDateString()}</p>
+                ) : null}
+                {fulfillment.note && <p className="text-neutral-500">{fulfillment.note}</p>}
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+};
+
+export default OrderShipments;
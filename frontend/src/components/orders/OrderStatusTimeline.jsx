@@ -0,0 +1,61 @@
+import React from 'react';
+import { ORDER_EVENT_LABELS, formatOrderStatus, sortStatusHistory } from '../../utils/orderStatus';
+
+const ACTOR_LABELS = {
+  admin: 'by SuriAddis',
+  customer: 'by you',
+  rider: 'by your rider',
+  seller: 'by the seller',
+  system: 'automatically',
+};
+
+const DOT_CLASSES = {
+  cancelled: 'bg-red-500',
+  refunded: 'bg-purple-500',
+  returned: 'bg-orange-500',
+  delivered: 'bg-emerald-500',
+};
+
+const entryTitle = (entry) => {
+  if (entry.event) return ORDER_EVENT_LABELS[entry.event] || entry.event;
+  return entry.from_status ? formatOrderStatus(entry.to_status) : `Order placed · ${formatOrderStatus(entry.to_status)}`;
+};
+
+/**
+ * Vertical timeline of an order's status changes and delivery events (order_status_history rows).
+ * `actorLabels` lets the admin views say "by admin" / "by customer" instead.
+ */
+const OrderStatusTimeline = ({ history = [], actorLabels = ACTOR_LABELS, className = '' }) => {
+  const entries = sortStatusHistory(history);
+  if (entries.length === 0) {
+    return <p className={`text-sm text-slate-400 italic ${className}`}>No status history yet.</p>;
+  }
+
+  return (
+    <ol className={`relative border-l border-slate-200 ml-2 ${className}`}>
+      {entries.map((entry, index) => {
+        const isLatest = index === entries.length - 1;
+        return (
+          <li key={entry.id} className="mb-5 ml-5 last:mb-0">
+            <span
+              className={`absolute -left-1.5 mt-1.5 h-3 w-3 rounded-full ring-4 ring-white ${
+                (entry.event === 'delivery_failed' && 'bg-red-500')
+                || (!entry.event && DOT_CLASSES[entry.to_status])
+                || (isLatest ? 'bg-slate-900' : 'bg-slate-300')
+              }`}
+            />
+            <p className={`text-sm ${isLatest ? 'font-semibold text-slate-900' : 'font-medium text-slate-700'}`}>
+              {entryTitle(entry)}
+            </p>
+            <p className="text-xs text-slate-500">
+              {new Date(entry.created_at).toLocaleString()} · {actorLabels[entry.actor_role] || entry.actor_role}
+            </p>
+            {entry.note && <p className="text-sm text-slate-600 mt-1">{entry.note}</p>}
+          </li>
+        );
+      })}
+    </ol>
+  );
+};
+
+export default OrderStatusTimeline;
@@ -0,0 +1,45 @@
+import ProductCard from "../ui/ProductCard.jsx"
+import SkeletonCard from "../ui/SkeletonCard.jsx"
+
+const DEFAULT_GRID = "grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-4 gap-2 sm:gap-4"
+
+/**
+ * Titled row of product cards used by the recommendation sections. Renders nothing once loaded
+ * without products, so pages can drop it in unconditionally.
+ * @param {{
+ *   title: string,
+ *   description?: string,
+ *   products: object[],
+ *   isLoading?: boolean,
+ *   skeletonCount?: number,
+ *   className?: string,
+ *   titleClassName?: string,
+ *   gridClassName?: string,
+ * }} props
+ */
+export default function ProductStrip({
+  title,
+  description,
+  products,
+  isLoading = false,
+  skeletonCount = 4,
+  className = "",
+  titleClassName = "text-2xl font-semibold text-neutral-900",
+  gridClassName = DEFAULT_GRID,
+}) {
+  if (!isLoading && products.length === 0) return null
+
+  return (
+    <section className={className}>
+      <div className="mb-6 sm:mb-8">
+        <h2 className={titleClassName}>{title}</h2>
+        {description && <p className="text-neutral-500 mt-2 text-sm sm:text-base">{description}</p>}
+      </div>
+      <div className={gridClassName}>
+        {isLoading
+          ? Array.from({ length: skeletonCount }).map((_, i) => <SkeletonCard key={i} />)
+          : products.map(product => <ProductCard key={product.id} product={product} />)}
+      </div>
+    </section>
+  )
+}
@@ -0,0 +1,209 @@
+import React, { useState } from 'react';
+import { FiPlus, FiTrash2 } from 'react-icons/fi';
+import { getImageUrl } from '../../utils/imageUrl';
+
+const emptyVariant = () => ({
+  id: null,
+  size: '',
+  color: '',
+  sku: '',
+  barcode: '',
+  price: '',
+  stock_quantity: 0,
+  images: [],
+  is_active: true,
+});
+
+// Comma separated list -> trimmed, de-duplicated values
+const splitList = (value) => [...new Set(value.split(',').map(v => v.trim()).filter(Boolean))];
+
+/**
+ * Admin editor for a product's size x color variants. `variants` is the list sent to the admin
+ * product functions as-is; `images` are the product's saved image paths, which variants can
+ * point at (images uploaded in the same edit can be linked after saving).
+ */
+const ProductVariantsEditor = ({ variants, onChange, images = [] }) => {
+  const [sizesInput, setSizesInput] = useState('');
+  const [colorsInput, setColorsInput] = useState('');
+
+  const updateVariant = (index, changes) => {
+    onChange(variants.map((variant, i) => (i === index ? { ...variant, ...changes } : variant)));
+  };
+
+  const removeVariant = (index) => {
+    onChange(variants.filter((_, i) => i !== index));
+  };
+
+  const toggleImage = (index, path) => {
+    const current = variants[index].images || [];
+    updateVariant(index, {
+      images: current.includes(path) ? current.filter(p => p !== path) : [...current, path],
+    });
+  };
+
+  // Adds every size x color combination that is not listed yet
+  const generateCombinations = () => {
+    const sizes = splitList(sizesInput);
+    const colors = splitList(colorsInput);
+    if (sizes.length === 0 && colors.length === 0) return;
+    const existing = new Set(variants.map(v => `${(v.size || '').toLowerCase()}|${(v.color || '').toLowerCase()}`));
+    const added = [];
+    (sizes.length > 0 ? sizes : ['']).forEach(size => {
+      (colors.length > 0 ? colors : ['']).forEach(color => {
+        const key = `${size.toLowerCase()}|${color.toLowerCase()}`;
+        if (!existing.has(key)) {
+          existing.add(key);
+          added.push({ ...emptyVariant(), size, color });
+        }
+      });
+    });
+    onChange([...variants, ...added]);
+    setSizesInput('');
+    setColorsInput('');
+  };
+
+  const cellInput = 'block w-full px-2 py-1.5 border border-slate-200 rounded-md text-sm focus:outline-none focus:ring-1 focus:ring-slate-400';
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-1 sm:grid-cols-[1fr_1fr_auto] gap-3 items-end">
+        <div>
+          <label className="block text-xs font-medium text-slate-600 mb-1">Sizes</label>
+          <input
+            type="text"
+            value={sizesInput}
+            onChange={(e) => setSizesInput(e.target.value)}
+            className={cellInput}
+            placeholder="e.g., S, M, L"
+          />
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-slate-600 mb-1">Colors</label>
+          <input
+            type="text"
+            value={colorsInput}
+            onChange={(e) => setColorsInput(e.target.value)}
+            className={cellInput}
+            placeholder="e.g., Black, White"
+          />
+        </div>
+        <button
+          type="button"
+          onClick={generateCombinations}
+          className="px-3 py-1.5 border border-slate-200 rounded-md text-sm text-slate-700 hover:bg-slate-50"
+        >
+          Add combinations
+        </button>
+      </div>
+
+      {variants.length > 0 && (
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-slate-200 text-sm">
+            <thead className="bg-slate-50">
+              <tr>
+                {['Size', 'Color', 'SKU', 'Barcode', 'Price', 'Stock', 'Active', ''].map(heading => (
+                  <th key={heading} className="px-2 py-2 text-left text-xs font-medium text-slate-500 uppercase tracking-wider">
+                    {heading}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-slate-100">
+              {variants.map((variant, index) => (
+                <React.Fragment key={variant.id || `new-${index}`}>
+                  <tr>
+                    <td className="px-2 pt-2 w-24">
+                      <input type="text" value={variant.size || ''} onChange={(e) => updateVariant(index, { size: e.target.value })} className={cellInput} />
+                    </td>
+                    <td className="px-2 pt-2 w-28">
+                      <input type="text" value={variant.color || ''} onChange={(e) => updateVariant(index, { color: e.target.value })} className={cellInput} />
+                    </td>
+                    <td className="px-2 pt-2 w-32">
+                      <input type="text" value={variant.sku || ''} onChange={(e) => updateVariant(index, { sku: e.target.value })} className={cellInput} />
+                    </td>
+                    <td className="px-2 pt-2 w-32">
+                      <input type="text" value={variant.barcode || ''} onChange={(e) => updateVariant(index, { barcode: e.target.value })} className={cellInput} />
+                    </td>
+                    <td className="px-2 pt-2 w-28">
+                      <input
+                        type="number"
+                        step="0.01"
+                        min="0"
+                        value={variant.price ?? ''}
+                        onChange={(e) => updateVariant(index, { price: e.target.value })}
+                        className={cellInput}
+                        placeholder="Product price"
+                      />
+                    </td>
+                    <td className="px-2 pt-2 w-20">
+                      <input
+                        type="number"
+                        step="1"
+                        min="0"
+                        value={variant.stock_quantity ?? 0}
+                        onChange={(e) => updateVariant(index, { stock_quantity: e.target.value })}
+                        className={cellInput}
+                      />
+                    </td>
+                    <td className="px-2 pt-2 text-center">
+                      <input
+                        type="checkbox"
+                        checked={variant.is_active !== false}
+                        onChange={(e) => updateVariant(index, { is_active: e.target.checked })}
+                        className="h-4 w-4 border-slate-300 rounded text-slate-600 focus:ring-slate-500"
+                      />
+                    </td>
+                    <td className="px-2 pt-2 text-right">
+                      <button
+                        type="button"
+                        onClick={() => removeVariant(index)}
+                        className="p-1.5 text-slate-400 hover:text-red-600"
+                        aria-label="Remove variant"
+                      >
+                        <FiTrash2 size={16} />
+                      </button>
+                    </td>
+                  </tr>
+                  {images.length > 0 && (
+                    <tr>
+                      <td colSpan={8} className="px-2 pb-3 pt-1">
+                        <div className="flex flex-wrap items-center gap-2">
+                          <span className="text-xs text-slate-500 mr-1">Images:</span>
+                          {images.map(path => {
+                            const selected = (variant.images || []).includes(path);
+                            return (
+                              <button
+                                key={path}
+                                type="button"
+                                onClick={() => toggleImage(index, path)}
+                                className={`w-10 h-10 rounded-md overflow-hidden border-2 ${selected ? 'border-slate-900' : 'border-transparent opacity-60 hover:opacity-100'}`}
+                                aria-pressed={selected}
+                              >
+                                <img src={getImageUrl(path)} alt="" className="w-full h-full object-cover" />
+                              </button>
+                            );
+                          })}
+                        </div>
+                      </td>
+                    </tr>
+                  )}
+                </React.Fragment>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <button
+        type="button"
+        onClick={() => onChange([...variants, emptyVariant()])}
+        className="flex items-center gap-2 text-sm text-slate-700 hover:text-slate-900"
+      >
+        <FiPlus size={16} />
+        Add variant
+      </button>
+    </div>
+  );
+};
+
+export default ProductVariantsEditor;
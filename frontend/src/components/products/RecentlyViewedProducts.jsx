@@ -0,0 +1,15 @@
+import useRecentlyViewed from "../../hooks/useRecentlyViewed.js"
+import ProductStrip from "./ProductStrip.jsx"
+
+/**
+ * "Recently viewed" strip; hidden for visitors without a history.
+ * @param {{ exclude?: string[], limit?: number, title?: string }} props
+ *   exclude: products already on screen (the product page's product, the cart lines).
+ *   Other props are passed to ProductStrip.
+ */
+export default function RecentlyViewedProducts({ exclude = [], limit = 4, title = "Recently Viewed", ...stripProps }) {
+  const { products, isLoading, isError } = useRecentlyViewed({ exclude, limit })
+
+  if (isError) return null
+  return <ProductStrip title={title} products={products} isLoading={isLoading} skeletonCount={limit} {...stripProps} />
+}
@@ -0,0 +1,14 @@
+import useRecommendations from "../../hooks/useRecommendations.js"
+import ProductStrip from "./ProductStrip.jsx"
+
+/**
+ * Recommendations for `productIds` and the visitor's history (see useRecommendations).
+ * @param {{ productIds?: string[], exclude?: string[], limit?: number, title: string }} props
+ *   Other props are passed to ProductStrip.
+ */
+export default function RecommendedProducts({ productIds = [], exclude = [], limit = 4, ...stripProps }) {
+  const { products, isLoading, isError } = useRecommendations({ productIds, exclude, limit })
+
+  if (isError) return null
+  return <ProductStrip products={products} isLoading={isLoading} skeletonCount={limit} {...stripProps} />
+}
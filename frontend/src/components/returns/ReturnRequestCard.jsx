@@ -0,0 +1,144 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import Spinner from '../common/Spinner';
+import { formatETB } from '../../utils/utils';
+import { getFirstProductImageUrl, placeholderImageUrl } from '../../utils/imageUrl';
+import { getReturnReasonLabel, reviewReturnRequest } from '../../services/returnApi';
+
+const STATUS_CLASSES = {
+  pending: 'bg-amber-100 text-amber-800',
+  approved: 'bg-emerald-100 text-emerald-800',
+  rejected: 'bg-red-100 text-red-800',
+};
+
+/**
+ * One return request with its items and photos. When the backend marks it `can_review`
+ * (admins, or the seller owning every item) approve/reject controls are shown.
+ * `orderLinkBase` turns the order id into a link, e.g. '/admin/orders'.
+ */
+const ReturnRequestCard = ({ request, onReviewed, orderLinkBase }) => {
+  const [note, setNote] = useState('');
+  const [refundAmount, setRefundAmount] = useState('');
+  const [submitting, setSubmitting] = useState(null);
+
+  const handleReview = async (decision) => {
+    setSubmitting(decision);
+    try {
+      await reviewReturnRequest(request.id, {
+        decision,
+        note: note || undefined,
+        refundAmount: decision === 'approved' && refundAmount !== '' ? refundAmount : undefined,
+      });
+      toast.success(decision === 'approved' ? 'Return approved and refund recorded.' : 'Return rejected.');
+      setNote('');
+      setRefundAmount('');
+      onReviewed?.();
+    } catch (err) {
+      toast.error(err.message || 'Could not review this return.');
+    } finally {
+      setSubmitting(null);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border border-slate-200 p-6 space-y-4">
+      <div className="flex flex-wrap items-start justify-between gap-2">
+        <div>
+          <p className="text-sm font-semibold text-slate-900">{getReturnReasonLabel(request.reason)}</p>
+          <p className="text-xs text-slate-500">
+            Requested {new Date(request.created_at).toLocaleString()}
+            {orderLinkBase ? (
+              <> · <Link to={`${orderLinkBase}/${request.order_id}`} className="hover:underline">Order #{request.order_id.slice(0, 8)}</Link></>
+            ) : null}
+          </p>
+        </div>
+        <span className={`px-2.5 py-0.5 rounded-full text-xs font-medium capitalize ${STATUS_CLASSES[request.status] || 'bg-slate-100 text-slate-800'}`}>
+          {request.status}
+        </span>
+      </div>
+
+      {request.details && <p className="text-sm text-slate-700">{request.details}</p>}
+
+      <ul className="divide-y divide-slate-100">
+        {(request.return_request_items || []).map(item => (
+          <li key={item.id} className="flex items-center gap-3 py-2 text-sm">
+            <img
+              src={item.product ? getFirstProductImageUrl(item.product) : placeholderImageUrl}
+              alt={item.product?.name || 'Product'}
+              className="h-10 w-10 rounded object-cover bg-slate-100 flex-shrink-0"
+            />
+            <span className="flex-1 text-slate-900">{item.product?.name || 'Product'}</span>
+            <span className="text-slate-500">× {item.quantity}</span>
+            <span className="w-24 text-right text-slate-900">{formatETB(item.amount)}</span>
+          </li>
+        ))}
+      </ul>
+
+      {request.photo_urls?.length > 0 && (
+        <div className="flex flex-wrap gap-2">
+          {request.photo_urls.map((url, index) => (
+            <a key={url} href={url} target="_blank" rel="noopener noreferrer">
+              <img src={url} alt={`Return photo ${index + 1}`} className="h-20 w-20 rounded object-cover border border-slate-200" />
+            </a>
+          ))}
+        </div>
+      )}
+
+      {request.status !== 'pending' && (
+        <div className="text-sm text-slate-600 space-y-1">
+          {request.status === 'approved' && request.refund_amount != null && (
+            <p>Refund: <span className="font-medium text-slate-900">{formatETB(request.refund_amount)}</span></p>
+          )}
+          {request.review_note && <p>Note: {request.review_note}</p>}
+        </div>
+      )}
+
+      {request.can_review && (
+        <div className="border-t border-slate-100 pt-4 space-y-3">
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+            <input
+              type="number"
+              min="0"
+              step="0.01"
+              value={refundAmount}
+              onChange={(e) => setRefundAmount(e.target.value)}
+              placeholder="Refund amount in ETB (optional)"
+              className="block w-full px-3 py-2 border border-slate-200 rounded-lg focus:outline-none focus:ring-1 focus:ring-slate-400 text-sm"
+            />
+            <input
+              type="text"
+              value={note}
+              onChange={(e) => setNote(e.target.value)}
+              placeholder="Note to the customer (optional)"
+              className="block w-full px-3 py-2 border border-slate-200 rounded-lg focus:outline-none focus:ring-1 focus:ring-slate-400 text-sm"
+            />
+          </div>
+          <p className="text-xs text-slate-500">Leave the amount empty to refund what the customer paid for these items.</p>
+          <div className="flex gap-3">
+            <button
+              type="button"
+              onClick={() => handleReview('approved')}
+              disabled={submitting !== null}
+              className="inline-flex items-center gap-2 px-4 py-2 rounded-md text-sm text-white bg-slate-900 hover:bg-slate-800 disabled:bg-slate-400"
+            >
+              {submitting === 'approved' && <Spinner size="sm" />}
+              Approve &amp; Refund
+            </button>
+            <button
+              type="button"
+              onClick={() => handleReview('rejected')}
+              disabled={submitting !== null}
+              className="inline-flex items-center gap-2 px-4 py-2 rounded-md text-sm border border-red-200 text-red-600 hover:bg-red-50 disabled:opacity-60"
+            >
+              {submitting === 'rejected' && <Spinner size="sm" />}
+              Reject
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ReturnRequestCard;
@@ -0,0 +1,153 @@
+import React, { useState } from 'react';
+import toast from 'react-hot-toast';
+import Spinner from '../common/Spinner';
+import { formatETB } from '../../utils/utils';
+import {
+  RETURN_REASONS,
+  MAX_RETURN_PHOTOS,
+  uploadReturnPhotos,
+  createReturnRequest,
+} from '../../services/returnApi';
+
+/**
+ * Shopper form for returning items from a delivered order. `returnableQuantities` maps an order
+ * item id to how many units can still be returned (ordered minus pending/approved requests).
+ */
+const ReturnRequestForm = ({ order, returnableQuantities, onSubmitted, onCancel }) => {
+  const [quantities, setQuantities] = useState({});
+  const [reason, setReason] = useState('');
+  const [details, setDetails] = useState('');
+  const [photos, setPhotos] = useState([]);
+  const [submitting, setSubmitting] = useState(false);
+
+  const items = (order.order_items || []).filter(item => (returnableQuantities[item.id] ?? item.quantity) > 0);
+  const selected = Object.entries(quantities).filter(([, quantity]) => quantity > 0);
+
+  const toggleItem = (item) => {
+    setQuantities(prev => ({ ...prev, [item.id]: prev[item.id] ? 0 : 1 }));
+  };
+
+  const handlePhotoChange = (e) => {
+    const files = Array.from(e.target.files || []);
+    if (files.length > MAX_RETURN_PHOTOS) {
+      toast.error(`You can attach up to ${MAX_RETURN_PHOTOS} photos.`);
+    }
+    setPhotos(files.slice(0, MAX_RETURN_PHOTOS));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (selected.length === 0 || !reason) return;
+    setSubmitting(true);
+    try {
+      const photoPaths = photos.length > 0 ? await uploadReturnPhotos(order.id, photos) : [];
+      await createReturnRequest({
+        orderId: order.id,
+        reason,
+        details: details || undefined,
+        items: selected.map(([orderItemId, quantity]) => ({ orderItemId, quantity })),
+        photoPaths,
+      });
+      toast.success('Return request sent. We will get back to you shortly.');
+      onSubmitted?.();
+    } catch (err) {
+      toast.error(err.message || 'Could not submit your return request.');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="bg-neutral-50 border border-neutral-200 rounded-xl p-6 space-y-5 print:hidden">
+      <div>
+        <h2 className="text-lg font-semibold text-neutral-900">Return items</h2>
+        <p className="text-sm text-neutral-500">Choose what you are sending back and tell us why.</p>
+      </div>
+
+      <ul className="space-y-3">
+        {items.map(item => {
+          const maxQuantity = returnableQuantities[item.id] ?? item.quantity;
+          const quantity = quantities[item.id] || 0;
+          return (
+            <li key={item.id} className="flex items-center gap-3 text-sm">
+              <input
+                type="checkbox"
+                checked={quantity > 0}
+                onChange={() => toggleItem(item)}
+                className="h-4 w-4 rounded border-neutral-300 text-black focus:ring-black"
+              />
+              <span className="flex-1 text-neutral-900">{item.product?.name || 'Product'}</span>
+              <span className="text-neutral-500">{formatETB(item.price)}</span>
+              <select
+                value={quantity || 1}
+                disabled={quantity === 0}
+                onChange={(e) => setQuantities(prev => ({ ...prev, [item.id]: Number(e.target.value) }))}
+                className="px-2 py-1 border border-neutral-300 rounded-lg bg-white text-sm disabled:opacity-50"
+              >
+                {Array.from({ length: maxQuantity }, (_, i) => i + 1).map(n => (
+                  <option key={n} value={n}>{n}</option>
+                ))}
+              </select>
+            </li>
+          );
+        })}
+      </ul>
+
+      <select
+        value={reason}
+        onChange={(e) => setReason(e.target.value)}
+        required
+        className="w-full px-4 py-3 border border-neutral-300 rounded-lg bg-white text-sm focus:ring-1 focus:ring-black focus:border-black"
+      >
+        <option value="">Reason for return…</option>
+        {RETURN_REASONS.map(r => (
+          <option key={r.id} value={r.id}>{r.label}</option>
+        ))}
+      </select>
+
+      <textarea
+        value={details}
+        onChange={(e) => setDetails(e.target.value)}
+        rows={3}
+        placeholder="Anything else we should know? (optional)"
+        className="w-full px-4 py-3 border border-neutral-300 rounded-lg bg-white text-sm focus:ring-1 focus:ring-black focus:border-black"
+      />
+
+      <div>
+        <label className="block text-sm font-medium text-neutral-700 mb-1">
+          Photos (optional, up to {MAX_RETURN_PHOTOS})
+        </label>
+        <input
+          type="file"
+          accept="image/*"
+          multiple
+          onChange={handlePhotoChange}
+          className="block w-full text-sm text-neutral-600 file:mr-4 file:py-2 file:px-4 file:rounded-full file:border-0 file:text-sm file:font-medium file:bg-neutral-200 file:text-neutral-800 hover:file:bg-neutral-300"
+        />
+        {photos.length > 0 && (
+          <p className="text-xs text-neutral-500 mt-1">{photos.map(photo => photo.name).join(', ')}</p>
+        )}
+      </div>
+
+      <div className="flex gap-3">
+        <button
+          type="submit"
+          disabled={submitting || selected.length === 0 || !reason}
+          className="inline-flex items-center gap-2 px-5 py-2 rounded-full bg-black text-white text-sm font-medium hover:bg-neutral-900 disabled:opacity-60"
+        >
+          {submitting && <Spinner size="sm" />}
+          Submit return request
+        </button>
+        <button
+          type="button"
+          onClick={onCancel}
+          className="px-5 py-2 rounded-full text-sm font-medium text-neutral-600 hover:text-black"
+        >
+          Never mind
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default ReturnRequestForm;
@@ -0,0 +1,162 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import Spinner from '../common/Spinner';
+import Pagination from '../common/Pagination';
+import ReviewSummary from './ReviewSummary';
+import ReviewCard from './ReviewCard';
+import ReviewForm from './ReviewForm';
+import { REVIEW_SORTS, fetchProductReviews, toggleReviewHelpful } from '../../services/reviewApi';
+
+const PAGE_SIZE = 10;
+
+const OWN_REVIEW_NOTES = {
+  pending: 'Your review is waiting for moderation and will show up here once approved.',
+  rejected: 'Your review was not published.',
+};
+
+/**
+ * Reviews tab of the product page: summary, sortable/filterable list, helpful votes and, for
+ * shoppers with a delivered order of this product, the review form. `reviewOrderItemId` (from
+ * a "Write a review" link) opens the form for that order line straight away.
+ */
+const ProductReviews = ({ productId, reviewOrderItemId }) => {
+  const [reviews, setReviews] = useState([]);
+  const [summary, setSummary] = useState(null);
+  const [viewer, setViewer] = useState(null);
+  const [votedIds, setVotedIds] = useState(new Set());
+  const [sort, setSort] = useState('recent');
+  const [rating, setRating] = useState(null);
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [showForm, setShowForm] = useState(Boolean(reviewOrderItemId));
+
+  const loadReviews = useCallback(async () => {
+    setLoading(true);
+    try {
+      const res = await fetchProductReviews({ productId, sort, rating, page, limit: PAGE_SIZE });
+      setReviews(res.data || []);
+      setSummary(res.summary);
+      setViewer(res.viewer);
+      setVotedIds(new Set(res.viewer?.votedReviewIds || []));
+      setTotalPages(res.totalPages || 0);
+    } catch (err) {
+      toast.error(err.message || 'Could not load reviews.');
+    } finally {
+      setLoading(false);
+    }
+  }, [productId, sort, rating, page]);
+
+  useEffect(() => {
+    loadReviews();
+  }, [loadReviews]);
+
+  const handleToggleHelpful = async (review) => {
+    try {
+      const res = await toggleReviewHelpful(review.id);
+      const { voted, helpfulCount } = res.data;
+      setVotedIds(prev => {
+        const next = new Set(prev);
+        if (voted) next.add(review.id);
+        else next.delete(review.id);
+        return next;
+      });
+      setReviews(prev => prev.map(r => (r.id === review.id ? { ...r, helpful_count: helpfulCount } : r)));
+    } catch (err) {
+      toast.error(err.message || 'Could not record your vote.');
+    }
+  };
+
+  const handleSubmitted = () => {
+    setShowForm(false);
+    loadReviews();
+  };
+
+  const reviewableItems = viewer?.reviewableItems || [];
+  const pendingOwnReviews = (viewer?.ownReviews || []).filter(r => r.status !== 'approved');
+
+  return (
+    <div className="space-y-8">
+      <div className="flex flex-wrap items-start justify-between gap-4">
+        <h3 className="text-lg font-medium text-gray-900">Customer Reviews</h3>
+        {reviewableItems.length > 0 && !showForm && (
+          <button
+            type="button"
+            onClick={() => setShowForm(true)}
+            className="px-4 py-2 rounded-md bg-indigo-600 text-white text-sm font-medium hover:bg-indigo-700"
+          >
+            Write a review
+          </button>
+        )}
+      </div>
+
+      {summary && <ReviewSummary summary={summary} selectedRating={rating} onSelectRating={(value) => { setRating(value); setPage(1); }} />}
+
+      {showForm && reviewableItems.length > 0 && (
+        <ReviewForm
+          productId={productId}
+          reviewableItems={reviewableItems}
+          initialOrderItemId={reviewOrderItemId}
+          onSubmitted={handleSubmitted}
+          onCancel={() => setShowForm(false)}
+        />
+      )}
+
+      {pendingOwnReviews.map(review => (
+        <p key={review.id} className="text-sm text-gray-600 bg-gray-50 border border-gray-200 rounded-md px-4 py-3">
+          {OWN_REVIEW_NOTES[review.status]}
+          {review.status === 'rejected' && review.moderation_note ? ` Reason: ${review.moderation_note}` : ''}
+        </p>
+      ))}
+
+      {!viewer && (
+        <p className="text-sm text-gray-500">
+          Bought this item? <Link to="/login" className="text-indigo-600 hover:underline">Sign in</Link> to review it once it has been delivered.
+        </p>
+      )}
+
+      <div>
+        <div className="flex flex-wrap items-center justify-between gap-3 border-b border-gray-200 pb-3">
+          <p className="text-sm text-gray-500">
+            {rating ? `Showing ${rating}-star reviews` : 'Showing all reviews'}
+            {rating && (
+              <button type="button" onClick={() => { setRating(null); setPage(1); }} className="ml-2 text-indigo-600 hover:underline">
+                Clear
+              </button>
+            )}
+          </p>
+          <select
+            value={sort}
+            onChange={(e) => { setSort(e.target.value); setPage(1); }}
+            className="px-3 py-1.5 border border-gray-300 rounded-md bg-white text-sm"
+          >
+            {REVIEW_SORTS.map(option => (
+              <option key={option.id} value={option.id}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+
+        {loading ? (
+          <div className="flex justify-center py-10"><Spinner /></div>
+        ) : reviews.length === 0 ? (
+          <p className="text-sm text-gray-600 py-6">No reviews yet.</p>
+        ) : (
+          <div className="divide-y divide-gray-200">
+            {reviews.map(review => (
+              <ReviewCard
+                key={review.id}
+                review={review}
+                voted={votedIds.has(review.id)}
+                onToggleHelpful={viewer && !review.is_own ? handleToggleHelpful : undefined}
+              />
+            ))}
+          </div>
+        )}
+        <Pagination currentPage={page} totalPages={totalPages} onPageChange={setPage} />
+      </div>
+    </div>
+  );
+};
+
+export default ProductReviews;
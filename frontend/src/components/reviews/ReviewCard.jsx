@@ -0,0 +1,83 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { ThumbsUp, BadgeCheck } from 'lucide-react';
+import ReviewStars from './ReviewStars';
+
+/**
+ * One review with its photos and the seller's reply. `onToggleHelpful` adds the helpful button
+ * (left out for the reviewer's own review); `showProduct` links the product for admin/seller lists.
+ * Role-specific controls (moderation, reply form) go in `children`.
+ */
+const ReviewCard = ({ review, voted = false, onToggleHelpful, showProduct = false, children }) => (
+  <article className="py-6 space-y-3">
+    <div className="flex flex-wrap items-center justify-between gap-2">
+      <div className="flex items-center gap-3">
+        <ReviewStars rating={review.rating} />
+        {review.title && <h4 className="text-sm font-semibold text-gray-900">{review.title}</h4>}
+      </div>
+      <time className="text-xs text-gray-500" dateTime={review.created_at}>
+        {new Date(review.created_at).toLocaleDateString()}
+      </time>
+    </div>
+
+    <p className="flex items-center gap-2 text-xs text-gray-500">
+      <span className="font-medium text-gray-700">{review.reviewer_name || 'Customer'}</span>
+      <span className="inline-flex items-center gap-1 text-emerald-700">
+        <BadgeCheck size={14} /> Verified purchase
+      </span>
+      {showProduct && review.products && (
+        <>
+          <span>·</span>
+          <Link to={`/products/${review.products.slug || review.products.id}`} className="hover:underline">
+            {review.products.name}
+          </Link>
+        </>
+      )}
+    </p>
+
+    {review.body && <p className="text-sm text-gray-700 whitespace-pre-line">{review.body}</p>}
+
+    {review.photo_urls?.length > 0 && (
+      <div className="flex flex-wrap gap-2">
+        {review.photo_urls.map(url => (
+          <a key={url} href={url} target="_blank" rel="noopener noreferrer">
+            <img src={url} alt="Review photo" className="h-20 w-20 object-cover rounded-md border border-gray-200" />
+          </a>
+        ))}
+      </div>
+    )}
+
+    {review.seller_reply && (
+      <div className="ml-4 pl-4 border-l-2 border-gray-200">
+        <p className="text-xs font-semibold text-gray-900">
+          Response from the seller
+          {review.seller_replied_at && (
+            <span className="font-normal text-gray-500"> · {new Date(review.seller_replied_at).toLocaleDateString()}</span>
+          )}
+        </p>
+        <p className="text-sm text-gray-700 whitespace-pre-line">{review.seller_reply}</p>
+      </div>
+    )}
+
+    {(onToggleHelpful || review.helpful_count > 0) && (
+      <div className="flex items-center gap-3 text-xs text-gray-500">
+        {onToggleHelpful && (
+          <button
+            type="button"
+            onClick={() => onToggleHelpful(review)}
+            className={`inline-flex items-center gap-1 px-3 py-1 rounded-full border ${voted ? 'border-indigo-500 text-indigo-600 bg-indigo-50' : 'border-gray-300 hover:border-gray-400'}`}
+          >
+            <ThumbsUp size={12} /> Helpful
+          </button>
+        )}
+        {review.helpful_count > 0 && (
+          <span>{review.helpful_count} {review.helpful_count === 1 ? 'person' : 'people'} found this helpful</span>
+        )}
+      </div>
+    )}
+
+    {children}
+  </article>
+);
+
+export default ReviewCard;
@@ -0,0 +1,134 @@
+import React, { useState } from 'react';
+import toast from 'react-hot-toast';
+import Spinner from '../common/Spinner';
+import ReviewStars from './ReviewStars';
+import {
+  MAX_REVIEW_PHOTOS,
+  MAX_REVIEW_LENGTH,
+  uploadReviewPhotos,
+  createProductReview,
+} from '../../services/reviewApi';
+
+/**
+ * Review form for a product the shopper received. `reviewableItems` are their delivered,
+ * not-yet-reviewed order lines for it ({ orderItemId, orderId, orderedAt }); when there are
+ * several, they pick which order the review is for. `initialOrderItemId` preselects one.
+ */
+const ReviewForm = ({ productId, reviewableItems, initialOrderItemId, onSubmitted, onCancel }) => {
+  const [orderItemId, setOrderItemId] = useState(
+    reviewableItems.some(item => item.orderItemId === initialOrderItemId)
+      ? initialOrderItemId
+      : reviewableItems[0]?.orderItemId
+  );
+  const [rating, setRating] = useState(0);
+  const [title, setTitle] = useState('');
+  const [body, setBody] = useState('');
+  const [photos, setPhotos] = useState([]);
+  const [submitting, setSubmitting] = useState(false);
+
+  const handlePhotoChange = (e) => {
+    const files = Array.from(e.target.files || []);
+    if (files.length > MAX_REVIEW_PHOTOS) {
+      toast.error(`You can attach up to ${MAX_REVIEW_PHOTOS} photos.`);
+    }
+    setPhotos(files.slice(0, MAX_REVIEW_PHOTOS));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!orderItemId || rating === 0) return;
+    setSubmitting(true);
+    try {
+      const photoPaths = photos.length > 0 ? await uploadReviewPhotos(productId, photos) : [];
+      await createProductReview({
+        orderItemId,
+        rating,
+        title: title || undefined,
+        body: body || undefined,
+        photoPaths,
+      });
+      toast.success('Thanks! Your review will appear once it has been checked.');
+      onSubmitted?.();
+    } catch (err) {
+      toast.error(err.message || 'Could not submit your review.');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="bg-gray-50 border border-gray-200 rounded-lg p-6 space-y-4">
+      <h4 className="text-base font-semibold text-gray-900">Write a review</h4>
+
+      {reviewableItems.length > 1 && (
+        <select
+          value={orderItemId}
+          onChange={(e) => setOrderItemId(e.target.value)}
+          className="w-full px-3 py-2 border border-gray-300 rounded-md bg-white text-sm"
+        >
+          {reviewableItems.map(item => (
+            <option key={item.orderItemId} value={item.orderItemId}>
+              Order #{item.orderId.slice(0, 8)} · {new Date(item.orderedAt).toLocaleDateString()}
+            </option>
+          ))}
+        </select>
+      )}
+
+      <div>
+        <p className="text-sm font-medium text-gray-700 mb-1">Your rating</p>
+        <ReviewStars rating={rating} size={24} onChange={setRating} />
+      </div>
+
+      <input
+        type="text"
+        value={title}
+        onChange={(e) => setTitle(e.target.value)}
+        maxLength={120}
+        placeholder="Headline (optional)"
+        className="w-full px-3 py-2 border border-gray-300 rounded-md bg-white text-sm focus:ring-indigo-500 focus:border-indigo-500"
+      />
+      <textarea
+        value={body}
+        onChange={(e) => setBody(e.target.value)}
+        rows={4}
+        maxLength={MAX_REVIEW_LENGTH}
+        placeholder="What did you like or dislike? (optional)"
+        className="w-full px-3 py-2 border border-gray-300 rounded-md bg-white text-sm focus:ring-indigo-500 focus:border-indigo-500"
+      />
+
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">
+          Photos (optional, up to {MAX_REVIEW_PHOTOS})
+        </label>
+        <input
+          type="file"
+          accept="image/*"
+          multiple
+          onChange={handlePhotoChange}
+          className="block w-full text-sm text-gray-600 file:mr-4 file:py-2 file:px-4 file:rounded-full file:border-0 file:text-sm file:font-medium file:bg-gray-200 file:text-gray-800 hover:file:bg-gray-300"
+        />
+        {photos.length > 0 && (
+          <p className="text-xs text-gray-500 mt-1">{photos.map(photo => photo.name).join(', ')}</p>
+        )}
+      </div>
+
+      <div className="flex gap-3">
+        <button
+          type="submit"
+          disabled={submitting || rating === 0}
+          className="inline-flex items-center gap-2 px-5 py-2 rounded-md bg-indigo-600 text-white text-sm font-medium hover:bg-indigo-700 disabled:opacity-60"
+        >
+          {submitting && <Spinner size="sm" />}
+          Submit review
+        </button>
+        {onCancel && (
+          <button type="button" onClick={onCancel} className="px-5 py-2 text-sm font-medium text-gray-600 hover:text-gray-900">
+            Cancel
+          </button>
+        )}
+      </div>
+    </form>
+  );
+};
+
+export default ReviewForm;
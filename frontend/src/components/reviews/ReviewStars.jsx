@@ -0,0 +1,49 @@
+import React, { useState } from 'react';
+import { Star } from 'lucide-react';
+
+/**
+ * Five stars for a rating. Read-only unless `onChange` is given, in which case it works as a
+ * 1-5 input with hover preview.
+ */
+const ReviewStars = ({ rating = 0, size = 16, onChange }) => {
+  const [hovered, setHovered] = useState(0);
+  const shown = hovered || rating;
+
+  if (!onChange) {
+    return (
+      <div className="flex" aria-label={`${rating} out of 5 stars`}>
+        {[1, 2, 3, 4, 5].map(value => (
+          <Star
+            key={value}
+            size={size}
+            className={value <= Math.round(shown) ? 'fill-yellow-400 text-yellow-400' : 'fill-gray-200 text-gray-200'}
+          />
+        ))}
+      </div>
+    );
+  }
+
+  return (
+    <div className="flex" role="radiogroup" aria-label="Rating" onMouseLeave={() => setHovered(0)}>
+      {[1, 2, 3, 4, 5].map(value => (
+        <button
+          key={value}
+          type="button"
+          role="radio"
+          aria-checked={rating === value}
+          aria-label={`${value} star${value === 1 ? '' : 's'}`}
+          onClick={() => onChange(value)}
+          onMouseEnter={() => setHovered(value)}
+          className="p-0.5"
+        >
+          <Star
+            size={size}
+            className={value <= shown ? 'fill-yellow-400 text-yellow-400' : 'fill-gray-200 text-gray-300'}
+          />
+        </button>
+      ))}
+    </div>
+  );
+};
+
+export default ReviewStars;
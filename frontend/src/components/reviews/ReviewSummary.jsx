@@ -0,0 +1,46 @@
+import React from 'react';
+import ReviewStars from './ReviewStars';
+
+/**
+ * Average rating with a per-star breakdown. Clicking a bar filters the list to that rating;
+ * clicking the selected one again clears the filter.
+ */
+const ReviewSummary = ({ summary, selectedRating, onSelectRating }) => {
+  const { average = 0, count = 0, distribution = {} } = summary || {};
+
+  return (
+    <div className="flex flex-col sm:flex-row gap-6 sm:items-center">
+      <div className="text-center sm:w-40">
+        <p className="text-4xl font-bold text-gray-900">{count > 0 ? Number(average).toFixed(1) : '–'}</p>
+        <div className="flex justify-center mt-1">
+          <ReviewStars rating={average} />
+        </div>
+        <p className="text-sm text-gray-500 mt-1">{count} review{count === 1 ? '' : 's'}</p>
+      </div>
+      <ul className="flex-1 space-y-1.5">
+        {[5, 4, 3, 2, 1].map(stars => {
+          const starCount = distribution[stars] || 0;
+          const percent = count > 0 ? Math.round((starCount / count) * 100) : 0;
+          return (
+            <li key={stars}>
+              <button
+                type="button"
+                disabled={starCount === 0}
+                onClick={() => onSelectRating?.(selectedRating === stars ? null : stars)}
+                className={`w-full flex items-center gap-3 text-sm rounded px-1 disabled:cursor-default ${selectedRating === stars ? 'bg-indigo-50' : 'hover:bg-gray-50'}`}
+              >
+                <span className="w-12 text-left text-gray-700">{stars} star</span>
+                <span className="flex-1 h-2 bg-gray-200 rounded-full overflow-hidden">
+                  <span className="block h-full bg-yellow-400" style={{ width: `${percent}%` }} />
+                </span>
+                <span className="w-10 text-right text-gray-500">{percent}%</span>
+              </button>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+};
+
+export default ReviewSummary;
@@ -1,11 +1,14 @@
 import React from 'react';
 import { useAuth } from '../../contexts/authContext.jsx';
-import { Navigate, useLocation } from 'react-router-dom';
+import { Navigate, useLocation, useParams } from 'react-router-dom';
 import Spinner from '../common/Spinner'; // Reuse spinner for loading state
 
-const ProtectedRoute = ({ children }) => {
+// guestRedirect: optional (routeParams) => path for pages with a signed-out alternative,
+// e.g. an order link from an email opening the guest order lookup instead of the login page
+const ProtectedRoute = ({ children, guestRedirect }) => {
   const { isAuthenticated, isLoading } = useAuth();
   const location = useLocation(); // Get current location to redirect back after login
+  const params = useParams();
 
   if (isLoading) {
     // Show a loading indicator while checking authentication status
@@ -16,6 +19,10 @@ const ProtectedRoute = ({ children }) => {
     );
   }
 
+  if (!isAuthenticated && guestRedirect) {
+    return <Navigate to={guestRedirect(params)} state={{ from: location }} replace />;
+  }
+
   if (!isAuthenticated) {
     // If not authenticated, redirect to the login page
     // Pass the current location in state so we can redirect back after login
@@ -1,38 +1,88 @@
 import React, { useEffect, useState } from 'react';
 import { useAuth } from '../../contexts/authContext.jsx';
-import { Navigate, useLocation } from 'react-router-dom';
+import { SellerAccountContext, useSellerAccount } from '../../contexts/sellerAccountContext.js';
+import { Link, Navigate, useLocation } from 'react-router-dom';
 import Spinner from '../common/Spinner';
 import { getSellerProfile } from '../../services/sellerApi.js';
+import { VERIFICATION_LEVELS, meetsVerification } from '../../utils/sellerVerification.js';
 
-const SellerRoute = ({ children }) => {
+const StatusNotice = ({ title, titleClassName = '', children }) => (
+  <div className="flex justify-center items-center h-screen px-4">
+    <div className="text-center max-w-md">
+      <h2 className={`text-2xl font-bold mb-4 ${titleClassName}`}>{title}</h2>
+      {children}
+    </div>
+  </div>
+);
+
+// Shown in place of a page the store's verification level doesn't unlock yet
+const VerificationNotice = ({ requiredLevel, level }) => (
+  <div className="bg-white rounded-lg shadow-sm p-8 text-center max-w-lg mx-auto">
+    <h2 className="text-xl font-bold text-gray-900 mb-2">Verification Required</h2>
+    <p className="text-gray-600 mb-1">
+      {requiredLevel === 'full'
+        ? 'Get your trade licence, TIN certificate and ID verified to use this page.'
+        : 'Get your ID verified to use this page.'}
+    </p>
+    <p className="text-sm text-gray-500 mb-4">Current level: {VERIFICATION_LEVELS[level]?.label || VERIFICATION_LEVELS.none.label}</p>
+    <Link
+      to="/seller/documents"
+      className="inline-block bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700"
+    >
+      Upload Documents
+    </Link>
+  </div>
+);
+
+/**
+ * Seller area guard. The outer one (around SellerLayout) loads the caller's store and only lets
+ * active stores through; nested ones pass requiredLevel ('basic' | 'full') to gate a page on the
+ * store's KYC verification level, reusing the store the outer one loaded.
+ */
+const SellerRoute = ({ children, requiredLevel = null }) => {
+  const parentAccount = useSellerAccount();
+  if (parentAccount) {
+    const level = parentAccount.seller?.verification_level;
+    if (requiredLevel && !meetsVerification(level, requiredLevel)) {
+      return <VerificationNotice requiredLevel={requiredLevel} level={level} />;
+    }
+    return children;
+  }
+  return <SellerAccountRoute requiredLevel={requiredLevel}>{children}</SellerAccountRoute>;
+};
+
+const SellerAccountRoute = ({ children, requiredLevel }) => {
   const { isAuthenticated, isLoading: authLoading, user } = useAuth();
-  const [sellerStatus, setSellerStatus] = useState(null);
+  const [seller, setSeller] = useState(null);
+  const [statusError, setStatusError] = useState(null);
   const [isCheckingSellerStatus, setIsCheckingSellerStatus] = useState(true);
+  const [retryCount, setRetryCount] = useState(0);
   const location = useLocation();
+  const sellerStatus = seller?.status || 'not_applied';
+  // The SuriAddis team's reason, shown when an application was sent back or a store suspended
+  const reviewNote = seller?.review_note || null;
 
   useEffect(() => {
     const checkSellerStatus = async () => {
-      if (isAuthenticated && user) {
-        try {
-          const sellerData = await getSellerProfile();
-          setSellerStatus(sellerData?.status || 'not_applied');
-        } catch (error) {
-          console.error('Error checking seller status:', error);
-          // For development: If we can't check seller status, assume approved seller
-          // This allows testing the seller dashboard without backend
-          setSellerStatus('active');
-        }
-      } else {
-        // For development: Allow testing without authentication
-        setSellerStatus('active');
+      setIsCheckingSellerStatus(true);
+      setStatusError(null);
+      try {
+        setSeller(await getSellerProfile());
+      } catch (error) {
+        console.error('Error checking seller status:', error);
+        setStatusError(error.message || 'Could not load your seller account.');
+      } finally {
+        setIsCheckingSellerStatus(false);
       }
-      setIsCheckingSellerStatus(false);
     };
 
-    if (!authLoading) {
+    if (authLoading) return;
+    if (isAuthenticated && user) {
       checkSellerStatus();
+    } else {
+      setIsCheckingSellerStatus(false);
     }
-  }, [isAuthenticated, user, authLoading]);
+  }, [isAuthenticated, user, authLoading, retryCount]);
 
   if (authLoading || isCheckingSellerStatus) {
     return (
@@ -43,49 +93,99 @@ const SellerRoute = ({ children }) => {
   }
 
   if (!isAuthenticated) {
-    // For development: Allow testing without authentication
-    console.log('Development mode: Allowing seller access without authentication');
-    // return <Navigate to="/login" state={{ from: location }} replace />;
+    return <Navigate to="/login" state={{ from: location }} replace />;
+  }
+
+  if (statusError) {
+    return (
+      <StatusNotice title="Seller Dashboard Unavailable" titleClassName="text-red-600">
+        <p className="text-gray-600 mb-4">{statusError}</p>
+        <button
+          onClick={() => setRetryCount(count => count + 1)}
+          className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700"
+        >
+          Try Again
+        </button>
+      </StatusNotice>
+    );
   }
 
   if (sellerStatus === 'not_applied') {
     return <Navigate to="/seller/apply" replace />;
   }
 
-  if (sellerStatus === 'pending') {
+  if (sellerStatus === 'pending_approval') {
     return (
-      <div className="flex justify-center items-center h-screen">
-        <div className="text-center">
-          <h2 className="text-2xl font-bold mb-4">Application Under Review</h2>
-          <p className="text-gray-600">
-            Your seller application is currently being reviewed. We'll notify you once it's approved.
-          </p>
-        </div>
-      </div>
+      <StatusNotice title="Application Under Review">
+        <p className="text-gray-600">
+          Your seller application is currently being reviewed. We'll notify you once it's approved.
+        </p>
+        <Link to="/seller/documents" className="inline-block mt-4 text-blue-600 hover:text-blue-700">
+          Upload your verification documents
+        </Link>
+      </StatusNotice>
     );
   }
 
-  if (sellerStatus === 'rejected') {
+  if (sellerStatus === 'needs_info') {
     return (
-      <div className="flex justify-center items-center h-screen">
-        <div className="text-center">
-          <h2 className="text-2xl font-bold mb-4 text-red-600">Application Rejected</h2>
-          <p className="text-gray-600 mb-4">
-            Unfortunately, your seller application was not approved.
-          </p>
-          <button 
-            onClick={() => window.location.href = '/seller/apply'}
-            className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700"
+      <StatusNotice title="More Information Needed">
+        <p className="text-gray-600 mb-4">
+          Our team needs a few more details before we can approve your seller application.
+        </p>
+        {reviewNote && <p className="text-gray-800 bg-yellow-50 border border-yellow-200 rounded p-3 mb-4">{reviewNote}</p>}
+        <div className="flex justify-center gap-3">
+          <Link
+            to="/seller/apply"
+            className="inline-block bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700"
+          >
+            Update Application
+          </Link>
+          <Link
+            to="/seller/documents"
+            className="inline-block border border-blue-600 text-blue-600 px-4 py-2 rounded hover:bg-blue-50"
           >
-            Apply Again
-          </button>
+            Documents
+          </Link>
         </div>
-      </div>
+      </StatusNotice>
+    );
+  }
+
+  if (sellerStatus === 'rejected') {
+    return (
+      <StatusNotice title="Application Rejected" titleClassName="text-red-600">
+        <p className="text-gray-600 mb-4">
+          Unfortunately, your seller application was not approved.
+        </p>
+        {reviewNote && <p className="text-gray-800 bg-gray-50 border border-gray-200 rounded p-3 mb-4">{reviewNote}</p>}
+        <Link
+          to="/seller/apply"
+          className="inline-block bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700"
+        >
+          Apply Again
+        </Link>
+      </StatusNotice>
+    );
+  }
+
+  if (sellerStatus === 'suspended') {
+    return (
+      <StatusNotice title="Store Suspended" titleClassName="text-red-600">
+        <p className="text-gray-600">
+          Your store has been suspended and is hidden from shoppers. Please contact support to resolve this.
+        </p>
+        {reviewNote && <p className="text-gray-800 bg-gray-50 border border-gray-200 rounded p-3 mt-4">{reviewNote}</p>}
+      </StatusNotice>
     );
   }
 
-  // If seller is approved, render the children
-  return children;
+  // Active store: render the seller area, gated on verification when asked to
+  return (
+    <SellerAccountContext.Provider value={{ seller, refresh: () => setRetryCount(count => count + 1) }}>
+      <SellerRoute requiredLevel={requiredLevel}>{children}</SellerRoute>
+    </SellerAccountContext.Provider>
+  );
 };
 
 export default SellerRoute;
@@ -1,5 +1,5 @@
 import React, { useState } from 'react';
-import { Link } from 'react-router-dom';
+import { Link, useNavigate } from 'react-router-dom';
 import { ShoppingCart, Heart } from 'lucide-react';
 import { Button } from './button';
 import { Badge } from './badge';
@@ -18,12 +18,14 @@ import { formatETB } from '../../utils/utils';
  *     slug: string,
  *     discount?: number | null,
  *     description?: string,
- *     stockQuantity?: number
+ *     stockQuantity?: number,
+ *     has_variants?: boolean
  *   }
  * }} props
  */
 export default function PriceHighlightProductCard({ product }) {
   const dispatch = useDispatch();
+  const navigate = useNavigate();
   const [isAdding, setIsAdding] = useState(false);
 
   // Helper to get the first image from the product's images array (Supabase storage or fallback)
@@ -56,6 +58,12 @@ export default function PriceHighlightProductCard({ product }) {
       toast.error("This item is currently out of stock.");
       return;
     }
+    if (product.has_variants) {
+      // Size/color has to be picked on the product page
+      toast('Choose a size or color first');
+      navigate(`/products/${product.slug || product.id}`);
+      return;
+    }
     if (isAdding) return;
 
     setIsAdding(true);
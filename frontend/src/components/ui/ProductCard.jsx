@@ -1,5 +1,5 @@
 import { useState } from "react"
-import { Link } from "react-router-dom"
+import { Link, useNavigate } from "react-router-dom"
 import { ShoppingCart, Star, Heart } from "lucide-react"
 import { Button } from "./button"
 import { Badge } from "./badge"
@@ -35,6 +35,7 @@ const StarRating = ({ rating }) => (
  *     slug: string, 
  *     discount?: number | null, 
  *     stockQuantity?: number,
+ *     has_variants?: boolean,
  *     rating?: number,
  *     category?: { name: string, slug: string }
  *   },
@@ -43,6 +44,7 @@ const StarRating = ({ rating }) => (
  */
 export default function ProductCard({ product, className = "" }) {
   const dispatch = useDispatch();
+  const navigate = useNavigate();
   const [isAdding, setIsAdding] = useState(false);
   const [isWishlistProcessing, setIsWishlistProcessing] = useState(false);
 
@@ -75,6 +77,12 @@ export default function ProductCard({ product, className = "" }) {
       toast.error("This item is currently out of stock.");
       return;
     }
+    if (product.has_variants) {
+      // Size/color has to be picked on the product page
+      toast("Choose a size or color first");
+      navigate(`/products/${product.slug || product.id}`);
+      return;
+    }
     if (isAdding) return;
     setIsAdding(true);
     try {
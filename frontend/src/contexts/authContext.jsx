@@ -3,6 +3,10 @@ import { supabase } from '../services/supabaseClient'; // Adjust path if needed
 import Spinner from '../components/common/Spinner'; // Assuming you have a Spinner
 import store from '../store/store'; // Changed from named import to default import
 import { clearLocalCartAndState, mergeLocalCartWithBackend } from '../store/cartSlice';
+import { useQueryClient } from '@tanstack/react-query';
+import { mergeProductViews } from '../services/recommendationApi';
+import { claimGuestOrders } from '../services/guestOrderApi';
+import { forgetGuestOrders } from '../utils/guestOrders';
 
 const AuthContext = createContext(null);
 
@@ -11,6 +15,7 @@ export const AuthProvider = ({ children }) => {
     const [isAuthenticated, setIsAuthenticated] = useState(false);
     const [isLoading, setIsLoading] = useState(true); // Start loading until session is checked
     const [error, setError] = useState(null);
+    const queryClient = useQueryClient();
 
     // Check initial session and subscribe to auth changes
     useEffect(() => {
@@ -89,6 +94,24 @@ export const AuthProvider = ({ children }) => {
             // After successful login, merge local cart with backend cart
             await store.dispatch(mergeLocalCartWithBackend());
 
+            // Likewise move the products viewed while signed out onto the account. Not worth
+            // failing the login over, so errors are only logged
+            try {
+                await mergeProductViews();
+                queryClient.invalidateQueries({ queryKey: ['recently-viewed'] });
+                queryClient.invalidateQueries({ queryKey: ['recommendations'] });
+            } catch (mergeError) {
+                console.error("Auth Context: Failed to merge product views:", mergeError);
+            }
+
+            // And any orders placed as a guest with this (confirmed) email
+            try {
+                const { data: claimed } = await claimGuestOrders();
+                if (claimed?.claimed > 0) forgetGuestOrders();
+            } catch (claimError) {
+                console.error("Auth Context: Failed to claim guest orders:", claimError);
+            }
+
         } catch (err) {
             setError(err.message || 'Failed to sign in.');
             setUser(null);
@@ -97,7 +120,7 @@ export const AuthProvider = ({ children }) => {
         } finally {
             setIsLoading(false);
         }
-    }, []);
+    }, [queryClient]);
 
     const logout = useCallback(async () => {
         setIsLoading(true);
@@ -0,0 +1,7 @@
+import { createContext, useContext } from 'react';
+
+// The caller's store as loaded by the outer SellerRoute ({ seller, refresh }), so nested
+// SellerRoutes and the seller pages don't fetch it again. null outside the seller area.
+export const SellerAccountContext = createContext(null);
+
+export const useSellerAccount = () => useContext(SellerAccountContext);
@@ -0,0 +1,37 @@
+import { useInfiniteQuery, keepPreviousData } from '@tanstack/react-query';
+import { fetchProducts } from '../services/productApi.js';
+
+/**
+ * Storefront product list in cursor mode: each page continues after the last one, so pages do
+ * not shift while new products are added. Loaded pages stay cached under the query key, which
+ * lets a list come back fully loaded (and scroll-restorable) after back navigation.
+ * @param {Record<string, unknown>} params get-public-products filters (no page/cursor).
+ * @param {{ pageSize?: number, facets?: boolean, enabled?: boolean }} [options]
+ *   facets: also return facet counts; only the first page asks for them.
+ */
+export default function useInfiniteProducts(params, { pageSize = 12, facets = false, enabled = true } = {}) {
+  const query = useInfiniteQuery({
+    queryKey: ['products-infinite', params, pageSize, facets],
+    queryFn: ({ pageParam }) => fetchProducts({
+      ...params,
+      limit: pageSize,
+      pagination: 'cursor',
+      cursor: pageParam ?? undefined,
+      facets: facets && !pageParam ? true : undefined,
+    }),
+    initialPageParam: null,
+    getNextPageParam: (lastPage) => (lastPage?.hasMore ? lastPage.nextCursor : undefined),
+    staleTime: 1000 * 60 * 5,
+    // While other filters load, keep showing the previous results (check isPlaceholderData)
+    placeholderData: keepPreviousData,
+    enabled,
+  });
+
+  const pages = query.data?.pages || [];
+  return {
+    ...query,
+    products: pages.flatMap(page => page.data || []),
+    total: pages[0]?.count ?? 0,
+    facets: pages[0]?.facets || null,
+  };
+}
@@ -0,0 +1,31 @@
+import { useEffect, useRef } from 'react';
+
+/**
+ * Calls `onLoadMore` when the returned sentinel ref scrolls into view (a little early, see
+ * rootMargin). Put the sentinel after the last item.
+ * @param {() => void} onLoadMore
+ * @param {boolean} enabled False while a page is loading or when there is nothing more to load.
+ */
+export default function useInfiniteScroll(onLoadMore, enabled) {
+  const sentinelRef = useRef(null);
+  const onLoadMoreRef = useRef(onLoadMore);
+
+  useEffect(() => {
+    onLoadMoreRef.current = onLoadMore;
+  }, [onLoadMore]);
+
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (!enabled || !sentinel || typeof IntersectionObserver === 'undefined') return;
+    const observer = new IntersectionObserver(
+      (entries) => {
+        if (entries.some(entry => entry.isIntersecting)) onLoadMoreRef.current();
+      },
+      { rootMargin: '600px 0px' }
+    );
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [enabled]);
+
+  return sentinelRef;
+}
@@ -0,0 +1,19 @@
+import { useQuery } from '@tanstack/react-query';
+import { useAuth } from '../contexts/authContext.jsx';
+import { fetchRecentlyViewed } from '../services/recommendationApi.js';
+
+/**
+ * The visitor's recently viewed products, newest first. The signed-in user is part of the
+ * query key, so the list switches with the session.
+ * @param {{ exclude?: string[], limit?: number, enabled?: boolean }} [options]
+ *   exclude: product ids to leave out, e.g. the product on screen.
+ */
+export default function useRecentlyViewed({ exclude = [], limit = 8, enabled = true } = {}) {
+  const { user } = useAuth();
+  const query = useQuery({
+    queryKey: ['recently-viewed', user?.id ?? null, exclude, limit],
+    queryFn: () => fetchRecentlyViewed({ exclude, limit }),
+    enabled,
+  });
+  return { ...query, products: query.data?.data || [] };
+}
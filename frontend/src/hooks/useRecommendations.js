@@ -0,0 +1,19 @@
+import { useQuery } from '@tanstack/react-query';
+import { useAuth } from '../contexts/authContext.jsx';
+import { fetchRecommendations } from '../services/recommendationApi.js';
+
+/**
+ * Recommended products for `productIds` (the product on screen, the cart lines) and the
+ * visitor's own views and wishlist; with nothing to go on, the best sellers.
+ * @param {{ productIds?: string[], exclude?: string[], limit?: number, enabled?: boolean }} [options]
+ */
+export default function useRecommendations({ productIds = [], exclude = [], limit = 8, enabled = true } = {}) {
+  const { user } = useAuth();
+  const query = useQuery({
+    queryKey: ['recommendations', user?.id ?? null, productIds, exclude, limit],
+    queryFn: () => fetchRecommendations({ productIds, exclude, limit }),
+    staleTime: 1000 * 60 * 5,
+    enabled,
+  });
+  return { ...query, products: query.data?.data || [] };
+}
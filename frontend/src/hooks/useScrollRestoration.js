@@ -0,0 +1,48 @@
+import { useEffect, useRef } from 'react';
+import { useLocation, useNavigationType } from 'react-router-dom';
+
+const storageKey = (locationKey) => `scroll:${locationKey}`;
+
+/**
+ * Remembers the window scroll position of this history entry and, when the user comes back to
+ * it (back/forward), scrolls there again once `ready` is true, i.e. once the content that was
+ * above that position has rendered again (for infinite lists: the cached pages).
+ * @param {boolean} ready
+ */
+export default function useScrollRestoration(ready) {
+  const location = useLocation();
+  const navigationType = useNavigationType();
+  const restoredRef = useRef(false);
+
+  // Save on scroll (throttled to one write per frame) for the current entry
+  useEffect(() => {
+    let frame = null;
+    const handleScroll = () => {
+      if (frame !== null) return;
+      frame = requestAnimationFrame(() => {
+        frame = null;
+        try {
+          sessionStorage.setItem(storageKey(location.key), String(window.scrollY));
+        } catch {
+          // Storage unavailable; restoration is best effort
+        }
+      });
+    };
+    window.addEventListener('scroll', handleScroll, { passive: true });
+    return () => {
+      window.removeEventListener('scroll', handleScroll);
+      if (frame !== null) cancelAnimationFrame(frame);
+    };
+  }, [location.key]);
+
+  useEffect(() => {
+    if (restoredRef.current || !ready) return;
+    restoredRef.current = true;
+    if (navigationType !== 'POP') return;
+    const saved = Number(sessionStorage.getItem(storageKey(location.key)));
+    if (saved > 0) {
+      // After the browser has laid out the restored list
+      requestAnimationFrame(() => window.scrollTo(0, saved));
+    }
+  }, [ready, navigationType, location.key]);
+}
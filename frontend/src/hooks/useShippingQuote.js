@@ -0,0 +1,41 @@
+import { useEffect, useState } from 'react';
+import { useQuery, keepPreviousData } from '@tanstack/react-query';
+import { fetchShippingQuote } from '../services/shippingApi.js';
+import { toShippingLines } from '../utils/shipping.js';
+
+/**
+ * Shipping options for the cart delivered to `address` (city, subCity, country). The
+ * destination is debounced so typing a city does not request a quote per keystroke.
+ * @param {{ items: object[], address?: { city?: string, subCity?: string, country?: string } | null, enabled?: boolean }} options
+ */
+export default function useShippingQuote({ items, address, enabled = true }) {
+  const destination = {
+    city: (address?.city || '').trim(),
+    subCity: address?.subCity || '',
+    country: address?.country || 'Ethiopia',
+  };
+  const destinationKey = JSON.stringify(destination);
+  const [debouncedKey, setDebouncedKey] = useState(destinationKey);
+  useEffect(() => {
+    const timer = setTimeout(() => setDebouncedKey(destinationKey), 400);
+    return () => clearTimeout(timer);
+  }, [destinationKey]);
+
+  const lines = toShippingLines(items);
+  const debouncedDestination = JSON.parse(debouncedKey);
+  const query = useQuery({
+    queryKey: ['shipping-quote', lines, debouncedDestination],
+    queryFn: () => fetchShippingQuote(lines, debouncedDestination),
+    enabled: enabled && lines.length > 0 && Boolean(debouncedDestination.city),
+    placeholderData: keepPreviousData,
+    staleTime: 1000 * 60,
+  });
+  const quote = query.data?.data;
+  return {
+    ...query,
+    // Still waiting for the debounce or a fresh quote for the current destination
+    isUpdating: debouncedKey !== destinationKey || query.isPlaceholderData || query.isFetching,
+    zone: quote?.zone ?? null,
+    options: quote?.options || [],
+  };
+}
@@ -0,0 +1,295 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { Helmet } from 'react-helmet';
+import toast from 'react-hot-toast';
+import { FiArrowLeft, FiPlus, FiEdit2, FiTrash2, FiMapPin, FiStar } from 'react-icons/fi';
+import AddressFields from '../components/addresses/AddressFields.jsx';
+import ErrorMessage from '../components/common/ErrorMessage.jsx';
+import Spinner from '../components/common/Spinner.jsx';
+import { fetchAddresses, createAddress, updateAddress, deleteAddress } from '../services/addressApi';
+import {
+  ADDRESS_LABEL_SUGGESTIONS,
+  emptyAddress,
+  formatAddressLines,
+  getMissingAddressFields,
+  toShippingAddress,
+} from '../utils/addresses';
+import { normalizeEthiopianPhone, formatEthiopianPhone } from '../utils/phone';
+
+const AddressesPage = () => {
+  const [addresses, setAddresses] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [loadError, setLoadError] = useState(null);
+  // null: list only; { id: null | string, label, isDefault, ...shippingAddress fields }: form open
+  const [form, setForm] = useState(null);
+  const [formError, setFormError] = useState(null);
+  const [phoneError, setPhoneError] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const [busyId, setBusyId] = useState(null);
+
+  const loadAddresses = () =>
+    fetchAddresses()
+      .then(res => setAddresses(res.data || []))
+      .catch(err => setLoadError(err.message || 'Could not load your addresses'))
+      .finally(() => setIsLoading(false));
+
+  useEffect(() => {
+    loadAddresses();
+  }, []);
+
+  const openNewForm = () => {
+    setForm({ id: null, label: addresses.length === 0 ? 'Home' : '', isDefault: addresses.length === 0, ...emptyAddress() });
+    setFormError(null);
+    setPhoneError(null);
+  };
+
+  const openEditForm = (address) => {
+    setForm({ id: address.id, label: address.label, isDefault: address.is_default, ...toShippingAddress(address) });
+    setFormError(null);
+    setPhoneError(null);
+  };
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setForm(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+    if (name === 'phone' || name === 'country') setPhoneError(null);
+  };
+
+  const validatePhone = () => {
+    if (form.country !== 'Ethiopia' || !form.phone) return true;
+    const phone = normalizeEthiopianPhone(form.phone);
+    if (!phone) {
+      setPhoneError('Enter an Ethiopian mobile number, e.g. 0911 234 567 or +251 911 234 567');
+      return false;
+    }
+    setForm(prev => ({ ...prev, phone }));
+    return true;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setFormError(null);
+    const missing = [...(form.label.trim() ? [] : ['label']), ...getMissingAddressFields(form)];
+    if (missing.length > 0) {
+      setFormError(`Please fill in: ${missing.join(', ')}`);
+      return;
+    }
+    if (!validatePhone()) return;
+
+    const { id, ...address } = form;
+    setIsSaving(true);
+    try {
+      if (id) {
+        await updateAddress(id, address);
+        toast.success('Address updated');
+      } else {
+        await createAddress(address);
+        toast.success('Address saved');
+      }
+      setForm(null);
+      await loadAddresses();
+    } catch (err) {
+      setFormError(err.message || 'Could not save the address');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleMakeDefault = async (address) => {
+    setBusyId(address.id);
+    try {
+      await updateAddress(address.id, { label: address.label, ...toShippingAddress(address), isDefault: true });
+      await loadAddresses();
+    } catch (err) {
+      toast.error(err.message || 'Could not change the default address');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleDelete = async (address) => {
+    if (!window.confirm(`Delete the "${address.label}" address?`)) return;
+    setBusyId(address.id);
+    try {
+      await deleteAddress(address.id);
+      toast.success('Address deleted');
+      if (form?.id === address.id) setForm(null);
+      await loadAddresses();
+    } catch (err) {
+      toast.error(err.message || 'Could not delete the address');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-white py-10 px-4 sm:px-0 pt-28">
+      <Helmet>
+        <title>Saved Addresses | SuriAddis</title>
+        <meta name="description" content="Manage your saved delivery addresses on SuriAddis." />
+      </Helmet>
+      <div className="max-w-3xl mx-auto">
+        <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center mb-10 gap-4">
+          <div>
+            <Link
+              to="/profile"
+              className="inline-flex items-center text-neutral-500 hover:text-black transition-colors text-sm mb-3"
+            >
+              <FiArrowLeft className="mr-2" />
+              Back to Profile
+            </Link>
+            <h1 className="text-3xl sm:text-4xl font-sans font-semibold text-neutral-900 tracking-tight">Saved Addresses</h1>
+          </div>
+          {!form && !isLoading && !loadError && (
+            <button
+              type="button"
+              onClick={openNewForm}
+              className="inline-flex items-center px-5 py-2.5 bg-black text-white rounded-full text-sm font-medium hover:bg-neutral-900 transition-colors"
+            >
+              <FiPlus className="mr-2" />
+              Add Address
+            </button>
+          )}
+        </div>
+
+        {form && (
+          <form onSubmit={handleSubmit} className="bg-white rounded-xl shadow p-6 sm:p-8 border border-neutral-200 mb-10">
+            <h2 className="text-xl font-sans font-semibold text-neutral-900 mb-6">{form.id ? 'Edit Address' : 'New Address'}</h2>
+            {formError && <ErrorMessage message={formError} className="mb-6" />}
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+              <div className="md:col-span-2">
+                <label className="block text-sm font-medium text-gray-700 mb-1">Label *</label>
+                <input
+                  type="text"
+                  name="label"
+                  value={form.label}
+                  onChange={handleChange}
+                  maxLength={40}
+                  placeholder="e.g. Home"
+                  className="w-full px-4 py-3 border border-gray-200 rounded-lg focus:ring-1 focus:ring-black focus:border-black"
+                  required
+                />
+                <div className="flex flex-wrap gap-2 mt-2">
+                  {ADDRESS_LABEL_SUGGESTIONS.map(label => (
+                    <button
+                      key={label}
+                      type="button"
+                      onClick={() => setForm(prev => ({ ...prev, label }))}
+                      className={`px-3 py-1 rounded-full text-xs border transition-colors ${form.label === label ? 'border-black bg-black text-white' : 'border-neutral-300 text-neutral-600 hover:border-black'}`}
+                    >
+                      {label}
+                    </button>
+                  ))}
+                </div>
+              </div>
+              <AddressFields address={form} onChange={handleChange} phoneError={phoneError} onPhoneBlur={validatePhone} />
+              <label className="md:col-span-2 flex items-center gap-3 text-sm text-neutral-700 cursor-pointer">
+                <input
+                  type="checkbox"
+                  name="isDefault"
+                  checked={form.isDefault}
+                  onChange={handleChange}
+                  // The default can only move to another address, not be switched off
+                  disabled={Boolean(form.id) && addresses.some(a => a.id === form.id && a.is_default)}
+                  className="h-4 w-4 accent-black"
+                />
+                Use as my default delivery address
+              </label>
+            </div>
+            <div className="flex gap-3 mt-8">
+              <button
+                type="submit"
+                disabled={isSaving}
+                className="inline-flex items-center gap-2 px-6 py-2.5 bg-black text-white rounded-full text-sm font-medium hover:bg-neutral-900 transition-colors disabled:bg-gray-400"
+              >
+                {isSaving && <Spinner size="sm" />}
+                {form.id ? 'Save Changes' : 'Save Address'}
+              </button>
+              <button
+                type="button"
+                onClick={() => setForm(null)}
+                className="px-6 py-2.5 border border-neutral-300 rounded-full text-sm font-medium text-neutral-700 hover:border-black transition-colors"
+              >
+                Cancel
+              </button>
+            </div>
+          </form>
+        )}
+
+        {isLoading ? (
+          <div className="flex justify-center py-24"><Spinner /></div>
+        ) : loadError ? (
+          <ErrorMessage message={loadError} />
+        ) : addresses.length === 0 ? (
+          !form && (
+            <div className="bg-neutral-50 rounded-xl shadow p-12 text-center border border-neutral-200">
+              <FiMapPin className="mx-auto h-8 w-8 text-neutral-400 mb-4" />
+              <p className="text-lg text-neutral-500 mb-6">You haven&apos;t saved any addresses yet.</p>
+              <button
+                type="button"
+                onClick={openNewForm}
+                className="inline-block px-6 py-2.5 bg-black text-white rounded-full text-sm font-medium hover:bg-neutral-900 transition-colors"
+              >
+                Add your first address
+              </button>
+            </div>
+          )
+        ) : (
+          <ul className="grid grid-cols-1 sm:grid-cols-2 gap-6">
+            {addresses.map(address => {
+              const shippingAddress = toShippingAddress(address);
+              return (
+                <li
+                  key={address.id}
+                  className={`rounded-xl border p-6 flex flex-col ${address.is_default ? 'border-black' : 'border-neutral-200'}`}
+                >
+                  <div className="flex items-center justify-between mb-3">
+                    <span className="font-semibold text-neutral-900">{address.label}</span>
+                    {address.is_default && (
+                      <span className="text-xs uppercase tracking-widest bg-black text-white px-2 py-0.5 rounded-full">Default</span>
+                    )}
+                  </div>
+                  <div className="text-sm text-neutral-600 space-y-0.5 flex-1">
+                    <p className="font-medium text-neutral-900">{`${shippingAddress.firstName} ${shippingAddress.lastName}`.trim()}</p>
+                    {formatAddressLines(shippingAddress).map(line => <p key={line}>{line}</p>)}
+                    <p className="pt-1">{formatEthiopianPhone(address.phone)}</p>
+                  </div>
+                  <div className="flex flex-wrap items-center gap-4 mt-5 pt-4 border-t border-neutral-100 text-sm">
+                    <button
+                      type="button"
+                      onClick={() => openEditForm(address)}
+                      disabled={busyId === address.id}
+                      className="inline-flex items-center text-neutral-700 hover:text-black"
+                    >
+                      <FiEdit2 className="mr-1.5" /> Edit
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => handleDelete(address)}
+                      disabled={busyId === address.id}
+                      className="inline-flex items-center text-red-600 hover:text-red-800"
+                    >
+                      <FiTrash2 className="mr-1.5" /> Delete
+                    </button>
+                    {!address.is_default && (
+                      <button
+                        type="button"
+                        onClick={() => handleMakeDefault(address)}
+                        disabled={busyId === address.id}
+                        className="inline-flex items-center text-neutral-700 hover:text-black ml-auto"
+                      >
+                        <FiStar className="mr-1.5" /> Make default
+                      </button>
+                    )}
+                  </div>
+                </li>
+              );
+            })}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AddressesPage;
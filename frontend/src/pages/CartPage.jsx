@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { Link } from 'react-router-dom';
 import { FiTrash2, FiPlus, FiMinus, FiArrowLeft } from 'react-icons/fi';
 import { useSelector, useDispatch } from 'react-redux';
@@ -17,11 +17,30 @@ import {
   clearCart,
   fetchCart,
   selectCartStatus,
-  selectCartError
+  selectCartError,
+  selectStockIssues,
+  getAvailableStock,
+  getItemLineKey,
+  applyCoupon,
+  removeCoupon,
+  selectAppliedCoupon,
+  selectCouponStatus,
+  selectCouponError,
+  selectCartDiscount,
+  selectCartGrandTotal
 } from '../store/cartSlice';
 import { addToWishlist } from '../store/wishlistSlice';
 import { formatETB } from "../utils/utils";
 import { getImageUrl } from '../utils/imageUrl';
+import { getVariantPrice, roundMoney } from '../utils/pricing';
+import { getVariantLabel } from '../utils/variants';
+import { ADDIS_ABABA_SUB_CITIES, isAddisAbaba, toShippingAddress } from '../utils/addresses';
+import { formatDeliveryWindow, formatShippingFee } from '../utils/shipping';
+import { fetchAddresses } from '../services/addressApi';
+import { useAuth } from '../contexts/authContext.jsx';
+import useShippingQuote from '../hooks/useShippingQuote.js';
+import RecommendedProducts from '../components/products/RecommendedProducts.jsx';
+import RecentlyViewedProducts from '../components/products/RecentlyViewedProducts.jsx';
 
 const CartPage = () => {
   const dispatch = useDispatch();
@@ -30,35 +49,74 @@ const CartPage = () => {
   const cartTotal = useSelector(selectCartTotal);
   const cartStatus = useSelector(selectCartStatus);
   const cartError = useSelector(selectCartError);
+  const stockIssues = useSelector(selectStockIssues);
   const [isUpdating, setIsUpdating] = useState(false);
+  const appliedCoupon = useSelector(selectAppliedCoupon);
+  const couponStatus = useSelector(selectCouponStatus);
+  const couponError = useSelector(selectCouponError);
+  const cartDiscount = useSelector(selectCartDiscount);
+  const grandTotal = useSelector(selectCartGrandTotal);
   const [promoCode, setPromoCode] = useState('');
-  const [promoMessage, setPromoMessage] = useState('');
-  const [promoSuccess, setPromoSuccess] = useState(false);
+  const cartProductIds = [...new Set(cartItems.map(item => item.product.id))];
 
-  // Find the specific item in the cart to check its current quantity
-  const findItemQuantity = (productId) => {
-    const item = cartItems.find(item => item.product.id === productId);
-    return item ? item.quantity : 0;
-  };
+  // Shipping estimate: to the default saved address when there is one, else wherever the shopper picks
+  const { user } = useAuth();
+  const [destination, setDestination] = useState({ city: 'Addis Ababa', subCity: '', country: 'Ethiopia' });
+  useEffect(() => {
+    if (!user) return;
+    fetchAddresses()
+      .then(res => {
+        const defaultAddress = res.data?.[0];
+        if (defaultAddress) {
+          const { city, subCity, country } = toShippingAddress(defaultAddress);
+          setDestination({ city, subCity, country });
+        }
+      })
+      .catch(err => console.error('Error fetching saved addresses:', err));
+  }, [user]);
+  const { options: shippingOptions, isUpdating: isQuotingShipping } = useShippingQuote({
+    items: cartItems,
+    address: destination,
+  });
+  // The estimate uses the cheapest option; the shopper picks the method at checkout
+  const cheapestShipping = shippingOptions.reduce((best, option) => (!best || option.fee < best.fee ? option : best), null);
+  const estimatedTotal = roundMoney(grandTotal + (cheapestShipping?.fee || 0));
+  const freeShippingHint = shippingOptions
+    .filter(option => option.amountToFreeShipping !== null)
+    .sort((a, b) => a.amountToFreeShipping - b.amountToFreeShipping)[0];
+
+  // The discount depends on the cart lines, so re-check the applied code whenever they change
+  const cartSignature = cartItems.map(item => `${getItemLineKey(item)}:${item.quantity}`).join(',');
+  const previousCartSignature = useRef(cartSignature);
+  const appliedCouponCode = appliedCoupon?.code;
+  useEffect(() => {
+    if (previousCartSignature.current === cartSignature) return;
+    previousCartSignature.current = cartSignature;
+    if (appliedCouponCode && cartSignature) {
+      dispatch(applyCoupon(appliedCouponCode));
+    }
+  }, [cartSignature, appliedCouponCode, dispatch]);
+
+  // Cart lines are identified by product and variant
+  const toLine = (item) => ({ productId: item.product.id, variantId: item.variant?.id || null });
 
-  const updateQuantityHandler = (productId, delta) => {
+  const updateQuantityHandler = (item, delta) => {
     if (isUpdating) return;
 
-    const currentQuantity = findItemQuantity(productId);
-    const finalQuantity = currentQuantity + delta;
+    const finalQuantity = item.quantity + delta;
 
     // If decrementing results in 0 or less, treat it as a remove action
     if (finalQuantity <= 0) {
-      removeItemHandler(productId); // Delegate to the remove handler
+      removeItemHandler(item); // Delegate to the remove handler
       return;
     }
 
     // Otherwise, proceed with the update action
     setIsUpdating(true);
     // Dispatch optimistic update with the delta
-    dispatch(updateQuantityOptimistic({ productId, delta }));
+    dispatch(updateQuantityOptimistic({ ...toLine(item), delta }));
     // Dispatch the async thunk with the delta
-    dispatch(updateQuantity({ productId, delta }))
+    dispatch(updateQuantity({ ...toLine(item), delta }))
       .unwrap()
       .then(() => toast.success('Cart updated!'))
       .catch((err) => {
@@ -70,11 +128,11 @@ const CartPage = () => {
       .finally(() => setIsUpdating(false));
   };
 
-  const removeItemHandler = (productId) => {
+  const removeItemHandler = (item) => {
     if (isUpdating) return;
     setIsUpdating(true);
-    dispatch(removeItemOptimistic(productId));
-    dispatch(removeItem(productId))
+    dispatch(removeItemOptimistic(toLine(item)));
+    dispatch(removeItem(toLine(item)))
       .unwrap()
       .then(() => toast.success('Item removed from cart!'))
       .catch((err) => {
@@ -95,27 +153,26 @@ const CartPage = () => {
       });
   };
 
+  // Lines asking for more than is in stock block checkout until adjusted
+  const hasStockProblem = cartItems.some(item => {
+    const available = getAvailableStock(item, stockIssues);
+    return available !== null && item.quantity > available;
+  });
+
   const getEstimatedDelivery = () => {
     // Placeholder logic for estimated delivery
     return '3-5 business days';
   };
 
-  const saveForLaterHandler = (productId) => {
+  const saveForLaterHandler = (cartItem) => {
     if (isUpdating) return;
     setIsUpdating(true);
-    // Find the product in cartItems
-    const cartItem = cartItems.find(item => item.product.id === productId);
-    if (!cartItem) {
-      toast.error('Item not found in cart.');
-      setIsUpdating(false);
-      return;
-    }
-    // Remove from cart, then add to wishlist
-    dispatch(removeItemOptimistic(productId));
-    dispatch(removeItem(productId))
+    // Remove from cart, then add the product to the wishlist (wishlists do not keep the variant)
+    dispatch(removeItemOptimistic(toLine(cartItem)));
+    dispatch(removeItem(toLine(cartItem)))
       .unwrap()
       .then(() => {
-        dispatch(addToWishlist(productId));
+        dispatch(addToWishlist(cartItem.product.id));
         toast.success('Item saved for later!');
       })
       .catch((err) => {
@@ -127,14 +184,14 @@ const CartPage = () => {
 
   const applyPromoCodeHandler = (e) => {
     e.preventDefault();
-    // Placeholder logic for applying promo code
-    if (promoCode === 'DISCOUNT10') {
-      setPromoMessage('Promo code applied successfully!');
-      setPromoSuccess(true);
-    } else {
-      setPromoMessage('Invalid promo code.');
-      setPromoSuccess(false);
-    }
+    if (!promoCode.trim()) return;
+    dispatch(applyCoupon(promoCode.trim()))
+      .unwrap()
+      .then(() => {
+        setPromoCode('');
+        toast.success('Promo code applied!');
+      })
+      .catch(() => {}); // Message is shown inline from couponError
   };
 
   return (
@@ -174,9 +231,15 @@ const CartPage = () => {
           <div className="flex flex-col lg:flex-row gap-10">
             {/* Cart Items */}
             <div className="lg:w-2/3 space-y-6">
-              {cartItems.map(({ product, quantity }) => (
+              {cartItems.map((item) => {
+                const { product, variant, quantity } = item;
+                const available = getAvailableStock(item, stockIssues);
+                const atStockLimit = available !== null && quantity >= available;
+                const unitPrice = getVariantPrice(product, variant);
+                const variantLabel = getVariantLabel(variant);
+                return (
                 <div
-                  key={product.id}
+                  key={getItemLineKey(item)}
                   className="flex flex-col sm:flex-row items-start sm:items-center bg-white p-5 sm:p-6 rounded-xl shadow border border-neutral-200 gap-6 group hover:shadow-md transition-shadow duration-200"
                 >
                   {/* Product Image */}
@@ -185,7 +248,7 @@ const CartPage = () => {
                     className="flex-shrink-0 w-full sm:w-auto"
                   >
                     <img
-                      src={getImageUrl(product.images?.[0])}
+                      src={getImageUrl(variant?.images?.[0] || product.images?.[0])}
                       alt={product.name}
                       className="w-full sm:w-20 h-20 object-cover rounded-lg border border-neutral-200 shadow-sm group-hover:scale-105 transition-transform duration-300"
                       loading="lazy"
@@ -205,16 +268,22 @@ const CartPage = () => {
                       <h3 className="font-sans text-lg font-semibold text-neutral-900 mb-1 tracking-tight">{product.name}</h3>
                     </Link>
                     {/* Product Variant Info */}
-                    {product.variant && (
-                      <div className="text-xs text-neutral-500 mb-1">Variant: {product.variant}</div>
+                    {variantLabel && (
+                      <div className="text-xs text-neutral-500 mb-1">Variant: {variantLabel}</div>
+                    )}
+                    {/* Stock warning */}
+                    {available !== null && quantity > available && (
+                      <div className="text-xs text-red-500 mb-1">
+                        {available === 0 ? 'Out of stock — please remove this item' : `Only ${available} left in stock — please reduce the quantity`}
+                      </div>
                     )}
                     {/* Estimated Delivery */}
                     <div className="text-xs text-emerald-600 mb-2">Estimated Delivery: {getEstimatedDelivery()}</div>
-                    <p className="text-sm text-neutral-500 mb-2">{formatETB(product.price)}</p>
+                    <p className="text-sm text-neutral-500 mb-2">{formatETB(unitPrice)}</p>
                     {/* Save for Later / Wishlist */}
                     <button
                       className="text-xs text-indigo-500 hover:underline mb-2"
-                      onClick={() => saveForLaterHandler(product.id)}
+                      onClick={() => saveForLaterHandler(item)}
                       type="button"
                     >
                       Save for Later
@@ -223,7 +292,7 @@ const CartPage = () => {
                     <div className="sm:hidden flex items-center justify-between mt-3">
                       <div className="flex items-center space-x-3">
                         <button
-                          onClick={() => updateQuantityHandler(product.id, -1)}
+                          onClick={() => updateQuantityHandler(item, -1)}
                           className={`p-1 rounded-full border border-neutral-200 ${quantity <= 1 ? 'text-neutral-300' : 'text-neutral-700 hover:bg-neutral-100'}`}
                           disabled={quantity <= 1 || isUpdating}
                         >
@@ -231,15 +300,15 @@ const CartPage = () => {
                         </button>
                         <span className="w-6 text-center text-base font-medium">{quantity}</span>
                         <button
-                          onClick={() => updateQuantityHandler(product.id, 1)}
-                          className="p-1 rounded-full border border-neutral-200 text-neutral-700 hover:bg-neutral-100"
-                          disabled={isUpdating}
+                          onClick={() => updateQuantityHandler(item, 1)}
+                          className={`p-1 rounded-full border border-neutral-200 ${atStockLimit ? 'text-neutral-300' : 'text-neutral-700 hover:bg-neutral-100'}`}
+                          disabled={isUpdating || atStockLimit}
                         >
                           <FiPlus size={14} />
                         </button>
                       </div>
                       <button
-                        onClick={() => removeItemHandler(product.id)}
+                        onClick={() => removeItemHandler(item)}
                         className="text-neutral-400 hover:text-red-500 transition-colors"
                         disabled={isUpdating}
                       >
@@ -251,7 +320,7 @@ const CartPage = () => {
                   {/* Desktop quantity controls */}
                   <div className="hidden sm:flex items-center space-x-3">
                     <button
-                      onClick={() => updateQuantityHandler(product.id, -1)}
+                      onClick={() => updateQuantityHandler(item, -1)}
                       className={`p-2 rounded-full border border-neutral-200 ${quantity <= 1 ? 'text-neutral-300' : 'text-neutral-700 hover:bg-neutral-100'}`}
                       disabled={quantity <= 1 || isUpdating}
                     >
@@ -259,9 +328,9 @@ const CartPage = () => {
                     </button>
                     <span className="w-10 text-center text-lg font-medium">{quantity}</span>
                     <button
-                      onClick={() => updateQuantityHandler(product.id, 1)}
-                      className="p-2 rounded-full border border-neutral-200 text-neutral-700 hover:bg-neutral-100"
-                      disabled={isUpdating}
+                      onClick={() => updateQuantityHandler(item, 1)}
+                      className={`p-2 rounded-full border border-neutral-200 ${atStockLimit ? 'text-neutral-300' : 'text-neutral-700 hover:bg-neutral-100'}`}
+                      disabled={isUpdating || atStockLimit}
                     >
                       <FiPlus size={18} />
                     </button>
@@ -269,12 +338,12 @@ const CartPage = () => {
 
                   {/* Price */}
                   <div className="hidden sm:block w-24 text-right font-semibold text-base text-neutral-900">
-                    {formatETB(parseFloat(product.price) * quantity)}
+                    {formatETB(unitPrice * quantity)}
                   </div>
 
                   {/* Desktop remove */}
                   <button
-                    onClick={() => removeItemHandler(product.id)}
+                    onClick={() => removeItemHandler(item)}
                     className="hidden sm:block text-neutral-400 hover:text-red-500 transition-colors"
                     disabled={isUpdating}
                   >
@@ -283,10 +352,11 @@ const CartPage = () => {
 
                   {/* Mobile price */}
                   <div className="sm:hidden w-full text-right font-semibold text-base text-neutral-900 mt-2">
-                    {formatETB(parseFloat(product.price) * quantity)}
+                    {formatETB(unitPrice * quantity)}
                   </div>
                 </div>
-              ))}
+                );
+              })}
 
               {/* Clear Cart */}
               <div className="text-right mt-2">
@@ -304,30 +374,102 @@ const CartPage = () => {
               <div className="bg-neutral-50 p-6 rounded-xl shadow border border-neutral-200 sticky top-4 sm:top-8 flex flex-col gap-6">
                 <h2 className="text-xl font-sans font-semibold text-neutral-900 mb-2 pb-3 border-b">Order Summary</h2>
                 {/* Promo Code Input */}
-                <form className="flex gap-2 mb-4" onSubmit={applyPromoCodeHandler}>
-                  <input
-                    type="text"
-                    placeholder="Promo code"
-                    className="flex-1 px-3 py-2 border border-neutral-200 rounded-lg text-sm focus:outline-none focus:ring-1 focus:ring-black"
-                    value={promoCode}
-                    onChange={e => setPromoCode(e.target.value)}
-                  />
-                  <button
-                    type="submit"
-                    className="px-4 py-2 bg-black text-white rounded-lg text-sm font-medium hover:bg-neutral-900 transition-colors"
-                  >
-                    Apply
-                  </button>
-                </form>
-                {promoMessage && <div className={`text-sm mb-2 ${promoSuccess ? 'text-emerald-600' : 'text-red-500'}`}>{promoMessage}</div>}
+                {appliedCoupon ? (
+                  <div className="flex items-center justify-between gap-2 mb-4 px-3 py-2 border border-emerald-200 bg-emerald-50 rounded-lg text-sm">
+                    <span className="text-emerald-700">
+                      <span className="font-semibold">{appliedCoupon.code}</span> — {appliedCoupon.description}
+                    </span>
+                    <button
+                      type="button"
+                      onClick={() => dispatch(removeCoupon())}
+                      className="text-neutral-500 hover:text-red-500 transition-colors"
+                    >
+                      Remove
+                    </button>
+                  </div>
+                ) : (
+                  <form className="flex gap-2 mb-4" onSubmit={applyPromoCodeHandler}>
+                    <input
+                      type="text"
+                      placeholder="Promo code"
+                      className="flex-1 px-3 py-2 border border-neutral-200 rounded-lg text-sm focus:outline-none focus:ring-1 focus:ring-black"
+                      value={promoCode}
+                      onChange={e => setPromoCode(e.target.value)}
+                    />
+                    <button
+                      type="submit"
+                      disabled={couponStatus === 'loading'}
+                      className="px-4 py-2 bg-black text-white rounded-lg text-sm font-medium hover:bg-neutral-900 transition-colors disabled:bg-neutral-400"
+                    >
+                      {couponStatus === 'loading' ? 'Applying...' : 'Apply'}
+                    </button>
+                  </form>
+                )}
+                {couponError && <div className="text-sm mb-2 text-red-500">{couponError}</div>}
                 <div className="space-y-4 mb-4">
                   <div className="flex justify-between text-base">
                     <span className="text-neutral-500">Subtotal <span className="font-normal">({cartCount} items)</span></span>
                     <span className="font-semibold text-neutral-900">{formatETB(cartTotal)}</span>
                   </div>
-                  <div className="flex justify-between text-neutral-400 text-sm">
-                    <span>Shipping</span>
-                    <span>Calculated at checkout</span>
+                  {cartDiscount > 0 && (
+                    <div className="flex justify-between text-base text-emerald-600">
+                      <span>Discount ({appliedCoupon.code})</span>
+                      <span>-{formatETB(cartDiscount)}</span>
+                    </div>
+                  )}
+                  <div className="text-sm">
+                    <div className="flex justify-between gap-2">
+                      <label htmlFor="cart-destination" className="text-neutral-500">Shipping to</label>
+                      <select
+                        id="cart-destination"
+                        value={isAddisAbaba(destination.city) ? destination.subCity : 'other'}
+                        onChange={e => setDestination(e.target.value === 'other'
+                          ? { city: '', subCity: '', country: 'Ethiopia' }
+                          : { city: 'Addis Ababa', subCity: e.target.value, country: 'Ethiopia' })}
+                        className="max-w-[60%] bg-transparent text-right text-neutral-900 focus:outline-none"
+                      >
+                        <option value="">Choose sub-city</option>
+                        <optgroup label="Addis Ababa">
+                          {ADDIS_ABABA_SUB_CITIES.map(subCity => <option key={subCity} value={subCity}>{subCity}</option>)}
+                        </optgroup>
+                        <option value="other">Outside Addis Ababa</option>
+                      </select>
+                    </div>
+                    {!isAddisAbaba(destination.city) && (
+                      <input
+                        type="text"
+                        value={destination.city}
+                        onChange={e => setDestination({ city: e.target.value, subCity: '', country: 'Ethiopia' })}
+                        placeholder="City, e.g. Hawassa"
+                        aria-label="Delivery city"
+                        className="mt-2 w-full px-3 py-2 border border-neutral-200 rounded-lg text-sm focus:outline-none focus:ring-1 focus:ring-black"
+                      />
+                    )}
+                    <div className={`flex justify-between mt-2 ${isQuotingShipping ? 'opacity-60' : ''}`}>
+                      <span className="text-neutral-500">Shipping</span>
+                      {cheapestShipping ? (
+                        <span className="text-right">
+                          <span className="font-semibold text-neutral-900">
+                            {shippingOptions.length > 1 && cheapestShipping.fee > 0 && 'from '}
+                            {formatShippingFee(cheapestShipping.fee)}
+                          </span>
+                          <span className="block text-xs text-neutral-400">
+                            {cheapestShipping.name}, {formatDeliveryWindow(cheapestShipping.estimatedDelivery.start, cheapestShipping.estimatedDelivery.end)}
+                          </span>
+                        </span>
+                      ) : (
+                        <span className="text-neutral-400">
+                          {destination.city && (destination.subCity || !isAddisAbaba(destination.city)) && !isQuotingShipping
+                            ? 'Not available here yet'
+                            : 'Calculated at checkout'}
+                        </span>
+                      )}
+                    </div>
+                    {freeShippingHint && (
+                      <p className="mt-1 text-xs text-emerald-600">
+                        Add {formatETB(freeShippingHint.amountToFreeShipping)} more for free {freeShippingHint.name.toLowerCase()}
+                      </p>
+                    )}
                   </div>
                   <div className="flex justify-between text-neutral-400 text-sm">
                     <span>Taxes</span>
@@ -336,14 +478,20 @@ const CartPage = () => {
                 </div>
                 <div className="flex justify-between border-t pt-4 text-lg font-bold">
                   <span>Estimated Total</span>
-                  <span>{formatETB(cartTotal)}</span>
+                  <span>{formatETB(estimatedTotal)}</span>
                 </div>
-                <Link
-                  to="/checkout"
-                  className="block w-full mt-2 bg-black text-white text-center py-3 rounded-full hover:bg-neutral-900 transition-colors text-base font-semibold tracking-wide shadow border border-black/10"
-                >
-                  Proceed to Checkout
-                </Link>
+                {hasStockProblem ? (
+                  <div className="block w-full mt-2 bg-neutral-200 text-neutral-500 text-center py-3 rounded-full text-base font-semibold tracking-wide cursor-not-allowed">
+                    Adjust quantities to continue
+                  </div>
+                ) : (
+                  <Link
+                    to="/checkout"
+                    className="block w-full mt-2 bg-black text-white text-center py-3 rounded-full hover:bg-neutral-900 transition-colors text-base font-semibold tracking-wide shadow border border-black/10"
+                  >
+                    Proceed to Checkout
+                  </Link>
+                )}
               </div>
             </div>
           </div>
@@ -364,31 +512,18 @@ const CartPage = () => {
           Satisfaction Guarantee
         </div>
       </div>
-      {/* Recommended Products */}
-      <div className="max-w-4xl mx-auto mt-16">
-        <h2 className="text-2xl font-semibold text-neutral-900 mb-6">Recommended for You</h2>
-        <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 gap-6 w-full">
-          {/* Example recommended products, replace with real data */}
-          <div className="bg-white border border-neutral-200 rounded-xl shadow p-4 flex flex-col items-center text-center">
-            <img src="/images/hero-2.jpg" alt="Signature Collection recommended product" className="w-24 h-24 object-cover rounded-lg mb-3" loading="lazy" />
-            <h3 className="font-medium text-base mb-1">Signature Collection</h3>
-            <p className="text-sm text-neutral-500 mb-2">Handcrafted luxury essentials.</p>
-            <Link to="/products/1" className="inline-block px-4 py-2 bg-black text-white rounded-full text-xs font-medium hover:bg-neutral-900 transition">View Product</Link>
-          </div>
-          <div className="bg-white border border-neutral-200 rounded-xl shadow p-4 flex flex-col items-center text-center">
-            <img src="/images/tshirt-blue.jpg" alt="Minimalist Edit recommended product" className="w-24 h-24 object-cover rounded-lg mb-3" loading="lazy" />
-            <h3 className="font-medium text-base mb-1">Minimalist Edit</h3>
-            <p className="text-sm text-neutral-500 mb-2">Sleek, versatile, everyday elegance.</p>
-            <Link to="/products/2" className="inline-block px-4 py-2 bg-black text-white rounded-full text-xs font-medium hover:bg-neutral-900 transition">View Product</Link>
-          </div>
-          <div className="bg-white border border-neutral-200 rounded-xl shadow p-4 flex flex-col items-center text-center">
-            <img src="/images/smartwatch.jpg" alt="Tech Essentials recommended product" className="w-24 h-24 object-cover rounded-lg mb-3" loading="lazy" />
-            <h3 className="font-medium text-base mb-1">Tech Essentials</h3>
-            <p className="text-sm text-neutral-500 mb-2">Smart accessories for a connected lifestyle.</p>
-            <Link to="/products/3" className="inline-block px-4 py-2 bg-black text-white rounded-full text-xs font-medium hover:bg-neutral-900 transition">View Product</Link>
-          </div>
-        </div>
-      </div>
+      {/* Customers also bought / same category / wishlist */}
+      <RecommendedProducts
+        productIds={cartProductIds}
+        title="Recommended for You"
+        className="max-w-4xl mx-auto mt-16"
+        gridClassName="grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-4 gap-4 w-full"
+      />
+      <RecentlyViewedProducts
+        exclude={cartProductIds}
+        className="max-w-4xl mx-auto mt-16"
+        gridClassName="grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-4 gap-4 w-full"
+      />
     </div>
   );
 };
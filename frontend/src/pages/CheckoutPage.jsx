@@ -1,42 +1,95 @@
-import React, { useState, useEffect } from 'react';
-import { useNavigate } from 'react-router-dom';
+import React, { useState, useEffect, useRef } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
 import { useSelector, useDispatch } from 'react-redux';
+import { useQueryClient } from '@tanstack/react-query';
 import { useAuth } from '../contexts/authContext.jsx';
 import { createOrder, selectOrderStatus, selectOrderError } from '../store/orderSlice';
-import { clearCart, clearLocalCartAndState } from '../store/cartSlice';
+import { clearCart, clearLocalCartAndState, fetchCart, setStockIssues, clearStockIssues, selectStockIssues, getAvailableStock, getCartLineKey, getItemLineKey, applyCoupon, removeCoupon, selectAppliedCoupon } from '../store/cartSlice';
 import Spinner from '../components/common/Spinner.jsx';
 import ErrorMessage from '../components/common/ErrorMessage.jsx';
 import { FiChevronLeft } from 'react-icons/fi';
 import { formatETB } from "../utils/utils";
+import { getAvailablePaymentMethods, initiatePayment } from '../services/paymentApi';
+import { getVariantPrice, roundMoney } from '../utils/pricing';
+import { getVariantLabel } from '../utils/variants';
+import { normalizeEthiopianPhone, formatEthiopianPhone } from '../utils/phone';
+import { emptyAddress, formatAddressLines, getMissingAddressFields, isAddisAbaba, toShippingAddress } from '../utils/addresses';
+import { fetchAddresses, createAddress } from '../services/addressApi';
+import { rememberGuestOrder } from '../utils/guestOrders';
+import AddressFields from '../components/addresses/AddressFields.jsx';
+import useShippingQuote from '../hooks/useShippingQuote.js';
+import { formatDeliveryWindow, formatShippingFee } from '../utils/shipping';
 import { Helmet } from 'react-helmet';
 
 const CheckoutPage = () => {
   const { user } = useAuth();
   const navigate = useNavigate();
   const dispatch = useDispatch();
+  const queryClient = useQueryClient();
   const orderStatus = useSelector(selectOrderStatus);
   const orderError = useSelector(selectOrderError);
 
   const [shippingAddress, setShippingAddress] = useState({
-    firstName: '',
-    lastName: '',
+    ...emptyAddress(),
     email: user?.email || '', // Prefill from signed-in user
-    street: '',
-    apartment: '',
-    city: '',
-    state: '',
-    zipCode: '',
-    country: 'Ethiopia', // Default for Ethiopian context
-    phone: ''
   });
+  // Address book: the saved address being shipped to, or 'new' for the form below
+  const [savedAddresses, setSavedAddresses] = useState([]);
+  const [selectedAddressId, setSelectedAddressId] = useState('new');
+  const [saveNewAddress, setSaveNewAddress] = useState(true);
+  const [newAddressLabel, setNewAddressLabel] = useState('');
 
   const [error, setError] = useState(null);
+  const [phoneError, setPhoneError] = useState(null);
   const [isPlacingOrder, setIsPlacingOrder] = useState(false);
+  // Set when create-order rejects the cart because prices moved: { priceChanges, submittedTotal, totalAmount }
+  const [priceChangeNotice, setPriceChangeNotice] = useState(null);
+  // Server prices the shopper has re-confirmed, keyed by cart line (see getCartLineKey)
+  const [acceptedPrices, setAcceptedPrices] = useState({});
+  const paymentMethods = getAvailablePaymentMethods();
+  const [paymentMethod, setPaymentMethod] = useState(paymentMethods[0].id);
+  const selectedPaymentMethod = paymentMethods.find(method => method.id === paymentMethod);
 
   // Get cart data from Redux
   const cartItems = useSelector(state => state.cart.items);
+  const stockIssues = useSelector(selectStockIssues);
+  const getUnitPrice = (item) => acceptedPrices[getItemLineKey(item)] ?? getVariantPrice(item.product, item.variant);
   // Robust price calculation in case state.cart.total is not correct
-  const cartTotal = cartItems.reduce((sum, item) => sum + (Number(item.product.price) * Number(item.quantity)), 0);
+  const cartTotal = roundMoney(cartItems.reduce((sum, item) => sum + (getUnitPrice(item) * Number(item.quantity)), 0));
+  const appliedCoupon = useSelector(selectAppliedCoupon);
+  const discountAmount = appliedCoupon?.discountAmount || 0;
+  const appliedCouponCode = appliedCoupon?.code;
+
+  // Delivery options for the cart and the address being shipped to; re-quoted when either changes
+  const {
+    options: shippingOptions,
+    isUpdating: isQuotingShipping,
+    isError: shippingQuoteFailed,
+  } = useShippingQuote({ items: cartItems, address: shippingAddress });
+  const [shippingMethodId, setShippingMethodId] = useState(null);
+  const selectedShipping = shippingOptions.find(option => option.methodId === shippingMethodId) || null;
+  const shippingFee = selectedShipping?.fee || 0;
+  const grandTotal = roundMoney(Math.max(0, cartTotal - discountAmount) + shippingFee);
+
+  let shippingHint = 'Enter your address to see delivery options.';
+  if (shippingQuoteFailed) shippingHint = 'We could not load delivery options. Please try again.';
+  else if (isAddisAbaba(shippingAddress.city) && !shippingAddress.subCity) shippingHint = 'Choose your sub-city to see delivery options.';
+  else if ((shippingAddress.city || '').trim()) shippingHint = 'We do not deliver to this address yet.';
+
+  // Keep the chosen method while it is still offered, otherwise fall back to the first one
+  useEffect(() => {
+    if (!shippingOptions.some(option => option.methodId === shippingMethodId)) {
+      setShippingMethodId(shippingOptions[0]?.methodId ?? null);
+    }
+  }, [shippingOptions, shippingMethodId]);
+
+  // Re-check the promo code once on arrival: the cart may have changed since it was applied
+  const couponRechecked = useRef(false);
+  useEffect(() => {
+    if (couponRechecked.current || !appliedCouponCode) return;
+    couponRechecked.current = true;
+    dispatch(applyCoupon(appliedCouponCode));
+  }, [appliedCouponCode, dispatch]);
   const cartCount = cartItems.reduce((sum, item) => sum + Number(item.quantity), 0);
 
   useEffect(() => {
@@ -63,19 +116,70 @@ const CheckoutPage = () => {
     }
   }, [user]);
 
+  // Preselect the default saved address (listed first); guests have no address book
+  useEffect(() => {
+    if (!user) return;
+    fetchAddresses()
+      .then(res => {
+        const addresses = res.data || [];
+        setSavedAddresses(addresses);
+        if (addresses.length > 0) {
+          setSelectedAddressId(addresses[0].id);
+          setShippingAddress(prev => ({ ...prev, ...toShippingAddress(addresses[0]) }));
+        }
+      })
+      .catch(err => console.error('Error fetching saved addresses:', err));
+  }, [user]);
+
+  const handleSelectAddress = (addressId) => {
+    setSelectedAddressId(addressId);
+    setPhoneError(null);
+    const saved = savedAddresses.find(address => address.id === addressId);
+    setShippingAddress(prev => ({ ...prev, ...(saved ? toShippingAddress(saved) : emptyAddress()) }));
+  };
+
   const handleInputChange = (e) => {
     const { name, value } = e.target;
     setShippingAddress(prev => ({ ...prev, [name]: value }));
+    if (name === 'phone' || name === 'country') setPhoneError(null);
+  };
+
+  // Ethiopian numbers must be mobiles (we send order updates by SMS); shown as +251 9XX XXX XXX
+  const validatePhone = () => {
+    if (shippingAddress.country !== 'Ethiopia' || !shippingAddress.phone) return shippingAddress.phone;
+    const phone = normalizeEthiopianPhone(shippingAddress.phone);
+    if (!phone) {
+      setPhoneError('Enter an Ethiopian mobile number, e.g. 0911 234 567 or +251 911 234 567');
+      return null;
+    }
+    setPhoneError(null);
+    setShippingAddress(prev => ({ ...prev, phone }));
+    return phone;
+  };
+
+  const handleAcceptPriceChanges = () => {
+    const updated = { ...acceptedPrices };
+    priceChangeNotice.priceChanges.forEach(change => {
+      updated[getCartLineKey(change.productId, change.variantId)] = change.currentPrice;
+    });
+    setAcceptedPrices(updated);
+    setPriceChangeNotice(null);
+    // With no line changes the difference is in the delivery fee or the discount, so re-quote
+    // shipping and re-check the promo code too; placing the order waits for the fresh quote
+    queryClient.invalidateQueries({ queryKey: ['shipping-quote'] });
+    dispatch(fetchCart());
+    if (appliedCouponCode) {
+      dispatch(applyCoupon(appliedCouponCode));
+    }
   };
 
   const handlePlaceOrder = (e) => {
     e.preventDefault();
     setError(null);
+    setPriceChangeNotice(null);
     setIsPlacingOrder(true);
 
-    // Enhanced validation
-    const requiredFields = ['firstName', 'street', 'city', 'zipCode', 'country', 'phone'];
-    const missingFields = requiredFields.filter(field => !shippingAddress[field]);
+    const missingFields = getMissingAddressFields(shippingAddress);
 
     if (missingFields.length > 0) {
       setError(`Please fill in all required fields: ${missingFields.join(', ')}`);
@@ -83,30 +187,105 @@ const CheckoutPage = () => {
       return;
     }
 
+    // Guests get their confirmation, and later find the order, by this email
+    if (!user && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test((shippingAddress.email || '').trim())) {
+      setError('Please enter a valid email address so we can send your order confirmation.');
+      setIsPlacingOrder(false);
+      return;
+    }
+
+    const phone = validatePhone();
+    if (!phone) {
+      setError('Please enter a valid phone number.');
+      setIsPlacingOrder(false);
+      return;
+    }
+
+    if (!selectedShipping || isQuotingShipping) {
+      setError(isQuotingShipping ? 'Updating delivery options, please try again in a moment.' : 'Please choose a delivery option.');
+      setIsPlacingOrder(false);
+      return;
+    }
+
     const orderData = {
       orderItems: cartItems.map(item => ({
         productId: item.product.id,
+        variantId: item.variant?.id || null,
         quantity: item.quantity,
-        price: item.product.price
+        price: getUnitPrice(item)
       })),
-      shippingAddress,
-      totalAmount: cartTotal
+      shippingAddress: { ...shippingAddress, phone },
+      shippingMethodId: selectedShipping.methodId,
+      totalAmount: grandTotal,
+      couponCode: appliedCouponCode || undefined
     };
 
     console.log('Submitting orderData:', orderData);
 
     dispatch(createOrder(orderData))
       .unwrap()
-      .then((order) => {
-        navigate(`/order-success/${order.id}`);
+      .then(async (order) => {
+        dispatch(clearStockIssues());
+        // Guest orders come with a token that lets this browser show and pay for them
+        rememberGuestOrder(order.id, order.guest_token);
+        if (user && selectedAddressId === 'new' && saveNewAddress) {
+          // The order already has its copy of the address; failing to save it is not worth a retry
+          const { email: _email, ...address } = { ...shippingAddress, phone };
+          await createAddress({ ...address, label: newAddressLabel.trim() || 'Home' })
+            .catch(saveError => console.error('Error saving address:', saveError));
+        }
+        try {
+          const payment = await initiatePayment({
+            orderId: order.id,
+            provider: paymentMethod,
+            guestToken: order.guest_token || undefined,
+          });
+          if (payment.checkoutUrl) {
+            // Hosted checkout; the gateway sends the shopper back to /order-success/:orderId
+            window.location.assign(payment.checkoutUrl);
+            return;
+          }
+          navigate(`/order-success/${order.id}`);
+        } catch (paymentError) {
+          // The order exists; the success page offers to retry the payment
+          console.error('Error starting payment:', paymentError);
+          navigate(`/order-success/${order.id}`, { state: { paymentError: paymentError.message, paymentMethod } });
+        }
       })
       .catch((err) => {
         console.error("Detailed error during order creation:", err); // Log the full error object
+        if (err?.code === 'PRICE_CHANGED') {
+          setPriceChangeNotice(err);
+          return;
+        }
+        if (err?.code === 'COUPON_INVALID') {
+          dispatch(removeCoupon());
+          setError(`${err.error}. The promo code has been removed — review your total and try again.`);
+          return;
+        }
+        if (err?.code === 'SHIPPING_UNAVAILABLE') {
+          queryClient.invalidateQueries({ queryKey: ['shipping-quote'] });
+          setError(err.error);
+          return;
+        }
+        if (err?.code === 'INVALID_PHONE') {
+          setPhoneError(err.error);
+          setError(err.error);
+          return;
+        }
+        if (err?.code === 'INSUFFICIENT_STOCK') {
+          dispatch(setStockIssues(err.insufficientItems));
+          setError(`${err.error}. Please adjust the highlighted items in your cart.`);
+          return;
+        }
         let errorMessage = 'Failed to place order. Please try again.';
-        if (typeof err === 'string') {
+        if (err?.code === 'PRODUCT_UNAVAILABLE') {
+          const names = (err.unavailableItems || []).map(item => item.name).filter(Boolean);
+          errorMessage = names.length > 0 ? `${err.error}: ${names.join(', ')}` : err.error;
+        } else if (typeof err === 'string') {
           errorMessage = err;
-        } else if (err && err.message) {
-          errorMessage = err.message; // Prefer .message if available from error object
+        } else if (err && (err.message || err.error)) {
+          errorMessage = err.message || err.error; // Prefer .message if available from error object
         } else if (err && typeof err === 'object') {
           // Fallback for other object structures, try to stringify
           try {
@@ -139,33 +318,98 @@ const CheckoutPage = () => {
         <h1 className="text-3xl sm:text-4xl font-sans font-semibold text-neutral-900 tracking-tight mb-10">Checkout</h1>
         {error && <ErrorMessage message={error} className="mb-6" />}
         {orderError && <ErrorMessage message={orderError} className="mb-6" />}
+        {priceChangeNotice && (
+          <div className="bg-amber-50 border-l-4 border-amber-500 p-4 mb-6" role="alert">
+            <h3 className="text-sm font-medium text-amber-900 mb-3">
+              {priceChangeNotice.priceChanges?.length
+                ? priceChangeNotice.error
+                : 'Your delivery fee or discount has changed. Please review and confirm.'}
+            </h3>
+            <ul className="space-y-1 mb-3 text-sm text-amber-900">
+              {(priceChangeNotice.priceChanges || []).map(change => (
+                <li key={getCartLineKey(change.productId, change.variantId)} className="flex justify-between gap-4">
+                  <span>{change.name} &times; {change.quantity}</span>
+                  <span>
+                    <span className="line-through text-amber-700 mr-2">{formatETB(change.submittedPrice)}</span>
+                    <span className="font-semibold">{formatETB(change.currentPrice)}</span>
+                  </span>
+                </li>
+              ))}
+            </ul>
+            <p className="text-sm text-amber-900 mb-3">
+              New total: <span className="font-semibold">{formatETB(priceChangeNotice.totalAmount)}</span>
+              {' '}(was {formatETB(priceChangeNotice.submittedTotal)})
+            </p>
+            <button
+              type="button"
+              onClick={handleAcceptPriceChanges}
+              className="px-4 py-2 bg-black text-white rounded-full text-sm font-medium hover:bg-neutral-900 transition-colors"
+            >
+              Accept updated prices
+            </button>
+          </div>
+        )}
         <div className="flex flex-col lg:flex-row gap-10">
           {/* Left Column - Shipping */}
           <div className="lg:w-2/3 space-y-8">
             <div className="bg-white rounded-xl shadow p-6 sm:p-8 border border-neutral-200">
               <h2 className="text-xl font-sans font-semibold text-neutral-900 mb-6">Shipping Information</h2>
-              <form className="grid grid-cols-1 md:grid-cols-2 gap-6">
-                <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-1">First Name *</label>
-                  <input
-                    type="text"
-                    name="firstName"
-                    value={shippingAddress.firstName}
-                    onChange={handleInputChange}
-                    className="w-full px-4 py-3 border border-gray-200 rounded-lg focus:ring-1 focus:ring-black focus:border-black"
-                    required
-                  />
-                </div>
-                <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-1">Last Name</label>
-                  <input
-                    type="text"
-                    name="lastName"
-                    value={shippingAddress.lastName}
-                    onChange={handleInputChange}
-                    className="w-full px-4 py-3 border border-gray-200 rounded-lg focus:ring-1 focus:ring-black focus:border-black"
-                  />
+              {!user && (
+                <p className="text-sm text-gray-600 bg-neutral-50 border border-neutral-200 rounded-lg p-4 mb-6">
+                  Checking out as a guest. We will email your confirmation and you can track the order with its
+                  number.{' '}
+                  <Link to="/login" state={{ from: { pathname: '/checkout' } }} className="font-medium text-black underline">
+                    Sign in
+                  </Link>{' '}
+                  to use your saved addresses.
+                </p>
+              )}
+              {savedAddresses.length > 0 && (
+                <div className="space-y-3 mb-8" role="radiogroup" aria-label="Delivery address">
+                  {savedAddresses.map(address => {
+                    const saved = toShippingAddress(address);
+                    return (
+                      <label
+                        key={address.id}
+                        className={`flex items-start gap-3 p-4 border rounded-lg cursor-pointer transition-colors ${
+                          selectedAddressId === address.id ? 'border-black bg-neutral-50' : 'border-gray-200 hover:border-gray-400'
+                        }`}
+                      >
+                        <input
+                          type="radio"
+                          name="savedAddress"
+                          checked={selectedAddressId === address.id}
+                          onChange={() => handleSelectAddress(address.id)}
+                          className="mt-1 accent-black"
+                        />
+                        <span className="text-sm text-gray-600">
+                          <span className="block font-medium text-gray-900">
+                            {address.label}
+                            {address.is_default && <span className="ml-2 text-xs uppercase tracking-widest text-gray-400">Default</span>}
+                          </span>
+                          <span className="block">{`${saved.firstName} ${saved.lastName}`.trim()} · {formatEthiopianPhone(saved.phone)}</span>
+                          <span className="block">{formatAddressLines(saved).join(' · ')}</span>
+                        </span>
+                      </label>
+                    );
+                  })}
+                  <label
+                    className={`flex items-center gap-3 p-4 border rounded-lg cursor-pointer transition-colors ${
+                      selectedAddressId === 'new' ? 'border-black bg-neutral-50' : 'border-gray-200 hover:border-gray-400'
+                    }`}
+                  >
+                    <input
+                      type="radio"
+                      name="savedAddress"
+                      checked={selectedAddressId === 'new'}
+                      onChange={() => handleSelectAddress('new')}
+                      className="accent-black"
+                    />
+                    <span className="font-medium text-gray-900 text-sm">Use a new address</span>
+                  </label>
                 </div>
+              )}
+              <form className="grid grid-cols-1 md:grid-cols-2 gap-6">
                 <div className="md:col-span-2">
                   <label className="block text-sm font-medium text-gray-700 mb-1">Email *</label>
                   <input
@@ -177,84 +421,111 @@ const CheckoutPage = () => {
                     required
                   />
                 </div>
-                <div className="md:col-span-2">
-                  <label className="block text-sm font-medium text-gray-700 mb-1">Street Address *</label>
-                  <input
-                    type="text"
-                    name="street"
-                    value={shippingAddress.street}
-                    onChange={handleInputChange}
-                    className="w-full px-4 py-3 border border-gray-200 rounded-lg focus:ring-1 focus:ring-black focus:border-black"
-                    required
-                  />
-                </div>
-                <div className="md:col-span-2">
-                  <label className="block text-sm font-medium text-gray-700 mb-1">Apartment, Suite, etc.</label>
-                  <input
-                    type="text"
-                    name="apartment"
-                    value={shippingAddress.apartment}
-                    onChange={handleInputChange}
-                    className="w-full px-4 py-3 border border-gray-200 rounded-lg focus:ring-1 focus:ring-black focus:border-black"
-                  />
-                </div>
-                <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-1">City *</label>
-                  <input
-                    type="text"
-                    name="city"
-                    value={shippingAddress.city}
-                    onChange={handleInputChange}
-                    className="w-full px-4 py-3 border border-gray-200 rounded-lg focus:ring-1 focus:ring-black focus:border-black"
-                    required
-                  />
-                </div>
-                <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-1">State/Region</label>
-                  <input
-                    type="text"
-                    name="state"
-                    value={shippingAddress.state}
-                    onChange={handleInputChange}
-                    className="w-full px-4 py-3 border border-gray-200 rounded-lg focus:ring-1 focus:ring-black focus:border-black"
-                  />
-                </div>
-                <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-1">ZIP Code *</label>
-                  <input
-                    type="text"
-                    name="zipCode"
-                    value={shippingAddress.zipCode}
-                    onChange={handleInputChange}
-                    className="w-full px-4 py-3 border border-gray-200 rounded-lg focus:ring-1 focus:ring-black focus:border-black"
-                    required
-                  />
+                {selectedAddressId === 'new' && (
+                  <>
+                    <AddressFields
+                      address={shippingAddress}
+                      onChange={handleInputChange}
+                      phoneError={phoneError}
+                      onPhoneBlur={validatePhone}
+                    />
+                    {user && (
+                    <div className="md:col-span-2 flex flex-col sm:flex-row sm:items-center gap-3">
+                      <label className="flex items-center gap-3 text-sm text-gray-700 cursor-pointer">
+                        <input
+                          type="checkbox"
+                          checked={saveNewAddress}
+                          onChange={(e) => setSaveNewAddress(e.target.checked)}
+                          className="h-4 w-4 accent-black"
+                        />
+                        Save to my address book as
+                      </label>
+                      <input
+                        type="text"
+                        value={newAddressLabel}
+                        onChange={(e) => setNewAddressLabel(e.target.value)}
+                        disabled={!saveNewAddress}
+                        maxLength={40}
+                        placeholder="Home"
+                        aria-label="Address label"
+                        className="sm:w-40 px-3 py-2 border border-gray-200 rounded-lg text-sm focus:ring-1 focus:ring-black focus:border-black disabled:bg-gray-50"
+                      />
+                    </div>
+                    )}
+                  </>
+                )}
+              </form>
+            </div>
+            <div className="bg-white rounded-xl shadow p-6 sm:p-8 border border-neutral-200">
+              <h2 className="text-xl font-sans font-semibold text-neutral-900 mb-6">Delivery Method</h2>
+              {shippingOptions.length > 0 ? (
+                <div className={`space-y-3 ${isQuotingShipping ? 'opacity-60' : ''}`} role="radiogroup" aria-label="Delivery method">
+                  {shippingOptions.map(option => (
+                    <label
+                      key={option.methodId}
+                      className={`flex items-start gap-3 p-4 border rounded-lg cursor-pointer transition-colors ${
+                        shippingMethodId === option.methodId ? 'border-black bg-neutral-50' : 'border-gray-200 hover:border-gray-400'
+                      }`}
+                    >
+                      <input
+                        type="radio"
+                        name="shippingMethod"
+                        value={option.methodId}
+                        checked={shippingMethodId === option.methodId}
+                        onChange={() => setShippingMethodId(option.methodId)}
+                        className="mt-1 accent-black"
+                      />
+                      <span className="flex-1">
+                        <span className="flex justify-between gap-4">
+                          <span className="font-medium text-gray-900">{option.name}</span>
+                          <span className="font-medium text-gray-900">{formatShippingFee(option.fee)}</span>
+                        </span>
+                        <span className="block text-sm text-gray-500">
+                          {option.kind === 'pickup' && option.pickupLocation ? option.pickupLocation : option.description}
+                        </span>
+                        <span className="block text-sm text-gray-500">
+                          {option.kind === 'pickup' ? 'Ready' : 'Arrives'} {formatDeliveryWindow(option.estimatedDelivery.start, option.estimatedDelivery.end)}
+                        </span>
+                        {option.amountToFreeShipping !== null && (
+                          <span className="block text-xs text-emerald-600 mt-1">
+                            Add {formatETB(option.amountToFreeShipping)} more for free {option.name.toLowerCase()}
+                          </span>
+                        )}
+                      </span>
+                    </label>
+                  ))}
                 </div>
-                <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-1">Country *</label>
-                  <select
-                    name="country"
-                    value={shippingAddress.country}
-                    onChange={handleInputChange}
-                    className="w-full px-4 py-3 border border-gray-200 rounded-lg focus:ring-1 focus:ring-black focus:border-black"
-                    required
+              ) : isQuotingShipping ? (
+                <div className="flex justify-center py-6"><Spinner size="sm" /></div>
+              ) : (
+                <p className="text-sm text-gray-500">{shippingHint}</p>
+              )}
+            </div>
+            <div className="bg-white rounded-xl shadow p-6 sm:p-8 border border-neutral-200">
+              <h2 className="text-xl font-sans font-semibold text-neutral-900 mb-6">Payment Method</h2>
+              <div className="space-y-3" role="radiogroup" aria-label="Payment method">
+                {paymentMethods.map(method => (
+                  <label
+                    key={method.id}
+                    className={`flex items-start gap-3 p-4 border rounded-lg cursor-pointer transition-colors ${
+                      paymentMethod === method.id ? 'border-black bg-neutral-50' : 'border-gray-200 hover:border-gray-400'
+                    }`}
                   >
-                    <option value="Ethiopia">Ethiopia</option>
-                    <option value="Other">Other</option>
-                  </select>
-                </div>
-                <div className="md:col-span-2">
-                  <label className="block text-sm font-medium text-gray-700 mb-1">Phone Number *</label>
-                  <input
-                    type="tel"
-                    name="phone"
-                    value={shippingAddress.phone}
-                    onChange={handleInputChange}
-                    className="w-full px-4 py-3 border border-gray-200 rounded-lg focus:ring-1 focus:ring-black focus:border-black"
-                    required
-                  />
-                </div>
-              </form>
+                    <input
+                      type="radio"
+                      name="paymentMethod"
+                      value={method.id}
+                      checked={paymentMethod === method.id}
+                      onChange={() => setPaymentMethod(method.id)}
+                      className="mt-1 accent-black"
+                    />
+                    <span>
+                      <span className="block font-medium text-gray-900">{method.label}</span>
+                      <span className="block text-sm text-gray-500">{method.description}</span>
+                    </span>
+                  </label>
+                ))}
+              </div>
             </div>
           </div>
           {/* Right Column - Order Summary */}
@@ -263,8 +534,12 @@ const CheckoutPage = () => {
               <h2 className="text-xl font-sans font-semibold text-neutral-900 mb-6">Order Summary</h2>
               {/* Items List */}
               <div className="space-y-4 mb-6 max-h-72 overflow-y-auto pr-2">
-                {cartItems.map(({ product, quantity }) => (
-                  <div key={product.id} className="flex justify-between items-start">
+                {cartItems.map((item) => {
+                  const { product, variant, quantity } = item;
+                  const available = getAvailableStock(item, stockIssues);
+                  const variantLabel = getVariantLabel(variant);
+                  return (
+                  <div key={getItemLineKey(item)} className="flex justify-between items-start">
                     <div className="flex items-center gap-4">
                       <div className="h-16 w-16 bg-gray-100 rounded-lg overflow-hidden flex-shrink-0">
                         <img
@@ -286,12 +561,19 @@ const CheckoutPage = () => {
                       </div>
                       <div>
                         <h3 className="font-medium text-gray-900">{product.name}</h3>
+                        {variantLabel && <p className="text-sm text-gray-500">{variantLabel}</p>}
                         <p className="text-sm text-gray-500">Qty: {quantity}</p>
+                        {available !== null && quantity > available && (
+                          <p className="text-xs text-red-500">
+                            {available === 0 ? 'Out of stock' : `Only ${available} left`}
+                          </p>
+                        )}
                       </div>
                     </div>
-                    <p className="font-medium">{formatETB(product.price * quantity)}</p>
+                    <p className="font-medium">{formatETB(getUnitPrice(item) * quantity)}</p>
                   </div>
-                ))}
+                  );
+                })}
               </div>
               {/* Order Totals */}
               <div className="space-y-3 border-t border-neutral-200 pt-4">
@@ -299,9 +581,17 @@ const CheckoutPage = () => {
                   <span className="text-gray-600">Subtotal ({cartCount} items)</span>
                   <span className="font-medium">{formatETB(cartTotal)}</span>
                 </div>
+                {discountAmount > 0 && (
+                  <div className="flex justify-between text-emerald-600">
+                    <span>Discount ({appliedCoupon.code})</span>
+                    <span>-{formatETB(discountAmount)}</span>
+                  </div>
+                )}
                 <div className="flex justify-between">
-                  <span className="text-gray-600">Shipping</span>
-                  <span className="text-gray-600">Free</span>
+                  <span className="text-gray-600">Shipping{selectedShipping && ` (${selectedShipping.name})`}</span>
+                  <span className={selectedShipping ? 'font-medium' : 'text-gray-600'}>
+                    {selectedShipping ? formatShippingFee(selectedShipping.fee) : '—'}
+                  </span>
                 </div>
                 <div className="flex justify-between">
                   <span className="text-gray-600">Tax</span>
@@ -309,12 +599,12 @@ const CheckoutPage = () => {
                 </div>
                 <div className="flex justify-between border-t border-neutral-200 pt-4 text-lg font-bold">
                   <span>Total</span>
-                  <span>{formatETB(cartTotal)}</span>
+                  <span>{formatETB(grandTotal)}</span>
                 </div>
               </div>
               <button
                 onClick={handlePlaceOrder}
-                disabled={orderStatus === 'loading' || isPlacingOrder || cartItems.length === 0}
+                disabled={orderStatus === 'loading' || isPlacingOrder || cartItems.length === 0 || !!priceChangeNotice || !selectedShipping}
                 className={`w-full mt-6 py-3 rounded-full text-white font-semibold flex items-center justify-center gap-2 ${orderStatus === 'loading' || isPlacingOrder ? 'bg-gray-400' : 'bg-black hover:bg-neutral-900'} transition-colors text-base shadow border border-black/10`}
               >
                 {(orderStatus === 'loading' || isPlacingOrder) ? (
@@ -322,8 +612,10 @@ const CheckoutPage = () => {
                     <Spinner size="sm" />
                     Processing...
                   </>
+                ) : selectedPaymentMethod?.redirects ? (
+                  `Pay ${formatETB(grandTotal)}`
                 ) : (
-                  `Pay ${formatETB(cartTotal)}`
+                  `Place Order · ${formatETB(grandTotal)}`
                 )}
               </button>
             </div>
@@ -8,7 +8,8 @@ import {
   FiShare2,
   FiTag
 } from 'react-icons/fi';
-import { supabase } from '../services/supabaseClient.js';
+import { getPublicCollectionDetails } from '../services/sellerApi.js';
+import { formatETB } from '../utils/utils';
 import ProductCard from '../components/ui/ProductCard';
 import Spinner from '../components/common/Spinner.jsx';
 import { Helmet } from 'react-helmet';
@@ -26,68 +27,16 @@ const CollectionDetailPage = () => {
   const fetchCollectionDetails = async () => {
     try {
       setLoading(true);
-      const { data, error } = await supabase.functions.invoke('get-public-collection-details', {
-        body: { collection_id: collectionId }
-      });
-      
-      if (error) throw error;
-      setCollection(data);
+      setError(null);
+      setCollection(await getPublicCollectionDetails(collectionId));
     } catch (err) {
       console.error('Error fetching collection details:', err);
-      setError('Failed to load collection details');
-      // Use mock data for development
-      setCollection(getMockCollection());
+      setError(err.message || 'Failed to load collection details');
     } finally {
       setLoading(false);
     }
   };
 
-  const getMockCollection = () => ({
-    id: collectionId,
-    name: 'Summer Vibes Collection',
-    description: 'Experience the essence of summer with our carefully curated collection of bright, airy, and comfortable pieces perfect for the season.',
-    image_url: '/images/hero-2.jpg',
-    price: 199.99,
-    seller_name: 'The Test Boutique',
-    seller_id: 1,
-    status: 'active',
-    created_at: '2024-01-15T00:00:00Z',
-    products: [
-      {
-        id: 1,
-        name: 'Sunset Breeze Dress',
-        price: 79.99,
-        image_url: '/images/dress-summer.jpg',
-        description: 'Flowing summer dress in sunset orange',
-        category: 'Dresses'
-      },
-      {
-        id: 2,
-        name: 'Beach Day Sandals',
-        price: 45.99,
-        image_url: '/images/sandals-beach.jpg',
-        description: 'Comfortable sandals for beach walks',
-        category: 'Footwear'
-      },
-      {
-        id: 3,
-        name: 'Sun Hat Classic',
-        price: 29.99,
-        image_url: '/images/hat-sun.jpg',
-        description: 'Wide-brimmed sun hat for protection',
-        category: 'Accessories'
-      },
-      {
-        id: 4,
-        name: 'Lightweight Cardigan',
-        price: 59.99,
-        image_url: '/images/cardigan-light.jpg',
-        description: 'Perfect for cool summer evenings',
-        category: 'Outerwear'
-      }
-    ]
-  });
-
   const handleAddToCart = () => {
     // Add collection to cart logic
     console.log('Adding collection to cart:', collection.id);
@@ -207,14 +156,14 @@ const CollectionDetailPage = () => {
             </div>
 
             {/* Collection Price */}
-            {collection.price && (
+            {collection.price > 0 && (
               <div className="mb-6">
                 <div className="flex items-center mb-2">
                   <FiTag className="h-5 w-5 text-gray-500 mr-2" />
                   <span className="text-sm text-gray-600">Collection Price</span>
                 </div>
                 <p className="text-3xl font-bold text-gray-900">
-                  ${collection.price.toFixed(2)}
+                  {formatETB(collection.price)}
                 </p>
                 <p className="text-sm text-gray-500">
                   Save when you buy the complete collection
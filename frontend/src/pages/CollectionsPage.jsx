@@ -7,15 +7,17 @@ import ProductCard from '../components/ui/ProductCard';
 import { Input } from "../components/ui/input"; // Import Input
 import { Button } from "../components/ui/button"; // Import Button
 import { Helmet } from 'react-helmet';
+import useInfiniteProducts from '../hooks/useInfiniteProducts';
+import useInfiniteScroll from '../hooks/useInfiniteScroll';
+import useScrollRestoration from '../hooks/useScrollRestoration';
 import { supabase } from "../services/supabaseClient.js"; // Import supabase
+import { getPublicCollections } from '../services/sellerApi.js';
+import { formatETB } from '../utils/utils';
 
 // Fetch public collections from API
 const fetchPublicCollections = async () => {
   try {
-    const { data, error } = await supabase.functions.invoke('get-public-collections');
-    
-    if (error) throw error;
-    return data || [];
+    return (await getPublicCollections()) || [];
   } catch (error) {
     console.error('Error fetching public collections:', error);
     // Return empty array for now - let the static collections show
@@ -72,6 +74,10 @@ const featureIcons = [
   }
 ];
 
+// "Shop everything" loads this many pages on its own, then waits for the button so the
+// sections below it stay reachable
+const AUTO_LOAD_PAGES = 3;
+
 const priceRanges = [
   { label: "Under $25", min: 0, max: 25 },
   { label: "$25 - $50", min: 25, max: 50 },
@@ -169,6 +175,24 @@ const CollectionsPage = () => {
     staleTime: 1000 * 60 * 10, // Cache for 10 minutes
   });
 
+  // Shop everything: the whole catalogue as an infinite list
+  const {
+    products: allProducts,
+    total: allProductsTotal,
+    data: allProductsData,
+    isLoading: allProductsLoading,
+    isError: allProductsError,
+    hasNextPage: allProductsHasMore,
+    fetchNextPage: fetchMoreProducts,
+    isFetchingNextPage: fetchingMoreProducts,
+  } = useInfiniteProducts({ sortBy: 'name' }, { pageSize: 8 });
+  const autoLoadMore = (allProductsData?.pages.length || 0) < AUTO_LOAD_PAGES;
+  const loadMoreProductsRef = useInfiniteScroll(
+    fetchMoreProducts,
+    allProductsHasMore && !fetchingMoreProducts && autoLoadMore
+  );
+  useScrollRestoration(!allProductsLoading);
+
   // Trending Products Section
   // const TrendingProducts = () => {
   //   const { data, isLoading, error } = useQuery({
@@ -383,9 +407,9 @@ const CollectionsPage = () => {
                         </Link>
                       </div>
                     </div>
-                    {collection.price && (
+                    {collection.price > 0 && (
                       <div className="absolute top-4 right-4 bg-white/90 text-black text-xs font-semibold px-4 py-1 rounded-full shadow border border-neutral-200">
-                        ${collection.price}
+                        {formatETB(collection.price)}
                       </div>
                     )}
                   </div>
@@ -541,6 +565,42 @@ const CollectionsPage = () => {
       {/* Featured Products Section */}
       <FeaturedProducts />
 
+      {/* Shop Everything (infinite list) */}
+      <section className="container mx-auto px-4 sm:px-6 mb-20">
+        <div className="mb-10 text-center">
+          <h2 className="text-3xl font-light mb-2 tracking-tight">Shop Everything</h2>
+          <p className="text-neutral-500 text-sm max-w-md mx-auto">
+            {allProductsTotal > 0 ? `All ${allProductsTotal} pieces, A to Z.` : 'Our whole catalogue, A to Z.'}
+          </p>
+        </div>
+        {allProductsLoading ? (
+          <div className="flex justify-center py-10">
+            <Loader2 className="h-6 w-6 animate-spin text-neutral-400" />
+          </div>
+        ) : allProductsError ? (
+          <div className="text-center text-red-500 py-10">Could not load products. Please try again later.</div>
+        ) : allProducts.length > 0 ? (
+          <>
+            <div className="grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-4 gap-2 sm:gap-4">
+              {allProducts.map(product => (
+                <div key={product.id} className="group">
+                  <ProductCard product={product} className="transition-shadow duration-300 group-hover:shadow-xl" />
+                </div>
+              ))}
+            </div>
+            <div ref={loadMoreProductsRef} className="mt-10 flex justify-center">
+              {allProductsHasMore && (
+                <Button variant="outline" onClick={() => fetchMoreProducts()} disabled={fetchingMoreProducts}>
+                  {fetchingMoreProducts ? 'Loading more...' : 'Load more'}
+                </Button>
+              )}
+            </div>
+          </>
+        ) : (
+          <div className="text-center text-neutral-500 py-10">No products yet.</div>
+        )}
+      </section>
+
       {/* Newsletter Section - Styled like HomePage */}
       <section className="py-16 sm:py-24 bg-neutral-100"> {/* Updated padding */}
         <div className="container mx-auto px-4 sm:px-6 max-w-4xl text-center"> {/* Updated max-width */}
@@ -0,0 +1,111 @@
+import React, { useState } from 'react';
+import { useSearchParams, useNavigate } from 'react-router-dom';
+import { Helmet } from 'react-helmet';
+import Spinner from '../components/common/Spinner';
+import ErrorMessage from '../components/common/ErrorMessage';
+import { completeFakePayment } from '../services/paymentApi';
+import { formatETB } from '../utils/utils';
+
+// Hosted checkout page for the fake payment provider (VITE_ENABLE_FAKE_GATEWAY=true).
+// Plays the part of a gateway's payment screen so the redirect + webhook flow runs offline.
+const FakeGatewayPage = () => {
+  const [searchParams] = useSearchParams();
+  const navigate = useNavigate();
+  const txRef = searchParams.get('tx_ref');
+  const amount = Number(searchParams.get('amount')) || 0;
+  const returnUrl = searchParams.get('return_url');
+  const [submitting, setSubmitting] = useState(null);
+  const [error, setError] = useState(null);
+
+  const returnToShop = () => {
+    // Only follow same-origin return URLs
+    const target = returnUrl ? new URL(returnUrl, window.location.origin) : null;
+    if (target && target.origin === window.location.origin) {
+      navigate(`${target.pathname}${target.search}`);
+    } else {
+      navigate('/orders');
+    }
+  };
+
+  const handleOutcome = async (outcome) => {
+    setSubmitting(outcome);
+    setError(null);
+    try {
+      await completeFakePayment(txRef, outcome);
+      returnToShop();
+    } catch (err) {
+      setError(err.message || 'The simulated payment could not be completed.');
+    } finally {
+      setSubmitting(null);
+    }
+  };
+
+  if (import.meta.env.VITE_ENABLE_FAKE_GATEWAY !== 'true') {
+    return (
+      <div className="container mx-auto px-4 py-12 pt-28 text-center text-gray-600">
+        The test payment gateway is disabled.
+      </div>
+    );
+  }
+
+  return (
+    <div className="container mx-auto px-4 py-12 pt-28">
+      <Helmet>
+        <title>Test Payment Gateway | SuriAddis</title>
+      </Helmet>
+      <div className="max-w-md mx-auto bg-white p-8 rounded-lg shadow-xl space-y-6 border-t-4 border-amber-400">
+        <div>
+          <p className="text-xs font-semibold uppercase tracking-wider text-amber-600">Test mode</p>
+          <h1 className="text-2xl font-bold text-gray-800 mt-1">Fake Payment Gateway</h1>
+          <p className="text-sm text-gray-500 mt-2">
+            No money moves. Choose an outcome to send a signed webhook back to the shop.
+          </p>
+        </div>
+
+        <div className="bg-gray-50 p-4 rounded-lg border border-gray-200 space-y-2 text-sm">
+          <p className="flex justify-between">
+            <span className="text-gray-500">Amount</span>
+            <span className="font-semibold">{formatETB(amount)}</span>
+          </p>
+          <p className="flex justify-between gap-4">
+            <span className="text-gray-500">Reference</span>
+            <span className="font-mono break-all">{txRef || '—'}</span>
+          </p>
+        </div>
+
+        {error && <ErrorMessage message={error} />}
+
+        <div className="space-y-3">
+          <button
+            type="button"
+            onClick={() => handleOutcome('success')}
+            disabled={!txRef || submitting !== null}
+            className="w-full flex items-center justify-center gap-2 px-6 py-3 bg-green-600 text-white font-medium rounded-md hover:bg-green-700 disabled:opacity-60 transition-colors"
+          >
+            {submitting === 'success' && <Spinner size="sm" />}
+            Approve Payment
+          </button>
+          <button
+            type="button"
+            onClick={() => handleOutcome('failure')}
+            disabled={!txRef || submitting !== null}
+            className="w-full flex items-center justify-center gap-2 px-6 py-3 border border-red-500 text-red-600 font-medium rounded-md hover:bg-red-50 disabled:opacity-60 transition-colors"
+          >
+            {submitting === 'failure' && <Spinner size="sm" />}
+            Decline Payment
+          </button>
+          <button
+            type="button"
+            onClick={returnToShop}
+            disabled={submitting !== null}
+            className="w-full px-6 py-2 text-sm text-gray-500 hover:text-gray-800"
+          >
+            Cancel and return to shop
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default FakeGatewayPage;
@@ -0,0 +1,123 @@
+import React, { useState } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { Helmet } from 'react-helmet';
+import Spinner from '../components/common/Spinner';
+import ErrorMessage from '../components/common/ErrorMessage';
+import { FiMail, FiArrowLeft, FiSend, FiCheckCircle } from 'react-icons/fi';
+import { requestPasswordReset } from '../services/notificationApi.js';
+
+const ForgotPasswordPage = () => {
+  const [email, setEmail] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [sent, setSent] = useState(false);
+  const [error, setError] = useState(null);
+  const navigate = useNavigate();
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+    setSubmitting(true);
+    try {
+      await requestPasswordReset(email.trim());
+      setSent(true);
+    } catch (err) {
+      setError(err.message || 'Could not send the reset email. Please try again.');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-white flex flex-col justify-center pt-28 pb-12 px-4 sm:px-6 lg:px-8">
+      <Helmet>
+        <title>Forgot Password | SuriAddis</title>
+        <meta name="description" content="Reset the password for your SuriAddis account." />
+      </Helmet>
+      <div className="max-w-md w-full mx-auto">
+        <button
+          onClick={() => navigate(-1)}
+          className="flex items-center text-neutral-400 hover:text-black mb-6 transition-colors text-sm font-medium"
+        >
+          <FiArrowLeft className="mr-2" />
+          Back
+        </button>
+
+        <div className="bg-white rounded-2xl shadow border border-neutral-100 p-7 sm:p-8">
+          {sent ? (
+            <div className="text-center">
+              <FiCheckCircle className="mx-auto h-10 w-10 text-black mb-4" />
+              <h1 className="text-2xl font-bold text-black mb-2 tracking-tight">Check your email</h1>
+              <p className="text-neutral-500 text-sm mb-6">
+                If an account exists for <span className="font-medium text-black">{email}</span>, we&apos;ve sent a link to reset its password. The link is valid for one hour.
+              </p>
+              <Link to="/login" className="text-black hover:underline font-medium text-sm">
+                Back to sign in
+              </Link>
+            </div>
+          ) : (
+            <>
+              <div className="text-center mb-8">
+                <h1 className="text-2xl font-bold text-black mb-2 tracking-tight">Forgot your password?</h1>
+                <p className="text-neutral-500 text-sm">
+                  Enter your email and we&apos;ll send you a link to choose a new one.
+                </p>
+              </div>
+
+              {error && <ErrorMessage message={error} className="mb-6" />}
+
+              <form className="space-y-5" onSubmit={handleSubmit}>
+                <div>
+                  <label htmlFor="email" className="block text-xs font-medium text-neutral-500 mb-1">
+                    Email address
+                  </label>
+                  <div className="relative">
+                    <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                      <FiMail className="text-neutral-300" />
+                    </div>
+                    <input
+                      id="email"
+                      name="email"
+                      type="email"
+                      autoComplete="email"
+                      required
+                      className="block w-full pl-10 pr-3 py-3 border border-neutral-200 rounded-lg focus:ring-2 focus:ring-black focus:border-black bg-neutral-50 text-black placeholder-neutral-400 text-sm"
+                      placeholder="you@example.com"
+                      value={email}
+                      onChange={(e) => setEmail(e.target.value)}
+                    />
+                  </div>
+                </div>
+
+                <button
+                  type="submit"
+                  disabled={submitting}
+                  className={`w-full flex justify-center items-center py-3 px-4 rounded-lg text-white font-semibold text-sm ${
+                    submitting ? 'bg-neutral-300' : 'bg-black hover:bg-neutral-800'
+                  } transition-colors`}
+                >
+                  {submitting ? (
+                    <Spinner size="sm" />
+                  ) : (
+                    <>
+                      <FiSend className="mr-2" />
+                      Send Reset Link
+                    </>
+                  )}
+                </button>
+              </form>
+
+              <p className="text-center text-sm text-neutral-500 mt-6">
+                Remembered it?{' '}
+                <Link to="/login" className="text-black hover:underline font-medium">
+                  Sign in
+                </Link>
+              </p>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ForgotPasswordPage;
@@ -27,6 +27,8 @@ import { fetchCategoriesThunk, fetchReviewsThunk } from "../store/productSlice"
 import { fetchProducts } from "../services/productApi.js"; 
 import Header from '../components/layout/Header'
 import CategorySkeletonCard from "../components/ui/CategorySkeletonCard.jsx"
+import RecommendedProducts from "../components/products/RecommendedProducts.jsx"
+import RecentlyViewedProducts from "../components/products/RecentlyViewedProducts.jsx"
 
 // Define the Supabase placeholder image URL
 const SUPABASE_PLACEHOLDER_IMAGE_URL = supabase.storage.from("public_assets").getPublicUrl("placeholder.webp").data?.publicUrl || "/fallback-placeholder.svg"; // Fallback if Supabase URL construction fails
@@ -322,6 +324,22 @@ const TrendingProducts = () => {
   );
 };
 
+// Personal picks (views and wishlist, best sellers for new visitors) and recently viewed
+const PersonalizedProducts = () => {
+  const titleClassName = "text-2xl sm:text-3xl md:text-4xl font-light text-neutral-800 tracking-tight font-['Playfair_Display',Georgia,serif]"
+
+  return (
+    <div className="container mx-auto px-4 sm:px-6 pb-16 sm:pb-24 space-y-16 sm:space-y-24">
+      <RecommendedProducts
+        title="Picked for You"
+        description="Chosen from what you have browsed and saved"
+        titleClassName={titleClassName}
+      />
+      <RecentlyViewedProducts titleClassName={titleClassName} />
+    </div>
+  );
+};
+
 // Featured Banner Section
 const FeaturedBanner = () => (
   <section className="py-12 sm:py-20 bg-neutral-950 text-white">
@@ -622,6 +640,7 @@ export default function HomePage() {
       <AdBanner />
       <CategoryShowcase />
       <TrendingProducts />
+      <PersonalizedProducts />
       <FeaturedBanner />
       <FeaturedProducts />
       {/* <NewArrivals /> */}
@@ -4,23 +4,18 @@ import Spinner from '../components/common/Spinner';
 import ErrorMessage from '../components/common/ErrorMessage';
 import { Link } from 'react-router-dom';
 import { formatETB } from '../utils/utils';
-import { FiChevronRight, FiPackage, FiAlertCircle } from 'react-icons/fi';
+import { FiChevronRight, FiChevronDown, FiPackage, FiAlertCircle } from 'react-icons/fi';
 import { Helmet } from 'react-helmet';
-
-const getStatusBadgeClass = (status) => {
-  switch ((status || '').toLowerCase()) {
-    case 'processing': return 'bg-blue-100 text-blue-800';
-    case 'shipped': return 'bg-yellow-100 text-yellow-800';
-    case 'delivered': return 'bg-emerald-100 text-emerald-800';
-    case 'cancelled': return 'bg-red-100 text-red-800';
-    default: return 'bg-slate-100 text-slate-800';
-  }
-};
+import OrderStatusTimeline from '../components/orders/OrderStatusTimeline';
+import InvoiceButton from '../components/orders/InvoiceButton';
+import { PartialShipmentBadge } from '../components/orders/OrderShipments';
+import { getOrderStatusBadgeClass, formatOrderStatus } from '../utils/orderStatus';
 
 const MyOrdersPage = () => {
   const [orders, setOrders] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [expandedOrderId, setExpandedOrderId] = useState(null);
 
   useEffect(() => {
     const loadOrders = async () => {
@@ -58,23 +53,46 @@ const MyOrdersPage = () => {
         {!loading && !error && orders.length > 0 && (
           <div className="space-y-6">
             {orders.map(order => (
-              <div key={order.id} className="bg-white rounded-xl shadow border border-neutral-200 p-6 flex flex-col md:flex-row md:items-center md:justify-between gap-4 hover:shadow-md transition-all">
-                <div className="flex items-center gap-4 flex-1">
-                  <div className="bg-indigo-50 p-3 rounded-full">
-                    <FiPackage className="text-indigo-600 w-6 h-6" />
+              <div key={order.id} className="bg-white rounded-xl shadow border border-neutral-200 p-6 hover:shadow-md transition-all">
+                <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+                  <div className="flex items-center gap-4 flex-1">
+                    <div className="bg-indigo-50 p-3 rounded-full">
+                      <FiPackage className="text-indigo-600 w-6 h-6" />
+                    </div>
+                    <div>
+                      <div className="font-semibold text-lg text-neutral-900 mb-1">Order #{order.id}</div>
+                      <div className="text-sm text-neutral-500 mb-1">{new Date(order.created_at || order.createdAt).toLocaleDateString()}</div>
+                      <div className="text-sm text-neutral-700">Total: <span className="font-medium">{formatETB(order.totalAmount || order.total_amount || 0)}</span></div>
+                    </div>
                   </div>
-                  <div>
-                    <div className="font-semibold text-lg text-neutral-900 mb-1">Order #{order.id}</div>
-                    <div className="text-sm text-neutral-500 mb-1">{new Date(order.created_at || order.createdAt).toLocaleDateString()}</div>
-                    <div className="text-sm text-neutral-700">Total: <span className="font-medium">{formatETB(order.totalAmount || order.total_amount || 0)}</span></div>
+                  <div className="flex flex-col items-end gap-2 min-w-[120px]">
+                    <span className={`px-3 py-1 rounded-full text-xs font-medium ${getOrderStatusBadgeClass(order.status)}`}>{formatOrderStatus(order.status)}</span>
+                    <PartialShipmentBadge fulfillments={order.order_fulfillments} />
+                    <button
+                      type="button"
+                      onClick={() => setExpandedOrderId(expandedOrderId === order.id ? null : order.id)}
+                      className="flex items-center gap-1 text-neutral-600 hover:text-neutral-900 text-sm font-medium"
+                      aria-expanded={expandedOrderId === order.id}
+                    >
+                      {expandedOrderId === order.id ? 'Hide Timeline' : 'Track Order'}
+                      <FiChevronDown className={`transition-transform ${expandedOrderId === order.id ? 'rotate-180' : ''}`} />
+                    </button>
+                    <Link to={`/orders/${order.id}`} className="flex items-center gap-1 text-indigo-600 hover:underline text-sm font-medium group">
+                      View Details <FiChevronRight className="group-hover:translate-x-1 transition-transform" />
+                    </Link>
+                    <InvoiceButton
+                      orderId={order.id}
+                      label="Invoice"
+                      iconSize={14}
+                      className="flex items-center gap-1 text-neutral-600 hover:text-neutral-900 text-sm font-medium disabled:opacity-60"
+                    />
                   </div>
                 </div>
-                <div className="flex flex-col items-end gap-2 min-w-[120px]">
-                  <span className={`px-3 py-1 rounded-full text-xs font-medium ${getStatusBadgeClass(order.status)}`}>{order.status || 'N/A'}</span>
-                  <Link to={`/order-success/${order.id}`} className="flex items-center gap-1 text-indigo-600 hover:underline text-sm font-medium group">
-                    View Details <FiChevronRight className="group-hover:translate-x-1 transition-transform" />
-                  </Link>
+              {expandedOrderId === order.id && (
+                <div className="mt-6 pt-6 border-t border-neutral-100">
+                  <OrderStatusTimeline history={order.order_status_history} />
                 </div>
+              )}
               </div>
             ))}
           </div>
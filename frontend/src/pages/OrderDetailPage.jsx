@@ -0,0 +1,435 @@
+import React, { useEffect, useState, useCallback } from 'react';
+import { Link, useParams, useNavigate } from 'react-router-dom';
+import { useDispatch } from 'react-redux';
+import { Helmet } from 'react-helmet';
+import toast from 'react-hot-toast';
+import { FiChevronLeft, FiTruck, FiRefreshCw, FiXCircle, FiRotateCcw } from 'react-icons/fi';
+import { fetchOrderByIdApi, cancelOrderApi } from '../services/orderApi';
+import { initiatePayment, getPaymentMethodLabel, PAYMENT_METHODS } from '../services/paymentApi';
+import { fetchReturnRequests, RETURN_WINDOW_DAYS } from '../services/returnApi';
+import { addItemToCart } from '../store/cartSlice';
+import Spinner from '../components/common/Spinner';
+import ErrorMessage from '../components/common/ErrorMessage';
+import OrderStatusTimeline from '../components/orders/OrderStatusTimeline';
+import InvoiceButton from '../components/orders/InvoiceButton';
+import OrderShipments, { PartialShipmentBadge } from '../components/orders/OrderShipments';
+import ReturnRequestCard from '../components/returns/ReturnRequestCard';
+import ReturnRequestForm from '../components/returns/ReturnRequestForm';
+import { formatETB } from '../utils/utils';
+import { getFirstProductImageUrl, placeholderImageUrl } from '../utils/imageUrl';
+import { getOrderStatusBadgeClass, formatOrderStatus, getShipmentProgress } from '../utils/orderStatus';
+import { formatAddressLines } from '../utils/addresses';
+import { formatDeliveryWindow, formatShippingFee } from '../utils/shipping';
+
+const PAYMENT_STATUS_LABELS = {
+  unpaid: 'Not paid yet',
+  pending: 'Awaiting confirmation',
+  paid: 'Paid',
+  failed: 'Payment failed',
+  partially_refunded: 'Partially refunded',
+  refunded: 'Refunded',
+};
+
+// Before it leaves the warehouse; matches cancel_my_order()
+const CANCELLABLE_STATUSES = ['pending', 'paid', 'processing'];
+
+const OrderDetailPage = () => {
+  const { orderId } = useParams();
+  const navigate = useNavigate();
+  const dispatch = useDispatch();
+  const [order, setOrder] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [showCancelForm, setShowCancelForm] = useState(false);
+  const [cancelReason, setCancelReason] = useState('');
+  const [cancelling, setCancelling] = useState(false);
+  const [reordering, setReordering] = useState(false);
+  const [paying, setPaying] = useState(false);
+  const [returnRequests, setReturnRequests] = useState([]);
+  const [showReturnForm, setShowReturnForm] = useState(false);
+
+  const loadOrder = useCallback(async () => {
+    try {
+      const response = await fetchOrderByIdApi(orderId);
+      setOrder(response.data);
+      setError(null);
+    } catch (err) {
+      setError(err.error || err.message || 'Failed to load order.');
+    }
+  }, [orderId]);
+
+  const loadReturns = useCallback(async () => {
+    try {
+      const response = await fetchReturnRequests({ orderId });
+      setReturnRequests(response.data || []);
+    } catch (err) {
+      console.error('Failed to load return requests:', err);
+    }
+  }, [orderId]);
+
+  useEffect(() => {
+    setLoading(true);
+    Promise.all([loadOrder(), loadReturns()]).finally(() => setLoading(false));
+  }, [loadOrder, loadReturns]);
+
+  const handleReturnSubmitted = async () => {
+    setShowReturnForm(false);
+    await loadReturns();
+  };
+
+  const handleCancel = async (e) => {
+    e.preventDefault();
+    setCancelling(true);
+    try {
+      await cancelOrderApi(orderId, cancelReason || undefined);
+      toast.success('Your order has been cancelled.');
+      setShowCancelForm(false);
+      setCancelReason('');
+      await loadOrder();
+    } catch (err) {
+      toast.error(err.message || 'Could not cancel this order.');
+    } finally {
+      setCancelling(false);
+    }
+  };
+
+  // Adds every item that is still on sale back to the cart
+  const handleReorder = async () => {
+    setReordering(true);
+    // A variant line needs its variant still on sale (the embed is empty once it is switched off)
+    const available = (order.order_items || []).filter(item =>
+      item.product && item.product.is_active !== false && (!item.variant_id || item.variant));
+    let added = 0;
+    for (const item of available) {
+      const stock = item.variant ? item.variant.stock_quantity : item.product.stock_quantity;
+      const quantity = stock == null ? item.quantity : Math.min(item.quantity, stock);
+      if (quantity <= 0) continue;
+      try {
+        await dispatch(addItemToCart({ product: item.product, variant: item.variant || null, quantity })).unwrap();
+        added += 1;
+      } catch (err) {
+        console.error('Reorder: failed to add item', item.productId, err);
+      }
+    }
+    setReordering(false);
+    const skipped = (order.order_items || []).length - added;
+    if (added === 0) {
+      toast.error('None of these items are available right now.');
+      return;
+    }
+    toast.success(skipped > 0 ? `Added ${added} item(s); ${skipped} no longer available.` : 'Items added to your cart.');
+    navigate('/cart');
+  };
+
+  const handlePayNow = async () => {
+    setPaying(true);
+    try {
+      const payment = await initiatePayment({ orderId, provider: order.payment_method });
+      if (payment.checkoutUrl) {
+        window.location.assign(payment.checkoutUrl);
+        return;
+      }
+      await loadOrder();
+    } catch (err) {
+      toast.error(err.message || 'Could not start the payment.');
+    } finally {
+      setPaying(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="min-h-screen flex justify-center items-center pt-32">
+        <Spinner />
+      </div>
+    );
+  }
+
+  if (error || !order) {
+    return (
+      <div className="min-h-screen max-w-3xl mx-auto px-4 pt-32">
+        <ErrorMessage message={error || 'Order not found.'} />
+        <Link to="/orders" className="inline-block mt-6 text-indigo-600 hover:underline text-sm font-medium">Back to My Orders</Link>
+      </div>
+    );
+  }
+
+  const address = order.shippingAddress || {};
+  const items = order.order_items || [];
+  const subtotal = order.subtotal_amount ?? items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+  const paysOnline = PAYMENT_METHODS.some(method => method.id === order.payment_method && method.redirects);
+  const canPay = order.status === 'pending' && paysOnline && order.payment_status !== 'paid';
+  const isShipped = ['shipped', 'delivered', 'returned'].includes(order.status);
+  const fulfillments = order.order_fulfillments || [];
+  // A store may ship its part before the order as a whole moves to shipped
+  const canCancel = CANCELLABLE_STATUSES.includes(order.status) && getShipmentProgress(fulfillments).shipped === 0;
+  const refunds = order.refunds || [];
+
+  // Units per line still open for return: ordered minus what pending/approved requests already cover
+  const returnableQuantities = Object.fromEntries(items.map(item => [
+    item.id,
+    item.quantity - returnRequests
+      .filter(request => request.status !== 'rejected')
+      .flatMap(request => request.return_request_items || [])
+      .filter(returned => returned.order_item_id === item.id)
+      .reduce((sum, returned) => sum + returned.quantity, 0),
+  ]));
+  const deliveredAt = [...(order.order_status_history || [])]
+    .filter(entry => entry.to_status === 'delivered')
+    .map(entry => new Date(entry.created_at))
+    .sort((a, b) => b - a)[0];
+  const withinReturnWindow = !deliveredAt || Date.now() - deliveredAt.getTime() < RETURN_WINDOW_DAYS * 24 * 60 * 60 * 1000;
+  const canReturn = order.status === 'delivered' && withinReturnWindow
+    && Object.values(returnableQuantities).some(quantity => quantity > 0);
+
+  return (
+    <div className="min-h-screen bg-white py-16 px-4 sm:px-0 pt-32">
+      <Helmet>
+        <title>Order Details | SuriAddis</title>
+        <meta name="description" content="Track your SuriAddis order, see its items and delivery status." />
+      </Helmet>
+      <div className="max-w-4xl mx-auto space-y-8">
+        <Link to="/orders" className="inline-flex items-center text-neutral-500 hover:text-black transition-colors text-sm print:hidden">
+          <FiChevronLeft className="mr-1" /> Back to My Orders
+        </Link>
+
+        <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+          <div>
+            <h1 className="text-3xl font-semibold text-neutral-900 tracking-tight">Order #{order.id.slice(0, 8)}</h1>
+            <p className="text-sm text-neutral-500 mt-1">Placed on {new Date(order.created_at).toLocaleString()}</p>
+          </div>
+          <div className="flex flex-wrap gap-2 self-start md:self-auto">
+            <span className={`px-3 py-1 rounded-full text-sm font-medium ${getOrderStatusBadgeClass(order.status)}`}>
+              {formatOrderStatus(order.status)}
+            </span>
+            <PartialShipmentBadge fulfillments={fulfillments} />
+          </div>
+        </div>
+
+        {/* Actions */}
+        <div className="flex flex-wrap gap-3 print:hidden">
+          {canPay && (
+            <button
+              type="button"
+              onClick={handlePayNow}
+              disabled={paying}
+              className="inline-flex items-center gap-2 px-5 py-2 rounded-full bg-black text-white text-sm font-medium hover:bg-neutral-900 disabled:opacity-60"
+            >
+              {paying && <Spinner size="sm" />}
+              Complete Payment
+            </button>
+          )}
+          <button
+            type="button"
+            onClick={handleReorder}
+            disabled={reordering}
+            className="inline-flex items-center gap-2 px-5 py-2 rounded-full border border-neutral-300 text-sm font-medium text-neutral-800 hover:border-black disabled:opacity-60"
+          >
+            {reordering ? <Spinner size="sm" /> : <FiRefreshCw />}
+            Reorder
+          </button>
+          <InvoiceButton
+            orderId={order.id}
+            className="inline-flex items-center gap-2 px-5 py-2 rounded-full border border-neutral-300 text-sm font-medium text-neutral-800 hover:border-black disabled:opacity-60"
+          />
+          {canReturn && !showReturnForm && (
+            <button
+              type="button"
+              onClick={() => setShowReturnForm(true)}
+              className="inline-flex items-center gap-2 px-5 py-2 rounded-full border border-neutral-300 text-sm font-medium text-neutral-800 hover:border-black"
+            >
+              <FiRotateCcw />
+              Return Items
+            </button>
+          )}
+          {canCancel && !showCancelForm && (
+            <button
+              type="button"
+              onClick={() => setShowCancelForm(true)}
+              className="inline-flex items-center gap-2 px-5 py-2 rounded-full border border-red-200 text-sm font-medium text-red-600 hover:bg-red-50"
+            >
+              <FiXCircle />
+              Cancel Order
+            </button>
+          )}
+        </div>
+
+        {showCancelForm && (
+          <form onSubmit={handleCancel} className="bg-red-50 border border-red-100 rounded-xl p-6 space-y-4 print:hidden">
+            <p className="text-sm text-red-900 font-medium">
+              Cancel this order? Reserved items will be released.
+              {order.payment_status === 'paid' && ` The ${formatETB(order.totalAmount)} you paid will be refunded.`}
+            </p>
+            <textarea
+              value={cancelReason}
+              onChange={(e) => setCancelReason(e.target.value)}
+              rows={2}
+              placeholder="Reason (optional)"
+              className="w-full px-4 py-3 border border-red-200 rounded-lg bg-white text-sm focus:ring-1 focus:ring-red-400 focus:border-red-400"
+            />
+            <div className="flex gap-3">
+              <button
+                type="submit"
+                disabled={cancelling}
+                className="inline-flex items-center gap-2 px-5 py-2 rounded-full bg-red-600 text-white text-sm font-medium hover:bg-red-700 disabled:opacity-60"
+              >
+                {cancelling && <Spinner size="sm" />}
+                Yes, cancel order
+              </button>
+              <button
+                type="button"
+                onClick={() => setShowCancelForm(false)}
+                className="px-5 py-2 rounded-full text-sm font-medium text-neutral-600 hover:text-black"
+              >
+                Keep order
+              </button>
+            </div>
+          </form>
+        )}
+
+        {showReturnForm && (
+          <ReturnRequestForm
+            order={order}
+            returnableQuantities={returnableQuantities}
+            onSubmitted={handleReturnSubmitted}
+            onCancel={() => setShowReturnForm(false)}
+          />
+        )}
+
+        {/* Tracking */}
+        {isShipped && (
+          <div className="bg-neutral-50 rounded-xl border border-neutral-200 p-6 flex items-start gap-4">
+            <FiTruck className="w-6 h-6 text-neutral-700 mt-0.5" />
+            <div className="text-sm text-neutral-700 space-y-1">
+              <p className="font-semibold text-neutral-900">
+                {order.status === 'delivered'
+                  ? 'Delivered'
+                  : order.delivery?.status === 'out_for_delivery' ? 'Out for delivery' : 'On its way'}
+              </p>
+              {order.status === 'shipped' && order.delivery?.status === 'out_for_delivery' && (
+                <p>
+                  Our rider is on the way. We sent a delivery code to your phone and email; give it to the rider only
+                  once you have your order.
+                </p>
+              )}
+              {order.carrier && <p>Carrier: <span className="font-medium">{order.carrier}</span></p>}
+              {order.tracking_number && <p>Tracking number: <span className="font-mono font-medium">{order.tracking_number}</span></p>}
+              {order.shipped_at && <p>Shipped on {new Date(order.shipped_at).toLocaleDateString()}</p>}
+            </div>
+          </div>
+        )}
+
+        <OrderShipments fulfillments={fulfillments} items={items} />
+
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+          {/* Items */}
+          <div className="lg:col-span-2 bg-white rounded-xl shadow border border-neutral-200 p-6">
+            <h2 className="text-lg font-semibold text-neutral-900 mb-4">Items</h2>
+            <ul className="divide-y divide-neutral-100">
+              {items.map(item => (
+                <li key={item.id} className="flex items-center gap-4 py-4">
+                  <img
+                    src={item.product ? getFirstProductImageUrl(item.product) : placeholderImageUrl}
+                    alt={item.product?.name || 'Product'}
+                    className="h-16 w-16 rounded-lg object-cover bg-neutral-100 flex-shrink-0"
+                  />
+                  <div className="flex-1 min-w-0">
+                    {item.product ? (
+                      <Link to={`/products/${item.product.slug || item.product.id}`} className="font-medium text-neutral-900 hover:underline">
+                        {item.product.name}
+                      </Link>
+                    ) : (
+                      <span className="font-medium text-neutral-500 italic">Product no longer available</span>
+                    )}
+                    {item.variant_label && <p className="text-sm text-neutral-500">{item.variant_label}</p>}
+                    <p className="text-sm text-neutral-500">Qty {item.quantity} × {formatETB(item.price)}</p>
+                    {deliveredAt && item.product && (
+                      <Link
+                        to={`/products/${item.product.slug || item.product.id}?review=${item.id}`}
+                        className="text-sm font-medium text-neutral-900 underline hover:text-neutral-600 print:hidden"
+                      >
+                        Write a review
+                      </Link>
+                    )}
+                  </div>
+                  <p className="font-medium text-neutral-900">{formatETB(item.price * item.quantity)}</p>
+                </li>
+              ))}
+            </ul>
+            <div className="border-t border-neutral-200 pt-4 mt-2 space-y-2 text-sm">
+              <div className="flex justify-between text-neutral-600">
+                <span>Subtotal</span>
+                <span>{formatETB(subtotal)}</span>
+              </div>
+              {Number(order.discount_amount) > 0 && (
+                <div className="flex justify-between text-emerald-600">
+                  <span>Discount{order.coupon_code ? ` (${order.coupon_code})` : ''}</span>
+                  <span>-{formatETB(order.discount_amount)}</span>
+                </div>
+              )}
+              {order.shipping_method_name && (
+                <div className="flex justify-between text-neutral-600">
+                  <span>Shipping ({order.shipping_method_name})</span>
+                  <span>{formatShippingFee(order.shipping_fee)}</span>
+                </div>
+              )}
+              <div className="flex justify-between text-base font-semibold text-neutral-900 pt-2">
+                <span>Total</span>
+                <span>{formatETB(order.totalAmount)}</span>
+              </div>
+            </div>
+          </div>
+
+          <div className="space-y-8">
+            {/* Shipping */}
+            <div className="bg-white rounded-xl shadow border border-neutral-200 p-6 text-sm text-neutral-700 space-y-1">
+              <h2 className="text-lg font-semibold text-neutral-900 mb-3">Shipping Address</h2>
+              <p className="font-medium text-neutral-900">{`${address.firstName || ''} ${address.lastName || ''}`.trim()}</p>
+              {formatAddressLines(address).map(line => <p key={line}>{line}</p>)}
+              {address.phone && <p className="pt-2">{address.phone}</p>}
+              {order.estimated_delivery_start && !isShipped && !['cancelled', 'refunded'].includes(order.status) && (
+                <p className="pt-2 text-neutral-500">
+                  {order.shipping_method_code === 'pickup' ? 'Ready for pickup' : 'Estimated delivery'}:{' '}
+                  <span className="font-medium text-neutral-900">
+                    {formatDeliveryWindow(order.estimated_delivery_start, order.estimated_delivery_end)}
+                  </span>
+                </p>
+              )}
+            </div>
+
+            {/* Payment */}
+            <div className="bg-white rounded-xl shadow border border-neutral-200 p-6 text-sm text-neutral-700 space-y-1">
+              <h2 className="text-lg font-semibold text-neutral-900 mb-3">Payment</h2>
+              <p>{order.payment_method ? getPaymentMethodLabel(order.payment_method) : 'Not selected'}</p>
+              <p className={order.payment_status === 'paid' ? 'text-emerald-600 font-medium' : order.payment_status === 'failed' ? 'text-red-600' : 'text-neutral-500'}>
+                {PAYMENT_STATUS_LABELS[order.payment_status] || order.payment_status}
+              </p>
+              {refunds.map(refund => (
+                <p key={refund.id} className="text-purple-700">
+                  Refund of {formatETB(refund.amount)} · {refund.status === 'completed' ? 'sent' : 'being processed'}
+                </p>
+              ))}
+            </div>
+          </div>
+        </div>
+
+        {returnRequests.length > 0 && (
+          <div className="space-y-4 print:hidden">
+            <h2 className="text-lg font-semibold text-neutral-900">Returns</h2>
+            {returnRequests.map(request => (
+              <ReturnRequestCard key={request.id} request={request} />
+            ))}
+          </div>
+        )}
+
+        {/* Timeline */}
+        <div className="bg-white rounded-xl shadow border border-neutral-200 p-6">
+          <h2 className="text-lg font-semibold text-neutral-900 mb-4">Order Timeline</h2>
+          <OrderStatusTimeline history={order.order_status_history} />
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default OrderDetailPage;
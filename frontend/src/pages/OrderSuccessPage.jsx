@@ -1,13 +1,23 @@
 import React, { useEffect, useState } from 'react';
-import { Link, useParams } from 'react-router-dom';
+import { Link, useParams, useLocation } from 'react-router-dom';
 import { fetchOrderByIdApi } from '../services/orderApi'; // Optional: Fetch order details to display
 import Spinner from '../components/common/Spinner';
 import ErrorMessage from '../components/common/ErrorMessage';
-import { FaCheckCircle } from 'react-icons/fa';
+import { FaCheckCircle, FaClock, FaExclamationCircle } from 'react-icons/fa';
 import { formatETB } from '../utils/utils'; // Import formatETB utility
 import { useDispatch } from 'react-redux';
 import { clearCart, clearLocalCartAndState } from '../store/cartSlice';
 import { Helmet } from 'react-helmet';
+import { initiatePayment, getPaymentMethodLabel, PAYMENT_METHODS } from '../services/paymentApi';
+import InvoiceButton from '../components/orders/InvoiceButton';
+import GuestAccountPrompt from '../components/orders/GuestAccountPrompt';
+import { useAuth } from '../contexts/authContext.jsx';
+import { fetchGuestOrder } from '../services/guestOrderApi';
+import { getGuestOrderToken, formatOrderNumber } from '../utils/guestOrders';
+
+// Gateways confirm by webhook, usually within seconds of the shopper returning
+const PAYMENT_POLL_INTERVAL_MS = 3000;
+const PAYMENT_POLL_ATTEMPTS = 10;
 
 const OrderSuccessPage = () => {
   const { orderId } = useParams(); // Get order ID from URL parameter
@@ -15,6 +25,14 @@ const OrderSuccessPage = () => {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const dispatch = useDispatch();
+  const location = useLocation();
+  const [paymentError, setPaymentError] = useState(location.state?.paymentError || null);
+  const [retryingPayment, setRetryingPayment] = useState(false);
+  const [pollAttempts, setPollAttempts] = useState(0);
+  const { user } = useAuth();
+  // Orders placed without an account are read back with the token this browser kept
+  const guestToken = user ? null : getGuestOrderToken(orderId);
+  const isGuest = !user;
 
   useEffect(() => {
     const loadOrder = async () => {
@@ -23,9 +41,14 @@ const OrderSuccessPage = () => {
         setLoading(false);
         return;
       }
+      if (!user && !guestToken) {
+        setError('We could not find this order in this browser. Look it up with your order number on the Track Order page.');
+        setLoading(false);
+        return;
+      }
       setLoading(true);
       try {
-        const response = await fetchOrderByIdApi(orderId);
+        const response = user ? await fetchOrderByIdApi(orderId) : await fetchGuestOrder(orderId, guestToken);
         setOrder(response.data);
       } catch (err) {
         setError(err.error || err.message || 'Failed to fetch order details.');
@@ -34,7 +57,53 @@ const OrderSuccessPage = () => {
       }
     };
     loadOrder();
-  }, [orderId]);
+  }, [orderId, user, guestToken]);
+
+  const refetchOrder = () => (user ? fetchOrderByIdApi(orderId) : fetchGuestOrder(orderId, guestToken));
+
+  const paysOnline = PAYMENT_METHODS.some(method => method.id === order?.payment_method && method.redirects);
+  const awaitingPayment = paysOnline && order?.payment_status === 'pending';
+
+  // Poll until the gateway's webhook has settled the payment
+  useEffect(() => {
+    if (!awaitingPayment || pollAttempts >= PAYMENT_POLL_ATTEMPTS) return;
+    const timer = setTimeout(async () => {
+      try {
+        const response = await (user ? fetchOrderByIdApi(orderId) : fetchGuestOrder(orderId, guestToken));
+        setOrder(response.data);
+      } catch (err) {
+        console.error('Error refreshing payment status:', err);
+      }
+      setPollAttempts(attempts => attempts + 1);
+    }, PAYMENT_POLL_INTERVAL_MS);
+    return () => clearTimeout(timer);
+  }, [awaitingPayment, pollAttempts, orderId, user, guestToken]);
+
+  const handleRetryPayment = async () => {
+    setRetryingPayment(true);
+    setPaymentError(null);
+    try {
+      const payment = await initiatePayment({
+        orderId,
+        provider: order.payment_method || location.state?.paymentMethod || 'cod',
+        guestToken: guestToken || undefined,
+      });
+      if (payment.checkoutUrl) {
+        window.location.assign(payment.checkoutUrl);
+        return;
+      }
+      const response = await refetchOrder();
+      setOrder(response.data);
+    } catch (err) {
+      setPaymentError(err.message || 'Could not start the payment. Please try again.');
+    } finally {
+      setRetryingPayment(false);
+    }
+  };
+
+  const paymentFailed = order?.payment_status === 'failed' || Boolean(paymentError);
+  const canRetryPayment = order && order.status === 'pending' && order.payment_status !== 'paid'
+    && (paymentFailed || (awaitingPayment && pollAttempts >= PAYMENT_POLL_ATTEMPTS));
 
   useEffect(() => {
     if (!loading && order && !error) {
@@ -53,15 +122,40 @@ const OrderSuccessPage = () => {
       </Helmet>
       {/* Order Success Card */}
       <div className="max-w-lg mx-auto bg-white p-8 rounded-lg shadow-xl space-y-6">
-        {/* Success Icon */}
-        <FaCheckCircle className="text-green-500 text-7xl mx-auto mb-6" />
+        {/* Status Icon */}
+        {paymentFailed ? (
+          <FaExclamationCircle className="text-amber-500 text-7xl mx-auto mb-6" />
+        ) : awaitingPayment ? (
+          <FaClock className="text-blue-500 text-7xl mx-auto mb-6" />
+        ) : (
+          <FaCheckCircle className="text-green-500 text-7xl mx-auto mb-6" />
+        )}
 
-        {/* Success Message */}
-        <h1 className="text-3xl font-bold text-gray-800">Thank You For Your Order!</h1>
+        {/* Status Message */}
+        <h1 className="text-3xl font-bold text-gray-800">
+          {paymentFailed ? 'Payment Not Completed' : awaitingPayment ? 'Confirming Your Payment' : 'Thank You For Your Order!'}
+        </h1>
         <p className="text-gray-600">
-          Your order has been placed successfully. Here are the details:
+          {paymentFailed
+            ? 'Your order is saved, but we have not received payment for it yet.'
+            : awaitingPayment
+              ? 'We are waiting for the payment provider to confirm. This usually takes a few seconds.'
+              : 'Your order has been placed successfully. Here are the details:'}
         </p>
 
+        {paymentError && <ErrorMessage message={paymentError} />}
+        {canRetryPayment && (
+          <button
+            type="button"
+            onClick={handleRetryPayment}
+            disabled={retryingPayment}
+            className="inline-flex items-center justify-center gap-2 w-full px-6 py-3 bg-amber-500 text-white font-medium rounded-md hover:bg-amber-600 disabled:opacity-60 transition duration-300"
+          >
+            {retryingPayment && <Spinner size="sm" />}
+            Try Payment Again
+          </button>
+        )}
+
         {/* Loading State */}
         {loading && <Spinner />}
 
@@ -72,16 +166,23 @@ const OrderSuccessPage = () => {
         {!loading && order && (
           <div className="bg-gray-50 p-6 rounded-lg border border-gray-200 space-y-3 text-left">
             <p>
-              <strong>Order ID:</strong> <span className="font-medium">{order.id}</span>
+              <strong>Order Number:</strong> <span className="font-medium">{formatOrderNumber(order.id)}</span>
             </p>
             <p>
               <strong>Date:</strong>{' '}
-              <span className="font-medium">{new Date(order.createdAt).toLocaleDateString()}</span>
+              <span className="font-medium">{new Date(order.created_at).toLocaleDateString()}</span>
             </p>
             <p>
               <strong>Total Amount:</strong>{' '}
               <span className="font-medium">{formatETB(order.totalAmount)}</span>
             </p>
+            <p>
+              <strong>Payment:</strong>{' '}
+              <span className="font-medium">
+                {order.payment_method ? getPaymentMethodLabel(order.payment_method) : 'Not selected'}
+                {order.payment_status === 'paid' && ' · Paid'}
+              </span>
+            </p>
             <p>
               <strong>Status:</strong>{' '}
               <span className={`font-semibold capitalize ${getStatusColor(order.status)}`}>
@@ -100,11 +201,23 @@ const OrderSuccessPage = () => {
 
         {/* Action Buttons */}
         <div className="space-y-4 mt-6">
+          {!loading && order && isGuest && (
+            <GuestAccountPrompt
+              email={order.guest_email}
+              name={`${order.shippingAddress?.firstName || ''} ${order.shippingAddress?.lastName || ''}`.trim()}
+            />
+          )}
+          {!loading && order && !isGuest && (
+            <InvoiceButton
+              orderId={order.id}
+              className="inline-flex items-center justify-center gap-2 w-full px-6 py-3 border border-gray-300 text-gray-700 font-medium rounded-md hover:bg-gray-50 disabled:opacity-60 transition duration-300"
+            />
+          )}
           <Link
-            to="/orders"
+            to={isGuest ? `/track-order?order=${orderId}` : '/orders'}
             className="inline-block w-full px-6 py-3 border border-indigo-600 text-indigo-600 font-medium rounded-md hover:bg-indigo-50 transition duration-300"
           >
-            View Order History
+            {isGuest ? 'Track This Order' : 'View Order History'}
           </Link>
           <Link
             to="/products"
@@ -121,6 +234,8 @@ const OrderSuccessPage = () => {
 // Helper: Get Status Color Based on Order Status
 const getStatusColor = (status) => {
   switch (status.toLowerCase()) {
+    case 'paid':
+      return 'text-green-600';
     case 'processing':
       return 'text-yellow-600';
     case 'shipped':
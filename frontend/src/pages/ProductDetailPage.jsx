@@ -1,17 +1,21 @@
 "use client"
 
 import { useState, useEffect, useRef } from "react"
-import { Link, useParams } from "react-router-dom"
+import { Link, useParams, useSearchParams } from "react-router-dom"
 import toast from "react-hot-toast"
 import { Button } from "../components/ui/button"
 import { ChevronLeft, Minus, Plus, ShoppingCart, Star, Heart, Share2, Check, ChevronRight } from "lucide-react" // Added ChevronRight
 import { useDispatch } from "react-redux"
+import { useQueryClient } from "@tanstack/react-query"
 import { addItemToCart } from "../store/cartSlice.js"
-import { fetchProductByIdentifier, fetchProducts } from "../services/productApi"
-import SkeletonCard from "../components/ui/SkeletonCard.jsx"
-import ProductCard from "../components/ui/ProductCard.jsx"
+import { fetchProductByIdentifier } from "../services/productApi"
+import { trackProductView } from "../services/recommendationApi.js"
+import RecommendedProducts from "../components/products/RecommendedProducts.jsx"
+import RecentlyViewedProducts from "../components/products/RecentlyViewedProducts.jsx"
 import { formatETB } from "../utils/utils"
+import { findVariant, getVariantLabel, getVariantOptions } from "../utils/variants"
 import { Helmet } from 'react-helmet'
+import ProductReviews from "../components/reviews/ProductReviews.jsx"
 import { supabase } from "../services/supabaseClient.js";
 
 const SUPABASE_PLACEHOLDER_IMAGE_URL = supabase.storage.from("public_assets").getPublicUrl("placeholder.webp").data?.publicUrl || "/fallback-placeholder.svg";
@@ -48,17 +52,20 @@ const StarRating = ({ rating, reviewCount }) => {
 
 export default function ProductDetailPage() {
   const params = useParams()
+  const [searchParams] = useSearchParams()
+  // "Write a review" links from the order page land here with ?review=<order item id>
+  const reviewOrderItemId = searchParams.get('review')
   const dispatch = useDispatch()
+  const queryClient = useQueryClient()
   const [quantity, setQuantity] = useState(1)
   const [selectedImageIndex, setSelectedImageIndex] = useState(0)
   const [selectedSize, setSelectedSize] = useState(null)
+  const [selectedColor, setSelectedColor] = useState(null)
   const [isAdding, setIsAdding] = useState(false)
   const [isLoading, setIsLoading] = useState(true)
   const [product, setProduct] = useState(null)
   const [error, setError] = useState(null)
-  const [activeTab, setActiveTab] = useState('description')
-  const [relatedProducts, setRelatedProducts] = useState([])
-  const [isLoadingRelatedProducts, setIsLoadingRelatedProducts] = useState(true)
+  const [activeTab, setActiveTab] = useState(reviewOrderItemId ? 'reviews' : 'description')
   const [isWishlist, setIsWishlist] = useState(false)
   const [copied, setCopied] = useState(false)
 
@@ -77,8 +84,7 @@ export default function ProductDetailPage() {
     setError(null)
     setProduct(null)
     setSelectedSize(null)
-    setRelatedProducts([])
-    setIsLoadingRelatedProducts(true)
+    setSelectedColor(null)
 
     fetchProductByIdentifier(identifier)
       .then((res) => {
@@ -101,32 +107,23 @@ export default function ProductDetailPage() {
           
           const productData = { ...dbProduct, images: processedImages };
           setProduct(productData)
-
-          if (productData && productData.category?.slug && productData.id) {
-            fetchProducts({ 
-              category: productData.category.slug,
-              limit: 5,
-             })
-              .then(relatedRes => {
-                if (relatedRes.success && relatedRes.data) {
-                  const filteredRelated = relatedRes.data.filter(p => p.id !== productData.id).slice(0, 4);
-                  setRelatedProducts(filteredRelated);
-                }
-              })
-              .catch(err => console.error("Failed to fetch related products:", err))
-              .finally(() => setIsLoadingRelatedProducts(false));
-          } else {
-            setIsLoadingRelatedProducts(false);
-          }
         } else {
           setError(res.error || "Product not found")
-          setIsLoadingRelatedProducts(false);
         }
       })
       .catch((err) => setError(err.message || "Failed to load product"))
       .finally(() => setIsLoading(false))
   }, [identifier])
 
+  // Record the view for "recently viewed" and recommendations; the page does not depend on it
+  const productId = product?.id
+  useEffect(() => {
+    if (!productId) return
+    trackProductView(productId)
+      .then(() => queryClient.invalidateQueries({ queryKey: ['recently-viewed'] }))
+      .catch(err => console.error("Failed to record product view:", err))
+  }, [productId, queryClient])
+
   const handlePrevImage = () => {
     if (product && product.images && product.images.length > 1) {
       setSelectedImageIndex((prevIndex) =>
@@ -143,26 +140,54 @@ export default function ProductDetailPage() {
     }
   };
 
+  // Products with variants are bought per size/color; price, stock and pictures follow the pick
+  const variants = product?.variants || []
+  const hasVariants = variants.length > 0
+  const selectedVariant = hasVariants ? findVariant(variants, { size: selectedSize, color: selectedColor }) : null
+  const availableStock = selectedVariant ? selectedVariant.stock_quantity : product?.stock_quantity
+
+  // Jump the gallery to the variant's first picture (variant images are paths from product.images)
+  const selectedVariantImage = selectedVariant?.images?.[0]
+  useEffect(() => {
+    if (!selectedVariantImage || !product?.images) return
+    const index = product.images.indexOf(selectedVariantImage)
+    if (index >= 0) setSelectedImageIndex(index)
+  }, [selectedVariantImage, product])
+
+  // Keep the chosen quantity within the picked variant's stock
+  useEffect(() => {
+    if (availableStock > 0) setQuantity((prev) => Math.min(prev, availableStock))
+  }, [availableStock])
+
   const handleQuantityChange = (amount) => {
-    setQuantity((prev) => Math.max(1, Math.min(product?.stock_quantity || 1, prev + amount)))
+    setQuantity((prev) => Math.max(1, Math.min(availableStock || 1, prev + amount)))
   }
 
   const handleSizeSelect = (size) => {
     setSelectedSize(size);
   };
 
+  const handleColorSelect = (color) => {
+    setSelectedColor(color);
+  };
+
   const handleAddToCart = async (e) => {
     e.preventDefault()
-    if (product?.stock_quantity > 0) {
-      if (product.sizes && product.sizes.length > 0 && !selectedSize) {
+    if (hasVariants && !selectedVariant) {
+      toast.error("Please select a size and color.");
+      return;
+    }
+    if (availableStock > 0) {
+      if (!hasVariants && product.sizes && product.sizes.length > 0 && !selectedSize) {
         toast.error("Please select a size.");
         return;
       }
       if (isAdding) return
       setIsAdding(true)
+      const optionLabel = selectedVariant ? getVariantLabel(selectedVariant) : selectedSize && `Size: ${selectedSize}`
       try {
-        await dispatch(addItemToCart({ product, quantity, selectedSize })).unwrap()
-        toast.success(`${quantity} × ${product.name}${selectedSize ? ` (Size: ${selectedSize})` : ''} added to cart!`)
+        await dispatch(addItemToCart({ product, variant: selectedVariant, quantity })).unwrap()
+        toast.success(`${quantity} × ${product.name}${optionLabel ? ` (${optionLabel})` : ''} added to cart!`)
       } catch (err) {
         toast.error(err || 'Failed to add to cart')
       } finally {
@@ -268,7 +293,26 @@ export default function ProductDetailPage() {
     )
   }
 
-  const showSizeSelector = product && product.sizes && Array.isArray(product.sizes) && product.sizes.length > 0;
+  // Without variants the legacy product.sizes list is still shown
+  const sizeOptions = hasVariants
+    ? getVariantOptions(variants, 'size')
+    : (Array.isArray(product.sizes) ? product.sizes : [])
+  const colorOptions = getVariantOptions(variants, 'color')
+  const showSizeSelector = sizeOptions.length > 0;
+  const showColorSelector = colorOptions.length > 0;
+  const usesSize = hasVariants && showSizeSelector
+  const usesColor = hasVariants && showColorSelector
+  // An option is offered when some variant pairs it with the other current pick
+  const optionVariants = (option, value) => variants.filter(v =>
+    v[option] === value &&
+    (option === 'size' ? (!usesColor || !selectedColor || v.color === selectedColor) : (!usesSize || !selectedSize || v.size === selectedSize))
+  )
+  const isOptionInStock = (option, value) => !hasVariants || optionVariants(option, value).some(v => v.stock_quantity > 0)
+  const isOptionAvailable = (option, value) => !hasVariants || optionVariants(option, value).length > 0
+  const displayPrice = selectedVariant && selectedVariant.price !== null && selectedVariant.price !== undefined
+    ? Number(selectedVariant.price)
+    : product.price
+  const needsVariantPick = hasVariants && !selectedVariant
 
   return (
     <div className="bg-white">
@@ -467,16 +511,16 @@ export default function ProductDetailPage() {
               <div className="space-y-4">
                 <div className="flex items-center gap-2 sm:gap-4 flex-wrap"> {/* Added flex-wrap and adjusted gap for responsiveness */}
                   <span className="text-2xl sm:text-3xl font-bold text-gray-900">
-                    {formatETB(product.price)}
+                    {formatETB(displayPrice)}
                   </span>
-                  {product.original_price && product.price < product.original_price && (
+                  {product.original_price && displayPrice < product.original_price && (
                     <span className="text-lg sm:text-xl text-gray-400 line-through"> {/* Adjusted font size */}
                       {formatETB(product.original_price)}
                     </span>
                   )}
-                  {product.original_price && product.price < product.original_price && (
+                  {product.original_price && displayPrice < product.original_price && (
                     <span className="bg-red-100 text-red-700 text-xs sm:text-sm font-semibold px-2 py-0.5 rounded-md"> {/* Adjusted padding, font-weight, color */}
-                      {Math.round((1 - product.price / product.original_price) * 100)}% OFF
+                      {Math.round((1 - displayPrice / product.original_price) * 100)}% OFF
                     </span>
                   )}
                 </div>
@@ -511,11 +555,12 @@ export default function ProductDetailPage() {
                 <div className="pt-4">
                   <h3 className="text-sm font-medium text-gray-700 mb-3">Select Size</h3>
                   <div className="flex flex-wrap gap-2">
-                    {product.sizes.map((size) => (
+                    {sizeOptions.map((size) => (
                       <button
                         key={size}
                         onClick={() => handleSizeSelect(size)}
-                        className={`px-4 py-2 text-sm font-medium rounded-lg border transition-colors ${selectedSize === size ? 'bg-indigo-600 text-white border-indigo-600' : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-50'}`}
+                        disabled={!isOptionAvailable('size', size)}
+                        className={`px-4 py-2 text-sm font-medium rounded-lg border transition-colors disabled:opacity-40 disabled:cursor-not-allowed ${selectedSize === size ? 'bg-indigo-600 text-white border-indigo-600' : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-50'} ${isOptionInStock('size', size) ? '' : 'line-through'}`}
                       >
                         {size}
                       </button>
@@ -524,15 +569,36 @@ export default function ProductDetailPage() {
                 </div>
               )}
 
+              {/* Color Selector */}
+              {showColorSelector && (
+                <div className="pt-4">
+                  <h3 className="text-sm font-medium text-gray-700 mb-3">
+                    Select Color{selectedColor && <span className="font-normal text-gray-500">: {selectedColor}</span>}
+                  </h3>
+                  <div className="flex flex-wrap gap-2">
+                    {colorOptions.map((color) => (
+                      <button
+                        key={color}
+                        onClick={() => handleColorSelect(color)}
+                        disabled={!isOptionAvailable('color', color)}
+                        className={`px-4 py-2 text-sm font-medium rounded-lg border transition-colors disabled:opacity-40 disabled:cursor-not-allowed ${selectedColor === color ? 'bg-indigo-600 text-white border-indigo-600' : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-50'} ${isOptionInStock('color', color) ? '' : 'line-through'}`}
+                      >
+                        {color}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+              )}
+
               {/* Stock & Add to Cart */}
               <div className="pt-6 space-y-6">
-                <div className={`flex items-center text-sm ${product.stock_quantity > 0 ? 'text-green-600' : 'text-red-600'}`}>
-                  {product.stock_quantity > 0 ? (
+                <div className={`flex items-center text-sm ${availableStock > 0 ? 'text-green-600' : 'text-red-600'}`}>
+                  {availableStock > 0 ? (
                     <>
                       <svg className="w-4 h-4 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                         <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M5 13l4 4L19 7"></path>
                       </svg>
-                      In stock ({product.stock_quantity} available)
+                      {needsVariantPick ? 'In stock in some options' : `In stock (${availableStock} available)`}
                     </>
                   ) : (
                     <>
@@ -544,7 +610,7 @@ export default function ProductDetailPage() {
                   )}
                 </div>
 
-                {product.stock_quantity > 0 && (
+                {availableStock > 0 && (
                   <div className="flex flex-col sm:flex-row gap-4">
                     <div className="flex items-center border border-gray-300 rounded-lg overflow-hidden w-fit"> {/* Added w-fit */}
                       <button
@@ -557,7 +623,7 @@ export default function ProductDetailPage() {
                       <span className="w-12 text-center font-medium text-gray-700">{quantity}</span>
                       <button
                         onClick={() => handleQuantityChange(1)}
-                        disabled={quantity >= product.stock_quantity}
+                        disabled={quantity >= availableStock}
                         className="px-3 py-2 text-gray-600 hover:bg-gray-100 disabled:opacity-50"
                       >
                         <Plus size={16} />
@@ -565,7 +631,7 @@ export default function ProductDetailPage() {
                     </div>
                     <Button
                       onClick={handleAddToCart}
-                      disabled={isAdding || (showSizeSelector && !selectedSize)}
+                      disabled={isAdding || needsVariantPick || (!hasVariants && showSizeSelector && !selectedSize)}
                       className="flex-1 bg-indigo-600 hover:bg-indigo-700 text-white py-3 px-6 rounded-lg font-medium flex items-center justify-center"
                     >
                       <ShoppingCart className="mr-2" size={18} />
@@ -601,7 +667,7 @@ export default function ProductDetailPage() {
                   <div className="space-y-4">
                     <h3 className="text-lg font-medium text-gray-900">Product Details</h3>
                     <ul className="text-sm text-gray-700 space-y-2">
-                      {product.sku && <li><span className="font-medium text-gray-900">SKU:</span> {product.sku}</li>}
+                      {(selectedVariant?.sku || product.sku) && <li><span className="font-medium text-gray-900">SKU:</span> {selectedVariant?.sku || product.sku}</li>}
                       {product.weight && <li><span className="font-medium text-gray-900">Weight:</span> {product.weight}</li>}
                       {product.dimensions && <li><span className="font-medium text-gray-900">Dimensions:</span> {product.dimensions}</li>}
                       {(!product.sku && !product.weight && !product.dimensions) && <li>No specifications provided.</li>}
@@ -609,33 +675,28 @@ export default function ProductDetailPage() {
                   </div>
                 )}
                 {activeTab === 'reviews' && (
-                  <div className="space-y-4">
-                    <h3 className="text-lg font-medium text-gray-900">Customer Reviews</h3>
-                    <p className="text-sm text-gray-600">Reviews functionality coming soon.</p>
-                  </div>
+                  <ProductReviews productId={product.id} reviewOrderItemId={reviewOrderItemId} />
                 )}
               </div>
             </div>
           </div>
         </div>
 
-        {/* Related Products */}
-        <section className="mt-16">
-          <h2 className="text-2xl font-bold text-gray-900 mb-8">You May Also Like</h2>
-          {isLoadingRelatedProducts ? (
-            <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 lg:grid-cols-4 xl:grid-cols-5 gap-6"> {/* Added xl:grid-cols-5 for wider screens */}
-              {[...Array(4)].map((_, i) => <SkeletonCard key={i} />)}
-            </div>
-          ) : relatedProducts.length > 0 ? (
-            <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 lg:grid-cols-4 xl:grid-cols-5 gap-6"> {/* Added xl:grid-cols-5 for wider screens */}
-              {relatedProducts.map(product => (
-                <ProductCard key={product.id} product={product} />
-              ))}
-            </div>
-          ) : (
-            <p className="text-center text-gray-500 py-8">No related products found.</p>
-          )}
-        </section>
+        {/* Customers also bought / same category / wishlist */}
+        <RecommendedProducts
+          productIds={[product.id]}
+          title="You May Also Like"
+          className="mt-16"
+          titleClassName="text-2xl font-bold text-gray-900"
+          gridClassName="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-6"
+        />
+
+        <RecentlyViewedProducts
+          exclude={[product.id]}
+          className="mt-16"
+          titleClassName="text-2xl font-bold text-gray-900"
+          gridClassName="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-6"
+        />
       </div>
     </div>
   )
@@ -1,5 +1,5 @@
 import { useState, useEffect } from "react"
-import { useLocation, Link } from "react-router-dom" // Removed useNavigate
+import { Link, useSearchParams } from "react-router-dom"
 import { motion, AnimatePresence } from "framer-motion"
 import { Helmet } from "react-helmet"
 
@@ -35,42 +35,99 @@ import {
   Eye,
   X,
   Mail,
+  Award,
+  Ruler,
+  Palette,
+  PackageCheck,
 } from "lucide-react"
 
-import { fetchProducts, fetchCategories } from "../services/productApi.js"
+import { fetchCategories } from "../services/productApi.js"
 import { supabase } from "../services/supabaseClient.js" // Import supabase
+import { addRecentSearch } from "../utils/recentSearches.js"
+import {
+  readProductFilters,
+  hasActiveFilters,
+  updateProductFilters,
+  toggleProductFilter,
+} from "../utils/productFilters.js"
+import useInfiniteProducts from "../hooks/useInfiniteProducts.js"
+import useInfiniteScroll from "../hooks/useInfiniteScroll.js"
+import useScrollRestoration from "../hooks/useScrollRestoration.js"
 
 // Define the Supabase placeholder image URL
 const SUPABASE_PLACEHOLDER_IMAGE_URL = supabase.storage.from("public_assets").getPublicUrl("placeholder.webp").data?.publicUrl || "/fallback-placeholder.svg";
 
-const priceRanges = [
-  { label: "Under 5,000 ETB", min: 0, max: 5000 },
-  { label: "5,000 - 15,000 ETB", min: 5000, max: 15000 },
-  { label: "15,000 - 25,000 ETB", min: 15000, max: 25000 },
-  { label: "25,000 - 50,000 ETB", min: 25000, max: 50000 },
-  { label: "50,000+ ETB", min: 50000, max: null },
+const PAGE_SIZE = 12;
+
+// Facet values from the server, plus any selected value it no longer returns (count 0) so it
+// can still be unticked
+const withSelected = (options = [], selected = [], labelFor = (value) => value) => [
+  ...options,
+  ...selected
+    .filter(value => !options.some(option => option.value === value))
+    .map(value => ({ value, label: labelFor(value), count: 0 })),
 ];
 
-export default function ProductListPage() {
-  const location = useLocation();
-  const [isLoading, setIsLoading] = useState(true);
+const FacetOptions = ({ name, options, selected, onToggle }) => (
+  <div className="space-y-2 pb-2">
+    {options.length === 0 && <p className="text-sm text-gray-400">Nothing to filter by</p>}
+    {options.map((option) => {
+      const isSelected = selected.includes(option.value);
+      const id = `${name}-${option.value}`;
+      return (
+        <div key={option.value} className="flex items-center space-x-2">
+          <Checkbox
+            id={id}
+            checked={isSelected}
+            disabled={!isSelected && option.count === 0}
+            onCheckedChange={() => onToggle(option.value)}
+          />
+          <label
+            htmlFor={id}
+            className={`text-sm font-medium leading-none flex justify-between w-full ${!isSelected && option.count === 0 ? 'text-gray-400' : ''}`}
+          >
+            <span>{option.label}</span>
+            <span className="text-gray-500">({option.count})</span>
+          </label>
+        </div>
+      );
+    })}
+  </div>
+);
 
-  // Filter States
-  const [currentPage, setCurrentPage] = useState(1);
-  const [currentSearch, setCurrentSearch] = useState('');
-  const [selectedPrice, setSelectedPrice] = useState(null);
+export default function ProductListPage() {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const filters = readProductFilters(searchParams);
   const viewMode = "grid";
-  const [selectedFilters, setSelectedFilters] = useState({
-    categories: [],
-    tags: [],
-  });
-  const [selectedRating, setSelectedRating] = useState(null);
-
-  const [products, setProducts] = useState([]);
-  const [totalProducts, setTotalProducts] = useState(0);
-  const [totalPages, setTotalPages] = useState(1);
   const [categories, setCategories] = useState([]);
 
+  // The URL holds every filter, so the list follows it (links, back/forward, the header search)
+  const {
+    products,
+    total: totalProducts,
+    facets,
+    isLoading,
+    isPlaceholderData,
+    hasNextPage,
+    fetchNextPage,
+    isFetchingNextPage,
+    isError,
+  } = useInfiniteProducts({
+    search: filters.search || undefined,
+    category: filters.category,
+    brand: filters.brand,
+    size: filters.size,
+    color: filters.color,
+    price: filters.price,
+    in_stock: filters.in_stock || undefined,
+    min_rating: filters.min_rating || undefined,
+    sortBy: filters.sortBy || undefined,
+    sortOrder: filters.sortOrder || undefined,
+  }, { pageSize: PAGE_SIZE, facets: true });
+
+  const loadMoreRef = useInfiniteScroll(fetchNextPage, hasNextPage && !isFetchingNextPage && !isPlaceholderData);
+  useScrollRestoration(!isLoading && !isPlaceholderData);
+
   // Fetch all categories on mount
   useEffect(() => {
     fetchCategories().then((res) => {
@@ -78,108 +135,60 @@ export default function ProductListPage() {
     }).catch(() => setCategories([]));
   }, []);
 
-  // Effect 1: Sync URL query params to component state (on initial load and browser navigation)
-  useEffect(() => {
-    const searchParams = new URLSearchParams(location.search);
-    setCurrentPage(Number(searchParams.get("page")) || 1);
-    setCurrentSearch(searchParams.get("search") || '');
-    
-    const priceLabel = searchParams.get("price");
-    if (priceLabel) {
-      setSelectedPrice(priceRanges.find(r => r.label === priceLabel) || null);
-    } else {
-      setSelectedPrice(null);
-    }
-
-    const categorySlug = searchParams.get("category");
-    setSelectedFilters(prev => ({ ...prev, categories: categorySlug ? [categorySlug] : [] }));
-    
-    const rating = searchParams.get("min_rating");
-    setSelectedRating(rating ? Number(rating) : null);
-  }, [location.search]);
-
-
-  // Effect 2: Fetch products when filter states change, and update URL
-  useEffect(() => {
-    setIsLoading(true);
-    const params = {
-      page: currentPage,
-      limit: 6,
-      search: currentSearch || undefined,
-      ...(selectedFilters.categories.length === 1 ? { category: selectedFilters.categories[0] } : {}),
-      ...(selectedPrice && selectedPrice.min !== null ? { price_gte: selectedPrice.min } : {}),
-      ...(selectedPrice && selectedPrice.max !== null ? { price_lte: selectedPrice.max } : {}),
-      ...(selectedRating ? { min_rating: selectedRating } : {}),
-    };
-    fetchProducts(params).then((res) => {
-      setProducts(res.data || []);
-      setTotalProducts(res.count || 0);
-      setTotalPages(res.totalPages || 1);
-      setIsLoading(false);
-
-      // Update URL after fetching
-      const newUrlParams = new URLSearchParams();
-      if (currentPage > 1) newUrlParams.set("page", currentPage.toString());
-      if (currentSearch) newUrlParams.set("search", currentSearch);
-      if (selectedFilters.categories.length > 0) newUrlParams.set("category", selectedFilters.categories[0]);
-      if (selectedPrice) newUrlParams.set("price", selectedPrice.label);
-      if (selectedRating) newUrlParams.set("min_rating", selectedRating.toString());
-      
-      const newSearchString = newUrlParams.toString();
-      if (location.search.substring(1) !== newSearchString) {
-        window.history.pushState({}, '', `${location.pathname}?${newSearchString}`);
-      }
-    }).catch(() => {
-      setProducts([]);
-      setTotalProducts(0);
-      setTotalPages(1);
-      setIsLoading(false);
-    });
-  }, [currentPage, currentSearch, selectedFilters, selectedPrice, selectedRating, location.pathname]); // Removed location.search from dependencies
-
-  const handleCategoryFilter = (categorySlug) => {
-    setSelectedFilters((prev) => {
-      const alreadySelected = prev.categories.includes(categorySlug);
-      const newCategories = alreadySelected ? [] : [categorySlug];
-      return { ...prev, categories: newCategories };
-    });
-    setCurrentPage(1);
+  const categoryName = (slug) => categories.find(c => c.slug === slug)?.name || slug;
+
+  const handleToggle = (key) => (value) => {
+    setSearchParams(toggleProductFilter(searchParams, key, value));
   };
 
-  const handlePriceFilter = (range) => {
-    setSelectedPrice((prev) => (prev === range ? null : range));
-    setCurrentPage(1);
-  }
+  const handleInStockFilter = () => {
+    setSearchParams(updateProductFilters(searchParams, { in_stock: !filters.in_stock }));
+  };
 
   const handleRatingFilter = (rating) => {
-    setSelectedRating((prev) => (prev === rating ? null : rating));
-    setCurrentPage(1);
-  }
+    setSearchParams(updateProductFilters(searchParams, { min_rating: filters.min_rating === rating ? null : rating }));
+  };
 
   const handleClearFilters = () => {
-    setSelectedFilters({
-      categories: [],
-      tags: [],
-    })
-    setSelectedPrice(null)
-    setSelectedRating(null)
-    setCurrentSearch('');
-    setCurrentPage(1);
-  }
-
-  const handlePageChange = (newPage) => {
-    if (newPage < 1 || newPage > totalPages) return;
-    setCurrentPage(newPage);
+    // Keeps only the sort order
+    setSearchParams(updateProductFilters(new URLSearchParams(), {
+      sortBy: filters.sortBy,
+      sortOrder: filters.sortOrder,
+    }));
   };
 
   const handleSearch = (e) => {
     e.preventDefault()
     const formData = new FormData(e.currentTarget)
-    const searchTerm = formData.get("search")?.toString() || '';
-    setCurrentSearch(searchTerm);
-    setCurrentPage(1);
+    const searchTerm = formData.get("search")?.toString().trim() || '';
+    if (searchTerm) addRecentSearch(searchTerm);
+    setSearchParams(updateProductFilters(searchParams, { search: searchTerm }));
   }
 
+  // Chips for everything currently applied, each removable on its own
+  const activeFilterChips = [
+    ...(filters.search ? [{ key: 'search', label: `“${filters.search}”`, remove: { search: null } }] : []),
+    ...filters.category.map(value => ({ key: `category-${value}`, label: categoryName(value), toggle: ['category', value] })),
+    ...filters.brand.map(value => ({ key: `brand-${value}`, label: value, toggle: ['brand', value] })),
+    ...filters.size.map(value => ({ key: `size-${value}`, label: `Size ${value}`, toggle: ['size', value] })),
+    ...filters.color.map(value => ({ key: `color-${value}`, label: value, toggle: ['color', value] })),
+    ...filters.price.map(value => ({
+      key: `price-${value}`,
+      label: facets?.price?.find(option => option.value === value)?.label || value,
+      toggle: ['price', value],
+    })),
+    ...(filters.in_stock ? [{ key: 'in_stock', label: 'In stock', remove: { in_stock: null } }] : []),
+    ...(filters.min_rating ? [{ key: 'min_rating', label: `${filters.min_rating}★ & up`, remove: { min_rating: null } }] : []),
+  ];
+
+  const removeChip = (chip) => {
+    setSearchParams(chip.toggle
+      ? toggleProductFilter(searchParams, chip.toggle[0], chip.toggle[1])
+      : updateProductFilters(searchParams, chip.remove));
+  };
+
+  const ratingCount = (rating) => facets?.rating?.find(option => option.value === rating)?.count;
+
   const FilterSidebar = (
     <div className="w-full bg-white rounded-xl overflow-hidden">
       <div className="p-5 border-b">
@@ -193,7 +202,7 @@ export default function ProductListPage() {
       </div>
 
       <ScrollArea className="h-[calc(100vh-220px)] py-2">
-        <Accordion type="multiple" defaultValue={["categories", "price", "ratings"]} className="px-5">
+        <Accordion type="multiple" defaultValue={["categories", "brands", "sizes", "colors", "price", "availability", "ratings"]} className="px-5">
           <AccordionItem value="categories" className="border-b">
             <AccordionTrigger className="py-4 text-base hover:no-underline">
               <div className="flex items-center gap-2">
@@ -202,29 +211,72 @@ export default function ProductListPage() {
               </div>
             </AccordionTrigger>
             <AccordionContent>
-              <div className="space-y-2 pb-2">
-                {categories.map((cat) => (
-                  <div key={cat.id} className="flex items-center space-x-2">
-                    <Checkbox
-                      id={`category-${cat.slug}`}
-                      checked={selectedFilters.categories.includes(cat.slug)}
-                      onCheckedChange={() => handleCategoryFilter(cat.slug)}
-                    />
-                    <label
-                      htmlFor={`category-${cat.slug}`}
-                      className="text-sm font-medium leading-none peer-disabled:cursor-not-allowed peer-disabled:opacity-70 flex justify-between w-full"
-                    >
-                      <span>{cat.name}</span>
-                      <span className="text-gray-500">
-                        ({products.filter(p => p.category && p.category.slug === cat.slug).length})
-                      </span>
-                    </label>
-                  </div>
-                ))}
-              </div>
+              <FacetOptions
+                name="category"
+                options={withSelected(facets?.categories, filters.category, categoryName)}
+                selected={filters.category}
+                onToggle={handleToggle('category')}
+              />
             </AccordionContent>
           </AccordionItem>
 
+          {(facets?.brands?.length > 0 || filters.brand.length > 0) && (
+            <AccordionItem value="brands" className="border-b">
+              <AccordionTrigger className="py-4 text-base hover:no-underline">
+                <div className="flex items-center gap-2">
+                  <Award size={18} className="text-gray-500" />
+                  <span>Brand</span>
+                </div>
+              </AccordionTrigger>
+              <AccordionContent>
+                <FacetOptions
+                  name="brand"
+                  options={withSelected(facets?.brands, filters.brand)}
+                  selected={filters.brand}
+                  onToggle={handleToggle('brand')}
+                />
+              </AccordionContent>
+            </AccordionItem>
+          )}
+
+          {(facets?.sizes?.length > 0 || filters.size.length > 0) && (
+            <AccordionItem value="sizes" className="border-b">
+              <AccordionTrigger className="py-4 text-base hover:no-underline">
+                <div className="flex items-center gap-2">
+                  <Ruler size={18} className="text-gray-500" />
+                  <span>Size</span>
+                </div>
+              </AccordionTrigger>
+              <AccordionContent>
+                <FacetOptions
+                  name="size"
+                  options={withSelected(facets?.sizes, filters.size)}
+                  selected={filters.size}
+                  onToggle={handleToggle('size')}
+                />
+              </AccordionContent>
+            </AccordionItem>
+          )}
+
+          {(facets?.colors?.length > 0 || filters.color.length > 0) && (
+            <AccordionItem value="colors" className="border-b">
+              <AccordionTrigger className="py-4 text-base hover:no-underline">
+                <div className="flex items-center gap-2">
+                  <Palette size={18} className="text-gray-500" />
+                  <span>Color</span>
+                </div>
+              </AccordionTrigger>
+              <AccordionContent>
+                <FacetOptions
+                  name="color"
+                  options={withSelected(facets?.colors, filters.color)}
+                  selected={filters.color}
+                  onToggle={handleToggle('color')}
+                />
+              </AccordionContent>
+            </AccordionItem>
+          )}
+
           <AccordionItem value="price" className="border-b">
             <AccordionTrigger className="py-4 text-base hover:no-underline">
               <div className="flex items-center gap-2">
@@ -233,24 +285,34 @@ export default function ProductListPage() {
               </div>
             </AccordionTrigger>
             <AccordionContent>
-              <div className="space-y-4 pb-2">
-                <div className="space-y-2">
-                  {priceRanges.map((range, i) => (
-                    <div key={i} className="flex items-center space-x-2">
-                      <Checkbox
-                        id={`price-${i}`}
-                        checked={selectedPrice === range}
-                        onCheckedChange={() => handlePriceFilter(range)}
-                      />
-                      <label
-                        htmlFor={`price-${i}`}
-                        className="text-sm font-medium leading-none peer-disabled:cursor-not-allowed peer-disabled:opacity-70"
-                      >
-                        {range.label}
-                      </label>
-                    </div>
-                  ))}
-                </div>
+              <FacetOptions
+                name="price"
+                options={withSelected(facets?.price, filters.price)}
+                selected={filters.price}
+                onToggle={handleToggle('price')}
+              />
+            </AccordionContent>
+          </AccordionItem>
+
+          <AccordionItem value="availability" className="border-b">
+            <AccordionTrigger className="py-4 text-base hover:no-underline">
+              <div className="flex items-center gap-2">
+                <PackageCheck size={18} className="text-gray-500" />
+                <span>Availability</span>
+              </div>
+            </AccordionTrigger>
+            <AccordionContent>
+              <div className="flex items-center space-x-2 pb-2">
+                <Checkbox
+                  id="in-stock"
+                  checked={filters.in_stock}
+                  disabled={!filters.in_stock && facets?.inStock === 0}
+                  onCheckedChange={handleInStockFilter}
+                />
+                <label htmlFor="in-stock" className="text-sm font-medium leading-none flex justify-between w-full">
+                  <span>In stock only</span>
+                  {facets && <span className="text-gray-500">({facets.inStock ?? 0})</span>}
+                </label>
               </div>
             </AccordionContent>
           </AccordionItem>
@@ -268,12 +330,13 @@ export default function ProductListPage() {
                   <div key={rating} className="flex items-center space-x-2">
                     <Checkbox
                       id={`rating-${rating}`}
-                      checked={selectedRating === rating}
+                      checked={filters.min_rating === rating}
+                      disabled={filters.min_rating !== rating && ratingCount(rating) === 0}
                       onCheckedChange={() => handleRatingFilter(rating)}
                     />
                     <label
                       htmlFor={`rating-${rating}`}
-                      className="text-sm font-medium leading-none peer-disabled:cursor-not-allowed peer-disabled:opacity-70 flex items-center"
+                      className="text-sm font-medium leading-none peer-disabled:cursor-not-allowed peer-disabled:opacity-70 flex items-center w-full"
                     >
                       <div className="flex mr-1">
                         {[...Array(5)].map((_, i) => (
@@ -285,6 +348,9 @@ export default function ProductListPage() {
                         ))}
                       </div>
                       <span>& Up</span>
+                      {ratingCount(rating) !== undefined && (
+                        <span className="ml-auto text-gray-500">({ratingCount(rating)})</span>
+                      )}
                     </label>
                   </div>
                 ))}
@@ -319,19 +385,22 @@ export default function ProductListPage() {
             <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4">
               <div>
                 <h1 className="text-3xl font-bold tracking-tight text-gray-900">
-                  {selectedFilters.categories.length > 0 && categories.length > 0
-                    ? categories.find(c => c.slug === selectedFilters.categories[0])?.name || "Products" 
-                    : "All Products"}
+                  {filters.search
+                    ? `Results for “${filters.search}”`
+                    : filters.category.length === 1
+                      ? categoryName(filters.category[0])
+                      : "All Products"}
                 </h1>
                 <p className="mt-1 text-sm text-gray-500">
-                  Showing {products.length > 0 ? ((currentPage - 1) * 6) + 1 : 0}-{(currentPage - 1) * 6 + products.length} of {totalProducts} results
+                  Showing {products.length} of {totalProducts} results
                 </p>
               </div>
               <form onSubmit={handleSearch} className="flex items-center gap-2 w-full sm:w-auto">
                 <Input
+                  key={filters.search} // Remount so a search started from the header shows up here
                   type="search"
                   name="search"
-                  defaultValue={currentSearch} // Use state for defaultValue
+                  defaultValue={filters.search}
                   placeholder="Search products..."
                   className="w-full sm:w-64"
                 />
@@ -371,14 +440,35 @@ export default function ProductListPage() {
                 </Sheet>
               </div>
 
+              {hasActiveFilters(filters) && (
+                <div className="mb-6 flex flex-wrap items-center gap-2">
+                  {activeFilterChips.map((chip) => (
+                    <Badge key={chip.key} variant="secondary" className="flex items-center gap-1 py-1 pl-3 pr-1.5 text-sm font-normal">
+                      {chip.label}
+                      <button
+                        type="button"
+                        onClick={() => removeChip(chip)}
+                        className="rounded-full p-0.5 hover:bg-gray-300"
+                        aria-label={`Remove filter ${chip.label}`}
+                      >
+                        <X size={14} />
+                      </button>
+                    </Badge>
+                  ))}
+                  <Button variant="ghost" size="sm" onClick={handleClearFilters} className="h-7 text-xs">
+                    Clear all
+                  </Button>
+                </div>
+              )}
+
               {isLoading ? (
                 <div className={`grid gap-x-6 gap-y-8 ${viewMode === "grid" ? "grid-cols-1 sm:grid-cols-2 xl:grid-cols-3" : "grid-cols-1"}`}>
-                  {Array.from({ length: 6 }).map((_, index) => <SkeletonCard key={index} />)}
+                  {Array.from({ length: PAGE_SIZE }).map((_, index) => <SkeletonCard key={index} />)}
                 </div>
               ) : products.length > 0 ? (
                 <motion.div
                   layout
-                  className={`grid gap-x-6 gap-y-8 ${viewMode === "grid" ? "grid-cols-1 sm:grid-cols-2 xl:grid-cols-3" : "grid-cols-1"}`}
+                  className={`grid gap-x-6 gap-y-8 ${viewMode === "grid" ? "grid-cols-1 sm:grid-cols-2 xl:grid-cols-3" : "grid-cols-1"} ${isPlaceholderData ? "opacity-60 transition-opacity" : ""}`}
                 >
                   <AnimatePresence>
                     {products.map((product) => (
@@ -389,45 +479,26 @@ export default function ProductListPage() {
               ) : (
                 <div className="text-center py-12">
                   <Mail size={48} className="mx-auto text-gray-400 mb-4" />
-                  <h3 className="text-xl font-medium text-gray-800 mb-2">No Products Found</h3>
+                  <h3 className="text-xl font-medium text-gray-800 mb-2">{isError ? "Could Not Load Products" : "No Products Found"}</h3>
                   <p className="text-gray-500 mb-6">
-                    We couldn't find any products matching your current filters. Try adjusting your search or filters.
+                    {isError
+                      ? "Something went wrong while loading products. Please try again."
+                      : "We couldn't find any products matching your current filters. Try adjusting your search or filters."}
                   </p>
                   <Button onClick={handleClearFilters}>Clear Filters</Button>
                 </div>
               )}
 
-              {totalPages > 1 && (
-                <div className="mt-12 flex justify-center items-center space-x-2">
-                  <Button
-                    variant="outline"
-                    size="icon"
-                    onClick={() => handlePageChange(currentPage - 1)}
-                    disabled={currentPage === 1}
-                    aria-label="Go to previous page"
-                  >
-                    <ChevronLeft size={18} />
-                  </Button>
-                  {Array.from({ length: totalPages }, (_, i) => i + 1).map((p) => (
-                    <Button
-                      key={p}
-                      variant={currentPage === p ? "default" : "outline"}
-                      size="icon"
-                      onClick={() => handlePageChange(p)}
-                      aria-label={`Go to page ${p}`}
-                    >
-                      {p}
+              {products.length > 0 && (
+                <div ref={loadMoreRef} className="mt-12 flex justify-center">
+                  {hasNextPage ? (
+                    // Fallback for when the sentinel cannot trigger (no IntersectionObserver, short pages)
+                    <Button variant="outline" onClick={() => fetchNextPage()} disabled={isFetchingNextPage}>
+                      {isFetchingNextPage ? "Loading more..." : "Load more"}
                     </Button>
-                  ))}
-                  <Button
-                    variant="outline"
-                    size="icon"
-                    onClick={() => handlePageChange(currentPage + 1)}
-                    disabled={currentPage === totalPages}
-                    aria-label="Go to next page"
-                  >
-                    <ChevronRight size={18} />
-                  </Button>
+                  ) : (
+                    <p className="text-sm text-gray-500">You've reached the end</p>
+                  )}
                 </div>
               )}
             </main>
@@ -1,14 +1,20 @@
 import React, { useState, useEffect } from 'react';
 import { useAuth } from '../contexts/authContext.jsx';
 import { Link } from 'react-router-dom';
-import { FiUser, FiMail, FiAward, FiCalendar, FiLogOut, FiShoppingBag, FiMapPin, FiPackage } from 'react-icons/fi';
+import { FiUser, FiMail, FiAward, FiCalendar, FiLogOut, FiShoppingBag, FiMapPin, FiPackage, FiBell } from 'react-icons/fi';
 import { Helmet } from 'react-helmet';
+import toast from 'react-hot-toast';
 import { getSellerProfile } from '../services/sellerApi.js';
+import { NOTIFICATION_PREFERENCES, fetchNotificationPreferences, updateNotificationPreferences } from '../services/notificationApi.js';
+
+// Shoppers only see the emails that concern them; sellers manage the rest in Seller Settings
+const SHOPPER_PREFERENCES = NOTIFICATION_PREFERENCES.filter(p => ['order_notifications', 'sms_notifications', 'marketing_emails'].includes(p.id));
 
 const ProfilePage = () => {
   const { user, logout } = useAuth();
   const [sellerStatus, setSellerStatus] = useState(null);
   const [loadingSellerStatus, setLoadingSellerStatus] = useState(true);
+  const [preferences, setPreferences] = useState(null);
 
   useEffect(() => {
     const checkSellerStatus = async () => {
@@ -17,6 +23,7 @@ const ProfilePage = () => {
           const sellerData = await getSellerProfile();
           setSellerStatus(sellerData?.status || 'not_applied');
         } catch (error) {
+          console.error('Error checking seller status:', error);
           setSellerStatus('not_applied');
         }
       }
@@ -26,6 +33,25 @@ const ProfilePage = () => {
     checkSellerStatus();
   }, [user]);
 
+  useEffect(() => {
+    if (!user) return;
+    fetchNotificationPreferences()
+      .then(response => setPreferences(response.data))
+      .catch(error => console.error('Error fetching notification preferences:', error));
+  }, [user]);
+
+  // Saves each toggle as it changes, reverting it if the save fails
+  const handlePreferenceToggle = async (key) => {
+    const value = !preferences[key];
+    setPreferences(prev => ({ ...prev, [key]: value }));
+    try {
+      await updateNotificationPreferences({ [key]: value });
+    } catch (error) {
+      setPreferences(prev => ({ ...prev, [key]: !value }));
+      toast.error(error.message || 'Could not save your preference');
+    }
+  };
+
   if (!user) {
     return (
       <div className="min-h-screen flex items-center justify-center">
@@ -94,6 +120,32 @@ const ProfilePage = () => {
             </div>
           </div>
 
+          {/* Notifications */}
+          {preferences && (
+            <div className="border-b border-black/10 p-6">
+              <h2 className="text-lg font-sans font-semibold text-black mb-4 flex items-center gap-2">
+                <FiBell className="text-black" />
+                Notifications
+              </h2>
+              <div className="divide-y divide-black/5">
+                {SHOPPER_PREFERENCES.map(pref => (
+                  <label key={pref.id} className="flex items-center justify-between py-3 cursor-pointer">
+                    <div>
+                      <p className="text-black font-medium">{pref.label}</p>
+                      <p className="text-sm text-neutral-400 font-light">{pref.description}</p>
+                    </div>
+                    <input
+                      type="checkbox"
+                      checked={Boolean(preferences[pref.id])}
+                      onChange={() => handlePreferenceToggle(pref.id)}
+                      className="h-5 w-5 rounded border-neutral-300 text-black focus:ring-black"
+                    />
+                  </label>
+                ))}
+              </div>
+            </div>
+          )}
+
           {/* Quick Actions */}
           <div className="p-6 bg-white">
             <h2 className="text-lg font-sans font-semibold text-black mb-6">Quick Actions</h2>
@@ -122,14 +174,16 @@ const ProfilePage = () => {
               {/* Seller Actions */}
               {!loadingSellerStatus && (
                 <Link
-                  to={sellerStatus === 'approved' ? '/seller/dashboard' : '/seller/apply'}
+                  to={['active', 'pending_approval', 'suspended'].includes(sellerStatus) ? '/seller/dashboard' : '/seller/apply'}
                   className="flex items-center justify-between p-4 border border-black/10 rounded-lg bg-white hover:border-black hover:bg-black/5 transition-all duration-200 group"
                 >
                   <div className="flex items-center">
                     <FiPackage className="text-black mr-3" />
                     <span className="font-medium text-black group-hover:text-black">
-                      {sellerStatus === 'approved' ? 'Seller Dashboard' : 
-                       sellerStatus === 'pending' ? 'Application Pending' :
+                      {sellerStatus === 'active' ? 'Seller Dashboard' :
+                       sellerStatus === 'pending_approval' ? 'Application Pending' :
+                       sellerStatus === 'suspended' ? 'Store Suspended' :
+                       sellerStatus === 'needs_info' ? 'Update Seller Application' :
                        sellerStatus === 'rejected' ? 'Reapply as Seller' :
                        'Become a Seller'}
                     </span>
@@ -0,0 +1,146 @@
+import React, { useState } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { Helmet } from 'react-helmet';
+import toast from 'react-hot-toast';
+import Spinner from '../components/common/Spinner';
+import ErrorMessage from '../components/common/ErrorMessage';
+import { FiLock, FiCheck } from 'react-icons/fi';
+import { useAuth } from '../contexts/authContext.jsx';
+import { supabase } from '../services/supabaseClient';
+
+const MIN_PASSWORD_LENGTH = 6;
+
+// Landing page for the emailed recovery link. Supabase signs the user in from the link itself,
+// so by the time this renders there is a session and the password can be changed directly.
+const ResetPasswordPage = () => {
+  const { isAuthenticated, isLoading } = useAuth();
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+  const navigate = useNavigate();
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      setError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters.`);
+      return;
+    }
+    if (password !== confirmPassword) {
+      setError('Passwords do not match.');
+      return;
+    }
+    setSubmitting(true);
+    try {
+      const { error: updateError } = await supabase.auth.updateUser({ password });
+      if (updateError) throw updateError;
+      toast.success('Your password has been updated.');
+      navigate('/profile', { replace: true });
+    } catch (err) {
+      setError(err.message || 'Could not update your password.');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const inputClass = 'block w-full pl-10 pr-3 py-3 border border-neutral-200 rounded-lg focus:ring-2 focus:ring-black focus:border-black bg-neutral-50 text-black placeholder-neutral-400 text-sm';
+
+  return (
+    <div className="min-h-screen bg-white flex flex-col justify-center pt-28 pb-12 px-4 sm:px-6 lg:px-8">
+      <Helmet>
+        <title>Reset Password | SuriAddis</title>
+      </Helmet>
+      <div className="max-w-md w-full mx-auto">
+        <div className="bg-white rounded-2xl shadow border border-neutral-100 p-7 sm:p-8">
+          {isLoading ? (
+            <div className="flex justify-center py-8">
+              <Spinner />
+            </div>
+          ) : !isAuthenticated ? (
+            <div className="text-center">
+              <h1 className="text-2xl font-bold text-black mb-2 tracking-tight">Link expired</h1>
+              <p className="text-neutral-500 text-sm mb-6">
+                This password reset link is invalid or has expired. Please request a new one.
+              </p>
+              <Link to="/forgot-password" className="text-black hover:underline font-medium text-sm">
+                Request a new link
+              </Link>
+            </div>
+          ) : (
+            <>
+              <div className="text-center mb-8">
+                <h1 className="text-2xl font-bold text-black mb-2 tracking-tight">Choose a new password</h1>
+                <p className="text-neutral-500 text-sm">You&apos;ll use it the next time you sign in.</p>
+              </div>
+
+              {error && <ErrorMessage message={error} className="mb-6" />}
+
+              <form className="space-y-5" onSubmit={handleSubmit}>
+                <div>
+                  <label htmlFor="password" className="block text-xs font-medium text-neutral-500 mb-1">
+                    New password
+                  </label>
+                  <div className="relative">
+                    <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                      <FiLock className="text-neutral-300" />
+                    </div>
+                    <input
+                      id="password"
+                      type="password"
+                      autoComplete="new-password"
+                      required
+                      className={inputClass}
+                      placeholder="••••••••"
+                      value={password}
+                      onChange={(e) => setPassword(e.target.value)}
+                    />
+                  </div>
+                </div>
+                <div>
+                  <label htmlFor="confirmPassword" className="block text-xs font-medium text-neutral-500 mb-1">
+                    Confirm new password
+                  </label>
+                  <div className="relative">
+                    <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                      <FiLock className="text-neutral-300" />
+                    </div>
+                    <input
+                      id="confirmPassword"
+                      type="password"
+                      autoComplete="new-password"
+                      required
+                      className={inputClass}
+                      placeholder="••••••••"
+                      value={confirmPassword}
+                      onChange={(e) => setConfirmPassword(e.target.value)}
+                    />
+                  </div>
+                </div>
+
+                <button
+                  type="submit"
+                  disabled={submitting}
+                  className={`w-full flex justify-center items-center py-3 px-4 rounded-lg text-white font-semibold text-sm ${
+                    submitting ? 'bg-neutral-300' : 'bg-black hover:bg-neutral-800'
+                  } transition-colors`}
+                >
+                  {submitting ? (
+                    <Spinner size="sm" />
+                  ) : (
+                    <>
+                      <FiCheck className="mr-2" />
+                      Update Password
+                    </>
+                  )}
+                </button>
+              </form>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ResetPasswordPage;
@@ -0,0 +1,252 @@
+import React, { useEffect, useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { Helmet } from 'react-helmet';
+import { FiSearch, FiTruck } from 'react-icons/fi';
+import { fetchGuestOrder, lookupGuestOrder } from '../services/guestOrderApi';
+import { getPaymentMethodLabel } from '../services/paymentApi';
+import Spinner from '../components/common/Spinner';
+import ErrorMessage from '../components/common/ErrorMessage';
+import OrderStatusTimeline from '../components/orders/OrderStatusTimeline';
+import GuestAccountPrompt from '../components/orders/GuestAccountPrompt';
+import OrderShipments, { PartialShipmentBadge } from '../components/orders/OrderShipments';
+import { formatETB } from '../utils/utils';
+import { getFirstProductImageUrl, placeholderImageUrl } from '../utils/imageUrl';
+import { getOrderStatusBadgeClass, formatOrderStatus } from '../utils/orderStatus';
+import { formatAddressLines } from '../utils/addresses';
+import { formatDeliveryWindow, formatShippingFee } from '../utils/shipping';
+import { getGuestOrderToken, formatOrderNumber } from '../utils/guestOrders';
+
+/**
+ * Order lookup for shoppers without an account: order number from the confirmation plus the
+ * email or phone it was placed with. Orders placed from this browser open straight away.
+ * /orders/:orderId sends signed-out visitors here (?order=<id>) so email links keep working.
+ */
+const TrackOrderPage = () => {
+  const [searchParams] = useSearchParams();
+  const orderParam = searchParams.get('order') || '';
+  const [orderNumber, setOrderNumber] = useState(orderParam ? formatOrderNumber(orderParam) : '');
+  const [contact, setContact] = useState('');
+  const [order, setOrder] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const token = orderParam ? getGuestOrderToken(orderParam) : null;
+    if (!token) return;
+    setLoading(true);
+    fetchGuestOrder(orderParam, token)
+      .then(response => setOrder(response.data))
+      .catch(err => console.error('Failed to load guest order:', err))
+      .finally(() => setLoading(false));
+  }, [orderParam]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await lookupGuestOrder(orderNumber, contact);
+      setOrder(response.data);
+    } catch (err) {
+      setOrder(null);
+      setError(err.message || 'Could not look up this order.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const address = order?.shippingAddress || {};
+  const items = order?.order_items || [];
+  const isShipped = order && ['shipped', 'delivered', 'returned'].includes(order.status);
+
+  return (
+    <div className="min-h-screen bg-white py-16 px-4 sm:px-0 pt-32">
+      <Helmet>
+        <title>Track Your Order | SuriAddis</title>
+        <meta name="description" content="Look up a SuriAddis order with its order number and the email or phone you ordered with." />
+      </Helmet>
+      <div className="max-w-4xl mx-auto space-y-8">
+        <div>
+          <h1 className="text-3xl font-semibold text-neutral-900 tracking-tight">Track Your Order</h1>
+          <p className="text-sm text-neutral-500 mt-1">
+            Have an account?{' '}
+            <Link to="/login" state={{ from: { pathname: '/orders' } }} className="font-medium text-black underline">
+              Sign in
+            </Link>{' '}
+            to see all your orders.
+          </p>
+        </div>
+
+        {!order && (
+          <form onSubmit={handleSubmit} className="bg-white rounded-xl shadow border border-neutral-200 p-6 grid grid-cols-1 md:grid-cols-3 gap-4 items-end">
+            <div>
+              <label htmlFor="orderNumber" className="block text-sm font-medium text-gray-700 mb-1">Order number</label>
+              <input
+                id="orderNumber"
+                type="text"
+                value={orderNumber}
+                onChange={(e) => setOrderNumber(e.target.value)}
+                placeholder="#a1b2c3d4"
+                required
+                className="w-full px-4 py-2 border border-gray-200 rounded-lg text-sm focus:ring-1 focus:ring-black focus:border-black"
+              />
+            </div>
+            <div>
+              <label htmlFor="contact" className="block text-sm font-medium text-gray-700 mb-1">Email or phone</label>
+              <input
+                id="contact"
+                type="text"
+                value={contact}
+                onChange={(e) => setContact(e.target.value)}
+                placeholder="you@example.com or 0911..."
+                required
+                className="w-full px-4 py-2 border border-gray-200 rounded-lg text-sm focus:ring-1 focus:ring-black focus:border-black"
+              />
+            </div>
+            <button
+              type="submit"
+              disabled={loading}
+              className="inline-flex items-center justify-center gap-2 px-5 py-2.5 rounded-full bg-black text-white text-sm font-medium hover:bg-neutral-900 disabled:opacity-60"
+            >
+              {loading ? <Spinner size="sm" /> : <FiSearch />}
+              Find Order
+            </button>
+          </form>
+        )}
+
+        {error && <ErrorMessage message={error} />}
+        {loading && !order && orderParam && getGuestOrderToken(orderParam) && (
+          <div className="flex justify-center"><Spinner /></div>
+        )}
+
+        {order && (
+          <>
+            <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+              <div>
+                <h2 className="text-2xl font-semibold text-neutral-900">Order {formatOrderNumber(order.id)}</h2>
+                <p className="text-sm text-neutral-500 mt-1">Placed on {new Date(order.created_at).toLocaleString()}</p>
+              </div>
+              <div className="flex items-center gap-4">
+                <span className={`px-3 py-1 rounded-full text-sm font-medium ${getOrderStatusBadgeClass(order.status)}`}>
+                  {formatOrderStatus(order.status)}
+                </span>
+                <PartialShipmentBadge fulfillments={order.order_fulfillments} />
+                <button
+                  type="button"
+                  onClick={() => { setOrder(null); setError(null); }}
+                  className="text-sm text-neutral-500 hover:text-black underline"
+                >
+                  Look up another
+                </button>
+              </div>
+            </div>
+
+            {isShipped && (
+              <div className="bg-neutral-50 rounded-xl border border-neutral-200 p-6 flex items-start gap-4">
+                <FiTruck className="w-6 h-6 text-neutral-700 mt-0.5" />
+                <div className="text-sm text-neutral-700 space-y-1">
+                  <p className="font-semibold text-neutral-900">
+                    {order.status === 'delivered'
+                      ? 'Delivered'
+                      : order.delivery?.status === 'out_for_delivery' ? 'Out for delivery' : 'On its way'}
+                  </p>
+                  {order.status === 'shipped' && order.delivery?.status === 'out_for_delivery' && (
+                    <p>
+                      Our rider is on the way. We sent a delivery code to your phone and email; give it to the rider only
+                      once you have your order.
+                    </p>
+                  )}
+                  {order.carrier && <p>Carrier: <span className="font-medium">{order.carrier}</span></p>}
+                  {order.tracking_number && <p>Tracking number: <span className="font-mono font-medium">{order.tracking_number}</span></p>}
+                </div>
+              </div>
+            )}
+
+            <OrderShipments fulfillments={order.order_fulfillments} items={items} />
+
+            <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+              <div className="lg:col-span-2 bg-white rounded-xl shadow border border-neutral-200 p-6">
+                <h2 className="text-lg font-semibold text-neutral-900 mb-4">Items</h2>
+                <ul className="divide-y divide-neutral-100">
+                  {items.map(item => (
+                    <li key={item.id} className="flex items-center gap-4 py-4">
+                      <img
+                        src={item.product ? getFirstProductImageUrl(item.product) : placeholderImageUrl}
+                        alt={item.product?.name || 'Product'}
+                        className="h-16 w-16 rounded-lg object-cover bg-neutral-100 flex-shrink-0"
+                      />
+                      <div className="flex-1 min-w-0">
+                        <p className="font-medium text-neutral-900">{item.product?.name || 'Product'}</p>
+                        {item.variant_label && <p className="text-sm text-neutral-500">{item.variant_label}</p>}
+                        <p className="text-sm text-neutral-500">Qty {item.quantity} × {formatETB(item.price)}</p>
+                      </div>
+                      <p className="font-medium text-neutral-900">{formatETB(item.price * item.quantity)}</p>
+                    </li>
+                  ))}
+                </ul>
+                <div className="border-t border-neutral-200 pt-4 mt-2 space-y-2 text-sm">
+                  {Number(order.discount_amount) > 0 && (
+                    <div className="flex justify-between text-emerald-600">
+                      <span>Discount{order.coupon_code ? ` (${order.coupon_code})` : ''}</span>
+                      <span>-{formatETB(order.discount_amount)}</span>
+                    </div>
+                  )}
+                  {order.shipping_method_name && (
+                    <div className="flex justify-between text-neutral-600">
+                      <span>Shipping ({order.shipping_method_name})</span>
+                      <span>{formatShippingFee(order.shipping_fee)}</span>
+                    </div>
+                  )}
+                  <div className="flex justify-between text-base font-semibold text-neutral-900 pt-2">
+                    <span>Total</span>
+                    <span>{formatETB(order.totalAmount)}</span>
+                  </div>
+                </div>
+              </div>
+
+              <div className="space-y-8">
+                <div className="bg-white rounded-xl shadow border border-neutral-200 p-6 text-sm text-neutral-700 space-y-1">
+                  <h2 className="text-lg font-semibold text-neutral-900 mb-3">Shipping Address</h2>
+                  <p className="font-medium text-neutral-900">{`${address.firstName || ''} ${address.lastName || ''}`.trim()}</p>
+                  {formatAddressLines(address).map(line => <p key={line}>{line}</p>)}
+                  {order.estimated_delivery_start && !isShipped && !['cancelled', 'refunded'].includes(order.status) && (
+                    <p className="pt-2 text-neutral-500">
+                      {order.shipping_method_code === 'pickup' ? 'Ready for pickup' : 'Estimated delivery'}:{' '}
+                      <span className="font-medium text-neutral-900">
+                        {formatDeliveryWindow(order.estimated_delivery_start, order.estimated_delivery_end)}
+                      </span>
+                    </p>
+                  )}
+                </div>
+                <div className="bg-white rounded-xl shadow border border-neutral-200 p-6 text-sm text-neutral-700 space-y-1">
+                  <h2 className="text-lg font-semibold text-neutral-900 mb-3">Payment</h2>
+                  <p>{order.payment_method ? getPaymentMethodLabel(order.payment_method) : 'Not selected'}</p>
+                  <p className={order.payment_status === 'paid' ? 'text-emerald-600 font-medium' : 'text-neutral-500'}>
+                    {order.payment_status === 'paid' ? 'Paid' : 'Not paid yet'}
+                  </p>
+                </div>
+              </div>
+            </div>
+
+            <div className="bg-white rounded-xl shadow border border-neutral-200 p-6">
+              <h2 className="text-lg font-semibold text-neutral-900 mb-4">Order Timeline</h2>
+              <OrderStatusTimeline history={order.order_status_history} />
+            </div>
+
+            <p className="text-sm text-neutral-500">
+              To cancel or return items, create an account with the email you ordered with, or{' '}
+              <Link to="/login" state={{ from: { pathname: `/orders/${order.id}` } }} className="font-medium text-black underline">sign in</Link>{' '}
+              if you already have one. The order is added to it automatically.
+            </p>
+            <GuestAccountPrompt
+              email={order.guest_email}
+              name={`${address.firstName || ''} ${address.lastName || ''}`.trim()}
+            />
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TrackOrderPage;
@@ -1,6 +1,6 @@
 import React, { useEffect } from 'react';
 import { useSelector, useDispatch } from 'react-redux';
-import { Link } from 'react-router-dom';
+import { Link, useNavigate } from 'react-router-dom';
 import { getWishlist, removeFromWishlist } from '../store/wishlistSlice';
 import { addItemToCart } from '../store/cartSlice'; // Import addToCart for moving items
 import { Button } from '../components/ui/button';
@@ -14,6 +14,7 @@ import { Helmet } from 'react-helmet';
 
 const WishlistPage = () => {
   const dispatch = useDispatch();
+  const navigate = useNavigate();
   const { items: wishlistItems, status, error } = useSelector((state) => state.wishlist);
   const { user } = useAuth(); // Use AuthContext for user
   const [moveProcessingIds, setMoveProcessingIds] = React.useState(new Set());
@@ -32,6 +33,12 @@ const WishlistPage = () => {
 
   const handleMoveToCart = async (item) => {
     if (!item.product || moveProcessingIds.has(item.product_id)) return;
+    if (item.product.has_variants) {
+      // The wishlist keeps the product only; the size/color is picked on the product page
+      toast('Choose a size or color first');
+      navigate(`/products/${item.product.slug || item.product.id}`);
+      return;
+    }
     setMoveProcessingIds(prev => new Set(prev).add(item.product_id));
     try {
       await dispatch(addItemToCart({ product: item.product, quantity: 1 })).unwrap();
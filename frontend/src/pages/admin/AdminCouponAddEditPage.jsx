@@ -0,0 +1,361 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import { useForm } from 'react-hook-form';
+import { zodResolver } from '@hookform/resolvers/zod';
+import { z } from 'zod';
+import { FiArrowLeft, FiSave } from 'react-icons/fi';
+import { Helmet } from 'react-helmet';
+import toast from 'react-hot-toast';
+import {
+  fetchAdminCouponById,
+  createAdminCoupon,
+  updateAdminCoupon,
+  fetchCouponScopeOptions,
+} from '../../services/couponApi';
+import Spinner from '../../components/common/Spinner';
+import ErrorMessage from '../../components/common/ErrorMessage';
+
+const optionalNumber = z.preprocess(
+  value => (value === '' || value === null || value === undefined ? undefined : Number(value)),
+  z.number().int('Must be a whole number').positive('Must be greater than zero').optional()
+);
+
+const couponSchema = z.object({
+  code: z.string()
+    .min(3, 'Code must be at least 3 characters')
+    .max(32, 'Code must be at most 32 characters')
+    .regex(/^[A-Za-z0-9_-]+$/, 'Use letters, numbers, dashes or underscores only'),
+  description: z.string().optional().nullable(),
+  discountType: z.enum(['percentage', 'fixed']),
+  discountValue: z.coerce.number().positive('Discount must be greater than zero'),
+  minSpend: z.coerce.number().min(0, 'Minimum spend cannot be negative'),
+  startsAt: z.string().optional().nullable(),
+  expiresAt: z.string().optional().nullable(),
+  usageLimit: optionalNumber,
+  perUserLimit: optionalNumber,
+  isActive: z.boolean(),
+}).refine(data => data.discountType !== 'percentage' || data.discountValue <= 100, {
+  message: 'A percentage discount cannot exceed 100',
+  path: ['discountValue'],
+}).refine(data => !data.startsAt || !data.expiresAt || new Date(data.startsAt) < new Date(data.expiresAt), {
+  message: 'Expiry must be after the start date',
+  path: ['expiresAt'],
+});
+
+// <input type="datetime-local"> wants "YYYY-MM-DDTHH:mm" in local time
+const toLocalInputValue = (isoString) => {
+  if (!isoString) return '';
+  const date = new Date(isoString);
+  const offset = date.getTimezoneOffset() * 60000;
+  return new Date(date.getTime() - offset).toISOString().slice(0, 16);
+};
+
+const AdminCouponAddEditPage = () => {
+  const { couponId } = useParams();
+  const navigate = useNavigate();
+  const isEditMode = Boolean(couponId);
+
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [scopeOptions, setScopeOptions] = useState({ categories: [], collections: [] });
+  const [categoryIds, setCategoryIds] = useState([]);
+  const [collectionIds, setCollectionIds] = useState([]);
+
+  const {
+    register,
+    handleSubmit,
+    reset,
+    watch,
+    formState: { errors },
+  } = useForm({
+    resolver: zodResolver(couponSchema),
+    defaultValues: {
+      code: '',
+      description: '',
+      discountType: 'percentage',
+      discountValue: 10,
+      minSpend: 0,
+      startsAt: '',
+      expiresAt: '',
+      usageLimit: '',
+      perUserLimit: '',
+      isActive: true,
+    },
+  });
+  const discountType = watch('discountType');
+
+  useEffect(() => {
+    fetchCouponScopeOptions()
+      .then(setScopeOptions)
+      .catch(err => console.error('Failed to load coupon scope options:', err));
+  }, []);
+
+  useEffect(() => {
+    if (!isEditMode) return;
+    setLoading(true);
+    fetchAdminCouponById(couponId)
+      .then(response => {
+        const coupon = response.data;
+        reset({
+          code: coupon.code,
+          description: coupon.description || '',
+          discountType: coupon.discount_type,
+          discountValue: Number(coupon.discount_value),
+          minSpend: Number(coupon.min_spend) || 0,
+          startsAt: toLocalInputValue(coupon.starts_at),
+          expiresAt: toLocalInputValue(coupon.expires_at),
+          usageLimit: coupon.usage_limit ?? '',
+          perUserLimit: coupon.per_user_limit ?? '',
+          isActive: coupon.is_active,
+        });
+        setCategoryIds(coupon.category_ids || []);
+        setCollectionIds(coupon.collection_ids || []);
+      })
+      .catch(err => setError(err.message || 'Failed to load coupon.'))
+      .finally(() => setLoading(false));
+  }, [couponId, isEditMode, reset]);
+
+  const toggleId = (setter) => (id) => {
+    setter(prev => (prev.includes(id) ? prev.filter(existing => existing !== id) : [...prev, id]));
+  };
+
+  const onSubmit = async (data) => {
+    setSaving(true);
+    setError(null);
+    const payload = {
+      ...data,
+      code: data.code.toUpperCase(),
+      startsAt: data.startsAt ? new Date(data.startsAt).toISOString() : null,
+      expiresAt: data.expiresAt ? new Date(data.expiresAt).toISOString() : null,
+      usageLimit: data.usageLimit ?? null,
+      perUserLimit: data.perUserLimit ?? null,
+      categoryIds,
+      collectionIds,
+    };
+    try {
+      if (isEditMode) {
+        await updateAdminCoupon(couponId, payload);
+        toast.success('Coupon updated');
+      } else {
+        await createAdminCoupon(payload);
+        toast.success('Coupon created');
+      }
+      navigate('/admin/coupons');
+    } catch (err) {
+      console.error(`Error ${isEditMode ? 'updating' : 'creating'} coupon:`, err);
+      setError(err.message || `An error occurred while ${isEditMode ? 'updating' : 'creating'} the coupon.`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center h-64">
+        <Spinner />
+      </div>
+    );
+  }
+
+  const inputClass = (hasError) =>
+    `block w-full px-4 py-2 border rounded-lg focus:outline-none focus:ring-1 focus:ring-slate-400 focus:border-slate-400 text-sm ${
+      hasError ? 'border-red-500' : 'border-slate-200'
+    }`;
+
+  const ScopeList = ({ title, hint, options, selected, onToggle }) => (
+    <div>
+      <p className="block text-sm font-medium text-slate-700 mb-1">{title}</p>
+      <p className="text-xs text-slate-500 mb-2">{hint}</p>
+      {options.length === 0 ? (
+        <p className="text-xs italic text-slate-400">None available</p>
+      ) : (
+        <div className="max-h-40 overflow-y-auto border border-slate-200 rounded-lg p-3 space-y-2">
+          {options.map(option => (
+            <label key={option.id} className="flex items-center gap-2 text-sm text-slate-700">
+              <input
+                type="checkbox"
+                checked={selected.includes(option.id)}
+                onChange={() => onToggle(option.id)}
+                className="rounded border-slate-300"
+              />
+              {option.name}
+            </label>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+
+  return (
+    <div className="space-y-6">
+      <Helmet>
+        <title>Admin Add/Edit Coupon | SuriAddis</title>
+        <meta name="description" content="Admin: Add or edit a promo code in the SuriAddis store." />
+      </Helmet>
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-semibold text-slate-900">
+            {isEditMode ? 'Edit Coupon' : 'Create New Coupon'}
+          </h1>
+          <p className="text-sm text-slate-500 mt-1">
+            {isEditMode ? 'Update promo code rules' : 'Add a new promo code'}
+          </p>
+        </div>
+        <Link
+          to="/admin/coupons"
+          className="flex items-center gap-2 text-sm text-slate-600 hover:text-slate-900"
+        >
+          <FiArrowLeft size={16} />
+          Back to Coupons
+        </Link>
+      </div>
+
+      <div className="bg-white rounded-lg shadow-sm p-6 md:p-8 border border-slate-200">
+        <form onSubmit={handleSubmit(onSubmit)} className="space-y-6">
+          {error && <ErrorMessage message={error} />}
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            <div>
+              <label htmlFor="code" className="block text-sm font-medium text-slate-700 mb-1">
+                Code <span className="text-red-500">*</span>
+              </label>
+              <input
+                type="text"
+                id="code"
+                {...register('code')}
+                className={`${inputClass(errors.code)} uppercase`}
+                placeholder="e.g., MESKEL15"
+              />
+              {errors.code && <p className="text-red-600 text-xs mt-1">{errors.code.message}</p>}
+            </div>
+            <div className="flex items-end">
+              <label className="flex items-center gap-2 text-sm text-slate-700">
+                <input type="checkbox" {...register('isActive')} className="rounded border-slate-300" />
+                Active
+              </label>
+            </div>
+
+            <div className="md:col-span-2">
+              <label htmlFor="description" className="block text-sm font-medium text-slate-700 mb-1">
+                Description
+              </label>
+              <input
+                type="text"
+                id="description"
+                {...register('description')}
+                className={inputClass(errors.description)}
+                placeholder="Shown to shoppers, e.g. 15% off for Meskel"
+              />
+            </div>
+
+            <div>
+              <label htmlFor="discountType" className="block text-sm font-medium text-slate-700 mb-1">
+                Discount Type <span className="text-red-500">*</span>
+              </label>
+              <select id="discountType" {...register('discountType')} className={inputClass(errors.discountType)}>
+                <option value="percentage">Percentage (%)</option>
+                <option value="fixed">Fixed amount (ETB)</option>
+              </select>
+            </div>
+            <div>
+              <label htmlFor="discountValue" className="block text-sm font-medium text-slate-700 mb-1">
+                {discountType === 'percentage' ? 'Percentage Off' : 'Amount Off (ETB)'} <span className="text-red-500">*</span>
+              </label>
+              <input
+                type="number"
+                step="0.01"
+                id="discountValue"
+                {...register('discountValue')}
+                className={inputClass(errors.discountValue)}
+              />
+              {errors.discountValue && <p className="text-red-600 text-xs mt-1">{errors.discountValue.message}</p>}
+            </div>
+
+            <div>
+              <label htmlFor="minSpend" className="block text-sm font-medium text-slate-700 mb-1">
+                Minimum Spend (ETB)
+              </label>
+              <input type="number" step="0.01" id="minSpend" {...register('minSpend')} className={inputClass(errors.minSpend)} />
+              {errors.minSpend && <p className="text-red-600 text-xs mt-1">{errors.minSpend.message}</p>}
+            </div>
+            <div />
+
+            <div>
+              <label htmlFor="startsAt" className="block text-sm font-medium text-slate-700 mb-1">Starts At</label>
+              <input type="datetime-local" id="startsAt" {...register('startsAt')} className={inputClass(errors.startsAt)} />
+            </div>
+            <div>
+              <label htmlFor="expiresAt" className="block text-sm font-medium text-slate-700 mb-1">Expires At</label>
+              <input type="datetime-local" id="expiresAt" {...register('expiresAt')} className={inputClass(errors.expiresAt)} />
+              {errors.expiresAt && <p className="text-red-600 text-xs mt-1">{errors.expiresAt.message}</p>}
+            </div>
+
+            <div>
+              <label htmlFor="usageLimit" className="block text-sm font-medium text-slate-700 mb-1">
+                Total Usage Limit
+              </label>
+              <input
+                type="number"
+                id="usageLimit"
+                {...register('usageLimit')}
+                className={inputClass(errors.usageLimit)}
+                placeholder="Unlimited"
+              />
+              {errors.usageLimit && <p className="text-red-600 text-xs mt-1">{errors.usageLimit.message}</p>}
+            </div>
+            <div>
+              <label htmlFor="perUserLimit" className="block text-sm font-medium text-slate-700 mb-1">
+                Uses Per Customer
+              </label>
+              <input
+                type="number"
+                id="perUserLimit"
+                {...register('perUserLimit')}
+                className={inputClass(errors.perUserLimit)}
+                placeholder="Unlimited"
+              />
+              {errors.perUserLimit && <p className="text-red-600 text-xs mt-1">{errors.perUserLimit.message}</p>}
+            </div>
+
+            <ScopeList
+              title="Limit to Categories"
+              hint="Leave empty to apply to every category."
+              options={scopeOptions.categories}
+              selected={categoryIds}
+              onToggle={toggleId(setCategoryIds)}
+            />
+            <ScopeList
+              title="Limit to Collections"
+              hint="Leave empty for no collection restriction."
+              options={scopeOptions.collections}
+              selected={collectionIds}
+              onToggle={toggleId(setCollectionIds)}
+            />
+          </div>
+
+          <div className="flex justify-end gap-3 pt-6 border-t border-slate-100">
+            <Link
+              to="/admin/coupons"
+              className="px-5 py-2 border border-slate-200 rounded-md text-sm text-slate-700 hover:bg-slate-50 transition-colors"
+            >
+              Cancel
+            </Link>
+            <button
+              type="submit"
+              disabled={saving}
+              className={`px-5 py-2 rounded-md text-sm text-white flex items-center gap-2 ${
+                saving ? 'bg-slate-400 cursor-not-allowed' : 'bg-slate-900 hover:bg-slate-800'
+              } transition-colors`}
+            >
+              {saving ? <Spinner size="sm" /> : <FiSave size={16} />}
+              {isEditMode ? 'Update Coupon' : 'Create Coupon'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default AdminCouponAddEditPage;
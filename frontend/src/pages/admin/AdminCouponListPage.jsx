@@ -0,0 +1,241 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import Spinner from '../../components/common/Spinner';
+import ErrorMessage from '../../components/common/ErrorMessage';
+import { FiEdit2, FiTrash2, FiPlus, FiSearch, FiAlertCircle } from 'react-icons/fi';
+import { Helmet } from 'react-helmet';
+import Pagination from '../../components/common/Pagination';
+import toast from 'react-hot-toast';
+import { fetchAdminCoupons, deleteAdminCoupon } from '../../services/couponApi';
+
+const formatDiscount = (coupon) =>
+  coupon.discount_type === 'percentage'
+    ? `${Number(coupon.discount_value)}%`
+    : `ETB ${Number(coupon.discount_value).toFixed(2)}`;
+
+const getCouponStatus = (coupon) => {
+  const now = new Date();
+  if (!coupon.is_active) return { label: 'Inactive', className: 'bg-slate-100 text-slate-600' };
+  if (coupon.expires_at && new Date(coupon.expires_at) <= now) return { label: 'Expired', className: 'bg-red-50 text-red-700' };
+  if (coupon.starts_at && new Date(coupon.starts_at) > now) return { label: 'Scheduled', className: 'bg-amber-50 text-amber-700' };
+  if (coupon.usage_limit && coupon.times_used >= coupon.usage_limit) return { label: 'Used up', className: 'bg-slate-100 text-slate-600' };
+  return { label: 'Active', className: 'bg-green-50 text-green-700' };
+};
+
+const AdminCouponListPage = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const currentPage = parseInt(searchParams.get('page') || '1', 10);
+  const currentSearch = searchParams.get('search') || '';
+  const [searchTerm, setSearchTerm] = useState(currentSearch);
+
+  const [coupons, setCoupons] = useState([]);
+  const [totalPages, setTotalPages] = useState(1);
+  const [totalCoupons, setTotalCoupons] = useState(0);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [deletingId, setDeletingId] = useState(null);
+
+  useEffect(() => {
+    const handler = setTimeout(() => {
+      setSearchParams((prev) => {
+        const newParams = new URLSearchParams(prev);
+        if (searchTerm) {
+          newParams.set('search', searchTerm);
+        } else {
+          newParams.delete('search');
+        }
+        newParams.set('page', '1');
+        return newParams;
+      }, { replace: true });
+    }, 500);
+    return () => clearTimeout(handler);
+  }, [searchTerm, setSearchParams]);
+
+  const loadCoupons = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await fetchAdminCoupons({
+        page: currentPage,
+        limit: 10,
+        search: currentSearch || undefined,
+      });
+      setCoupons(response.data || []);
+      setTotalPages(response.totalPages || 1);
+      setTotalCoupons(response.count || 0);
+    } catch (err) {
+      setError(err.message || 'Failed to load coupons.');
+    } finally {
+      setLoading(false);
+    }
+  }, [currentPage, currentSearch]);
+
+  useEffect(() => {
+    loadCoupons();
+  }, [loadCoupons]);
+
+  const handleDelete = async (coupon) => {
+    if (window.confirm(`Are you sure you want to delete "${coupon.code}"? This cannot be undone.`)) {
+      setDeletingId(coupon.id);
+      try {
+        await deleteAdminCoupon(coupon.id);
+        toast.success(`Coupon "${coupon.code}" deleted successfully!`);
+        loadCoupons();
+      } catch (err) {
+        toast.error(err.message || 'Failed to delete coupon.');
+      } finally {
+        setDeletingId(null);
+      }
+    }
+  };
+
+  const handlePageChange = (newPage) => {
+    if (newPage >= 1) {
+      setSearchParams((prev) => {
+        const newParams = new URLSearchParams(prev);
+        newParams.set('page', newPage.toString());
+        return newParams;
+      }, { replace: true });
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <Helmet>
+        <title>Admin Coupons | SuriAddis</title>
+        <meta name="description" content="Admin: View and manage promo codes in the SuriAddis store." />
+      </Helmet>
+      <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4">
+        <div>
+          <h1 className="text-2xl font-semibold text-slate-900">Coupons</h1>
+          <p className="text-slate-500 mt-1">
+            {loading ? 'Loading coupons...' : `${totalCoupons} coupon${totalCoupons !== 1 ? 's' : ''} found`}
+          </p>
+        </div>
+        <Link
+          to="/admin/coupons/new"
+          className="flex items-center justify-center gap-2 px-4 py-2 rounded-md bg-slate-900 text-white hover:bg-slate-800 text-sm whitespace-nowrap"
+        >
+          <FiPlus size={16} />
+          Add Coupon
+        </Link>
+      </div>
+
+      <div className="relative max-w-md">
+        <FiSearch className="absolute left-3 top-1/2 -translate-y-1/2 h-4 w-4 text-slate-500 pointer-events-none" />
+        <input
+          type="search"
+          placeholder="Search by code..."
+          className="w-full pl-9 pr-4 py-2 border border-slate-200 rounded-lg focus:outline-none focus:ring-1 focus:ring-slate-400 focus:border-slate-400 text-sm"
+          value={searchTerm}
+          onChange={(e) => setSearchTerm(e.target.value)}
+        />
+      </div>
+
+      {error && <ErrorMessage message={error} />}
+
+      <div className="bg-white rounded-lg shadow-sm border border-slate-200 overflow-hidden">
+        {loading && coupons.length === 0 ? (
+          <div className="flex justify-center items-center p-12 min-h-[200px]">
+            <Spinner />
+          </div>
+        ) : !loading && coupons.length === 0 ? (
+          <div className="text-center p-12 text-slate-500">
+            <FiAlertCircle className="mx-auto h-10 w-10 text-slate-400 mb-4" />
+            <p className="font-medium">No coupons found</p>
+            {currentSearch && <p className="text-sm mt-1">Try adjusting your search.</p>}
+            {!currentSearch && (
+              <Link
+                to="/admin/coupons/new"
+                className="mt-4 inline-flex items-center gap-2 px-4 py-2 rounded-md bg-slate-900 text-white hover:bg-slate-800 text-sm"
+              >
+                <FiPlus size={16} />
+                Add First Coupon
+              </Link>
+            )}
+          </div>
+        ) : (
+          <>
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-slate-100">
+                <thead className="bg-slate-50">
+                  <tr>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-slate-500 uppercase tracking-wider">Code</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-slate-500 uppercase tracking-wider">Discount</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-slate-500 uppercase tracking-wider hidden md:table-cell">Min Spend</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-slate-500 uppercase tracking-wider hidden md:table-cell">Used</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-slate-500 uppercase tracking-wider hidden lg:table-cell">Expires</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-slate-500 uppercase tracking-wider">Status</th>
+                    <th className="px-6 py-3 text-right text-xs font-medium text-slate-500 uppercase tracking-wider">Actions</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-slate-100">
+                  {coupons.map((coupon) => {
+                    const status = getCouponStatus(coupon);
+                    return (
+                      <tr key={coupon.id} className="hover:bg-slate-50 transition-colors">
+                        <td className="px-6 py-4 whitespace-nowrap">
+                          <div className="text-sm font-mono font-medium text-slate-900">{coupon.code}</div>
+                          {coupon.description && (
+                            <div className="text-xs text-slate-500 mt-1 line-clamp-1">{coupon.description}</div>
+                          )}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-slate-700">{formatDiscount(coupon)}</td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-slate-500 hidden md:table-cell">
+                          {Number(coupon.min_spend) > 0 ? `ETB ${Number(coupon.min_spend).toFixed(2)}` : '—'}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-slate-500 hidden md:table-cell">
+                          {coupon.times_used}{coupon.usage_limit ? ` / ${coupon.usage_limit}` : ''}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-slate-500 hidden lg:table-cell">
+                          {coupon.expires_at ? new Date(coupon.expires_at).toLocaleDateString() : 'Never'}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap">
+                          <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${status.className}`}>
+                            {status.label}
+                          </span>
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-right">
+                          <div className="flex items-center justify-end gap-4">
+                            <Link
+                              to={`/admin/coupons/edit/${coupon.id}`}
+                              className="text-slate-600 hover:text-slate-900 transition-colors"
+                              title="Edit"
+                            >
+                              <FiEdit2 size={16} />
+                            </Link>
+                            <button
+                              onClick={() => handleDelete(coupon)}
+                              disabled={deletingId === coupon.id || loading}
+                              className={`text-slate-600 hover:text-red-600 transition-colors ${
+                                deletingId === coupon.id || loading ? 'opacity-50 cursor-not-allowed' : ''
+                              }`}
+                              title="Delete"
+                            >
+                              {deletingId === coupon.id ? <Spinner size="xs" /> : <FiTrash2 size={16} />}
+                            </button>
+                          </div>
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+            {totalPages > 1 && (
+              <div className="px-4 py-4 sm:px-6 border-t border-slate-100">
+                <Pagination
+                  currentPage={currentPage}
+                  totalPages={totalPages}
+                  onPageChange={handlePageChange}
+                />
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AdminCouponListPage;
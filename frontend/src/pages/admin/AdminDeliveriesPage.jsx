@@ -0,0 +1,391 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { Helmet } from 'react-helmet';
+import toast from 'react-hot-toast';
+import { FiEdit2, FiTrash2, FiPlus, FiNavigation, FiUsers } from 'react-icons/fi';
+import Spinner from '../../components/common/Spinner';
+import ErrorMessage from '../../components/common/ErrorMessage';
+import {
+  fetchAdminDeliveries,
+  fetchAdminRiders,
+  saveAdminRider,
+  deleteAdminRider,
+  assignDelivery,
+} from '../../services/deliveryApi';
+import { DELIVERY_STATUS_LABELS, RIDER_VEHICLE_LABELS, getDeliveryStatusBadgeClass } from '../../utils/delivery';
+import { formatDeliveryWindow } from '../../utils/shipping';
+import { formatEthiopianPhone } from '../../utils/phone';
+import { formatETB } from '../../utils/utils';
+
+const emptyRider = () => ({ email: '', fullName: '', phone: '', vehicle: 'motorbike', notes: '', isActive: true });
+
+const inputClass =
+  'block w-full px-4 py-2 border border-slate-200 rounded-lg focus:outline-none focus:ring-1 focus:ring-slate-400 focus:border-slate-400 text-sm';
+const labelClass = 'block text-sm font-medium text-slate-700 mb-1';
+const thClass = 'px-6 py-3 text-left text-xs font-medium text-slate-500 uppercase tracking-wider';
+const tdClass = 'px-6 py-4 text-sm text-slate-700';
+
+const AdminDeliveriesPage = () => {
+  const [orders, setOrders] = useState([]);
+  const [riders, setRiders] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [assigningId, setAssigningId] = useState(null);
+  // null, or the rider being added/edited: { id: null | string, values }
+  const [editor, setEditor] = useState(null);
+  const [editorError, setEditorError] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [deletingId, setDeletingId] = useState(null);
+
+  const loadDispatch = async () => {
+    try {
+      const [ordersResponse, ridersResponse] = await Promise.all([fetchAdminDeliveries(), fetchAdminRiders()]);
+      setOrders(ordersResponse.data || []);
+      setRiders(ridersResponse.data || []);
+      setError(null);
+    } catch (err) {
+      setError(err.message || 'Failed to load deliveries.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadDispatch();
+  }, []);
+
+  const activeRiders = riders.filter(rider => rider.is_active);
+
+  const handleAssign = async (order, riderId) => {
+    if (!riderId) return;
+    setAssigningId(order.id);
+    try {
+      await assignDelivery(order.id, riderId);
+      toast.success(`Order #${order.id.slice(0, 8)} assigned`);
+      await loadDispatch();
+    } catch (err) {
+      toast.error(err.message || 'Failed to assign the rider.');
+    } finally {
+      setAssigningId(null);
+    }
+  };
+
+  const openEditor = (rider = null) => {
+    setEditor({
+      id: rider?.id || null,
+      values: rider
+        ? {
+            fullName: rider.full_name,
+            phone: rider.phone,
+            vehicle: rider.vehicle,
+            notes: rider.notes || '',
+            isActive: rider.is_active,
+          }
+        : emptyRider(),
+    });
+    setEditorError(null);
+  };
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setEditor(prev => ({ ...prev, values: { ...prev.values, [name]: type === 'checkbox' ? checked : value } }));
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setEditorError(null);
+    setSaving(true);
+    try {
+      await saveAdminRider(editor.id, editor.values);
+      toast.success(editor.id ? 'Rider updated' : 'Rider added. They need to sign in again to see their deliveries.');
+      setEditor(null);
+      await loadDispatch();
+    } catch (err) {
+      setEditorError(err.message || 'Could not save the rider.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (rider) => {
+    if (!window.confirm(`Remove ${rider.full_name} as a rider? Their account stays, without the rider role.`)) return;
+    setDeletingId(rider.id);
+    try {
+      await deleteAdminRider(rider.id);
+      toast.success('Rider removed');
+      if (editor?.id === rider.id) setEditor(null);
+      await loadDispatch();
+    } catch (err) {
+      toast.error(err.message || 'Failed to remove the rider.');
+    } finally {
+      setDeletingId(null);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center h-64">
+        <Spinner />
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <Helmet>
+        <title>Admin Deliveries | SuriAddis</title>
+        <meta name="description" content="Admin: Dispatch shipped orders to delivery riders in the SuriAddis store." />
+      </Helmet>
+      <div>
+        <h1 className="text-2xl font-semibold text-slate-900">Deliveries</h1>
+        <p className="text-slate-500 mt-1">
+          Shipped orders go to a rider, who confirms the handover in the admin app with the customer&apos;s code, a photo or a signature.
+        </p>
+      </div>
+
+      {error && <ErrorMessage message={error} />}
+
+      <div className="bg-white rounded-lg shadow-sm border border-slate-200 overflow-hidden">
+        <div className="p-6 border-b border-slate-100 flex items-start gap-4">
+          <FiNavigation className="h-6 w-6 text-slate-500 mt-1 flex-shrink-0" />
+          <div>
+            <h2 className="text-lg font-semibold text-slate-900">Dispatch</h2>
+            <p className="text-sm text-slate-500 mt-1">Shipped orders waiting for or out with a rider, oldest first. Pickup orders are not listed.</p>
+          </div>
+        </div>
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-slate-100">
+            <thead className="bg-slate-50">
+              <tr>
+                <th className={thClass}>Order</th>
+                <th className={thClass}>Deliver To</th>
+                <th className={`${thClass} hidden md:table-cell`}>Payment</th>
+                <th className={thClass}>Rider</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-slate-100">
+              {orders.map(order => {
+                const address = order.shippingAddress || {};
+                const { delivery } = order;
+                const collectCash = order.payment_method === 'cod' && order.payment_status !== 'paid';
+                return (
+                  <tr key={order.id}>
+                    <td className={tdClass}>
+                      <Link to={`/admin/orders/${order.id}`} className="font-medium text-slate-900 hover:underline">
+                        #{order.id.slice(0, 8)}
+                      </Link>
+                      <span className="block text-xs text-slate-500">
+                        {order.shipped_at ? `Shipped ${new Date(order.shipped_at).toLocaleDateString()}` : 'Shipped'}
+                        {order.estimated_delivery_start && ` · due ${formatDeliveryWindow(order.estimated_delivery_start, order.estimated_delivery_end)}`}
+                      </span>
+                    </td>
+                    <td className={tdClass}>
+                      {`${address.firstName || ''} ${address.lastName || ''}`.trim() || 'N/A'}
+                      <span className="block text-xs text-slate-500">
+                        {[address.subCity, address.city].filter(Boolean).join(', ')}
+                        {address.phone && ` · ${formatEthiopianPhone(address.phone)}`}
+                      </span>
+                    </td>
+                    <td className={`${tdClass} hidden md:table-cell`}>
+                      {collectCash ? (
+                        <span className="text-amber-700">Collect {formatETB(order.totalAmount)}</span>
+                      ) : (
+                        <span className="text-slate-500">Paid</span>
+                      )}
+                    </td>
+                    <td className={tdClass}>
+                      {delivery && (
+                        <div className="mb-2">
+                          <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${getDeliveryStatusBadgeClass(delivery.status)}`}>
+                            {DELIVERY_STATUS_LABELS[delivery.status] || delivery.status}
+                          </span>
+                          <span className="ml-2 text-slate-900">{delivery.rider?.full_name}</span>
+                          {delivery.status === 'failed' && delivery.failure_reason && (
+                            <span className="block text-xs text-red-600 mt-1">{delivery.failure_reason}</span>
+                          )}
+                        </div>
+                      )}
+                      {delivery?.status !== 'out_for_delivery' && (
+                        <div className="flex items-center gap-2">
+                          <select
+                            value=""
+                            onChange={(e) => handleAssign(order, e.target.value)}
+                            disabled={assigningId === order.id || activeRiders.length === 0}
+                            className="block w-full max-w-[14rem] px-3 py-1.5 border border-slate-200 rounded-lg focus:outline-none focus:ring-1 focus:ring-slate-400 text-sm bg-white"
+                          >
+                            <option value="">
+                              {activeRiders.length === 0 ? 'No active riders' : delivery ? 'Reassign to…' : 'Assign to…'}
+                            </option>
+                            {activeRiders.map(rider => (
+                              <option key={rider.id} value={rider.id}>
+                                {rider.full_name} ({rider.open_deliveries} open)
+                              </option>
+                            ))}
+                          </select>
+                          {assigningId === order.id && <Spinner size="xs" />}
+                        </div>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+          {orders.length === 0 && <p className="p-6 text-sm text-slate-500">No shipped orders are waiting for delivery.</p>}
+        </div>
+      </div>
+
+      <div className="bg-white rounded-lg shadow-sm border border-slate-200 overflow-hidden">
+        <div className="p-6 border-b border-slate-100 flex flex-col sm:flex-row sm:items-start justify-between gap-4">
+          <div className="flex items-start gap-4">
+            <FiUsers className="h-6 w-6 text-slate-500 mt-1 flex-shrink-0" />
+            <div>
+              <h2 className="text-lg font-semibold text-slate-900">Riders</h2>
+              <p className="text-sm text-slate-500 mt-1">
+                Riders sign up like any customer; adding them here gives their account the rider role.
+              </p>
+            </div>
+          </div>
+          <button
+            type="button"
+            onClick={() => openEditor()}
+            className="flex items-center justify-center gap-2 px-4 py-2 rounded-md bg-slate-900 text-white hover:bg-slate-800 text-sm whitespace-nowrap"
+          >
+            <FiPlus size={16} />
+            Add Rider
+          </button>
+        </div>
+
+        {editor && (
+          <form onSubmit={handleSave} className="p-6 border-b border-slate-100 bg-slate-50 space-y-4">
+            <h3 className="text-sm font-semibold text-slate-900">{editor.id ? 'Edit rider' : 'New rider'}</h3>
+            {editorError && <ErrorMessage message={editorError} />}
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              {!editor.id && (
+                <div className="md:col-span-2">
+                  <label htmlFor="rider-email" className={labelClass}>Account email *</label>
+                  <input
+                    id="rider-email"
+                    type="email"
+                    name="email"
+                    value={editor.values.email}
+                    onChange={handleChange}
+                    className={inputClass}
+                    required
+                  />
+                </div>
+              )}
+              <div>
+                <label htmlFor="rider-name" className={labelClass}>Full name *</label>
+                <input id="rider-name" name="fullName" value={editor.values.fullName} onChange={handleChange} className={inputClass} required />
+              </div>
+              <div>
+                <label htmlFor="rider-phone" className={labelClass}>Phone *</label>
+                <input
+                  id="rider-phone"
+                  type="tel"
+                  name="phone"
+                  value={editor.values.phone}
+                  onChange={handleChange}
+                  placeholder="0911 234 567"
+                  className={inputClass}
+                  required
+                />
+              </div>
+              <div>
+                <label htmlFor="rider-vehicle" className={labelClass}>Vehicle</label>
+                <select id="rider-vehicle" name="vehicle" value={editor.values.vehicle} onChange={handleChange} className={inputClass}>
+                  {Object.entries(RIDER_VEHICLE_LABELS).map(([vehicle, label]) => <option key={vehicle} value={vehicle}>{label}</option>)}
+                </select>
+              </div>
+              <div>
+                <label htmlFor="rider-notes" className={labelClass}>Notes</label>
+                <input
+                  id="rider-notes"
+                  name="notes"
+                  value={editor.values.notes}
+                  onChange={handleChange}
+                  placeholder="e.g. covers Bole and Yeka"
+                  className={inputClass}
+                />
+              </div>
+              <label className="flex items-center gap-2 text-sm text-slate-700">
+                <input type="checkbox" name="isActive" checked={editor.values.isActive} onChange={handleChange} className="rounded border-slate-300" />
+                Active (can be assigned deliveries)
+              </label>
+            </div>
+            <div className="flex gap-3">
+              <button
+                type="submit"
+                disabled={saving}
+                className="flex items-center gap-2 px-4 py-2 rounded-md bg-slate-900 text-white hover:bg-slate-800 text-sm disabled:opacity-50"
+              >
+                {saving && <Spinner size="xs" />}
+                Save
+              </button>
+              <button
+                type="button"
+                onClick={() => setEditor(null)}
+                className="px-4 py-2 rounded-md border border-slate-200 text-slate-700 hover:bg-slate-100 text-sm"
+              >
+                Cancel
+              </button>
+            </div>
+          </form>
+        )}
+
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-slate-100">
+            <thead className="bg-slate-50">
+              <tr>
+                <th className={thClass}>Rider</th>
+                <th className={`${thClass} hidden md:table-cell`}>Vehicle</th>
+                <th className={thClass}>Deliveries</th>
+                <th className={thClass}>Status</th>
+                <th className={`${thClass} text-right`}>Actions</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-slate-100">
+              {riders.map(rider => (
+                <tr key={rider.id}>
+                  <td className={`${tdClass} font-medium text-slate-900`}>
+                    {rider.full_name}
+                    <span className="block text-xs font-normal text-slate-500">{formatEthiopianPhone(rider.phone)}</span>
+                  </td>
+                  <td className={`${tdClass} hidden md:table-cell`}>{RIDER_VEHICLE_LABELS[rider.vehicle] || rider.vehicle}</td>
+                  <td className={tdClass}>
+                    {rider.open_deliveries} open · {rider.completed_deliveries} delivered
+                  </td>
+                  <td className={tdClass}>
+                    <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${rider.is_active ? 'bg-green-50 text-green-700' : 'bg-slate-100 text-slate-600'}`}>
+                      {rider.is_active ? 'Active' : 'Inactive'}
+                    </span>
+                  </td>
+                  <td className={tdClass}>
+                    <div className="flex items-center justify-end gap-4">
+                      <button type="button" onClick={() => openEditor(rider)} className="text-slate-600 hover:text-slate-900 transition-colors" title="Edit">
+                        <FiEdit2 size={16} />
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => handleDelete(rider)}
+                        disabled={deletingId === rider.id}
+                        className={`text-slate-600 hover:text-red-600 transition-colors ${deletingId === rider.id ? 'opacity-50 cursor-not-allowed' : ''}`}
+                        title="Remove"
+                      >
+                        {deletingId === rider.id ? <Spinner size="xs" /> : <FiTrash2 size={16} />}
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {riders.length === 0 && <p className="p-6 text-sm text-slate-500">No riders yet.</p>}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AdminDeliveriesPage;
@@ -1,13 +1,18 @@
-import React from 'react';
-import { FiDollarSign, FiAlertTriangle } from 'react-icons/fi';
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import { FiDollarSign, FiAlertTriangle, FiRotateCcw } from 'react-icons/fi';
+import Spinner from '../../components/common/Spinner';
+import ErrorMessage from '../../components/common/ErrorMessage';
+import Pagination from '../../components/common/Pagination';
 import { formatETB } from '../../utils/utils';
+import { fetchAdminRefunds, completeAdminRefund } from '../../services/returnApi';
 
 const mockFinanceData = {
   totalRevenue: 128450,
   totalPayouts: 102300,
   pendingPayouts: 16200,
   totalOrders: 3879,
-  refunds: 3200,
   expenses: 18500,
   netProfit: 106750,
   lastPayoutDate: '2025-04-28',
@@ -22,7 +27,55 @@ const FinanceStat = ({ label, value, icon: Icon, color }) => (
   </div>
 );
 
+const REFUND_REASON_LABELS = {
+  cancellation: 'Cancelled order',
+  return: 'Return',
+  late_payment: 'Payment after cancellation',
+};
+
 const FinancePage = () => {
+  const [refunds, setRefunds] = useState([]);
+  const [refundTotals, setRefundTotals] = useState({ pending: 0, completed: 0 });
+  const [refundStatus, setRefundStatus] = useState('pending');
+  const [refundPage, setRefundPage] = useState(1);
+  const [refundPages, setRefundPages] = useState(1);
+  const [refundsLoading, setRefundsLoading] = useState(false);
+  const [refundsError, setRefundsError] = useState(null);
+  const [references, setReferences] = useState({});
+  const [completingId, setCompletingId] = useState(null);
+
+  const loadRefunds = useCallback(async () => {
+    setRefundsLoading(true);
+    setRefundsError(null);
+    try {
+      const response = await fetchAdminRefunds({ status: refundStatus || undefined, page: refundPage, limit: 10 });
+      setRefunds(response.data || []);
+      setRefundTotals(response.totals || { pending: 0, completed: 0 });
+      setRefundPages(response.totalPages || 1);
+    } catch (err) {
+      setRefundsError(err.message || 'Failed to load refunds.');
+    } finally {
+      setRefundsLoading(false);
+    }
+  }, [refundStatus, refundPage]);
+
+  useEffect(() => {
+    loadRefunds();
+  }, [loadRefunds]);
+
+  const handleCompleteRefund = async (refund) => {
+    setCompletingId(refund.id);
+    try {
+      await completeAdminRefund(refund.id, references[refund.id] || undefined);
+      toast.success(`Refund of ${formatETB(refund.amount)} marked as sent.`);
+      await loadRefunds();
+    } catch (err) {
+      toast.error(err.message || 'Could not update this refund.');
+    } finally {
+      setCompletingId(null);
+    }
+  };
+
   return (
     <div className="space-y-8">
       <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4">
@@ -49,11 +102,96 @@ const FinancePage = () => {
           <h2 className="text-lg font-semibold mb-4 text-slate-900">Other Financials</h2>
           <ul className="text-sm text-slate-700 space-y-2">
             <li>Total Orders: <span className="font-medium">{mockFinanceData.totalOrders}</span></li>
-            <li>Refunds: <span className="font-medium">{formatETB(mockFinanceData.refunds)}</span></li>
+            <li>Refunds paid out: <span className="font-medium">{formatETB(refundTotals.completed)}</span></li>
+            <li>Refunds owed: <span className="font-medium">{formatETB(refundTotals.pending)}</span></li>
             <li>Expenses: <span className="font-medium">{formatETB(mockFinanceData.expenses)}</span></li>
           </ul>
         </div>
       </div>
+      <div className="bg-white rounded-xl shadow-sm border border-slate-200">
+        <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-3 p-6 border-b border-slate-100">
+          <h2 className="text-lg font-semibold text-slate-900 flex items-center gap-2">
+            <FiRotateCcw className="h-5 w-5" /> Refunds
+          </h2>
+          <select
+            value={refundStatus}
+            onChange={(e) => { setRefundStatus(e.target.value); setRefundPage(1); }}
+            className="px-3 py-2 border border-slate-200 rounded-lg focus:outline-none focus:ring-1 focus:ring-slate-400 text-sm bg-white"
+          >
+            <option value="pending">Owed</option>
+            <option value="completed">Paid out</option>
+            <option value="">All</option>
+          </select>
+        </div>
+        {refundsError && <div className="p-6"><ErrorMessage message={refundsError} /></div>}
+        {refundsLoading && refunds.length === 0 ? (
+          <div className="flex justify-center p-12"><Spinner /></div>
+        ) : refunds.length === 0 ? (
+          <p className="p-6 text-sm text-slate-500">No refunds here.</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-slate-100 text-sm">
+              <thead className="bg-slate-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-slate-500 uppercase tracking-wider">Order</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-slate-500 uppercase tracking-wider">Reason</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-slate-500 uppercase tracking-wider">Payment</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-slate-500 uppercase tracking-wider">Amount</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-slate-500 uppercase tracking-wider">Requested</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-slate-500 uppercase tracking-wider">Status</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-slate-100">
+                {refunds.map(refund => (
+                  <tr key={refund.id}>
+                    <td className="px-6 py-4">
+                      <Link to={`/admin/orders/${refund.order_id}`} className="text-slate-900 hover:underline">
+                        #{refund.order_id.slice(0, 8)}
+                      </Link>
+                    </td>
+                    <td className="px-6 py-4 text-slate-700">{REFUND_REASON_LABELS[refund.reason] || refund.reason}</td>
+                    <td className="px-6 py-4 text-slate-700">{refund.orders?.payment_method?.toUpperCase() || '—'}</td>
+                    <td className="px-6 py-4 text-right font-medium text-slate-900">{formatETB(refund.amount)}</td>
+                    <td className="px-6 py-4 text-slate-500">{new Date(refund.created_at).toLocaleDateString()}</td>
+                    <td className="px-6 py-4">
+                      {refund.status === 'completed' ? (
+                        <span className="text-xs text-emerald-700">
+                          Sent {refund.processed_at ? new Date(refund.processed_at).toLocaleDateString() : ''}
+                          {refund.reference && <span className="block font-mono text-slate-500">{refund.reference}</span>}
+                        </span>
+                      ) : (
+                        <div className="flex items-center gap-2">
+                          <input
+                            type="text"
+                            value={references[refund.id] || ''}
+                            onChange={(e) => setReferences(prev => ({ ...prev, [refund.id]: e.target.value }))}
+                            placeholder="Reference"
+                            className="w-28 px-2 py-1 border border-slate-200 rounded-md text-xs focus:outline-none focus:ring-1 focus:ring-slate-400"
+                          />
+                          <button
+                            type="button"
+                            onClick={() => handleCompleteRefund(refund)}
+                            disabled={completingId === refund.id}
+                            className="inline-flex items-center gap-1 px-3 py-1 rounded-md bg-slate-900 text-white text-xs hover:bg-slate-800 disabled:bg-slate-400"
+                          >
+                            {completingId === refund.id && <Spinner size="sm" />}
+                            Mark sent
+                          </button>
+                        </div>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+        {refundPages > 1 && (
+          <div className="p-4 border-t border-slate-100">
+            <Pagination currentPage={refundPage} totalPages={refundPages} onPageChange={setRefundPage} />
+          </div>
+        )}
+      </div>
     </div>
   );
 };
@@ -0,0 +1,591 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { useDispatch, useSelector } from 'react-redux';
+import { Helmet } from 'react-helmet';
+import toast from 'react-hot-toast';
+import { FiArrowLeft, FiMail, FiMessageSquare, FiPhone } from 'react-icons/fi';
+import {
+  fetchAdminOrderDetail,
+  updateOrderStatus,
+  updateFulfillmentStatus,
+  selectCurrentOrder,
+  selectCurrentOrderLoading,
+  selectCurrentOrderError,
+} from '../../store/orderSlice';
+import Spinner from '../../components/common/Spinner';
+import ErrorMessage from '../../components/common/ErrorMessage';
+import OrderStatusTimeline from '../../components/orders/OrderStatusTimeline';
+import { formatETB } from '../../utils/utils';
+import {
+  getOrderStatusBadgeClass,
+  formatOrderStatus,
+  getNextOrderStatuses,
+  getNextFulfillmentStatuses,
+} from '../../utils/orderStatus';
+import { formatAddressLines } from '../../utils/addresses';
+import { formatDeliveryWindow, formatShippingFee } from '../../utils/shipping';
+import {
+  DELIVERY_PROOF_LABELS,
+  DELIVERY_STATUS_LABELS,
+  RIDER_VEHICLE_LABELS,
+  getDeliveryStatusBadgeClass,
+} from '../../utils/delivery';
+import { assignDelivery, fetchAdminRiders } from '../../services/deliveryApi';
+
+const ADMIN_ACTOR_LABELS = {
+  admin: 'by admin',
+  customer: 'by customer',
+  rider: 'by rider',
+  seller: 'by seller',
+  system: 'by system',
+};
+
+const NOTIFICATION_TEMPLATE_LABELS = {
+  order_placed: 'Order confirmation',
+  order_shipped: 'Shipped / out for delivery',
+  order_partially_shipped: 'Part of the order shipped',
+  order_delivered: 'Delivered',
+  delivery_code: 'Delivery code',
+};
+
+const NOTIFICATION_STATUS_CLASSES = {
+  sent: 'bg-green-100 text-green-800',
+  pending: 'bg-yellow-100 text-yellow-800',
+  sending: 'bg-blue-100 text-blue-800',
+  failed: 'bg-red-100 text-red-800',
+  skipped: 'bg-slate-100 text-slate-600',
+};
+
+// One store's part of the order, with its lines and a control to move it along
+const FulfillmentRow = ({ orderId, fulfillment, items }) => {
+  const dispatch = useDispatch();
+  const [status, setStatus] = useState('');
+  const [carrier, setCarrier] = useState('');
+  const [trackingNumber, setTrackingNumber] = useState('');
+  const [updating, setUpdating] = useState(false);
+  const nextStatuses = getNextFulfillmentStatuses(fulfillment.status);
+
+  const handleUpdate = async (e) => {
+    e.preventDefault();
+    if (!status) return;
+    setUpdating(true);
+    try {
+      await dispatch(updateFulfillmentStatus({
+        orderId,
+        fulfillmentId: fulfillment.id,
+        status,
+        carrier: carrier || undefined,
+        trackingNumber: trackingNumber || undefined,
+      })).unwrap();
+      toast.success(`${fulfillment.store_name || 'Shipment'} marked as ${formatOrderStatus(status)}`);
+      setStatus('');
+      setCarrier('');
+      setTrackingNumber('');
+    } catch (err) {
+      toast.error(err?.message || err || 'Failed to update the shipment.');
+    } finally {
+      setUpdating(false);
+    }
+  };
+
+  return (
+    <li className="py-4 first:pt-0 last:pb-0 space-y-2 text-sm">
+      <div className="flex items-center justify-between gap-3">
+        <span className="font-medium text-slate-900">
+          {fulfillment.store_name || (fulfillment.seller_id ? 'Seller (inactive store)' : 'SuriAddis')}
+        </span>
+        <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${getOrderStatusBadgeClass(fulfillment.status)}`}>
+          {formatOrderStatus(fulfillment.status)}
+        </span>
+      </div>
+      <p className="text-slate-600">
+        {items.map(item => `${item.product?.name || item.productId} ×${item.quantity}`).join(', ') || 'No items'}
+      </p>
+      {(fulfillment.carrier || fulfillment.tracking_number) && (
+        <p className="text-slate-600">
+          {[fulfillment.carrier, fulfillment.tracking_number].filter(Boolean).join(' · ')}
+          {fulfillment.shipped_at && ` · shipped ${new Date(fulfillment.shipped_at).toLocaleString()}`}
+        </p>
+      )}
+      {fulfillment.note && <p className="text-slate-500">{fulfillment.note}</p>}
+      {nextStatuses.length > 0 && (
+        <form onSubmit={handleUpdate} className="flex flex-wrap gap-2">
+          <select
+            value={status}
+            onChange={(e) => setStatus(e.target.value)}
+            className="border border-slate-300 rounded-md px-2 py-1.5 text-sm"
+          >
+            <option value="">Move to…</option>
+            {nextStatuses.map(next => (
+              <option key={next} value={next}>{formatOrderStatus(next)}</option>
+            ))}
+          </select>
+          {status === 'shipped' && (
+            <>
+              <input
+                type="text"
+                value={carrier}
+                onChange={(e) => setCarrier(e.target.value)}
+                placeholder="Carrier"
+                className="border border-slate-300 rounded-md px-2 py-1.5 text-sm w-32"
+              />
+              <input
+                type="text"
+                value={trackingNumber}
+                onChange={(e) => setTrackingNumber(e.target.value)}
+                placeholder="Tracking number"
+                className="border border-slate-300 rounded-md px-2 py-1.5 text-sm w-40"
+              />
+            </>
+          )}
+          <button
+            type="submit"
+            disabled={!status || updating}
+            className="inline-flex items-center gap-2 px-3 py-1.5 rounded-md bg-slate-900 text-white text-sm font-medium hover:bg-slate-700 disabled:opacity-50"
+          >
+            {updating && <Spinner size="sm" />}
+            Update
+          </button>
+        </form>
+      )}
+    </li>
+  );
+};
+
+const AdminOrderDetailPage = () => {
+  const { orderId } = useParams();
+  const dispatch = useDispatch();
+  const order = useSelector(selectCurrentOrder);
+  const loading = useSelector(selectCurrentOrderLoading);
+  const error = useSelector(selectCurrentOrderError);
+
+  const [nextStatus, setNextStatus] = useState('');
+  const [note, setNote] = useState('');
+  const [carrier, setCarrier] = useState('');
+  const [trackingNumber, setTrackingNumber] = useState('');
+  const [updating, setUpdating] = useState(false);
+  const [riders, setRiders] = useState([]);
+  const [riderId, setRiderId] = useState('');
+  const [dispatchNote, setDispatchNote] = useState('');
+  const [assigning, setAssigning] = useState(false);
+
+  useEffect(() => {
+    dispatch(fetchAdminOrderDetail(orderId));
+  }, [dispatch, orderId]);
+
+  // Shipped orders that go out with a rider can be assigned from here
+  const canAssignRider = order?.id === orderId && order.status === 'shipped' && order.shipping_method?.kind !== 'pickup';
+  useEffect(() => {
+    if (!canAssignRider) return;
+    fetchAdminRiders()
+      .then(res => setRiders((res.data || []).filter(rider => rider.is_active)))
+      .catch(err => toast.error(err.message || 'Could not load riders.'));
+  }, [canAssignRider]);
+
+  const nextStatuses = getNextOrderStatuses(order?.status);
+
+  const handleStatusUpdate = async (e) => {
+    e.preventDefault();
+    if (!nextStatus) return;
+    setUpdating(true);
+    try {
+      await dispatch(updateOrderStatus({
+        orderId,
+        status: nextStatus,
+        note: note || undefined,
+        carrier: carrier || undefined,
+        trackingNumber: trackingNumber || undefined,
+      })).unwrap();
+      toast.success(`Order marked as ${formatOrderStatus(nextStatus)}`);
+      setNextStatus('');
+      setNote('');
+      setCarrier('');
+      setTrackingNumber('');
+    } catch (err) {
+      toast.error(err?.message || err || 'Failed to update order status.');
+    } finally {
+      setUpdating(false);
+    }
+  };
+
+  const handleAssignRider = async (e) => {
+    e.preventDefault();
+    if (!riderId) return;
+    setAssigning(true);
+    try {
+      await assignDelivery(orderId, riderId, dispatchNote || undefined);
+      toast.success('Rider assigned');
+      setRiderId('');
+      setDispatchNote('');
+      dispatch(fetchAdminOrderDetail(orderId));
+    } catch (err) {
+      toast.error(err.message || 'Failed to assign the rider.');
+    } finally {
+      setAssigning(false);
+    }
+  };
+
+  if (loading && !order) {
+    return (
+      <div className="flex justify-center items-center h-64">
+        <Spinner />
+      </div>
+    );
+  }
+
+  if (error && !order) {
+    return <ErrorMessage message={error} />;
+  }
+
+  if (!order) return null;
+
+  const address = order.shippingAddress || {};
+  const customerName = `${address.firstName || ''} ${address.lastName || ''}`.trim() || 'N/A';
+
+  return (
+    <div className="space-y-6">
+      <Helmet>
+        <title>Admin Order Detail | SuriAddis</title>
+        <meta name="description" content="Admin: View an order and manage its status in the SuriAddis store." />
+      </Helmet>
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-semibold text-slate-900">Order {order.order_number || `#${order.id.slice(0, 8)}`}</h1>
+          <p className="text-sm text-slate-500 mt-1">
+            Placed {new Date(order.created_at).toLocaleString()}
+          </p>
+        </div>
+        <Link
+          to="/admin/orders"
+          className="flex items-center gap-2 text-sm text-slate-600 hover:text-slate-900"
+        >
+          <FiArrowLeft size={16} />
+          Back to Orders
+        </Link>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        <div className="lg:col-span-2 space-y-6">
+          <div className="bg-white rounded-lg shadow-sm border border-slate-200 overflow-hidden">
+            <table className="min-w-full divide-y divide-slate-100">
+              <thead className="bg-slate-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-slate-500 uppercase tracking-wider">Product</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-slate-500 uppercase tracking-wider">Qty</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-slate-500 uppercase tracking-wider">Price</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-slate-500 uppercase tracking-wider">Total</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-slate-100">
+                {(order.order_items || []).map(item => (
+                  <tr key={item.id}>
+                    <td className="px-6 py-4 text-sm text-slate-900">
+                      {item.product?.name || item.productId}
+                      {item.variant_label && (
+                        <span className="block text-xs text-slate-500">
+                          {item.variant_label}{item.variant_sku ? ` · SKU ${item.variant_sku}` : ''}
+                        </span>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 text-sm text-slate-700 text-right">{item.quantity}</td>
+                    <td className="px-6 py-4 text-sm text-slate-700 text-right">{formatETB(item.price)}</td>
+                    <td className="px-6 py-4 text-sm text-slate-900 text-right">{formatETB(item.price * item.quantity)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <div className="px-6 py-4 border-t border-slate-100 space-y-1 text-sm">
+              {(Number(order.discount_amount) > 0 || order.shipping_method_name) && (
+                <div className="flex justify-between text-slate-600">
+                  <span>Subtotal</span>
+                  <span>{formatETB(order.subtotal_amount)}</span>
+                </div>
+              )}
+              {Number(order.discount_amount) > 0 && (
+                <div className="flex justify-between text-emerald-600">
+                  <span>Discount{order.coupon_code ? ` (${order.coupon_code})` : ''}</span>
+                  <span>-{formatETB(order.discount_amount)}</span>
+                </div>
+              )}
+              {order.shipping_method_name && (
+                <div className="flex justify-between text-slate-600">
+                  <span>Shipping ({order.shipping_method_name})</span>
+                  <span>{formatShippingFee(order.shipping_fee)}</span>
+                </div>
+              )}
+              <div className="flex justify-between font-semibold text-slate-900">
+                <span>Total</span>
+                <span>{formatETB(order.totalAmount)}</span>
+              </div>
+            </div>
+          </div>
+
+          {(order.order_fulfillments || []).length > 0 && (
+            <div className="bg-white rounded-lg shadow-sm border border-slate-200 p-6">
+              <h2 className="text-sm font-semibold text-slate-900">Shipments</h2>
+              <p className="text-xs text-slate-500 mt-1 mb-4">
+                Each store ships its own items. The order moves to shipped once every shipment has.
+              </p>
+              <ul className="divide-y divide-slate-100">
+                {order.order_fulfillments.map(fulfillment => (
+                  <FulfillmentRow
+                    key={fulfillment.id}
+                    orderId={orderId}
+                    fulfillment={fulfillment}
+                    items={(order.order_items || []).filter(item => item.fulfillment_id === fulfillment.id)}
+                  />
+                ))}
+              </ul>
+            </div>
+          )}
+
+          <div className="bg-white rounded-lg shadow-sm border border-slate-200 p-6">
+            <h2 className="text-sm font-semibold text-slate-900 mb-4">Status History</h2>
+            <OrderStatusTimeline history={order.order_status_history} actorLabels={ADMIN_ACTOR_LABELS} />
+          </div>
+
+          <div className="bg-white rounded-lg shadow-sm border border-slate-200 p-6">
+            <h2 className="text-sm font-semibold text-slate-900 mb-4">Customer Notifications</h2>
+            {(order.notification_outbox || []).length === 0 ? (
+              <p className="text-sm text-slate-500">No notifications for this order yet.</p>
+            ) : (
+              <ul className="divide-y divide-slate-100">
+                {order.notification_outbox.map(notification => {
+                  const ChannelIcon = notification.channel === 'sms' ? FiMessageSquare : FiMail;
+                  return (
+                    <li key={notification.id} className="py-3 first:pt-0 last:pb-0 text-sm">
+                      <div className="flex items-center justify-between gap-3">
+                        <div className="flex items-center gap-2 min-w-0">
+                          <ChannelIcon className="h-4 w-4 text-slate-400 flex-shrink-0" />
+                          <span className="font-medium text-slate-900">
+                            {NOTIFICATION_TEMPLATE_LABELS[notification.template] || notification.template}
+                          </span>
+                          <span className="text-slate-500 truncate">{notification.recipient}</span>
+                        </div>
+                        <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${NOTIFICATION_STATUS_CLASSES[notification.status] || 'bg-slate-100 text-slate-600'}`}>
+                          {notification.status}
+                        </span>
+                      </div>
+                      <p className="text-xs text-slate-500 mt-1 ml-6">
+                        {notification.sent_at
+                          ? `Sent ${new Date(notification.sent_at).toLocaleString()} via ${notification.provider}`
+                          : `Queued ${new Date(notification.created_at).toLocaleString()}`}
+                        {notification.attempts > 1 && ` · ${notification.attempts} attempts`}
+                      </p>
+                      {notification.last_error && (
+                        <p className="text-xs text-red-600 mt-1 ml-6">{notification.last_error}</p>
+                      )}
+                      {(notification.notification_attempts || []).length > 1 && (
+                        <details className="mt-1 ml-6 text-xs text-slate-500">
+                          <summary className="cursor-pointer">Delivery log</summary>
+                          <ul className="mt-1 space-y-0.5">
+                            {[...notification.notification_attempts]
+                              .sort((a, b) => a.attempt - b.attempt)
+                              .map(attempt => (
+                                <li key={attempt.id}>
+                                  #{attempt.attempt} {new Date(attempt.created_at).toLocaleString()} · {attempt.provider || 'no provider'} ·{' '}
+                                  {attempt.success ? 'accepted' : <span className="text-red-600">{attempt.error}</span>}
+                                </li>
+                              ))}
+                          </ul>
+                        </details>
+                      )}
+                    </li>
+                  );
+                })}
+              </ul>
+            )}
+          </div>
+        </div>
+
+        <div className="space-y-6">
+          <div className="bg-white rounded-lg shadow-sm border border-slate-200 p-6 space-y-4">
+            <div className="flex items-center justify-between">
+              <h2 className="text-sm font-semibold text-slate-900">Status</h2>
+              <span className={`px-2.5 py-0.5 rounded-full text-xs font-medium ${getOrderStatusBadgeClass(order.status)}`}>
+                {formatOrderStatus(order.status)}
+              </span>
+            </div>
+            {order.payment_method && (
+              <p className="text-xs text-slate-500">
+                Payment: {order.payment_method.toUpperCase()} · {order.payment_status}
+              </p>
+            )}
+            {(order.refunds || []).map(refund => (
+              <p key={refund.id} className="text-xs text-purple-700">
+                Refund {formatETB(refund.amount)} ({refund.reason}) · {refund.status === 'completed' ? 'sent' : 'owed'}
+              </p>
+            ))}
+            {order.shipping_method_name && (
+              <p className="text-xs text-slate-500">
+                Delivery: {order.shipping_method_name}
+                {order.estimated_delivery_start && ` · due ${formatDeliveryWindow(order.estimated_delivery_start, order.estimated_delivery_end)}`}
+              </p>
+            )}
+            {(order.carrier || order.tracking_number) && (
+              <p className="text-xs text-slate-500">
+                Shipped via {order.carrier || 'unknown carrier'}
+                {order.tracking_number && <> · <span className="font-mono">{order.tracking_number}</span></>}
+              </p>
+            )}
+            {nextStatuses.length === 0 ? (
+              <p className="text-sm text-slate-500">This order is in a final state.</p>
+            ) : (
+              <form onSubmit={handleStatusUpdate} className="space-y-3">
+                <select
+                  value={nextStatus}
+                  onChange={(e) => setNextStatus(e.target.value)}
+                  className="block w-full px-3 py-2 border border-slate-200 rounded-lg focus:outline-none focus:ring-1 focus:ring-slate-400 text-sm bg-white"
+                >
+                  <option value="">Move to…</option>
+                  {nextStatuses.map(status => (
+                    <option key={status} value={status}>{formatOrderStatus(status)}</option>
+                  ))}
+                </select>
+                {nextStatus === 'shipped' && (
+                  <>
+                    <input
+                      type="text"
+                      value={carrier}
+                      onChange={(e) => setCarrier(e.target.value)}
+                      placeholder="Carrier (e.g. Ethiopian Postal Service)"
+                      className="block w-full px-3 py-2 border border-slate-200 rounded-lg focus:outline-none focus:ring-1 focus:ring-slate-400 text-sm"
+                    />
+                    <input
+                      type="text"
+                      value={trackingNumber}
+                      onChange={(e) => setTrackingNumber(e.target.value)}
+                      placeholder="Tracking number"
+                      className="block w-full px-3 py-2 border border-slate-200 rounded-lg focus:outline-none focus:ring-1 focus:ring-slate-400 text-sm"
+                    />
+                  </>
+                )}
+                <textarea
+                  value={note}
+                  onChange={(e) => setNote(e.target.value)}
+                  rows={2}
+                  placeholder="Note (optional) — e.g. tracking number or reason"
+                  className="block w-full px-3 py-2 border border-slate-200 rounded-lg focus:outline-none focus:ring-1 focus:ring-slate-400 text-sm"
+                />
+                <button
+                  type="submit"
+                  disabled={!nextStatus || updating}
+                  className={`w-full px-4 py-2 rounded-md text-sm text-white flex items-center justify-center gap-2 ${
+                    !nextStatus || updating ? 'bg-slate-400 cursor-not-allowed' : 'bg-slate-900 hover:bg-slate-800'
+                  } transition-colors`}
+                >
+                  {updating && <Spinner size="sm" />}
+                  Update Status
+                </button>
+              </form>
+            )}
+          </div>
+
+          {(order.delivery || canAssignRider) && (
+            <div className="bg-white rounded-lg shadow-sm border border-slate-200 p-6 space-y-4">
+              <div className="flex items-center justify-between">
+                <h2 className="text-sm font-semibold text-slate-900">Delivery</h2>
+                {order.delivery && (
+                  <span className={`px-2.5 py-0.5 rounded-full text-xs font-medium ${getDeliveryStatusBadgeClass(order.delivery.status)}`}>
+                    {DELIVERY_STATUS_LABELS[order.delivery.status] || order.delivery.status}
+                  </span>
+                )}
+              </div>
+              {order.delivery && (
+                <div className="space-y-1 text-sm text-slate-700">
+                  <p className="font-medium text-slate-900">
+                    {order.delivery.rider?.full_name || 'Unknown rider'}
+                    {order.delivery.rider?.vehicle && (
+                      <span className="font-normal text-slate-500"> · {RIDER_VEHICLE_LABELS[order.delivery.rider.vehicle]}</span>
+                    )}
+                  </p>
+                  {order.delivery.rider?.phone && (
+                    <a href={`tel:${order.delivery.rider.phone}`} className="flex items-center gap-1.5 text-slate-600 hover:text-slate-900">
+                      <FiPhone size={14} /> {order.delivery.rider.phone}
+                    </a>
+                  )}
+                  <p className="text-xs text-slate-500">
+                    Assigned {new Date(order.delivery.assigned_at).toLocaleString()}
+                    {order.delivery.started_at && ` · set off ${new Date(order.delivery.started_at).toLocaleString()}`}
+                    {order.delivery.delivered_at && ` · delivered ${new Date(order.delivery.delivered_at).toLocaleString()}`}
+                  </p>
+                  {order.delivery.failed_attempts > 0 && (
+                    <p className="text-xs text-red-600">
+                      {order.delivery.failed_attempts} failed attempt{order.delivery.failed_attempts === 1 ? '' : 's'}
+                      {order.delivery.failure_reason && ` · last: ${order.delivery.failure_reason}`}
+                    </p>
+                  )}
+                  {order.delivery.proof_type && (
+                    <div className="pt-2 space-y-1">
+                      <p className="text-xs text-slate-500">
+                        Proof: {DELIVERY_PROOF_LABELS[order.delivery.proof_type]}
+                        {order.delivery.recipient_name && ` · received by ${order.delivery.recipient_name}`}
+                      </p>
+                      {order.delivery.proof_url && (
+                        <a href={order.delivery.proof_url} target="_blank" rel="noopener noreferrer">
+                          <img
+                            src={order.delivery.proof_url}
+                            alt={`Delivery ${order.delivery.proof_type}`}
+                            className="w-full max-h-48 object-contain rounded-md border border-slate-200 bg-slate-50"
+                          />
+                        </a>
+                      )}
+                      {order.delivery.rider_note && <p className="text-xs text-slate-600">{order.delivery.rider_note}</p>}
+                    </div>
+                  )}
+                </div>
+              )}
+              {canAssignRider && (
+                <form onSubmit={handleAssignRider} className="space-y-3">
+                  <select
+                    value={riderId}
+                    onChange={(e) => setRiderId(e.target.value)}
+                    className="block w-full px-3 py-2 border border-slate-200 rounded-lg focus:outline-none focus:ring-1 focus:ring-slate-400 text-sm bg-white"
+                  >
+                    <option value="">{order.delivery ? 'Hand to another rider…' : 'Choose a rider…'}</option>
+                    {riders
+                      .filter(rider => rider.id !== order.delivery?.rider_id || order.delivery?.status === 'failed')
+                      .map(rider => (
+                        <option key={rider.id} value={rider.id}>
+                          {rider.full_name} ({rider.open_deliveries} open)
+                        </option>
+                      ))}
+                  </select>
+                  <input
+                    type="text"
+                    value={dispatchNote}
+                    onChange={(e) => setDispatchNote(e.target.value)}
+                    placeholder="Note for the timeline (optional)"
+                    className="block w-full px-3 py-2 border border-slate-200 rounded-lg focus:outline-none focus:ring-1 focus:ring-slate-400 text-sm"
+                  />
+                  <button
+                    type="submit"
+                    disabled={!riderId || assigning}
+                    className={`w-full px-4 py-2 rounded-md text-sm text-white flex items-center justify-center gap-2 ${
+                      !riderId || assigning ? 'bg-slate-400 cursor-not-allowed' : 'bg-slate-900 hover:bg-slate-800'
+                    } transition-colors`}
+                  >
+                    {assigning && <Spinner size="sm" />}
+                    {order.delivery ? 'Reassign' : 'Assign Rider'}
+                  </button>
+                </form>
+              )}
+            </div>
+          )}
+
+          <div className="bg-white rounded-lg shadow-sm border border-slate-200 p-6 space-y-1 text-sm text-slate-700">
+            <h2 className="text-sm font-semibold text-slate-900 mb-3">Customer</h2>
+            <p className="font-medium text-slate-900">{customerName}</p>
+            {address.email && <p>{address.email}</p>}
+            {address.phone && <p>{address.phone}</p>}
+            <div className="pt-2">
+              {formatAddressLines(address).map(line => <p key={line}>{line}</p>)}
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AdminOrderDetailPage;
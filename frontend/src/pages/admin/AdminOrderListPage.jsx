@@ -8,17 +8,8 @@ import ErrorMessage from '../../components/common/ErrorMessage';
 import Pagination from '../../components/common/Pagination';
 import { FiSearch, FiEye, FiFilter, FiAlertCircle, FiChevronDown } from 'react-icons/fi';
 import { formatETB } from "../../utils/utils";
-
-// Helper for status badge styling
-const getStatusBadgeClass = (status) => {
-    switch (status?.toLowerCase()) {
-        case 'processing': return 'bg-blue-100 text-blue-800';
-        case 'shipped': return 'bg-yellow-100 text-yellow-800';
-        case 'delivered': return 'bg-emerald-100 text-emerald-800';
-        case 'cancelled': return 'bg-red-100 text-red-800';
-        default: return 'bg-slate-100 text-slate-800';
-    }
-};
+import { ORDER_STATUSES, formatOrderStatus, getOrderStatusBadgeClass } from '../../utils/orderStatus';
+import InvoiceButton from '../../components/orders/InvoiceButton';
 
 const AdminOrderListPage = () => {
   const [searchParams, setSearchParams] = useSearchParams();
@@ -26,8 +17,6 @@ const AdminOrderListPage = () => {
   const [statusFilter, setStatusFilter] = useState(searchParams.get('status') || '');
   const currentPage = parseInt(searchParams.get('page') || '1', 10);
 
-  const orderStatuses = ['Processing', 'Shipped', 'Delivered', 'Cancelled', 'Pending']; 
-
   const dispatch = useDispatch();
   const ordersSlice = useSelector((state) => state.orders);
   
@@ -125,8 +114,8 @@ const AdminOrderListPage = () => {
             className="appearance-none w-full sm:w-auto pl-3 pr-8 py-2 border border-slate-200 rounded-lg focus:outline-none focus:ring-1 focus:ring-slate-400 focus:border-slate-400 text-sm bg-white"
           >
             <option value="">All Statuses</option>
-            {orderStatuses.map(status => (
-              <option key={status} value={status}>{status}</option>
+            {ORDER_STATUSES.map(status => (
+              <option key={status} value={status}>{formatOrderStatus(status)}</option>
             ))}
           </select>
           <FiChevronDown className="absolute right-3 top-1/2 -translate-y-1/2 h-4 w-4 text-slate-400 pointer-events-none" />
@@ -183,8 +172,8 @@ const AdminOrderListPage = () => {
                         </td>
                         <td className="px-6 py-4 whitespace-nowrap text-sm text-slate-500 hidden md:table-cell">{new Date(order.created_at).toLocaleDateString()}</td>
                         <td className="px-6 py-4 whitespace-nowrap text-sm">
-                          <span className={`px-2.5 py-0.5 rounded-full text-xs font-medium ${getStatusBadgeClass(order.status)}`}>
-                            {order.status || 'N/A'}
+                          <span className={`px-2.5 py-0.5 rounded-full text-xs font-medium ${getOrderStatusBadgeClass(order.status)}`}>
+                            {formatOrderStatus(order.status)}
                           </span>
                         </td>
                         <td className="px-6 py-4 whitespace-nowrap text-sm text-slate-900">{formatETB(order.totalAmount || order.total_amount || 0)}</td>
@@ -197,6 +186,12 @@ const AdminOrderListPage = () => {
                             <FiEye size={16} />
                             <span className="hidden sm:inline">View</span>
                           </Link>
+                          <InvoiceButton
+                            orderId={order.id}
+                            regenerate
+                            label={<span className="hidden sm:inline">Invoice</span>}
+                            className="ml-4 text-slate-600 hover:text-slate-900 transition-colors inline-flex items-center gap-1 disabled:opacity-60"
+                          />
                         </td>
                       </tr>
                     );
@@ -11,6 +11,7 @@ import {
   updateAdminProduct,
 } from '../../services/adminApi';
 import Spinner from '../../components/common/Spinner';
+import ProductVariantsEditor from '../../components/products/ProductVariantsEditor';
 import ErrorMessage from '../../components/common/ErrorMessage';
 import { FiTrash2, FiSave, FiX, FiPlus, FiChevronLeft, FiUploadCloud } from 'react-icons/fi';
 import { useDispatch, useSelector } from 'react-redux';
@@ -25,11 +26,15 @@ const productSchema = z.object({
   categoryId: z.string().optional().nullable(),
   isActive: z.boolean().default(true),
   originalPrice: z.coerce.number({ invalid_type_error: 'Original price must be a number' }).positive('Original price must be positive').optional().nullable(),
-  rating: z.coerce.number().min(0).max(5).optional().nullable(),
-  reviewCount: z.coerce.number().int().nonnegative().optional().nullable(),
   sellerName: z.string().optional().nullable(),
   sellerLocation: z.string().optional().nullable(),
+  brand: z.string().max(80, 'Brand must be at most 80 characters').optional().nullable(),
   unitsSold: z.coerce.number().int().nonnegative().optional().nullable(),
+  // Blank means the default shipping weight
+  weightKg: z.union([
+    z.literal(''),
+    z.coerce.number({ invalid_type_error: 'Weight must be a number' }).nonnegative('Weight cannot be negative'),
+  ]).optional().nullable(),
 });
 
 const AdminProductAddEditPage = () => {
@@ -46,6 +51,7 @@ const AdminProductAddEditPage = () => {
   const [existingImages, setExistingImages] = useState([]);
   const [newImageFiles, setNewImageFiles] = useState([]);
   const [imagePreviews, setImagePreviews] = useState([]);
+  const [variants, setVariants] = useState([]);
 
   const backendUrl = import.meta.env.VITE_BACKEND_URL || '';
 
@@ -65,11 +71,11 @@ const AdminProductAddEditPage = () => {
       categoryId: '',
       isActive: true,
       originalPrice: '',
-      rating: '',
-      reviewCount: '',
       sellerName: '',
       sellerLocation: '',
+      brand: '',
       unitsSold: 0,
+      weightKg: '',
     },
   });
 
@@ -92,12 +98,12 @@ const AdminProductAddEditPage = () => {
         stockQuantity: p.stock_quantity ?? p.stockQuantity ?? 0,
         categoryId: p.category_id || '',
         isActive: p.is_active !== undefined ? p.is_active : true,
-        rating: p.rating ?? '',
-        reviewCount: p.review_count ?? '',
         originalPrice: p.original_price ?? '',
         sellerName: p.seller_name || '',
         sellerLocation: p.seller_location || '',
+        brand: p.brand || '',
         unitsSold: p.units_sold ?? 0,
+        weightKg: p.weight_kg ?? '',
       });
       const currentImages = p.images || [];
       setExistingImages(currentImages);
@@ -105,6 +111,7 @@ const AdminProductAddEditPage = () => {
         typeof img === 'string' ? img : `${backendUrl}${img.image_url?.startsWith('/') ? '' : '/'}${img.image_url}`
       ));
       setNewImageFiles([]);
+      setVariants((p.variants || []).map(v => ({ ...v, price: v.price ?? '' })));
     } else if (!isEditMode) {
       reset({
         name: '',
@@ -113,16 +120,17 @@ const AdminProductAddEditPage = () => {
         stockQuantity: 0,
         categoryId: '',
         isActive: true,
-        rating: '',
-        reviewCount: '',
         originalPrice: '',
         sellerName: '',
         sellerLocation: '',
+        brand: '',
         unitsSold: 0,
+        weightKg: '',
       });
       setExistingImages([]);
       setImagePreviews([]);
       setNewImageFiles([]);
+      setVariants([]);
     }
   }, [isEditMode, productData, reset, backendUrl]);
 
@@ -167,11 +175,13 @@ const AdminProductAddEditPage = () => {
     formData.append('isActive', data.isActive);
 
     if (data.originalPrice) formData.append('originalPrice', data.originalPrice);
-    if (data.rating) formData.append('rating', data.rating);
-    if (data.reviewCount) formData.append('reviewCount', data.reviewCount);
     if (data.sellerName) formData.append('sellerName', data.sellerName);
     if (data.sellerLocation) formData.append('sellerLocation', data.sellerLocation);
+    formData.append('brand', data.brand || ''); // Empty clears it on update
     if (data.unitsSold) formData.append('unitsSold', data.unitsSold);
+    formData.append('weightKg', data.weightKg ?? ''); // Empty falls back to the default shipping weight
+    // Always sent so removing the last variant clears them server-side
+    formData.append('variants', JSON.stringify(variants));
 
     if (isEditMode) {
       const currentPreviewUrls = imagePreviews.map(p => p.url);
@@ -359,6 +369,14 @@ const AdminProductAddEditPage = () => {
                 />
                 {errors.originalPrice && <p className="text-red-600 text-xs mt-1">{errors.originalPrice.message}</p>}
               </div>
+              {variants.length > 0 ? (
+                <div>
+                  <span className={labelClass}>Stock Quantity</span>
+                  <p className="text-sm text-slate-500 py-2">
+                    {variants.filter(v => v.is_active !== false).reduce((sum, v) => sum + (Number(v.stock_quantity) || 0), 0)} across variants
+                  </p>
+                </div>
+              ) : (
               <div>
                 <label htmlFor="stockQuantity" className={labelClass}>
                   Stock Quantity <span className="text-red-500">*</span>
@@ -373,44 +391,29 @@ const AdminProductAddEditPage = () => {
                 />
                 {errors.stockQuantity && <p className="text-red-600 text-xs mt-1">{errors.stockQuantity.message}</p>}
               </div>
+              )}
             </div>
           </section>
 
+          <section>
+            <h2 className="text-lg font-semibold text-slate-900 mb-1 pb-2 border-b border-slate-100">
+              Variants
+            </h2>
+            <p className="text-xs text-slate-500 mb-4">
+              Sizes and colors shoppers pick from. Each variant has its own stock; leave the price empty to use the product price.
+            </p>
+            <ProductVariantsEditor
+              variants={variants}
+              onChange={setVariants}
+              images={existingImages.filter(img => typeof img === 'string')}
+            />
+          </section>
+
           <section>
             <h2 className="text-lg font-semibold text-slate-900 mb-4 pb-2 border-b border-slate-100">
               Optional Details
             </h2>
             <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 gap-x-6 gap-y-4">
-              <div>
-                <label htmlFor="rating" className={labelClass}>
-                  Rating (0-5)
-                </label>
-                <input
-                  type="number"
-                  step="0.1"
-                  min="0" max="5"
-                  id="rating"
-                  {...register('rating')}
-                  className={inputClass(errors.rating)}
-                  placeholder="e.g., 4.5"
-                />
-                {errors.rating && <p className="text-red-600 text-xs mt-1">{errors.rating.message}</p>}
-              </div>
-              <div>
-                <label htmlFor="reviewCount" className={labelClass}>
-                  Review Count
-                </label>
-                <input
-                  type="number"
-                  step="1"
-                  min="0"
-                  id="reviewCount"
-                  {...register('reviewCount')}
-                  className={inputClass(errors.reviewCount)}
-                  placeholder="0"
-                />
-                {errors.reviewCount && <p className="text-red-600 text-xs mt-1">{errors.reviewCount.message}</p>}
-              </div>
               <div>
                 <label htmlFor="unitsSold" className={labelClass}>
                   Units Sold
@@ -452,6 +455,38 @@ const AdminProductAddEditPage = () => {
                 />
                 {errors.sellerLocation && <p className="text-red-600 text-xs mt-1">{errors.sellerLocation.message}</p>}
               </div>
+              <div className="sm:col-span-1">
+                <label htmlFor="brand" className={labelClass}>
+                  Brand
+                </label>
+                <input
+                  type="text"
+                  id="brand"
+                  {...register('brand')}
+                  className={inputClass(errors.brand)}
+                  placeholder="e.g., Dela Atelier"
+                />
+                {errors.brand && <p className="text-red-600 text-xs mt-1">{errors.brand.message}</p>}
+              </div>
+              <div className="sm:col-span-1">
+                <label htmlFor="weightKg" className={labelClass}>
+                  Shipping Weight (kg)
+                </label>
+                <input
+                  type="number"
+                  step="0.001"
+                  min="0"
+                  id="weightKg"
+                  {...register('weightKg')}
+                  className={inputClass(errors.weightKg)}
+                  placeholder="0.5"
+                />
+                {errors.weightKg ? (
+                  <p className="text-red-600 text-xs mt-1">{errors.weightKg.message}</p>
+                ) : (
+                  <p className="text-slate-500 text-xs mt-1">Used for shipping fees. Leave blank for 0.5 kg.</p>
+                )}
+              </div>
             </div>
           </section>
 
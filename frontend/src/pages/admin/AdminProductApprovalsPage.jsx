@@ -0,0 +1,286 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { Helmet } from 'react-helmet';
+import toast from 'react-hot-toast';
+import { FiArrowLeft, FiImage } from 'react-icons/fi';
+import Spinner from '../../components/common/Spinner';
+import ErrorMessage from '../../components/common/ErrorMessage';
+import Pagination from '../../components/common/Pagination';
+import { fetchAdminProductApprovals, reviewProductApproval, updateMarketplaceSettings } from '../../services/sellerApi';
+import { formatETB } from '../../utils/utils';
+import { getImageUrl } from '../../utils/imageUrl';
+
+const STATUS_FILTERS = [
+  { id: 'pending_review', label: 'Awaiting review' },
+  { id: 'rejected', label: 'Rejected' },
+  { id: 'approved', label: 'Approved' },
+];
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : '—');
+
+// One seller product with its listing and the approve / reject controls while it waits
+const ProductApprovalCard = ({ product, onReviewed }) => {
+  const [note, setNote] = useState('');
+  const [submitting, setSubmitting] = useState(null);
+  const images = Array.isArray(product.images) ? product.images : [];
+
+  const handleReview = async (status) => {
+    if (status === 'rejected' && !note.trim()) {
+      toast.error('Please give the seller a reason.');
+      return;
+    }
+    setSubmitting(status);
+    try {
+      await reviewProductApproval(product.id, { status, note: note.trim() || undefined });
+      toast.success(status === 'approved' ? `"${product.name}" is now live.` : `"${product.name}" was sent back to the seller.`);
+      setNote('');
+      onReviewed?.();
+    } catch (err) {
+      toast.error(err.message || 'Could not review this product.');
+    } finally {
+      setSubmitting(null);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border border-slate-200 p-6 space-y-4">
+      <div className="flex flex-wrap items-start justify-between gap-3">
+        <div>
+          <h2 className="text-lg font-semibold text-slate-900">{product.name}</h2>
+          <p className="text-sm text-slate-500">
+            {product.seller?.store_name || 'Unknown store'}
+            {product.seller?.contact_email ? ` · ${product.seller.contact_email}` : ''}
+            {' · '}Submitted {formatDate(product.submitted_at)}
+          </p>
+        </div>
+        <div className="text-right">
+          <p className="text-lg font-semibold text-slate-900">{formatETB(product.price)}</p>
+          {product.original_price && (
+            <p className="text-sm text-slate-400 line-through">{formatETB(product.original_price)}</p>
+          )}
+        </div>
+      </div>
+
+      {images.length > 0 ? (
+        <div className="flex gap-2 overflow-x-auto">
+          {images.map((path, index) => (
+            <a key={path} href={getImageUrl(path)} target="_blank" rel="noopener noreferrer" className="flex-shrink-0">
+              <img src={getImageUrl(path)} alt={`${product.name} ${index + 1}`} className="h-24 w-24 object-cover rounded-md border border-slate-200" />
+            </a>
+          ))}
+        </div>
+      ) : (
+        <p className="flex items-center text-sm text-slate-500">
+          <FiImage className="mr-2 h-4 w-4" /> No images
+        </p>
+      )}
+
+      {product.description && <p className="text-sm text-slate-700 whitespace-pre-line">{product.description}</p>}
+
+      <dl className="grid grid-cols-2 sm:grid-cols-4 gap-4 text-sm">
+        <div>
+          <dt className="text-xs font-medium uppercase tracking-wide text-slate-500">Category</dt>
+          <dd className="mt-1 text-slate-900">{product.category?.name || '—'}</dd>
+        </div>
+        <div>
+          <dt className="text-xs font-medium uppercase tracking-wide text-slate-500">Brand</dt>
+          <dd className="mt-1 text-slate-900">{product.brand || '—'}</dd>
+        </div>
+        <div>
+          <dt className="text-xs font-medium uppercase tracking-wide text-slate-500">Stock</dt>
+          <dd className="mt-1 text-slate-900">{product.stock_quantity ?? 0}</dd>
+        </div>
+        <div>
+          <dt className="text-xs font-medium uppercase tracking-wide text-slate-500">Weight</dt>
+          <dd className="mt-1 text-slate-900">{product.weight_kg ? `${product.weight_kg} kg` : '—'}</dd>
+        </div>
+      </dl>
+
+      {product.approval_note && (
+        <p className="text-sm text-slate-600 bg-slate-50 border border-slate-200 rounded-md px-3 py-2">
+          <span className="font-medium">Reason given:</span> {product.approval_note}
+          {product.reviewed_at && <span className="text-slate-500"> ({formatDate(product.reviewed_at)})</span>}
+        </p>
+      )}
+
+      {product.approval_status === 'pending_review' && (
+        <div className="flex flex-wrap items-center gap-3 pt-4 border-t border-slate-100">
+          <input
+            type="text"
+            value={note}
+            onChange={(e) => setNote(e.target.value)}
+            placeholder="Reason (required to reject)"
+            className="flex-1 min-w-[240px] px-3 py-2 border border-slate-300 rounded-md text-sm focus:ring-slate-500 focus:border-slate-500"
+          />
+          <button
+            type="button"
+            onClick={() => handleReview('approved')}
+            disabled={!!submitting}
+            className="inline-flex items-center gap-2 px-4 py-2 rounded-md text-sm font-medium bg-slate-900 text-white hover:bg-slate-700 disabled:opacity-60"
+          >
+            {submitting === 'approved' && <Spinner size="sm" />}
+            Approve & publish
+          </button>
+          <button
+            type="button"
+            onClick={() => handleReview('rejected')}
+            disabled={!!submitting}
+            className="inline-flex items-center gap-2 px-4 py-2 rounded-md text-sm font-medium border border-red-300 text-red-700 hover:bg-red-50 disabled:opacity-60"
+          >
+            {submitting === 'rejected' && <Spinner size="sm" />}
+            Reject
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+const AdminProductApprovalsPage = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const currentPage = parseInt(searchParams.get('page') || '1', 10);
+  const currentStatus = searchParams.get('status') || 'pending_review';
+
+  const [products, setProducts] = useState([]);
+  const [totalPages, setTotalPages] = useState(1);
+  const [totalProducts, setTotalProducts] = useState(0);
+  const [pendingCount, setPendingCount] = useState(0);
+  const [approvalRequired, setApprovalRequired] = useState(true);
+  const [savingSetting, setSavingSetting] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadProducts = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await fetchAdminProductApprovals({ page: currentPage, limit: 10, status: currentStatus });
+      setProducts(response.data || []);
+      setTotalPages(response.totalPages || 1);
+      setTotalProducts(response.count || 0);
+      setPendingCount(response.pendingCount || 0);
+      setApprovalRequired(response.approvalRequired !== false);
+    } catch (err) {
+      setError(err.message || 'Failed to load products.');
+    } finally {
+      setLoading(false);
+    }
+  }, [currentPage, currentStatus]);
+
+  useEffect(() => {
+    loadProducts();
+  }, [loadProducts]);
+
+  const handleToggleApproval = async () => {
+    const next = !approvalRequired;
+    setSavingSetting(true);
+    try {
+      await updateMarketplaceSettings({ sellerProductApproval: next });
+      setApprovalRequired(next);
+      toast.success(next ? 'Seller products now need approval.' : 'Seller products now go live without review.');
+    } catch (err) {
+      toast.error(err.message || 'Could not update the setting.');
+    } finally {
+      setSavingSetting(false);
+    }
+  };
+
+  const handleStatusChange = (status) => {
+    setSearchParams(prev => {
+      const newParams = new URLSearchParams(prev);
+      newParams.set('status', status);
+      newParams.set('page', '1');
+      return newParams;
+    }, { replace: true });
+  };
+
+  const handlePageChange = (newPage) => {
+    if (newPage >= 1 && newPage <= totalPages) {
+      setSearchParams((prev) => {
+        const newParams = new URLSearchParams(prev);
+        newParams.set('page', newPage.toString());
+        return newParams;
+      }, { replace: true });
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <Helmet>
+        <title>Admin Product Approvals | SuriAddis</title>
+        <meta name="description" content="Admin: Review products submitted by sellers before they go live." />
+      </Helmet>
+      <div>
+        <Link to="/admin/products" className="inline-flex items-center text-sm text-slate-600 hover:text-slate-900 mb-2">
+          <FiArrowLeft className="mr-1 h-4 w-4" />
+          Products
+        </Link>
+        <h1 className="text-2xl font-semibold text-slate-900">Product Approvals</h1>
+        <p className="text-slate-500 mt-1">
+          {loading ? 'Loading products...' : `${totalProducts} product${totalProducts !== 1 ? 's' : ''} found · ${pendingCount} awaiting review`}
+        </p>
+      </div>
+
+      <div className="bg-white rounded-lg shadow-sm border border-slate-200 p-4 flex flex-wrap items-center justify-between gap-4">
+        <div>
+          <p className="font-medium text-slate-900">Review seller products before they go live</p>
+          <p className="text-sm text-slate-500">
+            {approvalRequired
+              ? 'New listings and changes to a listing\'s content wait here until approved.'
+              : 'Sellers with fully verified stores publish directly. Products already waiting still need a decision.'}
+          </p>
+        </div>
+        <button
+          type="button"
+          onClick={handleToggleApproval}
+          disabled={savingSetting}
+          className={`inline-flex items-center gap-2 px-4 py-2 rounded-md text-sm font-medium disabled:opacity-60 ${
+            approvalRequired ? 'border border-slate-300 text-slate-700 hover:bg-slate-50' : 'bg-slate-900 text-white hover:bg-slate-700'
+          }`}
+        >
+          {savingSetting && <Spinner size="sm" />}
+          {approvalRequired ? 'Turn off approval' : 'Require approval'}
+        </button>
+      </div>
+
+      <div className="flex flex-wrap gap-2">
+        {STATUS_FILTERS.map(filter => (
+          <button
+            key={filter.id}
+            type="button"
+            onClick={() => handleStatusChange(filter.id)}
+            className={`px-3 py-1.5 rounded-full text-sm ${
+              currentStatus === filter.id ? 'bg-slate-900 text-white' : 'bg-white border border-slate-200 text-slate-600 hover:border-slate-400'
+            }`}
+          >
+            {filter.label}
+          </button>
+        ))}
+      </div>
+
+      {error && <ErrorMessage message={error} />}
+
+      {loading && products.length === 0 ? (
+        <div className="flex justify-center items-center p-12 min-h-[200px]">
+          <Spinner />
+        </div>
+      ) : products.length === 0 ? (
+        <div className="bg-white rounded-lg shadow-sm border border-slate-200 p-12 text-center text-sm text-slate-500">
+          No products here.
+        </div>
+      ) : (
+        <div className="space-y-4">
+          {products.map(product => (
+            <ProductApprovalCard key={product.id} product={product} onReviewed={loadProducts} />
+          ))}
+        </div>
+      )}
+
+      {totalPages > 1 && (
+        <Pagination currentPage={currentPage} totalPages={totalPages} onPageChange={handlePageChange} />
+      )}
+    </div>
+  );
+};
+
+export default AdminProductApprovalsPage;
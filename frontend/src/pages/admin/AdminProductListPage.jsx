@@ -4,7 +4,7 @@ import { useSelector, useDispatch } from 'react-redux';
 import { fetchProducts, deleteProduct } from '../../store/productSlice';
 import Spinner from '../../components/common/Spinner';
 import ErrorMessage from '../../components/common/ErrorMessage';
-import { FiEdit2, FiTrash2, FiPlus, FiSearch, FiAlertCircle } from 'react-icons/fi';
+import { FiEdit2, FiTrash2, FiPlus, FiSearch, FiAlertCircle, FiCheckSquare } from 'react-icons/fi';
 import Pagination from '../../components/common/Pagination';
 import { formatETB } from "../../utils/utils";
 import toast from 'react-hot-toast';
@@ -95,13 +95,22 @@ const AdminProductListPage = () => {
             {loading ? 'Loading...' : `${totalProducts} products found`}
           </p>
         </div>
-        <Link
-          to="/admin/products/new"
-          className="flex items-center justify-center gap-2 px-4 py-2 rounded-md bg-slate-900 text-white hover:bg-slate-800 text-sm whitespace-nowrap"
-        >
-          <FiPlus size={16} />
-          Add Product
-        </Link>
+        <div className="flex items-center gap-2">
+          <Link
+            to="/admin/products/approvals"
+            className="flex items-center justify-center gap-2 px-4 py-2 rounded-md border border-slate-300 text-slate-700 hover:bg-slate-50 text-sm whitespace-nowrap"
+          >
+            <FiCheckSquare size={16} />
+            Seller Approvals
+          </Link>
+          <Link
+            to="/admin/products/new"
+            className="flex items-center justify-center gap-2 px-4 py-2 rounded-md bg-slate-900 text-white hover:bg-slate-800 text-sm whitespace-nowrap"
+          >
+            <FiPlus size={16} />
+            Add Product
+          </Link>
+        </div>
       </div>
 
       {/* Search Input */}
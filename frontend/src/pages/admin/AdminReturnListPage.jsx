@@ -0,0 +1,118 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { Helmet } from 'react-helmet';
+import Spinner from '../../components/common/Spinner';
+import ErrorMessage from '../../components/common/ErrorMessage';
+import Pagination from '../../components/common/Pagination';
+import ReturnRequestCard from '../../components/returns/ReturnRequestCard';
+import { fetchReturnRequests } from '../../services/returnApi';
+
+const STATUS_FILTERS = [
+  { id: 'pending', label: 'Pending' },
+  { id: 'approved', label: 'Approved' },
+  { id: 'rejected', label: 'Rejected' },
+  { id: '', label: 'All' },
+];
+
+const AdminReturnListPage = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const currentPage = parseInt(searchParams.get('page') || '1', 10);
+  const currentStatus = searchParams.get('status') ?? 'pending';
+
+  const [requests, setRequests] = useState([]);
+  const [totalPages, setTotalPages] = useState(1);
+  const [totalRequests, setTotalRequests] = useState(0);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadRequests = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await fetchReturnRequests({
+        page: currentPage,
+        limit: 10,
+        status: currentStatus || undefined,
+      });
+      setRequests(response.data || []);
+      setTotalPages(response.totalPages || 1);
+      setTotalRequests(response.count || 0);
+    } catch (err) {
+      setError(err.message || 'Failed to load return requests.');
+    } finally {
+      setLoading(false);
+    }
+  }, [currentPage, currentStatus]);
+
+  useEffect(() => {
+    loadRequests();
+  }, [loadRequests]);
+
+  const handleStatusChange = (status) => {
+    setSearchParams({ status, page: '1' }, { replace: true });
+  };
+
+  const handlePageChange = (newPage) => {
+    if (newPage >= 1 && newPage <= totalPages) {
+      setSearchParams((prev) => {
+        const newParams = new URLSearchParams(prev);
+        newParams.set('page', newPage.toString());
+        return newParams;
+      }, { replace: true });
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <Helmet>
+        <title>Admin Returns | SuriAddis</title>
+        <meta name="description" content="Admin: Review customer return requests in the SuriAddis store." />
+      </Helmet>
+      <div>
+        <h1 className="text-2xl font-semibold text-slate-900">Returns</h1>
+        <p className="text-slate-500 mt-1">
+          {loading ? 'Loading return requests...' : `${totalRequests} return request${totalRequests !== 1 ? 's' : ''} found`}
+        </p>
+      </div>
+
+      <div className="flex flex-wrap gap-2">
+        {STATUS_FILTERS.map(filter => (
+          <button
+            key={filter.label}
+            type="button"
+            onClick={() => handleStatusChange(filter.id)}
+            className={`px-3 py-1.5 rounded-full text-sm ${
+              currentStatus === filter.id ? 'bg-slate-900 text-white' : 'bg-white border border-slate-200 text-slate-600 hover:border-slate-400'
+            }`}
+          >
+            {filter.label}
+          </button>
+        ))}
+      </div>
+
+      {error && <ErrorMessage message={error} />}
+
+      {loading && requests.length === 0 ? (
+        <div className="flex justify-center items-center p-12 min-h-[200px]">
+          <Spinner />
+        </div>
+      ) : requests.length === 0 ? (
+        <div className="bg-white rounded-lg shadow-sm border border-slate-200 p-12 text-center text-sm text-slate-500">
+          No return requests here.
+        </div>
+      ) : (
+        <div className="space-y-4">
+          {requests.map(request => (
+            <ReturnRequestCard key={request.id} request={request} orderLinkBase="/admin/orders" onReviewed={loadRequests} />
+          ))}
+        </div>
+      )}
+
+      {totalPages > 1 && (
+        <Pagination currentPage={currentPage} totalPages={totalPages} onPageChange={handlePageChange} />
+      )}
+    </div>
+  );
+};
+
+export default AdminReturnListPage;
@@ -0,0 +1,195 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { Helmet } from 'react-helmet';
+import toast from 'react-hot-toast';
+import Spinner from '../../components/common/Spinner';
+import ErrorMessage from '../../components/common/ErrorMessage';
+import Pagination from '../../components/common/Pagination';
+import ReviewCard from '../../components/reviews/ReviewCard';
+import { fetchAdminReviews, moderateReview } from '../../services/reviewApi';
+
+const STATUS_FILTERS = [
+  { id: 'pending', label: 'Pending' },
+  { id: 'approved', label: 'Approved' },
+  { id: 'rejected', label: 'Rejected' },
+  { id: '', label: 'All' },
+];
+
+const STATUS_CLASSES = {
+  pending: 'bg-amber-100 text-amber-800',
+  approved: 'bg-emerald-100 text-emerald-800',
+  rejected: 'bg-red-100 text-red-800',
+};
+
+// Approve/reject controls under a review; the note is stored with the decision and shown to the reviewer on rejection
+const ModerationControls = ({ review, onModerated }) => {
+  const [note, setNote] = useState(review.moderation_note || '');
+  const [submitting, setSubmitting] = useState(null);
+
+  const handleModerate = async (status) => {
+    setSubmitting(status);
+    try {
+      await moderateReview(review.id, { status, note: note || undefined });
+      toast.success(status === 'approved' ? 'Review published.' : 'Review rejected.');
+      onModerated?.();
+    } catch (err) {
+      toast.error(err.message || 'Could not update this review.');
+    } finally {
+      setSubmitting(null);
+    }
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-3 pt-2 border-t border-slate-100">
+      <input
+        type="text"
+        value={note}
+        onChange={(e) => setNote(e.target.value)}
+        placeholder="Note (optional)"
+        className="flex-1 min-w-[200px] px-3 py-2 border border-slate-300 rounded-md text-sm focus:ring-slate-500 focus:border-slate-500"
+      />
+      {review.status !== 'approved' && (
+        <button
+          type="button"
+          onClick={() => handleModerate('approved')}
+          disabled={!!submitting}
+          className="inline-flex items-center gap-2 px-4 py-2 rounded-md bg-slate-900 text-white text-sm font-medium hover:bg-slate-700 disabled:opacity-60"
+        >
+          {submitting === 'approved' && <Spinner size="sm" />}
+          Approve
+        </button>
+      )}
+      {review.status !== 'rejected' && (
+        <button
+          type="button"
+          onClick={() => handleModerate('rejected')}
+          disabled={!!submitting}
+          className="inline-flex items-center gap-2 px-4 py-2 rounded-md border border-red-300 text-red-700 text-sm font-medium hover:bg-red-50 disabled:opacity-60"
+        >
+          {submitting === 'rejected' && <Spinner size="sm" />}
+          Reject
+        </button>
+      )}
+    </div>
+  );
+};
+
+const AdminReviewListPage = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const currentPage = parseInt(searchParams.get('page') || '1', 10);
+  const currentStatus = searchParams.get('status') ?? 'pending';
+
+  const [reviews, setReviews] = useState([]);
+  const [totalPages, setTotalPages] = useState(1);
+  const [totalReviews, setTotalReviews] = useState(0);
+  const [pendingCount, setPendingCount] = useState(0);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadReviews = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await fetchAdminReviews({
+        page: currentPage,
+        limit: 10,
+        status: currentStatus || undefined,
+      });
+      setReviews(response.data || []);
+      setTotalPages(response.totalPages || 1);
+      setTotalReviews(response.count || 0);
+      setPendingCount(response.pendingCount || 0);
+    } catch (err) {
+      setError(err.message || 'Failed to load reviews.');
+    } finally {
+      setLoading(false);
+    }
+  }, [currentPage, currentStatus]);
+
+  useEffect(() => {
+    loadReviews();
+  }, [loadReviews]);
+
+  const handleStatusChange = (status) => {
+    setSearchParams({ status, page: '1' }, { replace: true });
+  };
+
+  const handlePageChange = (newPage) => {
+    if (newPage >= 1 && newPage <= totalPages) {
+      setSearchParams((prev) => {
+        const newParams = new URLSearchParams(prev);
+        newParams.set('page', newPage.toString());
+        return newParams;
+      }, { replace: true });
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <Helmet>
+        <title>Admin Reviews | SuriAddis</title>
+        <meta name="description" content="Admin: Moderate product reviews in the SuriAddis store." />
+      </Helmet>
+      <div>
+        <h1 className="text-2xl font-semibold text-slate-900">Reviews</h1>
+        <p className="text-slate-500 mt-1">
+          {loading ? 'Loading reviews...' : `${totalReviews} review${totalReviews !== 1 ? 's' : ''} found · ${pendingCount} awaiting moderation`}
+        </p>
+      </div>
+
+      <div className="flex flex-wrap gap-2">
+        {STATUS_FILTERS.map(filter => (
+          <button
+            key={filter.label}
+            type="button"
+            onClick={() => handleStatusChange(filter.id)}
+            className={`px-3 py-1.5 rounded-full text-sm ${
+              currentStatus === filter.id ? 'bg-slate-900 text-white' : 'bg-white border border-slate-200 text-slate-600 hover:border-slate-400'
+            }`}
+          >
+            {filter.label}
+          </button>
+        ))}
+      </div>
+
+      {error && <ErrorMessage message={error} />}
+
+      {loading && reviews.length === 0 ? (
+        <div className="flex justify-center items-center p-12 min-h-[200px]">
+          <Spinner />
+        </div>
+      ) : reviews.length === 0 ? (
+        <div className="bg-white rounded-lg shadow-sm border border-slate-200 p-12 text-center text-sm text-slate-500">
+          No reviews here.
+        </div>
+      ) : (
+        <div className="space-y-4">
+          {reviews.map(review => (
+            <div key={review.id} className="bg-white rounded-lg shadow-sm border border-slate-200 px-6">
+              <ReviewCard review={review} showProduct>
+                <div className="flex items-center gap-2 text-xs">
+                  <span className={`px-2.5 py-0.5 rounded-full font-medium capitalize ${STATUS_CLASSES[review.status] || 'bg-slate-100 text-slate-800'}`}>
+                    {review.status}
+                  </span>
+                  {review.moderated_at && (
+                    <span className="text-slate-500">
+                      {new Date(review.moderated_at).toLocaleString()}
+                      {review.moderation_note ? ` · ${review.moderation_note}` : ''}
+                    </span>
+                  )}
+                </div>
+                <ModerationControls review={review} onModerated={loadReviews} />
+              </ReviewCard>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {totalPages > 1 && (
+        <Pagination currentPage={currentPage} totalPages={totalPages} onPageChange={handlePageChange} />
+      )}
+    </div>
+  );
+};
+
+export default AdminReviewListPage;
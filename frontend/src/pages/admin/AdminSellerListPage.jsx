@@ -0,0 +1,463 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { Helmet } from 'react-helmet';
+import toast from 'react-hot-toast';
+import { FiSearch, FiChevronDown, FiChevronUp } from 'react-icons/fi';
+import Spinner from '../../components/common/Spinner';
+import ErrorMessage from '../../components/common/ErrorMessage';
+import Pagination from '../../components/common/Pagination';
+import { fetchAdminSellers, reviewSeller, reviewSellerDocument } from '../../services/sellerApi';
+import {
+  SELLER_DOCUMENT_TYPES,
+  SELLER_DOCUMENT_STATUSES,
+  VERIFICATION_LEVELS,
+  getDocumentStatus,
+} from '../../utils/sellerVerification';
+
+const STATUS_FILTERS = [
+  { id: 'pending_approval', label: 'Pending' },
+  { id: 'needs_info', label: 'Needs info' },
+  { id: 'active', label: 'Active' },
+  { id: 'suspended', label: 'Suspended' },
+  { id: 'rejected', label: 'Rejected' },
+  { id: '', label: 'All' },
+];
+
+const STATUS_LABELS = {
+  pending_approval: 'Pending',
+  needs_info: 'Needs info',
+  active: 'Active',
+  suspended: 'Suspended',
+  rejected: 'Rejected',
+};
+
+const STATUS_CLASSES = {
+  pending_approval: 'bg-amber-100 text-amber-800',
+  needs_info: 'bg-sky-100 text-sky-800',
+  active: 'bg-emerald-100 text-emerald-800',
+  suspended: 'bg-orange-100 text-orange-800',
+  rejected: 'bg-red-100 text-red-800',
+};
+
+// Actions per store status; the ones marked needsNote are refused without a reason (review_seller_application)
+const ACTIONS = {
+  approve: { label: 'Approve', success: 'Seller approved.', from: ['pending_approval', 'needs_info', 'rejected'], primary: true },
+  request_info: { label: 'Request info', success: 'Information requested.', from: ['pending_approval'], needsNote: true },
+  reject: { label: 'Reject', success: 'Application rejected.', from: ['pending_approval', 'needs_info'], needsNote: true, danger: true },
+  suspend: { label: 'Suspend', success: 'Store suspended.', from: ['active'], needsNote: true, danger: true },
+  reinstate: { label: 'Reinstate', success: 'Store reinstated.', from: ['suspended'], primary: true },
+};
+
+const BUSINESS_TYPE_LABELS = {
+  individual: 'Individual Seller',
+  sole_proprietorship: 'Sole Proprietorship',
+  partnership: 'Partnership',
+  corporation: 'Corporation',
+  llc: 'LLC',
+};
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : '—');
+
+const Detail = ({ label, children }) => (
+  <div>
+    <dt className="text-xs font-medium uppercase tracking-wide text-slate-500">{label}</dt>
+    <dd className="mt-0.5 text-sm text-slate-800 break-words">{children || '—'}</dd>
+  </div>
+);
+
+const VERIFICATION_CLASSES = {
+  none: 'bg-slate-100 text-slate-700',
+  basic: 'bg-sky-100 text-sky-800',
+  full: 'bg-emerald-100 text-emerald-800',
+};
+
+// One KYC document with verify/reject controls; the expiry date can be corrected while verifying
+const DocumentReview = ({ type, document, onReviewed }) => {
+  const [note, setNote] = useState('');
+  const [expiresAt, setExpiresAt] = useState(document?.expires_at || '');
+  const [submitting, setSubmitting] = useState(null);
+
+  if (!document) {
+    return (
+      <li className="flex items-center justify-between py-2 text-sm">
+        <span className="font-medium text-slate-800">{type.label}</span>
+        <span className="text-slate-400">Not uploaded</span>
+      </li>
+    );
+  }
+
+  const status = getDocumentStatus(document);
+
+  const handleReview = async (decision) => {
+    if (decision === 'rejected' && !note.trim()) {
+      toast.error('Please give the seller a reason.');
+      return;
+    }
+    setSubmitting(decision);
+    try {
+      await reviewSellerDocument(document.id, { status: decision, note: note.trim() || undefined, expiresAt: expiresAt || undefined });
+      toast.success(decision === 'verified' ? `${type.label} verified.` : `${type.label} rejected.`);
+      setNote('');
+      onReviewed?.();
+    } catch (err) {
+      toast.error(err.message || 'Could not update this document.');
+    } finally {
+      setSubmitting(null);
+    }
+  };
+
+  return (
+    <li className="py-3 space-y-2">
+      <div className="flex flex-wrap items-center gap-2 text-sm">
+        <span className="font-medium text-slate-800">{type.label}</span>
+        <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${SELLER_DOCUMENT_STATUSES[status]?.className || 'bg-slate-100 text-slate-800'}`}>
+          {SELLER_DOCUMENT_STATUSES[status]?.label || status}
+        </span>
+        {document.url && (
+          <a href={document.url} target="_blank" rel="noopener noreferrer" className="text-slate-900 underline">
+            {document.file_name || 'Open file'}
+          </a>
+        )}
+        <span className="text-slate-500">uploaded {formatDate(document.updated_at || document.created_at)}</span>
+        {document.review_note && <span className="text-slate-500">· {document.review_note}</span>}
+      </div>
+      <div className="flex flex-wrap items-center gap-2">
+        <label className="text-xs text-slate-500" htmlFor={`expires-${document.id}`}>Expires</label>
+        <input
+          id={`expires-${document.id}`}
+          type="date"
+          value={expiresAt}
+          onChange={(e) => setExpiresAt(e.target.value)}
+          className="px-2 py-1.5 border border-slate-300 rounded-md text-sm focus:ring-slate-500 focus:border-slate-500"
+        />
+        <input
+          type="text"
+          value={note}
+          onChange={(e) => setNote(e.target.value)}
+          placeholder="Reason (required to reject)"
+          className="flex-1 min-w-[200px] px-3 py-1.5 border border-slate-300 rounded-md text-sm focus:ring-slate-500 focus:border-slate-500"
+        />
+        {status !== 'verified' && (
+          <button
+            type="button"
+            onClick={() => handleReview('verified')}
+            disabled={!!submitting}
+            className="inline-flex items-center gap-2 px-3 py-1.5 rounded-md bg-slate-900 text-white text-sm font-medium hover:bg-slate-700 disabled:opacity-60"
+          >
+            {submitting === 'verified' && <Spinner size="sm" />}
+            Verify
+          </button>
+        )}
+        {status !== 'rejected' && (
+          <button
+            type="button"
+            onClick={() => handleReview('rejected')}
+            disabled={!!submitting}
+            className="inline-flex items-center gap-2 px-3 py-1.5 rounded-md border border-red-300 text-red-700 text-sm font-medium hover:bg-red-50 disabled:opacity-60"
+          >
+            {submitting === 'rejected' && <Spinner size="sm" />}
+            Reject
+          </button>
+        )}
+      </div>
+    </li>
+  );
+};
+
+// Decision controls under an application; the reason is emailed to the applicant and shown on their seller pages
+const ReviewControls = ({ seller, onReviewed }) => {
+  const [note, setNote] = useState('');
+  const [submitting, setSubmitting] = useState(null);
+  const available = Object.entries(ACTIONS).filter(([, action]) => action.from.includes(seller.status));
+
+  const handleReview = async (actionId) => {
+    const action = ACTIONS[actionId];
+    if (action.needsNote && !note.trim()) {
+      toast.error('Please give the applicant a reason.');
+      return;
+    }
+    setSubmitting(actionId);
+    try {
+      await reviewSeller(seller.id, { action: actionId, note: note.trim() || undefined });
+      toast.success(action.success);
+      setNote('');
+      onReviewed?.();
+    } catch (err) {
+      toast.error(err.message || 'Could not update this seller.');
+    } finally {
+      setSubmitting(null);
+    }
+  };
+
+  if (available.length === 0) return null;
+
+  return (
+    <div className="flex flex-wrap items-center gap-3 pt-4 border-t border-slate-100">
+      <input
+        type="text"
+        value={note}
+        onChange={(e) => setNote(e.target.value)}
+        placeholder="Reason (required to reject, request info or suspend)"
+        className="flex-1 min-w-[240px] px-3 py-2 border border-slate-300 rounded-md text-sm focus:ring-slate-500 focus:border-slate-500"
+      />
+      {available.map(([actionId, action]) => (
+        <button
+          key={actionId}
+          type="button"
+          onClick={() => handleReview(actionId)}
+          disabled={!!submitting}
+          className={`inline-flex items-center gap-2 px-4 py-2 rounded-md text-sm font-medium disabled:opacity-60 ${
+            action.primary
+              ? 'bg-slate-900 text-white hover:bg-slate-700'
+              : action.danger
+                ? 'border border-red-300 text-red-700 hover:bg-red-50'
+                : 'border border-slate-300 text-slate-700 hover:bg-slate-50'
+          }`}
+        >
+          {submitting === actionId && <Spinner size="sm" />}
+          {action.label}
+        </button>
+      ))}
+    </div>
+  );
+};
+
+const SellerCard = ({ seller, onReviewed }) => {
+  const [showHistory, setShowHistory] = useState(false);
+  const history = seller.status_history || [];
+  const documentsByType = new Map((seller.documents || []).map(document => [document.document_type, document]));
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border border-slate-200 p-6 space-y-4">
+      <div className="flex flex-wrap items-start justify-between gap-3">
+        <div>
+          <h2 className="text-lg font-semibold text-slate-900">{seller.store_name}</h2>
+          <p className="text-sm text-slate-500">
+            {seller.account_email || seller.contact_email} · Submitted {formatDate(seller.submitted_at || seller.created_at)}
+          </p>
+        </div>
+        <div className="flex items-center gap-2">
+          <span className={`px-2.5 py-0.5 rounded-full text-xs font-medium ${VERIFICATION_CLASSES[seller.verification_level] || VERIFICATION_CLASSES.none}`}>
+            {VERIFICATION_LEVELS[seller.verification_level]?.label || VERIFICATION_LEVELS.none.label}
+          </span>
+          <span className={`px-2.5 py-0.5 rounded-full text-xs font-medium ${STATUS_CLASSES[seller.status] || 'bg-slate-100 text-slate-800'}`}>
+            {STATUS_LABELS[seller.status] || seller.status}
+          </span>
+        </div>
+      </div>
+
+      {seller.store_description && <p className="text-sm text-slate-700 whitespace-pre-line">{seller.store_description}</p>}
+
+      <dl className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
+        <Detail label="Business type">{BUSINESS_TYPE_LABELS[seller.business_type] || seller.business_type}</Detail>
+        <Detail label="Registration number">{seller.business_registration_number}</Detail>
+        <Detail label="Tax ID (TIN)">{seller.tax_id}</Detail>
+        <Detail label="Contact">
+          {[seller.contact_email, seller.contact_phone].filter(Boolean).join(' · ')}
+        </Detail>
+        <Detail label="Address">{seller.business_address}</Detail>
+        <Detail label="Bank">
+          {[seller.bank_name, seller.account_holder_name, seller.bank_account_number].filter(Boolean).join(' · ')}
+        </Detail>
+        <Detail label="Website">
+          {seller.website_url && (
+            <a href={seller.website_url} target="_blank" rel="noopener noreferrer" className="text-slate-900 underline">
+              {seller.website_url}
+            </a>
+          )}
+        </Detail>
+        <Detail label="Social media">{seller.social_media_links}</Detail>
+        <Detail label="Commission">{seller.commission_rate != null ? `${(seller.commission_rate * 100).toFixed(0)}%` : null}</Detail>
+      </dl>
+
+      <div>
+        <h3 className="text-sm font-semibold text-slate-900">Documents</h3>
+        <ul className="divide-y divide-slate-100">
+          {SELLER_DOCUMENT_TYPES.map(type => (
+            <DocumentReview
+              key={`${type.id}-${documentsByType.get(type.id)?.updated_at || ''}`}
+              type={type}
+              document={documentsByType.get(type.id)}
+              onReviewed={onReviewed}
+            />
+          ))}
+        </ul>
+      </div>
+
+      {seller.review_note && (
+        <p className="text-sm text-slate-600 bg-slate-50 border border-slate-200 rounded-md px-3 py-2">
+          <span className="font-medium">Last reason given:</span> {seller.review_note}
+          {seller.reviewed_at && <span className="text-slate-500"> ({formatDate(seller.reviewed_at)})</span>}
+        </p>
+      )}
+
+      {history.length > 0 && (
+        <div>
+          <button
+            type="button"
+            onClick={() => setShowHistory(open => !open)}
+            className="inline-flex items-center gap-1 text-sm text-slate-600 hover:text-slate-900"
+          >
+            {showHistory ? <FiChevronUp className="h-4 w-4" /> : <FiChevronDown className="h-4 w-4" />}
+            History ({history.length})
+          </button>
+          {showHistory && (
+            <ul className="mt-2 space-y-1 text-sm text-slate-600">
+              {history.map(entry => (
+                <li key={entry.id}>
+                  <span className="text-slate-500">{formatDate(entry.created_at)}</span>
+                  {' · '}
+                  {STATUS_LABELS[entry.from_status] || entry.from_status || 'New'} → {STATUS_LABELS[entry.to_status] || entry.to_status}
+                  {' · '}
+                  {entry.changed_by_email || (entry.changed_by ? 'Admin' : 'Applicant')}
+                  {entry.note ? ` · ${entry.note}` : ''}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+
+      <ReviewControls seller={seller} onReviewed={onReviewed} />
+    </div>
+  );
+};
+
+const AdminSellerListPage = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const currentPage = parseInt(searchParams.get('page') || '1', 10);
+  const currentStatus = searchParams.get('status') ?? 'pending_approval';
+  const [searchTerm, setSearchTerm] = useState(searchParams.get('search') || '');
+
+  const [sellers, setSellers] = useState([]);
+  const [totalPages, setTotalPages] = useState(1);
+  const [totalSellers, setTotalSellers] = useState(0);
+  const [pendingCount, setPendingCount] = useState(0);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadSellers = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await fetchAdminSellers({
+        page: currentPage,
+        limit: 10,
+        status: currentStatus || undefined,
+        search: searchTerm || undefined,
+      });
+      setSellers(response.data || []);
+      setTotalPages(response.totalPages || 1);
+      setTotalSellers(response.count || 0);
+      setPendingCount(response.pendingCount || 0);
+    } catch (err) {
+      setError(err.message || 'Failed to load sellers.');
+    } finally {
+      setLoading(false);
+    }
+  }, [currentPage, currentStatus, searchTerm]);
+
+  useEffect(() => {
+    loadSellers();
+  }, [loadSellers]);
+
+  const handleStatusChange = (status) => {
+    setSearchParams(prev => {
+      const newParams = new URLSearchParams(prev);
+      newParams.set('status', status);
+      newParams.set('page', '1');
+      return newParams;
+    }, { replace: true });
+  };
+
+  const handleSearchChange = (e) => {
+    const newSearchTerm = e.target.value;
+    setSearchTerm(newSearchTerm);
+    setSearchParams(prev => {
+      const newParams = new URLSearchParams(prev);
+      if (newSearchTerm) {
+        newParams.set('search', newSearchTerm);
+      } else {
+        newParams.delete('search');
+      }
+      newParams.set('page', '1');
+      return newParams;
+    }, { replace: true });
+  };
+
+  const handlePageChange = (newPage) => {
+    if (newPage >= 1 && newPage <= totalPages) {
+      setSearchParams((prev) => {
+        const newParams = new URLSearchParams(prev);
+        newParams.set('page', newPage.toString());
+        return newParams;
+      }, { replace: true });
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <Helmet>
+        <title>Admin Sellers | SuriAddis</title>
+        <meta name="description" content="Admin: Review seller applications and manage stores in the SuriAddis marketplace." />
+      </Helmet>
+      <div>
+        <h1 className="text-2xl font-semibold text-slate-900">Sellers</h1>
+        <p className="text-slate-500 mt-1">
+          {loading ? 'Loading sellers...' : `${totalSellers} seller${totalSellers !== 1 ? 's' : ''} found · ${pendingCount} application${pendingCount !== 1 ? 's' : ''} awaiting review`}
+        </p>
+      </div>
+
+      <div className="flex flex-col sm:flex-row sm:items-center gap-4">
+        <div className="relative flex-grow sm:max-w-xs">
+          <FiSearch className="absolute left-3 top-1/2 -translate-y-1/2 h-4 w-4 text-slate-400 pointer-events-none" />
+          <input
+            type="search"
+            placeholder="Search by store, email or TIN..."
+            className="w-full pl-9 pr-4 py-2 border border-slate-200 rounded-lg focus:outline-none focus:ring-1 focus:ring-slate-400 focus:border-slate-400 text-sm"
+            value={searchTerm}
+            onChange={handleSearchChange}
+          />
+        </div>
+        <div className="flex flex-wrap gap-2">
+          {STATUS_FILTERS.map(filter => (
+            <button
+              key={filter.label}
+              type="button"
+              onClick={() => handleStatusChange(filter.id)}
+              className={`px-3 py-1.5 rounded-full text-sm ${
+                currentStatus === filter.id ? 'bg-slate-900 text-white' : 'bg-white border border-slate-200 text-slate-600 hover:border-slate-400'
+              }`}
+            >
+              {filter.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {error && <ErrorMessage message={error} />}
+
+      {loading && sellers.length === 0 ? (
+        <div className="flex justify-center items-center p-12 min-h-[200px]">
+          <Spinner />
+        </div>
+      ) : sellers.length === 0 ? (
+        <div className="bg-white rounded-lg shadow-sm border border-slate-200 p-12 text-center text-sm text-slate-500">
+          No sellers here.
+        </div>
+      ) : (
+        <div className="space-y-4">
+          {sellers.map(seller => (
+            <SellerCard key={seller.id} seller={seller} onReviewed={loadSellers} />
+          ))}
+        </div>
+      )}
+
+      {totalPages > 1 && (
+        <Pagination currentPage={currentPage} totalPages={totalPages} onPageChange={handlePageChange} />
+      )}
+    </div>
+  );
+};
+
+export default AdminSellerListPage;
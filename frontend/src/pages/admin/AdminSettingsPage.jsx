@@ -1,4 +1,5 @@
 import React from 'react';
+import { Link } from 'react-router-dom';
 // Updated icons: Replaced FiStore with FiHome
 import { FiSave, FiHome, FiCreditCard, FiTruck, FiUser } from 'react-icons/fi';
 
@@ -77,12 +78,11 @@ const AdminSettingsPage = () => {
 
       {/* Shipping Options */}
       <SettingsCard title="Shipping Options" description="Set up shipping zones and rates" icon={FiTruck}>
-        {/* Placeholder content */}
-        <p className="text-sm text-slate-500">Shipping zone and rate settings will appear here.</p>
-         <div className="flex justify-end pt-4">
-          <button type="button" className="flex items-center gap-2 px-4 py-2 rounded-md bg-slate-900 text-white hover:bg-slate-800 text-sm">
+        <p className="text-sm text-slate-500">Delivery zones, shipping methods and the rates charged at checkout.</p>
+        <div className="flex justify-end pt-4">
+          <Link to="/admin/shipping" className="flex items-center gap-2 px-4 py-2 rounded-md bg-slate-900 text-white hover:bg-slate-800 text-sm">
             Manage Shipping
-          </button>
+          </Link>
         </div>
       </SettingsCard>
 
@@ -0,0 +1,530 @@
+import React, { useState, useEffect } from 'react';
+import { Helmet } from 'react-helmet';
+import toast from 'react-hot-toast';
+import { FiEdit2, FiTrash2, FiPlus, FiMapPin, FiTruck, FiDollarSign } from 'react-icons/fi';
+import Spinner from '../../components/common/Spinner';
+import ErrorMessage from '../../components/common/ErrorMessage';
+import { fetchAdminShipping, saveAdminShipping, deleteAdminShipping } from '../../services/shippingApi';
+import { ADDIS_ABABA_SUB_CITIES } from '../../utils/addresses';
+import { formatETB } from '../../utils/utils';
+
+const KIND_LABELS = { standard: 'Standard', express: 'Express', pickup: 'Pickup point' };
+
+// Form values (camelCase, as save-admin-shipping takes them) for a new or existing row
+const toFormValues = {
+  zone: (row = {}) => ({
+    name: row.name || '',
+    description: row.description || '',
+    subCities: row.sub_cities || [],
+    cities: (row.cities || []).join(', '),
+    position: row.position ?? 0,
+    isActive: row.is_active ?? true,
+  }),
+  method: (row = {}) => ({
+    code: row.code || '',
+    name: row.name || '',
+    kind: row.kind || 'standard',
+    description: row.description || '',
+    pickupLocation: row.pickup_location || '',
+    position: row.position ?? 0,
+    isActive: row.is_active ?? true,
+  }),
+  rate: (row = {}) => ({
+    methodId: row.method_id || '',
+    zoneId: row.zone_id || '',
+    baseFee: row.base_fee ?? 0,
+    includedWeightKg: row.included_weight_kg ?? 0,
+    perKgFee: row.per_kg_fee ?? 0,
+    maxWeightKg: row.max_weight_kg ?? '',
+    minOrderValue: row.min_order_value ?? 0,
+    freeShippingThreshold: row.free_shipping_threshold ?? '',
+    minDays: row.min_days ?? 1,
+    maxDays: row.max_days ?? 3,
+    isActive: row.is_active ?? true,
+  }),
+};
+
+const inputClass =
+  'block w-full px-4 py-2 border border-slate-200 rounded-lg focus:outline-none focus:ring-1 focus:ring-slate-400 focus:border-slate-400 text-sm';
+const labelClass = 'block text-sm font-medium text-slate-700 mb-1';
+const thClass = 'px-6 py-3 text-left text-xs font-medium text-slate-500 uppercase tracking-wider';
+const tdClass = 'px-6 py-4 text-sm text-slate-700';
+
+const StatusBadge = ({ active }) => (
+  <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${active ? 'bg-green-50 text-green-700' : 'bg-slate-100 text-slate-600'}`}>
+    {active ? 'Active' : 'Inactive'}
+  </span>
+);
+
+const Section = ({ title, description, icon: Icon, onAdd, addLabel, children }) => (
+  <div className="bg-white rounded-lg shadow-sm border border-slate-200 overflow-hidden">
+    <div className="p-6 border-b border-slate-100 flex flex-col sm:flex-row sm:items-start justify-between gap-4">
+      <div className="flex items-start gap-4">
+        {Icon && <Icon className="h-6 w-6 text-slate-500 mt-1 flex-shrink-0" />}
+        <div>
+          <h2 className="text-lg font-semibold text-slate-900">{title}</h2>
+          <p className="text-sm text-slate-500 mt-1">{description}</p>
+        </div>
+      </div>
+      <button
+        type="button"
+        onClick={onAdd}
+        className="flex items-center justify-center gap-2 px-4 py-2 rounded-md bg-slate-900 text-white hover:bg-slate-800 text-sm whitespace-nowrap"
+      >
+        <FiPlus size={16} />
+        {addLabel}
+      </button>
+    </div>
+    {children}
+  </div>
+);
+
+const RowActions = ({ onEdit, onDelete, busy }) => (
+  <div className="flex items-center justify-end gap-4">
+    <button type="button" onClick={onEdit} className="text-slate-600 hover:text-slate-900 transition-colors" title="Edit">
+      <FiEdit2 size={16} />
+    </button>
+    <button
+      type="button"
+      onClick={onDelete}
+      disabled={busy}
+      className={`text-slate-600 hover:text-red-600 transition-colors ${busy ? 'opacity-50 cursor-not-allowed' : ''}`}
+      title="Delete"
+    >
+      {busy ? <Spinner size="xs" /> : <FiTrash2 size={16} />}
+    </button>
+  </div>
+);
+
+const AdminShippingPage = () => {
+  const [zones, setZones] = useState([]);
+  const [methods, setMethods] = useState([]);
+  const [rates, setRates] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  // null, or the row being added/edited: { resource: 'zone' | 'method' | 'rate', id: null | string, values }
+  const [editor, setEditor] = useState(null);
+  const [editorError, setEditorError] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [deletingId, setDeletingId] = useState(null);
+
+  const loadShipping = async () => {
+    try {
+      const response = await fetchAdminShipping();
+      setZones(response.data?.zones || []);
+      setMethods(response.data?.methods || []);
+      setRates(response.data?.rates || []);
+      setError(null);
+    } catch (err) {
+      setError(err.message || 'Failed to load shipping settings.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadShipping();
+  }, []);
+
+  const openEditor = (resource, row = null) => {
+    setEditor({ resource, id: row?.id || null, values: toFormValues[resource](row || undefined) });
+    setEditorError(null);
+  };
+
+  const setValue = (name, value) => setEditor(prev => ({ ...prev, values: { ...prev.values, [name]: value } }));
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setValue(name, type === 'checkbox' ? checked : value);
+  };
+
+  const toggleSubCity = (subCity) =>
+    setValue('subCities', editor.values.subCities.includes(subCity)
+      ? editor.values.subCities.filter(name => name !== subCity)
+      : [...editor.values.subCities, subCity]);
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setEditorError(null);
+    const { resource, id, values } = editor;
+    const body = resource === 'zone'
+      ? { ...values, cities: values.cities.split(/[,\n]/).map(city => city.trim()).filter(Boolean) }
+      : values;
+    setSaving(true);
+    try {
+      await saveAdminShipping(resource, id, body);
+      toast.success(id ? 'Changes saved' : 'Added');
+      setEditor(null);
+      await loadShipping();
+    } catch (err) {
+      setEditorError(err.message || 'Could not save.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (resource, row, label) => {
+    const warning = resource === 'rate' ? '' : ' Its rates will be deleted too.';
+    if (!window.confirm(`Delete ${label}?${warning} Past orders are not affected.`)) return;
+    setDeletingId(row.id);
+    try {
+      await deleteAdminShipping(resource, row.id);
+      toast.success(`${label} deleted`);
+      if (editor?.id === row.id) setEditor(null);
+      await loadShipping();
+    } catch (err) {
+      toast.error(err.message || 'Failed to delete.');
+    } finally {
+      setDeletingId(null);
+    }
+  };
+
+  const zoneName = (id) => zones.find(zone => zone.id === id)?.name || 'Unknown zone';
+  const methodName = (id) => methods.find(method => method.id === id)?.name || 'Unknown method';
+
+  const renderEditor = (resource) => {
+    if (editor?.resource !== resource) return null;
+    const { values } = editor;
+    return (
+      <form onSubmit={handleSave} className="p-6 border-b border-slate-100 bg-slate-50 space-y-4">
+        <h3 className="text-sm font-semibold text-slate-900">
+          {editor.id ? 'Edit' : 'New'} {resource === 'zone' ? 'delivery zone' : resource === 'method' ? 'shipping method' : 'rate'}
+        </h3>
+        {editorError && <ErrorMessage message={editorError} />}
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          {resource === 'zone' && (
+            <>
+              <div>
+                <label htmlFor="zone-name" className={labelClass}>Name *</label>
+                <input id="zone-name" name="name" value={values.name} onChange={handleChange} className={inputClass} required />
+              </div>
+              <div>
+                <label htmlFor="zone-description" className={labelClass}>Description</label>
+                <input id="zone-description" name="description" value={values.description} onChange={handleChange} className={inputClass} />
+              </div>
+              <div className="md:col-span-2">
+                <p className={labelClass}>Addis Ababa sub-cities</p>
+                <div className="grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-4 gap-2 border border-slate-200 rounded-lg p-3 bg-white">
+                  {ADDIS_ABABA_SUB_CITIES.map(subCity => (
+                    <label key={subCity} className="flex items-center gap-2 text-sm text-slate-700">
+                      <input
+                        type="checkbox"
+                        checked={values.subCities.includes(subCity)}
+                        onChange={() => toggleSubCity(subCity)}
+                        className="rounded border-slate-300"
+                      />
+                      {subCity}
+                    </label>
+                  ))}
+                </div>
+              </div>
+              <div className="md:col-span-2">
+                <label htmlFor="zone-cities" className={labelClass}>Other cities</label>
+                <textarea
+                  id="zone-cities"
+                  name="cities"
+                  rows={2}
+                  value={values.cities}
+                  onChange={handleChange}
+                  placeholder="Adama, Hawassa, Bahir Dar"
+                  className={inputClass}
+                />
+                <p className="text-xs text-slate-500 mt-1">Comma separated. Addresses outside Addis Ababa are matched on city.</p>
+              </div>
+            </>
+          )}
+          {resource === 'method' && (
+            <>
+              <div>
+                <label htmlFor="method-name" className={labelClass}>Name *</label>
+                <input id="method-name" name="name" value={values.name} onChange={handleChange} className={inputClass} required />
+              </div>
+              <div>
+                <label htmlFor="method-code" className={labelClass}>Code *</label>
+                <input
+                  id="method-code"
+                  name="code"
+                  value={values.code}
+                  onChange={handleChange}
+                  placeholder="e.g. express"
+                  className={`${inputClass} font-mono`}
+                  required
+                />
+              </div>
+              <div>
+                <label htmlFor="method-kind" className={labelClass}>Type *</label>
+                <select id="method-kind" name="kind" value={values.kind} onChange={handleChange} className={inputClass}>
+                  {Object.entries(KIND_LABELS).map(([kind, label]) => <option key={kind} value={kind}>{label}</option>)}
+                </select>
+              </div>
+              <div>
+                <label htmlFor="method-description" className={labelClass}>Description</label>
+                <input id="method-description" name="description" value={values.description} onChange={handleChange} className={inputClass} />
+              </div>
+              {values.kind === 'pickup' && (
+                <div className="md:col-span-2">
+                  <label htmlFor="method-pickup" className={labelClass}>Pickup location *</label>
+                  <input
+                    id="method-pickup"
+                    name="pickupLocation"
+                    value={values.pickupLocation}
+                    onChange={handleChange}
+                    className={inputClass}
+                    required
+                  />
+                </div>
+              )}
+            </>
+          )}
+          {resource === 'rate' && (
+            <>
+              <div>
+                <label htmlFor="rate-method" className={labelClass}>Method *</label>
+                <select id="rate-method" name="methodId" value={values.methodId} onChange={handleChange} className={inputClass} required>
+                  <option value="">Select method</option>
+                  {methods.map(method => <option key={method.id} value={method.id}>{method.name}</option>)}
+                </select>
+              </div>
+              <div>
+                <label htmlFor="rate-zone" className={labelClass}>Zone *</label>
+                <select id="rate-zone" name="zoneId" value={values.zoneId} onChange={handleChange} className={inputClass} required>
+                  <option value="">Select zone</option>
+                  {zones.map(zone => <option key={zone.id} value={zone.id}>{zone.name}</option>)}
+                </select>
+              </div>
+              {[
+                ['baseFee', 'Base fee (ETB)', '0.01'],
+                ['perKgFee', 'Fee per extra kg (ETB)', '0.01'],
+                ['includedWeightKg', 'Weight included in base fee (kg)', '0.001'],
+                ['maxWeightKg', 'Maximum weight (kg, blank for none)', '0.001'],
+                ['minOrderValue', 'Minimum order value (ETB)', '0.01'],
+                ['freeShippingThreshold', 'Free shipping from (ETB, blank for never)', '0.01'],
+                ['minDays', 'Delivery days, from *', '1'],
+                ['maxDays', 'Delivery days, to *', '1'],
+              ].map(([name, label, step]) => (
+                <div key={name}>
+                  <label htmlFor={`rate-${name}`} className={labelClass}>{label}</label>
+                  <input
+                    id={`rate-${name}`}
+                    type="number"
+                    min="0"
+                    step={step}
+                    name={name}
+                    value={values[name]}
+                    onChange={handleChange}
+                    className={inputClass}
+                  />
+                </div>
+              ))}
+            </>
+          )}
+          {resource !== 'rate' && (
+            <div>
+              <label htmlFor={`${resource}-position`} className={labelClass}>Sort order</label>
+              <input
+                id={`${resource}-position`}
+                type="number"
+                step="1"
+                name="position"
+                value={values.position}
+                onChange={handleChange}
+                className={inputClass}
+              />
+            </div>
+          )}
+          <label className="flex items-center gap-2 text-sm text-slate-700 self-end">
+            <input type="checkbox" name="isActive" checked={values.isActive} onChange={handleChange} className="rounded border-slate-300" />
+            Active
+          </label>
+        </div>
+        <div className="flex gap-3">
+          <button
+            type="submit"
+            disabled={saving}
+            className="flex items-center gap-2 px-4 py-2 rounded-md bg-slate-900 text-white hover:bg-slate-800 text-sm disabled:opacity-50"
+          >
+            {saving && <Spinner size="xs" />}
+            Save
+          </button>
+          <button
+            type="button"
+            onClick={() => setEditor(null)}
+            className="px-4 py-2 rounded-md border border-slate-200 text-slate-700 hover:bg-slate-100 text-sm"
+          >
+            Cancel
+          </button>
+        </div>
+      </form>
+    );
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center h-64">
+        <Spinner />
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <Helmet>
+        <title>Admin Shipping | SuriAddis</title>
+        <meta name="description" content="Admin: Manage delivery zones, shipping methods and rates in the SuriAddis store." />
+      </Helmet>
+      <div>
+        <h1 className="text-2xl font-semibold text-slate-900">Shipping</h1>
+        <p className="text-slate-500 mt-1">
+          Customers see a method at checkout when it has an active rate for the zone their address falls in.
+        </p>
+      </div>
+
+      {error && <ErrorMessage message={error} />}
+
+      <Section
+        title="Delivery Zones"
+        description="Addis Ababa addresses match on sub-city, other addresses on city. The first matching zone wins."
+        icon={FiMapPin}
+        onAdd={() => openEditor('zone')}
+        addLabel="Add Zone"
+      >
+        {renderEditor('zone')}
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-slate-100">
+            <thead className="bg-slate-50">
+              <tr>
+                <th className={thClass}>Zone</th>
+                <th className={thClass}>Covers</th>
+                <th className={thClass}>Status</th>
+                <th className={`${thClass} text-right`}>Actions</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-slate-100">
+              {zones.map(zone => (
+                <tr key={zone.id}>
+                  <td className={`${tdClass} font-medium text-slate-900`}>
+                    {zone.name}
+                    {zone.description && <span className="block text-xs font-normal text-slate-500">{zone.description}</span>}
+                  </td>
+                  <td className={tdClass}>{[...(zone.sub_cities || []), ...(zone.cities || [])].join(', ')}</td>
+                  <td className={tdClass}><StatusBadge active={zone.is_active} /></td>
+                  <td className={tdClass}>
+                    <RowActions
+                      onEdit={() => openEditor('zone', zone)}
+                      onDelete={() => handleDelete('zone', zone, zone.name)}
+                      busy={deletingId === zone.id}
+                    />
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {zones.length === 0 && <p className="p-6 text-sm text-slate-500">No delivery zones yet.</p>}
+        </div>
+      </Section>
+
+      <Section
+        title="Shipping Methods"
+        description="What customers choose between at checkout."
+        icon={FiTruck}
+        onAdd={() => openEditor('method')}
+        addLabel="Add Method"
+      >
+        {renderEditor('method')}
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-slate-100">
+            <thead className="bg-slate-50">
+              <tr>
+                <th className={thClass}>Method</th>
+                <th className={thClass}>Type</th>
+                <th className={thClass}>Status</th>
+                <th className={`${thClass} text-right`}>Actions</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-slate-100">
+              {methods.map(method => (
+                <tr key={method.id}>
+                  <td className={`${tdClass} font-medium text-slate-900`}>
+                    {method.name} <span className="font-mono text-xs text-slate-400">{method.code}</span>
+                    {(method.pickup_location || method.description) && (
+                      <span className="block text-xs font-normal text-slate-500">{method.pickup_location || method.description}</span>
+                    )}
+                  </td>
+                  <td className={tdClass}>{KIND_LABELS[method.kind] || method.kind}</td>
+                  <td className={tdClass}><StatusBadge active={method.is_active} /></td>
+                  <td className={tdClass}>
+                    <RowActions
+                      onEdit={() => openEditor('method', method)}
+                      onDelete={() => handleDelete('method', method, method.name)}
+                      busy={deletingId === method.id}
+                    />
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {methods.length === 0 && <p className="p-6 text-sm text-slate-500">No shipping methods yet.</p>}
+        </div>
+      </Section>
+
+      <Section
+        title="Rates"
+        description="Fee = base fee + fee per started kg over the included weight, free from the threshold (subtotal before discounts). Products without a weight count as 0.5 kg."
+        icon={FiDollarSign}
+        onAdd={() => openEditor('rate')}
+        addLabel="Add Rate"
+      >
+        {renderEditor('rate')}
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-slate-100">
+            <thead className="bg-slate-50">
+              <tr>
+                <th className={thClass}>Method / Zone</th>
+                <th className={thClass}>Fee</th>
+                <th className={`${thClass} hidden md:table-cell`}>Free From</th>
+                <th className={`${thClass} hidden md:table-cell`}>Days</th>
+                <th className={thClass}>Status</th>
+                <th className={`${thClass} text-right`}>Actions</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-slate-100">
+              {rates.map(rate => (
+                <tr key={rate.id}>
+                  <td className={`${tdClass} font-medium text-slate-900`}>
+                    {methodName(rate.method_id)}
+                    <span className="block text-xs font-normal text-slate-500">{zoneName(rate.zone_id)}</span>
+                  </td>
+                  <td className={tdClass}>
+                    {formatETB(rate.base_fee)}
+                    {Number(rate.per_kg_fee) > 0 && (
+                      <span className="block text-xs text-slate-500">
+                        +{formatETB(rate.per_kg_fee)}/kg over {Number(rate.included_weight_kg)} kg
+                      </span>
+                    )}
+                  </td>
+                  <td className={`${tdClass} hidden md:table-cell`}>
+                    {rate.free_shipping_threshold ? formatETB(rate.free_shipping_threshold) : '—'}
+                  </td>
+                  <td className={`${tdClass} hidden md:table-cell`}>
+                    {rate.min_days === rate.max_days ? rate.min_days : `${rate.min_days}-${rate.max_days}`}
+                  </td>
+                  <td className={tdClass}><StatusBadge active={rate.is_active} /></td>
+                  <td className={tdClass}>
+                    <RowActions
+                      onEdit={() => openEditor('rate', rate)}
+                      onDelete={() => handleDelete('rate', rate, `the ${methodName(rate.method_id)} rate for ${zoneName(rate.zone_id)}`)}
+                      busy={deletingId === rate.id}
+                    />
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {rates.length === 0 && <p className="p-6 text-sm text-slate-500">No rates yet.</p>}
+        </div>
+      </Section>
+    </div>
+  );
+};
+
+export default AdminShippingPage;
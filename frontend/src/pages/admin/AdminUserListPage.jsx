@@ -12,6 +12,7 @@ const getRoleBadgeClass = (role) => {
     switch (role?.toLowerCase()) {
         case 'admin': return 'bg-purple-100 text-purple-800';
         case 'customer': return 'bg-green-100 text-green-800';
+        case 'rider': return 'bg-sky-100 text-sky-800';
         default: return 'bg-slate-100 text-slate-800';
     }
 };
@@ -21,7 +22,7 @@ const AdminUserListPage = () => {
   const [searchTerm, setSearchTerm] = useState(searchParams.get('search') || '');
   const [roleFilter, setRoleFilter] = useState(searchParams.get('role') || '');
   const currentPage = parseInt(searchParams.get('page') || '1', 10);
-  const userRoles = ['Admin', 'Customer'];
+  const userRoles = ['Admin', 'Rider', 'Customer'];
 
   const dispatch = useDispatch();
   const userSliceState = useSelector((state) => state.users);
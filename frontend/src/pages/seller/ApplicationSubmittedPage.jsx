@@ -1,6 +1,6 @@
 import React from 'react';
 import { Link } from 'react-router-dom';
-import { FiCheckCircle, FiHome, FiMail } from 'react-icons/fi';
+import { FiCheckCircle, FiHome, FiMail, FiShield } from 'react-icons/fi';
 
 const ApplicationSubmittedPage = () => {
   return (
@@ -58,6 +58,21 @@ const ApplicationSubmittedPage = () => {
           </div>
         </div>
 
+        <div className="bg-white rounded-lg shadow-md p-6">
+          <div className="flex items-start">
+            <FiShield className="h-6 w-6 text-blue-600 mr-3 flex-shrink-0" />
+            <div>
+              <h3 className="text-lg font-medium text-gray-900">Speed up your review</h3>
+              <p className="text-sm text-gray-600 mt-1">
+                Upload your trade licence, TIN certificate and ID now. You'll need them verified to build and publish collections.
+              </p>
+              <Link to="/seller/documents" className="inline-block mt-3 text-blue-600 hover:text-blue-700 font-medium">
+                Upload documents →
+              </Link>
+            </div>
+          </div>
+        </div>
+
         <div className="bg-blue-50 rounded-lg p-4">
           <div className="flex items-center">
             <FiMail className="h-5 w-5 text-blue-600 mr-2" />
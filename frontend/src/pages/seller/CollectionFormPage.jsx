@@ -16,12 +16,19 @@ import {
   addProductToCollection,
   removeProductFromCollection
 } from '../../services/sellerApi.js';
+import toast from 'react-hot-toast';
 import Spinner from '../../components/common/Spinner.jsx';
+import { formatETB } from '../../utils/utils';
+import { getImageUrl } from '../../utils/imageUrl';
+import { useSellerAccount } from '../../contexts/sellerAccountContext.js';
+import { meetsVerification } from '../../utils/sellerVerification.js';
 
 const CollectionFormPage = () => {
   const navigate = useNavigate();
   const { collectionId } = useParams();
   const isEditing = !!collectionId;
+  // Publishing needs every KYC document verified; until then collections are saved hidden
+  const canPublish = meetsVerification(useSellerAccount()?.seller?.verification_level, 'full');
 
   const [loading, setLoading] = useState(false);
   const [saving, setSaving] = useState(false);
@@ -32,7 +39,7 @@ const CollectionFormPage = () => {
     name: '',
     description: '',
     image_url: '',
-    is_active: true,
+    is_active: canPublish,
     display_order: 0,
   });
 
@@ -52,6 +59,7 @@ const CollectionFormPage = () => {
       setAvailableProducts(products || []);
     } catch (error) {
       console.error('Error fetching available products:', error);
+      toast.error(error.message || 'Could not load your products.');
     }
   };
 
@@ -71,6 +79,7 @@ const CollectionFormPage = () => {
       setCollectionProducts(collection.products || []);
     } catch (error) {
       console.error('Error fetching collection details:', error);
+      toast.error(error.message || 'Could not load this collection.');
       navigate('/seller/collections');
     } finally {
       setLoading(false);
@@ -120,7 +129,7 @@ const CollectionFormPage = () => {
       if (isEditing) {
         await updateCollection(collectionId, formData);
       } else {
-        await createCollection(formData);
+        await createCollection({ ...formData, product_ids: collectionProducts.map(p => p.id) });
       }
       navigate('/seller/collections');
     } catch (error) {
@@ -145,6 +154,7 @@ const CollectionFormPage = () => {
       setCollectionProducts(prev => [...prev, product]);
     } catch (error) {
       console.error('Error adding product to collection:', error);
+      toast.error(error.message || 'Could not add this product.');
     }
   };
 
@@ -160,6 +170,7 @@ const CollectionFormPage = () => {
       setCollectionProducts(prev => prev.filter(p => p.id !== product.id));
     } catch (error) {
       console.error('Error removing product from collection:', error);
+      toast.error(error.message || 'Could not remove this product.');
     }
   };
 
@@ -285,12 +296,18 @@ const CollectionFormPage = () => {
                   name="is_active"
                   checked={formData.is_active}
                   onChange={handleInputChange}
+                  disabled={!canPublish && !formData.is_active}
                   className="rounded border-gray-300 text-blue-600 shadow-sm focus:border-blue-300 focus:ring focus:ring-blue-200 focus:ring-opacity-50"
                 />
                 <label htmlFor="is_active" className="ml-2 block text-sm text-gray-700">
                   Make collection active and visible to customers
                 </label>
               </div>
+              {!canPublish && (
+                <p className="mt-1 text-xs text-gray-500">
+                  Collections can be published once your trade licence, TIN certificate and ID are verified.
+                </p>
+              )}
             </div>
           </div>
         </div>
@@ -311,7 +328,7 @@ const CollectionFormPage = () => {
                         <div className="w-12 h-12 bg-gray-200 rounded-lg mr-3 flex-shrink-0">
                           {product.image_url ? (
                             <img
-                              src={product.image_url}
+                              src={getImageUrl(product.image_url)}
                               alt={product.name}
                               className="w-full h-full object-cover rounded-lg"
                             />
@@ -325,7 +342,7 @@ const CollectionFormPage = () => {
                           <h4 className="text-sm font-medium text-gray-900 truncate">
                             {product.name}
                           </h4>
-                          <p className="text-sm text-gray-500">${product.price}</p>
+                          <p className="text-sm text-gray-500">{formatETB(product.price)}</p>
                         </div>
                       </div>
                       <button
@@ -372,7 +389,7 @@ const CollectionFormPage = () => {
                         <div className="w-12 h-12 bg-gray-200 rounded-lg mr-3 flex-shrink-0">
                           {product.image_url ? (
                             <img
-                              src={product.image_url}
+                              src={getImageUrl(product.image_url)}
                               alt={product.name}
                               className="w-full h-full object-cover rounded-lg"
                             />
@@ -386,7 +403,7 @@ const CollectionFormPage = () => {
                           <h4 className="text-sm font-medium text-gray-900 truncate">
                             {product.name}
                           </h4>
-                          <p className="text-sm text-gray-500">${product.price}</p>
+                          <p className="text-sm text-gray-500">{formatETB(product.price)}</p>
                         </div>
                       </div>
                       <button
@@ -1,7 +1,10 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { useNavigate, Link } from 'react-router-dom';
-import { applyForSellerAccount } from '../../services/sellerApi.js';
-import { FiArrowLeft, FiPackage, FiUser, FiMail, FiPhone, FiMapPin } from 'react-icons/fi';
+import { applyForSellerAccount, getSellerProfile } from '../../services/sellerApi.js';
+import { FiArrowLeft, FiPackage, FiUser, FiMail, FiPhone, FiMapPin, FiAlertCircle } from 'react-icons/fi';
+
+// Applications sent back by the SuriAddis team; these reopen the form with the stored answers
+const RESUBMITTABLE_STATUSES = ['needs_info', 'rejected'];
 
 const SellerApplicationPage = () => {
   const navigate = useNavigate();
@@ -21,6 +24,33 @@ const SellerApplicationPage = () => {
   });
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [error, setError] = useState('');
+  // The existing store when the applicant is resubmitting
+  const [previousApplication, setPreviousApplication] = useState(null);
+
+  useEffect(() => {
+    getSellerProfile()
+      .then(seller => {
+        if (!seller || !RESUBMITTABLE_STATUSES.includes(seller.status)) return;
+        setPreviousApplication(seller);
+        setFormData(prev => ({
+          ...prev,
+          business_name: seller.store_name || '',
+          business_description: seller.store_description || '',
+          business_address: seller.business_address || '',
+          business_phone: seller.contact_phone || '',
+          business_email: seller.contact_email || '',
+          business_type: seller.business_type || '',
+          tax_id: seller.tax_id || '',
+          // Only the masked number comes back; leaving it blank keeps the stored one
+          bank_account_number: '',
+          bank_name: seller.bank_name || '',
+          account_holder_name: seller.account_holder_name || '',
+          website_url: seller.website_url || '',
+          social_media_links: seller.social_media_links || '',
+        }));
+      })
+      .catch(err => console.error('Error loading previous seller application:', err));
+  }, []);
 
   const handleInputChange = (e) => {
     const { name, value } = e.target;
@@ -78,6 +108,25 @@ const SellerApplicationPage = () => {
           </div>
 
           <form onSubmit={handleSubmit} className="p-6 space-y-6">
+            {previousApplication && (
+              <div className="bg-yellow-50 border border-yellow-200 rounded-md p-4 flex items-start">
+                <FiAlertCircle className="h-5 w-5 text-yellow-600 mr-3 mt-0.5 flex-shrink-0" />
+                <div>
+                  <p className="font-medium text-yellow-800">
+                    {previousApplication.status === 'needs_info'
+                      ? 'Our team needs more information about your application'
+                      : 'Your previous application was not approved'}
+                  </p>
+                  {previousApplication.review_note && (
+                    <p className="text-sm text-yellow-700 mt-1">{previousApplication.review_note}</p>
+                  )}
+                  <p className="text-sm text-yellow-700 mt-1">
+                    Update your details below and submit them to send your application back for review.
+                  </p>
+                </div>
+              </div>
+            )}
+
             {error && (
               <div className="bg-red-50 border border-red-200 rounded-md p-4">
                 <p className="text-red-800">{error}</p>
@@ -251,9 +300,10 @@ const SellerApplicationPage = () => {
                     type="text"
                     id="bank_account_number"
                     name="bank_account_number"
-                    required
+                    required={!previousApplication?.bank_account_number}
                     value={formData.bank_account_number}
                     onChange={handleInputChange}
+                    placeholder={previousApplication?.bank_account_number ? `Leave blank to keep ${previousApplication.bank_account_number}` : undefined}
                     className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
                   />
                 </div>
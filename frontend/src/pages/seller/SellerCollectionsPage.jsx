@@ -10,12 +10,15 @@ import {
   FiSearch,
   FiFilter,
 } from 'react-icons/fi';
+import toast from 'react-hot-toast';
 import { getSellerCollections, deleteCollection, updateCollection } from '../../services/sellerApi.js';
 import Spinner from '../../components/common/Spinner.jsx';
+import { getImageUrl } from '../../utils/imageUrl';
 
 const SellerCollectionsPage = () => {
   const [collections, setCollections] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
   const [searchTerm, setSearchTerm] = useState('');
   const [filterStatus, setFilterStatus] = useState('all');
   const [deleteModal, setDeleteModal] = useState({ isOpen: false, collection: null });
@@ -27,10 +30,12 @@ const SellerCollectionsPage = () => {
   const fetchCollections = async () => {
     try {
       setLoading(true);
+      setError(null);
       const data = await getSellerCollections();
       setCollections(data || []);
     } catch (error) {
       console.error('Error fetching collections:', error);
+      setError(error.message || 'Failed to load collections');
     } finally {
       setLoading(false);
     }
@@ -49,6 +54,7 @@ const SellerCollectionsPage = () => {
       ));
     } catch (error) {
       console.error('Error updating collection status:', error);
+      toast.error(error.message || 'Could not update this collection.');
     }
   };
 
@@ -61,6 +67,7 @@ const SellerCollectionsPage = () => {
       setDeleteModal({ isOpen: false, collection: null });
     } catch (error) {
       console.error('Error deleting collection:', error);
+      toast.error(error.message || 'Could not delete this collection.');
     }
   };
 
@@ -84,6 +91,20 @@ const SellerCollectionsPage = () => {
     );
   }
 
+  if (error) {
+    return (
+      <div className="text-center py-12">
+        <p className="text-red-600 mb-4">{error}</p>
+        <button
+          onClick={fetchCollections}
+          className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700"
+        >
+          Try Again
+        </button>
+      </div>
+    );
+  }
+
   return (
     <div className="space-y-6">
       {/* Header */}
@@ -169,7 +190,7 @@ const SellerCollectionsPage = () => {
               <div className="aspect-w-16 aspect-h-9 bg-gray-200">
                 {collection.image_url ? (
                   <img
-                    src={collection.image_url}
+                    src={getImageUrl(collection.image_url)}
                     alt={collection.name}
                     className="w-full h-48 object-cover"
                   />
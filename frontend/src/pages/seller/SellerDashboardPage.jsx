@@ -8,16 +8,21 @@ import {
   FiEye,
   FiPlus,
   FiBox,
+  FiShield,
 } from 'react-icons/fi';
-import { getSellerProfile, getSellerCollections, getSellerEarnings, getSellerOrders } from '../../services/sellerApi.js';
+import { getSellerProfile, getSellerCollections, getSellerDashboardStats } from '../../services/sellerApi.js';
 import Spinner from '../../components/common/Spinner.jsx';
+import { formatETB } from '../../utils/utils';
+import { getImageUrl } from '../../utils/imageUrl';
+import { getOrderStatusBadgeClass, formatOrderStatus } from '../../utils/orderStatus';
+import { VERIFICATION_LEVELS, meetsVerification } from '../../utils/sellerVerification.js';
 
 const SellerDashboardPage = () => {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
+  const [retryCount, setRetryCount] = useState(0);
   const [sellerProfile, setSellerProfile] = useState(null);
   const [collections, setCollections] = useState([]);
-  const [earnings, setEarnings] = useState(null);
   const [recentOrders, setRecentOrders] = useState([]);
   const [stats, setStats] = useState({
     totalCollections: 0,
@@ -31,102 +36,32 @@ const SellerDashboardPage = () => {
       try {
         setLoading(true);
         setError('');
-        
-        // For now, use mock data since the backend APIs might not be fully ready
-        // Later we can uncomment the real API calls
-        
-        // Mock data
-        const mockProfile = { business_name: 'Your Store', status: 'approved' };
-        const mockCollections = [
-          {
-            id: '1',
-            name: 'Summer Collection',
-            description: 'Hot summer items',
-            is_active: true,
-            products: [{ id: 1 }, { id: 2 }, { id: 3 }],
-            created_at: new Date().toISOString(),
-            image_url: null
-          },
-          {
-            id: '2',
-            name: 'Winter Collection',
-            description: 'Cozy winter items',
-            is_active: false,
-            products: [{ id: 4 }, { id: 5 }],
-            created_at: new Date().toISOString(),
-            image_url: null
-          }
-        ];
-        const mockEarnings = { total_earnings: 1250.50 };
-        const mockOrders = [
-          {
-            id: '1',
-            order_number: 'ORD-001',
-            total_amount: 89.99,
-            status: 'completed',
-            created_at: new Date().toISOString()
-          },
-          {
-            id: '2',
-            order_number: 'ORD-002',
-            total_amount: 156.50,
-            status: 'pending',
-            created_at: new Date().toISOString()
-          }
-        ];
 
-        setSellerProfile(mockProfile);
-        setCollections(mockCollections);
-        setEarnings(mockEarnings);
-        setRecentOrders(mockOrders.slice(0, 5));
-
-        // Calculate stats
-        const totalProducts = mockCollections.reduce((total, collection) => {
-          return total + (collection.products?.length || 0);
-        }, 0);
-
-        setStats({
-          totalCollections: mockCollections.length,
-          totalProducts,
-          totalOrders: mockOrders.length,
-          totalEarnings: mockEarnings.total_earnings,
-        });
-
-        /* Real API calls - uncomment when backend is ready
-        const [profileData, collectionsData, earningsData, ordersData] = await Promise.all([
+        const [profileData, collectionsData, dashboardData] = await Promise.all([
           getSellerProfile(),
           getSellerCollections(),
-          getSellerEarnings(),
-          getSellerOrders(),
+          getSellerDashboardStats(),
         ]);
 
         setSellerProfile(profileData);
         setCollections(collectionsData || []);
-        setEarnings(earningsData);
-        setRecentOrders((ordersData || []).slice(0, 5));
-
-        const totalProducts = (collectionsData || []).reduce((total, collection) => {
-          return total + (collection.products?.length || 0);
-        }, 0);
-
+        setRecentOrders((dashboardData?.recent_orders || []).slice(0, 5));
         setStats({
-          totalCollections: collectionsData?.length || 0,
-          totalProducts,
-          totalOrders: ordersData?.length || 0,
-          totalEarnings: earningsData?.total_earnings || 0,
+          totalCollections: dashboardData?.stats?.total_collections || 0,
+          totalProducts: dashboardData?.stats?.total_products || 0,
+          totalOrders: dashboardData?.stats?.total_orders || 0,
+          totalEarnings: dashboardData?.stats?.total_earnings || 0,
         });
-        */
-
       } catch (error) {
         console.error('Error fetching dashboard data:', error);
-        setError('Failed to load dashboard data. Please try again.');
+        setError(error.message || 'Failed to load dashboard data. Please try again.');
       } finally {
         setLoading(false);
       }
     };
 
     fetchDashboardData();
-  }, []);
+  }, [retryCount]);
 
   if (loading) {
     return (
@@ -141,7 +76,7 @@ const SellerDashboardPage = () => {
       <div className="bg-red-50 border border-red-200 rounded-md p-4">
         <p className="text-red-800">{error}</p>
         <button 
-          onClick={() => window.location.reload()} 
+          onClick={() => setRetryCount(count => count + 1)}
           className="mt-2 text-red-600 hover:text-red-700 underline"
         >
           Try Again
@@ -150,6 +85,9 @@ const SellerDashboardPage = () => {
     );
   }
 
+  const verificationLevel = sellerProfile?.verification_level || 'none';
+  const canBuildCollections = meetsVerification(verificationLevel, 'basic');
+
   return (
     <div className="space-y-6">
       {/* Welcome Header */}
@@ -157,22 +95,41 @@ const SellerDashboardPage = () => {
         <div className="flex items-center justify-between">
           <div>
             <h1 className="text-2xl font-bold text-gray-900">
-              Welcome back, {sellerProfile?.business_name || 'Seller'}!
+              Welcome back, {sellerProfile?.store_name || 'Seller'}!
             </h1>
             <p className="text-gray-600 mt-1">
               Here's what's happening with your store today.
             </p>
           </div>
           <Link
-            to="/seller/collections/new"
+            to={canBuildCollections ? '/seller/collections/new' : '/seller/documents'}
             className="inline-flex items-center px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors"
           >
-            <FiPlus className="mr-2 h-4 w-4" />
-            Create Collection
+            {canBuildCollections ? <FiPlus className="mr-2 h-4 w-4" /> : <FiShield className="mr-2 h-4 w-4" />}
+            {canBuildCollections ? 'Create Collection' : 'Verify Your Store'}
           </Link>
         </div>
       </div>
 
+      {/* Verification */}
+      {verificationLevel !== 'full' && (
+        <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4 flex items-center justify-between gap-4">
+          <div className="flex items-start">
+            <FiShield className="h-6 w-6 text-yellow-600 mr-3 flex-shrink-0" />
+            <div>
+              <p className="font-semibold text-yellow-900">{VERIFICATION_LEVELS[verificationLevel]?.label}</p>
+              <p className="text-sm text-yellow-800">{VERIFICATION_LEVELS[verificationLevel]?.description}</p>
+            </div>
+          </div>
+          <Link
+            to="/seller/documents"
+            className="inline-flex items-center px-4 py-2 border border-yellow-600 text-yellow-800 rounded-md hover:bg-yellow-100 whitespace-nowrap"
+          >
+            Manage Documents
+          </Link>
+        </div>
+      )}
+
       {/* Stats Grid */}
       <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
         {/* Total Earnings */}
@@ -184,7 +141,7 @@ const SellerDashboardPage = () => {
             <div className="ml-4">
               <p className="text-sm font-medium text-gray-600">Total Earnings</p>
               <p className="text-2xl font-bold text-gray-900">
-                ${stats.totalEarnings.toFixed(2)}
+                {formatETB(stats.totalEarnings)}
               </p>
             </div>
           </div>
@@ -271,7 +228,7 @@ const SellerDashboardPage = () => {
                       <div className="w-12 h-12 bg-gray-200 rounded-lg mr-4 flex items-center justify-center">
                         {collection.image_url ? (
                           <img
-                            src={collection.image_url}
+                            src={getImageUrl(collection.image_url)}
                             alt={collection.name}
                             className="w-full h-full object-cover rounded-lg"
                           />
@@ -341,15 +298,9 @@ const SellerDashboardPage = () => {
                       </p>
                     </div>
                     <div className="text-right">
-                      <p className="font-medium text-gray-900">${order.total_amount}</p>
-                      <span className={`px-2 py-1 text-xs font-medium rounded-full ${
-                        order.status === 'completed' 
-                          ? 'bg-green-100 text-green-800'
-                          : order.status === 'pending'
-                          ? 'bg-yellow-100 text-yellow-800'
-                          : 'bg-gray-100 text-gray-800'
-                      }`}>
-                        {order.status}
+                      <p className="font-medium text-gray-900">{formatETB(order.total_amount)}</p>
+                      <span className={`px-2 py-1 text-xs font-medium rounded-full ${getOrderStatusBadgeClass(order.status)}`}>
+                        {formatOrderStatus(order.status)}
                       </span>
                     </div>
                   </div>
@@ -0,0 +1,208 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import { FiArrowLeft, FiShield, FiUpload, FiFileText, FiAlertCircle } from 'react-icons/fi';
+import { getSellerDocuments, uploadSellerDocument } from '../../services/sellerApi.js';
+import Spinner from '../../components/common/Spinner.jsx';
+import {
+  SELLER_DOCUMENT_TYPES,
+  SELLER_DOCUMENT_STATUSES,
+  VERIFICATION_LEVELS,
+  getDocumentStatus,
+} from '../../utils/sellerVerification.js';
+
+const ACCEPTED_FILE_TYPES = 'image/jpeg,image/png,image/webp,application/pdf';
+const MAX_FILE_SIZE = 10 * 1024 * 1024; // the seller-documents bucket limit
+
+// Current document of one type plus the form to upload (or replace) it
+const DocumentCard = ({ type, document, onUploaded }) => {
+  const [file, setFile] = useState(null);
+  const [expiresAt, setExpiresAt] = useState('');
+  const [uploading, setUploading] = useState(false);
+  const status = document ? getDocumentStatus(document) : null;
+
+  const handleUpload = async (e) => {
+    e.preventDefault();
+    if (!file) return;
+    if (file.size > MAX_FILE_SIZE) {
+      toast.error('Files can be up to 10 MB.');
+      return;
+    }
+    setUploading(true);
+    try {
+      await uploadSellerDocument(type.id, file, { expiresAt });
+      toast.success(`${type.label} uploaded for review.`);
+      setFile(null);
+      setExpiresAt('');
+      e.target.reset();
+      onUploaded?.();
+    } catch (err) {
+      toast.error(err.message || 'Could not upload this document.');
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm p-6">
+      <div className="flex items-start justify-between gap-4">
+        <div>
+          <h3 className="text-lg font-medium text-gray-900">{type.label}</h3>
+          <p className="text-sm text-gray-600 mt-1">{type.hint}</p>
+        </div>
+        {status && (
+          <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full whitespace-nowrap ${SELLER_DOCUMENT_STATUSES[status]?.className || 'bg-gray-100 text-gray-800'}`}>
+            {SELLER_DOCUMENT_STATUSES[status]?.label || status}
+          </span>
+        )}
+      </div>
+
+      {document && (
+        <div className="mt-4 text-sm text-gray-600 space-y-1">
+          <p className="flex items-center">
+            <FiFileText className="mr-2 h-4 w-4 text-gray-400" />
+            {document.url ? (
+              <a href={document.url} target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:text-blue-700">
+                {document.file_name || 'View document'}
+              </a>
+            ) : (
+              <span>{document.file_name || 'Uploaded document'}</span>
+            )}
+            <span className="ml-2 text-gray-400">· uploaded {new Date(document.updated_at || document.created_at).toLocaleDateString()}</span>
+          </p>
+          {document.expires_at && (
+            <p className={document.is_expired ? 'text-red-600' : ''}>
+              {document.is_expired ? 'Expired' : 'Expires'} {new Date(document.expires_at).toLocaleDateString()}
+            </p>
+          )}
+          {document.status === 'rejected' && document.review_note && (
+            <p className="flex items-start text-red-700 bg-red-50 border border-red-200 rounded-md p-3 mt-2">
+              <FiAlertCircle className="mr-2 h-4 w-4 mt-0.5 flex-shrink-0" />
+              {document.review_note}
+            </p>
+          )}
+        </div>
+      )}
+
+      <form onSubmit={handleUpload} className="mt-4 grid grid-cols-1 md:grid-cols-3 gap-3 items-end">
+        <div className="md:col-span-2">
+          <label htmlFor={`${type.id}-file`} className="block text-sm font-medium text-gray-700">
+            {document ? 'Replace with a new file' : 'File (JPG, PNG, WebP or PDF, up to 10 MB)'}
+          </label>
+          <input
+            type="file"
+            id={`${type.id}-file`}
+            accept={ACCEPTED_FILE_TYPES}
+            onChange={(e) => setFile(e.target.files?.[0] || null)}
+            className="mt-1 block w-full text-sm text-gray-700 file:mr-3 file:py-2 file:px-3 file:rounded-md file:border-0 file:bg-blue-50 file:text-blue-700 hover:file:bg-blue-100"
+          />
+        </div>
+        <div>
+          <label htmlFor={`${type.id}-expires`} className="block text-sm font-medium text-gray-700">
+            Expiry date (if any)
+          </label>
+          <input
+            type="date"
+            id={`${type.id}-expires`}
+            value={expiresAt}
+            onChange={(e) => setExpiresAt(e.target.value)}
+            className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+          />
+        </div>
+        <div className="md:col-span-3">
+          <button
+            type="submit"
+            disabled={!file || uploading}
+            className="inline-flex items-center px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {uploading ? <Spinner size="sm" /> : <FiUpload className="mr-2 h-4 w-4" />}
+            {uploading ? 'Uploading...' : 'Upload'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+const SellerDocumentsPage = () => {
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [documentData, setDocumentData] = useState(null);
+
+  useEffect(() => {
+    fetchDocuments();
+  }, []);
+
+  const fetchDocuments = async () => {
+    try {
+      setError(null);
+      setDocumentData(await getSellerDocuments());
+    } catch (err) {
+      console.error('Error fetching seller documents:', err);
+      setError(err.message || 'Failed to load your documents');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const level = documentData?.verification_level || 'none';
+  const documentsByType = new Map((documentData?.documents || []).map(document => [document.document_type, document]));
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8">
+      <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 space-y-6">
+        <div>
+          <Link
+            to="/seller/dashboard"
+            className="inline-flex items-center text-blue-600 hover:text-blue-700 mb-4"
+          >
+            <FiArrowLeft className="mr-2 h-4 w-4" />
+            Back to Seller Dashboard
+          </Link>
+          <h1 className="text-3xl font-bold text-gray-900">Verification Documents</h1>
+          <p className="mt-2 text-gray-600">
+            Our team checks each document before your store can build and publish collections.
+            Files are stored privately and only shared with the SuriAddis review team.
+          </p>
+        </div>
+
+        {loading ? (
+          <div className="flex justify-center items-center h-64">
+            <Spinner />
+          </div>
+        ) : error ? (
+          <div className="text-center py-12">
+            <p className="text-red-600 mb-4">{error}</p>
+            <button
+              onClick={() => { setLoading(true); fetchDocuments(); }}
+              className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700"
+            >
+              Try Again
+            </button>
+          </div>
+        ) : (
+          <>
+            <div className="bg-blue-50 border border-blue-100 rounded-lg p-4 flex items-start">
+              <FiShield className="h-6 w-6 text-blue-600 mr-3 flex-shrink-0" />
+              <div>
+                <p className="font-semibold text-blue-900">{VERIFICATION_LEVELS[level]?.label}</p>
+                <p className="text-sm text-blue-800">{VERIFICATION_LEVELS[level]?.description}</p>
+              </div>
+            </div>
+
+            {SELLER_DOCUMENT_TYPES.map(type => (
+              <DocumentCard
+                key={type.id}
+                type={type}
+                document={documentsByType.get(type.id)}
+                onUploaded={fetchDocuments}
+              />
+            ))}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SellerDocumentsPage;
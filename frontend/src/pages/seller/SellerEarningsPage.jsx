@@ -9,6 +9,21 @@ import {
 } from 'react-icons/fi';
 import { getSellerEarnings } from '../../services/sellerApi.js';
 import Spinner from '../../components/common/Spinner.jsx';
+import { formatETB } from '../../utils/utils';
+
+// Refunds are seller_earnings entries of type 'refund' with negative amounts, booked when a
+// paid order is cancelled or a return is approved
+const TRANSACTION_TYPES = {
+  sale: { label: 'Sale', className: 'bg-green-100 text-green-800' },
+  refund: { label: 'Refund', className: 'bg-red-100 text-red-800' },
+  payout: { label: 'Payout', className: 'bg-blue-100 text-blue-800' },
+};
+
+// seller_earnings.status: 'pending' until the amount clears for payout
+const TRANSACTION_STATUSES = {
+  pending: { label: 'Pending', className: 'bg-yellow-100 text-yellow-800' },
+  paid: { label: 'Paid', className: 'bg-green-100 text-green-800' },
+};
 
 const SellerEarningsPage = () => {
   const [loading, setLoading] = useState(true);
@@ -28,76 +43,12 @@ const SellerEarningsPage = () => {
       setEarnings(data);
     } catch (err) {
       console.error('Error fetching earnings:', err);
-      // Use mock data for development - don't show error if we have mock data
-      const mockData = getMockEarnings();
-      if (mockData) {
-        setEarnings(mockData);
-        setError(null); // Clear any previous errors
-      } else {
-        setError('Failed to load earnings data');
-      }
+      setError(err.message || 'Failed to load earnings data');
     } finally {
       setLoading(false);
     }
   };
 
-  const getMockEarnings = () => ({
-    summary: {
-      total_earnings: 1450.75,
-      pending_earnings: 245.30,
-      available_balance: 1205.45,
-      total_orders: 28,
-      commission_rate: 0.15
-    },
-    recent_transactions: [
-      {
-        id: 1,
-        type: 'sale',
-        amount: 89.99,
-        commission: 13.50,
-        net_amount: 76.49,
-        order_id: 'ORD-2024-001',
-        customer_name: 'John Doe',
-        product_name: 'Summer Collection',
-        date: '2024-01-15T10:30:00Z',
-        status: 'completed'
-      },
-      {
-        id: 2,
-        type: 'sale',
-        amount: 125.00,
-        commission: 18.75,
-        net_amount: 106.25,
-        order_id: 'ORD-2024-002',
-        customer_name: 'Jane Smith',
-        product_name: 'Urban Explorer Kit',
-        date: '2024-01-14T14:20:00Z',
-        status: 'completed'
-      },
-      {
-        id: 3,
-        type: 'payout',
-        amount: -500.00,
-        commission: 0,
-        net_amount: -500.00,
-        order_id: 'PAY-2024-001',
-        customer_name: null,
-        product_name: 'Weekly Payout',
-        date: '2024-01-13T09:00:00Z',
-        status: 'processed'
-      }
-    ],
-    chart_data: [
-      { date: '2024-01-01', earnings: 120 },
-      { date: '2024-01-02', earnings: 95 },
-      { date: '2024-01-03', earnings: 180 },
-      { date: '2024-01-04', earnings: 150 },
-      { date: '2024-01-05', earnings: 220 },
-      { date: '2024-01-06', earnings: 190 },
-      { date: '2024-01-07', earnings: 160 }
-    ]
-  });
-
   if (loading) {
     return (
       <div className="flex justify-center items-center h-64">
@@ -158,7 +109,7 @@ const SellerEarningsPage = () => {
           <div className="flex items-center justify-between">
             <div>
               <p className="text-sm font-medium text-gray-600">Total Earnings</p>
-              <p className="text-2xl font-bold text-gray-900">${summary.total_earnings.toFixed(2)}</p>
+              <p className="text-2xl font-bold text-gray-900">{formatETB(summary.total_earnings)}</p>
             </div>
             <div className="h-12 w-12 bg-green-100 rounded-full flex items-center justify-center">
               <FiDollarSign className="h-6 w-6 text-green-600" />
@@ -175,7 +126,7 @@ const SellerEarningsPage = () => {
           <div className="flex items-center justify-between">
             <div>
               <p className="text-sm font-medium text-gray-600">Available Balance</p>
-              <p className="text-2xl font-bold text-gray-900">${summary.available_balance.toFixed(2)}</p>
+              <p className="text-2xl font-bold text-gray-900">{formatETB(summary.available_balance)}</p>
             </div>
             <div className="h-12 w-12 bg-blue-100 rounded-full flex items-center justify-center">
               <FiCreditCard className="h-6 w-6 text-blue-600" />
@@ -190,7 +141,7 @@ const SellerEarningsPage = () => {
           <div className="flex items-center justify-between">
             <div>
               <p className="text-sm font-medium text-gray-600">Pending Earnings</p>
-              <p className="text-2xl font-bold text-gray-900">${summary.pending_earnings.toFixed(2)}</p>
+              <p className="text-2xl font-bold text-gray-900">{formatETB(summary.pending_earnings)}</p>
             </div>
             <div className="h-12 w-12 bg-yellow-100 rounded-full flex items-center justify-center">
               <FiCalendar className="h-6 w-6 text-yellow-600" />
@@ -222,7 +173,7 @@ const SellerEarningsPage = () => {
         <h2 className="text-lg font-semibold text-gray-900 mb-4">Earnings Overview</h2>
         <div className="h-64 flex items-end justify-between space-x-2">
           {chart_data.map((data, index) => {
-            const maxEarnings = Math.max(...chart_data.map(d => d.earnings));
+            const maxEarnings = Math.max(1, ...chart_data.map(d => d.earnings));
             const height = (data.earnings / maxEarnings) * 100;
             
             return (
@@ -230,7 +181,7 @@ const SellerEarningsPage = () => {
                 <div 
                   className="w-full bg-blue-600 rounded-t-sm min-h-[4px] transition-all duration-300 hover:bg-blue-700"
                   style={{ height: `${height}%` }}
-                  title={`$${data.earnings} on ${new Date(data.date).toLocaleDateString()}`}
+                  title={`${formatETB(data.earnings)} on ${new Date(data.date).toLocaleDateString()}`}
                 />
                 <span className="text-xs text-gray-500 mt-2 rotate-45 origin-left">
                   {new Date(data.date).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}
@@ -274,6 +225,13 @@ const SellerEarningsPage = () => {
               </tr>
             </thead>
             <tbody className="bg-white divide-y divide-gray-200">
+              {recent_transactions.length === 0 && (
+                <tr>
+                  <td colSpan={7} className="px-6 py-8 text-center text-sm text-gray-500">
+                    No transactions in this period.
+                  </td>
+                </tr>
+              )}
               {recent_transactions.map((transaction) => (
                 <tr key={transaction.id} className="hover:bg-gray-50">
                   <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
@@ -281,11 +239,9 @@ const SellerEarningsPage = () => {
                   </td>
                   <td className="px-6 py-4 whitespace-nowrap">
                     <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${
-                      transaction.type === 'sale' 
-                        ? 'bg-green-100 text-green-800' 
-                        : 'bg-blue-100 text-blue-800'
+                      TRANSACTION_TYPES[transaction.type]?.className || TRANSACTION_TYPES.payout.className
                     }`}>
-                      {transaction.type === 'sale' ? 'Sale' : 'Payout'}
+                      {TRANSACTION_TYPES[transaction.type]?.label || TRANSACTION_TYPES.payout.label}
                     </span>
                   </td>
                   <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
@@ -298,26 +254,22 @@ const SellerEarningsPage = () => {
                   </td>
                   <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
                     <span className={transaction.amount < 0 ? 'text-red-600' : 'text-green-600'}>
-                      ${Math.abs(transaction.amount).toFixed(2)}
+                      {formatETB(Math.abs(transaction.amount))}
                     </span>
                   </td>
                   <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
-                    {transaction.commission > 0 ? `$${transaction.commission.toFixed(2)}` : '-'}
+                    {transaction.commission !== 0 ? `${transaction.commission < 0 ? '-' : ''}${formatETB(Math.abs(transaction.commission))}` : '-'}
                   </td>
                   <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
                     <span className={transaction.net_amount < 0 ? 'text-red-600' : 'text-green-600'}>
-                      ${Math.abs(transaction.net_amount).toFixed(2)}
+                      {formatETB(Math.abs(transaction.net_amount))}
                     </span>
                   </td>
                   <td className="px-6 py-4 whitespace-nowrap">
                     <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${
-                      transaction.status === 'completed' 
-                        ? 'bg-green-100 text-green-800'
-                        : transaction.status === 'processed'
-                        ? 'bg-blue-100 text-blue-800'
-                        : 'bg-yellow-100 text-yellow-800'
+                      TRANSACTION_STATUSES[transaction.status]?.className || 'bg-gray-100 text-gray-800'
                     }`}>
-                      {transaction.status}
+                      {TRANSACTION_STATUSES[transaction.status]?.label || transaction.status}
                     </span>
                   </td>
                 </tr>
@@ -1,75 +1,143 @@
-import React, { useState, useEffect } from 'react';
-import { Link } from 'react-router-dom';
+import React, { Fragment, useState, useEffect } from 'react';
+import toast from 'react-hot-toast';
 import {
   FiShoppingBag,
   FiEye,
   FiSearch,
   FiFilter,
   FiCalendar,
+  FiTruck,
 } from 'react-icons/fi';
 import Spinner from '../../components/common/Spinner.jsx';
+import { getSellerOrders, updateSellerFulfillment } from '../../services/sellerApi.js';
+import { formatETB } from '../../utils/utils';
+import { formatAddressLines } from '../../utils/addresses';
+import {
+  getOrderStatusBadgeClass,
+  formatOrderStatus,
+  FULFILLMENT_STATUSES,
+  getNextFulfillmentStatuses,
+} from '../../utils/orderStatus';
+
+// Each row is the seller's own part of an order (its fulfilment); order_status is the whole order's
+const FILTER_STATUSES = FULFILLMENT_STATUSES;
+
+// Orders a seller may work on: paid, or already moving
+const FULFILLABLE_ORDER_STATUSES = ['paid', 'processing', 'shipped'];
+
+const ACTION_LABELS = {
+  processing: 'Start processing',
+  shipped: 'Mark as shipped',
+  delivered: 'Mark as delivered',
+};
+
+// Shipping details and the next steps for one of the seller's sub-orders
+const FulfillmentPanel = ({ order, onUpdated }) => {
+  const [carrier, setCarrier] = useState(order.carrier || '');
+  const [trackingNumber, setTrackingNumber] = useState(order.tracking_number || '');
+  const [submitting, setSubmitting] = useState(null);
+  const address = order.shipping_address || {};
+  const nextStatuses = FULFILLABLE_ORDER_STATUSES.includes(order.order_status)
+    ? getNextFulfillmentStatuses(order.status)
+    : [];
+
+  const handleUpdate = async (status) => {
+    setSubmitting(status);
+    try {
+      await updateSellerFulfillment(order.id, {
+        status,
+        carrier: status === 'shipped' ? carrier.trim() || undefined : undefined,
+        trackingNumber: status === 'shipped' ? trackingNumber.trim() || undefined : undefined,
+      });
+      toast.success(`Order #${order.order_number} marked ${formatOrderStatus(status).toLowerCase()}.`);
+      onUpdated?.();
+    } catch (err) {
+      toast.error(err.message || 'Could not update this order.');
+    } finally {
+      setSubmitting(null);
+    }
+  };
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-2 gap-6 pt-4 mt-4 border-t border-gray-200 text-sm">
+      <div className="space-y-1 text-gray-700">
+        <p className="font-medium text-gray-900">Ship to</p>
+        <p>{order.customer_name}{order.customer_phone ? ` · ${order.customer_phone}` : ''}</p>
+        {formatAddressLines(address).map(line => <p key={line}>{line}</p>)}
+        {order.shipping_method_name && <p className="text-gray-500">{order.shipping_method_name}</p>}
+      </div>
+      <div className="space-y-3">
+        {(order.carrier || order.tracking_number) && (
+          <p className="flex items-center text-gray-700">
+            <FiTruck className="h-4 w-4 mr-2 text-gray-400" />
+            {[order.carrier, order.tracking_number].filter(Boolean).join(' · ')}
+            {order.shipped_at && <span className="text-gray-500 ml-1">(shipped {new Date(order.shipped_at).toLocaleDateString()})</span>}
+          </p>
+        )}
+        {nextStatuses.includes('shipped') && (
+          <div className="flex flex-wrap gap-2">
+            <input
+              type="text"
+              value={carrier}
+              onChange={(e) => setCarrier(e.target.value)}
+              placeholder="Carrier"
+              className="flex-1 min-w-[140px] px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+            />
+            <input
+              type="text"
+              value={trackingNumber}
+              onChange={(e) => setTrackingNumber(e.target.value)}
+              placeholder="Tracking number"
+              className="flex-1 min-w-[140px] px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+            />
+          </div>
+        )}
+        {nextStatuses.length > 0 ? (
+          <div className="flex flex-wrap gap-2">
+            {nextStatuses.map(status => (
+              <button
+                key={status}
+                type="button"
+                onClick={() => handleUpdate(status)}
+                disabled={!!submitting}
+                className="inline-flex items-center gap-2 px-4 py-2 rounded-md bg-blue-600 text-white font-medium hover:bg-blue-700 disabled:opacity-60"
+              >
+                {submitting === status && <Spinner size="sm" />}
+                {ACTION_LABELS[status]}
+              </button>
+            ))}
+          </div>
+        ) : order.order_status === 'pending' ? (
+          <p className="text-gray-500">Waiting for the customer's payment before you can ship.</p>
+        ) : null}
+      </div>
+    </div>
+  );
+};
 
 const SellerOrdersPage = () => {
   const [loading, setLoading] = useState(true);
   const [orders, setOrders] = useState([]);
+  const [error, setError] = useState(null);
+  const [expandedOrderId, setExpandedOrderId] = useState(null);
   const [searchTerm, setSearchTerm] = useState('');
   const [filterStatus, setFilterStatus] = useState('all');
 
-  useEffect(() => {
-    const fetchOrders = async () => {
-      try {
-        setLoading(true);
-        
-        // Mock orders data for now
-        const mockOrders = [
-          {
-            id: '1',
-            order_number: 'ORD-001',
-            customer_name: 'John Doe',
-            customer_email: 'john@example.com',
-            total_amount: 89.99,
-            status: 'completed',
-            created_at: new Date(Date.now() - 2 * 24 * 60 * 60 * 1000).toISOString(),
-            items: [
-              { product_name: 'Summer T-Shirt', quantity: 2, price: 29.99 },
-              { product_name: 'Cap', quantity: 1, price: 29.99 }
-            ]
-          },
-          {
-            id: '2',
-            order_number: 'ORD-002',
-            customer_name: 'Jane Smith',
-            customer_email: 'jane@example.com',
-            total_amount: 156.50,
-            status: 'pending',
-            created_at: new Date(Date.now() - 1 * 24 * 60 * 60 * 1000).toISOString(),
-            items: [
-              { product_name: 'Wireless Headphones', quantity: 1, price: 156.50 }
-            ]
-          },
-          {
-            id: '3',
-            order_number: 'ORD-003',
-            customer_name: 'Bob Johnson',
-            customer_email: 'bob@example.com',
-            total_amount: 245.98,
-            status: 'shipped',
-            created_at: new Date().toISOString(),
-            items: [
-              { product_name: 'Winter Jacket', quantity: 1, price: 89.99 },
-              { product_name: 'Winter Hat', quantity: 2, price: 77.99 }
-            ]
-          }
-        ];
-
-        setOrders(mockOrders);
-      } catch (error) {
-        console.error('Error fetching orders:', error);
-      } finally {
-        setLoading(false);
-      }
-    };
+  const fetchOrders = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const data = await getSellerOrders({ limit: 100 });
+      setOrders(data || []);
+    } catch (error) {
+      console.error('Error fetching orders:', error);
+      setError(error.message || 'Failed to load orders');
+    } finally {
+      setLoading(false);
+    }
+  };
 
+  useEffect(() => {
     fetchOrders();
   }, []);
 
@@ -84,21 +152,6 @@ const SellerOrdersPage = () => {
     return matchesSearch && matchesStatus;
   });
 
-  const getStatusColor = (status) => {
-    switch (status) {
-      case 'completed':
-        return 'bg-green-100 text-green-800';
-      case 'pending':
-        return 'bg-yellow-100 text-yellow-800';
-      case 'shipped':
-        return 'bg-blue-100 text-blue-800';
-      case 'cancelled':
-        return 'bg-red-100 text-red-800';
-      default:
-        return 'bg-gray-100 text-gray-800';
-    }
-  };
-
   if (loading) {
     return (
       <div className="flex justify-center items-center h-64">
@@ -107,6 +160,20 @@ const SellerOrdersPage = () => {
     );
   }
 
+  if (error) {
+    return (
+      <div className="text-center py-12">
+        <p className="text-red-600 mb-4">{error}</p>
+        <button
+          onClick={fetchOrders}
+          className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700"
+        >
+          Try Again
+        </button>
+      </div>
+    );
+  }
+
   return (
     <div className="space-y-6">
       {/* Header */}
@@ -143,10 +210,9 @@ const SellerOrdersPage = () => {
               className="border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
             >
               <option value="all">All Status</option>
-              <option value="pending">Pending</option>
-              <option value="shipped">Shipped</option>
-              <option value="completed">Completed</option>
-              <option value="cancelled">Cancelled</option>
+              {FILTER_STATUSES.map(status => (
+                <option key={status} value={status}>{formatOrderStatus(status)}</option>
+              ))}
             </select>
           </div>
         </div>
@@ -196,11 +262,12 @@ const SellerOrdersPage = () => {
               </thead>
               <tbody className="bg-white divide-y divide-gray-200">
                 {filteredOrders.map((order) => (
-                  <tr key={order.id} className="hover:bg-gray-50">
+                  <Fragment key={order.id}>
+                  <tr className="hover:bg-gray-50">
                     <td className="px-6 py-4 whitespace-nowrap">
                       <div>
                         <div className="text-sm font-medium text-gray-900">
-                          {order.order_number}
+                          #{order.order_number}
                         </div>
                         <div className="text-sm text-gray-500">
                           {order.items.length} item{order.items.length > 1 ? 's' : ''}
@@ -224,23 +291,46 @@ const SellerOrdersPage = () => {
                       </div>
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
-                      ${order.total_amount.toFixed(2)}
+                      {formatETB(order.total_amount)}
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap">
-                      <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${getStatusColor(order.status)}`}>
-                        {order.status.charAt(0).toUpperCase() + order.status.slice(1)}
+                      <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${getOrderStatusBadgeClass(order.status)}`}>
+                        {formatOrderStatus(order.status)}
                       </span>
+                      {order.order_status && order.order_status !== order.status && (
+                        <div className="text-xs text-gray-500 mt-1">Order: {formatOrderStatus(order.order_status)}</div>
+                      )}
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
-                      <Link
-                        to={`/seller/orders/${order.id}`}
+                      <button
+                        onClick={() => setExpandedOrderId(expandedOrderId === order.id ? null : order.id)}
                         className="text-blue-600 hover:text-blue-700 inline-flex items-center"
                       >
                         <FiEye className="h-4 w-4 mr-1" />
-                        View
-                      </Link>
+                        {expandedOrderId === order.id ? 'Hide' : 'View'}
+                      </button>
                     </td>
                   </tr>
+                  {expandedOrderId === order.id && (
+                    <tr className="bg-gray-50">
+                      <td colSpan={6} className="px-6 py-4">
+                        <ul className="space-y-1 text-sm text-gray-700">
+                          {order.items.map((item, index) => (
+                            <li key={item.id || index} className="flex justify-between">
+                              <span>
+                                {item.product_name}
+                                {item.variant_label && <span className="text-gray-500"> ({item.variant_label})</span>}
+                                {' '}× {item.quantity}
+                              </span>
+                              <span className="font-medium">{formatETB(item.price * item.quantity)}</span>
+                            </li>
+                          ))}
+                        </ul>
+                        <FulfillmentPanel key={order.status} order={order} onUpdated={fetchOrders} />
+                      </td>
+                    </tr>
+                  )}
+                  </Fragment>
                 ))}
               </tbody>
             </table>
@@ -296,9 +386,9 @@ const SellerOrdersPage = () => {
               <FiShoppingBag className="h-5 w-5 text-green-600" />
             </div>
             <div className="ml-3">
-              <p className="text-sm font-medium text-gray-600">Completed</p>
+              <p className="text-sm font-medium text-gray-600">Delivered</p>
               <p className="text-lg font-bold text-gray-900">
-                {orders.filter(o => o.status === 'completed').length}
+                {orders.filter(o => o.status === 'delivered').length}
               </p>
             </div>
           </div>
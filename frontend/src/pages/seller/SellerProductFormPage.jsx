@@ -0,0 +1,463 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import { useDispatch, useSelector } from 'react-redux';
+import { FiSave, FiX, FiImage, FiTrash2, FiAlertCircle, FiClock } from 'react-icons/fi';
+import toast from 'react-hot-toast';
+import {
+  createSellerProduct,
+  updateSellerProduct,
+  getSellerProduct,
+  uploadSellerProductImages,
+} from '../../services/sellerApi.js';
+import { fetchCategories } from '../../store/categorySlice.js';
+import Spinner from '../../components/common/Spinner.jsx';
+import { getImageUrl } from '../../utils/imageUrl';
+import { useSellerAccount } from '../../contexts/sellerAccountContext.js';
+import { meetsVerification } from '../../utils/sellerVerification.js';
+
+const MAX_IMAGES = 10; // sellerProductChanges() keeps the first ten
+
+const emptyForm = {
+  name: '',
+  description: '',
+  price: '',
+  original_price: '',
+  stock_quantity: 0,
+  category_id: '',
+  brand: '',
+  weight_kg: '',
+  is_active: false,
+};
+
+const SellerProductFormPage = () => {
+  const navigate = useNavigate();
+  const dispatch = useDispatch();
+  const { productId } = useParams();
+  const isEditing = !!productId;
+  const seller = useSellerAccount()?.seller;
+  // Listing a product needs every KYC document verified; until then products are saved hidden
+  const canPublish = meetsVerification(seller?.verification_level, 'full');
+  const { items: categories = [] } = useSelector((state) => state.categories);
+
+  const [loading, setLoading] = useState(isEditing);
+  const [saving, setSaving] = useState(false);
+  const [product, setProduct] = useState(null);
+  const [formData, setFormData] = useState(emptyForm);
+  const [images, setImages] = useState([]); // stored paths kept on the product
+  const [newImages, setNewImages] = useState([]); // files to upload on save
+  const [previews, setPreviews] = useState([]);
+  const [errors, setErrors] = useState({});
+
+  useEffect(() => {
+    dispatch(fetchCategories());
+  }, [dispatch]);
+
+  // Previews for the files waiting to be uploaded
+  useEffect(() => {
+    const urls = newImages.map(file => URL.createObjectURL(file));
+    setPreviews(urls);
+    return () => urls.forEach(url => URL.revokeObjectURL(url));
+  }, [newImages]);
+
+  const fetchProduct = useCallback(async () => {
+    try {
+      setLoading(true);
+      const data = await getSellerProduct(productId);
+      if (data.archived_at) {
+        toast.error('Restore this product before editing it.');
+        navigate('/seller/products');
+        return;
+      }
+      setProduct(data);
+      setFormData({
+        name: data.name || '',
+        description: data.description || '',
+        price: data.price ?? '',
+        original_price: data.original_price ?? '',
+        stock_quantity: data.stock_quantity ?? 0,
+        category_id: data.category_id || '',
+        brand: data.brand || '',
+        weight_kg: data.weight_kg ?? '',
+        // A product waiting for review was asked to be listed
+        is_active: data.is_active || data.approval_status === 'pending_review',
+      });
+      setImages(Array.isArray(data.images) ? data.images : []);
+    } catch (error) {
+      console.error('Error fetching product:', error);
+      toast.error(error.message || 'Could not load this product.');
+      navigate('/seller/products');
+    } finally {
+      setLoading(false);
+    }
+  }, [productId, navigate]);
+
+  useEffect(() => {
+    if (isEditing) fetchProduct();
+  }, [isEditing, fetchProduct]);
+
+  const handleInputChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: type === 'checkbox' ? checked : value
+    }));
+
+    if (errors[name]) {
+      setErrors(prev => ({
+        ...prev,
+        [name]: ''
+      }));
+    }
+  };
+
+  const handleAddImages = (e) => {
+    const files = Array.from(e.target.files || []);
+    if (images.length + newImages.length + files.length > MAX_IMAGES) {
+      toast.error(`A product can have up to ${MAX_IMAGES} images.`);
+    }
+    setNewImages(prev => [...prev, ...files].slice(0, Math.max(0, MAX_IMAGES - images.length)));
+    e.target.value = '';
+  };
+
+  const validateForm = () => {
+    const newErrors = {};
+
+    if (formData.name.trim().length < 3) {
+      newErrors.name = 'Product name must be at least 3 characters';
+    }
+    if (formData.description.trim().length < 10) {
+      newErrors.description = 'Please describe the product (at least 10 characters)';
+    }
+    if (!(Number(formData.price) > 0)) {
+      newErrors.price = 'Price must be a positive number';
+    }
+    if (formData.original_price !== '' && !(Number(formData.original_price) > Number(formData.price))) {
+      newErrors.original_price = 'The original price should be higher than the price';
+    }
+    if (!Number.isInteger(Number(formData.stock_quantity)) || Number(formData.stock_quantity) < 0) {
+      newErrors.stock_quantity = 'Stock must be a whole number';
+    }
+    if (formData.is_active && images.length + newImages.length === 0) {
+      newErrors.images = 'Add at least one image before listing the product';
+    }
+
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!validateForm()) {
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const uploaded = newImages.length > 0 ? await uploadSellerProductImages(seller.id, newImages) : [];
+      const productData = { ...formData, images: [...images, ...uploaded] };
+      const saved = isEditing
+        ? await updateSellerProduct(productId, productData)
+        : await createSellerProduct(productData);
+
+      if (saved?.approval_status === 'pending_review') {
+        toast.success('Saved and sent for review. It goes live once approved.');
+      } else {
+        toast.success(saved?.is_active ? 'Product saved and listed.' : 'Product saved.');
+      }
+      navigate('/seller/products');
+    } catch (error) {
+      console.error('Error saving product:', error);
+      setErrors({ submit: error.message || 'Failed to save product' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center h-64">
+        <Spinner />
+      </div>
+    );
+  }
+
+  const inputClass = (field) =>
+    `mt-1 block w-full px-3 py-2 border rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500 ${
+      errors[field] ? 'border-red-300' : 'border-gray-300'
+    }`;
+
+  return (
+    <div className="max-w-4xl mx-auto space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">
+            {isEditing ? 'Edit Product' : 'Add New Product'}
+          </h1>
+          <p className="text-gray-600 mt-1">
+            {isEditing ? 'Update your product listing' : 'List a new product in your store'}
+          </p>
+        </div>
+        <button
+          onClick={() => navigate('/seller/products')}
+          className="inline-flex items-center px-4 py-2 text-gray-600 hover:text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50"
+        >
+          <FiX className="mr-2 h-4 w-4" />
+          Cancel
+        </button>
+      </div>
+
+      {product?.approval_status === 'pending_review' && (
+        <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4 flex items-start text-yellow-800">
+          <FiClock className="h-5 w-5 mr-3 mt-0.5 flex-shrink-0" />
+          <p className="text-sm">Our team is reviewing this product. It goes live once approved; saving changes keeps it in the queue.</p>
+        </div>
+      )}
+      {product?.approval_status === 'rejected' && (
+        <div className="bg-red-50 border border-red-200 rounded-lg p-4 flex items-start text-red-800">
+          <FiAlertCircle className="h-5 w-5 mr-3 mt-0.5 flex-shrink-0" />
+          <div className="text-sm">
+            <p className="font-medium">This product was not approved.</p>
+            {product.approval_note && <p className="mt-1">{product.approval_note}</p>}
+            <p className="mt-1">Update the listing and save it with "List in the shop" ticked to send it for review again.</p>
+          </div>
+        </div>
+      )}
+
+      <form onSubmit={handleSubmit} className="space-y-6">
+        {/* Product Details */}
+        <div className="bg-white rounded-lg shadow-sm p-6">
+          <h2 className="text-lg font-semibold text-gray-900 mb-4">Product Details</h2>
+
+          {errors.submit && (
+            <div className="bg-red-50 border border-red-200 rounded-md p-4 mb-4">
+              <p className="text-red-800">{errors.submit}</p>
+            </div>
+          )}
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div className="md:col-span-2">
+              <label htmlFor="name" className="block text-sm font-medium text-gray-700">
+                Product Name *
+              </label>
+              <input
+                type="text"
+                id="name"
+                name="name"
+                value={formData.name}
+                onChange={handleInputChange}
+                className={inputClass('name')}
+                placeholder="Enter product name"
+              />
+              {errors.name && <p className="mt-1 text-sm text-red-600">{errors.name}</p>}
+            </div>
+
+            <div className="md:col-span-2">
+              <label htmlFor="description" className="block text-sm font-medium text-gray-700">
+                Description *
+              </label>
+              <textarea
+                id="description"
+                name="description"
+                rows={5}
+                value={formData.description}
+                onChange={handleInputChange}
+                className={inputClass('description')}
+                placeholder="Materials, sizes, care instructions..."
+              />
+              {errors.description && <p className="mt-1 text-sm text-red-600">{errors.description}</p>}
+            </div>
+
+            <div>
+              <label htmlFor="price" className="block text-sm font-medium text-gray-700">
+                Price (ETB) *
+              </label>
+              <input
+                type="number"
+                id="price"
+                name="price"
+                min="0"
+                step="0.01"
+                value={formData.price}
+                onChange={handleInputChange}
+                className={inputClass('price')}
+              />
+              {errors.price && <p className="mt-1 text-sm text-red-600">{errors.price}</p>}
+            </div>
+
+            <div>
+              <label htmlFor="original_price" className="block text-sm font-medium text-gray-700">
+                Original Price (ETB)
+              </label>
+              <input
+                type="number"
+                id="original_price"
+                name="original_price"
+                min="0"
+                step="0.01"
+                value={formData.original_price}
+                onChange={handleInputChange}
+                className={inputClass('original_price')}
+                placeholder="Shown crossed out when on sale"
+              />
+              {errors.original_price && <p className="mt-1 text-sm text-red-600">{errors.original_price}</p>}
+            </div>
+
+            <div>
+              <label htmlFor="stock_quantity" className="block text-sm font-medium text-gray-700">
+                Stock Quantity
+              </label>
+              <input
+                type="number"
+                id="stock_quantity"
+                name="stock_quantity"
+                min="0"
+                step="1"
+                value={formData.stock_quantity}
+                onChange={handleInputChange}
+                className={inputClass('stock_quantity')}
+              />
+              {errors.stock_quantity && <p className="mt-1 text-sm text-red-600">{errors.stock_quantity}</p>}
+            </div>
+
+            <div>
+              <label htmlFor="category_id" className="block text-sm font-medium text-gray-700">
+                Category
+              </label>
+              <select
+                id="category_id"
+                name="category_id"
+                value={formData.category_id}
+                onChange={handleInputChange}
+                className={inputClass('category_id')}
+              >
+                <option value="">Select a category</option>
+                {categories.map(category => (
+                  <option key={category.id} value={category.id}>{category.name}</option>
+                ))}
+              </select>
+            </div>
+
+            <div>
+              <label htmlFor="brand" className="block text-sm font-medium text-gray-700">
+                Brand
+              </label>
+              <input
+                type="text"
+                id="brand"
+                name="brand"
+                value={formData.brand}
+                onChange={handleInputChange}
+                className={inputClass('brand')}
+              />
+            </div>
+
+            <div>
+              <label htmlFor="weight_kg" className="block text-sm font-medium text-gray-700">
+                Weight (kg)
+              </label>
+              <input
+                type="number"
+                id="weight_kg"
+                name="weight_kg"
+                min="0"
+                step="0.01"
+                value={formData.weight_kg}
+                onChange={handleInputChange}
+                className={inputClass('weight_kg')}
+                placeholder="Used for shipping quotes"
+              />
+            </div>
+
+            <div className="md:col-span-2">
+              <div className="flex items-center">
+                <input
+                  type="checkbox"
+                  id="is_active"
+                  name="is_active"
+                  checked={formData.is_active}
+                  onChange={handleInputChange}
+                  disabled={!canPublish && !formData.is_active}
+                  className="rounded border-gray-300 text-blue-600 shadow-sm focus:border-blue-300 focus:ring focus:ring-blue-200 focus:ring-opacity-50"
+                />
+                <label htmlFor="is_active" className="ml-2 block text-sm text-gray-700">
+                  List in the shop
+                </label>
+              </div>
+              <p className="mt-1 text-xs text-gray-500">
+                {canPublish
+                  ? 'New and changed listings may be checked by our team before they go live.'
+                  : 'Products can be listed once your trade licence, TIN certificate and ID are verified.'}
+              </p>
+            </div>
+          </div>
+        </div>
+
+        {/* Images */}
+        <div className="bg-white rounded-lg shadow-sm p-6">
+          <h2 className="text-lg font-semibold text-gray-900 mb-4">Images</h2>
+          <p className="text-sm text-gray-500 mb-4">The first image is the one shown in the shop. Up to {MAX_IMAGES} images.</p>
+
+          {images.length + previews.length > 0 ? (
+            <div className="grid grid-cols-2 sm:grid-cols-4 gap-4 mb-4">
+              {images.map((path, index) => (
+                <div key={path} className="relative group">
+                  <img src={getImageUrl(path)} alt={`Product image ${index + 1}`} className="w-full h-28 object-cover rounded-lg border border-gray-200" />
+                  <button
+                    type="button"
+                    onClick={() => setImages(prev => prev.filter(image => image !== path))}
+                    className="absolute top-1 right-1 p-1 bg-white rounded-full shadow text-red-600 hover:text-red-700"
+                  >
+                    <FiTrash2 className="h-4 w-4" />
+                  </button>
+                </div>
+              ))}
+              {previews.map((url, index) => (
+                <div key={url} className="relative group">
+                  <img src={url} alt={`New image ${index + 1}`} className="w-full h-28 object-cover rounded-lg border border-blue-200" />
+                  <button
+                    type="button"
+                    onClick={() => setNewImages(prev => prev.filter((_, i) => i !== index))}
+                    className="absolute top-1 right-1 p-1 bg-white rounded-full shadow text-red-600 hover:text-red-700"
+                  >
+                    <FiTrash2 className="h-4 w-4" />
+                  </button>
+                </div>
+              ))}
+            </div>
+          ) : (
+            <div className="mb-4 text-center py-6 border-2 border-dashed border-gray-300 rounded-lg">
+              <FiImage className="mx-auto h-8 w-8 text-gray-400" />
+              <p className="text-gray-500 mt-2">No images yet.</p>
+            </div>
+          )}
+
+          <input
+            type="file"
+            accept="image/*"
+            multiple
+            onChange={handleAddImages}
+            disabled={images.length + newImages.length >= MAX_IMAGES}
+            className="block w-full text-sm text-gray-700 file:mr-3 file:py-2 file:px-3 file:rounded-md file:border-0 file:bg-blue-50 file:text-blue-700 hover:file:bg-blue-100"
+          />
+          {errors.images && <p className="mt-1 text-sm text-red-600">{errors.images}</p>}
+        </div>
+
+        {/* Submit */}
+        <div className="flex justify-end">
+          <button
+            type="submit"
+            disabled={saving}
+            className="inline-flex items-center px-6 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {saving ? <Spinner size="sm" /> : <FiSave className="mr-2 h-4 w-4" />}
+            {saving ? 'Saving...' : isEditing ? 'Update Product' : 'Create Product'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default SellerProductFormPage;
@@ -1,75 +1,79 @@
 import React, { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
+import toast from 'react-hot-toast';
 import {
   FiBox,
   FiPlus,
   FiEdit,
-  FiTrash2,
+  FiArchive,
+  FiRotateCcw,
+  FiCopy,
   FiEye,
   FiSearch,
   FiFilter,
 } from 'react-icons/fi';
 import Spinner from '../../components/common/Spinner.jsx';
+import { getSellerProducts, archiveSellerProduct, duplicateSellerProduct } from '../../services/sellerApi.js';
+import { formatETB } from '../../utils/utils';
+import { getImageUrl } from '../../utils/imageUrl';
+import { SELLER_PRODUCT_STATUSES, getSellerProductStatus } from '../../utils/sellerProducts.js';
 
 const SellerProductsPage = () => {
   const [loading, setLoading] = useState(true);
   const [products, setProducts] = useState([]);
+  const [error, setError] = useState(null);
   const [searchTerm, setSearchTerm] = useState('');
   const [filterCategory, setFilterCategory] = useState('all');
+  const [filterStatus, setFilterStatus] = useState('current');
+  const [busyId, setBusyId] = useState(null);
 
-  useEffect(() => {
-    const fetchProducts = async () => {
-      try {
-        setLoading(true);
-        
-        // Mock products data for now
-        const mockProducts = [
-          {
-            id: '1',
-            name: 'Summer T-Shirt',
-            description: 'Comfortable cotton t-shirt perfect for summer',
-            price: 29.99,
-            category: 'Clothing',
-            stock: 50,
-            image_url: null,
-            is_active: true,
-            created_at: new Date().toISOString()
-          },
-          {
-            id: '2',
-            name: 'Wireless Headphones',
-            description: 'High-quality wireless headphones with noise cancellation',
-            price: 199.99,
-            category: 'Electronics',
-            stock: 15,
-            image_url: null,
-            is_active: true,
-            created_at: new Date().toISOString()
-          },
-          {
-            id: '3',
-            name: 'Winter Jacket',
-            description: 'Warm and stylish winter jacket',
-            price: 89.99,
-            category: 'Clothing',
-            stock: 0,
-            image_url: null,
-            is_active: false,
-            created_at: new Date().toISOString()
-          }
-        ];
-
-        setProducts(mockProducts);
-      } catch (error) {
-        console.error('Error fetching products:', error);
-      } finally {
-        setLoading(false);
-      }
-    };
+  const fetchProducts = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const data = await getSellerProducts();
+      setProducts(data || []);
+    } catch (error) {
+      console.error('Error fetching products:', error);
+      setError(error.message || 'Failed to load products');
+    } finally {
+      setLoading(false);
+    }
+  };
 
+  useEffect(() => {
     fetchProducts();
   }, []);
 
+  const replaceProduct = (updated) =>
+    setProducts(prev => prev.map(product => (product.id === updated.id ? updated : product)));
+
+  const handleArchive = async (product, archived) => {
+    if (archived && !window.confirm(`Archive "${product.name}"? It leaves the shop and your collections, but stays on past orders.`)) return;
+    setBusyId(product.id);
+    try {
+      replaceProduct(await archiveSellerProduct(product.id, archived));
+      toast.success(archived ? 'Product archived' : 'Product restored as hidden');
+    } catch (err) {
+      toast.error(err.message || 'Could not update this product');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleDuplicate = async (product) => {
+    setBusyId(product.id);
+    try {
+      const copy = await duplicateSellerProduct(product.id);
+      setProducts(prev => [copy, ...prev]);
+      toast.success(`Created "${copy.name}" as a hidden draft`);
+    } catch (err) {
+      toast.error(err.message || 'Could not duplicate this product');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
   // Filter products based on search and category
   const filteredProducts = products.filter(product => {
     const matchesSearch = product.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
@@ -78,7 +82,11 @@ const SellerProductsPage = () => {
     const matchesCategory = filterCategory === 'all' || 
                            product.category === filterCategory;
 
-    return matchesSearch && matchesCategory;
+    // 'current' is everything but archived products
+    const status = getSellerProductStatus(product);
+    const matchesStatus = filterStatus === 'current' ? status !== 'archived' : status === filterStatus;
+
+    return matchesSearch && matchesCategory && matchesStatus;
   });
 
   const categories = ['all', ...new Set(products.map(p => p.category))];
@@ -91,6 +99,20 @@ const SellerProductsPage = () => {
     );
   }
 
+  if (error) {
+    return (
+      <div className="text-center py-12">
+        <p className="text-red-600 mb-4">{error}</p>
+        <button
+          onClick={fetchProducts}
+          className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700"
+        >
+          Try Again
+        </button>
+      </div>
+    );
+  }
+
   return (
     <div className="space-y-6">
       {/* Header */}
@@ -102,7 +124,7 @@ const SellerProductsPage = () => {
           </p>
         </div>
         <Link
-          to="/admin/products/new"
+          to="/seller/products/new"
           className="inline-flex items-center px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors"
         >
           <FiPlus className="mr-2 h-4 w-4" />
@@ -125,9 +147,19 @@ const SellerProductsPage = () => {
             />
           </div>
 
-          {/* Category Filter */}
+          {/* Category and Status Filters */}
           <div className="flex items-center gap-2">
             <FiFilter className="h-4 w-4 text-gray-400" />
+            <select
+              value={filterStatus}
+              onChange={(e) => setFilterStatus(e.target.value)}
+              className="border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+            >
+              <option value="current">All Products</option>
+              {Object.entries(SELLER_PRODUCT_STATUSES).map(([value, { label }]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
             <select
               value={filterCategory}
               onChange={(e) => setFilterCategory(e.target.value)}
@@ -160,7 +192,7 @@ const SellerProductsPage = () => {
             {products.length === 0 && (
               <div className="mt-6">
                 <Link
-                  to="/admin/products/new"
+                  to="/seller/products/new"
                   className="inline-flex items-center px-4 py-2 border border-transparent shadow-sm text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700"
                 >
                   <FiPlus className="mr-2 h-4 w-4" />
@@ -205,7 +237,7 @@ const SellerProductsPage = () => {
                           {product.image_url ? (
                             <img
                               className="h-10 w-10 rounded-lg object-cover"
-                              src={product.image_url}
+                              src={getImageUrl(product.image_url)}
                               alt={product.name}
                             />
                           ) : (
@@ -219,6 +251,11 @@ const SellerProductsPage = () => {
                           <div className="text-sm text-gray-500 truncate max-w-xs">
                             {product.description}
                           </div>
+                          {product.approval_status === 'rejected' && product.approval_note && (
+                            <div className="text-xs text-red-600 whitespace-normal max-w-xs mt-1">
+                              Not approved: {product.approval_note}
+                            </div>
+                          )}
                         </div>
                       </div>
                     </td>
@@ -226,7 +263,7 @@ const SellerProductsPage = () => {
                       {product.category}
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
-                      ${product.price}
+                      {formatETB(product.price)}
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
                       <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${
@@ -241,38 +278,58 @@ const SellerProductsPage = () => {
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap">
                       <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${
-                        product.is_active
-                          ? 'bg-green-100 text-green-800'
-                          : 'bg-gray-100 text-gray-800'
+                        SELLER_PRODUCT_STATUSES[getSellerProductStatus(product)].className
                       }`}>
-                        {product.is_active ? 'Active' : 'Inactive'}
+                        {SELLER_PRODUCT_STATUSES[getSellerProductStatus(product)].label}
                       </span>
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
                       <div className="flex items-center justify-end space-x-2">
-                        <Link
-                          to={`/products/${product.id}`}
-                          className="text-blue-600 hover:text-blue-700"
-                        >
-                          <FiEye className="h-4 w-4" />
-                        </Link>
-                        <Link
-                          to={`/admin/products/edit/${product.id}`}
-                          className="text-indigo-600 hover:text-indigo-700"
-                        >
-                          <FiEdit className="h-4 w-4" />
-                        </Link>
+                        {product.is_active && (
+                          <Link
+                            to={`/products/${product.id}`}
+                            className="text-blue-600 hover:text-blue-700"
+                            title="View in shop"
+                          >
+                            <FiEye className="h-4 w-4" />
+                          </Link>
+                        )}
+                        {!product.archived_at && (
+                          <Link
+                            to={`/seller/products/edit/${product.id}`}
+                            className="text-indigo-600 hover:text-indigo-700"
+                            title="Edit"
+                          >
+                            <FiEdit className="h-4 w-4" />
+                          </Link>
+                        )}
                         <button
-                          onClick={() => {
-                            if (confirm('Are you sure you want to delete this product?')) {
-                              // Handle delete
-                              console.log('Delete product:', product.id);
-                            }
-                          }}
-                          className="text-red-600 hover:text-red-700"
+                          onClick={() => handleDuplicate(product)}
+                          disabled={busyId === product.id}
+                          className="text-gray-600 hover:text-gray-800 disabled:opacity-50"
+                          title="Duplicate"
                         >
-                          <FiTrash2 className="h-4 w-4" />
+                          <FiCopy className="h-4 w-4" />
                         </button>
+                        {product.archived_at ? (
+                          <button
+                            onClick={() => handleArchive(product, false)}
+                            disabled={busyId === product.id}
+                            className="text-green-600 hover:text-green-700 disabled:opacity-50"
+                            title="Restore"
+                          >
+                            <FiRotateCcw className="h-4 w-4" />
+                          </button>
+                        ) : (
+                          <button
+                            onClick={() => handleArchive(product, true)}
+                            disabled={busyId === product.id}
+                            className="text-red-600 hover:text-red-700 disabled:opacity-50"
+                            title="Archive"
+                          >
+                            <FiArchive className="h-4 w-4" />
+                          </button>
+                        )}
                       </div>
                     </td>
                   </tr>
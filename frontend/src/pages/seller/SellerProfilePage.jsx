@@ -13,6 +13,14 @@ import {
 import { getSellerProfile, updateSellerProfile } from '../../services/sellerApi.js';
 import Spinner from '../../components/common/Spinner.jsx';
 
+const SELLER_STATUS_LABELS = {
+  pending_approval: 'Pending approval',
+  needs_info: 'Waiting for more information',
+  active: 'Active',
+  suspended: 'Suspended',
+  rejected: 'Rejected',
+};
+
 const SellerProfilePage = () => {
   const [loading, setLoading] = useState(true);
   const [saving, setSaving] = useState(false);
@@ -20,6 +28,7 @@ const SellerProfilePage = () => {
   const [profile, setProfile] = useState(null);
   const [formData, setFormData] = useState({});
   const [errors, setErrors] = useState({});
+  const [loadError, setLoadError] = useState(null);
 
   useEffect(() => {
     fetchProfile();
@@ -28,43 +37,18 @@ const SellerProfilePage = () => {
   const fetchProfile = async () => {
     try {
       setLoading(true);
+      setLoadError(null);
       const data = await getSellerProfile();
       setProfile(data);
       setFormData(data);
     } catch (error) {
       console.error('Error fetching profile:', error);
-      // Use mock data for development
-      const mockProfile = getMockProfile();
-      setProfile(mockProfile);
-      setFormData(mockProfile);
+      setLoadError(error.message || 'Failed to load your seller profile');
     } finally {
       setLoading(false);
     }
   };
 
-  const getMockProfile = () => ({
-    id: 1,
-    user_id: 'user-123',
-    store_name: 'The Test Boutique',
-    store_description: 'Curating unique fashion pieces and lifestyle products for the modern consumer.',
-    store_logo_url: null,
-    contact_email: 'seller@testboutique.com',
-    contact_phone: '+1-555-0123',
-    business_address: '123 Fashion Street, Style City, SC 12345',
-    business_registration_number: 'REG-2024-001',
-    tax_id: 'TAX-123456789',
-    bank_account_details: {
-      account_holder: 'The Test Boutique LLC',
-      bank_name: 'First National Bank',
-      account_number: '****1234',
-      routing_number: '****5678'
-    },
-    status: 'active',
-    approval_date: '2024-01-01T00:00:00Z',
-    created_at: '2024-01-01T00:00:00Z',
-    updated_at: '2024-01-15T10:30:00Z'
-  });
-
   const handleInputChange = (e) => {
     const { name, value } = e.target;
     setFormData(prev => ({
@@ -121,6 +105,7 @@ const SellerProfilePage = () => {
     try {
       const updatedProfile = await updateSellerProfile(formData);
       setProfile(updatedProfile);
+      setFormData(updatedProfile);
       setEditing(false);
     } catch (error) {
       console.error('Error updating profile:', error);
@@ -144,6 +129,20 @@ const SellerProfilePage = () => {
     );
   }
 
+  if (loadError || !profile) {
+    return (
+      <div className="text-center py-12">
+        <p className="text-red-600 mb-4">{loadError || 'Seller profile not found'}</p>
+        <button
+          onClick={fetchProfile}
+          className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700"
+        >
+          Try Again
+        </button>
+      </div>
+    );
+  }
+
   return (
     <div className="max-w-4xl mx-auto space-y-6">
       {/* Header */}
@@ -191,12 +190,12 @@ const SellerProfilePage = () => {
           <div className="flex items-center">
             <div className={`h-3 w-3 rounded-full mr-3 ${
               profile.status === 'active' ? 'bg-green-500' : 
-              profile.status === 'pending' ? 'bg-yellow-500' : 'bg-red-500'
+              ['pending_approval', 'needs_info'].includes(profile.status) ? 'bg-yellow-500' : 'bg-red-500'
             }`}></div>
             <div>
               <h3 className="text-lg font-medium text-gray-900">Account Status</h3>
               <p className="text-sm text-gray-600">
-                Your seller account is <span className="font-semibold capitalize">{profile.status}</span>
+                Your seller account is <span className="font-semibold">{SELLER_STATUS_LABELS[profile.status] || profile.status}</span>
                 {profile.approval_date && (
                   <span> since {new Date(profile.approval_date).toLocaleDateString()}</span>
                 )}
@@ -0,0 +1,83 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { FiRotateCcw } from 'react-icons/fi';
+import Spinner from '../../components/common/Spinner.jsx';
+import ReturnRequestCard from '../../components/returns/ReturnRequestCard.jsx';
+import { fetchReturnRequests } from '../../services/returnApi.js';
+
+// Returns that include this seller's items. Requests mixing several sellers are read-only here;
+// those are decided by the SuriAddis team.
+const SellerReturnsPage = () => {
+  const [loading, setLoading] = useState(true);
+  const [requests, setRequests] = useState([]);
+  const [error, setError] = useState(null);
+  const [statusFilter, setStatusFilter] = useState('pending');
+
+  const fetchRequests = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await fetchReturnRequests({ status: statusFilter || undefined, limit: 50 });
+      setRequests(response.data || []);
+    } catch (err) {
+      console.error('Error fetching return requests:', err);
+      setError(err.message || 'Failed to load return requests');
+    } finally {
+      setLoading(false);
+    }
+  }, [statusFilter]);
+
+  useEffect(() => {
+    fetchRequests();
+  }, [fetchRequests]);
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Returns</h1>
+          <p className="text-gray-600 mt-1">Review return requests for your products</p>
+        </div>
+        <select
+          value={statusFilter}
+          onChange={(e) => setStatusFilter(e.target.value)}
+          className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+        >
+          <option value="pending">Pending</option>
+          <option value="approved">Approved</option>
+          <option value="rejected">Rejected</option>
+          <option value="">All</option>
+        </select>
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center items-center h-64">
+          <Spinner />
+        </div>
+      ) : error ? (
+        <div className="text-center py-12">
+          <p className="text-red-600 mb-4">{error}</p>
+          <button
+            onClick={fetchRequests}
+            className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700"
+          >
+            Try Again
+          </button>
+        </div>
+      ) : requests.length === 0 ? (
+        <div className="bg-white rounded-lg shadow-sm p-12 text-center">
+          <FiRotateCcw className="h-12 w-12 mx-auto text-gray-400 mb-3" />
+          <p className="text-gray-600">No return requests to show.</p>
+        </div>
+      ) : (
+        <div className="space-y-4">
+          {requests.map(request => (
+            <ReturnRequestCard key={request.id} request={request} onReviewed={fetchRequests} />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SellerReturnsPage;
@@ -0,0 +1,148 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { FiStar } from 'react-icons/fi';
+import toast from 'react-hot-toast';
+import Spinner from '../../components/common/Spinner.jsx';
+import ReviewCard from '../../components/reviews/ReviewCard.jsx';
+import { fetchSellerReviews, replyToReview, MAX_REVIEW_LENGTH } from '../../services/reviewApi.js';
+
+// Public reply under a review; saving an empty reply removes it
+const ReplyForm = ({ review, onSaved }) => {
+  const [editing, setEditing] = useState(false);
+  const [reply, setReply] = useState(review.seller_reply || '');
+  const [saving, setSaving] = useState(false);
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      await replyToReview(review.id, reply);
+      toast.success(reply.trim() ? 'Reply posted.' : 'Reply removed.');
+      setEditing(false);
+      onSaved?.();
+    } catch (err) {
+      toast.error(err.message || 'Could not save your reply.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!editing) {
+    return (
+      <button
+        type="button"
+        onClick={() => setEditing(true)}
+        className="text-sm font-medium text-blue-600 hover:text-blue-700"
+      >
+        {review.seller_reply ? 'Edit reply' : 'Reply'}
+      </button>
+    );
+  }
+
+  return (
+    <form onSubmit={handleSave} className="space-y-2">
+      <textarea
+        value={reply}
+        onChange={(e) => setReply(e.target.value)}
+        rows={3}
+        maxLength={MAX_REVIEW_LENGTH}
+        placeholder="Thank the customer or address their concerns. Replies are public."
+        className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+      />
+      <div className="flex gap-2">
+        <button
+          type="submit"
+          disabled={saving}
+          className="inline-flex items-center gap-2 px-4 py-2 bg-blue-600 text-white text-sm rounded-md hover:bg-blue-700 disabled:opacity-60"
+        >
+          {saving && <Spinner size="sm" />}
+          Save reply
+        </button>
+        <button
+          type="button"
+          onClick={() => { setEditing(false); setReply(review.seller_reply || ''); }}
+          className="px-4 py-2 text-sm text-gray-600 hover:text-gray-900"
+        >
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+};
+
+// Approved reviews on this seller's products, with public replies
+const SellerReviewsPage = () => {
+  const [loading, setLoading] = useState(true);
+  const [reviews, setReviews] = useState([]);
+  const [error, setError] = useState(null);
+  const [unrepliedOnly, setUnrepliedOnly] = useState(false);
+
+  const fetchReviews = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await fetchSellerReviews({ unreplied: unrepliedOnly ? 'true' : undefined, limit: 50 });
+      setReviews(response.data || []);
+    } catch (err) {
+      console.error('Error fetching reviews:', err);
+      setError(err.message || 'Failed to load reviews');
+    } finally {
+      setLoading(false);
+    }
+  }, [unrepliedOnly]);
+
+  useEffect(() => {
+    fetchReviews();
+  }, [fetchReviews]);
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Reviews</h1>
+          <p className="text-gray-600 mt-1">See what customers say about your products and reply</p>
+        </div>
+        <label className="flex items-center gap-2 text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={unrepliedOnly}
+            onChange={(e) => setUnrepliedOnly(e.target.checked)}
+            className="h-4 w-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+          />
+          Without a reply only
+        </label>
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center items-center h-64">
+          <Spinner />
+        </div>
+      ) : error ? (
+        <div className="text-center py-12">
+          <p className="text-red-600 mb-4">{error}</p>
+          <button
+            onClick={fetchReviews}
+            className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700"
+          >
+            Try Again
+          </button>
+        </div>
+      ) : reviews.length === 0 ? (
+        <div className="bg-white rounded-lg shadow-sm p-12 text-center">
+          <FiStar className="h-12 w-12 mx-auto text-gray-400 mb-3" />
+          <p className="text-gray-600">No reviews to show.</p>
+        </div>
+      ) : (
+        <div className="bg-white rounded-lg shadow-sm px-6 divide-y divide-gray-200">
+          {reviews.map(review => (
+            <ReviewCard key={review.id} review={review} showProduct>
+              <ReplyForm review={review} onSaved={fetchReviews} />
+            </ReviewCard>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SellerReviewsPage;
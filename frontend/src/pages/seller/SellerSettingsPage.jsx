@@ -10,7 +10,10 @@ import {
   FiToggleRight,
   FiInfo
 } from 'react-icons/fi';
+import toast from 'react-hot-toast';
 import Spinner from '../../components/common/Spinner.jsx';
+import { fetchNotificationPreferences, updateNotificationPreferences } from '../../services/notificationApi.js';
+import { getSellerSettings, updateSellerSettings } from '../../services/sellerApi.js';
 
 const SellerSettingsPage = () => {
   const [loading, setLoading] = useState(true);
@@ -25,42 +28,17 @@ const SellerSettingsPage = () => {
   const fetchSettings = async () => {
     try {
       setLoading(true);
-      // Mock settings data for development
-      const mockSettings = {
-        notifications: {
-          order_notifications: true,
-          payment_notifications: true,
-          marketing_emails: false,
-          weekly_reports: true,
-          review_notifications: true
-        },
-        business: {
-          auto_accept_orders: false,
-          processing_time_days: 3,
-          return_policy_days: 30,
-          minimum_order_amount: 0,
-          free_shipping_threshold: 100
-        },
-        payout: {
-          payout_method: 'bank_transfer',
-          payout_frequency: 'weekly',
-          minimum_payout_amount: 50,
-          account_holder_name: 'The Test Boutique LLC',
-          account_number: '****1234',
-          routing_number: '****5678',
-          bank_name: 'First National Bank'
-        },
-        privacy: {
-          public_profile: true,
-          show_contact_info: true,
-          analytics_tracking: true,
-          data_sharing: false
-        }
-      };
-      setSettings(mockSettings);
+      setErrors({});
+      const [preferencesResponse, sellerSettings] = await Promise.all([
+        fetchNotificationPreferences(),
+        getSellerSettings(),
+      ]);
+      const notifications = { ...preferencesResponse.data };
+      delete notifications.updated_at;
+      setSettings({ notifications, ...sellerSettings });
     } catch (error) {
       console.error('Error fetching settings:', error);
-      setErrors({ fetch: 'Failed to load settings' });
+      setErrors({ fetch: error.message || 'Failed to load settings' });
     } finally {
       setLoading(false);
     }
@@ -88,13 +66,18 @@ const SellerSettingsPage = () => {
 
   const handleSave = async () => {
     setSaving(true);
+    setErrors({});
     try {
-      // Simulate API call
-      await new Promise(resolve => setTimeout(resolve, 1000));
-      // Success message would go here
+      const { notifications, business, payout, privacy } = settings;
+      const [, savedSettings] = await Promise.all([
+        updateNotificationPreferences(notifications),
+        updateSellerSettings({ business, payout, privacy }),
+      ]);
+      setSettings(prev => ({ ...prev, ...savedSettings }));
+      toast.success('Settings saved');
     } catch (error) {
       console.error('Error saving settings:', error);
-      setErrors({ save: 'Failed to save settings' });
+      setErrors({ save: error.message || 'Failed to save settings' });
     } finally {
       setSaving(false);
     }
@@ -189,12 +172,6 @@ const SellerSettingsPage = () => {
             label="Review Notifications"
             description="Receive notifications for new product reviews"
           />
-          <ToggleButton
-            checked={settings.notifications?.weekly_reports}
-            onChange={() => handleToggle('notifications', 'weekly_reports')}
-            label="Weekly Reports"
-            description="Get weekly performance and sales reports"
-          />
           <ToggleButton
             checked={settings.notifications?.marketing_emails}
             onChange={() => handleToggle('notifications', 'marketing_emails')}
@@ -252,7 +229,7 @@ const SellerSettingsPage = () => {
             
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-2">
-                Minimum Order Amount ($)
+                Minimum Order Amount (ETB)
               </label>
               <input
                 type="number"
@@ -267,7 +244,7 @@ const SellerSettingsPage = () => {
             
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-2">
-                Free Shipping Threshold ($)
+                Free Shipping Threshold (ETB)
               </label>
               <input
                 type="number"
@@ -302,8 +279,7 @@ const SellerSettingsPage = () => {
                 className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
               >
                 <option value="bank_transfer">Bank Transfer</option>
-                <option value="paypal">PayPal</option>
-                <option value="stripe">Stripe</option>
+                <option value="telebirr">telebirr</option>
               </select>
             </div>
             
@@ -324,13 +300,13 @@ const SellerSettingsPage = () => {
             
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-2">
-                Minimum Payout Amount ($)
+                Minimum Payout Amount (ETB)
               </label>
               <input
                 type="number"
-                min="10"
+                min="0"
                 step="0.01"
-                value={settings.payout?.minimum_payout_amount || 50}
+                value={settings.payout?.minimum_payout_amount ?? 500}
                 onChange={(e) => handleInputChange('payout', 'minimum_payout_amount', parseFloat(e.target.value))}
                 className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
               />
@@ -344,26 +320,20 @@ const SellerSettingsPage = () => {
             <div className="grid grid-cols-1 md:grid-cols-2 gap-4 text-sm">
               <div>
                 <span className="text-gray-600">Account Holder:</span>
-                <p className="font-medium">{settings.payout?.account_holder_name}</p>
+                <p className="font-medium">{settings.payout?.account_holder_name || 'Not set'}</p>
               </div>
               <div>
                 <span className="text-gray-600">Bank:</span>
-                <p className="font-medium">{settings.payout?.bank_name}</p>
+                <p className="font-medium">{settings.payout?.bank_name || 'Not set'}</p>
               </div>
               <div>
                 <span className="text-gray-600">Account Number:</span>
-                <p className="font-medium">{settings.payout?.account_number}</p>
-              </div>
-              <div>
-                <span className="text-gray-600">Routing Number:</span>
-                <p className="font-medium">{settings.payout?.routing_number}</p>
+                <p className="font-medium">{settings.payout?.account_number || 'Not set'}</p>
               </div>
             </div>
-            <div className="mt-3">
-              <button className="text-blue-600 hover:text-blue-700 text-sm font-medium">
-                Update Payment Information
-              </button>
-            </div>
+            <p className="mt-3 text-sm text-gray-500">
+              To change your payout account, contact the SuriAddis seller support team.
+            </p>
           </div>
         </div>
       </div>
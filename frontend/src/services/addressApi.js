@@ -0,0 +1,36 @@
+import { supabase } from './supabaseClient.js';
+import { toApiError } from './edgeFunctionError.js';
+
+/**
+ * Address Book API Service
+ * The signed-in customer's saved delivery addresses. Bodies use the shippingAddress field names
+ * plus `label` and `isDefault`; responses are customer_addresses rows.
+ */
+
+export const fetchAddresses = async () => {
+  const { data, error } = await supabase.functions.invoke('get-addresses', { method: 'GET' });
+  if (error) throw await toApiError(error);
+  // { success, data: [address, ...] }, default first
+  return data;
+};
+
+export const createAddress = async (address) => {
+  const { data, error } = await supabase.functions.invoke('create-address', { body: address });
+  if (error) throw await toApiError(error);
+  return data;
+};
+
+export const updateAddress = async (addressId, address) => {
+  const { data, error } = await supabase.functions.invoke(`update-address?id=${addressId}`, {
+    method: 'PUT',
+    body: address,
+  });
+  if (error) throw await toApiError(error);
+  return data;
+};
+
+export const deleteAddress = async (addressId) => {
+  const { data, error } = await supabase.functions.invoke(`delete-address?id=${addressId}`, { method: 'DELETE' });
+  if (error) throw await toApiError(error);
+  return data;
+};
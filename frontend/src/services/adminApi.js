@@ -142,6 +142,9 @@ export const createAdminProduct = async (formData) => {
                 productData[key] = value;
             }
         }
+        if (productData.variants) {
+            productData.variants = JSON.parse(productData.variants); // Sent as JSON text inside the FormData
+        }
         productData.images = uploadedImagePaths; // Add the array of relative image paths
 
         // --- Ensure slug is included if required by your DB schema ---
@@ -245,6 +248,9 @@ export const updateAdminProduct = async (productId, formData) => {
                 productData[key] = value;
             }
         }
+        if (productData.variants) {
+            productData.variants = JSON.parse(productData.variants); // Sent as JSON text inside the FormData
+        }
         productData.images = finalImagePaths; // Set the final list of relative paths
         productData.imagesToDelete = imagesToDelete; // Pass paths to delete to the backend
 
@@ -0,0 +1,82 @@
+import { supabase } from './supabaseClient.js';
+import { toApiError } from './edgeFunctionError.js';
+
+/**
+ * Coupon API Service
+ * Promo code validation for shoppers and coupon CRUD for admins (Supabase Edge Functions)
+ */
+
+// Check a promo code against the cart. items: [{ productId, quantity }]
+export const validateCoupon = async (code, items) => {
+  const { data, error } = await supabase.functions.invoke('validate-coupon', {
+    body: { code, items }
+  });
+  if (error) throw await toApiError(error);
+  // { success, data: { code, description, discountAmount, subtotal, totalAmount, ... } }
+  return data;
+};
+
+// --- Admin ---
+
+export const fetchAdminCoupons = async (params = {}) => {
+  const query = new URLSearchParams();
+  Object.keys(params).forEach(key => {
+    if (params[key] !== undefined && params[key] !== null && params[key] !== '') {
+      query.append(key, params[key]);
+    }
+  });
+  const queryString = query.toString();
+  const { data, error } = await supabase.functions.invoke(
+    `get-admin-coupons${queryString ? `?${queryString}` : ''}`,
+    { method: 'GET' }
+  );
+  if (error) throw await toApiError(error);
+  // { success, data: coupons, count, currentPage, totalPages }
+  return data;
+};
+
+export const fetchAdminCouponById = async (couponId) => {
+  const { data, error } = await supabase.functions.invoke(`get-admin-coupons?id=${couponId}`, { method: 'GET' });
+  if (error) throw await toApiError(error);
+  return data;
+};
+
+export const createAdminCoupon = async (couponData) => {
+  const { data, error } = await supabase.functions.invoke('create-admin-coupon', {
+    method: 'POST',
+    body: couponData
+  });
+  if (error) throw await toApiError(error);
+  return data;
+};
+
+export const updateAdminCoupon = async (couponId, couponData) => {
+  const { data, error } = await supabase.functions.invoke(`update-admin-coupon?id=${couponId}`, {
+    method: 'PUT',
+    body: couponData
+  });
+  if (error) throw await toApiError(error);
+  return data;
+};
+
+export const deleteAdminCoupon = async (couponId) => {
+  const { data, error } = await supabase.functions.invoke(`delete-admin-coupon?id=${couponId}`, {
+    method: 'DELETE'
+  });
+  if (error) throw await toApiError(error);
+  return data;
+};
+
+// Categories and collections a coupon can be scoped to
+export const fetchCouponScopeOptions = async () => {
+  const [categoriesResult, collectionsResult] = await Promise.all([
+    supabase.from('categories').select('id, name').order('name', { ascending: true }),
+    supabase.from('collections').select('id, name').order('name', { ascending: true }),
+  ]);
+  if (categoriesResult.error) throw categoriesResult.error;
+  return {
+    categories: categoriesResult.data || [],
+    // Collections are optional until the multi-vendor schema is deployed everywhere
+    collections: collectionsResult.error ? [] : (collectionsResult.data || []),
+  };
+};
@@ -0,0 +1,47 @@
+import { supabase } from './supabaseClient.js';
+import { toApiError } from './edgeFunctionError.js';
+
+/**
+ * Delivery API Service
+ * Riders and the dispatch board for admins (Supabase Edge Functions). Riders themselves work
+ * from the admin app, which calls the delivery SQL functions directly.
+ */
+
+export const fetchAdminRiders = async () => {
+  const { data, error } = await supabase.functions.invoke('get-admin-riders', { method: 'GET' });
+  if (error) throw await toApiError(error);
+  // { success, data: [{ id, full_name, phone, vehicle, is_active, open_deliveries, completed_deliveries, ... }] }
+  return data;
+};
+
+// values: { email (new riders only), fullName, phone, vehicle, notes, isActive }
+export const saveAdminRider = async (id, values) => {
+  const { data, error } = await supabase.functions.invoke(`save-admin-rider${id ? `?id=${id}` : ''}`, {
+    method: id ? 'PUT' : 'POST',
+    body: values
+  });
+  if (error) throw await toApiError(error);
+  return data;
+};
+
+export const deleteAdminRider = async (id) => {
+  const { data, error } = await supabase.functions.invoke(`delete-admin-rider?id=${id}`, { method: 'DELETE' });
+  if (error) throw await toApiError(error);
+  return data;
+};
+
+// Shipped orders waiting for or out with a rider
+export const fetchAdminDeliveries = async () => {
+  const { data, error } = await supabase.functions.invoke('get-admin-deliveries', { method: 'GET' });
+  if (error) throw await toApiError(error);
+  // { success, data: [{ id, shippingAddress, totalAmount, ..., delivery: { status, rider } | null }] }
+  return data;
+};
+
+export const assignDelivery = async (orderId, riderId, note) => {
+  const { data, error } = await supabase.functions.invoke('assign-admin-delivery', {
+    body: { orderId, riderId, note }
+  });
+  if (error) throw await toApiError(error);
+  return data;
+};
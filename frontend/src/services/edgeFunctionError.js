@@ -0,0 +1,12 @@
+// Surface the edge function's own { error, code } instead of the generic invoke error
+export const toApiError = async (error) => {
+  if (error?.context && typeof error.context.json === 'function') {
+    const body = await error.context.json().catch(() => null);
+    if (body?.error) {
+      const apiError = new Error(body.error);
+      apiError.code = body.code;
+      return apiError;
+    }
+  }
+  return error instanceof Error ? error : new Error(String(error));
+};
@@ -0,0 +1,35 @@
+import { supabase } from './supabaseClient.js';
+import { toApiError } from './edgeFunctionError.js';
+
+/**
+ * Guest Order API Service
+ * Orders placed without an account: reading them back, looking them up, and moving them onto
+ * an account once the shopper signs up (Supabase Edge Functions)
+ */
+
+// The browser that placed the order has its guest token (see utils/guestOrders.js)
+export const fetchGuestOrder = async (orderId, token) => {
+  const { data, error } = await supabase.functions.invoke('get-guest-order', {
+    body: { orderId, token },
+  });
+  if (error) throw await toApiError(error);
+  // { success, data: order }
+  return data;
+};
+
+// Order number from the confirmation (with or without #) plus the email or phone ordered with
+export const lookupGuestOrder = async (orderNumber, contact) => {
+  const { data, error } = await supabase.functions.invoke('get-guest-order', {
+    body: { orderNumber, contact },
+  });
+  if (error) throw await toApiError(error);
+  return data;
+};
+
+// Moves guest orders placed with the account's (confirmed) email onto it; call right after login
+export const claimGuestOrders = async () => {
+  const { data, error } = await supabase.functions.invoke('claim-guest-orders', { method: 'POST' });
+  if (error) throw await toApiError(error);
+  // { success, data: { claimed } }
+  return data;
+};
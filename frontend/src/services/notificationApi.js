@@ -0,0 +1,42 @@
+import { supabase } from './supabaseClient.js';
+import { toApiError } from './edgeFunctionError.js';
+
+/**
+ * Notifications API Service
+ * Email/SMS notification preferences and password reset requests
+ */
+
+// Toggles stored in notification_preferences; which emails each one silences is decided by
+// notification_preference_for() in the database
+export const NOTIFICATION_PREFERENCES = [
+  { id: 'order_notifications', label: 'Order Updates', description: 'Order confirmations, shipping and delivery updates' },
+  { id: 'payment_notifications', label: 'Payment Notifications', description: 'Payments and payouts' },
+  { id: 'review_notifications', label: 'Review Notifications', description: 'New reviews on your products' },
+  { id: 'marketing_emails', label: 'Marketing Emails', description: 'Tips, promotions, and platform updates' },
+  { id: 'sms_notifications', label: 'SMS Updates', description: 'Text messages to your checkout phone when your order is placed, out for delivery and delivered' },
+];
+
+export const fetchNotificationPreferences = async () => {
+  const { data, error } = await supabase.functions.invoke('get-notification-preferences', { method: 'GET' });
+  if (error) throw await toApiError(error);
+  return data;
+};
+
+// preferences: any subset of the NOTIFICATION_PREFERENCES ids, as booleans
+export const updateNotificationPreferences = async (preferences) => {
+  const { data, error } = await supabase.functions.invoke('update-notification-preferences', {
+    method: 'PUT',
+    body: preferences
+  });
+  if (error) throw await toApiError(error);
+  return data;
+};
+
+// The emailed link signs the user in and lands on /reset-password to choose a new password
+export const requestPasswordReset = async (email) => {
+  const { data, error } = await supabase.functions.invoke('request-password-reset', {
+    body: { email, redirectTo: `${window.location.origin}/reset-password` }
+  });
+  if (error) throw await toApiError(error);
+  return data;
+};
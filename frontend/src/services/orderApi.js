@@ -1,4 +1,6 @@
 import apiClient from './apiClient';
+import { supabase } from './supabaseClient.js';
+import { toApiError } from './edgeFunctionError.js';
 
 // Create a new order
 export const createOrderApi = async (orderData) => {
@@ -89,4 +91,24 @@ export const fetchOrderByIdApi = async (orderId) => {
          });
          throw error.response?.data || new Error(`Failed to fetch order ${orderId}. Status: ${error.response?.status || 'N/A'}`);
     }
- };
\ No newline at end of file
+ };
+
+// Cancel one of the current user's orders (pending, paid or processing; paid orders get a refund)
+export const cancelOrderApi = async (orderId, reason) => {
+    const { data, error } = await supabase.functions.invoke('cancel-order', {
+        body: { orderId, reason }
+    });
+    if (error) throw await toApiError(error);
+    // { success: true, data: order }
+    return data;
+};
+
+// Numbered PDF invoice for an order; admins can pass regenerate to re-render it
+export const generateInvoiceApi = async (orderId, { regenerate = false } = {}) => {
+    const { data, error } = await supabase.functions.invoke('generate-invoice', {
+        body: { orderId, regenerate }
+    });
+    if (error) throw await toApiError(error);
+    // { success: true, data: { invoiceNumber, url, generatedAt } }
+    return data;
+};
@@ -0,0 +1,59 @@
+import { supabase } from './supabaseClient.js';
+import { toApiError } from './edgeFunctionError.js';
+
+/**
+ * Payment API Service
+ * Starts payments for orders and, in development, drives the fake gateway (Supabase Edge Functions)
+ */
+
+// Methods offered at checkout. `redirects` = the shopper leaves the site to pay.
+export const PAYMENT_METHODS = [
+  {
+    id: 'cod',
+    label: 'Cash on Delivery',
+    description: 'Pay in cash when your order arrives.',
+    redirects: false,
+  },
+  {
+    id: 'chapa',
+    label: 'Pay Online with Chapa',
+    description: 'telebirr, CBE Birr, M-Pesa or card — you will be redirected to complete payment.',
+    redirects: true,
+  },
+  {
+    id: 'fake',
+    label: 'Test Gateway',
+    description: 'Development only: approve or decline a simulated payment.',
+    redirects: true,
+  },
+];
+
+export const getAvailablePaymentMethods = () =>
+  PAYMENT_METHODS.filter(method => method.id !== 'fake' || import.meta.env.VITE_ENABLE_FAKE_GATEWAY === 'true');
+
+export const getPaymentMethodLabel = (methodId) =>
+  PAYMENT_METHODS.find(method => method.id === methodId)?.label || methodId;
+
+// Returns { paymentId, provider, txRef, status, checkoutUrl }
+// Guests pass the guestToken of their order (see utils/guestOrders.js)
+export const initiatePayment = async ({ orderId, provider, guestToken }) => {
+  const { data, error } = await supabase.functions.invoke('initiate-payment', {
+    body: {
+      orderId,
+      provider,
+      returnUrl: `${window.location.origin}/order-success/${orderId}`,
+      guestToken,
+    },
+  });
+  if (error) throw await toApiError(error);
+  return data.data;
+};
+
+// outcome: 'success' | 'failure'
+export const completeFakePayment = async (txRef, outcome) => {
+  const { data, error } = await supabase.functions.invoke('fake-gateway', {
+    body: { txRef, outcome },
+  });
+  if (error) throw await toApiError(error);
+  return data;
+};
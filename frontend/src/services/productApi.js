@@ -10,9 +10,12 @@ export const fetchProducts = async (params = {}) => {
     // Construct the URL for the Supabase Edge Function
     const functionUrl = new URL(`${import.meta.env.VITE_SUPABASE_URL}/functions/v1/get-public-products`);
 
-    // Append query parameters from the params object
+    // Append query parameters from the params object; arrays (multi-select facets) become
+    // repeated params, e.g. { category: ['a', 'b'] } -> ?category=a&category=b
     Object.keys(params).forEach(key => {
-      if (params[key] !== undefined && params[key] !== null) {
+      if (Array.isArray(params[key])) {
+        params[key].forEach(value => functionUrl.searchParams.append(key, value));
+      } else if (params[key] !== undefined && params[key] !== null) {
         functionUrl.searchParams.append(key, params[key]);
       }
     });
@@ -33,7 +36,7 @@ export const fetchProducts = async (params = {}) => {
     }
 
     const data = await response.json();
-    return data; // The function returns { success, count, totalPages, currentPage, data } or { success: false, error }
+    return data; // The function returns { success, count, totalPages, currentPage, data, facets? } or { success: false, error }
 
   } catch (error) {
     console.error("Error fetching products:", error.message);
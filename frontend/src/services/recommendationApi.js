@@ -0,0 +1,57 @@
+import { supabase } from './supabaseClient.js';
+import { toApiError } from './edgeFunctionError.js';
+import { getAnonymousId } from '../utils/anonymousId.js';
+
+/**
+ * Recommendation API Service
+ * Product view tracking, recently viewed products and recommendations. Signed-out visitors are
+ * identified by the per-browser anonymous id; once signed in, the session decides.
+ */
+
+const buildQuery = ({ productIds = [], exclude = [], limit }) => {
+  const params = new URLSearchParams({ anonymous_id: getAnonymousId() });
+  productIds.forEach(id => params.append('product_id', id));
+  exclude.forEach(id => params.append('exclude', id));
+  if (limit) params.set('limit', String(limit));
+  return params.toString();
+};
+
+export const trackProductView = async (productId) => {
+  const { data, error } = await supabase.functions.invoke('track-product-view', {
+    body: { productId, anonymousId: getAnonymousId() },
+  });
+  if (error) throw await toApiError(error);
+  return data;
+};
+
+// Moves the views recorded while signed out onto the account; call right after login
+export const mergeProductViews = async () => {
+  const { data, error } = await supabase.functions.invoke('merge-product-views', {
+    body: { anonymousId: getAnonymousId() },
+  });
+  if (error) throw await toApiError(error);
+  // { success, data: { merged } }
+  return data;
+};
+
+/**
+ * @param {{ exclude?: string[], limit?: number }} [options]
+ */
+export const fetchRecentlyViewed = async (options = {}) => {
+  const { data, error } = await supabase.functions.invoke(`get-recently-viewed?${buildQuery(options)}`, { method: 'GET' });
+  if (error) throw await toApiError(error);
+  // { success, data: [product, ...] }, newest first
+  return data;
+};
+
+/**
+ * @param {{ productIds?: string[], exclude?: string[], limit?: number }} [options]
+ *   productIds: what to recommend for (the product being viewed, the cart); the viewer's own
+ *   history and wishlist are always taken into account.
+ */
+export const fetchRecommendations = async (options = {}) => {
+  const { data, error } = await supabase.functions.invoke(`get-recommendations?${buildQuery(options)}`, { method: 'GET' });
+  if (error) throw await toApiError(error);
+  // { success, data: [product, ...] }, best match first
+  return data;
+};
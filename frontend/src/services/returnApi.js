@@ -0,0 +1,100 @@
+import { supabase } from './supabaseClient.js';
+import { toApiError } from './edgeFunctionError.js';
+
+/**
+ * Returns & Refunds API Service
+ * Return requests for shoppers, review for admins/sellers, and refund bookkeeping for admins
+ */
+
+export const RETURN_REASONS = [
+  { id: 'damaged', label: 'Arrived damaged' },
+  { id: 'wrong_item', label: 'Wrong item received' },
+  { id: 'not_as_described', label: 'Not as described' },
+  { id: 'no_longer_needed', label: 'No longer needed' },
+  { id: 'other', label: 'Other' },
+];
+
+export const MAX_RETURN_PHOTOS = 5;
+
+// Mirrors the window enforced by request_return()
+export const RETURN_WINDOW_DAYS = 14;
+
+export const getReturnReasonLabel = (reason) =>
+  RETURN_REASONS.find(r => r.id === reason)?.label || reason;
+
+const buildQuery = (params = {}) => {
+  const query = new URLSearchParams();
+  Object.keys(params).forEach(key => {
+    if (params[key] !== undefined && params[key] !== null && params[key] !== '') {
+      query.append(key, params[key]);
+    }
+  });
+  const queryString = query.toString();
+  return queryString ? `?${queryString}` : '';
+};
+
+// Uploads photos to the private return-photos bucket under <user id>/<order id>/ and returns their paths
+export const uploadReturnPhotos = async (orderId, files) => {
+  const { data: { user }, error: userError } = await supabase.auth.getUser();
+  if (userError || !user) throw new Error('You need to be signed in to upload photos.');
+
+  const paths = [];
+  for (const [index, file] of files.entries()) {
+    const fileExt = file.name.split('.').pop();
+    const path = `${user.id}/${orderId}/${Date.now()}-${index}.${fileExt}`;
+    const { error } = await supabase.storage
+      .from('return-photos')
+      .upload(path, file, { cacheControl: '3600', upsert: false });
+    if (error) {
+      console.error('Return photo upload error:', error);
+      throw new Error('Photo upload failed');
+    }
+    paths.push(path);
+  }
+  return paths;
+};
+
+// items: [{ orderItemId, quantity }]
+export const createReturnRequest = async ({ orderId, reason, details, items, photoPaths = [] }) => {
+  const { data, error } = await supabase.functions.invoke('create-return-request', {
+    body: { orderId, reason, details, items, photoPaths }
+  });
+  if (error) throw await toApiError(error);
+  return data;
+};
+
+// Scoped by the backend: shoppers get their own, sellers those with their items, admins all
+export const fetchReturnRequests = async (params = {}) => {
+  const { data, error } = await supabase.functions.invoke(`get-return-requests${buildQuery(params)}`, { method: 'GET' });
+  if (error) throw await toApiError(error);
+  // { success, data: requests, count, currentPage, totalPages }
+  return data;
+};
+
+// decision: 'approved' | 'rejected'
+export const reviewReturnRequest = async (requestId, { decision, note, refundAmount }) => {
+  const { data, error } = await supabase.functions.invoke(`review-return-request?id=${requestId}`, {
+    method: 'PUT',
+    body: { decision, note, refundAmount }
+  });
+  if (error) throw await toApiError(error);
+  return data;
+};
+
+// --- Admin ---
+
+export const fetchAdminRefunds = async (params = {}) => {
+  const { data, error } = await supabase.functions.invoke(`get-admin-refunds${buildQuery(params)}`, { method: 'GET' });
+  if (error) throw await toApiError(error);
+  // { success, data: refunds, totals: { pending, completed }, count, currentPage, totalPages }
+  return data;
+};
+
+export const completeAdminRefund = async (refundId, reference) => {
+  const { data, error } = await supabase.functions.invoke(`update-admin-refund?id=${refundId}`, {
+    method: 'PUT',
+    body: { status: 'completed', reference }
+  });
+  if (error) throw await toApiError(error);
+  return data;
+};
@@ -0,0 +1,109 @@
+import { supabase } from './supabaseClient.js';
+import { toApiError } from './edgeFunctionError.js';
+
+/**
+ * Product Reviews API Service
+ * Verified-purchase reviews for shoppers, replies for sellers and moderation for admins
+ */
+
+export const MAX_REVIEW_PHOTOS = 5;
+export const MAX_REVIEW_LENGTH = 2000;
+
+export const REVIEW_SORTS = [
+  { id: 'recent', label: 'Most recent' },
+  { id: 'helpful', label: 'Most helpful' },
+  { id: 'rating_high', label: 'Highest rating' },
+  { id: 'rating_low', label: 'Lowest rating' },
+];
+
+const buildQuery = (params = {}) => {
+  const query = new URLSearchParams();
+  Object.keys(params).forEach(key => {
+    if (params[key] !== undefined && params[key] !== null && params[key] !== '') {
+      query.append(key, params[key]);
+    }
+  });
+  const queryString = query.toString();
+  return queryString ? `?${queryString}` : '';
+};
+
+// Uploads photos to the public review-photos bucket under <user id>/<product id>/ and returns their paths
+export const uploadReviewPhotos = async (productId, files) => {
+  const { data: { user }, error: userError } = await supabase.auth.getUser();
+  if (userError || !user) throw new Error('You need to be signed in to upload photos.');
+
+  const paths = [];
+  for (const [index, file] of files.entries()) {
+    const fileExt = file.name.split('.').pop();
+    const path = `${user.id}/${productId}/${Date.now()}-${index}.${fileExt}`;
+    const { error } = await supabase.storage
+      .from('review-photos')
+      .upload(path, file, { cacheControl: '3600', upsert: false });
+    if (error) {
+      console.error('Review photo upload error:', error);
+      throw new Error('Photo upload failed');
+    }
+    paths.push(path);
+  }
+  return paths;
+};
+
+// params: { productId, page, limit, sort, rating }
+export const fetchProductReviews = async (params = {}) => {
+  const { data, error } = await supabase.functions.invoke(`get-product-reviews${buildQuery(params)}`, { method: 'GET' });
+  if (error) throw await toApiError(error);
+  // { success, data: reviews, summary: { average, count, distribution }, viewer, count, currentPage, totalPages }
+  return data;
+};
+
+export const createProductReview = async ({ orderItemId, rating, title, body, photoPaths = [] }) => {
+  const { data, error } = await supabase.functions.invoke('create-product-review', {
+    body: { orderItemId, rating, title, body, photoPaths }
+  });
+  if (error) throw await toApiError(error);
+  return data;
+};
+
+export const toggleReviewHelpful = async (reviewId) => {
+  const { data, error } = await supabase.functions.invoke('vote-review-helpful', { body: { reviewId } });
+  if (error) throw await toApiError(error);
+  // { success, data: { reviewId, voted, helpfulCount } }
+  return data;
+};
+
+// --- Seller ---
+
+export const fetchSellerReviews = async (params = {}) => {
+  const { data, error } = await supabase.functions.invoke(`get-seller-reviews${buildQuery(params)}`, { method: 'GET' });
+  if (error) throw await toApiError(error);
+  return data;
+};
+
+// An empty reply removes the existing one
+export const replyToReview = async (reviewId, reply) => {
+  const { data, error } = await supabase.functions.invoke(`reply-product-review?id=${reviewId}`, {
+    method: 'PUT',
+    body: { reply }
+  });
+  if (error) throw await toApiError(error);
+  return data;
+};
+
+// --- Admin ---
+
+export const fetchAdminReviews = async (params = {}) => {
+  const { data, error } = await supabase.functions.invoke(`get-admin-reviews${buildQuery(params)}`, { method: 'GET' });
+  if (error) throw await toApiError(error);
+  // { success, data: reviews, pendingCount, count, currentPage, totalPages }
+  return data;
+};
+
+// status: 'approved' | 'rejected'
+export const moderateReview = async (reviewId, { status, note }) => {
+  const { data, error } = await supabase.functions.invoke(`update-admin-review?id=${reviewId}`, {
+    method: 'PUT',
+    body: { status, note }
+  });
+  if (error) throw await toApiError(error);
+  return data;
+};
@@ -0,0 +1,18 @@
+import { supabase } from './supabaseClient.js';
+import { toApiError } from './edgeFunctionError.js';
+
+/**
+ * Search API Service
+ * Header autocomplete; the product list itself searches through fetchProducts({ search })
+ */
+
+// Shorter queries are not sent; search-suggestions returns nothing for them anyway
+export const MIN_SUGGESTION_QUERY_LENGTH = 2;
+
+export const fetchSearchSuggestions = async (query, limit = 6) => {
+  const params = new URLSearchParams({ q: query, limit: String(limit) });
+  const { data, error } = await supabase.functions.invoke(`search-suggestions?${params.toString()}`, { method: 'GET' });
+  if (error) throw await toApiError(error);
+  // { success, data: { products: [{ id, name, slug, price, discount, image, ... }], categories, collections } }
+  return data;
+};
@@ -1,517 +1,267 @@
 import { supabase } from './supabaseClient.js';
+import { toApiError } from './edgeFunctionError.js';
+import {
+  mockSellerProfile,
+  mockSellerCollections,
+  mockSellerProducts,
+  mockSellerOrders,
+  mockSellerEarnings,
+  mockSellerSettings,
+  mockSellerDashboardStats,
+  mockPublicCollections,
+  mockSellerDocuments,
+} from './sellerMocks.js';
 
 /**
  * Seller API Service
- * Handles all seller-related API calls to Supabase Edge Functions
+ * Handles all seller-related API calls to Supabase Edge Functions.
+ * Functions resolve to the response's data (the edge functions wrap it in { success, data })
+ * and throw the function's own error message on failure, so seller pages can show it.
  */
 
-// Get the current user's ID
-const getCurrentUserId = async () => {
-  const { data: { user }, error } = await supabase.auth.getUser();
-  if (error) throw error;
-  return user?.id;
-};
+// Set VITE_ENABLE_SELLER_MOCKS=true to fall back to sample data (sellerMocks.js) when a
+// read fails, e.g. while working on the seller pages without the edge functions deployed
+const SELLER_MOCKS_ENABLED = import.meta.env.VITE_ENABLE_SELLER_MOCKS === 'true';
 
-// Apply to become a seller
-export const applyForSellerAccount = async (applicationData) => {
+const withDevMock = async (request, mockData) => {
   try {
-    const { data, error } = await supabase.functions.invoke('apply-for-seller-account', {
-      body: applicationData
-    });
-    
-    if (error) throw error;
-    return data;
+    return await request();
   } catch (error) {
-    console.error('Error applying for seller account:', error);
-    throw error;
+    if (!SELLER_MOCKS_ENABLED) throw error;
+    console.warn('Seller API request failed, using sample data (VITE_ENABLE_SELLER_MOCKS):', error);
+    return mockData;
   }
 };
 
-// Get seller profile/status
-export const getSellerProfile = async () => {
-  try {
-    const { data, error } = await supabase.functions.invoke('get-seller-profile');
-    
-    if (error) throw error;
-    return data;
-  } catch (error) {
-    console.error('Error fetching seller profile:', error);
-    // Return mock data for development
-    return {
-      id: 1,
-      user_id: 'user-123',
-      store_name: 'The Test Boutique',
-      store_description: 'Curating unique fashion pieces and lifestyle products for the modern consumer.',
-      store_logo_url: null,
-      contact_email: 'seller@testboutique.com',
-      contact_phone: '+1-555-0123',
-      business_address: '123 Fashion Street, Style City, SC 12345',
-      business_registration_number: 'REG-2024-001',
-      tax_id: 'TAX-123456789',
-      status: 'active',
-      approval_date: '2024-01-01T00:00:00Z',
-      created_at: '2024-01-01T00:00:00Z',
-      updated_at: '2024-01-15T10:30:00Z'
-    };
-  }
+const buildQuery = (params = {}) => {
+  const query = new URLSearchParams();
+  Object.keys(params).forEach(key => {
+    if (params[key] !== undefined && params[key] !== null && params[key] !== '') {
+      query.append(key, params[key]);
+    }
+  });
+  const queryString = query.toString();
+  return queryString ? `?${queryString}` : '';
 };
 
-// Update seller profile
-export const updateSellerProfile = async (profileData) => {
-  try {
-    const { data, error } = await supabase.functions.invoke('update-seller-profile', {
-      body: profileData
-    });
-    
-    if (error) throw error;
-    return data;
-  } catch (error) {
-    console.error('Error updating seller profile:', error);
-    throw error;
-  }
+const invokeSellerFunction = async (name, options) => {
+  const { data, error } = await supabase.functions.invoke(name, options);
+  if (error) throw await toApiError(error);
+  return data?.data;
 };
 
+// Apply to become a seller
+export const applyForSellerAccount = (applicationData) =>
+  invokeSellerFunction('apply-for-seller-account', { body: applicationData });
+
+// Get seller profile/status (with verification_level); null when the user has not applied
+export const getSellerProfile = () =>
+  withDevMock(() => invokeSellerFunction('get-seller-profile', { method: 'GET' }), mockSellerProfile);
+
+// Update seller profile
+export const updateSellerProfile = (profileData) =>
+  invokeSellerFunction('update-seller-profile', { body: profileData });
+
 // Get seller's collections
-export const getSellerCollections = async () => {
-  try {
-    const { data, error } = await supabase.functions.invoke('get-seller-collections');
-    
-    if (error) throw error;
-    return data;
-  } catch (error) {
-    console.error('Error fetching seller collections:', error);
-    // Return mock data for development
-    return [
-      {
-        id: '1',
-        name: 'Summer Collection',
-        description: 'Perfect items for the summer season',
-        is_active: true,
-        status: 'active',
-        products: [{ id: 1 }, { id: 2 }, { id: 3 }],
-        created_at: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString(),
-        image_url: '/placeholder-image.jpg'
-      },
-      {
-        id: '2',
-        name: 'Urban Explorer Kit',
-        description: 'Everything you need for city adventures',
-        is_active: true,
-        status: 'pending',
-        products: [{ id: 4 }, { id: 5 }],
-        created_at: new Date(Date.now() - 14 * 24 * 60 * 60 * 1000).toISOString(),
-        image_url: '/placeholder-image.jpg'
-      },
-      {
-        id: '3',
-        name: 'Draft Collection',
-        description: 'Work in progress collection',
-        is_active: false,
-        status: 'draft',
-        products: [{ id: 6 }],
-        created_at: new Date(Date.now() - 2 * 24 * 60 * 60 * 1000).toISOString(),
-        image_url: null
-      }
-    ];
-  }
-};
+export const getSellerCollections = () =>
+  withDevMock(() => invokeSellerFunction('get-seller-collections', { method: 'GET' }), mockSellerCollections);
 
-// Create a new collection
-export const createCollection = async (collectionData) => {
-  try {
-    const { data, error } = await supabase.functions.invoke('create-collection', {
-      body: collectionData
-    });
-    
-    if (error) throw error;
-    return data;
-  } catch (error) {
-    console.error('Error creating collection:', error);
-    throw error;
-  }
-};
+// Create a new collection; collectionData.product_ids adds products straight away
+export const createCollection = (collectionData) =>
+  invokeSellerFunction('create-collection', { body: collectionData });
 
-// Update collection
-export const updateCollection = async (collectionId, collectionData) => {
-  try {
-    const { data, error } = await supabase.functions.invoke('update-collection', {
-      body: { collection_id: collectionId, ...collectionData }
-    });
-    
-    if (error) throw error;
-    return data;
-  } catch (error) {
-    console.error('Error updating collection:', error);
-    throw error;
-  }
-};
+// Update an existing collection
+export const updateCollection = (collectionId, collectionData) =>
+  invokeSellerFunction('update-collection', { body: { ...collectionData, collection_id: collectionId } });
 
-// Delete collection
-export const deleteCollection = async (collectionId) => {
-  try {
-    const { data, error } = await supabase.functions.invoke('delete-collection', {
-      body: { collection_id: collectionId }
-    });
-    
-    if (error) throw error;
-    return data;
-  } catch (error) {
-    console.error('Error deleting collection:', error);
-    throw error;
-  }
-};
+// Delete a collection
+export const deleteCollection = (collectionId) =>
+  invokeSellerFunction('delete-collection', { body: { collection_id: collectionId } });
 
-// Get collection details with items
-export const getCollectionDetails = async (collectionId) => {
-  try {
-    const { data, error } = await supabase.functions.invoke('get-collection-details', {
-      body: { collection_id: collectionId }
-    });
-    
-    if (error) throw error;
-    return data;
-  } catch (error) {
-    console.error('Error fetching collection details:', error);
-    throw error;
-  }
-};
+// Get a single collection with its products
+export const getCollectionDetails = (collectionId) =>
+  invokeSellerFunction('get-collection-details', { body: { collection_id: collectionId } });
 
-// Add product to collection
-export const addProductToCollection = async (collectionId, productId) => {
-  try {
-    const { data, error } = await supabase.functions.invoke('add-product-to-collection', {
-      body: { 
-        collection_id: collectionId, 
-        product_id: productId 
-      }
-    });
-    
-    if (error) throw error;
-    return data;
-  } catch (error) {
-    console.error('Error adding product to collection:', error);
-    throw error;
-  }
-};
+// Add a product to a collection
+export const addProductToCollection = (collectionId, productId) =>
+  invokeSellerFunction('add-product-to-collection', { body: { collection_id: collectionId, product_id: productId } });
 
-// Remove product from collection
-export const removeProductFromCollection = async (collectionId, productId) => {
-  try {
-    const { data, error } = await supabase.functions.invoke('remove-product-from-collection', {
-      body: { 
-        collection_id: collectionId, 
-        product_id: productId 
-      }
-    });
-    
-    if (error) throw error;
-    return data;
-  } catch (error) {
-    console.error('Error removing product from collection:', error);
-    throw error;
-  }
-};
+// Remove a product from a collection
+export const removeProductFromCollection = (collectionId, productId) =>
+  invokeSellerFunction('remove-product-from-collection', { body: { collection_id: collectionId, product_id: productId } });
 
-// Get seller's available products (products they can add to collections)
-export const getSellerProducts = async () => {
-  try {
-    const { data, error } = await supabase.functions.invoke('get-seller-products');
-    
-    if (error) throw error;
-    return data;
-  } catch (error) {
-    console.error('Error fetching seller products:', error);
-    // Return mock data for development
-    return [
-      {
-        id: 1,
-        name: 'Premium Wireless Headphones',
-        price: 129.99,
-        image_url: '/placeholder-image.jpg',
-        description: 'High-quality wireless headphones with noise cancellation',
-        in_stock: true
-      },
-      {
-        id: 2,
-        name: 'Smart Fitness Watch',
-        price: 199.99,
-        image_url: '/placeholder-image.jpg',
-        description: 'Advanced fitness tracking with heart rate monitoring',
-        in_stock: true
-      },
-      {
-        id: 3,
-        name: 'Organic Cotton T-Shirt',
-        price: 29.99,
-        image_url: '/placeholder-image.jpg',
-        description: 'Comfortable organic cotton t-shirt in various colors',
-        in_stock: true
-      },
-      {
-        id: 4,
-        name: 'Portable Phone Charger',
-        price: 39.99,
-        image_url: '/placeholder-image.jpg',
-        description: 'High-capacity portable charger for all devices',
-        in_stock: true
-      },
-      {
-        id: 5,
-        name: 'Eco-Friendly Water Bottle',
-        price: 24.99,
-        image_url: '/placeholder-image.jpg',
-        description: 'Sustainable stainless steel water bottle',
-        in_stock: true
-      },
-      {
-        id: 6,
-        name: 'Minimalist Backpack',
-        price: 79.99,
-        image_url: '/placeholder-image.jpg',
-        description: 'Sleek design perfect for urban adventures',
-        in_stock: true
-      }
-    ];
+// Get the seller's own products
+export const getSellerProducts = () =>
+  withDevMock(() => invokeSellerFunction('get-seller-products', { method: 'GET' }), mockSellerProducts);
+
+// Get one of the seller's products for the edit form
+export const getSellerProduct = (productId) =>
+  invokeSellerFunction('get-seller-product', { body: { product_id: productId } });
+
+// Add a product; is_active asks to list it (it may go to review first, see approval_status)
+export const createSellerProduct = (productData) =>
+  invokeSellerFunction('create-seller-product', { body: productData });
+
+// Update one of the seller's products
+export const updateSellerProduct = (productId, productData) =>
+  invokeSellerFunction('update-seller-product', { body: { ...productData, product_id: productId } });
+
+// Archive a product (archived = false restores it, hidden)
+export const archiveSellerProduct = (productId, archived = true) =>
+  invokeSellerFunction('archive-seller-product', { body: { product_id: productId, archived } });
+
+// Copy a product into a new hidden draft
+export const duplicateSellerProduct = (productId) =>
+  invokeSellerFunction('duplicate-seller-product', { body: { product_id: productId } });
+
+// Uploads product photos to the products bucket under sellers/<seller id>/ and resolves to
+// their stored paths ('/sellers/...'), ready for the images field
+export const uploadSellerProductImages = async (sellerId, files) => {
+  const paths = [];
+  for (const file of files) {
+    const path = `sellers/${sellerId}/${Date.now()}-${file.name.replace(/\s+/g, '_')}`;
+    const { data, error } = await supabase.storage
+      .from('products')
+      .upload(path, file, { cacheControl: '3600', upsert: false });
+    if (error) {
+      console.error('Seller product image upload error:', error);
+      throw new Error(`Failed to upload image: ${file.name}`);
+    }
+    paths.push(`/${data.path}`);
   }
+  return paths;
 };
 
-// Get seller earnings/statistics
-export const getSellerEarnings = async () => {
-  try {
-    const { data, error } = await supabase.functions.invoke('get-seller-earnings');
-    
-    if (error) throw error;
-    return data;
-  } catch (error) {
-    console.error('Error fetching seller earnings:', error);
-    // Return mock data for development
-    return {
-      summary: {
-        total_earnings: 1450.75,
-        pending_earnings: 245.30,
-        available_balance: 1205.45,
-        total_orders: 28,
-        commission_rate: 0.15
-      },
-      recent_transactions: [
-        {
-          id: 1,
-          type: 'sale',
-          amount: 89.99,
-          commission: 13.50,
-          net_amount: 76.49,
-          order_id: 'ORD-2024-001',
-          customer_name: 'John Doe',
-          product_name: 'Summer Collection',
-          date: '2024-01-15T10:30:00Z',
-          status: 'completed'
-        },
-        {
-          id: 2,
-          type: 'sale',
-          amount: 125.00,
-          commission: 18.75,
-          net_amount: 106.25,
-          order_id: 'ORD-2024-002',
-          customer_name: 'Jane Smith',
-          product_name: 'Urban Explorer Kit',
-          date: '2024-01-14T14:20:00Z',
-          status: 'completed'
-        },
-        {
-          id: 3,
-          type: 'payout',
-          amount: -500.00,
-          commission: 0,
-          net_amount: -500.00,
-          order_id: 'PAY-2024-001',
-          customer_name: null,
-          product_name: 'Weekly Payout',
-          date: '2024-01-13T09:00:00Z',
-          status: 'processed'
-        }
-      ],
-      chart_data: [
-        { date: '2024-01-01', earnings: 120 },
-        { date: '2024-01-02', earnings: 95 },
-        { date: '2024-01-03', earnings: 180 },
-        { date: '2024-01-04', earnings: 150 },
-        { date: '2024-01-05', earnings: 220 },
-        { date: '2024-01-06', earnings: 190 },
-        { date: '2024-01-07', earnings: 160 }
-      ]
-    };
+// Earnings summary, recent transactions and chart data; range is 7d, 30d, 90d or 1y
+export const getSellerEarnings = (range = '30d') =>
+  withDevMock(
+    () => invokeSellerFunction(`get-seller-earnings${buildQuery({ range })}`, { method: 'GET' }),
+    mockSellerEarnings,
+  );
+
+// The seller's part of each order (a fulfilment), with their own lines; params: { status, page, limit }
+export const getSellerOrders = (params = {}) =>
+  withDevMock(
+    () => invokeSellerFunction(`get-seller-orders${buildQuery(params)}`, { method: 'GET' }),
+    mockSellerOrders,
+  );
+
+// Move the seller's part of an order to processing, shipped (with carrier/tracking) or delivered
+export const updateSellerFulfillment = (fulfillmentId, { status, carrier, trackingNumber, note }) =>
+  invokeSellerFunction('update-seller-fulfillment', {
+    body: { fulfillment_id: fulfillmentId, status, carrier, tracking_number: trackingNumber, note },
+  });
+
+// Get public collections for the shop
+export const getPublicCollections = (params = {}) =>
+  withDevMock(
+    () => invokeSellerFunction(`get-public-collections${buildQuery(params)}`, { method: 'GET' }),
+    mockPublicCollections,
+  );
+
+// Get a public collection with its store name and active products
+export const getPublicCollectionDetails = (collectionId) =>
+  invokeSellerFunction('get-public-collection-details', { body: { collection_id: collectionId } });
+
+// Business, payout and privacy settings
+export const getSellerSettings = () =>
+  withDevMock(() => invokeSellerFunction('get-seller-settings', { method: 'GET' }), mockSellerSettings);
+
+// Save settings; sections left out keep their stored values
+export const updateSellerSettings = (settingsData) =>
+  invokeSellerFunction('update-seller-settings', { body: settingsData });
+
+// Totals and recent orders for the seller dashboard
+export const getSellerDashboardStats = () =>
+  withDevMock(() => invokeSellerFunction('get-seller-dashboard-stats', { method: 'GET' }), mockSellerDashboardStats);
+
+// KYC documents: { documents, missing_types, verification_level }
+export const getSellerDocuments = () =>
+  withDevMock(() => invokeSellerFunction('get-seller-documents', { method: 'GET' }), mockSellerDocuments);
+
+// Uploads a trade licence, TIN certificate or ID scan to the private seller-documents bucket
+// under <user id>/<document type>/ and registers it for review; expiresAt is optional (YYYY-MM-DD)
+export const uploadSellerDocument = async (documentType, file, { expiresAt } = {}) => {
+  const { data: { user }, error: userError } = await supabase.auth.getUser();
+  if (userError || !user) throw new Error('You need to be signed in to upload documents.');
+
+  const fileExt = file.name.split('.').pop();
+  const path = `${user.id}/${documentType}/${Date.now()}.${fileExt}`;
+  const { error } = await supabase.storage
+    .from('seller-documents')
+    .upload(path, file, { cacheControl: '3600', upsert: false });
+  if (error) {
+    console.error('Seller document upload error:', error);
+    throw new Error('Document upload failed');
   }
+
+  return invokeSellerFunction('upload-seller-document', {
+    body: {
+      document_type: documentType,
+      storage_path: path,
+      file_name: file.name,
+      mime_type: file.type,
+      file_size: file.size,
+      expires_at: expiresAt || null,
+    },
+  });
 };
 
-// Get seller orders
-export const getSellerOrders = async () => {
-  try {
-    const { data, error } = await supabase.functions.invoke('get-seller-orders');
-    
-    if (error) throw error;
-    return data;
-  } catch (error) {
-    console.error('Error fetching seller orders:', error);
-    // Return mock data for development
-    return [
-      {
-        id: 'ORD-2024-001',
-        customer_name: 'John Doe',
-        customer_email: 'john@example.com',
-        order_date: '2024-01-15T10:30:00Z',
-        status: 'completed',
-        total_amount: 89.99,
-        items: [
-          {
-            id: 1,
-            product_name: 'Premium Wireless Headphones',
-            collection_name: 'Summer Collection',
-            quantity: 1,
-            price: 89.99
-          }
-        ]
-      },
-      {
-        id: 'ORD-2024-002',
-        customer_name: 'Jane Smith',
-        customer_email: 'jane@example.com',
-        order_date: '2024-01-14T14:20:00Z',
-        status: 'processing',
-        total_amount: 125.00,
-        items: [
-          {
-            id: 2,
-            product_name: 'Smart Fitness Watch',
-            collection_name: 'Urban Explorer Kit',
-            quantity: 1,
-            price: 125.00
-          }
-        ]
-      },
-      {
-        id: 'ORD-2024-003',
-        customer_name: 'Bob Johnson',
-        customer_email: 'bob@example.com',
-        order_date: '2024-01-13T09:15:00Z',
-        status: 'shipped',
-        total_amount: 54.98,
-        items: [
-          {
-            id: 3,
-            product_name: 'Organic Cotton T-Shirt',
-            collection_name: 'Summer Collection',
-            quantity: 1,
-            price: 29.99
-          },
-          {
-            id: 4,
-            product_name: 'Eco-Friendly Water Bottle',
-            collection_name: 'Urban Explorer Kit',
-            quantity: 1,
-            price: 24.99
-          }
-        ]
-      }
-    ];
-  }
+// --- Admin ---
+// These resolve to the whole response body, like the other admin services, for the paging fields
+
+// params: { status, search, page, limit }
+export const fetchAdminSellers = async (params = {}) => {
+  const { data, error } = await supabase.functions.invoke(`get-admin-sellers${buildQuery(params)}`, { method: 'GET' });
+  if (error) throw await toApiError(error);
+  // { success, data: sellers, pendingCount, count, currentPage, totalPages }
+  return data;
 };
 
-// Get public collections
-export const getPublicCollections = async () => {
-  try {
-    const { data, error } = await supabase.functions.invoke('get-public-collections');
-    
-    if (error) throw error;
-    return data;
-  } catch (error) {
-    console.error('Error fetching public collections:', error);
-    // Return mock data for development
-    return [
-      {
-        id: '1',
-        name: 'Summer Collection',
-        description: 'Perfect items for the summer season',
-        image_url: '/placeholder-image.jpg',
-        price: 89.99,
-        seller_name: 'The Test Boutique',
-        seller_id: '1',
-        products: [
-          { id: 1, name: 'Premium Wireless Headphones', price: 129.99 },
-          { id: 2, name: 'Smart Fitness Watch', price: 199.99 },
-          { id: 3, name: 'Organic Cotton T-Shirt', price: 29.99 }
-        ]
-      },
-      {
-        id: '2',
-        name: 'Urban Explorer Kit',
-        description: 'Everything you need for city adventures',
-        image_url: '/placeholder-image.jpg',
-        price: 125.00,
-        seller_name: 'The Test Boutique',
-        seller_id: '1',
-        products: [
-          { id: 4, name: 'Portable Phone Charger', price: 39.99 },
-          { id: 5, name: 'Eco-Friendly Water Bottle', price: 24.99 },
-          { id: 6, name: 'Minimalist Backpack', price: 79.99 }
-        ]
-      }
-    ];
-  }
+// action: 'approve' | 'reject' | 'request_info' | 'suspend' | 'reinstate'; note is required except to approve or reinstate
+export const reviewSeller = async (sellerId, { action, note }) => {
+  const { data, error } = await supabase.functions.invoke(`update-admin-seller?id=${sellerId}`, {
+    method: 'PUT',
+    body: { action, note }
+  });
+  if (error) throw await toApiError(error);
+  return data;
 };
 
-// Get public collection details
-export const getPublicCollectionDetails = async (collectionId) => {
-  try {
-    const { data, error } = await supabase.functions.invoke('get-public-collection-details', {
-      body: { collection_id: collectionId }
-    });
-    
-    if (error) throw error;
-    return data;
-  } catch (error) {
-    console.error('Error fetching public collection details:', error);
-    throw error;
-  }
+// status: 'verified' | 'rejected'; note is required to reject, expiresAt corrects the expiry date
+export const reviewSellerDocument = async (documentId, { status, note, expiresAt }) => {
+  const { data, error } = await supabase.functions.invoke(`update-admin-seller-document?id=${documentId}`, {
+    method: 'PUT',
+    body: { status, note, expires_at: expiresAt }
+  });
+  if (error) throw await toApiError(error);
+  return data;
 };
 
-// Get seller settings
-export const getSellerSettings = async () => {
-  try {
-    const { data, error } = await supabase.functions.invoke('get-seller-settings');
-    
-    if (error) throw error;
-    return data;
-  } catch (error) {
-    console.error('Error fetching seller settings:', error);
-    throw error;
-  }
+// params: { status, page, limit }; status defaults to pending_review
+export const fetchAdminProductApprovals = async (params = {}) => {
+  const { data, error } = await supabase.functions.invoke(`get-admin-product-approvals${buildQuery(params)}`, { method: 'GET' });
+  if (error) throw await toApiError(error);
+  // { success, data: products, pendingCount, approvalRequired, count, currentPage, totalPages }
+  return data;
 };
 
-// Update seller settings
-export const updateSellerSettings = async (settingsData) => {
-  try {
-    const { data, error } = await supabase.functions.invoke('update-seller-settings', {
-      body: settingsData
-    });
-    
-    if (error) throw error;
-    return data;
-  } catch (error) {
-    console.error('Error updating seller settings:', error);
-    throw error;
-  }
+// status: 'approved' | 'rejected'; note is required to reject
+export const reviewProductApproval = async (productId, { status, note }) => {
+  const { data, error } = await supabase.functions.invoke(`update-admin-product-approval?id=${productId}`, {
+    method: 'PUT',
+    body: { status, note }
+  });
+  if (error) throw await toApiError(error);
+  return data;
 };
 
-// Get seller dashboard statistics
-export const getSellerDashboardStats = async () => {
-  try {
-    const { data, error } = await supabase.functions.invoke('get-seller-dashboard-stats');
-    
-    if (error) throw error;
-    return data;
-  } catch (error) {
-    console.error('Error fetching dashboard stats:', error);
-    throw error;
-  }
+// Turns the review step for seller products on or off
+export const updateMarketplaceSettings = async ({ sellerProductApproval }) => {
+  const { data, error } = await supabase.functions.invoke('update-admin-marketplace-settings', {
+    method: 'PUT',
+    body: { seller_product_approval: sellerProductApproval }
+  });
+  if (error) throw await toApiError(error);
+  return data;
 };
@@ -0,0 +1,95 @@
+/**
+ * Sample seller data for working on the seller pages without the seller edge functions.
+ * Only used when VITE_ENABLE_SELLER_MOCKS=true (see sellerApi.js); never enable in production.
+ * Shapes match what the edge functions return.
+ */
+
+const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+const products = [
+  { id: 'mock-product-1', name: 'Habesha Kemis', slug: 'habesha-kemis', description: 'Hand-woven cotton dress with tibeb border', price: 4800, images: [], image_url: null, category: 'Clothing', stock: 12, stock_quantity: 12, in_stock: true, is_active: true, approval_status: 'approved', approval_note: null, archived_at: null, created_at: daysAgo(30) },
+  { id: 'mock-product-2', name: 'Netela Shawl', slug: 'netela-shawl', description: 'Lightweight gauze shawl', price: 1200, images: [], image_url: null, category: 'Accessories', stock: 40, stock_quantity: 40, in_stock: true, is_active: true, approval_status: 'approved', approval_note: null, archived_at: null, created_at: daysAgo(21) },
+  { id: 'mock-product-3', name: 'Leather Sandals', slug: 'leather-sandals', description: 'Handmade in Addis Ababa', price: 2100, images: [], image_url: null, category: 'Footwear', stock: 0, stock_quantity: 0, in_stock: false, is_active: false, approval_status: 'pending_review', approval_note: null, archived_at: null, created_at: daysAgo(7) },
+];
+
+const collections = [
+  { id: 'mock-collection-1', seller_id: 'mock-seller', name: 'Holiday Edit', slug: 'holiday-edit', description: 'Outfits for Meskel and Timket', image_url: null, price: null, status: 'active', is_active: true, display_order: 0, created_at: daysAgo(14), products: products.slice(0, 2) },
+  { id: 'mock-collection-2', seller_id: 'mock-seller', name: 'Everyday Essentials', slug: 'everyday-essentials', description: 'Work in progress', image_url: null, price: null, status: 'inactive', is_active: false, display_order: 1, created_at: daysAgo(3), products: products.slice(2) },
+];
+
+const orders = [
+  { id: 'mock-fulfillment-1', order_id: 'mock-order-1', order_number: 'a1b2c3d4', status: 'processing', order_status: 'processing', payment_status: 'paid', created_at: daysAgo(1), carrier: null, tracking_number: null, shipped_at: null, delivered_at: null, customer_name: 'Selam Tesfaye', customer_email: 'selam@example.com', customer_phone: '+251911223344', shipping_address: { firstName: 'Selam', lastName: 'Tesfaye', street: 'Bole Road', city: 'Addis Ababa', country: 'Ethiopia' }, shipping_method_name: 'Standard delivery', total_amount: 6000, items: [{ id: 'mock-item-1', product_id: 'mock-product-1', product_name: 'Habesha Kemis', quantity: 1, price: 4800 }, { id: 'mock-item-2', product_id: 'mock-product-2', product_name: 'Netela Shawl', quantity: 1, price: 1200 }] },
+  { id: 'mock-fulfillment-2', order_id: 'mock-order-2', order_number: 'e5f6a7b8', status: 'delivered', order_status: 'delivered', payment_status: 'paid', created_at: daysAgo(6), carrier: 'SuriAddis Express', tracking_number: 'SA-100482', shipped_at: daysAgo(4), delivered_at: daysAgo(3), customer_name: 'Dawit Bekele', customer_email: 'dawit@example.com', customer_phone: '+251922334455', shipping_address: { firstName: 'Dawit', lastName: 'Bekele', street: 'Piassa', city: 'Addis Ababa', country: 'Ethiopia' }, shipping_method_name: 'Standard delivery', total_amount: 2400, items: [{ id: 'mock-item-3', product_id: 'mock-product-2', product_name: 'Netela Shawl', quantity: 2, price: 1200 }] },
+];
+
+export const mockSellerProfile = {
+  id: 'mock-seller',
+  store_name: 'Sample Store',
+  store_slug: 'sample-store',
+  store_description: 'Sample data shown because VITE_ENABLE_SELLER_MOCKS is on.',
+  store_logo_url: null,
+  contact_email: 'seller@example.com',
+  contact_phone: '+251911000000',
+  business_address: 'Bole, Addis Ababa',
+  business_registration_number: null,
+  tax_id: null,
+  bank_name: 'Commercial Bank of Ethiopia',
+  account_holder_name: 'Sample Store',
+  bank_account_number: '****1234',
+  commission_rate: 0.15,
+  status: 'active',
+  verification_level: 'full',
+  approval_date: daysAgo(60),
+  created_at: daysAgo(62),
+  updated_at: daysAgo(2),
+};
+
+export const mockSellerCollections = collections;
+export const mockSellerProducts = products;
+export const mockSellerOrders = orders;
+
+export const mockSellerEarnings = {
+  summary: { total_earnings: 7140, pending_earnings: 5100, available_balance: 2040, total_paid_out: 0, total_orders: 2, commission_rate: 0.15 },
+  recent_transactions: [
+    { id: 'mock-earning-1', type: 'sale', amount: 6000, commission: 900, net_amount: 5100, order_id: '#a1b2c3d4', product_name: 'Order', date: daysAgo(1), status: 'pending' },
+    { id: 'mock-earning-2', type: 'sale', amount: 2400, commission: 360, net_amount: 2040, order_id: '#e5f6a7b8', product_name: 'Order', date: daysAgo(6), status: 'paid' },
+  ],
+  chart_data: Array.from({ length: 7 }, (_, index) => ({
+    date: daysAgo(6 - index).slice(0, 10),
+    earnings: index === 0 ? 2040 : index === 5 ? 5100 : 0,
+  })),
+};
+
+export const mockSellerSettings = {
+  business: { auto_accept_orders: false, processing_time_days: 3, return_policy_days: 14, minimum_order_amount: 0, free_shipping_threshold: 0 },
+  payout: { payout_method: 'bank_transfer', payout_frequency: 'weekly', minimum_payout_amount: 500, account_holder_name: 'Sample Store', bank_name: 'Commercial Bank of Ethiopia', account_number: '****1234' },
+  privacy: { public_profile: true, show_contact_info: false, analytics_tracking: true, data_sharing: false },
+};
+
+export const mockSellerDashboardStats = {
+  stats: { total_collections: collections.length, total_products: products.length, total_orders: orders.length, total_earnings: 7140, pending_earnings: 5100 },
+  recent_orders: orders,
+};
+
+export const mockPublicCollections = collections
+  .filter(collection => collection.is_active)
+  .map(collection => ({ ...collection, seller_name: mockSellerProfile.store_name, seller_slug: mockSellerProfile.store_slug }));
+
+export const mockSellerDocuments = {
+  documents: ['trade_license', 'tin_certificate', 'national_id'].map((type, index) => ({
+    id: `mock-document-${index + 1}`,
+    seller_id: 'mock-seller',
+    document_type: type,
+    storage_path: `mock/${type}/scan.pdf`,
+    file_name: `${type}.pdf`,
+    mime_type: 'application/pdf',
+    status: 'verified',
+    expires_at: type === 'trade_license' ? daysAgo(-300).slice(0, 10) : null,
+    is_expired: false,
+    review_note: null,
+    url: null,
+    created_at: daysAgo(62),
+  })),
+  missing_types: [],
+  verification_level: 'full',
+};
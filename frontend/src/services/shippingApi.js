@@ -0,0 +1,45 @@
+import { supabase } from './supabaseClient.js';
+import { toApiError } from './edgeFunctionError.js';
+
+/**
+ * Shipping API Service
+ * Delivery fee quotes for shoppers and delivery zone / shipping method / rate management for
+ * admins (Supabase Edge Functions)
+ */
+
+// Shipping options for the cart. items: [{ productId, variantId, quantity }], address: { city, subCity, country }
+export const fetchShippingQuote = async (items, address) => {
+  const { data, error } = await supabase.functions.invoke('get-shipping-quote', {
+    body: { items, address }
+  });
+  if (error) throw await toApiError(error);
+  // { success, data: { zone, weightKg, subtotal, options: [{ methodId, name, fee, estimatedDelivery, ... }] } }
+  return data;
+};
+
+// --- Admin ---
+// resource: 'zone' | 'method' | 'rate'
+
+export const fetchAdminShipping = async () => {
+  const { data, error } = await supabase.functions.invoke('get-admin-shipping', { method: 'GET' });
+  if (error) throw await toApiError(error);
+  // { success, data: { zones, methods, rates } }
+  return data;
+};
+
+export const saveAdminShipping = async (resource, id, values) => {
+  const { data, error } = await supabase.functions.invoke(
+    `save-admin-shipping?resource=${resource}${id ? `&id=${id}` : ''}`,
+    { method: id ? 'PUT' : 'POST', body: values }
+  );
+  if (error) throw await toApiError(error);
+  return data;
+};
+
+export const deleteAdminShipping = async (resource, id) => {
+  const { data, error } = await supabase.functions.invoke(`delete-admin-shipping?resource=${resource}&id=${id}`, {
+    method: 'DELETE'
+  });
+  if (error) throw await toApiError(error);
+  return data;
+};
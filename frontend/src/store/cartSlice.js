@@ -1,4 +1,10 @@
 import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import { getVariantPrice, roundMoney } from '../utils/pricing';
+import { validateCoupon } from '../services/couponApi';
+
+// A cart line is a product plus, for products with size/color variants, one of its variants
+export const getCartLineKey = (productId, variantId) => `${productId}:${variantId || ''}`;
+export const getItemLineKey = (item) => getCartLineKey(item.product.id, item.variant?.id);
 
 // Helper function to get initial state from localStorage (similar to CartContext)
 const getInitialCartState = () => {
@@ -22,6 +28,12 @@ const initialState = {
   items: getInitialCartState().items,
   status: 'idle', // 'idle' | 'loading' | 'succeeded' | 'failed'
   error: null,
+  // Per-line stock problems reported by create-order, keyed by getCartLineKey: { requested, available }
+  stockIssues: {},
+  // Promo code validated by validate-coupon: { code, description, discountAmount, ... }
+  appliedCoupon: null,
+  couponStatus: 'idle', // 'idle' | 'loading' | 'succeeded' | 'failed'
+  couponError: null,
 };
 
 // --- Async Thunks (will replace direct API calls) ---
@@ -67,7 +79,7 @@ export const fetchCart = createAsyncThunk(
 // Thunk for adding an item
 export const addItemToCart = createAsyncThunk(
   'cart/addItemToCart',
-  async ({ product, quantity }, { getState, rejectWithValue }) => {
+  async ({ product, variant = null, quantity }, { getState, rejectWithValue }) => {
     const accessToken = localStorage.getItem('accessToken');
     if (accessToken) {
       try {
@@ -77,7 +89,7 @@ export const addItemToCart = createAsyncThunk(
             'Content-Type': 'application/json',
             'Authorization': `Bearer ${accessToken}`,
           },
-          body: JSON.stringify({ productId: product.id, quantity }),
+          body: JSON.stringify({ productId: product.id, variantId: variant?.id || null, quantity }),
         });
         const contentType = response.headers.get('content-type');
         if (!contentType || !contentType.includes('application/json')) {
@@ -85,6 +97,9 @@ export const addItemToCart = createAsyncThunk(
           throw new Error('Invalid response from server: ' + text.slice(0, 100));
         }
         const data = await response.json();
+        if (!response.ok) {
+          throw new Error(data.error || `HTTP error! status: ${response.status}`);
+        }
         const updatedItems = data.cart?.items || data.items || data || [];
         localStorage.setItem('cart', JSON.stringify({ items: updatedItems }));
         return updatedItems;
@@ -95,7 +110,8 @@ export const addItemToCart = createAsyncThunk(
       // Anonymous user: Update localStorage directly
       const localCart = getInitialCartState();
       const localItems = localCart.items;
-      const existingItemIndex = localItems.findIndex(item => item.product.id === product.id);
+      const lineKey = getCartLineKey(product.id, variant?.id);
+      const existingItemIndex = localItems.findIndex(item => getItemLineKey(item) === lineKey);
       let newItems;
       if (existingItemIndex > -1) {
         newItems = localItems.map((item, index) =>
@@ -104,7 +120,7 @@ export const addItemToCart = createAsyncThunk(
             : item
         );
       } else {
-        newItems = [...localItems, { product, quantity }];
+        newItems = [...localItems, { product, variant, quantity }];
       }
       localStorage.setItem('cart', JSON.stringify({ items: newItems }));
       return newItems;
@@ -116,7 +132,7 @@ export const addItemToCart = createAsyncThunk(
 export const updateQuantity = createAsyncThunk(
   'cart/updateQuantity',
   // Send delta directly to the backend
-  async ({ productId, delta }, { getState, rejectWithValue }) => { 
+ async ({ productId, variantId = null, delta }, { getState, rejectWithValue }) => {
     const accessToken = localStorage.getItem('accessToken');
     if (accessToken) {
       try {
@@ -127,7 +143,7 @@ export const updateQuantity = createAsyncThunk(
             'Authorization': `Bearer ${accessToken}`,
           },
           // Send the delta directly
-          body: JSON.stringify({ productId, delta }), 
+          body: JSON.stringify({ productId, variantId, delta }),
         });
         if (!response.ok) {
           const errorData = await response.json().catch(() => ({ error: 'Failed to parse error response' }));
@@ -143,7 +159,8 @@ export const updateQuantity = createAsyncThunk(
     } else {
       // Anonymous user: Still need to calculate final quantity for local update
       const localCart = getInitialCartState();
-      const itemIndex = localCart.items.findIndex(item => item.product.id === productId);
+      const lineKey = getCartLineKey(productId, variantId);
+      const itemIndex = localCart.items.findIndex(item => getItemLineKey(item) === lineKey);
       if (itemIndex === -1) {
         // Should not happen if called from UI, but good safeguard
         return rejectWithValue('Item not found locally');
@@ -152,7 +169,7 @@ export const updateQuantity = createAsyncThunk(
       const finalQuantity = Math.max(0, currentQuantity + delta);
 
       let newItems = localCart.items.map(item =>
-        item.product.id === productId ? { ...item, quantity: finalQuantity } : item
+        getItemLineKey(item) === lineKey ? { ...item, quantity: finalQuantity } : item
       ).filter(item => item.quantity > 0); // Remove if quantity is 0
       localStorage.setItem('cart', JSON.stringify({ items: newItems }));
       return newItems;
@@ -163,7 +180,7 @@ export const updateQuantity = createAsyncThunk(
 // Thunk for removing item
 export const removeItem = createAsyncThunk(
   'cart/removeItem',
-  async (productId, { getState, rejectWithValue }) => {
+  async ({ productId, variantId = null }, { getState, rejectWithValue }) => {
     const accessToken = localStorage.getItem('accessToken');
     if (accessToken) {
       try {
@@ -174,7 +191,7 @@ export const removeItem = createAsyncThunk(
             'Content-Type': 'application/json',
             'Authorization': `Bearer ${accessToken}`,
           },
-          body: JSON.stringify({ productId, quantity: 0 }),
+          body: JSON.stringify({ productId, variantId, quantity: 0 }),
         });
         if (!response.ok) {
           const errorData = await response.json().catch(() => ({ error: 'Failed to parse error response' }));
@@ -190,7 +207,8 @@ export const removeItem = createAsyncThunk(
     } else {
       // Anonymous user: Update localStorage directly
       const localCart = getInitialCartState();
-      let newItems = localCart.items.filter(item => item.product.id !== productId);
+      const lineKey = getCartLineKey(productId, variantId);
+      let newItems = localCart.items.filter(item => getItemLineKey(item) !== lineKey);
       localStorage.setItem('cart', JSON.stringify({ items: newItems }));
       return newItems;
     }
@@ -266,6 +284,28 @@ export const clearCart = createAsyncThunk(
   }
 );
 
+// Thunk for applying (or re-checking) a promo code against the current cart.
+// The discount depends on the cart lines, so call it again whenever they change.
+export const applyCoupon = createAsyncThunk(
+  'cart/applyCoupon',
+  async (code, { getState, rejectWithValue }) => {
+    const items = (getState().cart.items || []).map(item => ({
+      productId: item.product.id,
+      variantId: item.variant?.id || null,
+      quantity: item.quantity,
+    }));
+    if (items.length === 0) {
+      return rejectWithValue('Your cart is empty');
+    }
+    try {
+      const response = await validateCoupon(code, items);
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.message || 'Failed to apply promo code');
+    }
+  }
+);
+
 // --- Cart Slice Definition ---
 const cartSlice = createSlice({
   name: 'cart',
@@ -277,17 +317,21 @@ const cartSlice = createSlice({
       state.items = [];
       state.status = 'idle';
       state.error = null;
+      state.stockIssues = {};
+      state.appliedCoupon = null;
+      state.couponError = null;
       localStorage.removeItem('cart');
       console.log('clearLocalCartAndState: Cart cleared locally.');
     },
     // --- Optimistic UI: Add a reducer for optimistic add ---
     addItemOptimistic: (state, action) => {
-      const { product, quantity } = action.payload;
-      const existingIndex = (state.items || []).findIndex(item => item.product.id === product.id);
+      const { product, variant = null, quantity } = action.payload;
+      const lineKey = getCartLineKey(product.id, variant?.id);
+      const existingIndex = (state.items || []).findIndex(item => getItemLineKey(item) === lineKey);
       if (existingIndex > -1) {
         state.items[existingIndex].quantity += quantity;
       } else {
-        state.items.push({ product, quantity });
+        state.items.push({ product, variant, quantity });
       }
     },
     revertAddItem: (state, action) => {
@@ -295,8 +339,9 @@ const cartSlice = createSlice({
       // For simplicity, just re-fetch the cart in the thunk on error
     },
     updateQuantityOptimistic: (state, action) => {
-      const { productId, delta } = action.payload; // Expecting delta (+1 or -1)
-      const itemIndex = (state.items || []).findIndex(item => item.product.id === productId);
+      const { productId, variantId, delta } = action.payload; // Expecting delta (+1 or -1)
+      const lineKey = getCartLineKey(productId, variantId);
+      const itemIndex = (state.items || []).findIndex(item => getItemLineKey(item) === lineKey);
       if (itemIndex > -1) {
         const currentQuantity = state.items[itemIndex].quantity;
         const newQuantity = currentQuantity + delta;
@@ -310,8 +355,24 @@ const cartSlice = createSlice({
       }
     },
     removeItemOptimistic: (state, action) => {
-      const productId = action.payload;
-      state.items = (state.items || []).filter(item => item.product.id !== productId);
+      const { productId, variantId } = action.payload;
+      const lineKey = getCartLineKey(productId, variantId);
+      state.items = (state.items || []).filter(item => getItemLineKey(item) !== lineKey);
+    },
+    // Record INSUFFICIENT_STOCK lines from create-order so cart/checkout can flag them
+    setStockIssues: (state, action) => {
+      state.stockIssues = {};
+      (action.payload || []).forEach(({ productId, variantId, requested, available }) => {
+        state.stockIssues[getCartLineKey(productId, variantId)] = { requested, available };
+      });
+    },
+    clearStockIssues: (state) => {
+      state.stockIssues = {};
+    },
+    removeCoupon: (state) => {
+      state.appliedCoupon = null;
+      state.couponStatus = 'idle';
+      state.couponError = null;
     },
   },
   extraReducers: (builder) => {
@@ -324,6 +385,7 @@ const cartSlice = createSlice({
         state.status = 'succeeded';
         state.items = action.payload; // Assuming payload is the items array
         state.error = null;
+        state.stockIssues = {}; // Fresh stock_quantity comes back with the products
       })
       .addCase(fetchCart.rejected, (state, action) => {
         state.status = 'failed';
@@ -377,18 +439,34 @@ const cartSlice = createSlice({
       // --- Handle clearCart ---
       .addCase(clearCart.fulfilled, (state) => {
         state.items = [];
+        state.stockIssues = {};
+        state.appliedCoupon = null;
         state.status = 'succeeded';
         state.error = null;
       })
       .addCase(clearCart.rejected, (state, action) => {
         state.status = 'failed';
         state.error = action.payload || action.error.message;
+      })
+      // --- Handle applyCoupon ---
+      .addCase(applyCoupon.pending, (state) => {
+        state.couponStatus = 'loading';
+        state.couponError = null;
+      })
+      .addCase(applyCoupon.fulfilled, (state, action) => {
+        state.couponStatus = 'succeeded';
+        state.appliedCoupon = action.payload;
+      })
+      .addCase(applyCoupon.rejected, (state, action) => {
+        state.couponStatus = 'failed';
+        state.couponError = action.payload || action.error.message;
+        state.appliedCoupon = null; // A code that no longer validates must not keep discounting
       });
   },
 });
 
 // Export synchronous actions
-export const { clearLocalCartAndState, addItemOptimistic, revertAddItem, updateQuantityOptimistic, removeItemOptimistic } = cartSlice.actions;
+export const { clearLocalCartAndState, addItemOptimistic, revertAddItem, updateQuantityOptimistic, removeItemOptimistic, setStockIssues, clearStockIssues, removeCoupon } = cartSlice.actions;
 
 // Export reducer
 export default cartSlice.reducer;
@@ -397,6 +475,16 @@ export default cartSlice.reducer;
 export const selectCartItems = (state) => state.cart.items || [];
 export const selectCartStatus = (state) => state.cart.status;
 export const selectCartError = (state) => state.cart.error;
+export const selectStockIssues = (state) => state.cart.stockIssues || {};
+
+// Units still available for a cart line: the last create-order report wins, else the variant's
+// (or product's) stock_quantity. Returns null when stock is unknown (e.g. older localStorage carts).
+export const getAvailableStock = (item, stockIssues = {}) => {
+  const issue = stockIssues[getItemLineKey(item)];
+  if (issue) return issue.available;
+  const stock = item.variant ? item.variant.stock_quantity : item.product.stock_quantity;
+  return typeof stock === 'number' ? stock : null;
+};
 
 // Example derived data selector (using reselect is better for memoization if needed)
 export const selectCartCount = (state) =>
@@ -404,8 +492,17 @@ export const selectCartCount = (state) =>
 
 export const selectCartTotal = (state) =>
   (state.cart.items || []).reduce((total, item) => {
-    if (item.product && typeof item.product.price === 'number' && typeof item.quantity === 'number') {
-      return total + item.product.price * item.quantity;
+    if (item.product && typeof item.quantity === 'number') {
+      return total + getVariantPrice(item.product, item.variant) * item.quantity;
     }
     return total;
-  }, 0);
\ No newline at end of file
+  }, 0);
+
+export const selectAppliedCoupon = (state) => state.cart.appliedCoupon;
+export const selectCouponStatus = (state) => state.cart.couponStatus;
+export const selectCouponError = (state) => state.cart.couponError;
+export const selectCartDiscount = (state) => state.cart.appliedCoupon?.discountAmount || 0;
+
+// Subtotal minus the promo discount (never below zero)
+export const selectCartGrandTotal = (state) =>
+  roundMoney(Math.max(0, selectCartTotal(state) - selectCartDiscount(state)));
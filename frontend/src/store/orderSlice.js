@@ -1,5 +1,6 @@
 import { createSlice, createAsyncThunk } from "@reduxjs/toolkit";
 import { supabase } from "../services/supabaseClient";
+import { toApiError } from "../services/edgeFunctionError";
 
 export const fetchOrders = createAsyncThunk(
   "orders/fetchOrders",
@@ -43,6 +44,7 @@ export const createOrder = createAsyncThunk(
   async (orderDetails, { rejectWithValue }) => {
     try {
       // Ensure orderDetails contains: { orderItems, shippingAddress, totalAmount }
+      // create-order re-prices every item server-side and rejects the order if these disagree.
       const { data: functionResponse, error: invokeError } = await supabase.functions.invoke(
         "create-order", // Name of the Edge Function
         {
@@ -52,6 +54,14 @@ export const createOrder = createAsyncThunk(
       );
 
       if (invokeError) {
+        // Structured checkout errors (e.g. PRICE_CHANGED) carry a `code`; pass the
+        // whole body through so CheckoutPage can show what changed.
+        if (invokeError.context && typeof invokeError.context.json === 'function') {
+          const errorBody = await invokeError.context.json().catch(() => null);
+          if (errorBody && errorBody.code) {
+            return rejectWithValue(errorBody);
+          }
+        }
         let detailedError = invokeError.message;
         // Attempt to parse more detailed error from function response if available
         if (invokeError.context && invokeError.context.json && invokeError.context.json.error) {
@@ -90,6 +100,58 @@ export const createOrder = createAsyncThunk(
   }
 );
 
+// Admin: a single order with its items and status history
+export const fetchAdminOrderDetail = createAsyncThunk(
+  "orders/fetchAdminOrderDetail",
+  async (orderId, { rejectWithValue }) => {
+    const { data: functionResponse, error: invokeError } = await supabase.functions.invoke(
+      `get-admin-order-detail?id=${orderId}`,
+      { method: 'GET' }
+    );
+    if (invokeError) {
+      const apiError = await toApiError(invokeError);
+      return rejectWithValue(apiError.message || "Failed to fetch order");
+    }
+    return functionResponse.data;
+  }
+);
+
+// Admin: move an order to its next status. Invalid transitions are rejected server-side.
+export const updateOrderStatus = createAsyncThunk(
+  "orders/updateOrderStatus",
+  async ({ orderId, status, note, carrier, trackingNumber }, { dispatch, rejectWithValue }) => {
+    const { data: functionResponse, error: invokeError } = await supabase.functions.invoke(
+      `update-admin-order-status?id=${orderId}`,
+      { method: 'PUT', body: { status, note, carrier, trackingNumber } }
+    );
+    if (invokeError) {
+      const apiError = await toApiError(invokeError);
+      return rejectWithValue(apiError.message || "Failed to update order status");
+    }
+    // Reload so the new history entry shows up
+    dispatch(fetchAdminOrderDetail(orderId));
+    return functionResponse.data;
+  }
+);
+
+// Admin: move one store's part of an order (a fulfilment); the order follows once every part agrees
+export const updateFulfillmentStatus = createAsyncThunk(
+  "orders/updateFulfillmentStatus",
+  async ({ orderId, fulfillmentId, status, note, carrier, trackingNumber }, { dispatch, rejectWithValue }) => {
+    const { data: functionResponse, error: invokeError } = await supabase.functions.invoke(
+      `update-admin-fulfillment?id=${fulfillmentId}`,
+      { method: 'PUT', body: { status, note, carrier, trackingNumber } }
+    );
+    if (invokeError) {
+      const apiError = await toApiError(invokeError);
+      return rejectWithValue(apiError.message || "Failed to update shipment");
+    }
+    // Reload: the order's own status and history may have moved with it
+    dispatch(fetchAdminOrderDetail(orderId));
+    return functionResponse.data;
+  }
+);
+
 const orderSlice = createSlice({
   name: "orders",
   initialState: {
@@ -97,6 +159,8 @@ const orderSlice = createSlice({
     loading: false,
     error: null,
     currentOrder: null,
+    currentOrderLoading: false,
+    currentOrderError: null,
     totalPages: 1,
     totalOrders: 0,
     mutationStatus: 'idle',
@@ -144,7 +208,33 @@ const orderSlice = createSlice({
       })
       .addCase(createOrder.rejected, (state, action) => {
         state.mutationStatus = 'failed';
-        state.mutationError = action.payload || "Failed to create order";
+        state.mutationError = action.payload?.error || action.payload || "Failed to create order";
+      })
+      .addCase(fetchAdminOrderDetail.pending, (state, action) => {
+        // Keep showing the current order while it refreshes after a status change
+        if (state.currentOrder?.id !== action.meta.arg) {
+          state.currentOrder = null;
+        }
+        state.currentOrderLoading = true;
+        state.currentOrderError = null;
+      })
+      .addCase(fetchAdminOrderDetail.fulfilled, (state, action) => {
+        state.currentOrderLoading = false;
+        state.currentOrder = action.payload;
+      })
+      .addCase(fetchAdminOrderDetail.rejected, (state, action) => {
+        state.currentOrderLoading = false;
+        state.currentOrderError = action.payload || "Failed to fetch order";
+      })
+      .addCase(updateOrderStatus.fulfilled, (state, action) => {
+        const updated = action.payload;
+        if (state.currentOrder?.id === updated.id) {
+          state.currentOrder.status = updated.status;
+        }
+        const listed = state.items.find(order => order.id === updated.id);
+        if (listed) {
+          listed.status = updated.status;
+        }
       });
   },
 });
@@ -156,6 +246,8 @@ export const selectOrderError = (state) => state.orders.error;
 export const selectTotalOrders = (state) => state.orders.totalOrders;
 export const selectOrderTotalPages = (state) => state.orders.totalPages;
 export const selectCurrentOrder = (state) => state.orders.currentOrder;
+export const selectCurrentOrderLoading = (state) => state.orders.currentOrderLoading;
+export const selectCurrentOrderError = (state) => state.orders.currentOrderError;
 export const selectOrderStatus = (state) => state.orders.mutationStatus;
 export const selectOrderMutationError = (state) => state.orders.mutationError;
 
@@ -20,7 +20,10 @@ export const fetchProducts = createAsyncThunk(
       if (params.sortBy) query.append("sortBy", params.sortBy);
       if (params.order) query.append("order", params.order);
       if (params.search) query.append("search", params.search);
-      if (params.category) query.append("category", params.category);
+      // Facets accept a single value or an array (sent as repeated params)
+      ["category", "brand", "size", "color", "price"].forEach((key) => {
+        [].concat(params[key] ?? []).forEach((value) => query.append(key, value));
+      });
       if (typeof params.in_stock !== "undefined") query.append("in_stock", params.in_stock);
       if (params.min_rating) query.append("min_rating", params.min_rating);
       if (typeof params.is_trending !== "undefined") query.append("is_trending", params.is_trending);
@@ -0,0 +1,87 @@
+/**
+ * Address book helpers. Sub-city list mirrors supabase/functions/_shared/addresses.ts.
+ * Saved addresses come back as `customer_addresses` rows (snake_case); checkout and orders use
+ * the camelCase shippingAddress shape, which is also what the address functions accept.
+ */
+
+export const ADDIS_ABABA_SUB_CITIES = [
+  'Addis Ketema',
+  'Akaky Kaliti',
+  'Arada',
+  'Bole',
+  'Gullele',
+  'Kirkos',
+  'Kolfe Keranio',
+  'Lemi Kura',
+  'Lideta',
+  'Nifas Silk-Lafto',
+  'Yeka',
+];
+
+export const ADDRESS_LABEL_SUGGESTIONS = ['Home', 'Office', 'Family'];
+
+export const isAddisAbaba = (city) =>
+  String(city ?? '').trim().toLowerCase().replace(/\s+/g, ' ') === 'addis ababa';
+
+/** Blank address form; Addis Ababa is where most orders go. */
+export const emptyAddress = () => ({
+  firstName: '',
+  lastName: '',
+  phone: '',
+  street: '',
+  apartment: '',
+  subCity: '',
+  woreda: '',
+  landmark: '',
+  city: 'Addis Ababa',
+  state: '',
+  zipCode: '',
+  country: 'Ethiopia',
+});
+
+/**
+ * customer_addresses row -> shippingAddress fields (label/isDefault not included).
+ * @param {Record<string, any>} row
+ */
+export const toShippingAddress = (row) => ({
+  firstName: row.first_name || '',
+  lastName: row.last_name || '',
+  phone: row.phone || '',
+  street: row.street || '',
+  apartment: row.apartment || '',
+  subCity: row.sub_city || '',
+  woreda: row.woreda || '',
+  landmark: row.landmark || '',
+  city: row.city || '',
+  state: row.state || '',
+  zipCode: row.zip_code || '',
+  country: row.country || 'Ethiopia',
+});
+
+/**
+ * Which required fields are missing; same rules as toAddressRow in _shared/addresses.ts.
+ * @param {Record<string, string>} address shippingAddress shape
+ * @returns {string[]} Human readable field names.
+ */
+export const getMissingAddressFields = (address) => {
+  const missing = [];
+  if (!address.firstName?.trim()) missing.push('first name');
+  if (!address.phone?.trim()) missing.push('phone');
+  if (!address.city?.trim()) missing.push('city');
+  if (isAddisAbaba(address.city) && !address.subCity) missing.push('sub-city');
+  if (!address.street?.trim() && !address.landmark?.trim()) missing.push('street or landmark');
+  return missing;
+};
+
+/**
+ * Display lines for an address in the shippingAddress shape (saved addresses: convert with
+ * toShippingAddress first). Name and phone are left to the caller.
+ * @returns {string[]}
+ */
+export const formatAddressLines = (address = {}) => [
+  [address.street, address.apartment].filter(Boolean).join(', '),
+  [address.subCity, address.woreda && `Woreda ${address.woreda}`].filter(Boolean).join(', '),
+  address.landmark && `Landmark: ${address.landmark}`,
+  [address.city, address.state, address.zipCode].filter(Boolean).join(', '),
+  address.country,
+].filter(Boolean);
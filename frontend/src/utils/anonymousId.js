@@ -0,0 +1,28 @@
+/**
+ * Random per-browser id that ties a signed-out visitor's product views together until they
+ * log in and the views are merged onto their account.
+ */
+
+const STORAGE_KEY = 'anonymousId';
+
+const createId = () => {
+  if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+    return crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}${Math.random().toString(36).slice(2)}`;
+};
+
+/** @returns {string} The stored id, created on first use. */
+export const getAnonymousId = () => {
+  try {
+    let id = localStorage.getItem(STORAGE_KEY);
+    if (!id) {
+      id = createId();
+      localStorage.setItem(STORAGE_KEY, id);
+    }
+    return id;
+  } catch {
+    // Storage disabled (private mode): views are not remembered across pages
+    return createId();
+  }
+};
@@ -0,0 +1,33 @@
+// Rider deliveries; statuses mirror the deliveries table in
+// supabase/migrations/20250901100000_rider_dispatch.sql.
+
+export const DELIVERY_STATUS_LABELS = {
+  assigned: 'Assigned',
+  out_for_delivery: 'Out for delivery',
+  delivered: 'Delivered',
+  failed: 'Attempt failed',
+  cancelled: 'Cancelled',
+};
+
+export const getDeliveryStatusBadgeClass = (status) => {
+  switch (status) {
+    case 'assigned': return 'bg-blue-100 text-blue-800';
+    case 'out_for_delivery': return 'bg-yellow-100 text-yellow-800';
+    case 'delivered': return 'bg-emerald-100 text-emerald-800';
+    case 'failed': return 'bg-red-100 text-red-800';
+    default: return 'bg-slate-100 text-slate-800';
+  }
+};
+
+export const RIDER_VEHICLE_LABELS = {
+  motorbike: 'Motorbike',
+  bicycle: 'Bicycle',
+  car: 'Car',
+  on_foot: 'On foot',
+};
+
+export const DELIVERY_PROOF_LABELS = {
+  otp: 'Delivery code',
+  photo: 'Photo',
+  signature: 'Signature',
+};
@@ -0,0 +1,46 @@
+/**
+ * Guest orders placed from this browser: order id -> the guest token create-order returned.
+ * The token lets the order success page show the order and retry its payment without an
+ * account; anyone else looks the order up by number and email/phone on /track-order.
+ */
+
+const STORAGE_KEY = 'guestOrders';
+const MAX_ORDERS = 20;
+
+const readAll = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}') || {};
+  } catch {
+    return {};
+  }
+};
+
+const writeAll = (orders) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(orders));
+  } catch {
+    // Storage disabled (private mode): the order can still be found on /track-order
+  }
+};
+
+/** @param {string} orderId @param {string} token */
+export const rememberGuestOrder = (orderId, token) => {
+  if (!orderId || !token) return;
+  const entries = Object.entries(readAll()).filter(([id]) => id !== orderId);
+  writeAll(Object.fromEntries([...entries, [orderId, token]].slice(-MAX_ORDERS)));
+};
+
+/** @returns {string | null} */
+export const getGuestOrderToken = (orderId) => readAll()[orderId] || null;
+
+/** Forget the tokens once the orders belong to an account (they stop working then). */
+export const forgetGuestOrders = () => {
+  try {
+    localStorage.removeItem(STORAGE_KEY);
+  } catch {
+    // Nothing stored
+  }
+};
+
+/** Short order number shown to shoppers and in emails, e.g. #a1b2c3d4. */
+export const formatOrderNumber = (orderId) => `#${String(orderId || '').slice(0, 8)}`;
@@ -0,0 +1,71 @@
+// Order lifecycle, mirroring order_status_transition_allowed() in
+// supabase/migrations/20250526100000_order_status_machine.sql. The database is what
+// enforces it; this copy only decides which actions the UI offers.
+
+export const ORDER_STATUSES = ['pending', 'paid', 'processing', 'shipped', 'delivered', 'cancelled', 'refunded', 'returned'];
+
+export const ORDER_STATUS_TRANSITIONS = {
+  pending: ['paid', 'processing', 'cancelled'],
+  paid: ['processing', 'cancelled', 'refunded'],
+  processing: ['shipped', 'cancelled'],
+  shipped: ['delivered', 'returned'],
+  delivered: ['returned', 'refunded'],
+  returned: ['refunded'],
+  cancelled: ['refunded'],
+  refunded: [],
+};
+
+export const getNextOrderStatuses = (status) => ORDER_STATUS_TRANSITIONS[(status || '').toLowerCase()] || [];
+
+export const formatOrderStatus = (status) =>
+  status ? status.charAt(0).toUpperCase() + status.slice(1).toLowerCase() : 'N/A';
+
+export const getOrderStatusBadgeClass = (status) => {
+  switch ((status || '').toLowerCase()) {
+    case 'paid': return 'bg-teal-100 text-teal-800';
+    case 'processing': return 'bg-blue-100 text-blue-800';
+    case 'shipped': return 'bg-yellow-100 text-yellow-800';
+    case 'delivered': return 'bg-emerald-100 text-emerald-800';
+    case 'cancelled': return 'bg-red-100 text-red-800';
+    case 'refunded': return 'bg-purple-100 text-purple-800';
+    case 'returned': return 'bg-orange-100 text-orange-800';
+    default: return 'bg-slate-100 text-slate-800';
+  }
+};
+
+// Timeline entries that record a delivery step rather than a status change (order_status_history.event)
+export const ORDER_EVENT_LABELS = {
+  rider_assigned: 'Assigned to a delivery rider',
+  out_for_delivery: 'Out for delivery',
+  delivery_failed: 'Delivery attempt failed',
+  fulfillment_shipped: 'Part of the order shipped',
+  fulfillment_delivered: 'Part of the order delivered',
+};
+
+// Oldest first, tolerating history rows arriving in any order from PostgREST embeds
+export const sortStatusHistory = (history = []) =>
+  [...history].sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+
+// Per-store parts of an order (order_fulfillments), mirroring fulfillment_status_transition_allowed()
+// in supabase/migrations/20251013100000_order_fulfillments.sql. A part is only cancelled with the
+// whole order, never on its own.
+export const FULFILLMENT_STATUSES = ['pending', 'processing', 'shipped', 'delivered', 'cancelled'];
+
+export const FULFILLMENT_STATUS_TRANSITIONS = {
+  pending: ['processing', 'shipped'],
+  processing: ['shipped'],
+  shipped: ['delivered'],
+  delivered: [],
+  cancelled: [],
+};
+
+export const getNextFulfillmentStatuses = (status) => FULFILLMENT_STATUS_TRANSITIONS[(status || '').toLowerCase()] || [];
+
+// How far an order's shipments have got: { total, shipped, delivered, partial } over the parts
+// not cancelled; partial while some but not all of a multi-store order have shipped
+export const getShipmentProgress = (fulfillments = []) => {
+  const open = (fulfillments || []).filter(f => f.status !== 'cancelled');
+  const shipped = open.filter(f => f.status === 'shipped' || f.status === 'delivered').length;
+  const delivered = open.filter(f => f.status === 'delivered').length;
+  return { total: open.length, shipped, delivered, partial: shipped > 0 && shipped < open.length };
+};
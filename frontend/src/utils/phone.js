@@ -0,0 +1,24 @@
+/**
+ * Client-side mirror of supabase/functions/_shared/phone.ts.
+ * create-order re-checks the number; this gives the shopper feedback before submitting.
+ */
+
+/**
+ * Normalises an Ethiopian mobile number to E.164 (+2519XXXXXXXX / +2517XXXXXXXX).
+ * Accepts the usual ways people write them: 0911 234 567, 911234567, 251911234567,
+ * +251 911 234 567, 00251-911-234-567. Returns null for anything else (including landlines).
+ * @param {string} input
+ * @returns {string | null}
+ */
+export const normalizeEthiopianPhone = (input) => {
+  const digits = String(input ?? '').replace(/[\s\-().]/g, '').replace(/^(\+|00)/, '');
+  const match = digits.match(/^(?:251|0)?([79]\d{8})$/);
+  return match ? `+251${match[1]}` : null;
+};
+
+// +251911234567 -> +251 911 234 567
+export const formatEthiopianPhone = (phone) => {
+  const normalized = normalizeEthiopianPhone(phone);
+  if (!normalized) return phone || '';
+  return `+251 ${normalized.slice(4, 7)} ${normalized.slice(7, 10)} ${normalized.slice(10)}`;
+};
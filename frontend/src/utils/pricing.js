@@ -0,0 +1,40 @@
+/**
+ * Client-side mirror of supabase/functions/_shared/pricing.ts.
+ * The server is authoritative; this only keeps the cart and checkout
+ * totals in line with what create-order will charge.
+ */
+
+export const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Returns the unit price a product currently sells for.
+ * A percentage `discount` applies unless the product is a flash deal whose
+ * `flash_deal_end` has already passed.
+ * @param {{ price: number | string, discount?: number | null, flash_deal?: boolean, flash_deal_end?: string | null }} product
+ * @returns {number} The effective unit price, rounded to cents.
+ */
+export const getEffectivePrice = (product) => {
+  if (!product) return 0;
+  const basePrice = Number(product.price) || 0;
+  const discount = Number(product.discount) || 0;
+  if (discount <= 0 || discount >= 100) {
+    return roundMoney(basePrice);
+  }
+  if (product.flash_deal && product.flash_deal_end && new Date(product.flash_deal_end) <= new Date()) {
+    return roundMoney(basePrice);
+  }
+  return roundMoney(basePrice * (1 - discount / 100));
+};
+
+/**
+ * Returns the unit price of a product variant: its own `price` when set,
+ * otherwise the product's, with the product's discount applied either way.
+ * @param {object} product
+ * @param {{ price?: number | string | null } | null} [variant]
+ * @returns {number}
+ */
+export const getVariantPrice = (product, variant) => {
+  if (!product) return 0;
+  const hasOwnPrice = variant && variant.price !== null && variant.price !== undefined && variant.price !== '';
+  return getEffectivePrice(hasOwnPrice ? { ...product, price: variant.price } : product);
+};
@@ -0,0 +1,61 @@
+/**
+ * Product list filters <-> URL query string.
+ * The URL is the only place filter state lives, so any filtered list can be shared or bookmarked.
+ * Parameter names match get-public-products, so the query string is forwarded as is.
+ */
+
+// Multi-select facets, repeated in the URL (?category=a&category=b)
+export const MULTI_FACETS = ['category', 'brand', 'size', 'color', 'price'];
+
+/**
+ * Reads the product list state from the URL.
+ * @param {URLSearchParams} searchParams
+ */
+export const readProductFilters = (searchParams) => ({
+  search: searchParams.get('search') || '',
+  category: searchParams.getAll('category'),
+  brand: searchParams.getAll('brand'),
+  size: searchParams.getAll('size'),
+  color: searchParams.getAll('color'),
+  price: searchParams.getAll('price'),
+  in_stock: searchParams.get('in_stock') === 'true',
+  min_rating: Number(searchParams.get('min_rating')) || null,
+  sortBy: searchParams.get('sortBy') || '',
+  sortOrder: searchParams.get('sortOrder') || '',
+});
+
+/** True when any filter (not the sort order) is set. */
+export const hasActiveFilters = (filters) =>
+  Boolean(filters.search || filters.in_stock || filters.min_rating || MULTI_FACETS.some(key => filters[key].length > 0));
+
+/**
+ * Returns a copy of `searchParams` with `changes` applied.
+ * A null/undefined/false/empty value removes the key; an array replaces all of its values.
+ * @param {URLSearchParams} searchParams
+ * @param {Record<string, string | number | boolean | string[] | null | undefined>} changes
+ */
+export const updateProductFilters = (searchParams, changes) => {
+  const next = new URLSearchParams(searchParams);
+  Object.entries(changes).forEach(([key, value]) => {
+    next.delete(key);
+    if (Array.isArray(value)) {
+      value.forEach(v => next.append(key, v));
+    } else if (value !== null && value !== undefined && value !== false && value !== '') {
+      next.set(key, String(value));
+    }
+  });
+  return next;
+};
+
+/**
+ * Adds or removes one value of a multi-select facet.
+ * @param {URLSearchParams} searchParams
+ * @param {string} key One of MULTI_FACETS.
+ * @param {string} value
+ */
+export const toggleProductFilter = (searchParams, key, value) => {
+  const values = searchParams.getAll(key);
+  return updateProductFilters(searchParams, {
+    [key]: values.includes(value) ? values.filter(v => v !== value) : [...values, value],
+  });
+};
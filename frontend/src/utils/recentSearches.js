@@ -0,0 +1,52 @@
+/**
+ * Recent header searches, kept per browser in localStorage (newest first).
+ */
+
+const STORAGE_KEY = 'recentSearches';
+const MAX_RECENT_SEARCHES = 6;
+
+/** @returns {string[]} */
+export const getRecentSearches = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+    return Array.isArray(stored) ? stored.filter(term => typeof term === 'string') : [];
+  } catch {
+    return [];
+  }
+};
+
+const saveRecentSearches = (terms) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(terms));
+  } catch {
+    // Storage full or disabled (private mode); recent searches are a convenience only
+  }
+};
+
+/**
+ * Moves `term` to the front of the list, dropping case-insensitive duplicates.
+ * @param {string} term
+ * @returns {string[]} The updated list.
+ */
+export const addRecentSearch = (term) => {
+  const trimmed = (term || '').trim();
+  if (!trimmed) return getRecentSearches();
+  const terms = [
+    trimmed,
+    ...getRecentSearches().filter(t => t.toLowerCase() !== trimmed.toLowerCase()),
+  ].slice(0, MAX_RECENT_SEARCHES);
+  saveRecentSearches(terms);
+  return terms;
+};
+
+/** @returns {string[]} The updated list. */
+export const removeRecentSearch = (term) => {
+  const terms = getRecentSearches().filter(t => t !== term);
+  saveRecentSearches(terms);
+  return terms;
+};
+
+export const clearRecentSearches = () => {
+  saveRecentSearches([]);
+  return [];
+};
@@ -0,0 +1,19 @@
+// Listing states of a seller's product, from products.approval_status, is_active and
+// archived_at (see supabase/migrations/20251006100000_seller_products.sql).
+
+export const SELLER_PRODUCT_STATUSES = {
+  live: { label: 'Live', className: 'bg-green-100 text-green-800' },
+  pending_review: { label: 'In review', className: 'bg-yellow-100 text-yellow-800' },
+  rejected: { label: 'Rejected', className: 'bg-red-100 text-red-800' },
+  hidden: { label: 'Hidden', className: 'bg-gray-100 text-gray-800' },
+  archived: { label: 'Archived', className: 'bg-gray-100 text-gray-500' },
+};
+
+export const getSellerProductStatus = (product) => {
+  if (product.archived_at) return 'archived';
+  if (product.is_active) return 'live';
+  if (product.approval_status === 'pending_review' || product.approval_status === 'rejected') {
+    return product.approval_status;
+  }
+  return 'hidden';
+};
@@ -0,0 +1,33 @@
+// Seller KYC documents and verification levels, mirroring seller_verification_level() in
+// supabase/migrations/20250929100000_seller_kyc_documents.sql. The database and the seller
+// functions enforce the levels; this copy only decides what the seller pages offer.
+
+export const SELLER_DOCUMENT_TYPES = [
+  { id: 'national_id', label: 'National ID or passport', hint: 'A clear scan of the owner\'s Kebele ID, national ID or passport.' },
+  { id: 'trade_license', label: 'Trade licence', hint: 'Your current business (trade) licence.' },
+  { id: 'tin_certificate', label: 'TIN certificate', hint: 'Your Taxpayer Identification Number registration certificate.' },
+];
+
+export const SELLER_DOCUMENT_LABELS = Object.fromEntries(SELLER_DOCUMENT_TYPES.map(type => [type.id, type.label]));
+
+export const SELLER_DOCUMENT_STATUSES = {
+  pending: { label: 'Under review', className: 'bg-yellow-100 text-yellow-800' },
+  verified: { label: 'Verified', className: 'bg-green-100 text-green-800' },
+  rejected: { label: 'Rejected', className: 'bg-red-100 text-red-800' },
+  expired: { label: 'Expired', className: 'bg-red-100 text-red-800' },
+};
+
+// A verified document past its expiry date no longer counts
+export const getDocumentStatus = (document) =>
+  document.status === 'verified' && document.is_expired ? 'expired' : document.status;
+
+export const VERIFICATION_LEVELS = {
+  none: { label: 'Not verified', description: 'Upload your ID to start building collections.' },
+  basic: { label: 'ID verified', description: 'You can build collections. Get your trade licence and TIN certificate verified to publish them.' },
+  full: { label: 'Fully verified', description: 'All your documents are verified.' },
+};
+
+const LEVEL_ORDER = ['none', 'basic', 'full'];
+
+export const meetsVerification = (level, required) =>
+  LEVEL_ORDER.indexOf(level || 'none') >= LEVEL_ORDER.indexOf(required);
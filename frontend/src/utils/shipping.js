@@ -0,0 +1,31 @@
+import { formatETB } from './utils';
+
+/**
+ * Shipping display helpers. Quotes come from get-shipping-quote (see services/shippingApi.js);
+ * delivery windows are YYYY-MM-DD dates, on quotes and on orders alike.
+ */
+
+const formatDay = (date) =>
+  new Date(`${date}T00:00:00Z`).toLocaleDateString('en-GB', { weekday: 'short', day: 'numeric', month: 'short', timeZone: 'UTC' });
+
+/**
+ * "Tue, 12 Aug - Thu, 14 Aug", or a single day when the window is one day; null without dates.
+ * @param {string | null | undefined} start
+ * @param {string | null | undefined} end
+ */
+export const formatDeliveryWindow = (start, end) => {
+  if (!start) return null;
+  if (!end || end === start) return formatDay(start);
+  return `${formatDay(start)} - ${formatDay(end)}`;
+};
+
+/** Fee label for a shipping option or an order's shipping line. */
+export const formatShippingFee = (fee) => (Number(fee) > 0 ? formatETB(fee) : 'Free');
+
+/** Cart lines in the shape get-shipping-quote and create-order take. */
+export const toShippingLines = (cartItems) =>
+  cartItems.map(item => ({
+    productId: item.product.id,
+    variantId: item.variant?.id || null,
+    quantity: Number(item.quantity),
+  }));
@@ -0,0 +1,39 @@
+/**
+ * Helpers for product variants (size x color rows from product_variants).
+ * Mirrors supabase/functions/_shared/variants.ts.
+ */
+
+/**
+ * Human label for a variant, e.g. "M / Black".
+ * @param {{ size?: string | null, color?: string | null } | null} variant
+ * @returns {string | null} null when there is no variant or it has no options.
+ */
+export const getVariantLabel = (variant) => {
+  if (!variant) return null;
+  const label = [variant.size, variant.color].map(v => (v || '').trim()).filter(Boolean).join(' / ');
+  return label || null;
+};
+
+/**
+ * Distinct values of one option ('size' or 'color') across variants, in editor order.
+ * @param {Array<object>} variants
+ * @param {'size' | 'color'} option
+ * @returns {string[]}
+ */
+export const getVariantOptions = (variants, option) =>
+  [...new Set((variants || []).map(v => v[option]).filter(Boolean))];
+
+/**
+ * The variant matching a size/color choice. An option the product does not use is ignored.
+ * @param {Array<object>} variants
+ * @param {{ size?: string | null, color?: string | null }} selection
+ * @returns {object | null}
+ */
+export const findVariant = (variants, { size, color }) => {
+  const usesSize = getVariantOptions(variants, 'size').length > 0;
+  const usesColor = getVariantOptions(variants, 'color').length > 0;
+  if ((usesSize && !size) || (usesColor && !color)) return null;
+  return (variants || []).find(v =>
+    (!usesSize || v.size === size) && (!usesColor || v.color === color)
+  ) || null;
+};
@@ -0,0 +1,84 @@
+// supabase/functions/_shared/addresses.ts
+// Address book rows. Sub-city list mirrors frontend/src/utils/addresses.js
+
+import { normalizeEthiopianPhone } from './phone.ts';
+
+export const ADDIS_ABABA_SUB_CITIES = [
+  'Addis Ketema',
+  'Akaky Kaliti',
+  'Arada',
+  'Bole',
+  'Gullele',
+  'Kirkos',
+  'Kolfe Keranio',
+  'Lemi Kura',
+  'Lideta',
+  'Nifas Silk-Lafto',
+  'Yeka',
+];
+
+// Most customers keep a handful; the cap only stops the book from growing without bound
+export const MAX_ADDRESSES_PER_USER = 10;
+
+export const isAddisAbaba = (city: unknown) =>
+  String(city ?? '').trim().toLowerCase().replace(/\s+/g, ' ') === 'addis ababa';
+
+const optionalText = (value: unknown, max = 200) => {
+  const text = String(value ?? '').trim();
+  return text ? text.slice(0, max) : null;
+};
+
+/**
+ * Maps an address form body (camelCase, the same keys as an order's shippingAddress plus
+ * label/isDefault) to a `customer_addresses` row, validating as it goes.
+ * Returns { row } or { error } for a 400 response. is_default is only included when set, so an
+ * update without it leaves the default alone.
+ */
+export function toAddressRow(body: Record<string, any>): { row?: Record<string, unknown>; error?: string } {
+  const label = optionalText(body.label, 40);
+  const firstName = optionalText(body.firstName, 100);
+  const city = optionalText(body.city, 100);
+  const country = optionalText(body.country, 100) || 'Ethiopia';
+  const street = optionalText(body.street);
+  const landmark = optionalText(body.landmark, 300);
+
+  if (!label) return { error: 'Give the address a label, e.g. Home or Office.' };
+  if (!firstName) return { error: 'Recipient first name is required.' };
+  if (!city) return { error: 'City is required.' };
+  if (!street && !landmark) {
+    return { error: 'Add a street or a landmark so the rider can find the place.' };
+  }
+
+  let subCity = optionalText(body.subCity, 100);
+  if (isAddisAbaba(city)) {
+    subCity = ADDIS_ABABA_SUB_CITIES.find(name => name.toLowerCase() === subCity?.toLowerCase()) || null;
+    if (!subCity) return { error: 'Choose the sub-city for Addis Ababa addresses.' };
+  }
+
+  let phone = optionalText(body.phone, 30);
+  if (!phone) return { error: 'Phone number is required.' };
+  if (country.toLowerCase() === 'ethiopia') {
+    phone = normalizeEthiopianPhone(phone);
+    if (!phone) return { error: 'Enter a valid Ethiopian mobile number, e.g. 0911 234 567' };
+  }
+
+  return {
+    row: {
+      label,
+      first_name: firstName,
+      last_name: optionalText(body.lastName, 100),
+      phone,
+      street,
+      apartment: optionalText(body.apartment),
+      sub_city: subCity,
+      woreda: optionalText(body.woreda, 20),
+      landmark,
+      city: isAddisAbaba(city) ? 'Addis Ababa' : city,
+      state: optionalText(body.state, 100),
+      zip_code: optionalText(body.zipCode, 20),
+      country,
+      ...(body.isDefault === true ? { is_default: true } : {}),
+      updated_at: new Date().toISOString(),
+    },
+  };
+}
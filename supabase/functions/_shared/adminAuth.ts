@@ -0,0 +1,48 @@
+// supabase/functions/_shared/adminAuth.ts
+import { createClient, SupabaseClient, User } from 'https://esm.sh/@supabase/supabase-js@2';
+import { jsonResponse } from './response.ts';
+
+export interface AdminContext {
+  user: User;
+  // Client acting as the admin, for RPCs that record auth.uid() (e.g. update_order_status)
+  supabaseUserClient: SupabaseClient;
+  // Service-role client (bypasses RLS) for the actual work once the caller is known to be an admin
+  supabaseAdminClient: SupabaseClient;
+}
+
+/**
+ * Authenticates the caller and checks the is_admin() SQL function, the same way
+ * create-admin-product does. Returns the admin context, or a Response to send back as-is.
+ */
+export async function requireAdmin(req: Request): Promise<AdminContext | Response> {
+  const authHeader = req.headers.get('Authorization');
+  if (!authHeader) {
+    return jsonResponse({ success: false, error: 'Missing Authorization header' }, 401);
+  }
+
+  const supabaseUrl = Deno.env.get('SUPABASE_URL')!;
+  const supabaseAnonKey = Deno.env.get('SUPABASE_ANON_KEY')!;
+  const supabaseServiceRoleKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!;
+
+  const supabaseUserClient = createClient(supabaseUrl, supabaseAnonKey, {
+    global: { headers: { Authorization: authHeader } },
+    db: { schema: 'public' },
+  });
+
+  const { data: { user }, error: userError } = await supabaseUserClient.auth.getUser();
+  if (userError || !user) {
+    return jsonResponse({ success: false, error: 'Authentication failed' }, 401);
+  }
+
+  const { data: isAdmin, error: rpcError } = await supabaseUserClient.rpc('is_admin');
+  if (rpcError) {
+    console.error('Error calling is_admin function:', rpcError);
+    return jsonResponse({ success: false, error: 'Error checking user permissions.' }, 500);
+  }
+  if (isAdmin !== true) {
+    console.warn(`User ${user.id} failed is_admin() check.`);
+    return jsonResponse({ success: false, error: 'Forbidden: Admin role required.' }, 403);
+  }
+
+  return { user, supabaseUserClient, supabaseAdminClient: createClient(supabaseUrl, supabaseServiceRoleKey) };
+}
@@ -0,0 +1,160 @@
+// supabase/functions/_shared/coupons.ts
+import { SupabaseClient } from 'https://esm.sh/@supabase/supabase-js@2';
+import { roundMoney } from './pricing.ts';
+
+export interface PricedItem {
+  product: { id: string; category_id?: string | null };
+  quantity: number;
+  price: number; // effective unit price from getEffectivePrice
+}
+
+export type CouponResult =
+  | {
+      valid: true;
+      coupon: Record<string, any>;
+      discountAmount: number;
+      eligibleSubtotal: number;
+      description: string;
+    }
+  | { valid: false; error: string };
+
+const invalid = (error: string): CouponResult => ({ valid: false, error });
+
+// Human-readable summary stored on the order's discount line, e.g. "10% off" or "ETB 200 off".
+export const describeCoupon = (coupon: { discount_type: string; discount_value: number; description?: string | null }) =>
+  coupon.description ||
+  (coupon.discount_type === 'percentage'
+    ? `${Number(coupon.discount_value)}% off`
+    : `ETB ${Number(coupon.discount_value)} off`);
+
+/**
+ * Checks a promo code against the priced cart and works out the discount.
+ * `supabase` must be a service-role client: usage caps count redemptions across all users
+ * (coupon_redemptions: discounts on orders that were not cancelled).
+ * The final cap check is repeated under a row lock inside create_order_with_stock.
+ */
+export async function evaluateCoupon(
+  supabase: SupabaseClient,
+  code: string,
+  userId: string | null, // null for guest checkout
+  items: PricedItem[],
+  now: Date = new Date(),
+): Promise<CouponResult> {
+  const normalisedCode = String(code || '').trim();
+  if (!normalisedCode) return invalid('Please enter a promo code');
+
+  const { data: coupon, error } = await supabase
+    .from('coupons')
+    .select('*')
+    .ilike('code', normalisedCode.replace(/[%_\\]/g, '\\$&'))
+    .maybeSingle();
+
+  if (error) {
+    console.error('Coupon lookup error:', error);
+    throw new Error(`Error looking up promo code: ${error.message}`);
+  }
+  if (!coupon || !coupon.is_active) return invalid('Invalid promo code');
+  if (coupon.starts_at && new Date(coupon.starts_at) > now) return invalid('This promo code is not active yet');
+  if (coupon.expires_at && new Date(coupon.expires_at) <= now) return invalid('This promo code has expired');
+
+  if (coupon.usage_limit) {
+    const { count } = await supabase
+      .from('coupon_redemptions')
+      .select('id', { count: 'exact', head: true })
+      .eq('coupon_id', coupon.id);
+    if ((count || 0) >= coupon.usage_limit) return invalid('This promo code has reached its usage limit');
+  }
+  if (coupon.per_user_limit && !userId) return invalid('Sign in to use this promo code');
+  if (coupon.per_user_limit) {
+    const { count } = await supabase
+      .from('coupon_redemptions')
+      .select('id', { count: 'exact', head: true })
+      .eq('coupon_id', coupon.id)
+      .eq('user_id', userId);
+    if ((count || 0) >= coupon.per_user_limit) return invalid('You have already used this promo code');
+  }
+
+  // --- Scope: which lines the discount applies to ---
+  let eligibleItems = items;
+  const categoryIds: string[] = coupon.category_ids || [];
+  const collectionIds: string[] = coupon.collection_ids || [];
+  if (categoryIds.length > 0) {
+    eligibleItems = eligibleItems.filter(item => item.product.category_id && categoryIds.includes(item.product.category_id));
+  }
+  if (collectionIds.length > 0 && eligibleItems.length > 0) {
+    const { data: collectionItems, error: collectionError } = await supabase
+      .from('collection_items')
+      .select('product_id')
+      .in('collection_id', collectionIds)
+      .in('product_id', eligibleItems.map(item => item.product.id));
+    if (collectionError) {
+      console.error('Coupon collection scope lookup error:', collectionError);
+      throw new Error(`Error checking promo code scope: ${collectionError.message}`);
+    }
+    const inCollection = new Set((collectionItems || []).map(row => row.product_id));
+    eligibleItems = eligibleItems.filter(item => inCollection.has(item.product.id));
+  }
+  if (eligibleItems.length === 0) return invalid('This promo code does not apply to any items in your cart');
+
+  const eligibleSubtotal = roundMoney(eligibleItems.reduce((sum, item) => sum + item.price * item.quantity, 0));
+  const minSpend = Number(coupon.min_spend) || 0;
+  if (eligibleSubtotal < minSpend) {
+    return invalid(`Spend at least ETB ${minSpend} on eligible items to use this promo code`);
+  }
+
+  const rawDiscount = coupon.discount_type === 'percentage'
+    ? eligibleSubtotal * (Number(coupon.discount_value) / 100)
+    : Number(coupon.discount_value);
+  const discountAmount = roundMoney(Math.min(rawDiscount, eligibleSubtotal));
+
+  return { valid: true, coupon, discountAmount, eligibleSubtotal, description: describeCoupon(coupon) };
+}
+
+/**
+ * Maps an admin form body (camelCase) to a `coupons` row, validating as it goes.
+ * Returns { row } or { error } for a 400 response.
+ */
+export function toCouponRow(body: Record<string, any>): { row?: Record<string, unknown>; error?: string } {
+  const code = String(body.code || '').trim().toUpperCase();
+  if (!/^[A-Z0-9_-]{3,32}$/.test(code)) {
+    return { error: 'Code must be 3-32 characters: letters, numbers, dashes or underscores.' };
+  }
+  if (!['percentage', 'fixed'].includes(body.discountType)) {
+    return { error: "discountType must be 'percentage' or 'fixed'." };
+  }
+  const discountValue = Number(body.discountValue);
+  if (!(discountValue > 0) || (body.discountType === 'percentage' && discountValue > 100)) {
+    return { error: 'discountValue must be positive (and at most 100 for percentages).' };
+  }
+  const optionalPositiveInt = (value: unknown) => {
+    if (value === null || value === undefined || value === '') return null;
+    const n = Number(value);
+    return Number.isInteger(n) && n > 0 ? n : NaN;
+  };
+  const usageLimit = optionalPositiveInt(body.usageLimit);
+  const perUserLimit = optionalPositiveInt(body.perUserLimit);
+  if (Number.isNaN(usageLimit) || Number.isNaN(perUserLimit)) {
+    return { error: 'Usage limits must be whole numbers greater than zero.' };
+  }
+  if (body.startsAt && body.expiresAt && new Date(body.startsAt) >= new Date(body.expiresAt)) {
+    return { error: 'Expiry must be after the start date.' };
+  }
+
+  return {
+    row: {
+      code,
+      description: body.description || null,
+      discount_type: body.discountType,
+      discount_value: discountValue,
+      min_spend: Number(body.minSpend) || 0,
+      starts_at: body.startsAt || null,
+      expires_at: body.expiresAt || null,
+      usage_limit: usageLimit,
+      per_user_limit: perUserLimit,
+      category_ids: Array.isArray(body.categoryIds) ? body.categoryIds : [],
+      collection_ids: Array.isArray(body.collectionIds) ? body.collectionIds : [],
+      is_active: body.isActive !== false,
+      updated_at: new Date().toISOString(),
+    },
+  };
+}
@@ -0,0 +1,51 @@
+// supabase/functions/_shared/cursor.ts
+//
+// Opaque cursors for keyset pagination. A cursor holds the position after which the next page
+// starts, plus a fingerprint of the sort and filters it was made for: reusing it with a different
+// query is rejected instead of silently returning the wrong page.
+
+export interface CursorPosition {
+  num: number | string;
+  text: string;
+  id: string;
+}
+
+interface CursorPayload {
+  v: 1;
+  s: string; // scope fingerprint
+  p: CursorPosition;
+}
+
+const toBase64Url = (value: string) =>
+  btoa(String.fromCharCode(...new TextEncoder().encode(value)))
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+
+const fromBase64Url = (value: string) => {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+  const bytes = Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+  return new TextDecoder().decode(bytes);
+};
+
+/** Short fingerprint of whatever defines the result order (sort, direction, filters). */
+export async function cursorScope(query: unknown): Promise<string> {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(JSON.stringify(query)));
+  return Array.from(new Uint8Array(digest).slice(0, 8), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+export function encodeCursor(scope: string, position: CursorPosition): string {
+  const payload: CursorPayload = { v: 1, s: scope, p: position };
+  return toBase64Url(JSON.stringify(payload));
+}
+
+/** The position in `cursor`, or null when it is malformed or was made for another scope. */
+export function decodeCursor(cursor: string, scope: string): CursorPosition | null {
+  try {
+    const payload = JSON.parse(fromBase64Url(cursor)) as CursorPayload;
+    if (payload?.v !== 1 || payload.s !== scope || !payload.p?.id) return null;
+    return payload.p;
+  } catch {
+    return null;
+  }
+}
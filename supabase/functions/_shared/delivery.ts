@@ -0,0 +1,54 @@
+// supabase/functions/_shared/delivery.ts
+//
+// Riders and dispatch; see 20250901100000_rider_dispatch.sql. Riders act through the SQL
+// functions there (from the admin app); these helpers are for the admin edge functions.
+
+import { SupabaseClient, User } from 'https://esm.sh/@supabase/supabase-js@2';
+import { normalizeEthiopianPhone } from './phone.ts';
+
+export const RIDER_ROLE = 'RIDER';
+export const RIDER_VEHICLES = ['motorbike', 'bicycle', 'car', 'on_foot'];
+
+/**
+ * Maps an admin form body (camelCase) to a `riders` row (without user_id, which only
+ * save-admin-rider sets, on create). Returns { row } or { error } for a 400 response.
+ */
+export function toRiderRow(body: Record<string, any>): { row?: Record<string, unknown>; error?: string } {
+  const fullName = String(body.fullName ?? '').trim().slice(0, 100);
+  if (!fullName) return { error: 'Rider name is required.' };
+  const phone = normalizeEthiopianPhone(body.phone);
+  if (!phone) return { error: 'Enter an Ethiopian mobile number for the rider, e.g. 0911 234 567.' };
+  const vehicle = body.vehicle || 'motorbike';
+  if (!RIDER_VEHICLES.includes(vehicle)) return { error: `vehicle must be one of: ${RIDER_VEHICLES.join(', ')}` };
+  return {
+    row: {
+      full_name: fullName,
+      phone,
+      vehicle,
+      notes: String(body.notes ?? '').trim().slice(0, 500) || null,
+      is_active: body.isActive !== false,
+      updated_at: new Date().toISOString(),
+    },
+  };
+}
+
+/** The auth user with this email, paging through auth.admin.listUsers (there is no lookup by email). */
+export async function findUserByEmail(supabaseAdmin: SupabaseClient, email: string): Promise<User | null> {
+  const wanted = email.trim().toLowerCase();
+  const perPage = 1000;
+  for (let page = 1; ; page++) {
+    const { data, error } = await supabaseAdmin.auth.admin.listUsers({ page, perPage });
+    if (error) throw new Error(`User lookup failed: ${error.message}`);
+    const user = data.users.find(u => u.email?.toLowerCase() === wanted);
+    if (user) return user;
+    if (data.users.length < perPage) return null;
+  }
+}
+
+/** Sets app_metadata.user_role, keeping the rest of app_metadata (provider info etc.). */
+export async function setUserRole(supabaseAdmin: SupabaseClient, user: User, role: string): Promise<void> {
+  const { error } = await supabaseAdmin.auth.admin.updateUserById(user.id, {
+    app_metadata: { ...(user.app_metadata || {}), user_role: role },
+  });
+  if (error) throw new Error(`Could not update the user's role: ${error.message}`);
+}
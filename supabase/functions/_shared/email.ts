@@ -0,0 +1,94 @@
+// supabase/functions/_shared/email.ts
+//
+// Email providers behind one interface, picked with the EMAIL_PROVIDER env var
+// (sendgrid | smtp | console). Without it, SendGrid is used when SENDGRID_API_KEY is set and
+// the console sink otherwise, so local runs never send real mail by accident.
+
+import { SMTPClient } from 'https://deno.land/x/denomailer@1.6.0/mod.ts';
+import { createConsoleSink, selectProvider, type MessageProvider } from './messaging.ts';
+
+export type EmailProviderId = 'sendgrid' | 'smtp' | 'console';
+
+export interface EmailMessage {
+  to: string;
+  subject: string;
+  text: string;
+  html: string;
+}
+
+export type EmailProvider = MessageProvider<EmailProviderId, EmailMessage>;
+
+const getFromAddress = () => ({
+  email: Deno.env.get('EMAIL_FROM') || Deno.env.get('SENDGRID_FROM_EMAIL') || 'no-reply@suriaddis.com',
+  name: Deno.env.get('EMAIL_FROM_NAME') || 'SuriAddis',
+});
+
+// --- SendGrid ---
+
+const sendgrid: EmailProvider = {
+  id: 'sendgrid',
+  isEnabled: () => Boolean(Deno.env.get('SENDGRID_API_KEY')),
+
+  async send({ to, subject, text, html }) {
+    const response = await fetch('https://api.sendgrid.com/v3/mail/send', {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${Deno.env.get('SENDGRID_API_KEY')}`,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        personalizations: [{ to: [{ email: to }], subject }],
+        from: getFromAddress(),
+        content: [
+          { type: 'text/plain', value: text },
+          { type: 'text/html', value: html },
+        ],
+      }),
+    });
+    if (!response.ok) {
+      const body = await response.text().catch(() => '');
+      throw new Error(`SendGrid rejected the message (${response.status}): ${body.slice(0, 300)}`);
+    }
+    return { messageId: response.headers.get('x-message-id') };
+  },
+};
+
+// --- Plain SMTP (SMTP_HOST, SMTP_PORT, SMTP_USERNAME, SMTP_PASSWORD, SMTP_TLS) ---
+
+const smtp: EmailProvider = {
+  id: 'smtp',
+  isEnabled: () => Boolean(Deno.env.get('SMTP_HOST')),
+
+  async send({ to, subject, text, html }) {
+    const username = Deno.env.get('SMTP_USERNAME');
+    const client = new SMTPClient({
+      connection: {
+        hostname: Deno.env.get('SMTP_HOST')!,
+        port: Number(Deno.env.get('SMTP_PORT') || 587),
+        tls: Deno.env.get('SMTP_TLS') === 'true',
+        auth: username ? { username, password: Deno.env.get('SMTP_PASSWORD') || '' } : undefined,
+      },
+    });
+    try {
+      const from = getFromAddress();
+      await client.send({ from: `${from.name} <${from.email}>`, to, subject, content: text, html });
+    } finally {
+      await client.close();
+    }
+    return { messageId: null };
+  },
+};
+
+// --- Console / file sink (EMAIL_SINK_FILE), for local testing ---
+
+const consoleSink = createConsoleSink<EmailMessage>('email', 'EMAIL_SINK_FILE', ({ subject, text }) => `Subject: ${subject}\n\n${text}`);
+
+export const EMAIL_PROVIDERS: Record<EmailProviderId, EmailProvider> = {
+  sendgrid,
+  smtp,
+  console: consoleSink,
+};
+
+export function getEmailProvider(): EmailProvider {
+  return selectProvider('EMAIL_PROVIDER', EMAIL_PROVIDERS, [sendgrid, consoleSink]);
+}
@@ -0,0 +1,20 @@
+// supabase/functions/_shared/guestOrders.ts
+//
+// Orders placed without an account; see 20250908100000_guest_checkout.sql.
+
+import { normalizeEthiopianPhone } from './phone.ts';
+
+export const isValidEmail = (email: unknown) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(email ?? '').trim());
+
+/** "#A1B2C3D4", "a1b2c3d4" or a whole order id -> lower-case id prefix, or null if too short. */
+export function normalizeOrderNumber(input: unknown): string | null {
+  const orderNumber = String(input ?? '').trim().replace(/^#/, '').toLowerCase();
+  return /^[0-9a-f-]{8,36}$/.test(orderNumber) ? orderNumber : null;
+}
+
+/** What the shopper typed to prove the order is theirs: an email, or a phone in stored form. */
+export function parseGuestContact(input: unknown): { email: string | null; phone: string | null } {
+  const contact = String(input ?? '').trim();
+  if (contact.includes('@')) return { email: contact.toLowerCase(), phone: null };
+  return { email: null, phone: normalizeEthiopianPhone(contact) || contact || null };
+}
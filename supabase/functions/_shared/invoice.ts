@@ -0,0 +1,224 @@
+// supabase/functions/_shared/invoice.ts
+import { PDFDocument, PDFFont, PDFPage, StandardFonts, rgb } from 'https://esm.sh/pdf-lib@1.17.1';
+import { formatETB } from './pricing.ts';
+
+export interface StoreDetails {
+  name: string;
+  address?: string | null;
+  email?: string | null;
+  phone?: string | null;
+  tin?: string | null;
+  vat_registration?: string | null;
+  vat_rate?: number | null;
+}
+
+export interface InvoiceLine {
+  name: string;
+  quantity: number;
+  price: number;
+}
+
+export interface InvoiceData {
+  invoiceNumber: string;
+  issuedAt: string;
+  store: StoreDetails;
+  order: {
+    id: string;
+    created_at: string;
+    payment_method?: string | null;
+    payment_status?: string | null;
+    subtotal_amount?: number | string | null;
+    discount_amount?: number | string | null;
+    coupon_code?: string | null;
+    shipping_method_name?: string | null;
+    shipping_fee?: number | string | null;
+    totalAmount: number | string;
+    refunded_amount?: number | string | null;
+    shippingAddress?: Record<string, string> | null;
+  };
+  items: InvoiceLine[];
+}
+
+export const DEFAULT_STORE: StoreDetails = {
+  name: 'SuriAddis',
+  address: 'Addis Ababa, Ethiopia',
+  vat_rate: 0.15,
+};
+
+/**
+ * Prices are VAT-inclusive, so the breakdown backs the tax out of the total:
+ * taxable = total / (1 + rate), vat = total - taxable.
+ */
+export function getVatBreakdown(total: number, rate: number): { taxable: number; vat: number } {
+  const taxable = Math.round((total / (1 + rate)) * 100) / 100;
+  return { taxable, vat: Math.round((total - taxable) * 100) / 100 };
+}
+
+// The standard PDF fonts only cover WinAnsi (Latin-1); anything else (e.g. Ge'ez script) becomes '?'
+const toPdfText = (value: unknown): string =>
+  String(value ?? '').replace(/\s+/g, ' ').replace(/[^\x20-\x7E\xA0-\xFF]/g, '?');
+
+const PAGE_SIZE: [number, number] = [595.28, 841.89]; // A4
+const MARGIN = 50;
+const INK = rgb(0.1, 0.1, 0.1);
+const MUTED = rgb(0.45, 0.45, 0.45);
+const RULE = rgb(0.85, 0.85, 0.85);
+
+/** Renders the invoice as a PDF and returns its bytes. Long item lists continue on new pages. */
+export async function renderInvoicePdf(data: InvoiceData): Promise<Uint8Array> {
+  const doc = await PDFDocument.create();
+  doc.setTitle(`Invoice ${data.invoiceNumber}`);
+  doc.setAuthor(data.store.name);
+  const font = await doc.embedFont(StandardFonts.Helvetica);
+  const bold = await doc.embedFont(StandardFonts.HelveticaBold);
+
+  let page: PDFPage = doc.addPage(PAGE_SIZE);
+  const [width, height] = PAGE_SIZE;
+  let y = height - MARGIN;
+
+  const text = (value: unknown, x: number, size = 10, f: PDFFont = font, color = INK) => {
+    page.drawText(toPdfText(value), { x, y, size, font: f, color });
+  };
+  const textRight = (value: unknown, right: number, size = 10, f: PDFFont = font, color = INK) => {
+    const str = toPdfText(value);
+    page.drawText(str, { x: right - f.widthOfTextAtSize(str, size), y, size, font: f, color });
+  };
+  const rule = () => {
+    page.drawLine({ start: { x: MARGIN, y }, end: { x: width - MARGIN, y }, thickness: 0.5, color: RULE });
+  };
+  // Truncates with "..." so long product names don't run into the Qty column
+  const fit = (value: string, maxWidth: number, size = 10) => {
+    const str = toPdfText(value);
+    if (font.widthOfTextAtSize(str, size) <= maxWidth) return str;
+    let cut = str;
+    while (cut.length > 1 && font.widthOfTextAtSize(`${cut}...`, size) > maxWidth) {
+      cut = cut.slice(0, -1);
+    }
+    return `${cut}...`;
+  };
+
+  // --- Store header ---
+  text(data.store.name, MARGIN, 18, bold);
+  textRight('INVOICE', width - MARGIN, 18, bold);
+  y -= 18;
+  const storeLines = [
+    data.store.address,
+    [data.store.phone, data.store.email].filter(Boolean).join(' | '),
+    data.store.tin ? `TIN: ${data.store.tin}` : null,
+    data.store.vat_registration ? `VAT Reg. No: ${data.store.vat_registration}` : null,
+  ].filter(Boolean);
+  const metaLines: [string, string][] = [
+    ['Invoice No.', data.invoiceNumber],
+    ['Issued', new Date(data.issuedAt).toLocaleDateString('en-GB')],
+    ['Order', `#${data.order.id.slice(0, 8)}`],
+    ['Order date', new Date(data.order.created_at).toLocaleDateString('en-GB')],
+  ];
+  const headerRows = Math.max(storeLines.length, metaLines.length);
+  for (let i = 0; i < headerRows; i++) {
+    if (storeLines[i]) text(storeLines[i], MARGIN, 9, font, MUTED);
+    if (metaLines[i]) {
+      text(metaLines[i][0], width - MARGIN - 170, 9, font, MUTED);
+      textRight(metaLines[i][1], width - MARGIN, 9, bold);
+    }
+    y -= 13;
+  }
+
+  // --- Bill to ---
+  y -= 14;
+  const address = data.order.shippingAddress || {};
+  text('BILL TO', MARGIN, 9, bold, MUTED);
+  y -= 14;
+  const billTo = [
+    `${address.firstName || ''} ${address.lastName || ''}`.trim(),
+    [address.street, address.apartment].filter(Boolean).join(', '),
+    [address.subCity, address.woreda && `Woreda ${address.woreda}`].filter(Boolean).join(', '),
+    address.landmark ? `Landmark: ${address.landmark}` : '',
+    [address.city, address.state, address.zipCode].filter(Boolean).join(', '),
+    address.country,
+    [address.phone, address.email].filter(Boolean).join(' | '),
+  ].filter(Boolean);
+  billTo.forEach((line, index) => {
+    text(line, MARGIN, 10, index === 0 ? bold : font);
+    y -= 13;
+  });
+
+  // --- Line items ---
+  const colQty = width - MARGIN - 200;
+  const colPrice = width - MARGIN - 90;
+  const colAmount = width - MARGIN;
+  const tableHeader = () => {
+    y -= 10;
+    text('Item', MARGIN, 9, bold, MUTED);
+    textRight('Qty', colQty, 9, bold, MUTED);
+    textRight('Unit price', colPrice, 9, bold, MUTED);
+    textRight('Amount', colAmount, 9, bold, MUTED);
+    y -= 8;
+    rule();
+    y -= 16;
+  };
+  y -= 10;
+  tableHeader();
+
+  for (const item of data.items) {
+    if (y < MARGIN + 40) {
+      page = doc.addPage(PAGE_SIZE);
+      y = height - MARGIN;
+      text(`${data.invoiceNumber} (continued)`, MARGIN, 9, font, MUTED);
+      y -= 10;
+      tableHeader();
+    }
+    text(fit(item.name, colQty - MARGIN - 50), MARGIN);
+    textRight(item.quantity, colQty);
+    textRight(formatETB(item.price), colPrice);
+    textRight(formatETB(item.price * item.quantity), colAmount);
+    y -= 18;
+  }
+  rule();
+  y -= 18;
+
+  // --- Totals ---
+  if (y < MARGIN + 160) {
+    page = doc.addPage(PAGE_SIZE);
+    y = height - MARGIN;
+  }
+  const total = Number(data.order.totalAmount) || 0;
+  const itemsTotal = data.items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+  const subtotal = data.order.subtotal_amount != null ? Number(data.order.subtotal_amount) : itemsTotal;
+  const discount = Number(data.order.discount_amount) || 0;
+  const shippingFee = Number(data.order.shipping_fee) || 0;
+  const refunded = Number(data.order.refunded_amount) || 0;
+  const vatRate = Number(data.store.vat_rate ?? DEFAULT_STORE.vat_rate) || 0;
+  const labelX = width - MARGIN - 230;
+
+  const totalRow = (label: string, value: string, f: PDFFont = font, size = 10) => {
+    text(label, labelX, size, f);
+    textRight(value, colAmount, size, f);
+    y -= size + 8;
+  };
+  totalRow('Subtotal', formatETB(subtotal));
+  if (discount > 0) {
+    totalRow(`Discount${data.order.coupon_code ? ` (${data.order.coupon_code})` : ''}`, `-${formatETB(discount)}`);
+  }
+  if (data.order.shipping_method_name || shippingFee > 0) {
+    totalRow(`Shipping${data.order.shipping_method_name ? ` (${data.order.shipping_method_name})` : ''}`, shippingFee > 0 ? formatETB(shippingFee) : 'Free');
+  }
+  if (vatRate > 0) {
+    const { taxable, vat } = getVatBreakdown(total, vatRate);
+    totalRow('Taxable amount (excl. VAT)', formatETB(taxable));
+    totalRow(`VAT ${Math.round(vatRate * 100)}% (included)`, formatETB(vat));
+  }
+  y -= 2;
+  totalRow('Total', formatETB(total), bold, 12);
+  if (refunded > 0) {
+    totalRow('Refunded', `-${formatETB(refunded)}`);
+  }
+
+  // --- Payment ---
+  y -= 10;
+  const paymentStatus = data.order.payment_status === 'paid' ? 'PAID' : (data.order.payment_status || 'unpaid').replace(/_/g, ' ').toUpperCase();
+  text(`Payment: ${(data.order.payment_method || 'not selected').toUpperCase()} - ${paymentStatus}`, MARGIN, 10, bold);
+  y -= 30;
+  text(`Thank you for shopping with ${data.store.name}.`, MARGIN, 9, font, MUTED);
+
+  return await doc.save();
+}
@@ -0,0 +1,58 @@
+// supabase/functions/_shared/messaging.ts
+//
+// What email.ts and sms.ts have in common: the provider interface, the console / file sink used
+// for local testing, and picking a provider from an env var with a fallback for when it is unset.
+
+export interface SendResult {
+  messageId?: string | null;
+}
+
+export interface MessageProvider<Id extends string, Message> {
+  id: Id;
+  isEnabled(): boolean;
+  // Throws when the message was not accepted; the outbox retries it later.
+  send(message: Message): Promise<SendResult>;
+}
+
+// Logs each message as "[<channel>:console] ..."; with the sinkFileEnv env var set
+// (e.g. EMAIL_SINK_FILE=/tmp/emails.log) it also appends it to that file.
+export function createConsoleSink<Message extends { to: string }>(
+  channel: string,
+  sinkFileEnv: string,
+  formatBody: (message: Message) => string,
+): MessageProvider<'console', Message> {
+  return {
+    id: 'console',
+    isEnabled: () => true,
+
+    async send(message) {
+      const messageId = `console-${crypto.randomUUID()}`;
+      const entry = `--- ${new Date().toISOString()} ${messageId}\nTo: ${message.to}\n${formatBody(message)}\n`;
+      console.log(`[${channel}:console] ${entry}`);
+      const sinkFile = Deno.env.get(sinkFileEnv);
+      if (sinkFile) {
+        await Deno.writeTextFile(sinkFile, `${entry}\n`, { append: true });
+      }
+      return { messageId };
+    },
+  };
+}
+
+// The provider named by the envVar env var, which must be configured. Without it, the first
+// enabled provider in fallbacks (list the console sink last, so local runs never send for real).
+export function selectProvider<Id extends string, Message>(
+  envVar: string,
+  providers: Record<Id, MessageProvider<Id, Message>>,
+  fallbacks: MessageProvider<Id, Message>[],
+): MessageProvider<Id, Message> {
+  const configured = Deno.env.get(envVar) as Id | undefined;
+  if (configured) {
+    const provider = providers[configured];
+    if (!provider) throw new Error(`Unknown ${envVar}: ${configured}`);
+    if (!provider.isEnabled()) throw new Error(`${envVar} ${configured} is not configured`);
+    return provider;
+  }
+  const provider = fallbacks.find(candidate => candidate.isEnabled());
+  if (!provider) throw new Error(`No ${envVar} is configured`);
+  return provider;
+}
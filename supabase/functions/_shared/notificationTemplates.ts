@@ -0,0 +1,198 @@
+// supabase/functions/_shared/notificationTemplates.ts
+//
+// One renderer per notification_outbox.template, plus short texts for the templates also sent by
+// SMS. Payloads are whatever the enqueuing code put in the row (see enqueue_notification
+// callers), so every field is treated as optional.
+
+import { formatETB } from './pricing.ts';
+
+export type NotificationTemplate =
+  | 'order_placed'
+  | 'order_shipped'
+  | 'order_partially_shipped'
+  | 'order_delivered'
+  | 'seller_approved'
+  | 'seller_rejected'
+  | 'seller_info_requested'
+  | 'seller_suspended'
+  | 'seller_reinstated'
+  | 'payout_sent'
+  | 'password_reset'
+  | 'review_received'
+  | 'delivery_code';
+
+export interface RenderedMessage {
+  subject: string;
+  text: string;
+  html: string;
+}
+
+type Payload = Record<string, any>;
+
+const escapeHtml = (value: unknown) =>
+  String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const shortId = (id: unknown) => String(id ?? '').slice(0, 8);
+
+// Storefront links need SITE_URL (e.g. https://suriaddis.com); without it they are left out
+const siteLink = (path: string) => {
+  const siteUrl = Deno.env.get('SITE_URL');
+  return siteUrl ? `${siteUrl.replace(/\/$/, '')}${path}` : null;
+};
+
+const greeting = (payload: Payload) => (payload.firstName ? `Hi ${payload.firstName},` : 'Hello,');
+
+// Wraps paragraphs in the shared text/html layout with a sign-off and optional call to action
+function layout(subject: string, paragraphs: string[], action?: { label: string; url: string | null }): RenderedMessage {
+  const url = action?.url;
+  const text = [
+    ...paragraphs,
+    ...(url ? [`${action!.label}: ${url}`] : []),
+    '- The SuriAddis team',
+  ].join('\n\n');
+  const html = [
+    ...paragraphs.map(p => `<p>${escapeHtml(p).replace(/\n/g, '<br/>')}</p>`),
+    ...(url ? [`<p><a href="${escapeHtml(url)}">${escapeHtml(action!.label)}</a></p>`] : []),
+    '<p>- The SuriAddis team</p>',
+  ].join('\n');
+  return { subject, text, html };
+}
+
+const TEMPLATES: Record<NotificationTemplate, (payload: Payload) => RenderedMessage> = {
+  order_placed: (p) => {
+    const items = (p.items || []).map((item: Payload) => `- ${item.name || 'Product'} x${item.quantity}`).join('\n');
+    const address = p.shippingAddress || {};
+    return layout(`Order confirmation #${shortId(p.orderId)}`, [
+      greeting(p),
+      'Thank you for your order!',
+      [
+        `Order ID: ${p.orderId}`,
+        ...(p.discountCode ? [`Discount (${p.discountCode}): -${formatETB(p.discountAmount)}`] : []),
+        ...(p.shippingMethod ? [`${p.shippingMethod}: ${Number(p.shippingFee) > 0 ? formatETB(p.shippingFee) : 'Free'}`] : []),
+        `Total: ${formatETB(p.total)}`,
+      ].join('\n'),
+      `Items ordered:\n${items}`,
+      `Shipping address:\n${[address.street, address.subCity, address.city, address.country].filter(Boolean).join(', ')}`
+        + (address.landmark ? `\nLandmark: ${address.landmark}` : ''),
+      ...(p.pickupLocation ? [`Collect your order from: ${p.pickupLocation}`] : []),
+      ...(p.estimatedDelivery ? [`Estimated delivery: ${p.estimatedDelivery}`] : []),
+      'We will let you know when your order ships. If you have questions, reply to this email.',
+    ], { label: 'View your order', url: siteLink(`/orders/${p.orderId}`) });
+  },
+
+  order_shipped: (p) => layout(`Your order #${shortId(p.orderId)} is on its way`, [
+    greeting(p),
+    `Good news: your order #${shortId(p.orderId)} has shipped.`,
+    ...(p.carrier || p.trackingNumber
+      ? [[p.carrier && `Carrier: ${p.carrier}`, p.trackingNumber && `Tracking number: ${p.trackingNumber}`].filter(Boolean).join('\n')]
+      : []),
+  ], { label: 'Track your order', url: siteLink(`/orders/${p.orderId}`) }),
+
+  order_partially_shipped: (p) => {
+    const items = (p.items || []).map((item: Payload) => `- ${item.name || 'Product'} x${item.quantity}`).join('\n');
+    return layout(`Part of your order #${shortId(p.orderId)} is on its way`, [
+      greeting(p),
+      `Some items from your order #${shortId(p.orderId)} have shipped${p.storeName ? ` from ${p.storeName}` : ''}.`,
+      ...(items ? [`In this shipment:\n${items}`] : []),
+      ...(p.carrier || p.trackingNumber
+        ? [[p.carrier && `Carrier: ${p.carrier}`, p.trackingNumber && `Tracking number: ${p.trackingNumber}`].filter(Boolean).join('\n')]
+        : []),
+      'The rest of your order ships separately. We will let you know as each part is on its way.',
+    ], { label: 'Track your order', url: siteLink(`/orders/${p.orderId}`) });
+  },
+
+  order_delivered: (p) => layout(`Your order #${shortId(p.orderId)} was delivered`, [
+    greeting(p),
+    `Your order #${shortId(p.orderId)} has been delivered. We hope you love it!`,
+    'If something is not right, you can request a return from the order page within 14 days.',
+  ], { label: 'View your order', url: siteLink(`/orders/${p.orderId}`) }),
+
+  delivery_code: (p) => layout(`Your delivery code for order #${shortId(p.orderId)}`, [
+    greeting(p),
+    `${p.riderName || 'Our rider'} is on the way with your order #${shortId(p.orderId)}.`,
+    `Your delivery code is ${p.code}`,
+    'Give this code to the rider only once you have your order in hand. It confirms you received it.',
+  ], { label: 'View your order', url: siteLink(`/orders/${p.orderId}`) }),
+
+  seller_approved: (p) => layout('Your SuriAddis seller account is approved', [
+    'Hello,',
+    `${p.storeName ? `${p.storeName} is` : 'Your store is'} now approved to sell on SuriAddis. You can start adding products right away.`,
+  ], { label: 'Open your seller dashboard', url: siteLink('/seller/dashboard') }),
+
+  seller_info_requested: (p) => layout('We need a little more information about your store', [
+    'Hello,',
+    `Thanks for applying to sell on SuriAddis${p.storeName ? ` as ${p.storeName}` : ''}. Before we can decide, our team needs the following:`,
+    p.note || 'Some details of your application are missing or unclear.',
+    'Update your application and send it back; it goes straight back into the review queue.',
+  ], { label: 'Update your application', url: siteLink('/seller/apply') }),
+
+  seller_rejected: (p) => layout('Your SuriAddis seller application', [
+    'Hello,',
+    `We are sorry, but we could not approve ${p.storeName || 'your store'} to sell on SuriAddis.`,
+    ...(p.note ? [`Reason: ${p.note}`] : []),
+    'You are welcome to apply again once this is resolved.',
+  ], { label: 'Apply again', url: siteLink('/seller/apply') }),
+
+  seller_suspended: (p) => layout('Your SuriAddis store has been suspended', [
+    'Hello,',
+    `${p.storeName ? `${p.storeName} has` : 'Your store has'} been suspended and is hidden from shoppers for now.`,
+    ...(p.note ? [`Reason: ${p.note}`] : []),
+    'Please reply to this email or contact seller support to resolve it.',
+  ]),
+
+  seller_reinstated: (p) => layout('Your SuriAddis store is active again', [
+    'Hello,',
+    `${p.storeName ? `${p.storeName} is` : 'Your store is'} active again and visible to shoppers.`,
+    ...(p.note ? [p.note] : []),
+  ], { label: 'Open your seller dashboard', url: siteLink('/seller/dashboard') }),
+
+  payout_sent: (p) => layout(`Payout of ${formatETB(p.amount)} sent`, [
+    'Hello,',
+    `We have sent a payout of ${formatETB(p.amount)} to your payout account${p.paidAt ? ` on ${new Date(p.paidAt).toLocaleDateString('en-GB')}` : ''}.`,
+    'It can take 1-3 business days to show up, depending on your bank.',
+  ], { label: 'View your earnings', url: siteLink('/seller/earnings') }),
+
+  password_reset: (p) => layout('Reset your SuriAddis password', [
+    'Hello,',
+    'We received a request to reset the password for your SuriAddis account. The link below is valid for one hour.',
+    'If you did not ask for this, you can ignore this email; your password will not change.',
+  ], { label: 'Reset your password', url: p.actionLink || null }),
+
+  review_received: (p) => layout(`New ${p.rating}-star review for ${p.productName || 'your product'}`, [
+    'Hello,',
+    `A customer left a ${p.rating}-star review for ${p.productName || 'one of your products'}.`,
+    ...(p.title || p.body ? [[p.title, p.body].filter(Boolean).join('\n')] : []),
+    'You can reply publicly from your seller dashboard.',
+  ], { label: 'View reviews', url: siteLink('/seller/reviews') }),
+};
+
+export function renderNotification(template: string, payload: Payload): RenderedMessage {
+  const render = TEMPLATES[template as NotificationTemplate];
+  if (!render) throw new Error(`Unknown notification template: ${template}`);
+  return render(payload || {});
+}
+
+// SMS bodies are kept under 160 plain characters so they go out as a single message
+const SMS_TEMPLATES: Partial<Record<NotificationTemplate, (payload: Payload) => string>> = {
+  order_placed: (p) =>
+    `SuriAddis: Order #${shortId(p.orderId)} received. Total ${formatETB(p.total)}. ` +
+    `We will text you when it is out for delivery.`,
+  order_shipped: (p) =>
+    `SuriAddis: Your order #${shortId(p.orderId)} is out for delivery` +
+    `${p.trackingNumber ? ` (tracking ${p.trackingNumber})` : ''}. Please keep your phone on.`,
+  order_delivered: (p) =>
+    `SuriAddis: Order #${shortId(p.orderId)} was delivered. Thank you for shopping with us!`,
+  delivery_code: (p) =>
+    `SuriAddis: ${p.riderName || 'Our rider'} is on the way with order #${shortId(p.orderId)}. ` +
+    `Delivery code: ${p.code}. Share it only once you have your order.`,
+};
+
+export function renderSmsNotification(template: string, payload: Payload): string {
+  const render = SMS_TEMPLATES[template as NotificationTemplate];
+  if (!render) throw new Error(`No SMS template for: ${template}`);
+  return render(payload || {});
+}
@@ -0,0 +1,89 @@
+// supabase/functions/_shared/notifications.ts
+//
+// Enqueue and dispatch for notification_outbox. Both need a service-role client: the outbox
+// RPCs are revoked from anon and authenticated and granted to service_role only.
+
+import { SupabaseClient } from 'https://esm.sh/@supabase/supabase-js@2';
+import { getEmailProvider } from './email.ts';
+import { getSmsProvider } from './sms.ts';
+import { renderNotification, renderSmsNotification } from './notificationTemplates.ts';
+
+export interface EnqueueParams {
+  template: string;
+  channel?: 'email' | 'sms';
+  recipient: string | null | undefined; // email address, or E.164 phone number for sms
+  payload?: Record<string, unknown>;
+  userId?: string | null;
+  orderId?: string | null;
+  dedupeKey?: string | null;
+}
+
+/** Queues a notification and returns its outbox id (null if skipped as a duplicate or unaddressed). */
+export async function enqueueNotification(supabaseAdmin: SupabaseClient, params: EnqueueParams): Promise<string | null> {
+  const { data, error } = await supabaseAdmin.rpc('enqueue_notification', {
+    p_template: params.template,
+    p_recipient: params.recipient || '',
+    p_payload: params.payload || {},
+    p_user_id: params.userId ?? null,
+    p_order_id: params.orderId ?? null,
+    p_dedupe_key: params.dedupeKey ?? null,
+    p_channel: params.channel || 'email',
+  });
+  if (error) throw new Error(`enqueue_notification failed: ${error.message}`);
+  return data ?? null;
+}
+
+export interface DispatchSummary {
+  claimed: number;
+  sent: number;
+  failed: number;
+}
+
+/**
+ * Sends due notifications (or only `ids`, when given). A failed send goes back to the queue
+ * with a backoff, see complete_notification. Never throws for a single bad message.
+ */
+export async function dispatchNotifications(
+  supabaseAdmin: SupabaseClient,
+  { limit = 20, ids }: { limit?: number; ids?: string[] } = {},
+): Promise<DispatchSummary> {
+  const { data: rows, error } = await supabaseAdmin.rpc('claim_notifications', {
+    p_limit: limit,
+    p_ids: ids && ids.length > 0 ? ids : null,
+  });
+  if (error) throw new Error(`claim_notifications failed: ${error.message}`);
+
+  const summary: DispatchSummary = { claimed: rows?.length || 0, sent: 0, failed: 0 };
+  for (const row of rows || []) {
+    let providerId: string | null = null;
+    try {
+      let result;
+      if (row.channel === 'sms') {
+        const provider = getSmsProvider();
+        providerId = provider.id;
+        result = await provider.send({ to: row.recipient, text: renderSmsNotification(row.template, row.payload) });
+      } else {
+        const provider = getEmailProvider();
+        providerId = provider.id;
+        result = await provider.send({ to: row.recipient, ...renderNotification(row.template, row.payload) });
+      }
+      await supabaseAdmin.rpc('complete_notification', {
+        p_id: row.id,
+        p_success: true,
+        p_provider: providerId,
+        p_provider_message_id: result.messageId ?? null,
+      });
+      summary.sent++;
+    } catch (err) {
+      console.error(`Notification ${row.id} (${row.channel}/${row.template}) attempt ${row.attempts} failed:`, err);
+      await supabaseAdmin.rpc('complete_notification', {
+        p_id: row.id,
+        p_success: false,
+        p_provider: providerId,
+        p_error: err instanceof Error ? err.message : String(err),
+      });
+      summary.failed++;
+    }
+  }
+  return summary;
+}
@@ -0,0 +1,213 @@
+// supabase/functions/_shared/payments.ts
+//
+// Payment providers behind one interface. initiate-payment picks a provider by id,
+// payment-webhook asks the same provider to authenticate and parse its callback, and
+// the settle_payment RPC applies the result. Adding a provider means adding an entry
+// to PAYMENT_PROVIDERS (and to the payments.provider CHECK constraint).
+
+export type PaymentProviderId = 'cod' | 'chapa' | 'fake';
+
+export interface InitializeParams {
+  orderId: string;
+  txRef: string;
+  amount: number;
+  currency: string;
+  customer: { email?: string; firstName?: string; lastName?: string; phone?: string };
+  returnUrl: string;   // where the shopper lands after the hosted checkout
+  callbackUrl: string; // our payment-webhook URL for this provider
+}
+
+export interface InitializeResult {
+  checkoutUrl: string | null; // null = nothing to redirect to (e.g. cash on delivery)
+  providerReference?: string | null;
+}
+
+export interface WebhookResult {
+  txRef: string;
+  // 'pending': the provider has no outcome yet; nothing is settled and a later callback decides
+  status: 'paid' | 'failed' | 'pending';
+  amount: number | null;
+  providerReference?: string | null;
+  failureReason?: string | null;
+  raw: unknown;
+}
+
+export interface PaymentProvider {
+  id: PaymentProviderId;
+  isEnabled(): boolean;
+  initialize(params: InitializeParams): Promise<InitializeResult>;
+  // Only providers that settle asynchronously implement this.
+  // Must throw WebhookAuthError when the request cannot be authenticated.
+  parseWebhook?(req: Request, rawBody: string): Promise<WebhookResult>;
+}
+
+export class WebhookAuthError extends Error {}
+
+// --- Signing helpers ---
+
+const toHex = (buffer: ArrayBuffer) =>
+  Array.from(new Uint8Array(buffer)).map(b => b.toString(16).padStart(2, '0')).join('');
+
+export async function hmacSha256Hex(secret: string, payload: string): Promise<string> {
+  const key = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign'],
+  );
+  return toHex(await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(payload)));
+}
+
+// Constant-time comparison so signature checks do not leak how many characters matched
+const safeEqual = (a: string, b: string) => {
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  return diff === 0;
+};
+
+async function verifySignature(secret: string, rawBody: string, signature: string | null) {
+  if (!signature) throw new WebhookAuthError('Missing webhook signature');
+  const expected = await hmacSha256Hex(secret, rawBody);
+  if (!safeEqual(expected, signature.trim().toLowerCase())) {
+    throw new WebhookAuthError('Invalid webhook signature');
+  }
+}
+
+// --- Cash on delivery ---
+// Nothing to collect online; the order stays unpaid until the rider hands it over.
+
+const cashOnDelivery: PaymentProvider = {
+  id: 'cod',
+  isEnabled: () => Deno.env.get('PAYMENT_COD_ENABLED') !== 'false',
+  initialize: async () => ({ checkoutUrl: null }),
+};
+
+// --- Chapa hosted checkout (telebirr, CBE Birr, M-Pesa and cards) ---
+
+const CHAPA_API_URL = 'https://api.chapa.co/v1';
+// Verify statuses that end a transaction without payment; anything else but 'success' is still open
+const CHAPA_FAILED_STATUSES = ['failed', 'cancelled', 'expired', 'reversed'];
+
+async function verifyChapaTransaction(txRef: string) {
+  const response = await fetch(`${CHAPA_API_URL}/transaction/verify/${encodeURIComponent(txRef)}`, {
+    headers: { Authorization: `Bearer ${Deno.env.get('CHAPA_SECRET_KEY')}` },
+  });
+  const body = await response.json().catch(() => null);
+  if (!response.ok || !body?.data) {
+    throw new Error(`Chapa verify failed (${response.status}): ${body?.message || 'no response body'}`);
+  }
+  return body.data;
+}
+
+const chapa: PaymentProvider = {
+  id: 'chapa',
+  isEnabled: () => Boolean(Deno.env.get('CHAPA_SECRET_KEY')),
+
+  async initialize({ txRef, amount, currency, customer, returnUrl, callbackUrl }) {
+    const response = await fetch(`${CHAPA_API_URL}/transaction/initialize`, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${Deno.env.get('CHAPA_SECRET_KEY')}`,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        amount: amount.toFixed(2),
+        currency,
+        email: customer.email,
+        first_name: customer.firstName,
+        last_name: customer.lastName,
+        phone_number: customer.phone,
+        tx_ref: txRef,
+        callback_url: callbackUrl,
+        return_url: returnUrl,
+        customization: { title: 'SuriAddis', description: 'Order payment' },
+      }),
+    });
+    const body = await response.json().catch(() => null);
+    if (!response.ok || body?.status !== 'success' || !body?.data?.checkout_url) {
+      const message = typeof body?.message === 'string' ? body.message : JSON.stringify(body?.message);
+      throw new Error(`Chapa initialize failed: ${message || response.status}`);
+    }
+    return { checkoutUrl: body.data.checkout_url };
+  },
+
+  // Chapa calls back twice: a signed POST webhook, and an unsigned GET to callback_url.
+  // Either way the outcome is taken from Chapa's verify API, never from the request itself.
+  async parseWebhook(req, rawBody) {
+    let txRef: string | null;
+    if (req.method === 'GET') {
+      const url = new URL(req.url);
+      txRef = url.searchParams.get('trx_ref') || url.searchParams.get('tx_ref');
+    } else {
+      const secret = Deno.env.get('CHAPA_WEBHOOK_SECRET');
+      if (!secret) throw new WebhookAuthError('CHAPA_WEBHOOK_SECRET is not configured');
+      await verifySignature(
+        secret,
+        rawBody,
+        req.headers.get('x-chapa-signature') || req.headers.get('chapa-signature'),
+      );
+      txRef = JSON.parse(rawBody)?.tx_ref ?? null;
+    }
+    if (!txRef) throw new WebhookAuthError('Webhook did not include a transaction reference');
+
+    const transaction = await verifyChapaTransaction(txRef);
+    const status = String(transaction.status || '').toLowerCase();
+    const paid = status === 'success';
+    const failed = CHAPA_FAILED_STATUSES.includes(status);
+    return {
+      txRef,
+      status: paid ? 'paid' : failed ? 'failed' : 'pending',
+      amount: transaction.amount != null ? Number(transaction.amount) : null,
+      providerReference: transaction.reference ?? null,
+      failureReason: failed ? `Chapa status: ${transaction.status}` : null,
+      raw: transaction,
+    };
+  },
+};
+
+// --- Fake gateway, for running the whole flow offline ---
+// The hosted page is the storefront's /payments/fake-gateway route; its buttons call the
+// fake-gateway function, which signs an event the same way a real provider would.
+
+export const FAKE_GATEWAY_SIGNATURE_HEADER = 'x-fake-gateway-signature';
+export const getFakeGatewaySecret = () => Deno.env.get('FAKE_GATEWAY_SECRET') || 'local-fake-gateway-secret';
+
+const fakeGateway: PaymentProvider = {
+  id: 'fake',
+  isEnabled: () => Deno.env.get('PAYMENT_FAKE_GATEWAY_ENABLED') === 'true',
+
+  async initialize({ txRef, amount, currency, returnUrl }) {
+    const checkoutUrl = new URL('/payments/fake-gateway', new URL(returnUrl).origin);
+    checkoutUrl.searchParams.set('tx_ref', txRef);
+    checkoutUrl.searchParams.set('amount', amount.toFixed(2));
+    checkoutUrl.searchParams.set('currency', currency);
+    checkoutUrl.searchParams.set('return_url', returnUrl);
+    return { checkoutUrl: checkoutUrl.toString(), providerReference: `FAKE-${txRef}` };
+  },
+
+  async parseWebhook(req, rawBody) {
+    await verifySignature(getFakeGatewaySecret(), rawBody, req.headers.get(FAKE_GATEWAY_SIGNATURE_HEADER));
+    const event = JSON.parse(rawBody);
+    const paid = event.status === 'success';
+    return {
+      txRef: event.tx_ref,
+      status: paid ? 'paid' : 'failed',
+      amount: event.amount != null ? Number(event.amount) : null,
+      providerReference: event.reference ?? null,
+      failureReason: paid ? null : 'Declined on the fake gateway',
+      raw: event,
+    };
+  },
+};
+
+export const PAYMENT_PROVIDERS: Record<PaymentProviderId, PaymentProvider> = {
+  cod: cashOnDelivery,
+  chapa,
+  fake: fakeGateway,
+};
+
+export function getPaymentProvider(id: string | null | undefined): PaymentProvider | null {
+  return (id && PAYMENT_PROVIDERS[id as PaymentProviderId]) || null;
+}
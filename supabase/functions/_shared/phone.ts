@@ -0,0 +1,13 @@
+// supabase/functions/_shared/phone.ts
+// Mirrors frontend/src/utils/phone.js
+
+/**
+ * Normalises an Ethiopian mobile number to E.164 (+2519XXXXXXXX / +2517XXXXXXXX).
+ * Accepts the usual ways people write them: 0911 234 567, 911234567, 251911234567,
+ * +251 911 234 567, 00251-911-234-567. Returns null for anything else (including landlines).
+ */
+export function normalizeEthiopianPhone(input: unknown): string | null {
+  const digits = String(input ?? '').replace(/[\s\-().]/g, '').replace(/^(\+|00)/, '');
+  const match = digits.match(/^(?:251|0)?([79]\d{8})$/);
+  return match ? `+251${match[1]}` : null;
+}
@@ -0,0 +1,55 @@
+// supabase/functions/_shared/pricing.ts
+
+// Columns needed from `products` to work out what a shopper actually pays.
+export const PRICING_COLUMNS = 'id, name, price, discount, flash_deal, flash_deal_end, is_active, category_id';
+
+// Two prices closer than this are treated as equal (floating point noise from the client).
+export const PRICE_TOLERANCE = 0.01;
+
+export const roundMoney = (amount: number): number => Math.round(amount * 100) / 100;
+
+// Same output as formatETB in frontend/src/utils/utils.tsx, e.g. "ETB 1,234.50"
+export const formatETB = (amount: number | string | null | undefined): string => {
+  const value = Number(amount) || 0;
+  try {
+    return new Intl.NumberFormat('en-ET', { style: 'currency', currency: 'ETB' }).format(value);
+  } catch {
+    return `ETB ${value.toFixed(2)}`;
+  }
+};
+
+/**
+ * Returns the unit price a product currently sells for.
+ * A percentage `discount` applies unless the product is a flash deal whose
+ * `flash_deal_end` has already passed (mirrors CollectionsPage's flash deal filter).
+ */
+export function getEffectivePrice(product: {
+  price: number | string;
+  discount?: number | string | null;
+  flash_deal?: boolean | null;
+  flash_deal_end?: string | null;
+}, now: Date = new Date()): number {
+  const basePrice = Number(product.price) || 0;
+  const discount = Number(product.discount) || 0;
+  if (discount <= 0 || discount >= 100) {
+    return roundMoney(basePrice);
+  }
+  const flashDealExpired = product.flash_deal && product.flash_deal_end && new Date(product.flash_deal_end) <= now;
+  if (flashDealExpired) {
+    return roundMoney(basePrice);
+  }
+  return roundMoney(basePrice * (1 - discount / 100));
+}
+
+/**
+ * Unit price of a product variant: its own `price` when set, otherwise the product's, with the
+ * product's discount applied either way. Without a variant this is getEffectivePrice.
+ */
+export function getVariantPrice(
+  product: Parameters<typeof getEffectivePrice>[0],
+  variant?: { price?: number | string | null } | null,
+  now: Date = new Date(),
+): number {
+  const hasOwnPrice = variant && variant.price !== null && variant.price !== undefined && variant.price !== '';
+  return getEffectivePrice(hasOwnPrice ? { ...product, price: variant!.price as number | string } : product, now);
+}
@@ -0,0 +1,10 @@
+// supabase/functions/_shared/response.ts
+import { corsHeaders } from './cors.ts';
+
+// JSON response with the CORS headers every function sends.
+export function jsonResponse(body: unknown, status = 200): Response {
+  return new Response(JSON.stringify(body), {
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    status,
+  });
+}
@@ -0,0 +1,23 @@
+// supabase/functions/_shared/reviews.ts
+//
+// Shared bits for the product review endpoints. Review photos live in the public review-photos
+// bucket under <user id>/<product id>/, so their URLs can be built without signing.
+
+import { SupabaseClient } from 'https://esm.sh/@supabase/supabase-js@2';
+
+export const REVIEW_PHOTOS_BUCKET = 'review-photos';
+export const MAX_REVIEW_PHOTOS = 5;
+export const MAX_REVIEW_BODY_LENGTH = 2000;
+
+export const REVIEW_COLUMNS = `
+  id, product_id, order_item_id, user_id, reviewer_name, rating, title, body, photo_paths, status,
+  helpful_count, seller_reply, seller_replied_at, created_at
+`;
+
+/** Adds photo_urls next to photo_paths. */
+export function withPhotoUrls<T extends { photo_paths?: string[] | null }>(supabase: SupabaseClient, review: T) {
+  const photoUrls = (review.photo_paths || []).map(
+    path => supabase.storage.from(REVIEW_PHOTOS_BUCKET).getPublicUrl(path).data.publicUrl,
+  );
+  return { ...review, photo_urls: photoUrls };
+}
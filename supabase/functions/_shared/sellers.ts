@@ -0,0 +1,427 @@
+// supabase/functions/_shared/sellers.ts
+//
+// Seller dashboard functions; see 20250915100000_seller_marketplace.sql for the tables and
+// the seller-scoped RLS they rely on.
+
+import { createClient, SupabaseClient, User } from 'https://esm.sh/@supabase/supabase-js@2';
+import { jsonResponse } from './response.ts';
+
+export interface SellerContext {
+  user: User;
+  // Client acting as the seller: every query goes through the seller-scoped RLS policies
+  supabase: SupabaseClient;
+  seller: Record<string, any>;
+  // 'none' | 'basic' | 'full', see seller_verification_level(); only loaded with minVerification
+  verificationLevel: VerificationLevel | null;
+}
+
+// KYC documents a store uploads (seller_documents.document_type)
+export const DOCUMENT_TYPES = ['trade_license', 'tin_certificate', 'national_id'];
+
+export const SELLER_DOCUMENTS_BUCKET = 'seller-documents';
+
+// Signed document links are short-lived; pages fetch fresh ones on load
+const DOCUMENT_URL_TTL_SECONDS = 60 * 60;
+
+export type VerificationLevel = 'none' | 'basic' | 'full';
+const VERIFICATION_ORDER: VerificationLevel[] = ['none', 'basic', 'full'];
+
+export const meetsVerification = (level: VerificationLevel | null, required: VerificationLevel) =>
+  VERIFICATION_ORDER.indexOf(level || 'none') >= VERIFICATION_ORDER.indexOf(required);
+
+export async function getVerificationLevel(supabase: SupabaseClient, sellerId: string): Promise<VerificationLevel> {
+  const { data, error } = await supabase.rpc('seller_verification_level', { p_seller_id: sellerId });
+  if (error) console.error('seller_verification_level error:', error);
+  return (data as VerificationLevel) || 'none';
+}
+
+/**
+ * Authenticates the caller and loads their store. Only active stores may use the dashboard
+ * functions; the profile functions pass { allowInactive: true } so applicants can see and
+ * edit theirs. With minVerification, the store also needs that verification level (see
+ * 20250929100000_seller_kyc_documents.sql). Returns the seller context, or a Response to send
+ * back as-is.
+ */
+export async function requireSeller(
+  req: Request,
+  { allowInactive = false, minVerification = null as VerificationLevel | null } = {},
+): Promise<SellerContext | Response> {
+  const authHeader = req.headers.get('Authorization');
+  if (!authHeader) {
+    return jsonResponse({ success: false, error: 'Missing Authorization header' }, 401);
+  }
+
+  const supabase = createClient(Deno.env.get('SUPABASE_URL')!, Deno.env.get('SUPABASE_ANON_KEY')!, {
+    global: { headers: { Authorization: authHeader } },
+    db: { schema: 'public' },
+  });
+
+  const { data: { user }, error: userError } = await supabase.auth.getUser();
+  if (userError || !user) {
+    return jsonResponse({ success: false, error: 'Authentication failed' }, 401);
+  }
+
+  const { data: seller, error } = await supabase.from('sellers').select('*').eq('user_id', user.id).maybeSingle();
+  if (error) {
+    console.error('Seller lookup error:', error);
+    return jsonResponse({ success: false, error: error.message }, 500);
+  }
+  if (!seller) {
+    return jsonResponse({ success: false, error: 'You do not have a seller account yet' }, 404);
+  }
+  if (!allowInactive && seller.status !== 'active') {
+    return jsonResponse({ success: false, error: 'Your seller account is not active' }, 403);
+  }
+
+  let verificationLevel: VerificationLevel | null = null;
+  if (minVerification) {
+    verificationLevel = await getVerificationLevel(supabase, seller.id);
+    if (!meetsVerification(verificationLevel, minVerification)) {
+      const message = minVerification === 'full'
+        ? 'Get your trade licence, TIN certificate and ID verified first'
+        : 'Get your ID verified first';
+      return jsonResponse({ success: false, error: message, code: 'VERIFICATION_REQUIRED' }, 403);
+    }
+  }
+
+  return { user, supabase, seller, verificationLevel };
+}
+
+/** seller_documents rows with a short-lived signed link to each file. */
+export async function withDocumentUrls(supabaseAdmin: SupabaseClient, documents: Record<string, any>[]) {
+  const paths = documents.map(document => document.storage_path);
+  const { data: signed } = paths.length > 0
+    ? await supabaseAdmin.storage.from(SELLER_DOCUMENTS_BUCKET).createSignedUrls(paths, DOCUMENT_URL_TTL_SECONDS)
+    : { data: [] };
+  const urlsByPath = new Map((signed || []).map(s => [s.path, s.signedUrl]));
+  const today = new Date().toISOString().slice(0, 10);
+  return documents.map(document => ({
+    ...document,
+    url: urlsByPath.get(document.storage_path) || null,
+    is_expired: !!document.expires_at && document.expires_at < today,
+  }));
+}
+
+/** "Summer Picks!" -> "summer-picks" */
+export const slugify = (value: string) =>
+  String(value ?? '')
+    .toLowerCase()
+    .trim()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 80);
+
+// Only the last four digits of a bank account ever leave the database
+export const maskAccountNumber = (accountNumber: string | null) =>
+  accountNumber ? `****${String(accountNumber).slice(-4)}` : null;
+
+/** A store as the seller's own pages see it. */
+export function toSellerProfile(seller: Record<string, any>) {
+  return {
+    ...seller,
+    bank_account_number: maskAccountNumber(seller.bank_account_number),
+  };
+}
+
+// Columns the seller pages read on a product (image_url is the first stored image)
+export const SELLER_PRODUCT_COLUMNS = `
+  id, name, slug, description, price, original_price, images, stock_quantity, brand, weight_kg, is_active,
+  approval_status, approval_note, submitted_at, archived_at, created_at, category:categories(id, name)
+`;
+
+export function toSellerProduct(product: Record<string, any>) {
+  const images = Array.isArray(product.images) ? product.images : [];
+  return {
+    ...product,
+    image_url: images[0] || null,
+    category: product.category?.name || 'Uncategorized',
+    category_id: product.category?.id || null,
+    stock: product.stock_quantity ?? 0,
+    in_stock: (product.stock_quantity ?? 0) > 0,
+  };
+}
+
+// Seller product images live in the products bucket under this prefix (stored with a leading '/')
+export const sellerImagePrefix = (sellerId: string) => `/sellers/${sellerId}/`;
+
+/**
+ * Fields a seller may set on a product, validated. Images must be the seller's own uploads or
+ * already on the product (allowedImages). Returns { changes } or { error }.
+ */
+export function sellerProductChanges(
+  body: Record<string, any>,
+  sellerId: string,
+  { creating = false, allowedImages = [] as string[] } = {},
+): { changes?: Record<string, unknown>; error?: string } {
+  const changes: Record<string, unknown> = {};
+  const toNumber = (value: unknown) => (value === '' || value === null || value === undefined ? null : Number(value));
+
+  if (creating || body.name !== undefined) {
+    const name = String(body.name ?? '').trim();
+    if (name.length < 3) return { error: 'Product name must be at least 3 characters' };
+    changes.name = name.slice(0, 200);
+  }
+  if (body.description !== undefined) changes.description = String(body.description ?? '').trim() || null;
+  if (creating || body.price !== undefined) {
+    const price = toNumber(body.price);
+    if (price === null || !Number.isFinite(price) || price <= 0) return { error: 'Price must be a positive number' };
+    changes.price = price;
+  }
+  if (body.original_price !== undefined) {
+    const originalPrice = toNumber(body.original_price);
+    if (originalPrice !== null && (!Number.isFinite(originalPrice) || originalPrice <= 0)) {
+      return { error: 'Original price must be a positive number' };
+    }
+    changes.original_price = originalPrice;
+  }
+  if (body.stock_quantity !== undefined) {
+    const stock = toNumber(body.stock_quantity) ?? 0;
+    if (!Number.isInteger(stock) || stock < 0) return { error: 'Stock must be a whole number' };
+    changes.stock_quantity = stock;
+  }
+  if (body.weight_kg !== undefined) {
+    const weight = toNumber(body.weight_kg);
+    if (weight !== null && (!Number.isFinite(weight) || weight < 0)) return { error: 'Weight cannot be negative' };
+    changes.weight_kg = weight;
+  }
+  if (body.category_id !== undefined) changes.category_id = body.category_id || null;
+  if (body.brand !== undefined) changes.brand = String(body.brand ?? '').trim().slice(0, 80) || null;
+  if (body.is_active !== undefined) changes.is_active = body.is_active === true;
+  if (body.images !== undefined) {
+    if (!Array.isArray(body.images)) return { error: 'images must be a list' };
+    const prefix = sellerImagePrefix(sellerId);
+    const images = body.images.map((image: unknown) => String(image));
+    if (images.some((image: string) => !image.startsWith(prefix) && !allowedImages.includes(image))) {
+      return { error: 'Upload product images to your own store folder' };
+    }
+    changes.images = images.slice(0, 10);
+  }
+  return { changes };
+}
+
+/** Maps the errors raised by protect_seller_product() to a response status. */
+export const sellerProductErrorStatus = (error: { code?: string }) => (error.code === '42501' ? 403 : 400);
+
+/** Collection row (with collection_items -> products embedded) in the shape the pages use. */
+export function toCollection(collection: Record<string, any>) {
+  const { collection_items: items, cover_image_url, ...rest } = collection;
+  return {
+    ...rest,
+    image_url: cover_image_url || null,
+    is_active: collection.status === 'active',
+    products: (items || []).map((item: Record<string, any>) => item.product).filter(Boolean).map(toSellerProduct),
+  };
+}
+
+// Fields a seller may set on a collection; is_active maps onto status
+export function collectionChanges(body: Record<string, any>) {
+  const changes: Record<string, unknown> = {};
+  if (body.name !== undefined) changes.name = String(body.name).trim();
+  if (body.description !== undefined) changes.description = body.description ? String(body.description).trim() : null;
+  if (body.image_url !== undefined) changes.cover_image_url = body.image_url || null;
+  if (body.price !== undefined) changes.price = body.price === '' || body.price === null ? null : Number(body.price);
+  if (body.display_order !== undefined) changes.display_order = parseInt(body.display_order, 10) || 0;
+  if (body.is_active !== undefined) changes.status = body.is_active ? 'active' : 'inactive';
+  return changes;
+}
+
+export const COLLECTION_SELECT = `
+  id, seller_id, name, slug, description, cover_image_url, price, status, display_order, created_at, updated_at,
+  collection_items(product:products(${SELLER_PRODUCT_COLUMNS}))
+`;
+
+// Seller Settings defaults; stored values are merged over these key by key
+export const DEFAULT_SELLER_SETTINGS = {
+  business: {
+    auto_accept_orders: false,
+    processing_time_days: 3,
+    return_policy_days: 14,
+    minimum_order_amount: 0,
+    free_shipping_threshold: 0,
+  },
+  payout: {
+    payout_method: 'bank_transfer',
+    payout_frequency: 'weekly',
+    minimum_payout_amount: 500,
+  },
+  privacy: {
+    public_profile: true,
+    show_contact_info: false,
+    analytics_tracking: true,
+    data_sharing: false,
+  },
+};
+
+type SettingsSection = keyof typeof DEFAULT_SELLER_SETTINGS;
+
+// Settings limited to a fixed set of values; anything else falls back to the default
+const SETTING_OPTIONS: Record<string, string[]> = {
+  payout_method: ['bank_transfer', 'telebirr'],
+  payout_frequency: ['daily', 'weekly', 'monthly'],
+};
+
+/** Stored (or submitted) settings limited to known keys, each coerced to its default's type. */
+export function mergeSellerSettings(settings: Record<string, any> = {}) {
+  const merged: Record<string, Record<string, unknown>> = {};
+  for (const section of Object.keys(DEFAULT_SELLER_SETTINGS) as SettingsSection[]) {
+    const defaults = DEFAULT_SELLER_SETTINGS[section] as Record<string, unknown>;
+    merged[section] = {};
+    for (const [key, fallback] of Object.entries(defaults)) {
+      const value = settings?.[section]?.[key];
+      if (value === undefined || value === null || value === '') merged[section][key] = fallback;
+      else if (typeof fallback === 'boolean') merged[section][key] = value === true || value === 'true';
+      else if (typeof fallback === 'number') merged[section][key] = Number.isFinite(Number(value)) ? Math.max(0, Number(value)) : fallback;
+      else if (SETTING_OPTIONS[key] && !SETTING_OPTIONS[key].includes(String(value))) merged[section][key] = fallback;
+      else merged[section][key] = String(value);
+    }
+  }
+  return merged;
+}
+
+const roundMoney = (value: number) => Math.round(value * 100) / 100;
+
+/**
+ * seller_earnings rows -> dashboard totals. 'sale' and 'refund' entries are earnings (refunds
+ * negative); a 'pending' entry has not cleared for payout yet, a 'paid' one has. 'payout'
+ * entries are negative and come off the available balance.
+ */
+export function summarizeEarnings(rows: Record<string, any>[], commissionRate: number) {
+  let totalEarnings = 0;
+  let pendingEarnings = 0;
+  let clearedEarnings = 0;
+  let paidOut = 0;
+  const orderIds = new Set<string>();
+  for (const row of rows) {
+    const net = Number(row.seller_earned_amount) || 0;
+    if (row.entry_type === 'payout') {
+      paidOut += net;
+      continue;
+    }
+    totalEarnings += net;
+    if (row.status === 'paid') clearedEarnings += net;
+    else pendingEarnings += net;
+    if (row.entry_type === 'sale' && row.order_id) orderIds.add(row.order_id);
+  }
+  return {
+    total_earnings: roundMoney(totalEarnings),
+    pending_earnings: roundMoney(pendingEarnings),
+    available_balance: roundMoney(Math.max(0, clearedEarnings + paidOut)),
+    total_paid_out: roundMoney(Math.abs(paidOut)),
+    total_orders: orderIds.size,
+    commission_rate: Number(commissionRate) || 0,
+  };
+}
+
+/**
+ * The seller's sub-orders (order_fulfillments), newest first, each with its order's customer
+ * details and the seller's own lines. `status` filters on the sub-order's status; the whole
+ * order's status comes along as order_status.
+ */
+export async function fetchSellerOrders(
+  supabase: SupabaseClient,
+  sellerId: string,
+  { from = 0, to = 49, status = null as string | null } = {},
+) {
+  let query = supabase
+    .from('order_fulfillments')
+    .select(`
+      id, order_id, status, carrier, tracking_number, note, shipped_at, delivered_at, created_at,
+      order:orders(id, status, payment_status, created_at, "shippingAddress", guest_email, shipping_method_name),
+      order_items(id, "productId", quantity, price, variant_label)
+    `, { count: 'exact' })
+    .eq('seller_id', sellerId)
+    .order('created_at', { ascending: false })
+    .range(from, to);
+  if (status) query = query.eq('status', status);
+
+  const { data: fulfillments, error, count } = await query;
+  if (error) return { error, orders: [], count: 0 };
+
+  const productIds = [...new Set((fulfillments || []).flatMap(f => f.order_items.map((item: any) => item.productId)))];
+  const { data: products } = productIds.length > 0
+    ? await supabase.from('products').select('id, name').in('id', productIds)
+    : { data: [] };
+  const productsById = new Map((products || []).map(p => [p.id, p]));
+
+  const sellerOrders = (fulfillments || []).filter(f => f.order).map(f => {
+    const order = f.order as Record<string, any>;
+    const address = order.shippingAddress || {};
+    const items = f.order_items.map((item: any) => ({
+      id: item.id,
+      product_id: item.productId,
+      product_name: productsById.get(item.productId)?.name || 'Product',
+      variant_label: item.variant_label,
+      quantity: item.quantity,
+      price: Number(item.price),
+    }));
+    return {
+      id: f.id,
+      order_id: order.id,
+      order_number: order.id.slice(0, 8),
+      status: f.status,
+      order_status: order.status,
+      payment_status: order.payment_status,
+      created_at: order.created_at || f.created_at,
+      carrier: f.carrier,
+      tracking_number: f.tracking_number,
+      note: f.note,
+      shipped_at: f.shipped_at,
+      delivered_at: f.delivered_at,
+      customer_name: `${address.firstName || ''} ${address.lastName || ''}`.trim() || 'Customer',
+      customer_email: address.email || order.guest_email || '',
+      customer_phone: address.phone || '',
+      shipping_address: address,
+      shipping_method_name: order.shipping_method_name,
+      // The seller's share of the order, not the whole basket
+      total_amount: roundMoney(items.reduce((sum: number, item: any) => sum + item.price * item.quantity, 0)),
+      items,
+    };
+  });
+
+  return { error: null, orders: sellerOrders, count: count || 0 };
+}
+
+// An order's fulfilments (one per store) as embedded in order detail selects; order_items carry
+// fulfillment_id to group lines under them
+export const ORDER_FULFILLMENTS_SELECT =
+  'order_fulfillments(id, seller_id, status, carrier, tracking_number, note, shipped_at, delivered_at, cancelled_at, created_at)';
+
+/** Adds store_name to each fulfilment: the store's public name, or SuriAddis for its own stock. */
+export async function withFulfillmentStores(supabase: SupabaseClient, fulfillments: Record<string, any>[] | null) {
+  const list = fulfillments || [];
+  const sellerIds = [...new Set(list.map(f => f.seller_id).filter(Boolean))];
+  const { data: stores } = sellerIds.length > 0
+    ? await supabase.from('seller_storefronts').select('id, store_name').in('id', sellerIds)
+    : { data: [] };
+  const storesById = new Map((stores || []).map(s => [s.id, s]));
+
+  return list
+    .map(f => ({ ...f, store_name: f.seller_id ? storesById.get(f.seller_id)?.store_name || null : 'SuriAddis' }))
+    .sort((a, b) => String(a.created_at).localeCompare(String(b.created_at)));
+}
+
+// Shoppers' view of a collection: active products only, full rows for ProductCard
+export const PUBLIC_COLLECTION_SELECT = `
+  id, seller_id, name, slug, description, cover_image_url, price, created_at,
+  collection_items(product:products(*))
+`;
+
+/** Public collections with their store names (from seller_storefronts) and active products. */
+export async function toPublicCollections(supabase: SupabaseClient, collections: Record<string, any>[]) {
+  const sellerIds = [...new Set(collections.map(c => c.seller_id))];
+  const { data: stores } = sellerIds.length > 0
+    ? await supabase.from('seller_storefronts').select('id, store_name, store_slug').in('id', sellerIds)
+    : { data: [] };
+  const storesById = new Map((stores || []).map(s => [s.id, s]));
+
+  return collections.map(({ collection_items: items, cover_image_url, ...collection }) => ({
+    ...collection,
+    price: collection.price === null ? null : Number(collection.price),
+    image_url: cover_image_url || null,
+    seller_name: storesById.get(collection.seller_id)?.store_name || null,
+    seller_slug: storesById.get(collection.seller_id)?.store_slug || null,
+    products: (items || [])
+      .map((item: Record<string, any>) => item.product)
+      .filter((product: Record<string, any>) => product && product.is_active !== false),
+  }));
+}
@@ -0,0 +1,281 @@
+// supabase/functions/_shared/shipping.ts
+//
+// Delivery zones, shipping methods and their rates; see 20250825100000_delivery_zones_shipping.sql.
+
+import { SupabaseClient } from 'https://esm.sh/@supabase/supabase-js@2';
+import { ADDIS_ABABA_SUB_CITIES, isAddisAbaba } from './addresses.ts';
+import { roundMoney } from './pricing.ts';
+
+// Products without a weight_kg are counted as this much per unit
+export const DEFAULT_ITEM_WEIGHT_KG = 0.5;
+
+export interface ShippingLine {
+  product: { weight_kg?: number | string | null };
+  quantity: number;
+}
+
+export interface ShippingAddress {
+  city?: string | null;
+  subCity?: string | null;
+  country?: string | null;
+}
+
+export interface ShippingOption {
+  methodId: string;
+  code: string;
+  name: string;
+  description: string | null;
+  kind: 'standard' | 'express' | 'pickup';
+  pickupLocation: string | null;
+  fee: number;
+  freeShipping: boolean;
+  // How much more the cart needs for free shipping with this method; null when there is no threshold
+  amountToFreeShipping: number | null;
+  minDays: number;
+  maxDays: number;
+  estimatedDelivery: { start: string; end: string };
+}
+
+export interface ShippingQuote {
+  zone: { id: string; name: string } | null;
+  weightKg: number;
+  options: ShippingOption[];
+}
+
+const normalise = (value: unknown) => String(value ?? '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+export const cartWeightKg = (lines: ShippingLine[]): number =>
+  Math.round(lines.reduce((sum, line) => {
+    const weight = line.product.weight_kg === null || line.product.weight_kg === undefined || line.product.weight_kg === ''
+      ? DEFAULT_ITEM_WEIGHT_KG
+      : Number(line.product.weight_kg) || 0;
+    return sum + weight * line.quantity;
+  }, 0) * 1000) / 1000;
+
+/**
+ * The first zone (by position) covering the address: Addis Ababa addresses match on sub-city,
+ * everything else on city. Only Ethiopian addresses are delivered to.
+ */
+export function findZone<Zone extends { sub_cities: string[]; cities: string[] }>(
+  zones: Zone[],
+  address: ShippingAddress,
+): Zone | null {
+  if (address.country && normalise(address.country) !== 'ethiopia') return null;
+  if (isAddisAbaba(address.city)) {
+    const subCity = normalise(address.subCity);
+    if (!subCity) return null;
+    return zones.find(zone => (zone.sub_cities || []).some(name => normalise(name) === subCity)) || null;
+  }
+  const city = normalise(address.city);
+  if (!city) return null;
+  return zones.find(zone => (zone.cities || []).some(name => normalise(name) === city)) || null;
+}
+
+/**
+ * Prices one rate for a cart. Returns null when the rate does not apply (cart too heavy or below
+ * the rate's minimum order value). Free shipping is judged on the subtotal before discounts.
+ */
+export function priceRate(
+  rate: Record<string, any>,
+  { weightKg, subtotal }: { weightKg: number; subtotal: number },
+): { fee: number; freeShipping: boolean; amountToFreeShipping: number | null } | null {
+  if (rate.max_weight_kg !== null && weightKg > Number(rate.max_weight_kg)) return null;
+  if (subtotal < Number(rate.min_order_value || 0)) return null;
+
+  const threshold = rate.free_shipping_threshold === null ? null : Number(rate.free_shipping_threshold);
+  const extraKg = Math.max(0, weightKg - Number(rate.included_weight_kg || 0));
+  const fullFee = roundMoney(Number(rate.base_fee || 0) + Math.ceil(extraKg) * Number(rate.per_kg_fee || 0));
+  const freeShipping = fullFee === 0 || (threshold !== null && subtotal >= threshold);
+  return {
+    fee: freeShipping ? 0 : fullFee,
+    freeShipping,
+    amountToFreeShipping: threshold !== null && !freeShipping ? roundMoney(threshold - subtotal) : null,
+  };
+}
+
+const toDateString = (date: Date) => date.toISOString().slice(0, 10);
+
+// Delivery window as YYYY-MM-DD dates, counted in calendar days from `now`
+export function estimateDelivery(minDays: number, maxDays: number, now: Date = new Date()) {
+  const start = new Date(now);
+  start.setUTCDate(start.getUTCDate() + minDays);
+  const end = new Date(now);
+  end.setUTCDate(end.getUTCDate() + maxDays);
+  return { start: toDateString(start), end: toDateString(end) };
+}
+
+// "12/08/2025 - 14/08/2025" for notifications; a single date when the window is one day
+export function formatDeliveryWindow(estimate: { start: string; end: string }): string {
+  const format = (date: string) => new Date(`${date}T00:00:00Z`).toLocaleDateString('en-GB', { timeZone: 'UTC' });
+  return estimate.start === estimate.end ? format(estimate.start) : `${format(estimate.start)} - ${format(estimate.end)}`;
+}
+
+/**
+ * Shipping options for a cart delivered to `address`, in the admin's method order. `lines` need
+ * the products' weight_kg; `subtotal` is before discounts.
+ * Works with any client: RLS only exposes active zones, methods and rates to shoppers, and
+ * inactive rows are filtered here as well for service-role callers.
+ */
+export async function quoteShipping(
+  supabase: SupabaseClient,
+  { address, lines, subtotal, now = new Date() }: { address: ShippingAddress; lines: ShippingLine[]; subtotal: number; now?: Date },
+): Promise<ShippingQuote> {
+  const weightKg = cartWeightKg(lines);
+
+  const { data: zones, error: zonesError } = await supabase
+    .from('delivery_zones')
+    .select('id, name, sub_cities, cities')
+    .eq('is_active', true)
+    .order('position')
+    .order('name');
+  if (zonesError) throw new Error(`Delivery zone lookup failed: ${zonesError.message}`);
+
+  const zone = findZone(zones || [], address);
+  if (!zone) return { zone: null, weightKg, options: [] };
+
+  const { data: rates, error: ratesError } = await supabase
+    .from('shipping_rates')
+    .select('*, method:shipping_methods!inner(id, code, name, description, kind, pickup_location, is_active, position)')
+    .eq('zone_id', zone.id)
+    .eq('is_active', true)
+    .eq('method.is_active', true);
+  if (ratesError) throw new Error(`Shipping rate lookup failed: ${ratesError.message}`);
+
+  const options: (ShippingOption & { position: number })[] = [];
+  for (const rate of rates || []) {
+    const price = priceRate(rate, { weightKg, subtotal });
+    if (!price) continue;
+    options.push({
+      methodId: rate.method.id,
+      code: rate.method.code,
+      name: rate.method.name,
+      description: rate.method.description,
+      kind: rate.method.kind,
+      pickupLocation: rate.method.pickup_location,
+      ...price,
+      minDays: rate.min_days,
+      maxDays: rate.max_days,
+      estimatedDelivery: estimateDelivery(rate.min_days, rate.max_days, now),
+      position: rate.method.position,
+    });
+  }
+  options.sort((a, b) => a.position - b.position || a.fee - b.fee);
+
+  return {
+    zone: { id: zone.id, name: zone.name },
+    weightKg,
+    options: options.map(({ position: _position, ...option }) => option),
+  };
+}
+
+// --- Admin editing ---
+
+const cleanText = (value: unknown, max = 200) => {
+  const text = String(value ?? '').trim();
+  return text ? text.slice(0, max) : null;
+};
+
+const cleanList = (value: unknown) =>
+  [...new Set((Array.isArray(value) ? value : []).map(item => cleanText(item, 100)).filter(Boolean))] as string[];
+
+const optionalNumber = (value: unknown) => (value === null || value === undefined || value === '' ? null : Number(value));
+
+/**
+ * Maps an admin form body (camelCase) to a `delivery_zones` row.
+ * Returns { row } or { error } for a 400 response.
+ */
+export function toZoneRow(body: Record<string, any>): { row?: Record<string, unknown>; error?: string } {
+  const name = cleanText(body.name, 100);
+  if (!name) return { error: 'Zone name is required.' };
+  const requestedSubCities = cleanList(body.subCities);
+  const subCities = ADDIS_ABABA_SUB_CITIES.filter(name => requestedSubCities.some(sub => normalise(sub) === normalise(name)));
+  if (subCities.length !== requestedSubCities.length) return { error: 'Unknown Addis Ababa sub-city in the list.' };
+  const cities = cleanList(body.cities).filter(city => !isAddisAbaba(city));
+  if (subCities.length === 0 && cities.length === 0) {
+    return { error: 'A zone needs at least one Addis Ababa sub-city or city.' };
+  }
+  return {
+    row: {
+      name,
+      description: cleanText(body.description, 300),
+      sub_cities: subCities,
+      cities,
+      is_active: body.isActive !== false,
+      position: Number.isInteger(Number(body.position)) ? Number(body.position) : 0,
+      updated_at: new Date().toISOString(),
+    },
+  };
+}
+
+/**
+ * Maps an admin form body (camelCase) to a `shipping_methods` row.
+ * Returns { row } or { error } for a 400 response.
+ */
+export function toMethodRow(body: Record<string, any>): { row?: Record<string, unknown>; error?: string } {
+  const code = String(body.code || '').trim().toLowerCase();
+  if (!/^[a-z0-9_-]{2,32}$/.test(code)) {
+    return { error: 'Code must be 2-32 characters: letters, numbers, dashes or underscores.' };
+  }
+  const name = cleanText(body.name, 100);
+  if (!name) return { error: 'Method name is required.' };
+  if (!['standard', 'express', 'pickup'].includes(body.kind)) {
+    return { error: "kind must be 'standard', 'express' or 'pickup'." };
+  }
+  const pickupLocation = cleanText(body.pickupLocation, 300);
+  if (body.kind === 'pickup' && !pickupLocation) {
+    return { error: 'Pickup methods need the pickup location customers collect from.' };
+  }
+  return {
+    row: {
+      code,
+      name,
+      description: cleanText(body.description, 300),
+      kind: body.kind,
+      pickup_location: body.kind === 'pickup' ? pickupLocation : null,
+      is_active: body.isActive !== false,
+      position: Number.isInteger(Number(body.position)) ? Number(body.position) : 0,
+      updated_at: new Date().toISOString(),
+    },
+  };
+}
+
+/**
+ * Maps an admin form body (camelCase) to a `shipping_rates` row.
+ * Returns { row } or { error } for a 400 response.
+ */
+export function toRateRow(body: Record<string, any>): { row?: Record<string, unknown>; error?: string } {
+  if (!body.methodId || !body.zoneId) return { error: 'methodId and zoneId are required.' };
+  const amounts = {
+    base_fee: Number(body.baseFee ?? 0),
+    included_weight_kg: Number(body.includedWeightKg ?? 0),
+    per_kg_fee: Number(body.perKgFee ?? 0),
+    min_order_value: Number(body.minOrderValue ?? 0),
+  };
+  if (Object.values(amounts).some(value => !Number.isFinite(value) || value < 0)) {
+    return { error: 'Fees, weights and the minimum order value must be 0 or more.' };
+  }
+  const maxWeightKg = optionalNumber(body.maxWeightKg);
+  const freeShippingThreshold = optionalNumber(body.freeShippingThreshold);
+  if (maxWeightKg !== null && !(maxWeightKg > 0)) return { error: 'Maximum weight must be greater than zero.' };
+  if (freeShippingThreshold !== null && !(freeShippingThreshold > 0)) {
+    return { error: 'Free shipping threshold must be greater than zero.' };
+  }
+  const minDays = Number(body.minDays);
+  const maxDays = Number(body.maxDays);
+  if (!Number.isInteger(minDays) || !Number.isInteger(maxDays) || minDays < 0 || maxDays < minDays) {
+    return { error: 'Delivery days must be whole numbers, with the maximum at least the minimum.' };
+  }
+  return {
+    row: {
+      method_id: body.methodId,
+      zone_id: body.zoneId,
+      ...amounts,
+      max_weight_kg: maxWeightKg,
+      free_shipping_threshold: freeShippingThreshold,
+      min_days: minDays,
+      max_days: maxDays,
+      is_active: body.isActive !== false,
+      updated_at: new Date().toISOString(),
+    },
+  };
+}
@@ -0,0 +1,62 @@
+// supabase/functions/_shared/sms.ts
+//
+// SMS providers behind one interface, picked with the SMS_PROVIDER env var
+// (afromessage | console). Without it, AfroMessage is used when AFROMESSAGE_TOKEN is set and
+// the console sink otherwise. Recipients are E.164 numbers (see normalizeEthiopianPhone).
+
+import { createConsoleSink, selectProvider, type MessageProvider } from './messaging.ts';
+
+export type SmsProviderId = 'afromessage' | 'console';
+
+export interface SmsMessage {
+  to: string;
+  text: string;
+}
+
+export type SmsProvider = MessageProvider<SmsProviderId, SmsMessage>;
+
+// --- AfroMessage (Ethiopian SMS gateway) ---
+// AFROMESSAGE_TOKEN, plus optional AFROMESSAGE_IDENTIFIER_ID and AFROMESSAGE_SENDER_NAME
+// for a registered short code / sender name.
+
+const AFROMESSAGE_API_URL = 'https://api.afromessage.com/api/send';
+
+const afromessage: SmsProvider = {
+  id: 'afromessage',
+  isEnabled: () => Boolean(Deno.env.get('AFROMESSAGE_TOKEN')),
+
+  async send({ to, text }) {
+    const response = await fetch(AFROMESSAGE_API_URL, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${Deno.env.get('AFROMESSAGE_TOKEN')}`,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        from: Deno.env.get('AFROMESSAGE_IDENTIFIER_ID') || undefined,
+        sender: Deno.env.get('AFROMESSAGE_SENDER_NAME') || undefined,
+        to,
+        message: text,
+      }),
+    });
+    const body = await response.json().catch(() => null);
+    if (!response.ok || body?.acknowledge !== 'success') {
+      const detail = body?.response?.errors?.join?.(', ') || body?.response?.message || response.status;
+      throw new Error(`AfroMessage rejected the message: ${detail}`);
+    }
+    return { messageId: body.response?.message_id ?? null };
+  },
+};
+
+// --- Console / file sink (SMS_SINK_FILE), for local testing ---
+
+const consoleSink = createConsoleSink<SmsMessage>('sms', 'SMS_SINK_FILE', ({ text }) => text);
+
+export const SMS_PROVIDERS: Record<SmsProviderId, SmsProvider> = {
+  afromessage,
+  console: consoleSink,
+};
+
+export function getSmsProvider(): SmsProvider {
+  return selectProvider('SMS_PROVIDER', SMS_PROVIDERS, [afromessage, consoleSink]);
+}
@@ -0,0 +1,112 @@
+// supabase/functions/_shared/variants.ts
+//
+// Product variants (size x color rows in product_variants). A product with active variants is
+// only sold through one of them; see 20250714100000_product_variants.sql.
+
+import { SupabaseClient } from 'https://esm.sh/@supabase/supabase-js@2';
+
+// Columns shoppers see; cart lines embed the same set
+export const VARIANT_COLUMNS = 'id, product_id, size, color, sku, price, stock_quantity, images, is_active, position';
+
+// Admin editors also get the barcode and timestamps
+export const ADMIN_VARIANT_COLUMNS = `${VARIANT_COLUMNS}, barcode, created_at, updated_at`;
+
+// "M / Black"; null when the variant has neither option (same as product_variant_label in SQL)
+export const variantLabel = (variant: { size?: string | null; color?: string | null } | null | undefined): string | null => {
+  if (!variant) return null;
+  const label = [variant.size, variant.color].map(v => (v || '').trim()).filter(Boolean).join(' / ');
+  return label || null;
+};
+
+export interface VariantInput {
+  id?: string | null;
+  size?: string | null;
+  color?: string | null;
+  sku?: string | null;
+  barcode?: string | null;
+  price?: number | string | null;
+  stock_quantity?: number | string | null;
+  images?: string[] | null;
+  is_active?: boolean | null;
+}
+
+const cleanText = (value: unknown) => {
+  const text = typeof value === 'string' ? value.trim() : '';
+  return text || null;
+};
+
+/** Validates the `variants` array sent by the admin product editor. Returns an error message or null. */
+export function validateVariants(variants: unknown): string | null {
+  if (variants === undefined || variants === null) return null;
+  if (!Array.isArray(variants)) return 'variants must be an array';
+  const seenOptions = new Set<string>();
+  const seenSkus = new Set<string>();
+  for (const [index, variant] of (variants as VariantInput[]).entries()) {
+    const row = `Variant ${index + 1}`;
+    if (!cleanText(variant.size) && !cleanText(variant.color)) return `${row}: a size or a color is required`;
+    const options = `${(cleanText(variant.size) || '').toLowerCase()}|${(cleanText(variant.color) || '').toLowerCase()}`;
+    if (seenOptions.has(options)) return `${row}: the same size and color is listed twice`;
+    seenOptions.add(options);
+    const sku = cleanText(variant.sku);
+    if (sku) {
+      if (seenSkus.has(sku)) return `${row}: SKU ${sku} is used twice`;
+      seenSkus.add(sku);
+    }
+    const stock = Number(variant.stock_quantity ?? 0);
+    if (!Number.isInteger(stock) || stock < 0) return `${row}: stock must be a whole number of 0 or more`;
+    if (variant.price !== null && variant.price !== undefined && variant.price !== '') {
+      const price = Number(variant.price);
+      if (isNaN(price) || price < 0) return `${row}: price must be a positive number`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Makes product_variants for `productId` match `variants`: rows with an id are updated, rows
+ * without one (or with another product's id) are inserted and existing rows missing from the list are deleted. Call
+ * validateVariants first.
+ */
+export async function syncProductVariants(supabase: SupabaseClient, productId: string, variants: VariantInput[]) {
+  const { data: existing, error: existingError } = await supabase
+    .from('product_variants')
+    .select('id')
+    .eq('product_id', productId);
+  if (existingError) throw new Error(`Variant lookup failed: ${existingError.message}`);
+
+  // Ids that do not belong to this product are treated as new rows
+  const existingIds = new Set((existing || []).map(v => v.id));
+  const keepIds = new Set(variants.map(v => v.id).filter(id => id && existingIds.has(id)));
+  const removedIds = [...existingIds].filter(id => !keepIds.has(id));
+  if (removedIds.length > 0) {
+    const { error } = await supabase.from('product_variants').delete().in('id', removedIds);
+    if (error) throw new Error(`Failed to remove variants: ${error.message}`);
+  }
+
+  const now = new Date().toISOString();
+  const rows = variants.map((variant, index) => ({
+    ...(variant.id && keepIds.has(variant.id) ? { id: variant.id } : {}),
+    product_id: productId,
+    size: cleanText(variant.size),
+    color: cleanText(variant.color),
+    sku: cleanText(variant.sku),
+    barcode: cleanText(variant.barcode),
+    price: variant.price === null || variant.price === undefined || variant.price === '' ? null : Number(variant.price),
+    stock_quantity: Number(variant.stock_quantity ?? 0),
+    images: Array.isArray(variant.images) ? variant.images : [],
+    is_active: variant.is_active !== false,
+    position: index,
+    updated_at: now,
+  }));
+  // Existing and new rows go separately: a bulk upsert would send id: null for the new ones
+  const updates = rows.filter(row => 'id' in row);
+  const inserts = rows.filter(row => !('id' in row));
+  if (updates.length > 0) {
+    const { error } = await supabase.from('product_variants').upsert(updates);
+    if (error) throw new Error(`Failed to save variants: ${error.message}`);
+  }
+  if (inserts.length > 0) {
+    const { error } = await supabase.from('product_variants').insert(inserts);
+    if (error) throw new Error(`Failed to save variants: ${error.message}`);
+  }
+}
@@ -0,0 +1,40 @@
+import { serve } from 'https://deno.land/std@0.177.0/http/server.ts';
+import { corsHeaders } from '../_shared/cors.ts';
+import { jsonResponse } from '../_shared/response.ts';
+import { requireSeller } from '../_shared/sellers.ts';
+
+// POST { collection_id, product_id }
+// RLS only lets sellers add their own products to their own collections. Adding a product
+// that is already in the collection is a no-op. Needs a verified ID.
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  const auth = await requireSeller(req, { minVerification: 'basic' });
+  if (auth instanceof Response) return auth;
+  const { supabase } = auth;
+
+  try {
+    const { collection_id: collectionId, product_id: productId } = await req.json().catch(() => ({}));
+    if (!collectionId || !productId) {
+      return jsonResponse({ success: false, error: 'collection_id and product_id are required' }, 400);
+    }
+
+    const { error } = await supabase
+      .from('collection_items')
+      .upsert({ collection_id: collectionId, product_id: productId }, { onConflict: 'collection_id,product_id', ignoreDuplicates: true });
+    if (error) {
+      if (error.code === '42501') {
+        return jsonResponse({ success: false, error: 'You can only add your own products to your own collections' }, 403);
+      }
+      console.error('Collection item insert error:', error);
+      return jsonResponse({ success: false, error: error.message }, 400);
+    }
+
+    return jsonResponse({ success: true, data: { collection_id: collectionId, product_id: productId } });
+  } catch (err) {
+    console.error('add-product-to-collection error:', err);
+    return jsonResponse({ success: false, error: err.message }, 500);
+  }
+});
@@ -71,8 +71,8 @@ serve(async (req) => {
         status: 400,
       });
     }
-    // Expect productId and either quantity (for add) or delta (for update)
-    const { productId, quantity, delta } = body;
+    // Expect productId (plus variantId for products with variants) and either quantity (for add) or delta (for update)
+    const { productId, variantId = null, quantity, delta } = body;
     if (!productId || (typeof quantity !== 'number' && typeof delta !== 'number')) {
       console.error("Invalid input:", body);
       return new Response(JSON.stringify({ success: false, error: 'Invalid input: productId and quantity OR delta required' }), {
@@ -80,7 +80,7 @@ serve(async (req) => {
         status: 400,
       });
     }
-    console.log(`Request details - Product ID: ${productId}, Quantity: ${quantity}, Delta: ${delta}`);
+    console.log(`Request details - Product ID: ${productId}, Variant ID: ${variantId}, Quantity: ${quantity}, Delta: ${delta}`);
     // --- End Body Parsing Section ---
 
     // --- Database Operations ---
@@ -92,7 +92,7 @@ serve(async (req) => {
       console.log(`Checking existence for product ID: ${productId}`);
       const { data: product, error: productError } = await supabase
         .from('products')
-        .select('id, name, price, images, slug')
+        .select('id, name, price, images, slug, has_variants')
         .eq('id', productId)
         .single();
       console.timeEnd('db_check_product');
@@ -106,6 +106,30 @@ serve(async (req) => {
       }
       console.log(`Product ${productId} found.`);
 
+      // 1b. Products with variants are added per variant; the variant must belong to the product.
+      // Removing (quantity <= 0 / negative delta) skips the check so stale lines can still be cleared.
+      const isRemoval = (typeof delta === 'number' && delta < 0) || (typeof quantity === 'number' && quantity <= 0);
+      if (variantId) {
+        const { data: variant, error: variantError } = await supabase
+          .from('product_variants')
+          .select('id')
+          .eq('id', variantId)
+          .eq('product_id', product.id)
+          .maybeSingle();
+        if ((variantError || !variant) && !isRemoval) {
+          console.error(`Variant ${variantId} not found for product ${productId}:`, variantError?.message);
+          return new Response(JSON.stringify({ success: false, error: 'This option is no longer available' }), {
+            headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+            status: 404,
+          });
+        }
+      } else if (!isRemoval && product.has_variants) {
+        return new Response(JSON.stringify({ success: false, code: 'VARIANT_REQUIRED', error: 'Please choose a size or color first' }), {
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+          status: 400,
+        });
+      }
+
       // 2. Find or create cart
       console.time('db_find_create_cart');
       console.log(`Finding or creating cart for user: ${userId}`);
@@ -157,12 +181,13 @@ serve(async (req) => {
 
       // 3. Determine final quantity and Upsert/Delete cart_items
       console.time('db_check_existing_item');
-      const { data: existingItem, error: existingItemError } = await supabase
+      let existingItemQuery = supabase
         .from('cart_items')
         .select('id, quantity')
         .eq('cartId', cart.id)
-        .eq('productId', product.id)
-        .maybeSingle();
+        .eq('productId', product.id);
+      existingItemQuery = variantId ? existingItemQuery.eq('variant_id', variantId) : existingItemQuery.is('variant_id', null);
+      const { data: existingItem, error: existingItemError } = await existingItemQuery.maybeSingle();
       console.timeEnd('db_check_existing_item');
 
       if (existingItemError) {
@@ -210,11 +235,13 @@ serve(async (req) => {
           });
         }
 
-        const { error: deleteError } = await supabase
+        let deleteQuery = supabase
           .from('cart_items')
           .delete()
           .eq('cartId', cart.id)
           .eq('productId', product.id);
+        deleteQuery = variantId ? deleteQuery.eq('variant_id', variantId) : deleteQuery.is('variant_id', null);
+        const { error: deleteError } = await deleteQuery;
 
         if (deleteError) {
           console.error(`[DELETE FAILED] Error deleting cart item: ${deleteError.message}`, { cartId: cart?.id, productId: product?.id });
@@ -234,9 +261,10 @@ serve(async (req) => {
           .upsert({
             cartId: cart.id,
             productId: product.id,
+            variant_id: variantId,
             quantity: finalQuantity, // Use the final target quantity directly
             updatedAt: new Date().toISOString(),
-          }, { onConflict: 'cartId,productId' })
+          }, { onConflict: 'cartId,productId,variant_id' })
           .select('id') // Select only id for performance
           .single();
 
@@ -263,14 +291,20 @@ serve(async (req) => {
           cart_items(
             id,
             quantity,
+            variant_id,
             created_at,
             product:products(
               id,
               name,
               price,
+              discount,
+              flash_deal,
+              flash_deal_end,
+              stock_quantity,
               images,
               slug
-            )
+            ),
+            variant:product_variants(id, size, color, sku, price, stock_quantity, images)
           )
         `)
         .eq('id', cart.id)
@@ -292,8 +326,10 @@ serve(async (req) => {
       // 5. Return cart in frontend format
       const items = (updatedCart.cart_items || [])
         .filter(item => item && item.product) // Ensure item and nested product exist
+        .filter(item => !item.variant_id || item.variant) // Hide lines whose variant was switched off
         .map(item => ({
           product: item.product,
+          variant: item.variant,
           quantity: item.quantity
         }));
 
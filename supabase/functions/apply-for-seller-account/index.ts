@@ -0,0 +1,131 @@
+import { serve } from 'https://deno.land/std@0.177.0/http/server.ts';
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2';
+import { corsHeaders } from '../_shared/cors.ts';
+import { jsonResponse } from '../_shared/response.ts';
+import { normalizeEthiopianPhone } from '../_shared/phone.ts';
+import { slugify, toSellerProfile } from '../_shared/sellers.ts';
+
+// Applications the applicant may update and send back for review
+const RESUBMITTABLE_STATUSES = ['needs_info', 'rejected'];
+
+const REQUIRED_FIELDS = ['business_name', 'business_type', 'business_description', 'business_email', 'business_phone', 'business_address'];
+
+// POST { business_name, business_type, business_description, business_email, business_phone,
+//        business_address, tax_id?, bank_name?, bank_account_number?, account_holder_name?,
+//        website_url?, social_media_links? }
+// Creates the caller's store in pending_approval for the SuriAddis team to review. An applicant
+// who was asked for more information, or was rejected, submits again the same way, which puts
+// their store back in the queue.
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  const authHeader = req.headers.get('Authorization');
+  if (!authHeader) {
+    return jsonResponse({ success: false, error: 'Missing Authorization header' }, 401);
+  }
+
+  const supabaseUrl = Deno.env.get('SUPABASE_URL')!;
+  const supabase = createClient(supabaseUrl, Deno.env.get('SUPABASE_ANON_KEY')!, {
+    global: { headers: { Authorization: authHeader } },
+    db: { schema: 'public' },
+  });
+
+  try {
+    const { data: { user }, error: userError } = await supabase.auth.getUser();
+    if (userError || !user) {
+      return jsonResponse({ success: false, error: 'Authentication failed' }, 401);
+    }
+
+    const body = await req.json().catch(() => ({}));
+    const missing = REQUIRED_FIELDS.filter(field => !String(body[field] ?? '').trim());
+    if (missing.length > 0) {
+      return jsonResponse({ success: false, error: `Missing required fields: ${missing.join(', ')}` }, 400);
+    }
+    const email = String(body.business_email).trim().toLowerCase();
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+      return jsonResponse({ success: false, error: 'Please enter a valid business email' }, 400);
+    }
+
+    const optional = (value: unknown) => (String(value ?? '').trim() || null);
+    const application = {
+      store_name: String(body.business_name).trim(),
+      store_description: String(body.business_description).trim(),
+      business_type: String(body.business_type).trim(),
+      business_address: String(body.business_address).trim(),
+      contact_email: email,
+      contact_phone: normalizeEthiopianPhone(body.business_phone) || String(body.business_phone).trim(),
+      tax_id: optional(body.tax_id),
+      bank_name: optional(body.bank_name),
+      bank_account_number: optional(body.bank_account_number),
+      account_holder_name: optional(body.account_holder_name),
+      website_url: optional(body.website_url),
+      social_media_links: optional(body.social_media_links),
+    };
+
+    const { data: existing, error: existingError } = await supabase
+      .from('sellers')
+      .select('id, status')
+      .eq('user_id', user.id)
+      .maybeSingle();
+    if (existingError) {
+      console.error('Seller lookup error:', existingError);
+      return jsonResponse({ success: false, error: existingError.message }, 500);
+    }
+
+    if (existing && !RESUBMITTABLE_STATUSES.includes(existing.status)) {
+      const message = existing.status === 'pending_approval'
+        ? 'Your application is already being reviewed'
+        : 'You already have a seller account';
+      return jsonResponse({ success: false, error: message, code: 'ALREADY_APPLIED' }, 409);
+    }
+
+    if (existing) {
+      // Sellers cannot change their own status, so re-queueing goes through the service role.
+      // The form only shows a masked account number, so a blank one keeps the stored number.
+      const supabaseAdminClient = createClient(supabaseUrl, Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!);
+      const { bank_account_number: bankAccountNumber, ...details } = application;
+      const now = new Date().toISOString();
+      const { data: seller, error } = await supabaseAdminClient
+        .from('sellers')
+        .update({
+          ...details,
+          ...(bankAccountNumber ? { bank_account_number: bankAccountNumber } : {}),
+          status: 'pending_approval',
+          review_note: null,
+          submitted_at: now,
+          updated_at: now,
+        })
+        .eq('id', existing.id)
+        .select('*')
+        .single();
+      if (error) {
+        console.error('Seller reapplication error:', error);
+        return jsonResponse({ success: false, error: error.message }, 400);
+      }
+      return jsonResponse({ success: true, data: toSellerProfile(seller) });
+    }
+
+    // Store slugs are unique; a taken one gets a short suffix
+    const baseSlug = slugify(application.store_name) || 'store';
+    for (const slug of [baseSlug, `${baseSlug}-${crypto.randomUUID().slice(0, 6)}`]) {
+      const { data: seller, error } = await supabase
+        .from('sellers')
+        .insert({ ...application, user_id: user.id, store_slug: slug, status: 'pending_approval' })
+        .select('*')
+        .single();
+      if (!error) {
+        return jsonResponse({ success: true, data: toSellerProfile(seller) }, 201);
+      }
+      if (error.code !== '23505' || !error.message.includes('store_slug')) {
+        console.error('Seller application error:', error);
+        return jsonResponse({ success: false, error: error.message }, 400);
+      }
+    }
+    return jsonResponse({ success: false, error: 'Please choose a different business name' }, 409);
+  } catch (err) {
+    console.error('apply-for-seller-account error:', err);
+    return jsonResponse({ success: false, error: err.message }, 500);
+  }
+});
@@ -0,0 +1,49 @@
+import { serve } from 'https://deno.land/std@0.177.0/http/server.ts';
+import { corsHeaders } from '../_shared/cors.ts';
+import { jsonResponse } from '../_shared/response.ts';
+import { SELLER_PRODUCT_COLUMNS, requireSeller, sellerProductErrorStatus, toSellerProduct } from '../_shared/sellers.ts';
+
+// POST { product_id, archived? }
+// Archives one of the calling seller's products (archived: false restores it, still hidden).
+// Archived products leave the shop and the seller's collections but stay on past orders.
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  const auth = await requireSeller(req, { minVerification: 'basic' });
+  if (auth instanceof Response) return auth;
+  const { supabase, seller } = auth;
+
+  try {
+    const { product_id: productId, archived = true } = await req.json().catch(() => ({}));
+    if (!productId) {
+      return jsonResponse({ success: false, error: 'product_id is required' }, 400);
+    }
+
+    const { data: product, error } = await supabase
+      .from('products')
+      .update({ archived_at: archived ? new Date().toISOString() : null, is_active: false })
+      .eq('id', productId)
+      .eq('seller_id', seller.id)
+      .select(SELLER_PRODUCT_COLUMNS)
+      .maybeSingle();
+    if (error) {
+      console.error('Seller product archive error:', error);
+      return jsonResponse({ success: false, error: error.message }, sellerProductErrorStatus(error));
+    }
+    if (!product) {
+      return jsonResponse({ success: false, error: 'Product not found' }, 404);
+    }
+
+    if (archived) {
+      const { error: itemsError } = await supabase.from('collection_items').delete().eq('product_id', product.id);
+      if (itemsError) console.error('Collection items cleanup error:', itemsError);
+    }
+
+    return jsonResponse({ success: true, data: toSellerProduct(product) });
+  } catch (err) {
+    console.error('archive-seller-product error:', err);
+    return jsonResponse({ success: false, error: err.message }, 500);
+  }
+});
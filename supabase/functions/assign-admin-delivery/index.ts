@@ -0,0 +1,52 @@
+import { serve } from 'https://deno.land/std@0.177.0/http/server.ts';
+import { corsHeaders } from '../_shared/cors.ts';
+import { jsonResponse } from '../_shared/response.ts';
+import { requireAdmin } from '../_shared/adminAuth.ts';
+
+// POST  Body: { orderId, riderId, note? }
+// Gives a shipped order to a rider, or moves it to another one; see assign_delivery.
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  const auth = await requireAdmin(req);
+  if (auth instanceof Response) return auth;
+  const { supabaseUserClient } = auth;
+
+  try {
+    if (req.method !== 'POST') {
+      return jsonResponse({ success: false, error: 'Method not allowed' }, 405);
+    }
+    let body;
+    try {
+      body = await req.json();
+    } catch {
+      return jsonResponse({ success: false, error: 'Invalid JSON body' }, 400);
+    }
+    if (!body.orderId || !body.riderId) {
+      return jsonResponse({ success: false, error: 'orderId and riderId are required' }, 400);
+    }
+
+    // Run as the admin so the timeline entry records who assigned it
+    const { data, error } = await supabaseUserClient.rpc('assign_delivery', {
+      p_order_id: body.orderId,
+      p_rider_id: body.riderId,
+      p_note: body.note ? String(body.note).trim() : null,
+    });
+    if (error) {
+      if (error.code === '23514') {
+        return jsonResponse({ success: false, code: 'CANNOT_ASSIGN', error: error.message }, 409);
+      }
+      if (error.code === 'P0002') {
+        return jsonResponse({ success: false, error: 'Order not found' }, 404);
+      }
+      console.error('assign_delivery error:', error);
+      return jsonResponse({ success: false, error: error.message }, 400);
+    }
+
+    return jsonResponse({ success: true, data });
+  } catch (err) {
+    return jsonResponse({ success: false, error: err.message }, 500);
+  }
+});
@@ -0,0 +1,56 @@
+import { serve } from 'https://deno.land/std@0.177.0/http/server.ts';
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2';
+import { corsHeaders } from '../_shared/cors.ts';
+import { jsonResponse } from '../_shared/response.ts';
+
+// Shopper cancels one of their own orders while it is still pending, paid or processing.
+// Body: { orderId: string, reason?: string }
+// Paid orders get a pending refund for the full total (see cancel_my_order).
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  const authHeader = req.headers.get('Authorization');
+  if (!authHeader) {
+    return jsonResponse({ success: false, error: 'Missing Authorization header' }, 401);
+  }
+
+  const supabase = createClient(Deno.env.get('SUPABASE_URL')!, Deno.env.get('SUPABASE_ANON_KEY')!, {
+    global: { headers: { Authorization: authHeader } },
+    db: { schema: 'public' },
+  });
+
+  try {
+    const { data: { user }, error: userError } = await supabase.auth.getUser();
+    if (userError || !user) {
+      return jsonResponse({ success: false, error: 'Authentication failed' }, 401);
+    }
+
+    const { orderId, reason } = await req.json().catch(() => ({}));
+    if (!orderId) {
+      return jsonResponse({ success: false, error: 'orderId is required' }, 400);
+    }
+
+    // cancel_my_order checks ownership and status, restocks via trigger, logs the change and records any refund
+    const { data: order, error } = await supabase.rpc('cancel_my_order', {
+      p_order_id: orderId,
+      p_reason: reason ? String(reason).trim() : null,
+    });
+    if (error) {
+      if (error.code === 'P0002') {
+        return jsonResponse({ success: false, error: 'Order not found' }, 404);
+      }
+      if (error.code === '23514') {
+        return jsonResponse({ success: false, code: 'NOT_CANCELLABLE', error: error.message }, 409);
+      }
+      console.error('cancel_my_order error:', error);
+      return jsonResponse({ success: false, error: error.message }, 400);
+    }
+
+    return jsonResponse({ success: true, data: order });
+  } catch (err) {
+    console.error('cancel-order error:', err);
+    return jsonResponse({ success: false, error: err.message }, 500);
+  }
+});
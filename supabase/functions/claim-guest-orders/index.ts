@@ -0,0 +1,41 @@
+import { serve } from 'https://deno.land/std@0.177.0/http/server.ts';
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2';
+import { corsHeaders } from '../_shared/cors.ts';
+import { jsonResponse } from '../_shared/response.ts';
+
+// POST
+// Called right after login: moves guest orders placed with the account's email onto the
+// account. Only once the email is confirmed; until then nothing is claimed.
+// Returns { claimed } (number of orders moved).
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  const authHeader = req.headers.get('Authorization');
+  if (!authHeader) {
+    return jsonResponse({ success: false, error: 'Missing Authorization header' }, 401);
+  }
+
+  const supabase = createClient(Deno.env.get('SUPABASE_URL')!, Deno.env.get('SUPABASE_ANON_KEY')!, {
+    global: { headers: { Authorization: authHeader } },
+  });
+
+  try {
+    const { data: { user }, error: userError } = await supabase.auth.getUser();
+    if (userError || !user) {
+      return jsonResponse({ success: false, error: 'Authentication failed' }, 401);
+    }
+
+    const { data, error } = await supabase.rpc('claim_guest_orders');
+    if (error) {
+      console.error('claim_guest_orders error:', error);
+      return jsonResponse({ success: false, error: error.message }, 400);
+    }
+
+    return jsonResponse({ success: true, data: { claimed: data ?? 0 } });
+  } catch (err) {
+    console.error('claim-guest-orders error:', err);
+    return jsonResponse({ success: false, error: err.message }, 500);
+  }
+});
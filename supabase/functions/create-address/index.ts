@@ -0,0 +1,67 @@
+import { serve } from 'https://deno.land/std@0.177.0/http/server.ts';
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2';
+import { corsHeaders } from '../_shared/cors.ts';
+import { jsonResponse } from '../_shared/response.ts';
+import { MAX_ADDRESSES_PER_USER, toAddressRow } from '../_shared/addresses.ts';
+
+// POST { label, firstName, lastName, phone, street, apartment, subCity, woreda, landmark,
+//        city, state, zipCode, country, isDefault }
+// Adds an address to the caller's address book; the first one becomes the default.
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  const authHeader = req.headers.get('Authorization');
+  if (!authHeader) {
+    return jsonResponse({ success: false, error: 'Missing Authorization header' }, 401);
+  }
+
+  const supabase = createClient(Deno.env.get('SUPABASE_URL')!, Deno.env.get('SUPABASE_ANON_KEY')!, {
+    global: { headers: { Authorization: authHeader } },
+  });
+
+  try {
+    const { data: { user }, error: userError } = await supabase.auth.getUser();
+    if (userError || !user) {
+      return jsonResponse({ success: false, error: 'Authentication failed' }, 401);
+    }
+
+    const body = await req.json().catch(() => null);
+    if (!body) return jsonResponse({ success: false, error: 'Invalid JSON' }, 400);
+
+    const { row, error: validationError } = toAddressRow(body);
+    if (validationError) return jsonResponse({ success: false, error: validationError }, 400);
+
+    const { count, error: countError } = await supabase
+      .from('customer_addresses')
+      .select('id', { count: 'exact', head: true })
+      .eq('user_id', user.id);
+    if (countError) {
+      console.error('Address count error:', countError);
+      return jsonResponse({ success: false, error: countError.message }, 400);
+    }
+    if ((count ?? 0) >= MAX_ADDRESSES_PER_USER) {
+      return jsonResponse({
+        success: false,
+        code: 'ADDRESS_LIMIT',
+        error: `You can save up to ${MAX_ADDRESSES_PER_USER} addresses. Remove one to add another.`,
+      }, 409);
+    }
+
+    const { data, error } = await supabase
+      .from('customer_addresses')
+      .insert({ ...row, user_id: user.id })
+      .select()
+      .single();
+    if (error) {
+      console.error('Address insert error:', error);
+      return jsonResponse({ success: false, error: error.message }, 400);
+    }
+
+    return jsonResponse({ success: true, data }, 201);
+  } catch (err) {
+    console.error('create-address error:', err);
+    return jsonResponse({ success: false, error: err.message }, 500);
+  }
+});
@@ -1,6 +1,7 @@
 import { serve } from 'https://deno.land/std@0.177.0/http/server.ts';
 import { createClient } from 'https://esm.sh/@supabase/supabase-js@2';
 import { corsHeaders } from '../_shared/cors.ts';
+import { syncProductVariants, validateVariants } from '../_shared/variants.ts';
 
 serve(async (req) => {
   if (req.method === 'OPTIONS') {
@@ -69,12 +70,13 @@ serve(async (req) => {
       isActive,
       images,
       originalPrice,
-      rating,
-      reviewCount,
       sellerName,
       sellerLocation,
       unitsSold,
-      slug // Extract slug from body
+      brand, // Shown as a storefront filter
+      weightKg, // Shipping weight; empty means the default in _shared/shipping.ts
+      slug, // Extract slug from body
+      variants // Optional size/color variants, see _shared/variants.ts
     } = body;
 
     if (!slug || typeof slug !== 'string' || !slug.trim()) {
@@ -86,6 +88,14 @@ serve(async (req) => {
     }
     console.log("Extracted slug:", slug);
 
+    const variantsError = validateVariants(variants);
+    if (variantsError) {
+      return new Response(JSON.stringify({ success: false, error: variantsError }), {
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+        status: 400,
+      });
+    }
+
     // 4. Perform the insert using the admin client (bypasses RLS)
     const { data, error } = await supabaseAdminClient.from('products').insert([
       {
@@ -97,11 +107,11 @@ serve(async (req) => {
         is_active: isActive,
         images,
         original_price: originalPrice,
-        rating,
-        review_count: reviewCount,
         seller_name: sellerName,
         seller_location: sellerLocation,
         units_sold: unitsSold,
+        brand: typeof brand === 'string' ? brand.trim() || null : null,
+        weight_kg: weightKg === '' || weightKg === null || weightKg === undefined ? null : Number(weightKg),
         slug: slug // Ensure slug is included in the insert object
       }
     ]).select().single();
@@ -114,6 +124,19 @@ serve(async (req) => {
       });
     }
 
+    // 5. Variants (their stock also becomes the product's stock_quantity, see the sync trigger)
+    if (Array.isArray(variants) && variants.length > 0) {
+      try {
+        await syncProductVariants(supabaseAdminClient, data.id, variants);
+      } catch (variantErr) {
+        console.error("Variant save error:", variantErr);
+        return new Response(JSON.stringify({ success: false, error: variantErr.message, data }), {
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+          status: 400,
+        });
+      }
+    }
+
     return new Response(JSON.stringify({ success: true, data }), {
       headers: { ...corsHeaders, 'Content-Type': 'application/json' },
       status: 201,
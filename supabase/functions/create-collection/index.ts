@@ -0,0 +1,73 @@
+import { serve } from 'https://deno.land/std@0.177.0/http/server.ts';
+import { corsHeaders } from '../_shared/cors.ts';
+import { jsonResponse } from '../_shared/response.ts';
+import { COLLECTION_SELECT, collectionChanges, meetsVerification, requireSeller, slugify, toCollection } from '../_shared/sellers.ts';
+
+// POST { name, description?, image_url?, price?, display_order?, is_active?, product_ids? }
+// Creates a collection for the calling seller, optionally with products already in it (only
+// the seller's own products are accepted). Needs a verified ID; until every document is
+// verified, new collections start hidden and cannot be published.
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  const auth = await requireSeller(req, { minVerification: 'basic' });
+  if (auth instanceof Response) return auth;
+  const { supabase, seller, verificationLevel } = auth;
+
+  try {
+    const body = await req.json().catch(() => ({}));
+    const canPublish = meetsVerification(verificationLevel, 'full');
+    if (body.is_active === true && !canPublish) {
+      return jsonResponse({ success: false, error: 'Get all your documents verified to publish collections', code: 'VERIFICATION_REQUIRED' }, 403);
+    }
+    const changes = collectionChanges({ is_active: canPublish, ...body });
+    if (!changes.name) {
+      return jsonResponse({ success: false, error: 'Collection name is required' }, 400);
+    }
+
+    // Slugs are unique per store; a taken one gets a short suffix
+    const baseSlug = slugify(String(changes.name)) || 'collection';
+    let collection = null;
+    for (const slug of [baseSlug, `${baseSlug}-${crypto.randomUUID().slice(0, 6)}`]) {
+      const { data, error } = await supabase
+        .from('collections')
+        .insert({ ...changes, seller_id: seller.id, slug })
+        .select('id')
+        .single();
+      if (!error) {
+        collection = data;
+        break;
+      }
+      if (error.code !== '23505') {
+        console.error('Collection insert error:', error);
+        return jsonResponse({ success: false, error: error.message }, 400);
+      }
+    }
+    if (!collection) {
+      return jsonResponse({ success: false, error: 'Please choose a different collection name' }, 409);
+    }
+
+    const productIds = Array.isArray(body.product_ids) ? [...new Set(body.product_ids)] : [];
+    if (productIds.length > 0) {
+      const { error } = await supabase
+        .from('collection_items')
+        .insert(productIds.map(productId => ({ collection_id: collection.id, product_id: productId })));
+      if (error) {
+        console.error('Collection items insert error:', error);
+        await supabase.from('collections').delete().eq('id', collection.id);
+        const message = error.code === '42501' ? 'You can only add your own products to a collection' : error.message;
+        return jsonResponse({ success: false, error: message }, error.code === '42501' ? 403 : 400);
+      }
+    }
+
+    const { data: created, error } = await supabase.from('collections').select(COLLECTION_SELECT).eq('id', collection.id).single();
+    if (error) return jsonResponse({ success: false, error: error.message }, 400);
+
+    return jsonResponse({ success: true, data: toCollection(created) }, 201);
+  } catch (err) {
+    console.error('create-collection error:', err);
+    return jsonResponse({ success: false, error: err.message }, 500);
+  }
+});
@@ -2,13 +2,20 @@ import { serve } from 'https://deno.land/std@0.177.0/http/server.ts';
 import { createClient } from 'https://esm.sh/@supabase/supabase-js@2';
 import { decodeJwt } from 'https://esm.sh/jose@4.14.4';
 import { corsHeaders } from '../_shared/cors.ts';
+import { getVariantPrice, PRICE_TOLERANCE, PRICING_COLUMNS, roundMoney } from '../_shared/pricing.ts';
+import { evaluateCoupon } from '../_shared/coupons.ts';
+import { dispatchNotifications, enqueueNotification } from '../_shared/notifications.ts';
+import { isValidEmail } from '../_shared/guestOrders.ts';
+import { normalizeEthiopianPhone } from '../_shared/phone.ts';
+import { formatDeliveryWindow, quoteShipping } from '../_shared/shipping.ts';
+import { variantLabel } from '../_shared/variants.ts';
 
 serve(async (req) => {
   if (req.method === 'OPTIONS') {
     return new Response('ok', { headers: corsHeaders });
   }
 
-  // --- Auth ---
+  // --- Auth (a signed-in shopper, or a guest: the anon key the storefront sends has no user) ---
   const authHeader = req.headers.get('Authorization');
   if (!authHeader) {
     return new Response(JSON.stringify({ error: 'Missing Authorization header' }), {
@@ -17,11 +24,12 @@ serve(async (req) => {
     });
   }
   const accessToken = authHeader.replace('Bearer ', '').trim();
-  let userId;
+  let userId: string | null;
+  let userEmail: string | null;
   try {
     const jwtPayload = decodeJwt(accessToken);
-    userId = jwtPayload.sub;
-    if (!userId) throw new Error('No sub in JWT');
+    userId = (jwtPayload.sub as string) || null;
+    userEmail = (jwtPayload.email as string) || null;
   } catch (e) {
     return new Response(JSON.stringify({ error: 'Invalid access token' }), {
       headers: { ...corsHeaders, 'Content-Type': 'application/json' },
@@ -45,6 +53,18 @@ serve(async (req) => {
     db: { schema: 'public' },
   });
 
+  // The order is placed with the service role on this user's behalf, so confirm the session
+  // with Auth rather than trusting the decoded token alone
+  if (userId) {
+    const { data: { user }, error: userError } = await supabase.auth.getUser();
+    if (userError || user?.id !== userId) {
+      return new Response(JSON.stringify({ error: 'Invalid access token' }), {
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+        status: 401,
+      });
+    }
+  }
+
   // --- Parse and Validate Order Data ---
   let body;
   try {
@@ -52,122 +72,291 @@ serve(async (req) => {
   } catch {
     return new Response(JSON.stringify({ error: 'Invalid JSON' }), { headers: corsHeaders, status: 400 });
   }
-  const { orderItems, shippingAddress, totalAmount } = body;
-  if (!Array.isArray(orderItems) || orderItems.length === 0 || !shippingAddress || typeof totalAmount !== 'number') {
+  const { orderItems, totalAmount, couponCode, shippingMethodId } = body;
+  let { shippingAddress } = body;
+  if (!Array.isArray(orderItems) || orderItems.length === 0 || !shippingAddress || !shippingMethodId || typeof totalAmount !== 'number') {
     return new Response(JSON.stringify({ error: 'Missing or invalid order data' }), { headers: corsHeaders, status: 400 });
   }
 
-  // --- Insert Order ---
-  const { data: order, error: orderError } = await supabase
-    .from('orders')
-    .insert({ userId, shippingAddress, totalAmount, status: 'pending' })
-    .select()
-    .single();
+  // --- Phone Number (Ethiopian mobiles are stored as +2519XXXXXXXX so SMS can reach them) ---
+  if (String(shippingAddress.country || '').trim().toLowerCase() === 'ethiopia') {
+    const phone = normalizeEthiopianPhone(shippingAddress.phone);
+    if (!phone) {
+      return new Response(JSON.stringify({
+        success: false,
+        code: 'INVALID_PHONE',
+        error: 'Enter a valid Ethiopian mobile number, e.g. 0911 234 567',
+      }), {
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+        status: 400,
+      });
+    }
+    shippingAddress = { ...shippingAddress, phone };
+  }
 
-  if (orderError || !order) {
-    console.error('Order Insert Error:', JSON.stringify(orderError, null, 2));
-    return new Response(JSON.stringify({ error: 'Database error creating order', details: orderError }), {
+  // --- Guest Contact (the order lookup and account claim go by this email) ---
+  if (!userId) {
+    const email = String(shippingAddress.email || '').trim().toLowerCase();
+    if (!isValidEmail(email) || !String(shippingAddress.phone || '').trim()) {
+      return new Response(JSON.stringify({
+        success: false,
+        code: 'GUEST_CONTACT_REQUIRED',
+        error: 'Enter your email and phone number so we can send your order updates',
+      }), {
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+        status: 400,
+      });
+    }
+    shippingAddress = { ...shippingAddress, email };
+  }
+
+  // --- Recompute Prices From Products (never trust client prices) ---
+  const productIds = [...new Set(orderItems.map(item => item.productId))];
+  // Active variants of every ordered product: prices for variant lines, and which products need one
+  const [{ data: products, error: productsError }, { data: variants, error: variantsError }] = await Promise.all([
+    supabase.from('products').select(`${PRICING_COLUMNS}, weight_kg`).in('id', productIds),
+    supabase.from('product_variants').select('id, product_id, size, color, price').in('product_id', productIds).eq('is_active', true),
+  ]);
+
+  if (productsError || !products || variantsError || !variants) {
+    console.error('Product Price Lookup Error:', JSON.stringify(productsError || variantsError, null, 2));
+    return new Response(JSON.stringify({ error: 'Database error looking up product prices', details: productsError || variantsError }), {
       headers: { ...corsHeaders, 'Content-Type': 'application/json' },
       status: 500,
     });
   }
 
-  // --- Insert Order Items ---
-  const orderItemsData = orderItems.map(item => ({
-    orderId: order.id,
-    productId: item.productId,
-    quantity: item.quantity,
-    price: item.price,
-  }));
-  const { error: itemsError } = await supabase.from('order_items').insert(orderItemsData);
-  if (itemsError) {
-    console.error('Order Items Insert Error:', JSON.stringify(itemsError, null, 2));
-    return new Response(JSON.stringify({ error: 'Database error creating order items', details: itemsError }), {
+  const unavailableItems = [];
+  const priceChanges = [];
+  const pricedItems = [];
+  for (const item of orderItems) {
+    const quantity = Number(item.quantity);
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      return new Response(JSON.stringify({ error: `Invalid quantity for product ${item.productId}` }), {
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+        status: 400,
+      });
+    }
+    const product = products.find(p => p.id === item.productId);
+    const variantId = item.variantId || null;
+    const variant = variantId ? variants.find(v => v.id === variantId && v.product_id === item.productId) : null;
+    // A variant line needs that variant on sale; a plain line is not enough once the product has variants
+    const variantMissing = variantId ? !variant : variants.some(v => v.product_id === item.productId);
+    if (!product || product.is_active === false || variantMissing) {
+      unavailableItems.push({ productId: item.productId, variantId, name: product?.name || null });
+      continue;
+    }
+    const currentPrice = getVariantPrice(product, variant);
+    const submittedPrice = Number(item.price);
+    if (!Number.isFinite(submittedPrice) || Math.abs(submittedPrice - currentPrice) > PRICE_TOLERANCE) {
+      priceChanges.push({
+        productId: product.id,
+        variantId,
+        name: [product.name, variantLabel(variant)].filter(Boolean).join(' - '),
+        quantity,
+        submittedPrice,
+        currentPrice,
+      });
+    }
+    pricedItems.push({ product, variant, quantity, price: currentPrice });
+  }
+
+  if (unavailableItems.length > 0) {
+    return new Response(JSON.stringify({
+      success: false,
+      code: 'PRODUCT_UNAVAILABLE',
+      error: 'Some items in your cart are no longer available',
+      unavailableItems,
+    }), {
       headers: { ...corsHeaders, 'Content-Type': 'application/json' },
-      status: 500,
+      status: 409,
     });
   }
 
-  // --- Fetch Product Details for Email ---
-  let productDetailsText = '';
-  let productDetailsHtml = '';
-  if (orderItems.length > 0) {
-    const productIds = orderItems.map(item => item.productId);
-    const { data: products, error: productsError } = await supabase
-      .from('products')
-      .select('id, name')
-      .in('id', productIds);
-    if (!productsError && products) {
-      productDetailsText = orderItems.map(item => {
-        const prod = products.find(p => p.id === item.productId);
-        return `- ${prod?.name || 'Product'} x${item.quantity}`;
-      }).join('\n');
-      productDetailsHtml = orderItems.map(item => {
-        const prod = products.find(p => p.id === item.productId);
-        return `<li><b>${prod?.name || 'Product'}</b> &times; ${item.quantity}</li>`;
-      }).join('');
+  const subtotal = roundMoney(pricedItems.reduce((sum, item) => sum + item.price * item.quantity, 0));
+
+  // --- Promo Code ---
+  let discount = null;
+  if (couponCode) {
+    // Usage caps count every shopper's redemptions, which RLS hides from this user's client
+    const supabaseAdminClient = createClient(supabaseUrl, Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!);
+    let couponResult;
+    try {
+      couponResult = await evaluateCoupon(supabaseAdminClient, couponCode, userId, pricedItems);
+    } catch (e) {
+      return new Response(JSON.stringify({ error: e.message }), {
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+        status: 500,
+      });
+    }
+    if (!couponResult.valid) {
+      return new Response(JSON.stringify({ success: false, code: 'COUPON_INVALID', error: couponResult.error }), {
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+        status: 422,
+      });
     }
+    discount = {
+      couponId: couponResult.coupon.id,
+      code: couponResult.coupon.code,
+      description: couponResult.description,
+      amount: couponResult.discountAmount,
+    };
   }
+  const discountAmount = discount ? discount.amount : 0;
 
-  // --- Estimate Delivery Date ---
-  const deliveryStart = new Date();
-  deliveryStart.setDate(deliveryStart.getDate() + 3);
-  const deliveryEnd = new Date();
-  deliveryEnd.setDate(deliveryEnd.getDate() + 5);
-  const deliveryRange = `${deliveryStart.toLocaleDateString()} - ${deliveryEnd.toLocaleDateString()}`;
-
-  // --- Send Order Confirmation Email via SendGrid ---
+  // --- Shipping (priced like get-shipping-quote; free shipping thresholds use the subtotal) ---
+  let shippingOption;
+  let shippingZone;
   try {
-    const SENDGRID_API_KEY = Deno.env.get('SENDGRID_API_KEY');
-    const SENDGRID_FROM_EMAIL = Deno.env.get('SENDGRID_FROM_EMAIL');
-    const toEmail = shippingAddress.email;
-    if (SENDGRID_API_KEY && SENDGRID_FROM_EMAIL && toEmail) {
-      const emailBody = {
-        personalizations: [
-          {
-            to: [{ email: toEmail }],
-            subject: `Dela Order Confirmation`,
-          },
-        ],
-        from: { email: SENDGRID_FROM_EMAIL, name: 'SuriAddis' },
-        content: [
-          {
-            type: 'text/plain',
-            value:
-`Thank you for your order!
-
-Order ID: ${order.id}
-Total: ${totalAmount}
-
-Items Ordered:\n${productDetailsText}\n\nShipping Address:\n${shippingAddress.street || ''} ${shippingAddress.city || ''} ${shippingAddress.country || ''}\n\nEstimated Delivery: ${deliveryRange}\n\nWe will notify you when your order ships.\n\nIf you have questions, reply to this email.`
-          },
-          {
-            type: 'text/html',
-            value:
-`<h2>Thank you for your order!</h2>
-<p><b>Order ID:</b> ${order.id}<br/>
-<b>Total:</b> ${totalAmount}</p>
-<h3>Items Ordered:</h3>
-<ul>${productDetailsHtml}</ul>
-<h3>Shipping Address:</h3>
-<p>${shippingAddress.street || ''}<br/>${shippingAddress.city || ''}<br/>${shippingAddress.country || ''}</p>
-<p><b>Estimated Delivery:</b> ${deliveryRange}</p>
-<p>We will notify you when your order ships.<br/>If you have questions, reply to this email.</p>`
-          }
-        ],
-      };
-      await fetch('https://api.sendgrid.com/v3/mail/send', {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${SENDGRID_API_KEY}`,
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(emailBody),
+    const quote = await quoteShipping(supabase, { address: shippingAddress, lines: pricedItems, subtotal });
+    shippingOption = quote.options.find(option => option.methodId === shippingMethodId);
+    shippingZone = quote.zone;
+    if (!shippingOption) {
+      return new Response(JSON.stringify({
+        success: false,
+        code: 'SHIPPING_UNAVAILABLE',
+        error: quote.zone
+          ? 'The selected delivery option is not available for this order. Please choose another.'
+          : 'We do not deliver to this address yet.',
+        shippingOptions: quote.options,
+      }), {
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+        status: 422,
       });
     }
   } catch (e) {
-    console.error('SendGrid email error:', e);
-    // Do not fail the order if email fails
+    return new Response(JSON.stringify({ error: e.message }), {
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+      status: 500,
+    });
+  }
+  const shippingFee = shippingOption.fee;
+  const computedTotal = roundMoney(subtotal - discountAmount + shippingFee);
+
+  if (priceChanges.length > 0 || Math.abs(totalAmount - computedTotal) > PRICE_TOLERANCE) {
+    console.warn(`Rejecting order for ${userId ? `user ${userId}` : 'guest'}: submitted total ${totalAmount}, current total ${computedTotal}`);
+    return new Response(JSON.stringify({
+      success: false,
+      code: 'PRICE_CHANGED',
+      error: 'Some prices have changed since you added them to your cart. Please review and confirm.',
+      priceChanges,
+      submittedTotal: totalAmount,
+      subtotal,
+      discountAmount,
+      shippingFee,
+      totalAmount: computedTotal,
+    }), {
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+      status: 409,
+    });
+  }
+
+  // --- Create Order, Order Items and Decrement Stock (single transaction) ---
+  // Only the service role may place orders, since the function trusts the amounts worked out
+  // above; p_user_id names the shopper checked above, or is null with p_guest
+  const supabaseServiceClient = createClient(supabaseUrl, Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!);
+  const { data: placed, error: placeError } = await supabaseServiceClient.rpc('create_order_with_stock', {
+    p_user_id: userId,
+    p_shipping_address: shippingAddress,
+    p_subtotal_amount: subtotal,
+    p_total_amount: computedTotal,
+    p_items: pricedItems.map(item => ({
+      productId: item.product.id,
+      variantId: item.variant?.id || null,
+      quantity: item.quantity,
+      price: item.price,
+    })),
+    p_discount: discount,
+    p_shipping: {
+      methodId: shippingOption.methodId,
+      code: shippingOption.code,
+      name: shippingOption.name,
+      zoneId: shippingZone.id,
+      fee: shippingFee,
+      estimatedStart: shippingOption.estimatedDelivery.start,
+      estimatedEnd: shippingOption.estimatedDelivery.end,
+    },
+    p_guest: userId ? null : { email: shippingAddress.email },
+  });
+
+  if (placeError || !placed) {
+    console.error('Order Placement Error:', JSON.stringify(placeError, null, 2));
+    return new Response(JSON.stringify({ error: 'Database error creating order', details: placeError }), {
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+      status: 500,
+    });
+  }
+
+  if (!placed.success && placed.code === 'COUPON_INVALID') {
+    return new Response(JSON.stringify({ success: false, code: placed.code, error: placed.error }), {
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+      status: 422,
+    });
+  }
+  if (!placed.success) {
+    return new Response(JSON.stringify({
+      success: false,
+      code: placed.code,
+      error: 'Some items do not have enough stock for this order',
+      insufficientItems: placed.insufficientItems || [],
+    }), {
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+      status: 409,
+    });
+  }
+  const order = placed.order;
+
+  // --- Order Confirmation (email and SMS via the notification outbox, sent right away when possible) ---
+  try {
+    const supabaseAdminClient = createClient(supabaseUrl, Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!);
+    const payload = {
+      orderId: order.id,
+      firstName: shippingAddress.firstName || null,
+      items: pricedItems.map(item => ({
+        name: [item.product.name, variantLabel(item.variant)].filter(Boolean).join(' - '),
+        quantity: item.quantity,
+      })),
+      discountCode: discount?.code || null,
+      discountAmount,
+      shippingMethod: shippingOption.name,
+      shippingFee,
+      pickupLocation: shippingOption.pickupLocation,
+      total: computedTotal,
+      shippingAddress: {
+        street: shippingAddress.street,
+        subCity: shippingAddress.subCity,
+        landmark: shippingAddress.landmark,
+        city: shippingAddress.city,
+        country: shippingAddress.country,
+      },
+      estimatedDelivery: formatDeliveryWindow(shippingOption.estimatedDelivery),
+    };
+    const notificationIds = await Promise.all([
+      enqueueNotification(supabaseAdminClient, {
+        template: 'order_placed',
+        recipient: shippingAddress.email || userEmail,
+        userId,
+        orderId: order.id,
+        dedupeKey: `order_placed:${order.id}`,
+        payload,
+      }),
+      enqueueNotification(supabaseAdminClient, {
+        template: 'order_placed',
+        channel: 'sms',
+        recipient: normalizeEthiopianPhone(shippingAddress.phone),
+        userId,
+        orderId: order.id,
+        dedupeKey: `order_placed:sms:${order.id}`,
+        payload,
+      }),
+    ]);
+    const queued = notificationIds.filter((id): id is string => Boolean(id));
+    if (queued.length > 0) {
+      await dispatchNotifications(supabaseAdminClient, { ids: queued });
+    }
+  } catch (e) {
+    // Do not fail the order if notifications fail; anything left queued is retried by dispatch-notifications
+    console.error('Order confirmation notification error:', e);
   }
 
   return new Response(JSON.stringify({ success: true, order }), {
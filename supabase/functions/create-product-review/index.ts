@@ -0,0 +1,72 @@
+import { serve } from 'https://deno.land/std@0.177.0/http/server.ts';
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2';
+import { corsHeaders } from '../_shared/cors.ts';
+import { jsonResponse } from '../_shared/response.ts';
+import { MAX_REVIEW_BODY_LENGTH, MAX_REVIEW_PHOTOS, withPhotoUrls } from '../_shared/reviews.ts';
+
+// Shopper reviews a delivered order line.
+// Body: { orderItemId, rating: 1-5, title?, body?, photoPaths?: string[] }
+// Photos are uploaded by the client to the review-photos bucket under <user id>/<product id>/ first.
+// New reviews wait for moderation before they show up on the product page.
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  const authHeader = req.headers.get('Authorization');
+  if (!authHeader) {
+    return jsonResponse({ success: false, error: 'Missing Authorization header' }, 401);
+  }
+
+  const supabase = createClient(Deno.env.get('SUPABASE_URL')!, Deno.env.get('SUPABASE_ANON_KEY')!, {
+    global: { headers: { Authorization: authHeader } },
+    db: { schema: 'public' },
+  });
+
+  try {
+    const { data: { user }, error: userError } = await supabase.auth.getUser();
+    if (userError || !user) {
+      return jsonResponse({ success: false, error: 'Authentication failed' }, 401);
+    }
+
+    const { orderItemId, rating, title, body, photoPaths } = await req.json().catch(() => ({}));
+    if (!orderItemId) {
+      return jsonResponse({ success: false, error: 'orderItemId is required' }, 400);
+    }
+    const stars = Number(rating);
+    if (!Number.isInteger(stars) || stars < 1 || stars > 5) {
+      return jsonResponse({ success: false, error: 'rating must be a whole number from 1 to 5' }, 400);
+    }
+    if (body && String(body).length > MAX_REVIEW_BODY_LENGTH) {
+      return jsonResponse({ success: false, error: `Reviews are limited to ${MAX_REVIEW_BODY_LENGTH} characters` }, 400);
+    }
+    const photos = Array.isArray(photoPaths) ? photoPaths.map(String) : [];
+    if (photos.length > MAX_REVIEW_PHOTOS) {
+      return jsonResponse({ success: false, error: `At most ${MAX_REVIEW_PHOTOS} photos can be attached` }, 400);
+    }
+
+    // submit_product_review checks ownership, delivery and that the line was not reviewed yet
+    const { data: review, error } = await supabase.rpc('submit_product_review', {
+      p_order_item_id: orderItemId,
+      p_rating: stars,
+      p_title: title ? String(title).trim() : null,
+      p_body: body ? String(body).trim() : null,
+      p_photo_paths: photos,
+    });
+    if (error) {
+      if (error.code === 'P0002') {
+        return jsonResponse({ success: false, error: 'Order item not found' }, 404);
+      }
+      if (error.code === '23514') {
+        return jsonResponse({ success: false, code: 'NOT_REVIEWABLE', error: error.message }, 409);
+      }
+      console.error('submit_product_review error:', error);
+      return jsonResponse({ success: false, error: error.message }, 400);
+    }
+
+    return jsonResponse({ success: true, data: withPhotoUrls(supabase, review) }, 201);
+  } catch (err) {
+    console.error('create-product-review error:', err);
+    return jsonResponse({ success: false, error: err.message }, 500);
+  }
+});
@@ -0,0 +1,72 @@
+import { serve } from 'https://deno.land/std@0.177.0/http/server.ts';
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2';
+import { corsHeaders } from '../_shared/cors.ts';
+import { jsonResponse } from '../_shared/response.ts';
+
+const RETURN_REASONS = ['damaged', 'wrong_item', 'not_as_described', 'no_longer_needed', 'other'];
+const MAX_PHOTOS = 5;
+
+// Shopper asks to return items from a delivered order.
+// Body: { orderId, reason, details?, items: [{ orderItemId, quantity }], photoPaths?: string[] }
+// Photos are uploaded by the client to the return-photos bucket under <user id>/<order id>/ first.
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  const authHeader = req.headers.get('Authorization');
+  if (!authHeader) {
+    return jsonResponse({ success: false, error: 'Missing Authorization header' }, 401);
+  }
+
+  const supabase = createClient(Deno.env.get('SUPABASE_URL')!, Deno.env.get('SUPABASE_ANON_KEY')!, {
+    global: { headers: { Authorization: authHeader } },
+    db: { schema: 'public' },
+  });
+
+  try {
+    const { data: { user }, error: userError } = await supabase.auth.getUser();
+    if (userError || !user) {
+      return jsonResponse({ success: false, error: 'Authentication failed' }, 401);
+    }
+
+    const { orderId, reason, details, items, photoPaths } = await req.json().catch(() => ({}));
+    if (!orderId) {
+      return jsonResponse({ success: false, error: 'orderId is required' }, 400);
+    }
+    if (!RETURN_REASONS.includes(reason)) {
+      return jsonResponse({ success: false, error: `reason must be one of: ${RETURN_REASONS.join(', ')}` }, 400);
+    }
+    if (!Array.isArray(items) || items.length === 0) {
+      return jsonResponse({ success: false, error: 'Select at least one item to return' }, 400);
+    }
+    const photos = Array.isArray(photoPaths) ? photoPaths.map(String) : [];
+    if (photos.length > MAX_PHOTOS) {
+      return jsonResponse({ success: false, error: `At most ${MAX_PHOTOS} photos can be attached` }, 400);
+    }
+
+    // request_return checks ownership, the delivery window and per-line quantities
+    const { data: request, error } = await supabase.rpc('request_return', {
+      p_order_id: orderId,
+      p_reason: reason,
+      p_details: details ? String(details).trim() : null,
+      p_items: items.map(item => ({ order_item_id: item.orderItemId, quantity: Number(item.quantity) })),
+      p_photo_paths: photos,
+    });
+    if (error) {
+      if (error.code === 'P0002') {
+        return jsonResponse({ success: false, error: 'Order not found' }, 404);
+      }
+      if (error.code === '23514') {
+        return jsonResponse({ success: false, code: 'NOT_RETURNABLE', error: error.message }, 409);
+      }
+      console.error('request_return error:', error);
+      return jsonResponse({ success: false, error: error.message }, 400);
+    }
+
+    return jsonResponse({ success: true, data: request }, 201);
+  } catch (err) {
+    console.error('create-return-request error:', err);
+    return jsonResponse({ success: false, error: err.message }, 500);
+  }
+});
@@ -0,0 +1,66 @@
+import { serve } from 'https://deno.land/std@0.177.0/http/server.ts';
+import { corsHeaders } from '../_shared/cors.ts';
+import { jsonResponse } from '../_shared/response.ts';
+import {
+  SELLER_PRODUCT_COLUMNS,
+  requireSeller,
+  sellerProductChanges,
+  sellerProductErrorStatus,
+  slugify,
+  toSellerProduct,
+} from '../_shared/sellers.ts';
+
+// POST { name, price, description?, original_price?, stock_quantity?, category_id?, brand?, weight_kg?, images?, is_active? }
+// Adds a product to the calling seller's store. Needs a verified ID; is_active asks to list it,
+// which needs full verification and, while product approval is on, sends it to review first
+// (see protect_seller_product()).
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  const auth = await requireSeller(req, { minVerification: 'basic' });
+  if (auth instanceof Response) return auth;
+  const { supabase, seller } = auth;
+
+  try {
+    const body = await req.json().catch(() => ({}));
+    const { changes, error: validationError } = sellerProductChanges(body, seller.id, { creating: true });
+    if (validationError || !changes) {
+      return jsonResponse({ success: false, error: validationError }, 400);
+    }
+
+    // Product slugs are unique; a taken one gets a short suffix
+    const baseSlug = slugify(String(changes.name)) || 'product';
+    let product = null;
+    for (const slug of [baseSlug, `${baseSlug}-${crypto.randomUUID().slice(0, 6)}`]) {
+      const { data, error } = await supabase
+        .from('products')
+        .insert({
+          is_active: false,
+          ...changes,
+          seller_id: seller.id,
+          seller_name: seller.store_name,
+          slug,
+        })
+        .select(SELLER_PRODUCT_COLUMNS)
+        .single();
+      if (!error) {
+        product = data;
+        break;
+      }
+      if (error.code !== '23505') {
+        console.error('Seller product insert error:', error);
+        return jsonResponse({ success: false, error: error.message }, sellerProductErrorStatus(error));
+      }
+    }
+    if (!product) {
+      return jsonResponse({ success: false, error: 'Please choose a different product name' }, 409);
+    }
+
+    return jsonResponse({ success: true, data: toSellerProduct(product) }, 201);
+  } catch (err) {
+    console.error('create-seller-product error:', err);
+    return jsonResponse({ success: false, error: err.message }, 500);
+  }
+});
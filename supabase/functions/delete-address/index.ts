@@ -0,0 +1,49 @@
+import { serve } from 'https://deno.land/std@0.177.0/http/server.ts';
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2';
+import { corsHeaders } from '../_shared/cors.ts';
+import { jsonResponse } from '../_shared/response.ts';
+
+// DELETE ?id=<address id>
+// Removes one of the caller's addresses; if it was the default, the most recently updated
+// remaining address takes over. Orders keep their own copy of the address.
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  const authHeader = req.headers.get('Authorization');
+  if (!authHeader) {
+    return jsonResponse({ success: false, error: 'Missing Authorization header' }, 401);
+  }
+
+  const supabase = createClient(Deno.env.get('SUPABASE_URL')!, Deno.env.get('SUPABASE_ANON_KEY')!, {
+    global: { headers: { Authorization: authHeader } },
+  });
+
+  try {
+    const { data: { user }, error: userError } = await supabase.auth.getUser();
+    if (userError || !user) {
+      return jsonResponse({ success: false, error: 'Authentication failed' }, 401);
+    }
+
+    const id = new URL(req.url).searchParams.get('id');
+    if (!id) return jsonResponse({ success: false, error: 'Missing address id' }, 400);
+
+    const { data, error } = await supabase
+      .from('customer_addresses')
+      .delete()
+      .eq('id', id)
+      .eq('user_id', user.id)
+      .select('id');
+    if (error) {
+      console.error('Address delete error:', error);
+      return jsonResponse({ success: false, error: error.message }, 400);
+    }
+    if (!data || data.length === 0) return jsonResponse({ success: false, error: 'Address not found' }, 404);
+
+    return jsonResponse({ success: true });
+  } catch (err) {
+    console.error('delete-address error:', err);
+    return jsonResponse({ success: false, error: err.message }, 500);
+  }
+});
@@ -0,0 +1,27 @@
+import { serve } from 'https://deno.land/std@0.177.0/http/server.ts';
+import { corsHeaders } from '../_shared/cors.ts';
+import { jsonResponse } from '../_shared/response.ts';
+import { requireAdmin } from '../_shared/adminAuth.ts';
+
+// DELETE ?id=<coupon id>
+// Past orders keep their discount lines (order_discounts.coupon_id is set to null).
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  const auth = await requireAdmin(req);
+  if (auth instanceof Response) return auth;
+  const { supabaseAdminClient } = auth;
+
+  try {
+    const id = new URL(req.url).searchParams.get('id');
+    if (!id) return jsonResponse({ success: false, error: 'Missing coupon id' }, 400);
+
+    const { error } = await supabaseAdminClient.from('coupons').delete().eq('id', id);
+    if (error) return jsonResponse({ success: false, error: error.message }, 400);
+    return jsonResponse({ success: true, message: 'Coupon deleted', data: {} });
+  } catch (err) {
+    return jsonResponse({ success: false, error: err.message }, 500);
+  }
+});
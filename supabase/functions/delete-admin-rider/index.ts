@@ -0,0 +1,54 @@
+import { serve } from 'https://deno.land/std@0.177.0/http/server.ts';
+import { corsHeaders } from '../_shared/cors.ts';
+import { jsonResponse } from '../_shared/response.ts';
+import { requireAdmin } from '../_shared/adminAuth.ts';
+import { setUserRole } from '../_shared/delivery.ts';
+
+// DELETE ?id=<riderId>
+// Only riders who never had a delivery can be removed (their account goes back to USER);
+// anyone else is deactivated instead, so delivery records keep their rider.
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  const auth = await requireAdmin(req);
+  if (auth instanceof Response) return auth;
+  const { supabaseAdminClient } = auth;
+
+  try {
+    const id = new URL(req.url).searchParams.get('id');
+    if (!id) return jsonResponse({ success: false, error: 'Missing id' }, 400);
+
+    const { data: rider, error: riderError } = await supabaseAdminClient
+      .from('riders')
+      .select('id, user_id')
+      .eq('id', id)
+      .maybeSingle();
+    if (riderError) return jsonResponse({ success: false, error: riderError.message }, 400);
+    if (!rider) return jsonResponse({ success: false, error: 'Rider not found' }, 404);
+
+    const { count, error: countError } = await supabaseAdminClient
+      .from('deliveries')
+      .select('id', { count: 'exact', head: true })
+      .eq('rider_id', id);
+    if (countError) return jsonResponse({ success: false, error: countError.message }, 400);
+    if ((count || 0) > 0) {
+      return jsonResponse({
+        success: false,
+        code: 'RIDER_HAS_DELIVERIES',
+        error: 'This rider has deliveries on record. Deactivate them instead.',
+      }, 409);
+    }
+
+    const { error } = await supabaseAdminClient.from('riders').delete().eq('id', id);
+    if (error) return jsonResponse({ success: false, error: error.message }, 400);
+
+    const { data: { user } } = await supabaseAdminClient.auth.admin.getUserById(rider.user_id);
+    if (user) await setUserRole(supabaseAdminClient, user, 'USER');
+
+    return jsonResponse({ success: true, message: 'Deleted', data: {} });
+  } catch (err) {
+    return jsonResponse({ success: false, error: err.message }, 500);
+  }
+});
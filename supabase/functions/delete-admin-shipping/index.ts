@@ -0,0 +1,32 @@
+import { serve } from 'https://deno.land/std@0.177.0/http/server.ts';
+import { corsHeaders } from '../_shared/cors.ts';
+import { jsonResponse } from '../_shared/response.ts';
+import { requireAdmin } from '../_shared/adminAuth.ts';
+
+const TABLES = { zone: 'delivery_zones', method: 'shipping_methods', rate: 'shipping_rates' };
+
+// DELETE ?resource=zone|method|rate&id=
+// Deleting a zone or method deletes its rates; past orders keep their shipping snapshot.
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  const auth = await requireAdmin(req);
+  if (auth instanceof Response) return auth;
+  const { supabaseAdminClient } = auth;
+
+  try {
+    const url = new URL(req.url);
+    const table = TABLES[url.searchParams.get('resource') as keyof typeof TABLES];
+    const id = url.searchParams.get('id');
+    if (!table) return jsonResponse({ success: false, error: 'resource must be zone, method or rate' }, 400);
+    if (!id) return jsonResponse({ success: false, error: 'Missing id' }, 400);
+
+    const { error } = await supabaseAdminClient.from(table).delete().eq('id', id);
+    if (error) return jsonResponse({ success: false, error: error.message }, 400);
+    return jsonResponse({ success: true, message: 'Deleted', data: {} });
+  } catch (err) {
+    return jsonResponse({ success: false, error: err.message }, 500);
+  }
+});
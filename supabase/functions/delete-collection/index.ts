@@ -0,0 +1,42 @@
+import { serve } from 'https://deno.land/std@0.177.0/http/server.ts';
+import { corsHeaders } from '../_shared/cors.ts';
+import { jsonResponse } from '../_shared/response.ts';
+import { requireSeller } from '../_shared/sellers.ts';
+
+// POST { collection_id }
+// Deletes one of the calling seller's collections; its products are untouched.
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  const auth = await requireSeller(req);
+  if (auth instanceof Response) return auth;
+  const { supabase, seller } = auth;
+
+  try {
+    const { collection_id: collectionId } = await req.json().catch(() => ({}));
+    if (!collectionId) {
+      return jsonResponse({ success: false, error: 'collection_id is required' }, 400);
+    }
+
+    const { data: deleted, error } = await supabase
+      .from('collections')
+      .delete()
+      .eq('id', collectionId)
+      .eq('seller_id', seller.id)
+      .select('id');
+    if (error) {
+      console.error('Collection delete error:', error);
+      return jsonResponse({ success: false, error: error.message }, 400);
+    }
+    if (!deleted || deleted.length === 0) {
+      return jsonResponse({ success: false, error: 'Collection not found' }, 404);
+    }
+
+    return jsonResponse({ success: true, data: { id: collectionId } });
+  } catch (err) {
+    console.error('delete-collection error:', err);
+    return jsonResponse({ success: false, error: err.message }, 500);
+  }
+});
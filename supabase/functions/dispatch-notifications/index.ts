@@ -0,0 +1,34 @@
+import { serve } from 'https://deno.land/std@0.177.0/http/server.ts';
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2';
+import { corsHeaders } from '../_shared/cors.ts';
+import { jsonResponse } from '../_shared/response.ts';
+import { dispatchNotifications } from '../_shared/notifications.ts';
+
+const MAX_BATCH = 100;
+
+// POST { limit?: number }
+// Sends due notifications from the outbox. Meant for a scheduled job (every minute) calling
+// with the service role key as the bearer token; nobody else may trigger sends.
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  const serviceRoleKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!;
+  const token = (req.headers.get('Authorization') || '').replace('Bearer ', '').trim();
+  if (!token || token !== serviceRoleKey) {
+    return jsonResponse({ success: false, error: 'Forbidden' }, 403);
+  }
+
+  try {
+    const body = await req.json().catch(() => ({}));
+    const limit = Math.min(Math.max(parseInt(body.limit, 10) || 20, 1), MAX_BATCH);
+
+    const supabaseAdmin = createClient(Deno.env.get('SUPABASE_URL')!, serviceRoleKey);
+    const summary = await dispatchNotifications(supabaseAdmin, { limit });
+    return jsonResponse({ success: true, data: summary });
+  } catch (err) {
+    console.error('dispatch-notifications error:', err);
+    return jsonResponse({ success: false, error: err.message }, 500);
+  }
+});
@@ -0,0 +1,71 @@
+import { serve } from 'https://deno.land/std@0.177.0/http/server.ts';
+import { corsHeaders } from '../_shared/cors.ts';
+import { jsonResponse } from '../_shared/response.ts';
+import {
+  SELLER_PRODUCT_COLUMNS,
+  requireSeller,
+  sellerProductErrorStatus,
+  slugify,
+  toSellerProduct,
+} from '../_shared/sellers.ts';
+
+// POST { product_id }
+// Copies one of the calling seller's products into a new hidden draft named "<name> (copy)".
+// The copy reuses the original's images; stock, ratings and sales start from zero.
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  const auth = await requireSeller(req, { minVerification: 'basic' });
+  if (auth instanceof Response) return auth;
+  const { supabase, seller } = auth;
+
+  try {
+    const { product_id: productId } = await req.json().catch(() => ({}));
+    if (!productId) {
+      return jsonResponse({ success: false, error: 'product_id is required' }, 400);
+    }
+
+    const { data: source, error: fetchError } = await supabase
+      .from('products')
+      .select('name, description, price, original_price, images, category_id, brand, weight_kg, seller_name, seller_location')
+      .eq('id', productId)
+      .eq('seller_id', seller.id)
+      .maybeSingle();
+    if (fetchError) {
+      console.error('Seller product fetch error:', fetchError);
+      return jsonResponse({ success: false, error: fetchError.message }, 400);
+    }
+    if (!source) {
+      return jsonResponse({ success: false, error: 'Product not found' }, 404);
+    }
+
+    const name = `${source.name} (copy)`.slice(0, 200);
+    const baseSlug = slugify(name) || 'product';
+    let product = null;
+    for (const slug of [baseSlug, `${baseSlug}-${crypto.randomUUID().slice(0, 6)}`]) {
+      const { data, error } = await supabase
+        .from('products')
+        .insert({ ...source, name, slug, seller_id: seller.id, stock_quantity: 0, is_active: false })
+        .select(SELLER_PRODUCT_COLUMNS)
+        .single();
+      if (!error) {
+        product = data;
+        break;
+      }
+      if (error.code !== '23505') {
+        console.error('Seller product duplicate error:', error);
+        return jsonResponse({ success: false, error: error.message }, sellerProductErrorStatus(error));
+      }
+    }
+    if (!product) {
+      return jsonResponse({ success: false, error: 'Could not name the copy, please try again' }, 409);
+    }
+
+    return jsonResponse({ success: true, data: toSellerProduct(product) }, 201);
+  } catch (err) {
+    console.error('duplicate-seller-product error:', err);
+    return jsonResponse({ success: false, error: err.message }, 500);
+  }
+});
@@ -0,0 +1,82 @@
+import { serve } from 'https://deno.land/std@0.177.0/http/server.ts';
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2';
+import { corsHeaders } from '../_shared/cors.ts';
+import { jsonResponse } from '../_shared/response.ts';
+import {
+  FAKE_GATEWAY_SIGNATURE_HEADER,
+  getFakeGatewaySecret,
+  getPaymentProvider,
+  hmacSha256Hex,
+} from '../_shared/payments.ts';
+
+// Stands in for a real gateway's servers during local development.
+// Body: { txRef: string, outcome: 'success' | 'failure' }
+// Signs the event and delivers it to payment-webhook exactly as a provider would.
+// Guests can only complete payments for guest orders (payments without a user).
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  if (!getPaymentProvider('fake')?.isEnabled()) {
+    return jsonResponse({ success: false, error: 'The fake gateway is disabled' }, 404);
+  }
+
+  const authHeader = req.headers.get('Authorization');
+  if (!authHeader) {
+    return jsonResponse({ success: false, error: 'Missing Authorization header' }, 401);
+  }
+
+  const supabaseUrl = Deno.env.get('SUPABASE_URL')!;
+  const supabase = createClient(supabaseUrl, Deno.env.get('SUPABASE_ANON_KEY')!, {
+    global: { headers: { Authorization: authHeader } },
+  });
+  const supabaseAdminClient = createClient(supabaseUrl, Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!);
+
+  try {
+    const { data: { user } } = await supabase.auth.getUser();
+
+    const { txRef, outcome } = await req.json().catch(() => ({}));
+    if (!txRef || !['success', 'failure'].includes(outcome)) {
+      return jsonResponse({ success: false, error: "txRef and outcome ('success' | 'failure') are required" }, 400);
+    }
+
+    // RLS: shoppers can only read their own payments
+    const paymentColumns = 'tx_ref, amount, provider, provider_reference';
+    const { data: payment, error: paymentError } = user
+      ? await supabase.from('payments').select(paymentColumns).eq('tx_ref', txRef).maybeSingle()
+      : await supabaseAdminClient.from('payments').select(paymentColumns).eq('tx_ref', txRef).is('user_id', null).maybeSingle();
+    if (paymentError) {
+      return jsonResponse({ success: false, error: paymentError.message }, 500);
+    }
+    if (!payment || payment.provider !== 'fake') {
+      return jsonResponse({ success: false, error: 'Payment not found' }, 404);
+    }
+
+    const event = JSON.stringify({
+      event: outcome === 'success' ? 'charge.success' : 'charge.failed',
+      status: outcome,
+      tx_ref: payment.tx_ref,
+      amount: Number(payment.amount),
+      currency: 'ETB',
+      reference: payment.provider_reference,
+    });
+    const webhookResponse = await fetch(`${supabaseUrl}/functions/v1/payment-webhook?provider=fake`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        [FAKE_GATEWAY_SIGNATURE_HEADER]: await hmacSha256Hex(getFakeGatewaySecret(), event),
+      },
+      body: event,
+    });
+    const webhookBody = await webhookResponse.json().catch(() => null);
+    if (!webhookResponse.ok || !webhookBody?.success) {
+      return jsonResponse({ success: false, error: webhookBody?.error || 'Webhook delivery failed' }, 502);
+    }
+
+    return jsonResponse({ success: true, data: webhookBody.data });
+  } catch (err) {
+    console.error('fake-gateway error:', err);
+    return jsonResponse({ success: false, error: err.message }, 500);
+  }
+});
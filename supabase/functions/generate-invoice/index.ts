@@ -0,0 +1,132 @@
+import { serve } from 'https://deno.land/std@0.177.0/http/server.ts';
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2';
+import { corsHeaders } from '../_shared/cors.ts';
+import { jsonResponse } from '../_shared/response.ts';
+import { DEFAULT_STORE, renderInvoicePdf } from '../_shared/invoice.ts';
+
+const DOWNLOAD_URL_TTL_SECONDS = 60 * 5;
+
+// POST { orderId, regenerate?: boolean }
+// Returns a short-lived download URL for the order's invoice PDF, numbering and rendering it on
+// first request. Owners and admins can download; only admins can force a re-render (regenerate),
+// e.g. after store details changed or a refund went through. The invoice number never changes.
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  const authHeader = req.headers.get('Authorization');
+  if (!authHeader) {
+    return jsonResponse({ success: false, error: 'Missing Authorization header' }, 401);
+  }
+
+  const supabaseUrl = Deno.env.get('SUPABASE_URL')!;
+  const supabase = createClient(supabaseUrl, Deno.env.get('SUPABASE_ANON_KEY')!, {
+    global: { headers: { Authorization: authHeader } },
+    db: { schema: 'public' },
+  });
+  const supabaseAdmin = createClient(supabaseUrl, Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!);
+
+  try {
+    const { data: { user }, error: userError } = await supabase.auth.getUser();
+    if (userError || !user) {
+      return jsonResponse({ success: false, error: 'Authentication failed' }, 401);
+    }
+
+    const { orderId, regenerate } = await req.json().catch(() => ({}));
+    if (!orderId) {
+      return jsonResponse({ success: false, error: 'orderId is required' }, 400);
+    }
+
+    if (regenerate) {
+      const { data: isAdmin } = await supabase.rpc('is_admin');
+      if (isAdmin !== true) {
+        return jsonResponse({ success: false, error: 'Forbidden: Admin role required.' }, 403);
+      }
+    }
+
+    // RLS decides whether the caller may see this order at all
+    const { data: order, error: orderError } = await supabase
+      .from('orders')
+      .select(`
+        id, "shippingAddress", "totalAmount", subtotal_amount, discount_amount, coupon_code, refunded_amount,
+        shipping_method_name, shipping_fee,
+        payment_method, payment_status, created_at,
+        order_items(id, "productId", quantity, price, variant_label)
+      `)
+      .eq('id', orderId)
+      .maybeSingle();
+    if (orderError) {
+      console.error('Invoice order fetch error:', orderError);
+      return jsonResponse({ success: false, error: orderError.message }, 400);
+    }
+    if (!order) {
+      return jsonResponse({ success: false, error: 'Order not found' }, 404);
+    }
+
+    const { data: invoice, error: invoiceError } = await supabaseAdmin.rpc('issue_invoice', { p_order_id: orderId });
+    if (invoiceError || !invoice) {
+      console.error('issue_invoice error:', invoiceError);
+      return jsonResponse({ success: false, error: invoiceError?.message || 'Could not issue invoice' }, 500);
+    }
+
+    let storagePath = invoice.storage_path;
+    let generatedAt = invoice.generated_at;
+    if (!storagePath || regenerate) {
+      const productIds = (order.order_items || []).map(item => item.productId);
+      const [{ data: products }, { data: storeSetting }] = await Promise.all([
+        productIds.length > 0
+          ? supabaseAdmin.from('products').select('id, name').in('id', productIds)
+          : Promise.resolve({ data: [] }),
+        supabaseAdmin.from('settings').select('value').eq('key', 'store').maybeSingle(),
+      ]);
+      const namesById = new Map((products || []).map(p => [p.id, p.name]));
+
+      const pdf = await renderInvoicePdf({
+        invoiceNumber: invoice.invoice_number,
+        issuedAt: invoice.issued_at,
+        store: { ...DEFAULT_STORE, ...(storeSetting?.value || {}) },
+        order,
+        items: (order.order_items || []).map(item => ({
+          name: [namesById.get(item.productId) || 'Product', item.variant_label].filter(Boolean).join(' - '),
+          quantity: item.quantity,
+          price: Number(item.price),
+        })),
+      });
+
+      storagePath = `${orderId}/${invoice.invoice_number}.pdf`;
+      const { error: uploadError } = await supabaseAdmin.storage
+        .from('invoices')
+        .upload(storagePath, pdf, { contentType: 'application/pdf', upsert: true });
+      if (uploadError) {
+        console.error('Invoice upload error:', uploadError);
+        return jsonResponse({ success: false, error: 'Could not store the invoice' }, 500);
+      }
+
+      generatedAt = new Date().toISOString();
+      const { error: updateError } = await supabaseAdmin
+        .from('invoices')
+        .update({ storage_path: storagePath, generated_at: generatedAt, generation_count: invoice.generation_count + 1 })
+        .eq('id', invoice.id);
+      if (updateError) {
+        console.error('Invoice update error:', updateError);
+      }
+    }
+
+    const { data: signed, error: signError } = await supabaseAdmin.storage
+      .from('invoices')
+      .createSignedUrl(storagePath, DOWNLOAD_URL_TTL_SECONDS, { download: `${invoice.invoice_number}.pdf` });
+    if (signError || !signed) {
+      console.error('Invoice sign error:', signError);
+      return jsonResponse({ success: false, error: 'Could not create a download link' }, 500);
+    }
+
+    return jsonResponse({
+      success: true,
+      data: { invoiceNumber: invoice.invoice_number, url: signed.signedUrl, generatedAt },
+    });
+  } catch (err) {
+    console.error('generate-invoice error:', err);
+    return jsonResponse({ success: false, error: err.message }, 500);
+  }
+});
@@ -0,0 +1,68 @@
+import { serve } from 'https://deno.land/std@0.177.0/http/server.ts';
+import { corsHeaders } from '../_shared/cors.ts';
+import { jsonResponse } from '../_shared/response.ts';
+import { requireAdmin } from '../_shared/adminAuth.ts';
+
+// GET ?page=&limit=&search=  (or ?id= for a single coupon)
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  const auth = await requireAdmin(req);
+  if (auth instanceof Response) return auth;
+  const { supabaseAdminClient } = auth;
+
+  try {
+    const url = new URL(req.url);
+    const id = url.searchParams.get('id');
+    if (id) {
+      const { data, error } = await supabaseAdminClient.from('coupons').select('*').eq('id', id).maybeSingle();
+      if (error) return jsonResponse({ success: false, error: error.message }, 400);
+      if (!data) return jsonResponse({ success: false, error: 'Coupon not found' }, 404);
+      return jsonResponse({ success: true, data });
+    }
+
+    const page = parseInt(url.searchParams.get('page') || '1', 10);
+    const limit = parseInt(url.searchParams.get('limit') || '10', 10);
+    const search = url.searchParams.get('search');
+    const from = (page - 1) * limit;
+    const to = from + limit - 1;
+
+    let query = supabaseAdminClient
+      .from('coupons')
+      .select('*', { count: 'exact' })
+      .order('created_at', { ascending: false })
+      .range(from, to);
+    if (search) {
+      query = query.ilike('code', `%${search}%`);
+    }
+
+    const { data: coupons, error, count } = await query;
+    if (error) return jsonResponse({ success: false, error: error.message }, 400);
+
+    // Attach redemption counts so the list can show "used 12 / 100" (cancelled orders do not count)
+    const timesUsed: Record<string, number> = {};
+    if (coupons && coupons.length > 0) {
+      const { data: redemptions, error: redemptionsError } = await supabaseAdminClient
+        .from('coupon_redemptions')
+        .select('coupon_id')
+        .in('coupon_id', coupons.map(c => c.id));
+      if (redemptionsError) return jsonResponse({ success: false, error: redemptionsError.message }, 400);
+      (redemptions || []).forEach(r => {
+        timesUsed[r.coupon_id] = (timesUsed[r.coupon_id] || 0) + 1;
+      });
+    }
+
+    const totalCoupons = count || 0;
+    return jsonResponse({
+      success: true,
+      data: (coupons || []).map(c => ({ ...c, times_used: timesUsed[c.id] || 0 })),
+      count: totalCoupons,
+      currentPage: page,
+      totalPages: Math.ceil(totalCoupons / limit),
+    });
+  } catch (err) {
+    return jsonResponse({ success: false, error: err.message }, 500);
+  }
+});
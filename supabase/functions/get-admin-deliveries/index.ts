@@ -0,0 +1,45 @@
+import { serve } from 'https://deno.land/std@0.177.0/http/server.ts';
+import { corsHeaders } from '../_shared/cors.ts';
+import { jsonResponse } from '../_shared/response.ts';
+import { requireAdmin } from '../_shared/adminAuth.ts';
+
+// GET: the dispatch board. Shipped orders that go out with a rider (not pickup), oldest first,
+// each with its delivery (null until assigned) and rider.
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  const auth = await requireAdmin(req);
+  if (auth instanceof Response) return auth;
+  const { supabaseAdminClient } = auth;
+
+  try {
+    const [orders, pickupMethods] = await Promise.all([
+      supabaseAdminClient
+        .from('orders')
+        .select(`
+          id, created_at, shipped_at, shippingAddress, totalAmount, payment_method, payment_status,
+          shipping_method_id, shipping_method_name, estimated_delivery_start, estimated_delivery_end,
+          delivery:deliveries(
+            id, status, assigned_at, started_at, failed_attempts, failure_reason,
+            rider:riders(id, full_name, phone)
+          )
+        `)
+        .eq('status', 'shipped')
+        .order('shipped_at', { ascending: true, nullsFirst: true })
+        .limit(200),
+      supabaseAdminClient.from('shipping_methods').select('id').eq('kind', 'pickup'),
+    ]);
+    const error = orders.error || pickupMethods.error;
+    if (error) return jsonResponse({ success: false, error: error.message }, 400);
+
+    const pickupIds = new Set((pickupMethods.data || []).map(method => method.id));
+    return jsonResponse({
+      success: true,
+      data: (orders.data || []).filter(order => !pickupIds.has(order.shipping_method_id)),
+    });
+  } catch (err) {
+    return jsonResponse({ success: false, error: err.message }, 500);
+  }
+});
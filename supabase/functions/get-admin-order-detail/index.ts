@@ -0,0 +1,73 @@
+import { serve } from 'https://deno.land/std@0.177.0/http/server.ts';
+import { corsHeaders } from '../_shared/cors.ts';
+import { jsonResponse } from '../_shared/response.ts';
+import { requireAdmin } from '../_shared/adminAuth.ts';
+import { ORDER_FULFILLMENTS_SELECT, withFulfillmentStores } from '../_shared/sellers.ts';
+
+// GET ?id=<orderId> — the order with its items (and product names), per-store fulfilments, status history, rider
+// delivery (with a short-lived link to any proof photo or signature) and the email/SMS
+// notifications sent for it, each with its delivery attempts
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  const auth = await requireAdmin(req);
+  if (auth instanceof Response) return auth;
+  const { supabaseAdminClient } = auth;
+
+  try {
+    const orderId = new URL(req.url).searchParams.get('id');
+    if (!orderId) {
+      return jsonResponse({ success: false, error: 'Missing order ID' }, 400);
+    }
+
+    const { data: order, error } = await supabaseAdminClient
+      .from('orders')
+      .select(`
+        *,
+        order_items(id, productId, quantity, price, variant_id, variant_sku, variant_label, fulfillment_id),
+        ${ORDER_FULFILLMENTS_SELECT},
+        order_status_history(id, from_status, to_status, actor_role, changed_by, note, event, created_at),
+        delivery:deliveries(*, rider:riders(id, full_name, phone, vehicle)),
+        shipping_method:shipping_methods(kind),
+        refunds(id, amount, reason, status, reference, processed_at, created_at),
+        notification_outbox(
+          id, channel, template, recipient, status, attempts, last_error, provider, sent_at, created_at,
+          notification_attempts(id, attempt, success, provider, provider_message_id, error, created_at)
+        )
+      `)
+      .eq('id', orderId)
+      .maybeSingle();
+    if (error) return jsonResponse({ success: false, error: error.message }, 400);
+    if (!order) return jsonResponse({ success: false, error: 'Order not found' }, 404);
+
+    const productIds = (order.order_items || []).map(item => item.productId);
+    const { data: products } = productIds.length > 0
+      ? await supabaseAdminClient.from('products').select('id, name, images').in('id', productIds)
+      : { data: [] };
+    const productsById = new Map((products || []).map(p => [p.id, p]));
+
+    if (order.delivery?.proof_path) {
+      const { data: signed } = await supabaseAdminClient.storage
+        .from('delivery-proofs')
+        .createSignedUrl(order.delivery.proof_path, 60 * 60);
+      order.delivery.proof_url = signed?.signedUrl || null;
+    }
+
+    return jsonResponse({
+      success: true,
+      data: {
+        ...order,
+        order_items: (order.order_items || []).map(item => ({ ...item, product: productsById.get(item.productId) || null })),
+        order_fulfillments: await withFulfillmentStores(supabaseAdminClient, order.order_fulfillments),
+        order_status_history: (order.order_status_history || [])
+          .sort((a, b) => new Date(a.created_at).getTime() - new Date(b.created_at).getTime()),
+        notification_outbox: (order.notification_outbox || [])
+          .sort((a, b) => new Date(a.created_at).getTime() - new Date(b.created_at).getTime()),
+      },
+    });
+  } catch (err) {
+    return jsonResponse({ success: false, error: err.message }, 500);
+  }
+});
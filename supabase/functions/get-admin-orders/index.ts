@@ -52,7 +52,7 @@ serve(async (req) => {
     ].join(','));
   }
   if (status) {
-    query = query.eq('status', status);
+    query = query.eq('status', status.toLowerCase());
   }
 
   const { data, error, count } = await query;
@@ -0,0 +1,68 @@
+import { serve } from 'https://deno.land/std@0.177.0/http/server.ts';
+import { corsHeaders } from '../_shared/cors.ts';
+import { jsonResponse } from '../_shared/response.ts';
+import { requireAdmin } from '../_shared/adminAuth.ts';
+
+const STATUSES = ['pending_review', 'rejected', 'approved', 'draft'];
+
+// GET ?status=pending_review&page=&limit=
+// Seller products by approval status with their store, the review queue oldest first. Also says
+// whether product approval is currently required (settings 'marketplace').
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  const auth = await requireAdmin(req);
+  if (auth instanceof Response) return auth;
+  const { supabaseAdminClient } = auth;
+
+  try {
+    const url = new URL(req.url);
+    const status = url.searchParams.get('status') || 'pending_review';
+    const page = parseInt(url.searchParams.get('page') || '1', 10);
+    const limit = Math.min(parseInt(url.searchParams.get('limit') || '10', 10), 50);
+    const from = (page - 1) * limit;
+    const to = from + limit - 1;
+
+    if (!STATUSES.includes(status)) {
+      return jsonResponse({ success: false, error: `status must be one of: ${STATUSES.join(', ')}` }, 400);
+    }
+
+    const [{ data: products, error, count }, { count: pendingCount }, { data: setting }] = await Promise.all([
+      supabaseAdminClient
+        .from('products')
+        .select(`
+          id, name, slug, description, price, original_price, images, stock_quantity, brand, weight_kg,
+          approval_status, approval_note, submitted_at, reviewed_at, created_at,
+          category:categories(id, name),
+          seller:sellers(id, store_name, contact_email)
+        `, { count: 'exact' })
+        .not('seller_id', 'is', null)
+        .is('archived_at', null)
+        .eq('approval_status', status)
+        .order('submitted_at', { ascending: status === 'pending_review', nullsFirst: false })
+        .range(from, to),
+      supabaseAdminClient
+        .from('products')
+        .select('id', { count: 'exact', head: true })
+        .eq('approval_status', 'pending_review'),
+      supabaseAdminClient.from('settings').select('value').eq('key', 'marketplace').maybeSingle(),
+    ]);
+    if (error) return jsonResponse({ success: false, error: error.message }, 400);
+
+    const total = count || 0;
+    return jsonResponse({
+      success: true,
+      data: products || [],
+      pendingCount: pendingCount || 0,
+      approvalRequired: setting?.value?.seller_product_approval !== false,
+      count: total,
+      currentPage: page,
+      totalPages: Math.ceil(total / limit),
+    });
+  } catch (err) {
+    console.error('get-admin-product-approvals error:', err);
+    return jsonResponse({ success: false, error: err.message }, 500);
+  }
+});
@@ -1,6 +1,7 @@
 import { serve } from 'https://deno.land/std@0.177.0/http/server.ts';
 import { createClient } from 'https://esm.sh/@supabase/supabase-js@2';
 import { corsHeaders } from '../_shared/cors.ts';
+import { ADMIN_VARIANT_COLUMNS } from '../_shared/variants.ts';
 
 serve(async (req) => {
   if (req.method === 'OPTIONS') {
@@ -39,7 +40,12 @@ serve(async (req) => {
         status: 400,
       });
     }
-    const { data, error } = await supabase.from('products').select('*').eq('id', id).single();
+    const { data, error } = await supabase
+      .from('products')
+      .select(`*, variants:product_variants(${ADMIN_VARIANT_COLUMNS})`)
+      .eq('id', id)
+      .order('position', { foreignTable: 'product_variants', ascending: true })
+      .single();
     if (error) {
       return new Response(JSON.stringify({ success: false, error: error.message }), {
         headers: { ...corsHeaders, 'Content-Type': 'application/json' },
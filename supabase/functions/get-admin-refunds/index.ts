@@ -0,0 +1,57 @@
+import { serve } from 'https://deno.land/std@0.177.0/http/server.ts';
+import { corsHeaders } from '../_shared/cors.ts';
+import { jsonResponse } from '../_shared/response.ts';
+import { requireAdmin } from '../_shared/adminAuth.ts';
+
+// GET ?status=&page=&limit=
+// Refunds with their order, plus pending/completed totals across all refunds for the finance page.
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  const auth = await requireAdmin(req);
+  if (auth instanceof Response) return auth;
+  const { supabaseAdminClient } = auth;
+
+  try {
+    const url = new URL(req.url);
+    const status = url.searchParams.get('status');
+    const page = parseInt(url.searchParams.get('page') || '1', 10);
+    const limit = parseInt(url.searchParams.get('limit') || '10', 10);
+    const from = (page - 1) * limit;
+    const to = from + limit - 1;
+
+    let query = supabaseAdminClient
+      .from('refunds')
+      .select(`
+        id, order_id, return_request_id, amount, reason, status, reference, processed_at, created_at,
+        orders(id, status, "totalAmount", payment_method, "shippingAddress")
+      `, { count: 'exact' })
+      .order('created_at', { ascending: false })
+      .range(from, to);
+    if (status) query = query.eq('status', status);
+
+    const { data: refunds, error, count } = await query;
+    if (error) return jsonResponse({ success: false, error: error.message }, 400);
+
+    const { data: amounts, error: totalsError } = await supabaseAdminClient.from('refunds').select('amount, status');
+    if (totalsError) return jsonResponse({ success: false, error: totalsError.message }, 400);
+    const totals = { pending: 0, completed: 0 };
+    (amounts || []).forEach(r => {
+      totals[r.status as 'pending' | 'completed'] += Number(r.amount);
+    });
+
+    const totalRefunds = count || 0;
+    return jsonResponse({
+      success: true,
+      data: refunds || [],
+      totals,
+      count: totalRefunds,
+      currentPage: page,
+      totalPages: Math.ceil(totalRefunds / limit),
+    });
+  } catch (err) {
+    return jsonResponse({ success: false, error: err.message }, 500);
+  }
+});
@@ -0,0 +1,54 @@
+import { serve } from 'https://deno.land/std@0.177.0/http/server.ts';
+import { corsHeaders } from '../_shared/cors.ts';
+import { jsonResponse } from '../_shared/response.ts';
+import { requireAdmin } from '../_shared/adminAuth.ts';
+import { REVIEW_COLUMNS, withPhotoUrls } from '../_shared/reviews.ts';
+
+// GET ?status=pending|approved|rejected&page=&limit=
+// Moderation queue: reviews with their product, oldest first while pending so nothing waits forever.
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  const auth = await requireAdmin(req);
+  if (auth instanceof Response) return auth;
+  const { supabaseAdminClient } = auth;
+
+  try {
+    const url = new URL(req.url);
+    const status = url.searchParams.get('status');
+    const page = parseInt(url.searchParams.get('page') || '1', 10);
+    const limit = parseInt(url.searchParams.get('limit') || '10', 10);
+    const from = (page - 1) * limit;
+    const to = from + limit - 1;
+
+    let query = supabaseAdminClient
+      .from('product_reviews')
+      .select(`
+        ${REVIEW_COLUMNS}, moderation_note, moderated_at,
+        products(id, name, slug)
+      `, { count: 'exact' })
+      .order('created_at', { ascending: status === 'pending' })
+      .range(from, to);
+    if (status) query = query.eq('status', status);
+
+    const [{ data: reviews, error, count }, { count: pendingCount }] = await Promise.all([
+      query,
+      supabaseAdminClient.from('product_reviews').select('id', { count: 'exact', head: true }).eq('status', 'pending'),
+    ]);
+    if (error) return jsonResponse({ success: false, error: error.message }, 400);
+
+    const total = count || 0;
+    return jsonResponse({
+      success: true,
+      data: (reviews || []).map(review => withPhotoUrls(supabaseAdminClient, review)),
+      pendingCount: pendingCount || 0,
+      count: total,
+      currentPage: page,
+      totalPages: Math.ceil(total / limit),
+    });
+  } catch (err) {
+    return jsonResponse({ success: false, error: err.message }, 500);
+  }
+});
@@ -0,0 +1,43 @@
+import { serve } from 'https://deno.land/std@0.177.0/http/server.ts';
+import { corsHeaders } from '../_shared/cors.ts';
+import { jsonResponse } from '../_shared/response.ts';
+import { requireAdmin } from '../_shared/adminAuth.ts';
+
+// GET: every rider, active or not, with how many deliveries they have open and have completed
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  const auth = await requireAdmin(req);
+  if (auth instanceof Response) return auth;
+  const { supabaseAdminClient } = auth;
+
+  try {
+    const [riders, deliveries] = await Promise.all([
+      supabaseAdminClient.from('riders').select('*').order('is_active', { ascending: false }).order('full_name'),
+      supabaseAdminClient.from('deliveries').select('rider_id, status'),
+    ]);
+    const error = riders.error || deliveries.error;
+    if (error) return jsonResponse({ success: false, error: error.message }, 400);
+
+    const counts = new Map<string, { open: number; delivered: number }>();
+    for (const delivery of deliveries.data || []) {
+      const count = counts.get(delivery.rider_id) || { open: 0, delivered: 0 };
+      if (delivery.status === 'delivered') count.delivered += 1;
+      else if (delivery.status !== 'cancelled') count.open += 1;
+      counts.set(delivery.rider_id, count);
+    }
+
+    return jsonResponse({
+      success: true,
+      data: (riders.data || []).map(rider => ({
+        ...rider,
+        open_deliveries: counts.get(rider.id)?.open || 0,
+        completed_deliveries: counts.get(rider.id)?.delivered || 0,
+      })),
+    });
+  } catch (err) {
+    return jsonResponse({ success: false, error: err.message }, 500);
+  }
+});
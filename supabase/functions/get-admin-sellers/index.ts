@@ -0,0 +1,86 @@
+import { serve } from 'https://deno.land/std@0.177.0/http/server.ts';
+import { corsHeaders } from '../_shared/cors.ts';
+import { jsonResponse } from '../_shared/response.ts';
+import { requireAdmin } from '../_shared/adminAuth.ts';
+import { getVerificationLevel, withDocumentUrls } from '../_shared/sellers.ts';
+
+const STATUSES = ['pending_approval', 'needs_info', 'active', 'suspended', 'rejected'];
+
+// GET ?status=&search=&page=&limit=
+// Stores and applications with the full application (contact, tax and bank details), their KYC
+// documents (signed links) and verification level, the applicant's account email and their
+// status history. Pending applications are oldest first.
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  const auth = await requireAdmin(req);
+  if (auth instanceof Response) return auth;
+  const { supabaseAdminClient } = auth;
+
+  try {
+    const url = new URL(req.url);
+    const status = url.searchParams.get('status');
+    const search = url.searchParams.get('search')?.trim();
+    const page = parseInt(url.searchParams.get('page') || '1', 10);
+    const limit = Math.min(parseInt(url.searchParams.get('limit') || '10', 10), 50);
+    const from = (page - 1) * limit;
+    const to = from + limit - 1;
+
+    if (status && !STATUSES.includes(status)) {
+      return jsonResponse({ success: false, error: `status must be one of: ${STATUSES.join(', ')}` }, 400);
+    }
+
+    let query = supabaseAdminClient
+      .from('sellers')
+      .select(`
+        *,
+        seller_status_history(id, from_status, to_status, changed_by, note, created_at),
+        seller_documents(*)
+      `, { count: 'exact' })
+      .order('submitted_at', { ascending: status === 'pending_approval' })
+      .range(from, to);
+    if (status) query = query.eq('status', status);
+    if (search) {
+      const term = search.replace(/[%,()]/g, ' ');
+      query = query.or(`store_name.ilike.%${term}%,contact_email.ilike.%${term}%,tax_id.ilike.%${term}%`);
+    }
+
+    const [{ data: sellers, error, count }, { count: pendingCount }] = await Promise.all([
+      query,
+      supabaseAdminClient.from('sellers').select('id', { count: 'exact', head: true }).eq('status', 'pending_approval'),
+    ]);
+    if (error) return jsonResponse({ success: false, error: error.message }, 400);
+
+    // The account behind each store, and the admins named in its history
+    const userIds = [...new Set((sellers || []).flatMap(seller => [
+      seller.user_id,
+      ...(seller.seller_status_history || []).map((entry: any) => entry.changed_by),
+    ]).filter(Boolean))];
+    const users = await Promise.all(userIds.map(id => supabaseAdminClient.auth.admin.getUserById(id)));
+    const emailsById = new Map(users.map(({ data }) => [data.user?.id, data.user?.email || null]));
+
+    const data = await Promise.all((sellers || []).map(async ({ seller_status_history: history, seller_documents: documents, ...seller }) => ({
+      ...seller,
+      account_email: emailsById.get(seller.user_id) || null,
+      documents: await withDocumentUrls(supabaseAdminClient, documents || []),
+      verification_level: await getVerificationLevel(supabaseAdminClient, seller.id),
+      status_history: (history || [])
+        .map((entry: any) => ({ ...entry, changed_by_email: emailsById.get(entry.changed_by) || null }))
+        .sort((a: any, b: any) => new Date(b.created_at).getTime() - new Date(a.created_at).getTime()),
+    })));
+
+    const total = count || 0;
+    return jsonResponse({
+      success: true,
+      data,
+      pendingCount: pendingCount || 0,
+      count: total,
+      currentPage: page,
+      totalPages: Math.ceil(total / limit),
+    });
+  } catch (err) {
+    return jsonResponse({ success: false, error: err.message }, 500);
+  }
+});
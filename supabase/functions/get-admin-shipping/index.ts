@@ -0,0 +1,32 @@
+import { serve } from 'https://deno.land/std@0.177.0/http/server.ts';
+import { corsHeaders } from '../_shared/cors.ts';
+import { jsonResponse } from '../_shared/response.ts';
+import { requireAdmin } from '../_shared/adminAuth.ts';
+
+// GET: every delivery zone, shipping method and rate, active or not, for /admin/shipping
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  const auth = await requireAdmin(req);
+  if (auth instanceof Response) return auth;
+  const { supabaseAdminClient } = auth;
+
+  try {
+    const [zones, methods, rates] = await Promise.all([
+      supabaseAdminClient.from('delivery_zones').select('*').order('position').order('name'),
+      supabaseAdminClient.from('shipping_methods').select('*').order('position').order('name'),
+      supabaseAdminClient.from('shipping_rates').select('*').order('created_at'),
+    ]);
+    const error = zones.error || methods.error || rates.error;
+    if (error) return jsonResponse({ success: false, error: error.message }, 400);
+
+    return jsonResponse({
+      success: true,
+      data: { zones: zones.data || [], methods: methods.data || [], rates: rates.data || [] },
+    });
+  } catch (err) {
+    return jsonResponse({ success: false, error: err.message }, 500);
+  }
+});
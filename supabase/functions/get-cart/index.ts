@@ -63,13 +63,19 @@ serve(async (req) => {
         cart_items(
           id,
           quantity,
+          variant_id,
           product:products(
             id,
             name,
             price,
+            discount,
+            flash_deal,
+            flash_deal_end,
+            stock_quantity,
             images,
             slug
-          )
+          ),
+          variant:product_variants(id, size, color, sku, price, stock_quantity, images)
         )
       `)
       .eq('userId', user.id) // Filter by the correct user ID
@@ -98,8 +104,11 @@ serve(async (req) => {
 
     const items = (cart.cart_items || [])
       .filter(item => item && item.product)
+      // A line whose variant was switched off is hidden until it is sold again
+      .filter(item => !item.variant_id || item.variant)
       .map(item => ({
         product: item.product,
+        variant: item.variant,
         quantity: item.quantity
       }));
 
@@ -0,0 +1,42 @@
+import { serve } from 'https://deno.land/std@0.177.0/http/server.ts';
+import { corsHeaders } from '../_shared/cors.ts';
+import { jsonResponse } from '../_shared/response.ts';
+import { COLLECTION_SELECT, requireSeller, toCollection } from '../_shared/sellers.ts';
+
+// POST { collection_id }
+// One of the calling seller's collections with its products, for the edit form.
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  const auth = await requireSeller(req);
+  if (auth instanceof Response) return auth;
+  const { supabase, seller } = auth;
+
+  try {
+    const { collection_id: collectionId } = await req.json().catch(() => ({}));
+    if (!collectionId) {
+      return jsonResponse({ success: false, error: 'collection_id is required' }, 400);
+    }
+
+    const { data: collection, error } = await supabase
+      .from('collections')
+      .select(COLLECTION_SELECT)
+      .eq('id', collectionId)
+      .eq('seller_id', seller.id)
+      .maybeSingle();
+    if (error) {
+      console.error('Collection fetch error:', error);
+      return jsonResponse({ success: false, error: error.message }, 400);
+    }
+    if (!collection) {
+      return jsonResponse({ success: false, error: 'Collection not found' }, 404);
+    }
+
+    return jsonResponse({ success: true, data: toCollection(collection) });
+  } catch (err) {
+    console.error('get-collection-details error:', err);
+    return jsonResponse({ success: false, error: err.message }, 500);
+  }
+});
@@ -0,0 +1,97 @@
+import { serve } from 'https://deno.land/std@0.177.0/http/server.ts';
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2';
+import { corsHeaders } from '../_shared/cors.ts';
+import { jsonResponse } from '../_shared/response.ts';
+import { normalizeOrderNumber, parseGuestContact } from '../_shared/guestOrders.ts';
+import { ORDER_FULFILLMENTS_SELECT, withFulfillmentStores } from '../_shared/sellers.ts';
+
+const NOT_FOUND = 'We could not find an order with those details. Check the order number and use the email or phone you ordered with.';
+
+// A guest order (placed without an account), for the order success and order lookup pages.
+// Body: { orderId, token }               - the browser that placed it (token from create-order)
+//    or { orderNumber, contact }         - order number from the confirmation + email or phone
+// Returns the order like get-order-detail, plus guest_token so the page can pay for it.
+// Orders that have been claimed onto an account are not returned: sign in to see those.
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  // Service role: guest orders belong to no user, so RLS hides them from everyone
+  const supabaseAdminClient = createClient(Deno.env.get('SUPABASE_URL')!, Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!);
+
+  try {
+    const body = await req.json().catch(() => ({}));
+
+    let orderId: string | null = null;
+    if (body.orderId && body.token) {
+      orderId = body.orderId;
+    } else {
+      const orderNumber = normalizeOrderNumber(body.orderNumber);
+      const { email, phone } = parseGuestContact(body.contact);
+      if (!orderNumber || (!email && !phone)) {
+        return jsonResponse({ success: false, error: 'Enter your order number and the email or phone you ordered with.' }, 400);
+      }
+      const { data, error } = await supabaseAdminClient.rpc('find_guest_order', {
+        p_order_number: orderNumber,
+        p_email: email,
+        p_phone: phone,
+      });
+      if (error) {
+        console.error('find_guest_order error:', error);
+        return jsonResponse({ success: false, error: error.message }, 500);
+      }
+      if (!data) return jsonResponse({ success: false, error: NOT_FOUND }, 404);
+      orderId = data;
+    }
+
+    let query = supabaseAdminClient
+      .from('orders')
+      .select(`
+        id, shippingAddress, totalAmount, subtotal_amount, discount_amount, coupon_code,
+        shipping_method_code, shipping_method_name, shipping_fee, estimated_delivery_start, estimated_delivery_end,
+        status, payment_method, payment_status, refunded_amount, carrier, tracking_number, shipped_at, created_at,
+        guest_email, guest_token,
+        order_items(
+          id, productId, quantity, price, variant_id, variant_sku, variant_label, fulfillment_id,
+          variant:product_variants(id, size, color, sku, price, stock_quantity, images)
+        ),
+        order_status_history(
+          id, from_status, to_status, actor_role, note, event, created_at
+        ),
+        delivery:deliveries(
+          status, started_at, delivered_at, failed_attempts, proof_type
+        ),
+        refunds(
+          id, amount, reason, status, processed_at, created_at
+        ),
+        ${ORDER_FULFILLMENTS_SELECT}
+      `)
+      .eq('id', orderId)
+      .is('userId', null);
+    if (body.orderId && body.token) query = query.eq('guest_token', body.token);
+
+    const { data: order, error } = await query.maybeSingle();
+    if (error) {
+      console.error('Guest order fetch error:', error);
+      return jsonResponse({ success: false, error: error.message }, 400);
+    }
+    if (!order) return jsonResponse({ success: false, error: NOT_FOUND }, 404);
+
+    const productIds = (order.order_items || []).map(item => item.productId);
+    const { data: products } = productIds.length > 0
+      ? await supabaseAdminClient
+          .from('products')
+          .select('id, name, slug, images, price, discount, flash_deal, flash_deal_end, stock_quantity, is_active')
+          .in('id', productIds)
+      : { data: [] };
+    const productsById = new Map((products || []).map(p => [p.id, p]));
+    order.order_items = (order.order_items || []).map(item => ({ ...item, product: productsById.get(item.productId) || null }));
+    order.order_fulfillments = await withFulfillmentStores(supabaseAdminClient, order.order_fulfillments);
+
+    return jsonResponse({ success: true, data: order });
+  } catch (err) {
+    console.error('get-guest-order error:', err);
+    return jsonResponse({ success: false, error: err.message }, 500);
+  }
+});
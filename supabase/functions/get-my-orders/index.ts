@@ -43,7 +43,7 @@ serve(async (req) => {
   // Fetch orders for the user
   const { data, error } = await supabase
     .from('orders')
-    .select('*')
+    .select('*, order_status_history(id, from_status, to_status, actor_role, note, event, created_at), order_fulfillments(id, status)')
     .eq('userId', user.id)
     .order('created_at', { ascending: false });
 
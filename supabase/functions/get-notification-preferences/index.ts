@@ -0,0 +1,52 @@
+import { serve } from 'https://deno.land/std@0.177.0/http/server.ts';
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2';
+import { corsHeaders } from '../_shared/cors.ts';
+import { jsonResponse } from '../_shared/response.ts';
+
+// Same defaults as the notification_preferences column defaults
+const DEFAULT_PREFERENCES = {
+  order_notifications: true,
+  payment_notifications: true,
+  review_notifications: true,
+  marketing_emails: false,
+  sms_notifications: true,
+};
+
+// GET  Returns the caller's email notification preferences (defaults until they save any).
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  const authHeader = req.headers.get('Authorization');
+  if (!authHeader) {
+    return jsonResponse({ success: false, error: 'Missing Authorization header' }, 401);
+  }
+
+  const supabase = createClient(Deno.env.get('SUPABASE_URL')!, Deno.env.get('SUPABASE_ANON_KEY')!, {
+    global: { headers: { Authorization: authHeader } },
+    db: { schema: 'public' },
+  });
+
+  try {
+    const { data: { user }, error: userError } = await supabase.auth.getUser();
+    if (userError || !user) {
+      return jsonResponse({ success: false, error: 'Authentication failed' }, 401);
+    }
+
+    const { data, error } = await supabase
+      .from('notification_preferences')
+      .select('order_notifications, payment_notifications, review_notifications, marketing_emails, sms_notifications, updated_at')
+      .eq('user_id', user.id)
+      .maybeSingle();
+    if (error) {
+      console.error('Notification preferences fetch error:', error);
+      return jsonResponse({ success: false, error: error.message }, 400);
+    }
+
+    return jsonResponse({ success: true, data: data || { ...DEFAULT_PREFERENCES, updated_at: null } });
+  } catch (err) {
+    console.error('get-notification-preferences error:', err);
+    return jsonResponse({ success: false, error: err.message }, 500);
+  }
+});
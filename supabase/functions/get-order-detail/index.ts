@@ -1,6 +1,7 @@
 import { serve } from 'https://deno.land/std@0.177.0/http/server.ts';
 import { createClient } from 'https://esm.sh/@supabase/supabase-js@2';
 import { corsHeaders } from '../_shared/cors.ts';
+import { ORDER_FULFILLMENTS_SELECT, withFulfillmentStores } from '../_shared/sellers.ts';
 
 serve(async (req) => {
   if (req.method === 'OPTIONS') {
@@ -39,10 +40,23 @@ serve(async (req) => {
   const { data: order, error } = await supabase
     .from('orders')
     .select(`
-      id, userId, shippingAddress, totalAmount, status, created_at,
+      id, userId, shippingAddress, totalAmount, subtotal_amount, discount_amount, coupon_code,
+      shipping_method_code, shipping_method_name, shipping_fee, estimated_delivery_start, estimated_delivery_end,
+      status, payment_method, payment_status, refunded_amount, carrier, tracking_number, shipped_at, created_at,
       order_items(
-        id, productId, quantity, price
-      )
+        id, productId, quantity, price, variant_id, variant_sku, variant_label, fulfillment_id,
+        variant:product_variants(id, size, color, sku, price, stock_quantity, images)
+      ),
+      order_status_history(
+        id, from_status, to_status, actor_role, note, event, created_at
+      ),
+      delivery:deliveries(
+        status, started_at, delivered_at, failed_attempts, proof_type
+      ),
+      refunds(
+        id, amount, reason, status, processed_at, created_at
+      ),
+      ${ORDER_FULFILLMENTS_SELECT}
     `)
     .eq('id', orderId)
     .maybeSingle(); // Use maybeSingle to avoid error if no rows
@@ -55,6 +69,18 @@ serve(async (req) => {
     });
   }
 
+  // Attach product details for display and reorder (products are publicly readable)
+  const productIds = (order.order_items || []).map(item => item.productId);
+  const { data: products } = productIds.length > 0
+    ? await supabase
+        .from('products')
+        .select('id, name, slug, images, price, discount, flash_deal, flash_deal_end, stock_quantity, is_active')
+        .in('id', productIds)
+    : { data: [] };
+  const productsById = new Map((products || []).map(p => [p.id, p]));
+  order.order_items = (order.order_items || []).map(item => ({ ...item, product: productsById.get(item.productId) || null }));
+  order.order_fulfillments = await withFulfillmentStores(supabase, order.order_fulfillments);
+
   return new Response(JSON.stringify({ success: true, data: order }), {
     headers: { ...corsHeaders, 'Content-Type': 'application/json' },
     status: 200,
@@ -0,0 +1,129 @@
+import { serve } from 'https://deno.land/std@0.177.0/http/server.ts';
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2';
+import { corsHeaders } from '../_shared/cors.ts';
+import { jsonResponse } from '../_shared/response.ts';
+import { REVIEW_COLUMNS, withPhotoUrls } from '../_shared/reviews.ts';
+
+const SORTS: Record<string, { column: string; ascending: boolean }[]> = {
+  recent: [{ column: 'created_at', ascending: false }],
+  helpful: [{ column: 'helpful_count', ascending: false }, { column: 'created_at', ascending: false }],
+  rating_high: [{ column: 'rating', ascending: false }, { column: 'created_at', ascending: false }],
+  rating_low: [{ column: 'rating', ascending: true }, { column: 'created_at', ascending: false }],
+};
+
+// GET ?productId=&page=&limit=&sort=recent|helpful|rating_high|rating_low&rating=
+// Public list of approved reviews with a rating summary. When the caller is signed in it also
+// returns `viewer`: the delivered order lines they can still review, their own reviews (any
+// status) and which reviews on this page they marked helpful.
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  const authHeader = req.headers.get('Authorization');
+  const supabase = createClient(Deno.env.get('SUPABASE_URL')!, Deno.env.get('SUPABASE_ANON_KEY')!, {
+    global: { headers: authHeader ? { Authorization: authHeader } : {} },
+    db: { schema: 'public' },
+  });
+
+  try {
+    const url = new URL(req.url);
+    const productId = url.searchParams.get('productId');
+    if (!productId) {
+      return jsonResponse({ success: false, error: 'productId is required' }, 400);
+    }
+    const sort = SORTS[url.searchParams.get('sort') || 'recent'] || SORTS.recent;
+    const rating = parseInt(url.searchParams.get('rating') || '', 10);
+    const page = parseInt(url.searchParams.get('page') || '1', 10);
+    const limit = parseInt(url.searchParams.get('limit') || '10', 10);
+    const from = (page - 1) * limit;
+    const to = from + limit - 1;
+
+    let query = supabase
+      .from('product_reviews')
+      .select(REVIEW_COLUMNS, { count: 'exact' })
+      .eq('product_id', productId)
+      .eq('status', 'approved')
+      .range(from, to);
+    sort.forEach(({ column, ascending }) => {
+      query = query.order(column, { ascending });
+    });
+    if (rating >= 1 && rating <= 5) query = query.eq('rating', rating);
+
+    const [{ data: reviews, error, count }, { data: ratings, error: ratingsError }] = await Promise.all([
+      query,
+      supabase.from('product_reviews').select('rating').eq('product_id', productId).eq('status', 'approved'),
+    ]);
+    if (error || ratingsError) {
+      const message = (error || ratingsError)!.message;
+      console.error('Product reviews fetch error:', message);
+      return jsonResponse({ success: false, error: message }, 400);
+    }
+
+    const distribution: Record<number, number> = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+    (ratings || []).forEach(r => {
+      distribution[r.rating]++;
+    });
+    const reviewCount = ratings?.length || 0;
+    const summary = {
+      average: reviewCount > 0
+        ? Math.round(((ratings || []).reduce((sum, r) => sum + r.rating, 0) / reviewCount) * 100) / 100
+        : 0,
+      count: reviewCount,
+      distribution,
+    };
+
+    // Signed-out callers send the anon key here, which getUser rejects; that is not an error
+    const { data: { user } } = authHeader ? await supabase.auth.getUser() : { data: { user: null } };
+
+    let viewer = null;
+    if (user) {
+      const pageIds = (reviews || []).map(r => r.id);
+      const [{ data: deliveredOrders }, { data: ownReviews }, { data: votes }] = await Promise.all([
+        supabase
+          .from('orders')
+          .select('id, created_at, order_items!inner(id, "productId"), order_status_history!inner(to_status)')
+          .eq('userId', user.id)
+          .eq('order_items.productId', productId)
+          .eq('order_status_history.to_status', 'delivered')
+          .order('created_at', { ascending: false }),
+        supabase
+          .from('product_reviews')
+          .select(`${REVIEW_COLUMNS}, moderation_note`)
+          .eq('product_id', productId)
+          .eq('user_id', user.id)
+          .order('created_at', { ascending: false }),
+        pageIds.length > 0
+          ? supabase.from('review_helpful_votes').select('review_id').eq('user_id', user.id).in('review_id', pageIds)
+          : Promise.resolve({ data: [] }),
+      ]);
+
+      const reviewedItemIds = new Set((ownReviews || []).map(r => r.order_item_id));
+      viewer = {
+        reviewableItems: (deliveredOrders || []).flatMap(order => order.order_items
+          .filter(item => !reviewedItemIds.has(item.id))
+          .map(item => ({ orderItemId: item.id, orderId: order.id, orderedAt: order.created_at }))),
+        ownReviews: (ownReviews || []).map(r => withPhotoUrls(supabase, r)),
+        votedReviewIds: (votes || []).map(v => v.review_id),
+      };
+    }
+
+    const total = count || 0;
+    return jsonResponse({
+      success: true,
+      data: (reviews || []).map(review => ({
+        ...withPhotoUrls(supabase, review),
+        user_id: undefined,
+        is_own: !!user && review.user_id === user.id,
+      })),
+      summary,
+      viewer,
+      count: total,
+      currentPage: page,
+      totalPages: Math.ceil(total / limit),
+    });
+  } catch (err) {
+    console.error('get-product-reviews error:', err);
+    return jsonResponse({ success: false, error: err.message }, 500);
+  }
+});
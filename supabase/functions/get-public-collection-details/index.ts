@@ -0,0 +1,42 @@
+import { serve } from 'https://deno.land/std@0.177.0/http/server.ts';
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2';
+import { corsHeaders } from '../_shared/cors.ts';
+import { jsonResponse } from '../_shared/response.ts';
+import { PUBLIC_COLLECTION_SELECT, toPublicCollections } from '../_shared/sellers.ts';
+
+// POST { collection_id }
+// One public collection with its store name and active products; 404 once it is unpublished.
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  const supabase = createClient(Deno.env.get('SUPABASE_URL')!, Deno.env.get('SUPABASE_ANON_KEY')!);
+
+  try {
+    const { collection_id: collectionId } = await req.json().catch(() => ({}));
+    if (!collectionId) {
+      return jsonResponse({ success: false, error: 'collection_id is required' }, 400);
+    }
+
+    const { data: collection, error } = await supabase
+      .from('collections')
+      .select(PUBLIC_COLLECTION_SELECT)
+      .eq('id', collectionId)
+      .eq('status', 'active')
+      .maybeSingle();
+    if (error) {
+      console.error('Public collection fetch error:', error);
+      return jsonResponse({ success: false, error: error.message }, 400);
+    }
+    if (!collection) {
+      return jsonResponse({ success: false, error: 'Collection not found' }, 404);
+    }
+
+    const [publicCollection] = await toPublicCollections(supabase, [collection]);
+    return jsonResponse({ success: true, data: publicCollection });
+  } catch (err) {
+    console.error('get-public-collection-details error:', err);
+    return jsonResponse({ success: false, error: err.message }, 500);
+  }
+});
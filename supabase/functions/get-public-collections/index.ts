@@ -0,0 +1,35 @@
+import { serve } from 'https://deno.land/std@0.177.0/http/server.ts';
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2';
+import { corsHeaders } from '../_shared/cors.ts';
+import { jsonResponse } from '../_shared/response.ts';
+import { PUBLIC_COLLECTION_SELECT, toPublicCollections } from '../_shared/sellers.ts';
+
+// GET ?limit=
+// Active collections from active stores, newest first. RLS decides what is public.
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  const supabase = createClient(Deno.env.get('SUPABASE_URL')!, Deno.env.get('SUPABASE_ANON_KEY')!);
+
+  try {
+    const limit = Math.min(parseInt(new URL(req.url).searchParams.get('limit') || '12', 10) || 12, 50);
+
+    const { data: collections, error } = await supabase
+      .from('collections')
+      .select(PUBLIC_COLLECTION_SELECT)
+      .eq('status', 'active')
+      .order('created_at', { ascending: false })
+      .limit(limit);
+    if (error) {
+      console.error('Public collections fetch error:', error);
+      return jsonResponse({ success: false, error: error.message }, 400);
+    }
+
+    return jsonResponse({ success: true, data: await toPublicCollections(supabase, collections || []) });
+  } catch (err) {
+    console.error('get-public-collections error:', err);
+    return jsonResponse({ success: false, error: err.message }, 500);
+  }
+});
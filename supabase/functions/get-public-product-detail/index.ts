@@ -37,7 +37,8 @@ serve(async (req) => {
       .from('products')
       .select(`
         *,
-        category:categories ( name, slug )
+        category:categories ( name, slug ),
+        variants:product_variants ( id, size, color, sku, price, stock_quantity, images, position )
       `)
       .eq('is_active', true);
 
@@ -67,6 +68,9 @@ serve(async (req) => {
       });
     }
 
+    // RLS only returns active variants here; keep the editor's order
+    data.variants = (data.variants || []).sort((a, b) => a.position - b.position);
+
     console.log(`Product found: ${data.name}`);
     return new Response(JSON.stringify({ success: true, data }), {
       headers: { ...corsHeaders, 'Content-Type': 'application/json' }, // Add corsHeaders here too
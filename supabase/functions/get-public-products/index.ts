@@ -1,6 +1,7 @@
 import { serve } from 'https://deno.land/std@0.177.0/http/server.ts';
 import { createClient } from 'https://esm.sh/@supabase/supabase-js@2';
 import { corsHeaders } from '../_shared/cors.ts';
+import { cursorScope, decodeCursor, encodeCursor } from '../_shared/cursor.ts';
 
 console.log(`Function "get-public-products" up and running!`);
 
@@ -17,109 +18,122 @@ serve(async (req) => {
     const url = new URL(req.url);
     const page = parseInt(url.searchParams.get('page') || '1', 10);
     const limit = parseInt(url.searchParams.get('limit') || '12', 10);
-    const categorySlug = url.searchParams.get('category'); // Assuming category is passed as slug
     const searchTerm = url.searchParams.get('search');
-    const sortBy = url.searchParams.get('sortBy') || 'name'; // Use 'name' as the default sort column (temporary fix)
+    // Searches default to relevance order, which comes from browse_products itself
+    const sortBy = url.searchParams.get('sortBy') || (searchTerm ? 'relevance' : 'name');
     const sortOrder = url.searchParams.get('sortOrder') || 'asc'; // Default to 'asc' for name sorting
-    const price_gte = url.searchParams.get('price_gte');
-    const price_lte = url.searchParams.get('price_lte');
-    const is_trending = url.searchParams.get('is_trending');
-    const is_featured = url.searchParams.get('is_featured');
-    const is_new_arrival = url.searchParams.get('is_new_arrival');
-    const flash_deal = url.searchParams.get('flash_deal');
+    const includeFacets = url.searchParams.get('facets') === 'true';
+
+    // Multi-select facets are repeated params (?category=a&category=b); see browse_products
+    // in the product_facets migration for how each filter is applied
+    const numberParam = (name: string) => {
+      const value = parseFloat(url.searchParams.get(name) ?? '');
+      return isNaN(value) ? undefined : value;
+    };
+    const flagParam = (name: string) => url.searchParams.get(name) === 'true' || undefined;
+    const filters = {
+      search: searchTerm || undefined,
+      categories: url.searchParams.getAll('category'), // Category slugs
+      brands: url.searchParams.getAll('brand'),
+      sizes: url.searchParams.getAll('size'),
+      colors: url.searchParams.getAll('color'),
+      price: url.searchParams.getAll('price'), // Bucket ids from product_price_buckets()
+      priceMin: numberParam('price_gte'),
+      priceMax: numberParam('price_lte'),
+      inStock: flagParam('in_stock'),
+      minRating: numberParam('min_rating'), // Average rating, maintained from approved reviews
+      isTrending: flagParam('is_trending'),
+      isFeatured: flagParam('is_featured'),
+      isNewArrival: flagParam('is_new_arrival'),
+      flashDeal: flagParam('flash_deal'),
+    };
+
+    console.log(`Function called with params: page=${page}, limit=${limit}, sortBy=${sortBy}, sortOrder=${sortOrder}, facets=${includeFacets}, filters=${JSON.stringify(filters)}`); // Log entry params
+
+    // Counts per facet value, each computed with all the other filters applied
+    const facetsQuery = includeFacets
+      ? supabase.rpc('product_facets', { p_filters: filters })
+      : Promise.resolve({ data: null, error: null });
+
+    // --- Cursor mode (?pagination=cursor[&cursor=...]), used by the infinite-scroll lists ---
+    // Pages continue after the previous page's last row, so inserts and deletes do not shift them
+    if (url.searchParams.get('pagination') === 'cursor') {
+      const ascending = sortBy === 'relevance' ? false : sortOrder === 'asc'; // Best match first
+      const scope = await cursorScope({ sortBy, ascending, filters });
+      const cursorParam = url.searchParams.get('cursor');
+      const after = cursorParam ? decodeCursor(cursorParam, scope) : null;
+      if (cursorParam && !after) {
+        return new Response(JSON.stringify({ success: false, error: 'This cursor does not match the current sort or filters.', code: 'INVALID_CURSOR' }), {
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+          status: 400,
+        });
+      }
 
-    console.log(`Function called with params: page=${page}, limit=${limit}, category=${categorySlug}, search=${searchTerm}, sortBy=${sortBy}, sortOrder=${sortOrder}, price_gte=${price_gte}, price_lte=${price_lte}, is_trending=${is_trending}, is_featured=${is_featured}, is_new_arrival=${is_new_arrival}, flash_deal=${flash_deal}`); // Log entry params
+      const [{ data: rows, error: pageError }, { data: facets, error: facetsError }] = await Promise.all([
+        supabase.rpc('browse_products_page', {
+          p_filters: filters,
+          p_sort: sortBy,
+          p_ascending: ascending,
+          p_after: after,
+          p_limit: limit,
+        }),
+        facetsQuery,
+      ]);
+      if (facetsError) {
+        console.error("Error computing facets:", facetsError);
+      }
+      if (pageError) {
+        console.error("Error executing product page query:", pageError);
+        return new Response(JSON.stringify({ success: false, error: pageError.message }), {
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+          status: 400,
+        });
+      }
+
+      // browse_products_page returns one row more than asked when there is a next page
+      const hasMore = (rows || []).length > limit;
+      const pageRows = (rows || []).slice(0, limit);
+      const last = pageRows[pageRows.length - 1];
+      return new Response(JSON.stringify({
+        success: true,
+        data: pageRows.map(row => row.product),
+        count: pageRows[0]?.total ?? 0,
+        hasMore,
+        nextCursor: hasMore
+          ? encodeCursor(scope, { num: last.sort_num, text: last.sort_text, id: last.product.id })
+          : null,
+        ...(includeFacets ? { facets: facets || null } : {}),
+      }), {
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+        status: 200,
+      });
+    }
 
+    // --- Offset mode (?page=), used by numbered pages and the admin lists ---
     const from = (page - 1) * limit;
     const to = from + limit - 1;
 
+    // browse_products returns products rows (only active ones), so the embed, pagination and
+    // column ordering work as on the table
     let query = supabase
-      .from('products')
+      .rpc('browse_products', { p_filters: filters }, { count: 'exact' })
       .select(`
         *,
         category:categories ( name, slug )
-      `, { count: 'exact' })
-      .eq('is_active', true) // Only fetch active products
-      .range(from, to)
-      .order(sortBy, { ascending: sortOrder === 'asc' }); // Ensure .order() uses the correct column name from sortBy
-
-    if (searchTerm) {
-      console.log(`Applying search term: ${searchTerm}`);
-      query = query.ilike('name', `%${searchTerm}%`);
-    }
+      `)
+      .range(from, to);
 
-    // --- Filter by price range ---
-    if (price_gte !== null) {
-      const gteValue = parseFloat(price_gte);
-      if (!isNaN(gteValue)) {
-        console.log(`Applying price filter: >= ${gteValue}`);
-        query = query.gte('price', gteValue);
-      }
-    }
-    if (price_lte !== null) {
-      const lteValue = parseFloat(price_lte);
-      if (!isNaN(lteValue)) {
-        console.log(`Applying price filter: <= ${lteValue}`);
-        query = query.lte('price', lteValue);
-      }
+    if (sortBy !== 'relevance') {
+      query = query.order(sortBy, { ascending: sortOrder === 'asc' }); // Ensure .order() uses the correct column name from sortBy
     }
-    // ---------------------------
-
-    // --- Filter by category slug ---
-    if (categorySlug) {
-      console.log(`Attempting to filter by category slug: ${categorySlug}`);
-      // Fetch the category ID based on the slug first
-      console.log(`Fetching category ID for slug: ${categorySlug}`);
-      const { data: categoryData, error: categoryError } = await supabase
-        .from('categories')
-        .select('id')
-        .eq('slug', categorySlug)
-        .maybeSingle();
-
-      if (categoryError) {
-        console.error("Error fetching category by slug:", categoryError);
-         return new Response(JSON.stringify({ success: false, error: `Error finding category: ${categoryError.message}` }), {
-            headers: { ...corsHeaders, 'Content-Type': 'application/json' },
-            status: 500,
-        });
-      }
 
-      if (categoryData) {
-        console.log(`Found category ID: ${categoryData.id}. Applying filter.`);
-        // --- Use category_id for filtering ---
-        query = query.eq('category_id', categoryData.id);
-        // ------------------------------------
-      } else {
-        // Category slug not found, return empty results for this filter
-        console.warn(`Category slug "${categorySlug}" not found. Returning empty results.`);
-        return new Response(JSON.stringify({ success: true, data: [], count: 0, currentPage: page, totalPages: 0 }), {
-            headers: { ...corsHeaders, 'Content-Type': 'application/json' },
-            status: 200,
-        });
-      }
-    }
+    console.log("Executing final product query..."); // Log before final query execution
+    const [{ data, error, count }, { data: facets, error: facetsError }] = await Promise.all([query, facetsQuery]);
 
-    // --- Filter by product features ---
-    if (is_trending === 'true') {
-      console.log('Applying filter: is_trending = true');
-      query = query.eq('is_trending', true);
-    }
-    if (is_featured === 'true') {
-      console.log('Applying filter: is_featured = true');
-      query = query.eq('is_featured', true);
-    }
-    if (is_new_arrival === 'true') {
-      console.log('Applying filter: is_new_arrival = true');
-      query = query.eq('is_new_arrival', true);
+    if (facetsError) {
+      // The product list is still useful without counts
+      console.error("Error computing facets:", facetsError);
     }
-    if (flash_deal === 'true') {
-      console.log('Applying filter: flash_deal = true');
-      query = query.eq('flash_deal', true);
-    }
-    // ---------------------------------
-
-    console.log("Executing final product query..."); // Log before final query execution
-    const { data, error, count } = await query;
 
     if (error) {
       console.error("Error executing final product query:", error); // Log the specific error
@@ -148,6 +162,7 @@ serve(async (req) => {
         count: totalProducts,
         currentPage: page,
         totalPages,
+        ...(includeFacets ? { facets: facets || null } : {}),
     }), {
       headers: { ...corsHeaders, 'Content-Type': 'application/json' },
       status: 200,
@@ -0,0 +1,41 @@
+import { serve } from 'https://deno.land/std@0.177.0/http/server.ts';
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2';
+import { corsHeaders } from '../_shared/cors.ts';
+import { jsonResponse } from '../_shared/response.ts';
+
+// GET ?anonymous_id=&exclude=<id>&exclude=<id>&limit=
+// The caller's recently viewed products, newest first: the signed-in user's history, else the
+// history recorded for anonymous_id. Products come in the get-public-products shape.
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  const authHeader = req.headers.get('Authorization');
+  const supabase = createClient(Deno.env.get('SUPABASE_URL')!, Deno.env.get('SUPABASE_ANON_KEY')!, {
+    global: { headers: authHeader ? { Authorization: authHeader } : {} },
+  });
+
+  try {
+    const url = new URL(req.url);
+    const limit = Math.min(Math.max(parseInt(url.searchParams.get('limit') || '8', 10) || 8, 1), 24);
+
+    const { data, error } = await supabase
+      .rpc('recently_viewed_products', {
+        p_anonymous_id: url.searchParams.get('anonymous_id') || null,
+        p_exclude: url.searchParams.getAll('exclude').filter(Boolean),
+        p_limit: limit,
+      })
+      .select('*, category:categories(name, slug)');
+
+    if (error) {
+      console.error('recently_viewed_products error:', error);
+      return jsonResponse({ success: false, error: error.message }, 400);
+    }
+
+    return jsonResponse({ success: true, data: data || [] });
+  } catch (err) {
+    console.error('get-recently-viewed error:', err);
+    return jsonResponse({ success: false, error: err.message }, 500);
+  }
+});
@@ -0,0 +1,47 @@
+import { serve } from 'https://deno.land/std@0.177.0/http/server.ts';
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2';
+import { corsHeaders } from '../_shared/cors.ts';
+import { jsonResponse } from '../_shared/response.ts';
+
+const MAX_SEED_PRODUCTS = 20;
+
+// GET ?product_id=<id>&product_id=<id>&anonymous_id=&exclude=<id>&limit=
+// Recommendations for the given products (the product being viewed, the cart lines) and the
+// caller's own history: "customers also bought" from past orders, the same categories, and the
+// viewer's recent views and wishlist. Without any of those it falls back to the best sellers.
+// Products come in the get-public-products shape, best match first.
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  const authHeader = req.headers.get('Authorization');
+  const supabase = createClient(Deno.env.get('SUPABASE_URL')!, Deno.env.get('SUPABASE_ANON_KEY')!, {
+    global: { headers: authHeader ? { Authorization: authHeader } : {} },
+  });
+
+  try {
+    const url = new URL(req.url);
+    const limit = Math.min(Math.max(parseInt(url.searchParams.get('limit') || '8', 10) || 8, 1), 24);
+    const productIds = [...new Set(url.searchParams.getAll('product_id').filter(Boolean))].slice(0, MAX_SEED_PRODUCTS);
+
+    const { data, error } = await supabase
+      .rpc('recommended_products', {
+        p_product_ids: productIds,
+        p_anonymous_id: url.searchParams.get('anonymous_id') || null,
+        p_exclude: url.searchParams.getAll('exclude').filter(Boolean),
+        p_limit: limit,
+      })
+      .select('*, category:categories(name, slug)');
+
+    if (error) {
+      console.error('recommended_products error:', error);
+      return jsonResponse({ success: false, error: error.message }, 400);
+    }
+
+    return jsonResponse({ success: true, data: data || [] });
+  } catch (err) {
+    console.error('get-recommendations error:', err);
+    return jsonResponse({ success: false, error: err.message }, 500);
+  }
+});
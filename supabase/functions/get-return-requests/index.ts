@@ -0,0 +1,113 @@
+import { serve } from 'https://deno.land/std@0.177.0/http/server.ts';
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2';
+import { corsHeaders } from '../_shared/cors.ts';
+import { jsonResponse } from '../_shared/response.ts';
+
+const PHOTO_URL_TTL_SECONDS = 60 * 60;
+
+// GET ?status=&orderId=&page=&limit=
+// One endpoint for every audience: RLS limits shoppers to their own requests, sellers to requests
+// containing their items and lets admins see everything. Each request comes back with its items
+// (product name/image), signed photo URLs and a can_review flag for the caller.
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  const authHeader = req.headers.get('Authorization');
+  if (!authHeader) {
+    return jsonResponse({ success: false, error: 'Missing Authorization header' }, 401);
+  }
+
+  const supabaseUrl = Deno.env.get('SUPABASE_URL')!;
+  const supabase = createClient(supabaseUrl, Deno.env.get('SUPABASE_ANON_KEY')!, {
+    global: { headers: { Authorization: authHeader } },
+    db: { schema: 'public' },
+  });
+  // Only used after RLS has decided which requests the caller may see
+  const supabaseAdmin = createClient(supabaseUrl, Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!);
+
+  try {
+    const { data: { user }, error: userError } = await supabase.auth.getUser();
+    if (userError || !user) {
+      return jsonResponse({ success: false, error: 'Authentication failed' }, 401);
+    }
+
+    const url = new URL(req.url);
+    const status = url.searchParams.get('status');
+    const orderId = url.searchParams.get('orderId');
+    const page = parseInt(url.searchParams.get('page') || '1', 10);
+    const limit = parseInt(url.searchParams.get('limit') || '20', 10);
+    const from = (page - 1) * limit;
+    const to = from + limit - 1;
+
+    let query = supabase
+      .from('return_requests')
+      .select(`
+        id, order_id, user_id, status, reason, details, photo_paths, refund_amount,
+        reviewed_at, review_note, created_at,
+        return_request_items(id, order_item_id, quantity, amount, seller_id)
+      `, { count: 'exact' })
+      .order('created_at', { ascending: false })
+      .range(from, to);
+    if (status) query = query.eq('status', status);
+    if (orderId) query = query.eq('order_id', orderId);
+
+    const { data: requests, error, count } = await query;
+    if (error) {
+      console.error('Return requests fetch error:', error);
+      return jsonResponse({ success: false, error: error.message }, 400);
+    }
+
+    const [{ data: isAdmin }, { data: sellerId }] = await Promise.all([
+      supabase.rpc('is_admin'),
+      supabase.rpc('current_seller_id'),
+    ]);
+
+    // Line details: product name/image per order item
+    const orderItemIds = (requests || []).flatMap(r => r.return_request_items.map(i => i.order_item_id));
+    const { data: orderItems } = orderItemIds.length > 0
+      ? await supabaseAdmin.from('order_items').select('id, productId, price').in('id', orderItemIds)
+      : { data: [] };
+    const productIds = [...new Set((orderItems || []).map(oi => oi.productId))];
+    const { data: products } = productIds.length > 0
+      ? await supabaseAdmin.from('products').select('id, name, images').in('id', productIds)
+      : { data: [] };
+    const productsById = new Map((products || []).map(p => [p.id, p]));
+    const orderItemsById = new Map((orderItems || []).map(oi => [oi.id, oi]));
+
+    const data = await Promise.all((requests || []).map(async (request) => {
+      let photoUrls: string[] = [];
+      if (request.photo_paths.length > 0) {
+        const { data: signed } = await supabaseAdmin.storage
+          .from('return-photos')
+          .createSignedUrls(request.photo_paths, PHOTO_URL_TTL_SECONDS);
+        photoUrls = (signed || []).map(s => s.signedUrl).filter(Boolean);
+      }
+      const items = request.return_request_items.map(item => {
+        const orderItem = orderItemsById.get(item.order_item_id);
+        return { ...item, price: orderItem?.price ?? null, product: productsById.get(orderItem?.productId) || null };
+      });
+      return {
+        ...request,
+        return_request_items: items,
+        photo_urls: photoUrls,
+        can_review: request.status === 'pending' && (
+          isAdmin === true || (!!sellerId && items.every(item => item.seller_id === sellerId))
+        ),
+      };
+    }));
+
+    const total = count || 0;
+    return jsonResponse({
+      success: true,
+      data,
+      count: total,
+      currentPage: page,
+      totalPages: Math.ceil(total / limit),
+    });
+  } catch (err) {
+    console.error('get-return-requests error:', err);
+    return jsonResponse({ success: false, error: err.message }, 500);
+  }
+});
@@ -0,0 +1,34 @@
+import { serve } from 'https://deno.land/std@0.177.0/http/server.ts';
+import { corsHeaders } from '../_shared/cors.ts';
+import { jsonResponse } from '../_shared/response.ts';
+import { COLLECTION_SELECT, requireSeller, toCollection } from '../_shared/sellers.ts';
+
+// GET
+// The calling seller's collections (every status) with their products, in display order.
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  const auth = await requireSeller(req);
+  if (auth instanceof Response) return auth;
+  const { supabase, seller } = auth;
+
+  try {
+    const { data: collections, error } = await supabase
+      .from('collections')
+      .select(COLLECTION_SELECT)
+      .eq('seller_id', seller.id)
+      .order('display_order', { ascending: true })
+      .order('created_at', { ascending: false });
+    if (error) {
+      console.error('Seller collections fetch error:', error);
+      return jsonResponse({ success: false, error: error.message }, 400);
+    }
+
+    return jsonResponse({ success: true, data: (collections || []).map(toCollection) });
+  } catch (err) {
+    console.error('get-seller-collections error:', err);
+    return jsonResponse({ success: false, error: err.message }, 500);
+  }
+});
@@ -0,0 +1,48 @@
+import { serve } from 'https://deno.land/std@0.177.0/http/server.ts';
+import { corsHeaders } from '../_shared/cors.ts';
+import { jsonResponse } from '../_shared/response.ts';
+import { fetchSellerOrders, requireSeller, summarizeEarnings } from '../_shared/sellers.ts';
+
+// GET
+// Headline numbers for the seller dashboard and the five most recent orders.
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  const auth = await requireSeller(req);
+  if (auth instanceof Response) return auth;
+  const { supabase, seller } = auth;
+
+  try {
+    const [collections, products, earnings, recent] = await Promise.all([
+      supabase.from('collections').select('id', { count: 'exact', head: true }).eq('seller_id', seller.id),
+      supabase.from('products').select('id', { count: 'exact', head: true }).eq('seller_id', seller.id),
+      supabase.from('seller_earnings').select('order_id, seller_earned_amount, status, entry_type').eq('seller_id', seller.id),
+      fetchSellerOrders(supabase, seller.id, { from: 0, to: 4 }),
+    ]);
+    const error = collections.error || products.error || earnings.error || recent.error;
+    if (error) {
+      console.error('Seller dashboard stats error:', error);
+      return jsonResponse({ success: false, error: error.message }, 400);
+    }
+
+    const summary = summarizeEarnings(earnings.data || [], seller.commission_rate);
+    return jsonResponse({
+      success: true,
+      data: {
+        stats: {
+          total_collections: collections.count || 0,
+          total_products: products.count || 0,
+          total_orders: recent.count,
+          total_earnings: summary.total_earnings,
+          pending_earnings: summary.pending_earnings,
+        },
+        recent_orders: recent.orders,
+      },
+    });
+  } catch (err) {
+    console.error('get-seller-dashboard-stats error:', err);
+    return jsonResponse({ success: false, error: err.message }, 500);
+  }
+});
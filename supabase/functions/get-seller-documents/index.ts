@@ -0,0 +1,43 @@
+import { serve } from 'https://deno.land/std@0.177.0/http/server.ts';
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2';
+import { corsHeaders } from '../_shared/cors.ts';
+import { jsonResponse } from '../_shared/response.ts';
+import { DOCUMENT_TYPES, requireSeller, withDocumentUrls } from '../_shared/sellers.ts';
+
+// GET
+// The caller's KYC documents (with signed links), the types still missing and the store's
+// verification level. Open to applicants too, so documents can go in with the application.
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  const auth = await requireSeller(req, { allowInactive: true });
+  if (auth instanceof Response) return auth;
+  const { supabase, seller } = auth;
+
+  try {
+    const [{ data: documents, error }, { data: verificationLevel }] = await Promise.all([
+      supabase.from('seller_documents').select('*').eq('seller_id', seller.id),
+      supabase.rpc('seller_verification_level', { p_seller_id: seller.id }),
+    ]);
+    if (error) {
+      console.error('Seller documents fetch error:', error);
+      return jsonResponse({ success: false, error: error.message }, 400);
+    }
+
+    const supabaseAdminClient = createClient(Deno.env.get('SUPABASE_URL')!, Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!);
+    const uploadedTypes = new Set((documents || []).map(document => document.document_type));
+    return jsonResponse({
+      success: true,
+      data: {
+        documents: await withDocumentUrls(supabaseAdminClient, documents || []),
+        missing_types: DOCUMENT_TYPES.filter(type => !uploadedTypes.has(type)),
+        verification_level: verificationLevel || 'none',
+      },
+    });
+  } catch (err) {
+    console.error('get-seller-documents error:', err);
+    return jsonResponse({ success: false, error: err.message }, 500);
+  }
+});
@@ -0,0 +1,85 @@
+import { serve } from 'https://deno.land/std@0.177.0/http/server.ts';
+import { corsHeaders } from '../_shared/cors.ts';
+import { jsonResponse } from '../_shared/response.ts';
+import { requireSeller, summarizeEarnings } from '../_shared/sellers.ts';
+
+const RANGE_DAYS: Record<string, number> = { '7d': 7, '30d': 30, '90d': 90, '1y': 365 };
+
+// GET ?range=7d|30d|90d|1y (default 30d)
+// { summary, recent_transactions, chart_data }: all-time totals from seller_earnings, plus the
+// entries and the net earnings per day within the range.
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  const auth = await requireSeller(req);
+  if (auth instanceof Response) return auth;
+  const { supabase, seller } = auth;
+
+  try {
+    const range = new URL(req.url).searchParams.get('range') || '30d';
+    const days = RANGE_DAYS[range] || RANGE_DAYS['30d'];
+    const since = new Date();
+    since.setUTCHours(0, 0, 0, 0);
+    since.setUTCDate(since.getUTCDate() - (days - 1));
+
+    const { data: rows, error } = await supabase
+      .from('seller_earnings')
+      .select('id, order_id, collection_id, total_sale_amount, platform_commission_amount, seller_earned_amount, transaction_date, status, entry_type, collection:collections(name)')
+      .eq('seller_id', seller.id)
+      .order('transaction_date', { ascending: false });
+    if (error) {
+      console.error('Seller earnings fetch error:', error);
+      return jsonResponse({ success: false, error: error.message }, 400);
+    }
+
+    const inRange = (rows || []).filter(row => new Date(row.transaction_date) >= since);
+
+    const recentTransactions = inRange.slice(0, 50).map(row => ({
+      id: row.id,
+      type: row.entry_type,
+      amount: Number(row.total_sale_amount),
+      commission: Number(row.platform_commission_amount),
+      net_amount: Number(row.seller_earned_amount),
+      order_id: row.order_id ? `#${row.order_id.slice(0, 8)}` : null,
+      product_name: row.entry_type === 'payout'
+        ? 'Payout'
+        : row.collection?.name || (row.entry_type === 'refund' ? 'Refund' : 'Order'),
+      date: row.transaction_date,
+      status: row.status,
+    }));
+
+    // One bar per day up to 30 days, per week for 90 days and per 30 days for a year
+    const bucketDays = days <= 30 ? 1 : days <= 90 ? 7 : 30;
+    const buckets = new Map<string, number>();
+    const bucketStart = (date: Date) => {
+      const offset = Math.floor((date.getTime() - since.getTime()) / (24 * 60 * 60 * 1000));
+      const start = new Date(since);
+      start.setUTCDate(since.getUTCDate() + Math.floor(offset / bucketDays) * bucketDays);
+      return start.toISOString().slice(0, 10);
+    };
+    for (let i = 0; i < days; i += bucketDays) {
+      const day = new Date(since);
+      day.setUTCDate(since.getUTCDate() + i);
+      buckets.set(day.toISOString().slice(0, 10), 0);
+    }
+    for (const row of inRange) {
+      if (row.entry_type === 'payout') continue;
+      const key = bucketStart(new Date(row.transaction_date));
+      if (buckets.has(key)) buckets.set(key, buckets.get(key)! + Number(row.seller_earned_amount));
+    }
+
+    return jsonResponse({
+      success: true,
+      data: {
+        summary: summarizeEarnings(rows || [], seller.commission_rate),
+        recent_transactions: recentTransactions,
+        chart_data: [...buckets.entries()].map(([date, earnings]) => ({ date, earnings: Math.round(earnings * 100) / 100 })),
+      },
+    });
+  } catch (err) {
+    console.error('get-seller-earnings error:', err);
+    return jsonResponse({ success: false, error: err.message }, 500);
+  }
+});
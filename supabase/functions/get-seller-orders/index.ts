@@ -0,0 +1,42 @@
+import { serve } from 'https://deno.land/std@0.177.0/http/server.ts';
+import { corsHeaders } from '../_shared/cors.ts';
+import { jsonResponse } from '../_shared/response.ts';
+import { fetchSellerOrders, requireSeller } from '../_shared/sellers.ts';
+
+// GET ?status=&page=&limit=
+// The calling seller's sub-orders (their part of each order), with the seller's own lines and total.
+// status filters on the sub-order: pending, processing, shipped, delivered or cancelled.
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  const auth = await requireSeller(req);
+  if (auth instanceof Response) return auth;
+  const { supabase, seller } = auth;
+
+  try {
+    const url = new URL(req.url);
+    const status = url.searchParams.get('status');
+    const page = parseInt(url.searchParams.get('page') || '1', 10);
+    const limit = parseInt(url.searchParams.get('limit') || '50', 10);
+    const from = (page - 1) * limit;
+
+    const { error, orders, count } = await fetchSellerOrders(supabase, seller.id, { from, to: from + limit - 1, status });
+    if (error) {
+      console.error('Seller orders fetch error:', error);
+      return jsonResponse({ success: false, error: error.message }, 400);
+    }
+
+    return jsonResponse({
+      success: true,
+      data: orders,
+      count,
+      currentPage: page,
+      totalPages: Math.ceil(count / limit),
+    });
+  } catch (err) {
+    console.error('get-seller-orders error:', err);
+    return jsonResponse({ success: false, error: err.message }, 500);
+  }
+});
@@ -0,0 +1,42 @@
+import { serve } from 'https://deno.land/std@0.177.0/http/server.ts';
+import { corsHeaders } from '../_shared/cors.ts';
+import { jsonResponse } from '../_shared/response.ts';
+import { SELLER_PRODUCT_COLUMNS, requireSeller, toSellerProduct } from '../_shared/sellers.ts';
+
+// POST { product_id }
+// One of the calling seller's products, for the edit form.
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  const auth = await requireSeller(req);
+  if (auth instanceof Response) return auth;
+  const { supabase, seller } = auth;
+
+  try {
+    const { product_id: productId } = await req.json().catch(() => ({}));
+    if (!productId) {
+      return jsonResponse({ success: false, error: 'product_id is required' }, 400);
+    }
+
+    const { data: product, error } = await supabase
+      .from('products')
+      .select(SELLER_PRODUCT_COLUMNS)
+      .eq('id', productId)
+      .eq('seller_id', seller.id)
+      .maybeSingle();
+    if (error) {
+      console.error('Seller product fetch error:', error);
+      return jsonResponse({ success: false, error: error.message }, 400);
+    }
+    if (!product) {
+      return jsonResponse({ success: false, error: 'Product not found' }, 404);
+    }
+
+    return jsonResponse({ success: true, data: toSellerProduct(product) });
+  } catch (err) {
+    console.error('get-seller-product error:', err);
+    return jsonResponse({ success: false, error: err.message }, 500);
+  }
+});
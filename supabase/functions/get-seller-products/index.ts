@@ -0,0 +1,33 @@
+import { serve } from 'https://deno.land/std@0.177.0/http/server.ts';
+import { corsHeaders } from '../_shared/cors.ts';
+import { jsonResponse } from '../_shared/response.ts';
+import { SELLER_PRODUCT_COLUMNS, requireSeller, toSellerProduct } from '../_shared/sellers.ts';
+
+// GET
+// The calling seller's products, including inactive ones, newest first.
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  const auth = await requireSeller(req);
+  if (auth instanceof Response) return auth;
+  const { supabase, seller } = auth;
+
+  try {
+    const { data: products, error } = await supabase
+      .from('products')
+      .select(SELLER_PRODUCT_COLUMNS)
+      .eq('seller_id', seller.id)
+      .order('created_at', { ascending: false });
+    if (error) {
+      console.error('Seller products fetch error:', error);
+      return jsonResponse({ success: false, error: error.message }, 400);
+    }
+
+    return jsonResponse({ success: true, data: (products || []).map(toSellerProduct) });
+  } catch (err) {
+    console.error('get-seller-products error:', err);
+    return jsonResponse({ success: false, error: err.message }, 500);
+  }
+});
@@ -0,0 +1,45 @@
+import { serve } from 'https://deno.land/std@0.177.0/http/server.ts';
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2';
+import { corsHeaders } from '../_shared/cors.ts';
+import { jsonResponse } from '../_shared/response.ts';
+import { getVerificationLevel, toSellerProfile } from '../_shared/sellers.ts';
+
+// GET
+// The caller's store in any status with its verification_level ('none' | 'basic' | 'full'), or
+// data: null when they have never applied.
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  const authHeader = req.headers.get('Authorization');
+  if (!authHeader) {
+    return jsonResponse({ success: false, error: 'Missing Authorization header' }, 401);
+  }
+
+  const supabase = createClient(Deno.env.get('SUPABASE_URL')!, Deno.env.get('SUPABASE_ANON_KEY')!, {
+    global: { headers: { Authorization: authHeader } },
+    db: { schema: 'public' },
+  });
+
+  try {
+    const { data: { user }, error: userError } = await supabase.auth.getUser();
+    if (userError || !user) {
+      return jsonResponse({ success: false, error: 'Authentication failed' }, 401);
+    }
+
+    const { data: seller, error } = await supabase.from('sellers').select('*').eq('user_id', user.id).maybeSingle();
+    if (error) {
+      console.error('Seller profile fetch error:', error);
+      return jsonResponse({ success: false, error: error.message }, 400);
+    }
+
+    if (!seller) return jsonResponse({ success: true, data: null });
+
+    const verificationLevel = await getVerificationLevel(supabase, seller.id);
+    return jsonResponse({ success: true, data: { ...toSellerProfile(seller), verification_level: verificationLevel } });
+  } catch (err) {
+    console.error('get-seller-profile error:', err);
+    return jsonResponse({ success: false, error: err.message }, 500);
+  }
+});
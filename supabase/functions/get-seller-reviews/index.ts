@@ -0,0 +1,72 @@
+import { serve } from 'https://deno.land/std@0.177.0/http/server.ts';
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2';
+import { corsHeaders } from '../_shared/cors.ts';
+import { jsonResponse } from '../_shared/response.ts';
+import { REVIEW_COLUMNS, withPhotoUrls } from '../_shared/reviews.ts';
+
+// GET ?unreplied=true&page=&limit=
+// Approved reviews on the calling seller's products, newest first, for answering them.
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  const authHeader = req.headers.get('Authorization');
+  if (!authHeader) {
+    return jsonResponse({ success: false, error: 'Missing Authorization header' }, 401);
+  }
+
+  const supabase = createClient(Deno.env.get('SUPABASE_URL')!, Deno.env.get('SUPABASE_ANON_KEY')!, {
+    global: { headers: { Authorization: authHeader } },
+    db: { schema: 'public' },
+  });
+
+  try {
+    const { data: { user }, error: userError } = await supabase.auth.getUser();
+    if (userError || !user) {
+      return jsonResponse({ success: false, error: 'Authentication failed' }, 401);
+    }
+
+    const { data: sellerId } = await supabase.rpc('current_seller_id');
+    if (!sellerId) {
+      return jsonResponse({ success: false, error: 'Only active sellers can view product reviews' }, 403);
+    }
+
+    const url = new URL(req.url);
+    const unreplied = url.searchParams.get('unreplied') === 'true';
+    const page = parseInt(url.searchParams.get('page') || '1', 10);
+    const limit = parseInt(url.searchParams.get('limit') || '10', 10);
+    const from = (page - 1) * limit;
+    const to = from + limit - 1;
+
+    let query = supabase
+      .from('product_reviews')
+      .select(`
+        ${REVIEW_COLUMNS},
+        products!inner(id, name, slug, seller_id)
+      `, { count: 'exact' })
+      .eq('products.seller_id', sellerId)
+      .eq('status', 'approved')
+      .order('created_at', { ascending: false })
+      .range(from, to);
+    if (unreplied) query = query.is('seller_reply', null);
+
+    const { data: reviews, error, count } = await query;
+    if (error) {
+      console.error('Seller reviews fetch error:', error);
+      return jsonResponse({ success: false, error: error.message }, 400);
+    }
+
+    const total = count || 0;
+    return jsonResponse({
+      success: true,
+      data: (reviews || []).map(review => withPhotoUrls(supabase, review)),
+      count: total,
+      currentPage: page,
+      totalPages: Math.ceil(total / limit),
+    });
+  } catch (err) {
+    console.error('get-seller-reviews error:', err);
+    return jsonResponse({ success: false, error: err.message }, 500);
+  }
+});
@@ -0,0 +1,31 @@
+import { serve } from 'https://deno.land/std@0.177.0/http/server.ts';
+import { corsHeaders } from '../_shared/cors.ts';
+import { jsonResponse } from '../_shared/response.ts';
+import { maskAccountNumber, mergeSellerSettings, requireSeller } from '../_shared/sellers.ts';
+
+// GET
+// { business, payout, privacy } with defaults filled in. The payout section also carries the
+// bank details from the store (account number masked); those are edited on the profile.
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  const auth = await requireSeller(req);
+  if (auth instanceof Response) return auth;
+  const { seller } = auth;
+
+  const settings = mergeSellerSettings(seller.settings);
+  return jsonResponse({
+    success: true,
+    data: {
+      ...settings,
+      payout: {
+        ...settings.payout,
+        account_holder_name: seller.account_holder_name,
+        bank_name: seller.bank_name,
+        account_number: maskAccountNumber(seller.bank_account_number),
+      },
+    },
+  });
+});
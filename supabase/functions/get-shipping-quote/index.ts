@@ -0,0 +1,62 @@
+import { serve } from 'https://deno.land/std@0.177.0/http/server.ts';
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2';
+import { corsHeaders } from '../_shared/cors.ts';
+import { jsonResponse } from '../_shared/response.ts';
+import { getVariantPrice, PRICING_COLUMNS, roundMoney } from '../_shared/pricing.ts';
+import { quoteShipping } from '../_shared/shipping.ts';
+
+// Shipping options and fees for a cart delivered to an address; create-order prices the chosen
+// method the same way.
+// Body: { items: [{ productId, variantId?, quantity }], address: { city, subCity?, country? } }
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  const authHeader = req.headers.get('Authorization');
+  const supabase = createClient(Deno.env.get('SUPABASE_URL')!, Deno.env.get('SUPABASE_ANON_KEY')!, {
+    global: { headers: authHeader ? { Authorization: authHeader } : {} },
+  });
+
+  try {
+    let body;
+    try {
+      body = await req.json();
+    } catch {
+      return jsonResponse({ success: false, error: 'Invalid JSON body' }, 400);
+    }
+    const { items, address } = body;
+    if (!Array.isArray(items) || items.length === 0 || !address || typeof address !== 'object') {
+      return jsonResponse({ success: false, error: 'address and a non-empty items array are required' }, 400);
+    }
+
+    const variantIds = items.map(item => item.variantId).filter(Boolean);
+    const [{ data: products, error: productsError }, { data: variants, error: variantsError }] = await Promise.all([
+      supabase.from('products').select(`${PRICING_COLUMNS}, weight_kg`).in('id', items.map(item => item.productId)),
+      variantIds.length > 0
+        ? supabase.from('product_variants').select('id, product_id, price').in('id', variantIds).eq('is_active', true)
+        : Promise.resolve({ data: [], error: null }),
+    ]);
+    if (productsError || variantsError) {
+      return jsonResponse({ success: false, error: (productsError || variantsError)!.message }, 500);
+    }
+
+    const pricedItems = items
+      .map(item => {
+        const product = (products || []).find(p => p.id === item.productId);
+        if (!product || product.is_active === false) return null;
+        const variant = item.variantId ? (variants || []).find(v => v.id === item.variantId && v.product_id === product.id) : null;
+        if (item.variantId && !variant) return null;
+        return { product, quantity: Math.max(0, Number(item.quantity) || 0), price: getVariantPrice(product, variant) };
+      })
+      .filter(Boolean);
+
+    const subtotal = roundMoney(pricedItems.reduce((sum, item) => sum + item.price * item.quantity, 0));
+    const quote = await quoteShipping(supabase, { address, lines: pricedItems, subtotal });
+
+    return jsonResponse({ success: true, data: { ...quote, subtotal } });
+  } catch (err) {
+    console.error('get-shipping-quote error:', err);
+    return jsonResponse({ success: false, error: err.message }, 500);
+  }
+});
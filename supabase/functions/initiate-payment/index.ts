@@ -0,0 +1,166 @@
+import { serve } from 'https://deno.land/std@0.177.0/http/server.ts';
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2';
+import { corsHeaders } from '../_shared/cors.ts';
+import { jsonResponse } from '../_shared/response.ts';
+import { getPaymentProvider } from '../_shared/payments.ts';
+
+// Starts paying for one of the caller's pending orders.
+// Body: { orderId: string, provider: 'cod' | 'chapa' | 'fake', returnUrl: string, guestToken?: string }
+// Guests (no signed-in user) pay for a guest order with the guestToken create-order returned.
+// Returns { paymentId, provider, txRef, status, checkoutUrl } — redirect to checkoutUrl when it is set.
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  const authHeader = req.headers.get('Authorization');
+  if (!authHeader) {
+    return jsonResponse({ success: false, error: 'Missing Authorization header' }, 401);
+  }
+
+  const supabaseUrl = Deno.env.get('SUPABASE_URL')!;
+  const supabase = createClient(supabaseUrl, Deno.env.get('SUPABASE_ANON_KEY')!, {
+    global: { headers: { Authorization: authHeader } },
+    db: { schema: 'public' },
+  });
+  // Service role client: payments are written only by edge functions
+  const supabaseAdminClient = createClient(supabaseUrl, Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!);
+
+  try {
+    const { data: { user } } = await supabase.auth.getUser();
+
+    let body;
+    try {
+      body = await req.json();
+    } catch {
+      return jsonResponse({ success: false, error: 'Invalid JSON body' }, 400);
+    }
+    const { orderId, provider: providerId, returnUrl, guestToken } = body;
+    if (!user && !guestToken) {
+      return jsonResponse({ success: false, error: 'Authentication failed' }, 401);
+    }
+    if (!orderId || !providerId || !returnUrl) {
+      return jsonResponse({ success: false, error: 'orderId, provider and returnUrl are required' }, 400);
+    }
+
+    const provider = getPaymentProvider(providerId);
+    if (!provider || !provider.isEnabled()) {
+      return jsonResponse({ success: false, code: 'PROVIDER_UNAVAILABLE', error: 'This payment method is not available' }, 400);
+    }
+
+    // Only send shoppers back to our own storefront
+    let parsedReturnUrl: URL;
+    try {
+      parsedReturnUrl = new URL(returnUrl);
+    } catch {
+      return jsonResponse({ success: false, error: 'returnUrl must be an absolute URL' }, 400);
+    }
+    const siteUrl = Deno.env.get('SITE_URL');
+    if (siteUrl && parsedReturnUrl.origin !== new URL(siteUrl).origin) {
+      return jsonResponse({ success: false, error: 'returnUrl is not an allowed origin' }, 400);
+    }
+
+    // RLS limits this to the caller's own orders; a guest order needs its token instead
+    const orderColumns = 'id, "userId", "shippingAddress", "totalAmount", status, payment_status, guest_email';
+    const { data: order, error: orderError } = user
+      ? await supabase.from('orders').select(orderColumns).eq('id', orderId).maybeSingle()
+      : await supabaseAdminClient
+          .from('orders')
+          .select(orderColumns)
+          .eq('id', orderId)
+          .eq('guest_token', guestToken)
+          .is('userId', null)
+          .maybeSingle();
+    if (orderError) {
+      return jsonResponse({ success: false, error: orderError.message }, 500);
+    }
+    if (!order || (user && order.userId !== user.id)) {
+      return jsonResponse({ success: false, error: 'Order not found' }, 404);
+    }
+    if (order.payment_status === 'paid') {
+      return jsonResponse({ success: false, code: 'ALREADY_PAID', error: 'This order has already been paid' }, 409);
+    }
+    if (order.status !== 'pending') {
+      return jsonResponse({ success: false, code: 'ORDER_NOT_PAYABLE', error: `Orders that are ${order.status} cannot be paid` }, 409);
+    }
+
+    // A new attempt supersedes any earlier one that never completed
+    await supabaseAdminClient
+      .from('payments')
+      .update({ status: 'cancelled', updated_at: new Date().toISOString() })
+      .eq('order_id', order.id)
+      .eq('status', 'pending');
+
+    const amount = Number(order.totalAmount);
+    const txRef = `sa-${order.id.slice(0, 8)}-${crypto.randomUUID().slice(0, 8)}`;
+    const { data: payment, error: insertError } = await supabaseAdminClient
+      .from('payments')
+      .insert({
+        order_id: order.id,
+        user_id: user?.id ?? null,
+        provider: provider.id,
+        amount,
+        currency: 'ETB',
+        tx_ref: txRef,
+      })
+      .select('id, provider, status, tx_ref')
+      .single();
+    if (insertError) {
+      console.error('Payment insert error:', insertError);
+      return jsonResponse({ success: false, error: insertError.message }, 500);
+    }
+
+    const address = order.shippingAddress || {};
+    let initialized;
+    try {
+      initialized = await provider.initialize({
+        orderId: order.id,
+        txRef,
+        amount,
+        currency: 'ETB',
+        customer: {
+          email: address.email || user?.email || order.guest_email,
+          firstName: address.firstName,
+          lastName: address.lastName,
+          phone: address.phone,
+        },
+        returnUrl: parsedReturnUrl.toString(),
+        callbackUrl: `${supabaseUrl}/functions/v1/payment-webhook?provider=${provider.id}`,
+      });
+    } catch (providerError) {
+      console.error(`initiate-payment: ${provider.id} initialize failed:`, providerError);
+      await supabaseAdminClient
+        .from('payments')
+        .update({ status: 'failed', failure_reason: providerError.message, updated_at: new Date().toISOString() })
+        .eq('id', payment.id);
+      return jsonResponse({ success: false, code: 'PAYMENT_INIT_FAILED', error: 'Could not start the payment. Please try again.' }, 502);
+    }
+
+    await supabaseAdminClient
+      .from('payments')
+      .update({
+        checkout_url: initialized.checkoutUrl,
+        provider_reference: initialized.providerReference ?? null,
+        updated_at: new Date().toISOString(),
+      })
+      .eq('id', payment.id);
+    await supabaseAdminClient
+      .from('orders')
+      .update({ payment_method: provider.id, payment_status: initialized.checkoutUrl ? 'pending' : 'unpaid' })
+      .eq('id', order.id);
+
+    return jsonResponse({
+      success: true,
+      data: {
+        paymentId: payment.id,
+        provider: payment.provider,
+        txRef,
+        status: payment.status,
+        checkoutUrl: initialized.checkoutUrl,
+      },
+    });
+  } catch (err) {
+    console.error('initiate-payment error:', err);
+    return jsonResponse({ success: false, error: err.message }, 500);
+  }
+});
@@ -0,0 +1,45 @@
+import { serve } from 'https://deno.land/std@0.177.0/http/server.ts';
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2';
+import { corsHeaders } from '../_shared/cors.ts';
+import { jsonResponse } from '../_shared/response.ts';
+
+// POST { anonymousId }
+// Called right after login: moves the views recorded while signed out onto the account.
+// Returns { merged } (number of products moved).
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  const authHeader = req.headers.get('Authorization');
+  if (!authHeader) {
+    return jsonResponse({ success: false, error: 'Missing Authorization header' }, 401);
+  }
+
+  const supabase = createClient(Deno.env.get('SUPABASE_URL')!, Deno.env.get('SUPABASE_ANON_KEY')!, {
+    global: { headers: { Authorization: authHeader } },
+  });
+
+  try {
+    const { data: { user }, error: userError } = await supabase.auth.getUser();
+    if (userError || !user) {
+      return jsonResponse({ success: false, error: 'Authentication failed' }, 401);
+    }
+
+    const { anonymousId } = await req.json().catch(() => ({}));
+    if (!anonymousId) {
+      return jsonResponse({ success: true, data: { merged: 0 } });
+    }
+
+    const { data, error } = await supabase.rpc('merge_product_views', { p_anonymous_id: anonymousId });
+    if (error) {
+      console.error('merge_product_views error:', error);
+      return jsonResponse({ success: false, error: error.message }, 400);
+    }
+
+    return jsonResponse({ success: true, data: { merged: data ?? 0 } });
+  } catch (err) {
+    console.error('merge-product-views error:', err);
+    return jsonResponse({ success: false, error: err.message }, 500);
+  }
+});
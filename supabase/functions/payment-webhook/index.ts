@@ -0,0 +1,85 @@
+import { serve } from 'https://deno.land/std@0.177.0/http/server.ts';
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2';
+import { corsHeaders } from '../_shared/cors.ts';
+import { jsonResponse } from '../_shared/response.ts';
+import { getPaymentProvider, WebhookAuthError } from '../_shared/payments.ts';
+
+// Receives payment results from providers: POST/GET ?provider=chapa|fake
+// Deployed with verify_jwt = false (see config.toml); each provider authenticates its own calls.
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  const providerId = new URL(req.url).searchParams.get('provider');
+  const provider = getPaymentProvider(providerId);
+  if (!provider || !provider.parseWebhook || !provider.isEnabled()) {
+    return jsonResponse({ success: false, error: 'Unknown payment provider' }, 404);
+  }
+
+  const rawBody = req.method === 'GET' ? '' : await req.text();
+
+  let result;
+  try {
+    result = await provider.parseWebhook(req, rawBody);
+  } catch (err) {
+    if (err instanceof WebhookAuthError) {
+      console.warn(`payment-webhook (${provider.id}) rejected:`, err.message);
+      return jsonResponse({ success: false, error: err.message }, 401);
+    }
+    console.error(`payment-webhook (${provider.id}) could not be processed:`, err);
+    // Non-2xx so the provider retries later
+    return jsonResponse({ success: false, error: 'Could not process webhook' }, 500);
+  }
+
+  const supabaseAdminClient = createClient(
+    Deno.env.get('SUPABASE_URL')!,
+    Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!,
+  );
+
+  // A provider may only settle attempts that were started with it
+  const { data: payment, error: paymentError } = await supabaseAdminClient
+    .from('payments')
+    .select('provider')
+    .eq('tx_ref', result.txRef)
+    .maybeSingle();
+  if (paymentError) {
+    console.error('payment lookup error:', paymentError);
+    return jsonResponse({ success: false, error: 'Could not record payment' }, 500);
+  }
+  if (!payment) {
+    return jsonResponse({ success: false, code: 'PAYMENT_NOT_FOUND', error: 'No payment with this reference' }, 404);
+  }
+  if (payment.provider !== provider.id) {
+    console.warn(`payment-webhook (${provider.id}) ${result.txRef}: payment belongs to ${payment.provider}`);
+    return jsonResponse({ success: false, code: 'PROVIDER_MISMATCH', error: 'Payment was not made with this provider' }, 400);
+  }
+
+  // No outcome yet (e.g. Chapa's callback before the customer finished): leave the attempt open
+  if (result.status === 'pending') {
+    return jsonResponse({ success: true, data: { status: 'pending', pending: true } });
+  }
+
+  const { data: settled, error: settleError } = await supabaseAdminClient.rpc('settle_payment', {
+    p_tx_ref: result.txRef,
+    p_status: result.status,
+    p_amount: result.amount,
+    p_provider_reference: result.providerReference ?? null,
+    p_failure_reason: result.failureReason ?? null,
+    p_raw_event: result.raw ?? null,
+  });
+  if (settleError) {
+    console.error('settle_payment error:', settleError);
+    return jsonResponse({ success: false, error: 'Could not record payment' }, 500);
+  }
+  if (!settled?.success) {
+    console.warn(`payment-webhook (${provider.id}) ${result.txRef}:`, settled);
+    // Acknowledge anyway: retrying an unknown reference or a wrong amount will not fix it
+    return jsonResponse({ success: false, code: settled?.code, error: settled?.error }, settled?.code === 'PAYMENT_NOT_FOUND' ? 404 : 200);
+  }
+  if (settled.refundDue) {
+    console.warn(`payment-webhook (${provider.id}) ${result.txRef}: paid after the attempt was cancelled, refund queued`);
+  }
+
+  return jsonResponse({ success: true, data: settled });
+});
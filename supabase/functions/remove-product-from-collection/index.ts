@@ -0,0 +1,38 @@
+import { serve } from 'https://deno.land/std@0.177.0/http/server.ts';
+import { corsHeaders } from '../_shared/cors.ts';
+import { jsonResponse } from '../_shared/response.ts';
+import { requireSeller } from '../_shared/sellers.ts';
+
+// POST { collection_id, product_id }
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  const auth = await requireSeller(req);
+  if (auth instanceof Response) return auth;
+  const { supabase } = auth;
+
+  try {
+    const { collection_id: collectionId, product_id: productId } = await req.json().catch(() => ({}));
+    if (!collectionId || !productId) {
+      return jsonResponse({ success: false, error: 'collection_id and product_id are required' }, 400);
+    }
+
+    // RLS limits the delete to the seller's own collections
+    const { error } = await supabase
+      .from('collection_items')
+      .delete()
+      .eq('collection_id', collectionId)
+      .eq('product_id', productId);
+    if (error) {
+      console.error('Collection item delete error:', error);
+      return jsonResponse({ success: false, error: error.message }, 400);
+    }
+
+    return jsonResponse({ success: true, data: { collection_id: collectionId, product_id: productId } });
+  } catch (err) {
+    console.error('remove-product-from-collection error:', err);
+    return jsonResponse({ success: false, error: err.message }, 500);
+  }
+});
@@ -0,0 +1,66 @@
+import { serve } from 'https://deno.land/std@0.177.0/http/server.ts';
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2';
+import { corsHeaders } from '../_shared/cors.ts';
+import { jsonResponse } from '../_shared/response.ts';
+import { MAX_REVIEW_BODY_LENGTH } from '../_shared/reviews.ts';
+
+// PUT ?id=<reviewId>  Body: { reply }
+// Public answer from the product's seller (or an admin); an empty reply removes it.
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  const authHeader = req.headers.get('Authorization');
+  if (!authHeader) {
+    return jsonResponse({ success: false, error: 'Missing Authorization header' }, 401);
+  }
+
+  const supabase = createClient(Deno.env.get('SUPABASE_URL')!, Deno.env.get('SUPABASE_ANON_KEY')!, {
+    global: { headers: { Authorization: authHeader } },
+    db: { schema: 'public' },
+  });
+
+  try {
+    const { data: { user }, error: userError } = await supabase.auth.getUser();
+    if (userError || !user) {
+      return jsonResponse({ success: false, error: 'Authentication failed' }, 401);
+    }
+
+    const reviewId = new URL(req.url).searchParams.get('id');
+    if (!reviewId) {
+      return jsonResponse({ success: false, error: 'Missing review ID' }, 400);
+    }
+
+    let body;
+    try {
+      body = await req.json();
+    } catch {
+      return jsonResponse({ success: false, error: 'Invalid JSON body' }, 400);
+    }
+    const reply = body.reply ? String(body.reply).trim() : '';
+    if (reply.length > MAX_REVIEW_BODY_LENGTH) {
+      return jsonResponse({ success: false, error: `Replies are limited to ${MAX_REVIEW_BODY_LENGTH} characters` }, 400);
+    }
+
+    const { data: review, error } = await supabase.rpc('reply_to_product_review', {
+      p_review_id: reviewId,
+      p_reply: reply,
+    });
+    if (error) {
+      if (error.code === 'P0002') {
+        return jsonResponse({ success: false, error: 'Review not found' }, 404);
+      }
+      if (error.code === '42501') {
+        return jsonResponse({ success: false, error: error.message }, 403);
+      }
+      console.error('reply_to_product_review error:', error);
+      return jsonResponse({ success: false, error: error.message }, 400);
+    }
+
+    return jsonResponse({ success: true, data: review });
+  } catch (err) {
+    console.error('reply-product-review error:', err);
+    return jsonResponse({ success: false, error: err.message }, 500);
+  }
+});
@@ -0,0 +1,50 @@
+import { serve } from 'https://deno.land/std@0.177.0/http/server.ts';
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2';
+import { corsHeaders } from '../_shared/cors.ts';
+import { jsonResponse } from '../_shared/response.ts';
+import { dispatchNotifications, enqueueNotification } from '../_shared/notifications.ts';
+
+// POST { email, redirectTo }
+// Emails a password recovery link through the notification outbox (instead of Supabase's
+// built-in mailer, so it uses our templates and provider). Always answers the same way
+// whether or not the address has an account, so it cannot be used to probe for users.
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  const { email, redirectTo } = await req.json().catch(() => ({}));
+  const normalizedEmail = String(email || '').trim().toLowerCase();
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(normalizedEmail)) {
+    return jsonResponse({ success: false, error: 'A valid email address is required' }, 400);
+  }
+
+  const supabaseAdmin = createClient(Deno.env.get('SUPABASE_URL')!, Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!);
+
+  try {
+    const { data, error } = await supabaseAdmin.auth.admin.generateLink({
+      type: 'recovery',
+      email: normalizedEmail,
+      options: redirectTo ? { redirectTo: String(redirectTo) } : undefined,
+    });
+    if (error || !data?.properties?.action_link) {
+      // Most often there is no account with this email; say nothing about it to the caller
+      console.warn('Password reset link not generated:', error?.message);
+    } else {
+      const notificationId = await enqueueNotification(supabaseAdmin, {
+        template: 'password_reset',
+        recipient: normalizedEmail,
+        userId: data.user?.id ?? null,
+        payload: { actionLink: data.properties.action_link },
+      });
+      if (notificationId) {
+        await dispatchNotifications(supabaseAdmin, { ids: [notificationId] });
+      }
+    }
+  } catch (err) {
+    console.error('request-password-reset error:', err);
+    return jsonResponse({ success: false, error: 'Could not send the reset email, please try again' }, 500);
+  }
+
+  return jsonResponse({ success: true, data: { message: 'If an account exists for this email, a reset link is on its way.' } });
+});
@@ -0,0 +1,75 @@
+import { serve } from 'https://deno.land/std@0.177.0/http/server.ts';
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2';
+import { corsHeaders } from '../_shared/cors.ts';
+import { jsonResponse } from '../_shared/response.ts';
+
+// PUT ?id=<returnRequestId>  Body: { decision: 'approved' | 'rejected', note?, refundAmount? }
+// Open to admins and to the seller owning every item in the request; review_return_request decides.
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  const authHeader = req.headers.get('Authorization');
+  if (!authHeader) {
+    return jsonResponse({ success: false, error: 'Missing Authorization header' }, 401);
+  }
+
+  const supabase = createClient(Deno.env.get('SUPABASE_URL')!, Deno.env.get('SUPABASE_ANON_KEY')!, {
+    global: { headers: { Authorization: authHeader } },
+    db: { schema: 'public' },
+  });
+
+  try {
+    const { data: { user }, error: userError } = await supabase.auth.getUser();
+    if (userError || !user) {
+      return jsonResponse({ success: false, error: 'Authentication failed' }, 401);
+    }
+
+    const requestId = new URL(req.url).searchParams.get('id');
+    if (!requestId) {
+      return jsonResponse({ success: false, error: 'Missing return request ID' }, 400);
+    }
+
+    let body;
+    try {
+      body = await req.json();
+    } catch {
+      return jsonResponse({ success: false, error: 'Invalid JSON body' }, 400);
+    }
+    if (!['approved', 'rejected'].includes(body.decision)) {
+      return jsonResponse({ success: false, error: 'decision must be approved or rejected' }, 400);
+    }
+    const refundAmount = body.refundAmount === undefined || body.refundAmount === null || body.refundAmount === ''
+      ? null
+      : Number(body.refundAmount);
+    if (refundAmount !== null && Number.isNaN(refundAmount)) {
+      return jsonResponse({ success: false, error: 'refundAmount must be a number' }, 400);
+    }
+
+    const { data: request, error } = await supabase.rpc('review_return_request', {
+      p_request_id: requestId,
+      p_decision: body.decision,
+      p_note: body.note ? String(body.note).trim() : null,
+      p_refund_amount: refundAmount,
+    });
+    if (error) {
+      if (error.code === 'P0002') {
+        return jsonResponse({ success: false, error: 'Return request not found' }, 404);
+      }
+      if (error.code === '42501') {
+        return jsonResponse({ success: false, error: error.message }, 403);
+      }
+      if (error.code === '23514') {
+        return jsonResponse({ success: false, code: 'INVALID_REVIEW', error: error.message }, 409);
+      }
+      console.error('review_return_request error:', error);
+      return jsonResponse({ success: false, error: error.message }, 400);
+    }
+
+    return jsonResponse({ success: true, data: request });
+  } catch (err) {
+    console.error('review-return-request error:', err);
+    return jsonResponse({ success: false, error: err.message }, 500);
+  }
+});
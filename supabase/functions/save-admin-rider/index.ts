@@ -0,0 +1,62 @@
+import { serve } from 'https://deno.land/std@0.177.0/http/server.ts';
+import { corsHeaders } from '../_shared/cors.ts';
+import { jsonResponse } from '../_shared/response.ts';
+import { requireAdmin } from '../_shared/adminAuth.ts';
+import { findUserByEmail, RIDER_ROLE, setUserRole, toRiderRow } from '../_shared/delivery.ts';
+
+// POST          Body: { email, fullName, phone, vehicle?, notes?, isActive? }
+//               Makes an existing account a rider: gives it the RIDER role and a riders row.
+// PUT  ?id=     Body: { fullName, phone, vehicle?, notes?, isActive? }
+// The role reaches the rider's token on their next sign-in (or token refresh).
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  const auth = await requireAdmin(req);
+  if (auth instanceof Response) return auth;
+  const { supabaseAdminClient } = auth;
+
+  try {
+    if (req.method !== 'POST' && req.method !== 'PUT') {
+      return jsonResponse({ success: false, error: 'Method not allowed' }, 405);
+    }
+    const id = new URL(req.url).searchParams.get('id');
+    if (req.method === 'PUT' && !id) return jsonResponse({ success: false, error: 'Missing id' }, 400);
+
+    const body = await req.json();
+    const { row, error: validationError } = toRiderRow(body);
+    if (validationError) return jsonResponse({ success: false, error: validationError }, 400);
+
+    if (req.method === 'PUT') {
+      const { data, error } = await supabaseAdminClient.from('riders').update(row).eq('id', id).select().single();
+      if (error) return jsonResponse({ success: false, error: error.message }, 400);
+      return jsonResponse({ success: true, data });
+    }
+
+    const email = String(body.email ?? '').trim();
+    if (!email) return jsonResponse({ success: false, error: 'The rider\'s account email is required.' }, 400);
+    const user = await findUserByEmail(supabaseAdminClient, email);
+    if (!user) {
+      return jsonResponse({ success: false, error: 'No account uses this email. Ask the rider to sign up first.' }, 404);
+    }
+    if (user.app_metadata?.user_role === 'ADMIN') {
+      return jsonResponse({ success: false, error: 'Admin accounts cannot be riders.' }, 400);
+    }
+
+    const { data, error } = await supabaseAdminClient
+      .from('riders')
+      .insert({ ...row, user_id: user.id })
+      .select()
+      .single();
+    if (error) {
+      const message = error.code === '23505' ? 'This account is already a rider.' : error.message;
+      return jsonResponse({ success: false, error: message }, 400);
+    }
+    await setUserRole(supabaseAdminClient, user, RIDER_ROLE);
+
+    return jsonResponse({ success: true, data }, 201);
+  } catch (err) {
+    return jsonResponse({ success: false, error: err.message }, 500);
+  }
+});
@@ -0,0 +1,50 @@
+import { serve } from 'https://deno.land/std@0.177.0/http/server.ts';
+import { corsHeaders } from '../_shared/cors.ts';
+import { jsonResponse } from '../_shared/response.ts';
+import { requireAdmin } from '../_shared/adminAuth.ts';
+import { toMethodRow, toRateRow, toZoneRow } from '../_shared/shipping.ts';
+
+const RESOURCES = {
+  zone: { table: 'delivery_zones', toRow: toZoneRow, duplicate: 'A zone with this name already exists.' },
+  method: { table: 'shipping_methods', toRow: toMethodRow, duplicate: 'A shipping method with this code already exists.' },
+  rate: { table: 'shipping_rates', toRow: toRateRow, duplicate: 'This method already has a rate for this zone.' },
+};
+
+// POST ?resource=zone|method|rate        creates one
+// PUT  ?resource=zone|method|rate&id=    updates one
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  const auth = await requireAdmin(req);
+  if (auth instanceof Response) return auth;
+  const { supabaseAdminClient } = auth;
+
+  try {
+    const url = new URL(req.url);
+    const resource = RESOURCES[url.searchParams.get('resource') as keyof typeof RESOURCES];
+    if (!resource) return jsonResponse({ success: false, error: 'resource must be zone, method or rate' }, 400);
+    if (req.method !== 'POST' && req.method !== 'PUT') {
+      return jsonResponse({ success: false, error: 'Method not allowed' }, 405);
+    }
+    const id = url.searchParams.get('id');
+    if (req.method === 'PUT' && !id) return jsonResponse({ success: false, error: 'Missing id' }, 400);
+
+    const body = await req.json();
+    const { row, error: validationError } = resource.toRow(body);
+    if (validationError) return jsonResponse({ success: false, error: validationError }, 400);
+
+    const query = req.method === 'PUT'
+      ? supabaseAdminClient.from(resource.table).update(row).eq('id', id)
+      : supabaseAdminClient.from(resource.table).insert(row);
+    const { data, error } = await query.select().single();
+    if (error) {
+      const message = error.code === '23505' ? resource.duplicate : error.message;
+      return jsonResponse({ success: false, error: message }, 400);
+    }
+    return jsonResponse({ success: true, data }, req.method === 'POST' ? 201 : 200);
+  } catch (err) {
+    return jsonResponse({ success: false, error: err.message }, 500);
+  }
+});
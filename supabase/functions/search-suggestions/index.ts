@@ -0,0 +1,76 @@
+import { serve } from 'https://deno.land/std@0.177.0/http/server.ts';
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2';
+import { corsHeaders } from '../_shared/cors.ts';
+import { jsonResponse } from '../_shared/response.ts';
+
+const MIN_QUERY_LENGTH = 2;
+
+// Characters with a meaning in PostgREST filter strings or ilike patterns
+const toIlikePattern = (term: string) => `%${term.replace(/[%_,()\\]/g, ' ').trim()}%`;
+
+// GET ?q=&limit=
+// Autocomplete for the header search box: ranked products (same matching as the product list
+// search, so typos are forgiven) plus categories and collections whose name contains the query.
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  const supabase = createClient(Deno.env.get('SUPABASE_URL')!, Deno.env.get('SUPABASE_ANON_KEY')!);
+
+  try {
+    const url = new URL(req.url);
+    const q = (url.searchParams.get('q') || '').trim();
+    const limit = Math.min(Math.max(parseInt(url.searchParams.get('limit') || '6', 10) || 6, 1), 10);
+
+    if (q.length < MIN_QUERY_LENGTH) {
+      return jsonResponse({ success: true, data: { products: [], categories: [], collections: [] } });
+    }
+
+    const pattern = toIlikePattern(q);
+    const [products, categories, collections] = await Promise.all([
+      supabase
+        .rpc('search_products', { p_query: q })
+        .select('id, name, slug, price, discount, flash_deal, flash_deal_end, images')
+        .limit(limit),
+      supabase.from('categories').select('id, name, slug').ilike('name', pattern).order('name').limit(3),
+      supabase
+        .from('collections')
+        .select('id, name, image_url')
+        .eq('is_active', true)
+        .ilike('name', pattern)
+        .order('name')
+        .limit(3),
+    ]);
+
+    const error = products.error || categories.error;
+    if (error) {
+      console.error('Search suggestions error:', error.message);
+      return jsonResponse({ success: false, error: error.message }, 400);
+    }
+    // Collections are a nice-to-have here; a failure there should not break the dropdown
+    if (collections.error) {
+      console.error('Collection suggestions error:', collections.error.message);
+    }
+
+    return jsonResponse({
+      success: true,
+      data: {
+        products: (products.data || []).map(({ images, ...product }) => {
+          const image = Array.isArray(images) && images.length > 0 ? String(images[0]).replace(/^\//, '') : null;
+          return {
+            ...product,
+            image: image && !/^https?:\/\//.test(image)
+              ? supabase.storage.from('products').getPublicUrl(image).data.publicUrl
+              : image,
+          };
+        }),
+        categories: categories.data || [],
+        collections: collections.data || [],
+      },
+    });
+  } catch (err) {
+    console.error('search-suggestions error:', err);
+    return jsonResponse({ success: false, error: err.message }, 500);
+  }
+});
@@ -0,0 +1,39 @@
+import { serve } from 'https://deno.land/std@0.177.0/http/server.ts';
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2';
+import { corsHeaders } from '../_shared/cors.ts';
+import { jsonResponse } from '../_shared/response.ts';
+
+// POST { productId, anonymousId? }
+// Records a product page view for the signed-in user, or for anonymousId (the storefront's
+// per-browser id) when signed out. The caller does not wait on this, so failures are only logged.
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  const authHeader = req.headers.get('Authorization');
+  const supabase = createClient(Deno.env.get('SUPABASE_URL')!, Deno.env.get('SUPABASE_ANON_KEY')!, {
+    global: { headers: authHeader ? { Authorization: authHeader } : {} },
+  });
+
+  try {
+    const { productId, anonymousId } = await req.json().catch(() => ({}));
+    if (!productId) {
+      return jsonResponse({ success: false, error: 'productId is required' }, 400);
+    }
+
+    const { error } = await supabase.rpc('record_product_view', {
+      p_product_id: productId,
+      p_anonymous_id: anonymousId || null,
+    });
+    if (error) {
+      console.error('record_product_view error:', error);
+      return jsonResponse({ success: false, error: error.message }, 400);
+    }
+
+    return jsonResponse({ success: true });
+  } catch (err) {
+    console.error('track-product-view error:', err);
+    return jsonResponse({ success: false, error: err.message }, 500);
+  }
+});
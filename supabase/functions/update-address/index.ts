@@ -0,0 +1,58 @@
+import { serve } from 'https://deno.land/std@0.177.0/http/server.ts';
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2';
+import { corsHeaders } from '../_shared/cors.ts';
+import { jsonResponse } from '../_shared/response.ts';
+import { toAddressRow } from '../_shared/addresses.ts';
+
+// PUT ?id=<address id>   body as for create-address
+// Replaces one of the caller's addresses. isDefault: true makes it the default; the default
+// cannot be unset directly, only by making another address the default.
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  const authHeader = req.headers.get('Authorization');
+  if (!authHeader) {
+    return jsonResponse({ success: false, error: 'Missing Authorization header' }, 401);
+  }
+
+  const supabase = createClient(Deno.env.get('SUPABASE_URL')!, Deno.env.get('SUPABASE_ANON_KEY')!, {
+    global: { headers: { Authorization: authHeader } },
+  });
+
+  try {
+    const { data: { user }, error: userError } = await supabase.auth.getUser();
+    if (userError || !user) {
+      return jsonResponse({ success: false, error: 'Authentication failed' }, 401);
+    }
+
+    const id = new URL(req.url).searchParams.get('id');
+    if (!id) return jsonResponse({ success: false, error: 'Missing address id' }, 400);
+
+    const body = await req.json().catch(() => null);
+    if (!body) return jsonResponse({ success: false, error: 'Invalid JSON' }, 400);
+
+    const { row, error: validationError } = toAddressRow(body);
+    if (validationError) return jsonResponse({ success: false, error: validationError }, 400);
+
+    // RLS limits the update to the caller's rows; no row back means not found (or not theirs)
+    const { data, error } = await supabase
+      .from('customer_addresses')
+      .update(row)
+      .eq('id', id)
+      .eq('user_id', user.id)
+      .select()
+      .maybeSingle();
+    if (error) {
+      console.error('Address update error:', error);
+      return jsonResponse({ success: false, error: error.message }, 400);
+    }
+    if (!data) return jsonResponse({ success: false, error: 'Address not found' }, 404);
+
+    return jsonResponse({ success: true, data });
+  } catch (err) {
+    console.error('update-address error:', err);
+    return jsonResponse({ success: false, error: err.message }, 500);
+  }
+});
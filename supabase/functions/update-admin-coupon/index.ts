@@ -0,0 +1,34 @@
+import { serve } from 'https://deno.land/std@0.177.0/http/server.ts';
+import { corsHeaders } from '../_shared/cors.ts';
+import { jsonResponse } from '../_shared/response.ts';
+import { requireAdmin } from '../_shared/adminAuth.ts';
+import { toCouponRow } from '../_shared/coupons.ts';
+
+// PUT ?id=<coupon id>
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  const auth = await requireAdmin(req);
+  if (auth instanceof Response) return auth;
+  const { supabaseAdminClient } = auth;
+
+  try {
+    const id = new URL(req.url).searchParams.get('id');
+    if (!id) return jsonResponse({ success: false, error: 'Missing coupon id' }, 400);
+
+    const body = await req.json();
+    const { row, error: validationError } = toCouponRow(body);
+    if (validationError) return jsonResponse({ success: false, error: validationError }, 400);
+
+    const { data, error } = await supabaseAdminClient.from('coupons').update(row).eq('id', id).select().single();
+    if (error) {
+      const message = error.code === '23505' ? `A coupon with code ${row!.code} already exists.` : error.message;
+      return jsonResponse({ success: false, error: message }, 400);
+    }
+    return jsonResponse({ success: true, data });
+  } catch (err) {
+    return jsonResponse({ success: false, error: err.message }, 500);
+  }
+});
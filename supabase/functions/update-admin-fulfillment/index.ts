@@ -0,0 +1,80 @@
+import { serve } from 'https://deno.land/std@0.177.0/http/server.ts';
+import { corsHeaders } from '../_shared/cors.ts';
+import { jsonResponse } from '../_shared/response.ts';
+import { requireAdmin } from '../_shared/adminAuth.ts';
+import { dispatchNotifications } from '../_shared/notifications.ts';
+
+// A single part is never cancelled on its own; cancelling the order cancels its open parts
+const FULFILLMENT_STATUSES = ['processing', 'shipped', 'delivered'];
+
+// PUT ?id=<fulfillmentId>  Body: { status, note?, carrier?, trackingNumber? }  (carrier/tracking apply when shipping)
+// Moves one store's part of an order (or SuriAddis's own, seller_id null). The transition and the
+// order status that follows from it are handled by update_fulfillment_status.
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  const auth = await requireAdmin(req);
+  if (auth instanceof Response) return auth;
+  const { user, supabaseAdminClient } = auth;
+
+  try {
+    const fulfillmentId = new URL(req.url).searchParams.get('id');
+    if (!fulfillmentId) {
+      return jsonResponse({ success: false, error: 'Missing fulfilment ID' }, 400);
+    }
+
+    let body;
+    try {
+      body = await req.json();
+    } catch {
+      return jsonResponse({ success: false, error: 'Invalid JSON body' }, 400);
+    }
+    const status = String(body.status || '').toLowerCase();
+    if (!FULFILLMENT_STATUSES.includes(status)) {
+      return jsonResponse({ success: false, error: `status must be one of: ${FULFILLMENT_STATUSES.join(', ')}` }, 400);
+    }
+
+    // p_seller_id null: acting as SuriAddis, so any store's part; the history rows record the admin
+    const { data: fulfillment, error } = await supabaseAdminClient.rpc('update_fulfillment_status', {
+      p_actor_id: user.id,
+      p_seller_id: null,
+      p_fulfillment_id: fulfillmentId,
+      p_status: status,
+      p_carrier: body.carrier ? String(body.carrier).trim() : null,
+      p_tracking_number: body.trackingNumber ? String(body.trackingNumber).trim() : null,
+      p_note: body.note ? String(body.note).trim() : null,
+    });
+    if (error) {
+      if (error.code === '23514') {
+        return jsonResponse({ success: false, code: 'INVALID_TRANSITION', error: error.message }, 409);
+      }
+      if (error.code === 'P0002') {
+        return jsonResponse({ success: false, error: 'Fulfilment not found' }, 404);
+      }
+      console.error('update_fulfillment_status error:', error);
+      return jsonResponse({ success: false, error: error.message }, 400);
+    }
+
+    // Shipping emails are queued in the database; send them now rather than on the next cron run
+    if (status === 'shipped' || status === 'delivered') {
+      try {
+        const { data: queued } = await supabaseAdminClient
+          .from('notification_outbox')
+          .select('id')
+          .eq('order_id', fulfillment.order_id)
+          .eq('status', 'pending');
+        if (queued?.length) {
+          await dispatchNotifications(supabaseAdminClient, { ids: queued.map(row => row.id) });
+        }
+      } catch (e) {
+        console.error('Fulfilment notification error:', e);
+      }
+    }
+
+    return jsonResponse({ success: true, data: fulfillment });
+  } catch (err) {
+    return jsonResponse({ success: false, error: err.message }, 500);
+  }
+});
@@ -0,0 +1,46 @@
+import { serve } from 'https://deno.land/std@0.177.0/http/server.ts';
+import { corsHeaders } from '../_shared/cors.ts';
+import { jsonResponse } from '../_shared/response.ts';
+import { requireAdmin } from '../_shared/adminAuth.ts';
+
+// PUT Body: { seller_product_approval: boolean }
+// Turns the review step for seller products on or off. Turning it off does not publish the
+// products already waiting; they still need a decision.
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  const auth = await requireAdmin(req);
+  if (auth instanceof Response) return auth;
+  const { supabaseAdminClient } = auth;
+
+  try {
+    let body;
+    try {
+      body = await req.json();
+    } catch {
+      return jsonResponse({ success: false, error: 'Invalid JSON body' }, 400);
+    }
+    if (typeof body.seller_product_approval !== 'boolean') {
+      return jsonResponse({ success: false, error: 'seller_product_approval must be true or false' }, 400);
+    }
+
+    const { data: current } = await supabaseAdminClient.from('settings').select('value').eq('key', 'marketplace').maybeSingle();
+    const value = { ...(current?.value || {}), seller_product_approval: body.seller_product_approval };
+    const { data, error } = await supabaseAdminClient
+      .from('settings')
+      .upsert({ key: 'marketplace', value }, { onConflict: 'key' })
+      .select('value')
+      .single();
+    if (error) {
+      console.error('Marketplace settings update error:', error);
+      return jsonResponse({ success: false, error: error.message }, 400);
+    }
+
+    return jsonResponse({ success: true, data: data.value });
+  } catch (err) {
+    console.error('update-admin-marketplace-settings error:', err);
+    return jsonResponse({ success: false, error: err.message }, 500);
+  }
+});
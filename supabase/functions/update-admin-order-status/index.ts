@@ -0,0 +1,76 @@
+import { serve } from 'https://deno.land/std@0.177.0/http/server.ts';
+import { corsHeaders } from '../_shared/cors.ts';
+import { jsonResponse } from '../_shared/response.ts';
+import { requireAdmin } from '../_shared/adminAuth.ts';
+import { dispatchNotifications } from '../_shared/notifications.ts';
+
+const ORDER_STATUSES = ['pending', 'paid', 'processing', 'shipped', 'delivered', 'cancelled', 'refunded', 'returned'];
+
+// PUT ?id=<orderId>  Body: { status, note?, carrier?, trackingNumber? }  (carrier/tracking apply when shipping)
+// The transition itself is validated by the orders trigger (see order_status_transition_allowed).
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  const auth = await requireAdmin(req);
+  if (auth instanceof Response) return auth;
+  const { supabaseUserClient, supabaseAdminClient } = auth;
+
+  try {
+    const orderId = new URL(req.url).searchParams.get('id');
+    if (!orderId) {
+      return jsonResponse({ success: false, error: 'Missing order ID' }, 400);
+    }
+
+    let body;
+    try {
+      body = await req.json();
+    } catch {
+      return jsonResponse({ success: false, error: 'Invalid JSON body' }, 400);
+    }
+    const status = String(body.status || '').toLowerCase();
+    if (!ORDER_STATUSES.includes(status)) {
+      return jsonResponse({ success: false, error: `status must be one of: ${ORDER_STATUSES.join(', ')}` }, 400);
+    }
+
+    // Run as the admin so the history row records who made the change
+    const { data: order, error } = await supabaseUserClient.rpc('update_order_status', {
+      p_order_id: orderId,
+      p_status: status,
+      p_note: body.note ? String(body.note).trim() : null,
+      p_carrier: body.carrier ? String(body.carrier).trim() : null,
+      p_tracking_number: body.trackingNumber ? String(body.trackingNumber).trim() : null,
+    });
+    if (error) {
+      if (error.code === '23514') {
+        return jsonResponse({ success: false, code: 'INVALID_TRANSITION', error: error.message }, 409);
+      }
+      if (error.code === 'P0002') {
+        return jsonResponse({ success: false, error: 'Order not found' }, 404);
+      }
+      console.error('update_order_status error:', error);
+      return jsonResponse({ success: false, error: error.message }, 400);
+    }
+
+    // Shipped/delivered emails are queued by a trigger; send them now rather than on the next cron run
+    if (status === 'shipped' || status === 'delivered') {
+      try {
+        const { data: queued } = await supabaseAdminClient
+          .from('notification_outbox')
+          .select('id')
+          .eq('order_id', orderId)
+          .eq('status', 'pending');
+        if (queued?.length) {
+          await dispatchNotifications(supabaseAdminClient, { ids: queued.map(row => row.id) });
+        }
+      } catch (e) {
+        console.error('Order status notification error:', e);
+      }
+    }
+
+    return jsonResponse({ success: true, data: order });
+  } catch (err) {
+    return jsonResponse({ success: false, error: err.message }, 500);
+  }
+});
@@ -0,0 +1,53 @@
+import { serve } from 'https://deno.land/std@0.177.0/http/server.ts';
+import { corsHeaders } from '../_shared/cors.ts';
+import { jsonResponse } from '../_shared/response.ts';
+import { requireAdmin } from '../_shared/adminAuth.ts';
+
+// PUT ?id=<productId>  Body: { status: 'approved' | 'rejected', note? }
+// Decides on a seller product waiting for review. Approving lists it in the shop; a rejection
+// needs a reason, which the seller sees on their products page.
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  const auth = await requireAdmin(req);
+  if (auth instanceof Response) return auth;
+  const { supabaseUserClient } = auth;
+
+  try {
+    const productId = new URL(req.url).searchParams.get('id');
+    if (!productId) {
+      return jsonResponse({ success: false, error: 'Missing product ID' }, 400);
+    }
+
+    let body;
+    try {
+      body = await req.json();
+    } catch {
+      return jsonResponse({ success: false, error: 'Invalid JSON body' }, 400);
+    }
+    if (!['approved', 'rejected'].includes(body.status)) {
+      return jsonResponse({ success: false, error: 'status must be approved or rejected' }, 400);
+    }
+
+    // Run as the admin so reviewed_by records who made the decision
+    const { data: product, error } = await supabaseUserClient.rpc('review_seller_product', {
+      p_product_id: productId,
+      p_decision: body.status,
+      p_note: body.note ? String(body.note).trim() : null,
+    });
+    if (error) {
+      if (error.code === 'P0002') {
+        return jsonResponse({ success: false, error: 'Product not found' }, 404);
+      }
+      console.error('review_seller_product error:', error);
+      return jsonResponse({ success: false, error: error.message }, 400);
+    }
+
+    return jsonResponse({ success: true, data: product });
+  } catch (err) {
+    console.error('update-admin-product-approval error:', err);
+    return jsonResponse({ success: false, error: err.message }, 500);
+  }
+});
@@ -1,6 +1,7 @@
 import { serve } from 'https://deno.land/std@0.177.0/http/server.ts';
 import { createClient } from 'https://esm.sh/@supabase/supabase-js@2';
 import { corsHeaders } from '../_shared/cors.ts';
+import { syncProductVariants, validateVariants } from '../_shared/variants.ts';
 
 serve(async (req) => {
   if (req.method === 'OPTIONS') {
@@ -43,25 +44,38 @@ serve(async (req) => {
     const body = await req.json();
     const {
       name, description, price, stockQuantity, categoryId, isActive, images,
-      originalPrice, rating, reviewCount, sellerName, sellerLocation, unitsSold,
+      originalPrice, sellerName, sellerLocation, unitsSold, brand, weightKg,
       isTrending, isFeatured, isNewArrival,
-      imagesToDelete
+      imagesToDelete,
+      variants // When present, replaces the product's variants (see _shared/variants.ts)
     } = body;
 
+    const variantsError = validateVariants(variants);
+    if (variantsError) {
+      return new Response(JSON.stringify({ success: false, error: variantsError }), {
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+        status: 400,
+      });
+    }
+    const hasVariants = Array.isArray(variants) && variants.length > 0;
+
     const updatePayload: { [key: string]: any } = {
       name,
       description,
       price,
-      stock_quantity: stockQuantity,
+      // With variants the stock is theirs; the sync trigger keeps the product total
+      stock_quantity: hasVariants ? undefined : stockQuantity,
       category_id: categoryId,
       is_active: isActive,
       images,
       original_price: originalPrice,
-      rating,
-      review_count: reviewCount,
       seller_name: sellerName,
       seller_location: sellerLocation,
       units_sold: unitsSold,
+      // An empty string clears the brand
+      brand: typeof brand === 'string' ? brand.trim() || null : undefined,
+      // An empty string or null falls back to the default shipping weight
+      weight_kg: weightKg === undefined ? undefined : weightKg === '' || weightKg === null ? null : Number(weightKg),
       is_trending: isTrending,
       is_featured: isFeatured,
       is_new_arrival: isNewArrival,
@@ -101,6 +115,18 @@ serve(async (req) => {
       });
     }
 
+    if (Array.isArray(variants)) {
+      try {
+        await syncProductVariants(supabase, id, variants);
+      } catch (variantErr) {
+        console.error('Variant save error:', variantErr);
+        return new Response(JSON.stringify({ success: false, error: variantErr.message }), {
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+          status: 400,
+        });
+      }
+    }
+
     return new Response(JSON.stringify({ success: true, data }), {
       headers: { ...corsHeaders, 'Content-Type': 'application/json' },
       status: 200,
@@ -0,0 +1,50 @@
+import { serve } from 'https://deno.land/std@0.177.0/http/server.ts';
+import { corsHeaders } from '../_shared/cors.ts';
+import { jsonResponse } from '../_shared/response.ts';
+import { requireAdmin } from '../_shared/adminAuth.ts';
+
+// PUT ?id=<refundId>  Body: { status: 'completed', reference? }
+// Marks a refund as paid back; complete_refund updates the order's refunded amount and status.
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  const auth = await requireAdmin(req);
+  if (auth instanceof Response) return auth;
+  const { supabaseUserClient } = auth;
+
+  try {
+    const refundId = new URL(req.url).searchParams.get('id');
+    if (!refundId) {
+      return jsonResponse({ success: false, error: 'Missing refund ID' }, 400);
+    }
+
+    let body;
+    try {
+      body = await req.json();
+    } catch {
+      return jsonResponse({ success: false, error: 'Invalid JSON body' }, 400);
+    }
+    if (body.status !== 'completed') {
+      return jsonResponse({ success: false, error: "status must be 'completed'" }, 400);
+    }
+
+    // Run as the admin so the order history records who refunded it
+    const { data: refund, error } = await supabaseUserClient.rpc('complete_refund', {
+      p_refund_id: refundId,
+      p_reference: body.reference ? String(body.reference).trim() : null,
+    });
+    if (error) {
+      if (error.code === 'P0002') {
+        return jsonResponse({ success: false, error: 'Refund not found' }, 404);
+      }
+      console.error('complete_refund error:', error);
+      return jsonResponse({ success: false, error: error.message }, 400);
+    }
+
+    return jsonResponse({ success: true, data: refund });
+  } catch (err) {
+    return jsonResponse({ success: false, error: err.message }, 500);
+  }
+});
@@ -0,0 +1,67 @@
+import { serve } from 'https://deno.land/std@0.177.0/http/server.ts';
+import { corsHeaders } from '../_shared/cors.ts';
+import { jsonResponse } from '../_shared/response.ts';
+import { requireAdmin } from '../_shared/adminAuth.ts';
+import { dispatchNotifications } from '../_shared/notifications.ts';
+
+// PUT ?id=<reviewId>  Body: { status: 'approved' | 'rejected', note? }
+// Approving publishes the review, updates the product rating and emails the seller.
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  const auth = await requireAdmin(req);
+  if (auth instanceof Response) return auth;
+  const { supabaseUserClient, supabaseAdminClient } = auth;
+
+  try {
+    const reviewId = new URL(req.url).searchParams.get('id');
+    if (!reviewId) {
+      return jsonResponse({ success: false, error: 'Missing review ID' }, 400);
+    }
+
+    let body;
+    try {
+      body = await req.json();
+    } catch {
+      return jsonResponse({ success: false, error: 'Invalid JSON body' }, 400);
+    }
+    if (!['approved', 'rejected'].includes(body.status)) {
+      return jsonResponse({ success: false, error: 'status must be approved or rejected' }, 400);
+    }
+
+    // Run as the admin so moderated_by records who made the decision
+    const { data: review, error } = await supabaseUserClient.rpc('moderate_product_review', {
+      p_review_id: reviewId,
+      p_decision: body.status,
+      p_note: body.note ? String(body.note).trim() : null,
+    });
+    if (error) {
+      if (error.code === 'P0002') {
+        return jsonResponse({ success: false, error: 'Review not found' }, 404);
+      }
+      console.error('moderate_product_review error:', error);
+      return jsonResponse({ success: false, error: error.message }, 400);
+    }
+
+    if (body.status === 'approved') {
+      try {
+        const { data: queued } = await supabaseAdminClient
+          .from('notification_outbox')
+          .select('id')
+          .eq('dedupe_key', `review_received:${reviewId}`)
+          .eq('status', 'pending');
+        if (queued?.length) {
+          await dispatchNotifications(supabaseAdminClient, { ids: queued.map(row => row.id) });
+        }
+      } catch (e) {
+        console.error('Review notification error:', e);
+      }
+    }
+
+    return jsonResponse({ success: true, data: review });
+  } catch (err) {
+    return jsonResponse({ success: false, error: err.message }, 500);
+  }
+});
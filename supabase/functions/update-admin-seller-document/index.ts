@@ -0,0 +1,57 @@
+import { serve } from 'https://deno.land/std@0.177.0/http/server.ts';
+import { corsHeaders } from '../_shared/cors.ts';
+import { jsonResponse } from '../_shared/response.ts';
+import { requireAdmin } from '../_shared/adminAuth.ts';
+
+// PUT ?id=<documentId>  Body: { status: 'verified' | 'rejected', note?, expires_at? }
+// Verifies or rejects one KYC document. A rejection needs a reason, which the seller sees on
+// their documents page; expires_at corrects the expiry date the seller entered.
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  const auth = await requireAdmin(req);
+  if (auth instanceof Response) return auth;
+  const { supabaseUserClient } = auth;
+
+  try {
+    const documentId = new URL(req.url).searchParams.get('id');
+    if (!documentId) {
+      return jsonResponse({ success: false, error: 'Missing document ID' }, 400);
+    }
+
+    let body;
+    try {
+      body = await req.json();
+    } catch {
+      return jsonResponse({ success: false, error: 'Invalid JSON body' }, 400);
+    }
+    if (!['verified', 'rejected'].includes(body.status)) {
+      return jsonResponse({ success: false, error: 'status must be verified or rejected' }, 400);
+    }
+    if (body.expires_at && Number.isNaN(Date.parse(body.expires_at))) {
+      return jsonResponse({ success: false, error: 'expires_at must be a date' }, 400);
+    }
+
+    // Run as the admin so reviewed_by records who made the decision
+    const { data: document, error } = await supabaseUserClient.rpc('review_seller_document', {
+      p_document_id: documentId,
+      p_decision: body.status,
+      p_note: body.note ? String(body.note).trim() : null,
+      p_expires_at: body.expires_at || null,
+    });
+    if (error) {
+      if (error.code === 'P0002') {
+        return jsonResponse({ success: false, error: 'Document not found' }, 404);
+      }
+      console.error('review_seller_document error:', error);
+      return jsonResponse({ success: false, error: error.message }, 400);
+    }
+
+    return jsonResponse({ success: true, data: document });
+  } catch (err) {
+    console.error('update-admin-seller-document error:', err);
+    return jsonResponse({ success: false, error: err.message }, 500);
+  }
+});
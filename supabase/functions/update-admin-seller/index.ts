@@ -0,0 +1,70 @@
+import { serve } from 'https://deno.land/std@0.177.0/http/server.ts';
+import { corsHeaders } from '../_shared/cors.ts';
+import { jsonResponse } from '../_shared/response.ts';
+import { requireAdmin } from '../_shared/adminAuth.ts';
+import { dispatchNotifications } from '../_shared/notifications.ts';
+
+const ACTIONS = ['approve', 'reject', 'request_info', 'suspend', 'reinstate'];
+const SELLER_TEMPLATES = ['seller_approved', 'seller_rejected', 'seller_info_requested', 'seller_suspended', 'seller_reinstated'];
+
+// PUT ?id=<sellerId>  Body: { action: 'approve' | 'reject' | 'request_info' | 'suspend' | 'reinstate', note? }
+// A note is required to reject, ask for information or suspend; the applicant sees it and is
+// emailed straight away. Approval also gives the account the seller role (profiles.role).
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  const auth = await requireAdmin(req);
+  if (auth instanceof Response) return auth;
+  const { supabaseUserClient, supabaseAdminClient } = auth;
+
+  try {
+    const sellerId = new URL(req.url).searchParams.get('id');
+    if (!sellerId) {
+      return jsonResponse({ success: false, error: 'Missing seller ID' }, 400);
+    }
+
+    let body;
+    try {
+      body = await req.json();
+    } catch {
+      return jsonResponse({ success: false, error: 'Invalid JSON body' }, 400);
+    }
+    if (!ACTIONS.includes(body.action)) {
+      return jsonResponse({ success: false, error: `action must be one of: ${ACTIONS.join(', ')}` }, 400);
+    }
+
+    // Run as the admin so reviewed_by and the status history record who made the decision
+    const { data: seller, error } = await supabaseUserClient.rpc('review_seller_application', {
+      p_seller_id: sellerId,
+      p_action: body.action,
+      p_note: body.note ? String(body.note).trim() : null,
+    });
+    if (error) {
+      if (error.code === 'P0002') {
+        return jsonResponse({ success: false, error: 'Seller not found' }, 404);
+      }
+      console.error('review_seller_application error:', error);
+      return jsonResponse({ success: false, error: error.message }, 400);
+    }
+
+    try {
+      const { data: queued } = await supabaseAdminClient
+        .from('notification_outbox')
+        .select('id')
+        .eq('user_id', seller.user_id)
+        .in('template', SELLER_TEMPLATES)
+        .eq('status', 'pending');
+      if (queued?.length) {
+        await dispatchNotifications(supabaseAdminClient, { ids: queued.map(row => row.id) });
+      }
+    } catch (e) {
+      console.error('Seller notification error:', e);
+    }
+
+    return jsonResponse({ success: true, data: seller });
+  } catch (err) {
+    return jsonResponse({ success: false, error: err.message }, 500);
+  }
+});
@@ -0,0 +1,51 @@
+import { serve } from 'https://deno.land/std@0.177.0/http/server.ts';
+import { corsHeaders } from '../_shared/cors.ts';
+import { jsonResponse } from '../_shared/response.ts';
+import { COLLECTION_SELECT, collectionChanges, meetsVerification, requireSeller, toCollection } from '../_shared/sellers.ts';
+
+// POST { collection_id, name?, description?, image_url?, price?, display_order?, is_active? }
+// Products are added and removed with add-/remove-product-to/from-collection. Needs a verified
+// ID; publishing (is_active: true) needs every document verified.
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  const auth = await requireSeller(req, { minVerification: 'basic' });
+  if (auth instanceof Response) return auth;
+  const { supabase, seller, verificationLevel } = auth;
+
+  try {
+    const body = await req.json().catch(() => ({}));
+    if (!body.collection_id) {
+      return jsonResponse({ success: false, error: 'collection_id is required' }, 400);
+    }
+    if (body.is_active === true && !meetsVerification(verificationLevel, 'full')) {
+      return jsonResponse({ success: false, error: 'Get all your documents verified to publish collections', code: 'VERIFICATION_REQUIRED' }, 403);
+    }
+    const changes = collectionChanges(body);
+    if ('name' in changes && !changes.name) {
+      return jsonResponse({ success: false, error: 'Collection name is required' }, 400);
+    }
+
+    const { data: collection, error } = await supabase
+      .from('collections')
+      .update({ ...changes, updated_at: new Date().toISOString() })
+      .eq('id', body.collection_id)
+      .eq('seller_id', seller.id)
+      .select(COLLECTION_SELECT)
+      .maybeSingle();
+    if (error) {
+      console.error('Collection update error:', error);
+      return jsonResponse({ success: false, error: error.message }, 400);
+    }
+    if (!collection) {
+      return jsonResponse({ success: false, error: 'Collection not found' }, 404);
+    }
+
+    return jsonResponse({ success: true, data: toCollection(collection) });
+  } catch (err) {
+    console.error('update-collection error:', err);
+    return jsonResponse({ success: false, error: err.message }, 500);
+  }
+});
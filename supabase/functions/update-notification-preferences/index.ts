@@ -0,0 +1,65 @@
+import { serve } from 'https://deno.land/std@0.177.0/http/server.ts';
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2';
+import { corsHeaders } from '../_shared/cors.ts';
+import { jsonResponse } from '../_shared/response.ts';
+
+const PREFERENCE_KEYS = ['order_notifications', 'payment_notifications', 'review_notifications', 'marketing_emails', 'sms_notifications'];
+
+// PUT  Body: any subset of { order_notifications, payment_notifications, review_notifications,
+// marketing_emails, sms_notifications } as booleans. Keys left out keep their current value.
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  const authHeader = req.headers.get('Authorization');
+  if (!authHeader) {
+    return jsonResponse({ success: false, error: 'Missing Authorization header' }, 401);
+  }
+
+  const supabase = createClient(Deno.env.get('SUPABASE_URL')!, Deno.env.get('SUPABASE_ANON_KEY')!, {
+    global: { headers: { Authorization: authHeader } },
+    db: { schema: 'public' },
+  });
+
+  try {
+    const { data: { user }, error: userError } = await supabase.auth.getUser();
+    if (userError || !user) {
+      return jsonResponse({ success: false, error: 'Authentication failed' }, 401);
+    }
+
+    let body;
+    try {
+      body = await req.json();
+    } catch {
+      return jsonResponse({ success: false, error: 'Invalid JSON body' }, 400);
+    }
+
+    const updates: Record<string, boolean> = {};
+    for (const key of PREFERENCE_KEYS) {
+      if (body[key] === undefined) continue;
+      if (typeof body[key] !== 'boolean') {
+        return jsonResponse({ success: false, error: `${key} must be true or false` }, 400);
+      }
+      updates[key] = body[key];
+    }
+    if (Object.keys(updates).length === 0) {
+      return jsonResponse({ success: false, error: 'No preferences to update' }, 400);
+    }
+
+    const { data, error } = await supabase
+      .from('notification_preferences')
+      .upsert({ user_id: user.id, ...updates, updated_at: new Date().toISOString() }, { onConflict: 'user_id' })
+      .select('order_notifications, payment_notifications, review_notifications, marketing_emails, sms_notifications, updated_at')
+      .single();
+    if (error) {
+      console.error('Notification preferences update error:', error);
+      return jsonResponse({ success: false, error: error.message }, 400);
+    }
+
+    return jsonResponse({ success: true, data });
+  } catch (err) {
+    console.error('update-notification-preferences error:', err);
+    return jsonResponse({ success: false, error: err.message }, 500);
+  }
+});
@@ -0,0 +1,79 @@
+import { serve } from 'https://deno.land/std@0.177.0/http/server.ts';
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2';
+import { corsHeaders } from '../_shared/cors.ts';
+import { jsonResponse } from '../_shared/response.ts';
+import { dispatchNotifications } from '../_shared/notifications.ts';
+import { requireSeller } from '../_shared/sellers.ts';
+
+const SELLER_FULFILLMENT_STATUSES = ['processing', 'shipped', 'delivered'];
+
+// POST { fulfillment_id, status, carrier?, tracking_number?, note? }  (carrier/tracking apply when shipping)
+// Moves the calling seller's part of an order along. The transition, and the order status that
+// follows from it, are handled by update_fulfillment_status (see 20251013100000_order_fulfillments.sql),
+// which is service-role only and checks the part belongs to the store named here.
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  const auth = await requireSeller(req);
+  if (auth instanceof Response) return auth;
+  const { user, seller } = auth;
+  const supabaseAdminClient = createClient(Deno.env.get('SUPABASE_URL')!, Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!);
+
+  try {
+    const body = await req.json().catch(() => ({}));
+    const status = String(body.status || '').toLowerCase();
+    if (!body.fulfillment_id) {
+      return jsonResponse({ success: false, error: 'fulfillment_id is required' }, 400);
+    }
+    if (!SELLER_FULFILLMENT_STATUSES.includes(status)) {
+      return jsonResponse({ success: false, error: `status must be one of: ${SELLER_FULFILLMENT_STATUSES.join(', ')}` }, 400);
+    }
+
+    const { data: fulfillment, error } = await supabaseAdminClient.rpc('update_fulfillment_status', {
+      p_actor_id: user.id,
+      p_seller_id: seller.id,
+      p_fulfillment_id: body.fulfillment_id,
+      p_status: status,
+      p_carrier: body.carrier ? String(body.carrier).trim() : null,
+      p_tracking_number: body.tracking_number ? String(body.tracking_number).trim() : null,
+      p_note: body.note ? String(body.note).trim() : null,
+    });
+    if (error) {
+      if (error.code === '23514') {
+        return jsonResponse({ success: false, code: 'INVALID_TRANSITION', error: error.message }, 409);
+      }
+      if (error.code === 'P0002') {
+        return jsonResponse({ success: false, error: 'Order not found' }, 404);
+      }
+      if (error.code === '42501') {
+        return jsonResponse({ success: false, error: error.message }, 403);
+      }
+      console.error('update_fulfillment_status error:', error);
+      return jsonResponse({ success: false, error: error.message }, 400);
+    }
+
+    // Shipping emails (partial or whole order) are queued in the database; send them now
+    // rather than on the next cron run
+    if (status === 'shipped' || status === 'delivered') {
+      try {
+        const { data: queued } = await supabaseAdminClient
+          .from('notification_outbox')
+          .select('id')
+          .eq('order_id', fulfillment.order_id)
+          .eq('status', 'pending');
+        if (queued?.length) {
+          await dispatchNotifications(supabaseAdminClient, { ids: queued.map(row => row.id) });
+        }
+      } catch (e) {
+        console.error('Fulfilment notification error:', e);
+      }
+    }
+
+    return jsonResponse({ success: true, data: fulfillment });
+  } catch (err) {
+    console.error('update-seller-fulfillment error:', err);
+    return jsonResponse({ success: false, error: err.message }, 500);
+  }
+});
@@ -0,0 +1,74 @@
+import { serve } from 'https://deno.land/std@0.177.0/http/server.ts';
+import { corsHeaders } from '../_shared/cors.ts';
+import { jsonResponse } from '../_shared/response.ts';
+import {
+  SELLER_PRODUCT_COLUMNS,
+  requireSeller,
+  sellerProductChanges,
+  sellerProductErrorStatus,
+  toSellerProduct,
+} from '../_shared/sellers.ts';
+
+// POST { product_id, ...fields as in create-seller-product }
+// Edits one of the calling seller's products. Changing a listed product's name, description,
+// price, images, category or brand sends it back to review while product approval is on;
+// stock-only edits keep it live.
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  const auth = await requireSeller(req, { minVerification: 'basic' });
+  if (auth instanceof Response) return auth;
+  const { supabase, seller } = auth;
+
+  try {
+    const body = await req.json().catch(() => ({}));
+    if (!body.product_id) {
+      return jsonResponse({ success: false, error: 'product_id is required' }, 400);
+    }
+
+    const { data: current, error: fetchError } = await supabase
+      .from('products')
+      .select('id, images, archived_at')
+      .eq('id', body.product_id)
+      .eq('seller_id', seller.id)
+      .maybeSingle();
+    if (fetchError) {
+      console.error('Seller product fetch error:', fetchError);
+      return jsonResponse({ success: false, error: fetchError.message }, 400);
+    }
+    if (!current) {
+      return jsonResponse({ success: false, error: 'Product not found' }, 404);
+    }
+    if (current.archived_at) {
+      return jsonResponse({ success: false, error: 'Restore this product before editing it' }, 409);
+    }
+
+    const { changes, error: validationError } = sellerProductChanges(body, seller.id, {
+      allowedImages: Array.isArray(current.images) ? current.images : [],
+    });
+    if (validationError || !changes) {
+      return jsonResponse({ success: false, error: validationError }, 400);
+    }
+    if (Object.keys(changes).length === 0) {
+      return jsonResponse({ success: false, error: 'Nothing to update' }, 400);
+    }
+
+    const { data: product, error } = await supabase
+      .from('products')
+      .update(changes)
+      .eq('id', current.id)
+      .select(SELLER_PRODUCT_COLUMNS)
+      .single();
+    if (error) {
+      console.error('Seller product update error:', error);
+      return jsonResponse({ success: false, error: error.message }, sellerProductErrorStatus(error));
+    }
+
+    return jsonResponse({ success: true, data: toSellerProduct(product) });
+  } catch (err) {
+    console.error('update-seller-product error:', err);
+    return jsonResponse({ success: false, error: err.message }, 500);
+  }
+});
@@ -0,0 +1,61 @@
+import { serve } from 'https://deno.land/std@0.177.0/http/server.ts';
+import { corsHeaders } from '../_shared/cors.ts';
+import { jsonResponse } from '../_shared/response.ts';
+import { normalizeEthiopianPhone } from '../_shared/phone.ts';
+import { requireSeller, toSellerProfile } from '../_shared/sellers.ts';
+
+// What a seller may edit; status, approval and commission are the SuriAddis team's
+const EDITABLE_FIELDS = [
+  'store_name', 'store_description', 'store_logo_url', 'contact_email', 'contact_phone', 'business_address',
+  'business_registration_number', 'tax_id', 'website_url', 'social_media_links',
+];
+
+// POST { store_name?, store_description?, contact_email?, ... } -> the updated store
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  const auth = await requireSeller(req, { allowInactive: true });
+  if (auth instanceof Response) return auth;
+  const { supabase, seller } = auth;
+
+  try {
+    const body = await req.json().catch(() => ({}));
+    const changes: Record<string, unknown> = {};
+    for (const field of EDITABLE_FIELDS) {
+      if (body[field] !== undefined) changes[field] = String(body[field] ?? '').trim() || null;
+    }
+    if ('store_name' in changes && !changes.store_name) {
+      return jsonResponse({ success: false, error: 'Store name is required' }, 400);
+    }
+    if (changes.contact_email) {
+      changes.contact_email = String(changes.contact_email).toLowerCase();
+      if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(changes.contact_email))) {
+        return jsonResponse({ success: false, error: 'Please enter a valid email address' }, 400);
+      }
+    }
+    if (changes.contact_phone) {
+      changes.contact_phone = normalizeEthiopianPhone(changes.contact_phone) || changes.contact_phone;
+    }
+    if (Object.keys(changes).length === 0) {
+      return jsonResponse({ success: true, data: toSellerProfile(seller) });
+    }
+
+    const { data: updated, error } = await supabase
+      .from('sellers')
+      .update(changes)
+      .eq('id', seller.id)
+      .select('*')
+      .single();
+    if (error) {
+      console.error('Seller profile update error:', error);
+      return jsonResponse({ success: false, error: error.message }, 400);
+    }
+
+    return jsonResponse({ success: true, data: toSellerProfile(updated) });
+  } catch (err) {
+    console.error('update-seller-profile error:', err);
+    return jsonResponse({ success: false, error: err.message }, 500);
+  }
+});
@@ -0,0 +1,54 @@
+import { serve } from 'https://deno.land/std@0.177.0/http/server.ts';
+import { corsHeaders } from '../_shared/cors.ts';
+import { jsonResponse } from '../_shared/response.ts';
+import { maskAccountNumber, mergeSellerSettings, requireSeller } from '../_shared/sellers.ts';
+
+// POST { business?, payout?, privacy? }
+// Unknown keys are dropped and values coerced to the defaults' types; sections left out keep
+// their stored values.
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  const auth = await requireSeller(req);
+  if (auth instanceof Response) return auth;
+  const { supabase, seller } = auth;
+
+  try {
+    const body = await req.json().catch(() => ({}));
+    const stored = seller.settings || {};
+    const settings = mergeSellerSettings({
+      business: { ...stored.business, ...body.business },
+      payout: { ...stored.payout, ...body.payout },
+      privacy: { ...stored.privacy, ...body.privacy },
+    });
+
+    const { data: updated, error } = await supabase
+      .from('sellers')
+      .update({ settings })
+      .eq('id', seller.id)
+      .select('settings, account_holder_name, bank_name, bank_account_number')
+      .single();
+    if (error) {
+      console.error('Seller settings update error:', error);
+      return jsonResponse({ success: false, error: error.message }, 400);
+    }
+
+    return jsonResponse({
+      success: true,
+      data: {
+        ...updated.settings,
+        payout: {
+          ...updated.settings.payout,
+          account_holder_name: updated.account_holder_name,
+          bank_name: updated.bank_name,
+          account_number: maskAccountNumber(updated.bank_account_number),
+        },
+      },
+    });
+  } catch (err) {
+    console.error('update-seller-settings error:', err);
+    return jsonResponse({ success: false, error: err.message }, 500);
+  }
+});
@@ -0,0 +1,87 @@
+import { serve } from 'https://deno.land/std@0.177.0/http/server.ts';
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2';
+import { corsHeaders } from '../_shared/cors.ts';
+import { jsonResponse } from '../_shared/response.ts';
+import { DOCUMENT_TYPES, SELLER_DOCUMENTS_BUCKET, requireSeller, withDocumentUrls } from '../_shared/sellers.ts';
+
+// POST { document_type, storage_path, file_name?, mime_type?, file_size?, expires_at? }
+// Registers a file the seller uploaded to the seller-documents bucket (under their own
+// <user id>/ folder) as their current document of that type. A replaced document goes back to
+// pending review and its old file is removed.
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  const auth = await requireSeller(req, { allowInactive: true });
+  if (auth instanceof Response) return auth;
+  const { user, seller } = auth;
+
+  try {
+    const body = await req.json().catch(() => ({}));
+    if (!DOCUMENT_TYPES.includes(body.document_type)) {
+      return jsonResponse({ success: false, error: `document_type must be one of: ${DOCUMENT_TYPES.join(', ')}` }, 400);
+    }
+    const storagePath = String(body.storage_path ?? '');
+    if (!storagePath.startsWith(`${user.id}/${body.document_type}/`)) {
+      return jsonResponse({ success: false, error: 'Upload the document to your own folder first' }, 400);
+    }
+    if (body.expires_at && Number.isNaN(Date.parse(body.expires_at))) {
+      return jsonResponse({ success: false, error: 'expires_at must be a date' }, 400);
+    }
+    if (seller.status === 'suspended') {
+      return jsonResponse({ success: false, error: 'Your store is suspended; please contact support' }, 403);
+    }
+
+    // Rows are written with the service role: sellers must not mark their own documents verified
+    const supabaseAdminClient = createClient(Deno.env.get('SUPABASE_URL')!, Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!);
+
+    const folder = storagePath.slice(0, storagePath.lastIndexOf('/'));
+    const fileName = storagePath.slice(storagePath.lastIndexOf('/') + 1);
+    const { data: objects } = await supabaseAdminClient.storage.from(SELLER_DOCUMENTS_BUCKET).list(folder, { search: fileName });
+    if (!(objects || []).some(object => object.name === fileName)) {
+      return jsonResponse({ success: false, error: 'Upload the document first' }, 400);
+    }
+
+    const { data: previous } = await supabaseAdminClient
+      .from('seller_documents')
+      .select('storage_path')
+      .eq('seller_id', seller.id)
+      .eq('document_type', body.document_type)
+      .maybeSingle();
+
+    const { data: document, error } = await supabaseAdminClient
+      .from('seller_documents')
+      .upsert({
+        seller_id: seller.id,
+        document_type: body.document_type,
+        storage_path: storagePath,
+        file_name: body.file_name ? String(body.file_name).slice(0, 200) : null,
+        mime_type: body.mime_type || null,
+        file_size: Number.isFinite(Number(body.file_size)) ? Number(body.file_size) : null,
+        expires_at: body.expires_at || null,
+        status: 'pending',
+        review_note: null,
+        reviewed_by: null,
+        reviewed_at: null,
+        updated_at: new Date().toISOString(),
+      }, { onConflict: 'seller_id,document_type' })
+      .select('*')
+      .single();
+    if (error) {
+      console.error('Seller document upsert error:', error);
+      return jsonResponse({ success: false, error: error.message }, 400);
+    }
+
+    if (previous && previous.storage_path !== storagePath) {
+      const { error: removeError } = await supabaseAdminClient.storage.from(SELLER_DOCUMENTS_BUCKET).remove([previous.storage_path]);
+      if (removeError) console.error('Old seller document removal error:', removeError);
+    }
+
+    const [withUrl] = await withDocumentUrls(supabaseAdminClient, [document]);
+    return jsonResponse({ success: true, data: withUrl }, 201);
+  } catch (err) {
+    console.error('upload-seller-document error:', err);
+    return jsonResponse({ success: false, error: err.message }, 500);
+  }
+});
@@ -0,0 +1,88 @@
+import { serve } from 'https://deno.land/std@0.177.0/http/server.ts';
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2';
+import { corsHeaders } from '../_shared/cors.ts';
+import { jsonResponse } from '../_shared/response.ts';
+import { getVariantPrice, PRICING_COLUMNS, roundMoney } from '../_shared/pricing.ts';
+import { evaluateCoupon } from '../_shared/coupons.ts';
+
+// Checks a promo code against the shopper's cart and returns the discount it would give.
+// Guests (no signed-in user) can use any code that is not limited per customer.
+// Body: { code: string, items: [{ productId, variantId?, quantity }] }
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  const authHeader = req.headers.get('Authorization');
+  if (!authHeader) {
+    return jsonResponse({ success: false, error: 'Missing Authorization header' }, 401);
+  }
+
+  const supabaseUrl = Deno.env.get('SUPABASE_URL')!;
+  const supabaseAnonKey = Deno.env.get('SUPABASE_ANON_KEY')!;
+  const supabase = createClient(supabaseUrl, supabaseAnonKey, {
+    global: { headers: { Authorization: authHeader } },
+    db: { schema: 'public' },
+  });
+  // Service role client: usage caps count redemptions across all users
+  const supabaseAdminClient = createClient(supabaseUrl, Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!);
+
+  try {
+    const { data: { user } } = await supabase.auth.getUser();
+
+    let body;
+    try {
+      body = await req.json();
+    } catch {
+      return jsonResponse({ success: false, error: 'Invalid JSON body' }, 400);
+    }
+    const { code, items } = body;
+    if (!code || !Array.isArray(items) || items.length === 0) {
+      return jsonResponse({ success: false, error: 'code and a non-empty items array are required' }, 400);
+    }
+
+    const variantIds = items.map(item => item.variantId).filter(Boolean);
+    const [{ data: products, error: productsError }, { data: variants, error: variantsError }] = await Promise.all([
+      supabase.from('products').select(PRICING_COLUMNS).in('id', items.map(item => item.productId)),
+      variantIds.length > 0
+        ? supabase.from('product_variants').select('id, product_id, price').in('id', variantIds).eq('is_active', true)
+        : Promise.resolve({ data: [], error: null }),
+    ]);
+    if (productsError || variantsError) {
+      return jsonResponse({ success: false, error: (productsError || variantsError)!.message }, 500);
+    }
+
+    const pricedItems = items
+      .map(item => {
+        const product = (products || []).find(p => p.id === item.productId);
+        if (!product || product.is_active === false) return null;
+        const variant = item.variantId ? (variants || []).find(v => v.id === item.variantId && v.product_id === product.id) : null;
+        if (item.variantId && !variant) return null;
+        return { product, quantity: Math.max(0, Number(item.quantity) || 0), price: getVariantPrice(product, variant) };
+      })
+      .filter(Boolean);
+
+    const result = await evaluateCoupon(supabaseAdminClient, code, user?.id ?? null, pricedItems);
+    if (!result.valid) {
+      return jsonResponse({ success: false, code: 'COUPON_INVALID', error: result.error }, 422);
+    }
+
+    const subtotal = roundMoney(pricedItems.reduce((sum, item) => sum + item.price * item.quantity, 0));
+    return jsonResponse({
+      success: true,
+      data: {
+        code: result.coupon.code,
+        description: result.description,
+        discountType: result.coupon.discount_type,
+        discountValue: Number(result.coupon.discount_value),
+        eligibleSubtotal: result.eligibleSubtotal,
+        discountAmount: result.discountAmount,
+        subtotal,
+        totalAmount: roundMoney(subtotal - result.discountAmount),
+      },
+    });
+  } catch (err) {
+    console.error('validate-coupon error:', err);
+    return jsonResponse({ success: false, error: err.message }, 500);
+  }
+});
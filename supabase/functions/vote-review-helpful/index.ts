@@ -0,0 +1,51 @@
+import { serve } from 'https://deno.land/std@0.177.0/http/server.ts';
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2';
+import { corsHeaders } from '../_shared/cors.ts';
+import { jsonResponse } from '../_shared/response.ts';
+
+// POST { reviewId }
+// Toggles the caller's "helpful" vote on an approved review; returns { reviewId, voted, helpfulCount }.
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  const authHeader = req.headers.get('Authorization');
+  if (!authHeader) {
+    return jsonResponse({ success: false, error: 'Missing Authorization header' }, 401);
+  }
+
+  const supabase = createClient(Deno.env.get('SUPABASE_URL')!, Deno.env.get('SUPABASE_ANON_KEY')!, {
+    global: { headers: { Authorization: authHeader } },
+    db: { schema: 'public' },
+  });
+
+  try {
+    const { data: { user }, error: userError } = await supabase.auth.getUser();
+    if (userError || !user) {
+      return jsonResponse({ success: false, error: 'Authentication failed' }, 401);
+    }
+
+    const { reviewId } = await req.json().catch(() => ({}));
+    if (!reviewId) {
+      return jsonResponse({ success: false, error: 'reviewId is required' }, 400);
+    }
+
+    const { data, error } = await supabase.rpc('toggle_review_helpful', { p_review_id: reviewId });
+    if (error) {
+      if (error.code === 'P0002') {
+        return jsonResponse({ success: false, error: 'Review not found' }, 404);
+      }
+      if (error.code === '23514') {
+        return jsonResponse({ success: false, code: 'OWN_REVIEW', error: error.message }, 409);
+      }
+      console.error('toggle_review_helpful error:', error);
+      return jsonResponse({ success: false, error: error.message }, 400);
+    }
+
+    return jsonResponse({ success: true, data });
+  } catch (err) {
+    console.error('vote-review-helpful error:', err);
+    return jsonResponse({ success: false, error: err.message }, 500);
+  }
+});
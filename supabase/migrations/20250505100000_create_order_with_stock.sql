@@ -0,0 +1,110 @@
+-- Atomic order placement: stock check + decrement, order and order_items inserts
+-- all happen in one transaction so concurrent checkouts cannot oversell.
+
+-- Guard against negative stock at the table level as well
+ALTER TABLE public.products
+  DROP CONSTRAINT IF EXISTS products_stock_quantity_non_negative;
+ALTER TABLE public.products
+  ADD CONSTRAINT products_stock_quantity_non_negative CHECK (stock_quantity >= 0) NOT VALID;
+
+-- p_items: [{ "productId": uuid, "quantity": int, "price": numeric }, ...]
+-- Prices must already be recomputed by the caller (create-order edge function).
+-- Returns { success: true, order } or { success: false, code: 'INSUFFICIENT_STOCK', insufficientItems }.
+CREATE OR REPLACE FUNCTION public.create_order_with_stock(
+  p_shipping_address jsonb,
+  p_total_amount numeric,
+  p_items jsonb
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER -- Needs to update products.stock_quantity, which only admins may write under RLS
+SET search_path = public
+AS $$
+declare
+  v_user_id uuid := auth.uid();
+  v_item record;
+  v_insufficient jsonb := '[]'::jsonb;
+  v_order public.orders%rowtype;
+begin
+  if v_user_id is null then
+    raise exception 'create_order_with_stock requires an authenticated user';
+  end if;
+
+  -- Lock every product row involved (in a stable order to avoid deadlocks) and check stock.
+  for v_item in
+    select p.id, p.name, coalesce(p.stock_quantity, 0) as available, req.quantity as requested
+    from (
+      select ("value" ->> 'productId')::uuid as product_id, sum(("value" ->> 'quantity')::int) as quantity
+      from jsonb_array_elements(p_items)
+      group by 1
+    ) req
+    join public.products p on p.id = req.product_id
+    order by p.id
+    for update of p
+  loop
+    if v_item.available < v_item.requested then
+      v_insufficient := v_insufficient || jsonb_build_object(
+        'productId', v_item.id,
+        'name', v_item.name,
+        'requested', v_item.requested,
+        'available', v_item.available
+      );
+    end if;
+  end loop;
+
+  if jsonb_array_length(v_insufficient) > 0 then
+    return jsonb_build_object('success', false, 'code', 'INSUFFICIENT_STOCK', 'insufficientItems', v_insufficient);
+  end if;
+
+  update public.products p
+  set stock_quantity = p.stock_quantity - req.quantity
+  from (
+    select ("value" ->> 'productId')::uuid as product_id, sum(("value" ->> 'quantity')::int) as quantity
+    from jsonb_array_elements(p_items)
+    group by 1
+  ) req
+  where p.id = req.product_id;
+
+  insert into public.orders ("userId", "shippingAddress", "totalAmount", status)
+  values (v_user_id, p_shipping_address, p_total_amount, 'pending')
+  returning * into v_order;
+
+  insert into public.order_items ("orderId", "productId", quantity, price)
+  select v_order.id, ("value" ->> 'productId')::uuid, ("value" ->> 'quantity')::int, ("value" ->> 'price')::numeric
+  from jsonb_array_elements(p_items);
+
+  return jsonb_build_object('success', true, 'order', to_jsonb(v_order));
+end;
+$$;
+
+REVOKE ALL ON FUNCTION public.create_order_with_stock(jsonb, numeric, jsonb) FROM public, anon;
+GRANT EXECUTE ON FUNCTION public.create_order_with_stock(jsonb, numeric, jsonb) TO authenticated;
+
+-- Put reserved stock back when an order is cancelled (by the shopper, an admin or the admin app).
+CREATE OR REPLACE FUNCTION public.restore_stock_on_order_cancel()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+begin
+  update public.products p
+  set stock_quantity = p.stock_quantity + oi.quantity
+  from (
+    select "productId", sum(quantity) as quantity
+    from public.order_items
+    where "orderId" = new.id
+    group by "productId"
+  ) oi
+  where p.id = oi."productId";
+
+  return new;
+end;
+$$;
+
+DROP TRIGGER IF EXISTS on_order_cancelled_restore_stock ON public.orders;
+CREATE TRIGGER on_order_cancelled_restore_stock
+  AFTER UPDATE OF status ON public.orders
+  FOR EACH ROW
+  WHEN (new.status = 'cancelled' AND old.status IS DISTINCT FROM 'cancelled')
+  EXECUTE PROCEDURE public.restore_stock_on_order_cancel();
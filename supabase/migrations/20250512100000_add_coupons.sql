@@ -0,0 +1,160 @@
+-- Coupons / promo codes, the discount lines they leave on orders, and
+-- create_order_with_stock extended to record them atomically.
+
+CREATE TABLE IF NOT EXISTS public.coupons (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    code TEXT NOT NULL,
+    description TEXT,
+    discount_type TEXT NOT NULL CHECK (discount_type IN ('percentage', 'fixed')),
+    discount_value NUMERIC(10,2) NOT NULL CHECK (discount_value > 0),
+    min_spend NUMERIC(10,2) NOT NULL DEFAULT 0,
+    starts_at TIMESTAMPTZ,
+    expires_at TIMESTAMPTZ,
+    usage_limit INTEGER CHECK (usage_limit IS NULL OR usage_limit > 0),      -- total redemptions across all users
+    per_user_limit INTEGER CHECK (per_user_limit IS NULL OR per_user_limit > 0),
+    category_ids UUID[] NOT NULL DEFAULT '{}',   -- empty = every category
+    collection_ids UUID[] NOT NULL DEFAULT '{}', -- empty = no collection restriction
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    CONSTRAINT coupons_percentage_max CHECK (discount_type <> 'percentage' OR discount_value <= 100)
+);
+
+-- Codes are matched case-insensitively
+CREATE UNIQUE INDEX IF NOT EXISTS idx_coupons_code_upper ON public.coupons (upper(code));
+
+-- One row per discount applied to an order; doubles as the redemption log for usage caps.
+CREATE TABLE IF NOT EXISTS public.order_discounts (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    order_id UUID NOT NULL REFERENCES public.orders(id) ON DELETE CASCADE,
+    coupon_id UUID REFERENCES public.coupons(id) ON DELETE SET NULL,
+    user_id UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    code TEXT NOT NULL,
+    description TEXT,
+    amount NUMERIC(10,2) NOT NULL CHECK (amount >= 0),
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_order_discounts_order_id ON public.order_discounts(order_id);
+CREATE INDEX IF NOT EXISTS idx_order_discounts_coupon_user ON public.order_discounts(coupon_id, user_id);
+
+ALTER TABLE public.orders ADD COLUMN IF NOT EXISTS subtotal_amount NUMERIC(10,2);
+ALTER TABLE public.orders ADD COLUMN IF NOT EXISTS discount_amount NUMERIC(10,2) NOT NULL DEFAULT 0;
+ALTER TABLE public.orders ADD COLUMN IF NOT EXISTS coupon_code TEXT;
+
+-- RLS: coupons are only managed/read through edge functions (service role) and by admins.
+ALTER TABLE public.coupons ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.order_discounts ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Allow ADMIN full access to coupons" ON public.coupons;
+CREATE POLICY "Allow ADMIN full access to coupons"
+ON public.coupons
+FOR ALL
+USING ( public.is_admin() )
+WITH CHECK ( public.is_admin() );
+
+DROP POLICY IF EXISTS "Allow users to read discounts on their own orders" ON public.order_discounts;
+CREATE POLICY "Allow users to read discounts on their own orders"
+ON public.order_discounts
+FOR SELECT
+TO authenticated
+USING ( user_id = auth.uid() OR public.is_admin() );
+
+-- Replace the order RPC with one that also records subtotal/discount and enforces coupon caps
+-- under a row lock, so two checkouts cannot both take the last redemption.
+DROP FUNCTION IF EXISTS public.create_order_with_stock(jsonb, numeric, jsonb);
+
+-- p_discount: null, or { "couponId": uuid, "code": text, "description": text, "amount": numeric }
+CREATE OR REPLACE FUNCTION public.create_order_with_stock(
+  p_shipping_address jsonb,
+  p_subtotal_amount numeric,
+  p_total_amount numeric,
+  p_items jsonb,
+  p_discount jsonb DEFAULT NULL
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER -- Needs to update products.stock_quantity, which only admins may write under RLS
+SET search_path = public
+AS $$
+declare
+  v_user_id uuid := auth.uid();
+  v_item record;
+  v_insufficient jsonb := '[]'::jsonb;
+  v_order public.orders%rowtype;
+  v_coupon public.coupons%rowtype;
+  v_discount_amount numeric := coalesce((p_discount ->> 'amount')::numeric, 0);
+begin
+  if v_user_id is null then
+    raise exception 'create_order_with_stock requires an authenticated user';
+  end if;
+
+  if p_discount is not null then
+    select * into v_coupon from public.coupons where id = (p_discount ->> 'couponId')::uuid for update;
+    if not found or not v_coupon.is_active then
+      return jsonb_build_object('success', false, 'code', 'COUPON_INVALID', 'error', 'This promo code is no longer valid');
+    end if;
+    if v_coupon.usage_limit is not null
+       and (select count(*) from public.order_discounts where coupon_id = v_coupon.id) >= v_coupon.usage_limit then
+      return jsonb_build_object('success', false, 'code', 'COUPON_INVALID', 'error', 'This promo code has reached its usage limit');
+    end if;
+    if v_coupon.per_user_limit is not null
+       and (select count(*) from public.order_discounts where coupon_id = v_coupon.id and user_id = v_user_id) >= v_coupon.per_user_limit then
+      return jsonb_build_object('success', false, 'code', 'COUPON_INVALID', 'error', 'You have already used this promo code');
+    end if;
+  end if;
+
+  -- Lock every product row involved (in a stable order to avoid deadlocks) and check stock.
+  for v_item in
+    select p.id, p.name, coalesce(p.stock_quantity, 0) as available, req.quantity as requested
+    from (
+      select ("value" ->> 'productId')::uuid as product_id, sum(("value" ->> 'quantity')::int) as quantity
+      from jsonb_array_elements(p_items)
+      group by 1
+    ) req
+    join public.products p on p.id = req.product_id
+    order by p.id
+    for update of p
+  loop
+    if v_item.available < v_item.requested then
+      v_insufficient := v_insufficient || jsonb_build_object(
+        'productId', v_item.id,
+        'name', v_item.name,
+        'requested', v_item.requested,
+        'available', v_item.available
+      );
+    end if;
+  end loop;
+
+  if jsonb_array_length(v_insufficient) > 0 then
+    return jsonb_build_object('success', false, 'code', 'INSUFFICIENT_STOCK', 'insufficientItems', v_insufficient);
+  end if;
+
+  update public.products p
+  set stock_quantity = p.stock_quantity - req.quantity
+  from (
+    select ("value" ->> 'productId')::uuid as product_id, sum(("value" ->> 'quantity')::int) as quantity
+    from jsonb_array_elements(p_items)
+    group by 1
+  ) req
+  where p.id = req.product_id;
+
+  insert into public.orders ("userId", "shippingAddress", "totalAmount", subtotal_amount, discount_amount, coupon_code, status)
+  values (v_user_id, p_shipping_address, p_total_amount, p_subtotal_amount, v_discount_amount, p_discount ->> 'code', 'pending')
+  returning * into v_order;
+
+  insert into public.order_items ("orderId", "productId", quantity, price)
+  select v_order.id, ("value" ->> 'productId')::uuid, ("value" ->> 'quantity')::int, ("value" ->> 'price')::numeric
+  from jsonb_array_elements(p_items);
+
+  if p_discount is not null then
+    insert into public.order_discounts (order_id, coupon_id, user_id, code, description, amount)
+    values (v_order.id, v_coupon.id, v_user_id, v_coupon.code, p_discount ->> 'description', v_discount_amount);
+  end if;
+
+  return jsonb_build_object('success', true, 'order', to_jsonb(v_order));
+end;
+$$;
+
+REVOKE ALL ON FUNCTION public.create_order_with_stock(jsonb, numeric, numeric, jsonb, jsonb) FROM public, anon;
+GRANT EXECUTE ON FUNCTION public.create_order_with_stock(jsonb, numeric, numeric, jsonb, jsonb) TO authenticated;
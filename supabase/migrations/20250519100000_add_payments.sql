@@ -0,0 +1,106 @@
+-- Payments: one row per payment attempt against an order, whichever provider handled it
+-- (cash on delivery, the Chapa hosted checkout, or the offline fake gateway).
+
+CREATE TABLE IF NOT EXISTS public.payments (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    order_id UUID NOT NULL REFERENCES public.orders(id) ON DELETE CASCADE,
+    user_id UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    provider TEXT NOT NULL CHECK (provider IN ('cod', 'chapa', 'fake')),
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'paid', 'failed', 'cancelled')),
+    amount NUMERIC(10,2) NOT NULL CHECK (amount >= 0),
+    currency TEXT NOT NULL DEFAULT 'ETB',
+    tx_ref TEXT NOT NULL,              -- our reference, sent to the provider and echoed back in webhooks
+    provider_reference TEXT,           -- the provider's own transaction id
+    checkout_url TEXT,                 -- hosted checkout page, for providers that redirect
+    failure_reason TEXT,
+    raw_event JSONB,                   -- last verified webhook payload, for support/debugging
+    paid_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_payments_tx_ref ON public.payments(tx_ref);
+CREATE INDEX IF NOT EXISTS idx_payments_order_id ON public.payments(order_id);
+
+-- Denormalised onto orders so lists can show how an order is being paid without a join
+ALTER TABLE public.orders ADD COLUMN IF NOT EXISTS payment_method TEXT;
+ALTER TABLE public.orders ADD COLUMN IF NOT EXISTS payment_status TEXT NOT NULL DEFAULT 'unpaid';
+
+-- RLS: shoppers can read their own payments; all writes go through edge functions (service role).
+ALTER TABLE public.payments ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Allow users to read their own payments" ON public.payments;
+CREATE POLICY "Allow users to read their own payments"
+ON public.payments
+FOR SELECT
+TO authenticated
+USING ( user_id = auth.uid() OR public.is_admin() );
+
+-- Applies a verified provider result exactly once. Called by payment-webhook with the service role.
+-- A payment that is already settled is left alone, so replayed webhooks are harmless.
+CREATE OR REPLACE FUNCTION public.settle_payment(
+  p_tx_ref text,
+  p_status text,
+  p_amount numeric,
+  p_provider_reference text DEFAULT NULL,
+  p_failure_reason text DEFAULT NULL,
+  p_raw_event jsonb DEFAULT NULL
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+declare
+  v_payment public.payments%rowtype;
+begin
+  if p_status not in ('paid', 'failed') then
+    raise exception 'settle_payment: unsupported status %', p_status;
+  end if;
+
+  select * into v_payment from public.payments where tx_ref = p_tx_ref for update;
+  if not found then
+    return jsonb_build_object('success', false, 'code', 'PAYMENT_NOT_FOUND', 'error', 'No payment with this reference');
+  end if;
+
+  if v_payment.status <> 'pending' then
+    return jsonb_build_object('success', true, 'alreadySettled', true, 'status', v_payment.status, 'orderId', v_payment.order_id);
+  end if;
+
+  if p_status = 'paid' and p_amount is not null and abs(p_amount - v_payment.amount) > 0.01 then
+    update public.payments
+       set status = 'failed',
+           failure_reason = format('Amount mismatch: expected %s, received %s', v_payment.amount, p_amount),
+           provider_reference = coalesce(p_provider_reference, provider_reference),
+           raw_event = p_raw_event,
+           updated_at = now()
+     where id = v_payment.id;
+    return jsonb_build_object('success', false, 'code', 'AMOUNT_MISMATCH', 'error', 'Paid amount does not match the order');
+  end if;
+
+  update public.payments
+     set status = p_status,
+         provider_reference = coalesce(p_provider_reference, provider_reference),
+         failure_reason = p_failure_reason,
+         raw_event = p_raw_event,
+         paid_at = case when p_status = 'paid' then now() else null end,
+         updated_at = now()
+   where id = v_payment.id;
+
+  if p_status = 'paid' then
+    update public.orders
+       set payment_status = 'paid',
+           status = case when status = 'pending' then 'paid' else status end
+     where id = v_payment.order_id;
+  else
+    update public.orders
+       set payment_status = 'failed'
+     where id = v_payment.order_id and payment_status <> 'paid';
+  end if;
+
+  return jsonb_build_object('success', true, 'status', p_status, 'orderId', v_payment.order_id);
+end;
+$$;
+
+REVOKE ALL ON FUNCTION public.settle_payment(text, text, numeric, text, text, jsonb) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.settle_payment(text, text, numeric, text, text, jsonb) TO service_role;
@@ -0,0 +1,160 @@
+-- Order lifecycle: a fixed set of statuses, the transitions allowed between them (enforced by
+-- trigger, so it holds for every writer: edge functions, the admin app and SQL alike), and an
+-- order_status_history table recording who moved an order, when, and why.
+--
+--   pending -> paid -> processing -> shipped -> delivered
+--   pending -> processing                 (cash on delivery skips 'paid')
+--   pending | paid | processing -> cancelled
+--   shipped | delivered -> returned
+--   paid | delivered | returned | cancelled -> refunded
+
+-- Normalise the free-text statuses written so far ('Pending', 'Shipped', ...)
+UPDATE public.orders SET status = lower(trim(status)) WHERE status IS DISTINCT FROM lower(trim(status));
+UPDATE public.orders
+   SET status = 'pending'
+ WHERE status IS NULL
+    OR status NOT IN ('pending', 'paid', 'processing', 'shipped', 'delivered', 'cancelled', 'refunded', 'returned');
+
+ALTER TABLE public.orders ALTER COLUMN status SET DEFAULT 'pending';
+ALTER TABLE public.orders ALTER COLUMN status SET NOT NULL;
+ALTER TABLE public.orders DROP CONSTRAINT IF EXISTS orders_status_check;
+ALTER TABLE public.orders ADD CONSTRAINT orders_status_check
+  CHECK (status IN ('pending', 'paid', 'processing', 'shipped', 'delivered', 'cancelled', 'refunded', 'returned'));
+
+CREATE TABLE IF NOT EXISTS public.order_status_history (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    order_id UUID NOT NULL REFERENCES public.orders(id) ON DELETE CASCADE,
+    from_status TEXT,                 -- null for the row written when the order is created
+    to_status TEXT NOT NULL,
+    changed_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    actor_role TEXT NOT NULL DEFAULT 'system' CHECK (actor_role IN ('customer', 'admin', 'system')),
+    note TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_order_status_history_order_id ON public.order_status_history(order_id, created_at);
+
+ALTER TABLE public.order_status_history ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Allow users to read history of their own orders" ON public.order_status_history;
+CREATE POLICY "Allow users to read history of their own orders"
+ON public.order_status_history
+FOR SELECT
+TO authenticated
+USING (
+  public.is_admin()
+  OR EXISTS (SELECT 1 FROM public.orders o WHERE o.id = order_id AND o."userId" = auth.uid())
+);
+-- No insert/update policies: rows are only written by the trigger below.
+
+-- Single source of truth for the transition table. Mirrored in frontend/src/utils/orderStatus.js.
+CREATE OR REPLACE FUNCTION public.order_status_transition_allowed(p_from text, p_to text)
+RETURNS boolean
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  select p_to = any(
+    case p_from
+      when 'pending'    then array['paid', 'processing', 'cancelled']
+      when 'paid'       then array['processing', 'cancelled', 'refunded']
+      when 'processing' then array['shipped', 'cancelled']
+      when 'shipped'    then array['delivered', 'returned']
+      when 'delivered'  then array['returned', 'refunded']
+      when 'returned'   then array['refunded']
+      when 'cancelled'  then array['refunded']
+      else array[]::text[]
+    end
+  );
+$$;
+
+CREATE OR REPLACE FUNCTION public.enforce_order_status_transition()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+begin
+  if new.status is distinct from old.status
+     and not public.order_status_transition_allowed(old.status, new.status) then
+    raise exception 'Invalid order status transition: % -> %', old.status, new.status
+      using errcode = 'check_violation';
+  end if;
+  return new;
+end;
+$$;
+
+-- SECURITY DEFINER: writes history rows that callers cannot insert directly.
+-- An optional note is passed in via the transaction-local setting app.order_status_note.
+CREATE OR REPLACE FUNCTION public.record_order_status_change()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+declare
+  v_actor uuid := auth.uid();
+begin
+  if tg_op = 'UPDATE' and new.status is not distinct from old.status then
+    return new;
+  end if;
+
+  insert into public.order_status_history (order_id, from_status, to_status, changed_by, actor_role, note)
+  values (
+    new.id,
+    case when tg_op = 'UPDATE' then old.status end,
+    new.status,
+    v_actor,
+    case
+      when v_actor is null then 'system'
+      when public.is_admin() then 'admin'
+      else 'customer'
+    end,
+    nullif(current_setting('app.order_status_note', true), '')
+  );
+  return new;
+end;
+$$;
+
+DROP TRIGGER IF EXISTS enforce_order_status_transition ON public.orders;
+CREATE TRIGGER enforce_order_status_transition
+  BEFORE UPDATE OF status ON public.orders
+  FOR EACH ROW
+  EXECUTE FUNCTION public.enforce_order_status_transition();
+
+DROP TRIGGER IF EXISTS record_order_status_change ON public.orders;
+CREATE TRIGGER record_order_status_change
+  AFTER INSERT OR UPDATE OF status ON public.orders
+  FOR EACH ROW
+  EXECUTE FUNCTION public.record_order_status_change();
+
+-- Starting point for orders placed before history existed
+INSERT INTO public.order_status_history (order_id, from_status, to_status, actor_role, note, created_at)
+SELECT o.id, NULL, o.status, 'system', 'Status at the time order history was introduced', coalesce(o.created_at, now())
+  FROM public.orders o
+ WHERE NOT EXISTS (SELECT 1 FROM public.order_status_history h WHERE h.order_id = o.id);
+
+-- Admin status changes with an optional note. Used by update-admin-order-status and the admin app.
+CREATE OR REPLACE FUNCTION public.update_order_status(p_order_id uuid, p_status text, p_note text DEFAULT NULL)
+RETURNS public.orders
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+declare
+  v_order public.orders%rowtype;
+begin
+  if not public.is_admin() then
+    raise exception 'Only admins can change order status' using errcode = 'insufficient_privilege';
+  end if;
+
+  perform set_config('app.order_status_note', coalesce(p_note, ''), true);
+
+  update public.orders set status = p_status where id = p_order_id returning * into v_order;
+  if not found then
+    raise exception 'Order % not found', p_order_id using errcode = 'no_data_found';
+  end if;
+
+  perform set_config('app.order_status_note', '', true);
+  return v_order;
+end;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.update_order_status(uuid, text, text) TO authenticated;
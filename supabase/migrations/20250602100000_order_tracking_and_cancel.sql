@@ -0,0 +1,81 @@
+-- Shipment tracking on orders, set when an admin marks an order shipped, and
+-- cancellation by the shopper while the order is still pending.
+
+ALTER TABLE public.orders ADD COLUMN IF NOT EXISTS carrier TEXT;
+ALTER TABLE public.orders ADD COLUMN IF NOT EXISTS tracking_number TEXT;
+ALTER TABLE public.orders ADD COLUMN IF NOT EXISTS shipped_at TIMESTAMPTZ;
+
+-- Same as before, plus carrier/tracking details that are stored when moving to 'shipped'
+DROP FUNCTION IF EXISTS public.update_order_status(uuid, text, text);
+
+CREATE OR REPLACE FUNCTION public.update_order_status(
+  p_order_id uuid,
+  p_status text,
+  p_note text DEFAULT NULL,
+  p_carrier text DEFAULT NULL,
+  p_tracking_number text DEFAULT NULL
+)
+RETURNS public.orders
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+declare
+  v_order public.orders%rowtype;
+begin
+  if not public.is_admin() then
+    raise exception 'Only admins can change order status' using errcode = 'insufficient_privilege';
+  end if;
+
+  perform set_config('app.order_status_note', coalesce(p_note, ''), true);
+
+  update public.orders
+     set status = p_status,
+         carrier = case when p_status = 'shipped' then coalesce(nullif(trim(p_carrier), ''), carrier) else carrier end,
+         tracking_number = case when p_status = 'shipped' then coalesce(nullif(trim(p_tracking_number), ''), tracking_number) else tracking_number end,
+         shipped_at = case when p_status = 'shipped' then now() else shipped_at end
+   where id = p_order_id
+   returning * into v_order;
+  if not found then
+    raise exception 'Order % not found', p_order_id using errcode = 'no_data_found';
+  end if;
+
+  perform set_config('app.order_status_note', '', true);
+  return v_order;
+end;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.update_order_status(uuid, text, text, text, text) TO authenticated;
+
+-- Shopper cancels their own order. Stock comes back through the on_order_cancelled_restore_stock
+-- trigger and the change is logged as a 'customer' entry in order_status_history.
+CREATE OR REPLACE FUNCTION public.cancel_my_order(p_order_id uuid, p_reason text DEFAULT NULL)
+RETURNS public.orders
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+declare
+  v_order public.orders%rowtype;
+begin
+  select * into v_order from public.orders where id = p_order_id and "userId" = auth.uid() for update;
+  if not found then
+    raise exception 'Order % not found', p_order_id using errcode = 'no_data_found';
+  end if;
+  if v_order.status <> 'pending' then
+    raise exception 'Orders that are % can no longer be cancelled', v_order.status using errcode = 'check_violation';
+  end if;
+
+  perform set_config('app.order_status_note', coalesce(nullif(trim(p_reason), ''), 'Cancelled by customer'), true);
+  update public.orders set status = 'cancelled' where id = p_order_id returning * into v_order;
+  perform set_config('app.order_status_note', '', true);
+
+  -- Any checkout still open at a gateway is abandoned
+  update public.payments set status = 'cancelled', updated_at = now()
+   where order_id = p_order_id and status = 'pending';
+
+  return v_order;
+end;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.cancel_my_order(uuid, text) TO authenticated;
@@ -0,0 +1,66 @@
+-- Marketplace tables the order, refund, notification, review and search migrations build on:
+-- sellers, collections and seller_earnings as planned in RESUME_MULTI_VENDOR.md, the seller_id
+-- columns on products and order_items, and current_seller_id(). Created if missing, since some
+-- databases already have the planned tables. 20250915100000_seller_marketplace.sql adds the
+-- store profile columns, RLS and the rest of the seller backend.
+
+CREATE TABLE IF NOT EXISTS public.sellers (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE,
+    store_name TEXT NOT NULL,
+    store_slug TEXT UNIQUE NOT NULL,
+    store_logo_url TEXT,
+    store_description TEXT,
+    contact_email TEXT,
+    status TEXT DEFAULT 'pending_approval',
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Platform share of each sale, booked into seller_earnings
+ALTER TABLE public.sellers ADD COLUMN IF NOT EXISTS commission_rate NUMERIC(5,4) NOT NULL DEFAULT 0.15;
+
+CREATE TABLE IF NOT EXISTS public.collections (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    seller_id UUID REFERENCES public.sellers(id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    slug TEXT NOT NULL,
+    description TEXT,
+    cover_image_url TEXT,
+    price DECIMAL(10,2),
+    status TEXT DEFAULT 'draft' CHECK (status IN ('draft', 'pending_approval', 'active', 'rejected', 'inactive')),
+    platform_commission_rate DECIMAL(5,4) DEFAULT 0.15,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE(seller_id, slug)
+);
+
+CREATE TABLE IF NOT EXISTS public.seller_earnings (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    order_id UUID REFERENCES public.orders(id) ON DELETE CASCADE,
+    collection_id UUID REFERENCES public.collections(id) ON DELETE SET NULL,
+    seller_id UUID REFERENCES public.sellers(id) ON DELETE CASCADE,
+    total_sale_amount DECIMAL(10,2) NOT NULL,
+    platform_commission_amount DECIMAL(10,2) NOT NULL,
+    seller_earned_amount DECIMAL(10,2) NOT NULL,
+    transaction_date TIMESTAMPTZ DEFAULT NOW(),
+    status TEXT DEFAULT 'pending' CHECK (status IN ('pending', 'paid')),
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_seller_earnings_seller ON public.seller_earnings(seller_id, transaction_date DESC);
+
+ALTER TABLE public.products ADD COLUMN IF NOT EXISTS seller_id UUID REFERENCES public.sellers(id) ON DELETE SET NULL;
+ALTER TABLE public.order_items ADD COLUMN IF NOT EXISTS seller_id UUID REFERENCES public.sellers(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_products_seller ON public.products(seller_id);
+
+-- The active seller account of the calling user, if any
+CREATE OR REPLACE FUNCTION public.current_seller_id()
+RETURNS uuid
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  select id from public.sellers where user_id = auth.uid() and status = 'active' limit 1;
+$$;
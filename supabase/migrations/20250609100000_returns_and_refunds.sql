@@ -0,0 +1,544 @@
+-- Cancellation before shipment, return requests after delivery, and the refunds both produce.
+--
+-- * cancel_my_order now also accepts paid/processing orders; if money was collected a pending
+--   refund is recorded for the full order total.
+-- * Shoppers open a return request (reason, items, photos in the private return-photos bucket)
+--   for a delivered order. Admins, or the seller who owns every item in it, approve or reject it.
+--   Approval records a pending refund.
+-- * Admins mark refunds completed once the money has gone back; orders.refunded_amount and
+--   payment_status follow, and seller_earnings gets negative 'refund' entries for the seller's share.
+-- * Sellers' sales are booked into seller_earnings when an order is paid (or delivered, for cash
+--   on delivery), so refunds have a sale to reverse.
+
+-- ---------------------------------------------------------------------------
+-- Tables
+-- ---------------------------------------------------------------------------
+
+CREATE TABLE IF NOT EXISTS public.return_requests (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    order_id UUID NOT NULL REFERENCES public.orders(id) ON DELETE CASCADE,
+    user_id UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected')),
+    reason TEXT NOT NULL CHECK (reason IN ('damaged', 'wrong_item', 'not_as_described', 'no_longer_needed', 'other')),
+    details TEXT,
+    photo_paths TEXT[] NOT NULL DEFAULT '{}',   -- object paths in the return-photos bucket
+    refund_amount NUMERIC(10,2),                -- set on approval
+    reviewed_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    reviewed_at TIMESTAMPTZ,
+    review_note TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_return_requests_order_id ON public.return_requests(order_id);
+CREATE INDEX IF NOT EXISTS idx_return_requests_status ON public.return_requests(status);
+
+CREATE TABLE IF NOT EXISTS public.return_request_items (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    return_request_id UUID NOT NULL REFERENCES public.return_requests(id) ON DELETE CASCADE,
+    order_item_id UUID NOT NULL REFERENCES public.order_items(id) ON DELETE CASCADE,
+    quantity INTEGER NOT NULL CHECK (quantity > 0),
+    amount NUMERIC(10,2) NOT NULL,   -- line price * quantity at the time of the request
+    seller_id UUID,                  -- owning seller, copied from the order item / product
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_return_request_items_request ON public.return_request_items(return_request_id);
+CREATE INDEX IF NOT EXISTS idx_return_request_items_seller ON public.return_request_items(seller_id);
+
+CREATE TABLE IF NOT EXISTS public.refunds (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    order_id UUID NOT NULL REFERENCES public.orders(id) ON DELETE CASCADE,
+    return_request_id UUID REFERENCES public.return_requests(id) ON DELETE SET NULL,
+    amount NUMERIC(10,2) NOT NULL CHECK (amount > 0),
+    reason TEXT NOT NULL CHECK (reason IN ('cancellation', 'return')),
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'completed')),
+    reference TEXT,                  -- bank / gateway reference entered when the money is sent back
+    created_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    processed_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    processed_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_refunds_order_id ON public.refunds(order_id);
+CREATE INDEX IF NOT EXISTS idx_refunds_status ON public.refunds(status);
+
+ALTER TABLE public.orders ADD COLUMN IF NOT EXISTS refunded_amount NUMERIC(10,2) NOT NULL DEFAULT 0;
+
+-- Refund reversals sit next to the sale rows they offset
+ALTER TABLE public.seller_earnings ADD COLUMN IF NOT EXISTS entry_type TEXT NOT NULL DEFAULT 'sale';
+ALTER TABLE public.seller_earnings ADD COLUMN IF NOT EXISTS refund_id UUID REFERENCES public.refunds(id) ON DELETE SET NULL;
+
+-- A seller may review a request only when every item in it is theirs; mixed requests go to admins
+CREATE OR REPLACE FUNCTION public.can_review_return_request(p_request_id uuid)
+RETURNS boolean
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  select public.is_admin()
+      or (
+        public.current_seller_id() is not null
+        and not exists (
+          select 1 from public.return_request_items
+           where return_request_id = p_request_id
+             and seller_id is distinct from public.current_seller_id()
+        )
+      );
+$$;
+
+-- Owner, admin, or a seller with at least one item in the request. Used by both tables' policies,
+-- which would otherwise recurse into each other.
+CREATE OR REPLACE FUNCTION public.can_read_return_request(p_request_id uuid)
+RETURNS boolean
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  select public.is_admin()
+      or exists (select 1 from public.return_requests where id = p_request_id and user_id = auth.uid())
+      or exists (
+        select 1 from public.return_request_items
+         where return_request_id = p_request_id and seller_id = public.current_seller_id()
+      );
+$$;
+
+-- ---------------------------------------------------------------------------
+-- RLS: reads only; writes go through the functions below
+-- ---------------------------------------------------------------------------
+
+ALTER TABLE public.return_requests ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.return_request_items ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.refunds ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Allow owners, admins and sellers to read return requests" ON public.return_requests;
+CREATE POLICY "Allow owners, admins and sellers to read return requests"
+ON public.return_requests
+FOR SELECT
+TO authenticated
+USING ( public.can_read_return_request(id) );
+
+DROP POLICY IF EXISTS "Allow readers of a return request to read its items" ON public.return_request_items;
+CREATE POLICY "Allow readers of a return request to read its items"
+ON public.return_request_items
+FOR SELECT
+TO authenticated
+USING ( public.can_read_return_request(return_request_id) );
+
+DROP POLICY IF EXISTS "Allow users to read refunds on their orders" ON public.refunds;
+CREATE POLICY "Allow users to read refunds on their orders"
+ON public.refunds
+FOR SELECT
+TO authenticated
+USING (
+  public.is_admin()
+  OR EXISTS (SELECT 1 FROM public.orders o WHERE o.id = refunds.order_id AND o."userId" = auth.uid())
+);
+
+-- ---------------------------------------------------------------------------
+-- Storage: return photos live under <user id>/<order id>/...
+-- ---------------------------------------------------------------------------
+
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('return-photos', 'return-photos', false)
+ON CONFLICT (id) DO NOTHING;
+
+DROP POLICY IF EXISTS "Allow users to upload their own return photos" ON storage.objects;
+CREATE POLICY "Allow users to upload their own return photos"
+ON storage.objects
+FOR INSERT
+TO authenticated
+WITH CHECK ( bucket_id = 'return-photos' AND (storage.foldername(name))[1] = auth.uid()::text );
+
+DROP POLICY IF EXISTS "Allow users and admins to read return photos" ON storage.objects;
+CREATE POLICY "Allow users and admins to read return photos"
+ON storage.objects
+FOR SELECT
+TO authenticated
+USING ( bucket_id = 'return-photos' AND ((storage.foldername(name))[1] = auth.uid()::text OR public.is_admin()) );
+
+-- ---------------------------------------------------------------------------
+-- Seller earnings: sales and their reversal
+-- ---------------------------------------------------------------------------
+
+-- Books the sellers' share of a refund as negative 'refund' entries, at the commission rate of the
+-- original sale. p_lines is [{ "seller_id": uuid, "amount": numeric }]; sellers that never had a
+-- sale recorded for the order are skipped.
+CREATE OR REPLACE FUNCTION public.reverse_seller_earnings(p_order_id uuid, p_refund_id uuid, p_lines jsonb)
+RETURNS void
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+begin
+  insert into public.seller_earnings
+    (order_id, seller_id, total_sale_amount, platform_commission_amount, seller_earned_amount, status, entry_type, refund_id)
+  select p_order_id,
+         l.seller_id,
+         -l.amount,
+         -round(l.amount * s.rate, 2),
+         -(l.amount - round(l.amount * s.rate, 2)),
+         'pending',
+         'refund',
+         p_refund_id
+    from (
+      select (line->>'seller_id')::uuid as seller_id, sum((line->>'amount')::numeric) as amount
+        from jsonb_array_elements(p_lines) as line
+       where line->>'seller_id' is not null
+       group by 1
+    ) l
+    join lateral (
+      select coalesce(sum(platform_commission_amount) / nullif(sum(total_sale_amount), 0), 0) as rate
+        from public.seller_earnings se
+       where se.order_id = p_order_id and se.seller_id = l.seller_id and se.entry_type = 'sale'
+      having count(*) > 0
+    ) s on true
+   where l.amount > 0;
+end;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.reverse_seller_earnings(uuid, uuid, jsonb) FROM PUBLIC, anon, authenticated;
+
+-- Books each seller's lines on the order as one 'sale' entry, less the seller's commission.
+-- Runs when the order is paid, or delivered for cash on delivery; a seller already booked for the
+-- order is skipped, so it is safe to call again.
+CREATE OR REPLACE FUNCTION public.book_seller_sales(p_order_id uuid)
+RETURNS void
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+begin
+  insert into public.seller_earnings
+    (order_id, seller_id, total_sale_amount, platform_commission_amount, seller_earned_amount, status, entry_type)
+  select p_order_id,
+         l.seller_id,
+         l.amount,
+         round(l.amount * s.commission_rate, 2),
+         l.amount - round(l.amount * s.commission_rate, 2),
+         'pending',
+         'sale'
+    from (
+      select coalesce(oi.seller_id, p.seller_id) as seller_id, sum(oi.price * oi.quantity) as amount
+        from public.order_items oi
+        left join public.products p on p.id = oi."productId"
+       where oi."orderId" = p_order_id
+       group by 1
+    ) l
+    join public.sellers s on s.id = l.seller_id
+   where l.amount > 0
+     and not exists (
+       select 1 from public.seller_earnings se
+        where se.order_id = p_order_id and se.seller_id = l.seller_id and se.entry_type = 'sale'
+     );
+end;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.book_seller_sales(uuid) FROM PUBLIC, anon, authenticated;
+
+CREATE OR REPLACE FUNCTION public.book_seller_sales_on_order_update()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+begin
+  if (new.payment_status = 'paid' and old.payment_status is distinct from 'paid')
+     or (new.status = 'delivered' and old.status is distinct from 'delivered') then
+    perform public.book_seller_sales(new.id);
+  end if;
+  return null;
+end;
+$$;
+
+DROP TRIGGER IF EXISTS book_seller_sales_on_order_update ON public.orders;
+CREATE TRIGGER book_seller_sales_on_order_update
+  AFTER UPDATE OF status, payment_status ON public.orders
+  FOR EACH ROW
+  EXECUTE FUNCTION public.book_seller_sales_on_order_update();
+
+-- Orders paid or delivered before sales were booked
+SELECT public.book_seller_sales(id) FROM public.orders WHERE payment_status = 'paid' OR status = 'delivered';
+
+-- ---------------------------------------------------------------------------
+-- Cancellation (replaces the pending-only version)
+-- ---------------------------------------------------------------------------
+
+CREATE OR REPLACE FUNCTION public.cancel_my_order(p_order_id uuid, p_reason text DEFAULT NULL)
+RETURNS public.orders
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+declare
+  v_order public.orders%rowtype;
+  v_refund_id uuid;
+  v_lines jsonb;
+begin
+  select * into v_order from public.orders where id = p_order_id and "userId" = auth.uid() for update;
+  if not found then
+    raise exception 'Order % not found', p_order_id using errcode = 'no_data_found';
+  end if;
+  if v_order.status not in ('pending', 'paid', 'processing') then
+    raise exception 'Orders that are % can no longer be cancelled', v_order.status using errcode = 'check_violation';
+  end if;
+
+  -- Stock comes back through the on_order_cancelled_restore_stock trigger
+  perform set_config('app.order_status_note', coalesce(nullif(trim(p_reason), ''), 'Cancelled by customer'), true);
+  update public.orders set status = 'cancelled' where id = p_order_id returning * into v_order;
+  perform set_config('app.order_status_note', '', true);
+
+  -- Any checkout still open at a gateway is abandoned
+  update public.payments set status = 'cancelled', updated_at = now()
+   where order_id = p_order_id and status = 'pending';
+
+  -- Money already collected is owed back in full
+  if v_order.payment_status = 'paid' and v_order."totalAmount" > 0 then
+    insert into public.refunds (order_id, amount, reason, created_by)
+    values (p_order_id, v_order."totalAmount", 'cancellation', auth.uid())
+    returning id into v_refund_id;
+
+    select coalesce(jsonb_agg(jsonb_build_object('seller_id', coalesce(oi.seller_id, p.seller_id), 'amount', oi.price * oi.quantity)), '[]'::jsonb)
+      into v_lines
+      from public.order_items oi
+      left join public.products p on p.id = oi."productId"
+     where oi."orderId" = p_order_id;
+    perform public.reverse_seller_earnings(p_order_id, v_refund_id, v_lines);
+  end if;
+
+  return v_order;
+end;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.cancel_my_order(uuid, text) TO authenticated;
+
+-- ---------------------------------------------------------------------------
+-- Return requests
+-- ---------------------------------------------------------------------------
+
+-- Shopper asks to return items from a delivered order, within 14 days of delivery.
+-- p_items is [{ "order_item_id": uuid, "quantity": int }]. Quantities already covered by a
+-- pending or approved request for the same line can't be requested again.
+CREATE OR REPLACE FUNCTION public.request_return(
+  p_order_id uuid,
+  p_reason text,
+  p_details text DEFAULT NULL,
+  p_items jsonb DEFAULT '[]'::jsonb,
+  p_photo_paths text[] DEFAULT '{}'
+)
+RETURNS public.return_requests
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+declare
+  v_order public.orders%rowtype;
+  v_delivered_at timestamptz;
+  v_request public.return_requests%rowtype;
+  v_item jsonb;
+  v_line record;
+  v_quantity integer;
+  v_already integer;
+begin
+  select * into v_order from public.orders where id = p_order_id and "userId" = auth.uid() for update;
+  if not found then
+    raise exception 'Order % not found', p_order_id using errcode = 'no_data_found';
+  end if;
+  if v_order.status <> 'delivered' then
+    raise exception 'Only delivered orders can be returned' using errcode = 'check_violation';
+  end if;
+
+  select max(created_at) into v_delivered_at
+    from public.order_status_history
+   where order_id = p_order_id and to_status = 'delivered';
+  if v_delivered_at is not null and v_delivered_at < now() - interval '14 days' then
+    raise exception 'The 14-day return window for this order has closed' using errcode = 'check_violation';
+  end if;
+
+  if jsonb_typeof(p_items) <> 'array' or jsonb_array_length(p_items) = 0 then
+    raise exception 'Select at least one item to return' using errcode = 'check_violation';
+  end if;
+  if exists (
+    select 1 from unnest(coalesce(p_photo_paths, '{}')) as path
+     where split_part(path, '/', 1) <> auth.uid()::text
+  ) then
+    raise exception 'Photos must be uploaded by the order owner' using errcode = 'check_violation';
+  end if;
+
+  insert into public.return_requests (order_id, user_id, reason, details, photo_paths)
+  values (p_order_id, auth.uid(), p_reason, nullif(trim(p_details), ''), coalesce(p_photo_paths, '{}'))
+  returning * into v_request;
+
+  for v_item in select * from jsonb_array_elements(p_items) loop
+    v_quantity := (v_item->>'quantity')::integer;
+
+    select oi.id, oi.quantity, oi.price, coalesce(oi.seller_id, p.seller_id) as seller_id
+      into v_line
+      from public.order_items oi
+      left join public.products p on p.id = oi."productId"
+     where oi.id = (v_item->>'order_item_id')::uuid and oi."orderId" = p_order_id;
+    if not found then
+      raise exception 'Item % is not part of this order', v_item->>'order_item_id' using errcode = 'check_violation';
+    end if;
+
+    select coalesce(sum(rri.quantity), 0) into v_already
+      from public.return_request_items rri
+      join public.return_requests rr on rr.id = rri.return_request_id
+     where rri.order_item_id = v_line.id and rr.status in ('pending', 'approved');
+
+    if v_quantity is null or v_quantity < 1 or v_quantity > v_line.quantity - v_already then
+      raise exception 'Invalid return quantity for item %', v_line.id using errcode = 'check_violation';
+    end if;
+
+    insert into public.return_request_items (return_request_id, order_item_id, quantity, amount, seller_id)
+    values (v_request.id, v_line.id, v_quantity, v_line.price * v_quantity, v_line.seller_id);
+  end loop;
+
+  return v_request;
+end;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.request_return(uuid, text, text, jsonb, text[]) TO authenticated;
+
+-- Approve or reject a pending return request. On approval a pending refund is recorded; its amount
+-- defaults to the returned lines' share of what was actually paid (after any coupon discount) and
+-- may be lowered but never raised above that or above what is still unrefunded on the order.
+CREATE OR REPLACE FUNCTION public.review_return_request(
+  p_request_id uuid,
+  p_decision text,
+  p_note text DEFAULT NULL,
+  p_refund_amount numeric DEFAULT NULL
+)
+RETURNS public.return_requests
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+declare
+  v_request public.return_requests%rowtype;
+  v_order public.orders%rowtype;
+  v_items_total numeric;
+  v_max_refund numeric;
+  v_amount numeric;
+  v_refund_id uuid;
+  v_lines jsonb;
+begin
+  if p_decision not in ('approved', 'rejected') then
+    raise exception 'Decision must be approved or rejected' using errcode = 'check_violation';
+  end if;
+
+  select * into v_request from public.return_requests where id = p_request_id for update;
+  if not found then
+    raise exception 'Return request % not found', p_request_id using errcode = 'no_data_found';
+  end if;
+  if not public.can_review_return_request(p_request_id) then
+    raise exception 'Not allowed to review this return request' using errcode = 'insufficient_privilege';
+  end if;
+  if v_request.status <> 'pending' then
+    raise exception 'This return request has already been %', v_request.status using errcode = 'check_violation';
+  end if;
+
+  if p_decision = 'approved' then
+    select * into v_order from public.orders where id = v_request.order_id for update;
+
+    select coalesce(sum(amount), 0) into v_items_total
+      from public.return_request_items where return_request_id = p_request_id;
+
+    v_max_refund := least(
+      round(v_items_total * v_order."totalAmount" / coalesce(nullif(v_order.subtotal_amount, 0), v_order."totalAmount", 1), 2),
+      v_order."totalAmount" - coalesce((select sum(amount) from public.refunds where order_id = v_order.id), 0)
+    );
+    v_amount := coalesce(p_refund_amount, v_max_refund);
+    if v_amount < 0 or v_amount > v_max_refund then
+      raise exception 'Refund amount must be between 0 and %', v_max_refund using errcode = 'check_violation';
+    end if;
+
+    if v_amount > 0 then
+      insert into public.refunds (order_id, return_request_id, amount, reason, created_by)
+      values (v_order.id, p_request_id, v_amount, 'return', auth.uid())
+      returning id into v_refund_id;
+
+      -- Sellers give back their share of the lines in proportion to what is being refunded
+      select coalesce(jsonb_agg(jsonb_build_object('seller_id', seller_id, 'amount', round(amount * v_amount / nullif(v_items_total, 0), 2))), '[]'::jsonb)
+        into v_lines
+        from public.return_request_items
+       where return_request_id = p_request_id;
+      perform public.reverse_seller_earnings(v_order.id, v_refund_id, v_lines);
+    end if;
+  end if;
+
+  update public.return_requests
+     set status = p_decision,
+         refund_amount = case when p_decision = 'approved' then v_amount end,
+         review_note = nullif(trim(p_note), ''),
+         reviewed_by = auth.uid(),
+         reviewed_at = now(),
+         updated_at = now()
+   where id = p_request_id
+   returning * into v_request;
+
+  return v_request;
+end;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.review_return_request(uuid, text, text, numeric) TO authenticated;
+
+-- ---------------------------------------------------------------------------
+-- Refund completion (admins, once the money has actually been sent back)
+-- ---------------------------------------------------------------------------
+
+CREATE OR REPLACE FUNCTION public.complete_refund(p_refund_id uuid, p_reference text DEFAULT NULL)
+RETURNS public.refunds
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+declare
+  v_refund public.refunds%rowtype;
+  v_order public.orders%rowtype;
+begin
+  if not public.is_admin() then
+    raise exception 'Only admins can complete refunds' using errcode = 'insufficient_privilege';
+  end if;
+
+  select * into v_refund from public.refunds where id = p_refund_id for update;
+  if not found then
+    raise exception 'Refund % not found', p_refund_id using errcode = 'no_data_found';
+  end if;
+  if v_refund.status = 'completed' then
+    return v_refund;
+  end if;
+
+  update public.refunds
+     set status = 'completed',
+         reference = nullif(trim(p_reference), ''),
+         processed_by = auth.uid(),
+         processed_at = now(),
+         updated_at = now()
+   where id = p_refund_id
+   returning * into v_refund;
+
+  update public.orders
+     set refunded_amount = refunded_amount + v_refund.amount,
+         payment_status = case
+           when refunded_amount + v_refund.amount >= "totalAmount" then 'refunded'
+           else 'partially_refunded'
+         end
+   where id = v_refund.order_id
+   returning * into v_order;
+
+  -- A fully refunded order moves to 'refunded' where the state machine allows it
+  if v_order.payment_status = 'refunded' and public.order_status_transition_allowed(v_order.status, 'refunded') then
+    perform set_config('app.order_status_note', 'Refund of ' || v_refund.amount || ' ETB completed', true);
+    update public.orders set status = 'refunded' where id = v_order.id;
+    perform set_config('app.order_status_note', '', true);
+  end if;
+
+  return v_refund;
+end;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.complete_refund(uuid, text) TO authenticated;
@@ -0,0 +1,95 @@
+-- Numbered PDF invoices, rendered by the generate-invoice edge function and kept in the private
+-- invoices bucket. An order keeps its number for life; regenerating only re-renders the file.
+
+-- Store details printed on invoices live in the settings table as a JSON row keyed 'store'
+-- (the table itself was first created by sql/create_settings_and_insert.sql).
+CREATE TABLE IF NOT EXISTS public.settings (
+  key TEXT PRIMARY KEY,
+  landing_image_url TEXT
+);
+
+ALTER TABLE public.settings ADD COLUMN IF NOT EXISTS value JSONB;
+
+INSERT INTO public.settings (key, value)
+VALUES ('store', jsonb_build_object(
+  'name', 'SuriAddis',
+  'address', 'Addis Ababa, Ethiopia',
+  'email', 'contact@suriaddis.com',
+  'phone', NULL,
+  'tin', NULL,                 -- Taxpayer Identification Number
+  'vat_registration', NULL,
+  'vat_rate', 0.15,            -- prices are VAT-inclusive; this is only used for the breakdown
+  'invoice_prefix', 'INV'
+))
+ON CONFLICT (key) DO NOTHING;
+
+CREATE SEQUENCE IF NOT EXISTS public.invoice_number_seq;
+
+CREATE TABLE IF NOT EXISTS public.invoices (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    order_id UUID NOT NULL UNIQUE REFERENCES public.orders(id) ON DELETE CASCADE,
+    invoice_number TEXT NOT NULL UNIQUE,
+    storage_path TEXT,                      -- object path in the invoices bucket
+    issued_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    generated_at TIMESTAMPTZ,               -- last time the PDF was rendered
+    generation_count INTEGER NOT NULL DEFAULT 0
+);
+
+ALTER TABLE public.invoices ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Allow users to read invoices for their orders" ON public.invoices;
+CREATE POLICY "Allow users to read invoices for their orders"
+ON public.invoices
+FOR SELECT
+TO authenticated
+USING (
+  public.is_admin()
+  OR EXISTS (SELECT 1 FROM public.orders o WHERE o.id = invoices.order_id AND o."userId" = auth.uid())
+);
+
+-- Returns the order's invoice, numbering it on first use (e.g. INV-2025-000042).
+-- Called by generate-invoice with the service role.
+CREATE OR REPLACE FUNCTION public.issue_invoice(p_order_id uuid)
+RETURNS public.invoices
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+declare
+  v_invoice public.invoices%rowtype;
+  v_prefix text;
+begin
+  select * into v_invoice from public.invoices where order_id = p_order_id;
+  if found then
+    return v_invoice;
+  end if;
+
+  if not exists (select 1 from public.orders where id = p_order_id) then
+    raise exception 'Order % not found', p_order_id using errcode = 'no_data_found';
+  end if;
+
+  select coalesce(nullif(value->>'invoice_prefix', ''), 'INV') into v_prefix
+    from public.settings where key = 'store';
+
+  begin
+    insert into public.invoices (order_id, invoice_number)
+    values (
+      p_order_id,
+      coalesce(v_prefix, 'INV') || '-' || to_char(now(), 'YYYY') || '-' || lpad(nextval('public.invoice_number_seq')::text, 6, '0')
+    )
+    returning * into v_invoice;
+  exception when unique_violation then
+    -- Someone else numbered it at the same moment
+    select * into v_invoice from public.invoices where order_id = p_order_id;
+  end;
+
+  return v_invoice;
+end;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.issue_invoice(uuid) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.issue_invoice(uuid) TO service_role;
+
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('invoices', 'invoices', false)
+ON CONFLICT (id) DO NOTHING;
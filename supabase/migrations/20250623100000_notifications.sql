@@ -0,0 +1,342 @@
+-- Notifications: every email goes through notification_outbox. Writers (edge functions and the
+-- triggers below) enqueue a row naming a template; the dispatch-notifications function renders
+-- and sends it through the configured provider, retrying failures with exponential backoff.
+--
+-- Schedule dispatch-notifications to run every minute (Dashboard > Integrations > Cron, or
+-- pg_cron + pg_net) with the service role key as the bearer token. Functions that enqueue
+-- something a user is waiting for (e.g. create-order) also dispatch it right away.
+
+-- ---------------------------------------------------------------------------
+-- Preferences (one row per user; no row = defaults)
+-- ---------------------------------------------------------------------------
+
+CREATE TABLE IF NOT EXISTS public.notification_preferences (
+    user_id UUID PRIMARY KEY REFERENCES auth.users(id) ON DELETE CASCADE,
+    order_notifications BOOLEAN NOT NULL DEFAULT TRUE,
+    payment_notifications BOOLEAN NOT NULL DEFAULT TRUE,
+    review_notifications BOOLEAN NOT NULL DEFAULT TRUE,
+    marketing_emails BOOLEAN NOT NULL DEFAULT FALSE,
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+ALTER TABLE public.notification_preferences ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Allow users to read their own notification preferences" ON public.notification_preferences;
+CREATE POLICY "Allow users to read their own notification preferences"
+ON public.notification_preferences
+FOR SELECT
+TO authenticated
+USING (user_id = auth.uid());
+
+DROP POLICY IF EXISTS "Allow users to create their own notification preferences" ON public.notification_preferences;
+CREATE POLICY "Allow users to create their own notification preferences"
+ON public.notification_preferences
+FOR INSERT
+TO authenticated
+WITH CHECK (user_id = auth.uid());
+
+DROP POLICY IF EXISTS "Allow users to update their own notification preferences" ON public.notification_preferences;
+CREATE POLICY "Allow users to update their own notification preferences"
+ON public.notification_preferences
+FOR UPDATE
+TO authenticated
+USING (user_id = auth.uid())
+WITH CHECK (user_id = auth.uid());
+
+-- ---------------------------------------------------------------------------
+-- Outbox
+-- ---------------------------------------------------------------------------
+
+CREATE TABLE IF NOT EXISTS public.notification_outbox (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    channel TEXT NOT NULL DEFAULT 'email' CHECK (channel IN ('email')),
+    template TEXT NOT NULL CHECK (template IN (
+      'order_placed', 'order_shipped', 'order_delivered', 'seller_approved', 'payout_sent', 'password_reset'
+    )),
+    recipient TEXT NOT NULL,                  -- email address
+    payload JSONB NOT NULL DEFAULT '{}'::jsonb, -- template variables
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sending', 'sent', 'failed', 'skipped')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    max_attempts INTEGER NOT NULL DEFAULT 5,
+    next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    last_error TEXT,
+    provider TEXT,                            -- e.g. sendgrid, smtp, console
+    provider_message_id TEXT,
+    order_id UUID REFERENCES public.orders(id) ON DELETE SET NULL,
+    dedupe_key TEXT UNIQUE,                   -- e.g. order_shipped:<orderId>; repeats are ignored
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    sent_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_notification_outbox_due ON public.notification_outbox(next_attempt_at) WHERE status IN ('pending', 'sending');
+CREATE INDEX IF NOT EXISTS idx_notification_outbox_order_id ON public.notification_outbox(order_id);
+
+ALTER TABLE public.notification_outbox ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Allow admins to read the notification outbox" ON public.notification_outbox;
+CREATE POLICY "Allow admins to read the notification outbox"
+ON public.notification_outbox
+FOR SELECT
+TO authenticated
+USING (public.is_admin());
+-- No insert/update policies: rows are written by the functions below with the service role.
+
+-- Which preference toggle silences a template. NULL = always sent (account and approval emails).
+CREATE OR REPLACE FUNCTION public.notification_preference_for(p_template text)
+RETURNS text
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  select case
+    when p_template in ('order_placed', 'order_shipped', 'order_delivered') then 'order_notifications'
+    when p_template = 'payout_sent' then 'payment_notifications'
+  end;
+$$;
+
+-- Queues a notification. Users who turned the matching preference off get a 'skipped' row, so
+-- the outbox still shows what would have been sent. Returns the outbox row id (NULL when a row
+-- with the same dedupe key already exists, or there is no recipient).
+CREATE OR REPLACE FUNCTION public.enqueue_notification(
+  p_template text,
+  p_recipient text,
+  p_payload jsonb DEFAULT '{}'::jsonb,
+  p_user_id uuid DEFAULT NULL,
+  p_order_id uuid DEFAULT NULL,
+  p_dedupe_key text DEFAULT NULL,
+  p_channel text DEFAULT 'email'
+)
+RETURNS uuid
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+declare
+  v_preference text := public.notification_preference_for(p_template);
+  v_opted_in boolean := true;
+  v_id uuid;
+begin
+  if nullif(trim(p_recipient), '') is null then
+    return null;
+  end if;
+
+  if v_preference is not null and p_user_id is not null then
+    select coalesce((to_jsonb(np) ->> v_preference)::boolean, true) into v_opted_in
+      from public.notification_preferences np
+     where np.user_id = p_user_id;
+    v_opted_in := coalesce(v_opted_in, true);
+  end if;
+
+  insert into public.notification_outbox (user_id, channel, template, recipient, payload, order_id, dedupe_key, status, last_error)
+  values (
+    p_user_id,
+    p_channel,
+    p_template,
+    trim(p_recipient),
+    coalesce(p_payload, '{}'::jsonb),
+    p_order_id,
+    p_dedupe_key,
+    case when v_opted_in then 'pending' else 'skipped' end,
+    case when v_opted_in then null else 'Recipient turned off ' || v_preference end
+  )
+  on conflict (dedupe_key) do nothing
+  returning id into v_id;
+
+  return v_id;
+end;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.enqueue_notification(text, text, jsonb, uuid, uuid, text, text) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.enqueue_notification(text, text, jsonb, uuid, uuid, text, text) TO service_role;
+
+-- Hands due notifications to a dispatcher. Rows stuck in 'sending' for 10 minutes (a dispatcher
+-- that died mid-run) are picked up again. SKIP LOCKED lets overlapping runs share the queue.
+CREATE OR REPLACE FUNCTION public.claim_notifications(p_limit integer DEFAULT 20, p_ids uuid[] DEFAULT NULL)
+RETURNS SETOF public.notification_outbox
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+begin
+  return query
+  update public.notification_outbox o
+     set status = 'sending',
+         attempts = o.attempts + 1,
+         updated_at = now()
+   where o.id in (
+     select c.id
+       from public.notification_outbox c
+      where (p_ids is null or c.id = any(p_ids))
+        and (
+          (c.status = 'pending' and c.next_attempt_at <= now())
+          or (c.status = 'sending' and c.updated_at < now() - interval '10 minutes')
+        )
+      order by c.next_attempt_at
+      limit greatest(p_limit, 1)
+      for update skip locked
+   )
+  returning o.*;
+end;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.claim_notifications(integer, uuid[]) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.claim_notifications(integer, uuid[]) TO service_role;
+
+-- Records the outcome of one send. Failures are retried after 1, 2, 4, 8... minutes (capped at
+-- an hour) until max_attempts is reached, then the row is marked 'failed'.
+CREATE OR REPLACE FUNCTION public.complete_notification(
+  p_id uuid,
+  p_success boolean,
+  p_provider text DEFAULT NULL,
+  p_provider_message_id text DEFAULT NULL,
+  p_error text DEFAULT NULL
+)
+RETURNS public.notification_outbox
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+declare
+  v_row public.notification_outbox%rowtype;
+begin
+  update public.notification_outbox o
+     set status = case
+           when p_success then 'sent'
+           when o.attempts >= o.max_attempts then 'failed'
+           else 'pending'
+         end,
+         provider = coalesce(p_provider, o.provider),
+         provider_message_id = case when p_success then p_provider_message_id else o.provider_message_id end,
+         last_error = case when p_success then null else left(p_error, 1000) end,
+         sent_at = case when p_success then now() else o.sent_at end,
+         next_attempt_at = case
+           when p_success then o.next_attempt_at
+           else now() + least(interval '1 minute' * power(2, greatest(o.attempts - 1, 0)), interval '1 hour')
+         end,
+         updated_at = now()
+   where o.id = p_id
+  returning o.* into v_row;
+
+  return v_row;
+end;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.complete_notification(uuid, boolean, text, text, text) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.complete_notification(uuid, boolean, text, text, text) TO service_role;
+
+-- ---------------------------------------------------------------------------
+-- Triggers that enqueue notifications
+-- ---------------------------------------------------------------------------
+
+-- The email an order's notifications go to: the one given at checkout, else the account's
+CREATE OR REPLACE FUNCTION public.order_notification_email(p_order public.orders)
+RETURNS text
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  select coalesce(
+    nullif(trim(p_order."shippingAddress" ->> 'email'), ''),
+    (select u.email from auth.users u where u.id = p_order."userId")
+  );
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.order_notification_email(public.orders) FROM PUBLIC, anon, authenticated;
+
+CREATE OR REPLACE FUNCTION public.enqueue_order_status_notification()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+begin
+  if new.status is not distinct from old.status or new.status not in ('shipped', 'delivered') then
+    return new;
+  end if;
+
+  perform public.enqueue_notification(
+    'order_' || new.status,
+    public.order_notification_email(new),
+    jsonb_build_object(
+      'orderId', new.id,
+      'firstName', new."shippingAddress" ->> 'firstName',
+      'carrier', new.carrier,
+      'trackingNumber', new.tracking_number
+    ),
+    new."userId",
+    new.id,
+    'order_' || new.status || ':' || new.id
+  );
+  return new;
+end;
+$$;
+
+DROP TRIGGER IF EXISTS enqueue_order_status_notification ON public.orders;
+CREATE TRIGGER enqueue_order_status_notification
+  AFTER UPDATE OF status ON public.orders
+  FOR EACH ROW
+  EXECUTE FUNCTION public.enqueue_order_status_notification();
+
+-- Seller accounts become usable when their status turns 'active'
+CREATE OR REPLACE FUNCTION public.enqueue_seller_approved_notification()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+begin
+  if new.status = 'active' and old.status is distinct from 'active' then
+    perform public.enqueue_notification(
+      'seller_approved',
+      (select u.email from auth.users u where u.id = new.user_id),
+      jsonb_build_object('storeName', to_jsonb(new) ->> 'store_name'),
+      new.user_id,
+      null,
+      'seller_approved:' || new.id
+    );
+  end if;
+  return new;
+end;
+$$;
+
+DROP TRIGGER IF EXISTS enqueue_seller_approved_notification ON public.sellers;
+CREATE TRIGGER enqueue_seller_approved_notification
+  AFTER UPDATE OF status ON public.sellers
+  FOR EACH ROW
+  EXECUTE FUNCTION public.enqueue_seller_approved_notification();
+
+-- Payouts are seller_earnings rows with entry_type 'payout'
+CREATE OR REPLACE FUNCTION public.enqueue_payout_notification()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+declare
+  v_user_id uuid;
+begin
+  if new.entry_type is distinct from 'payout' then
+    return new;
+  end if;
+
+  select s.user_id into v_user_id from public.sellers s where s.id = new.seller_id;
+
+  perform public.enqueue_notification(
+    'payout_sent',
+    (select u.email from auth.users u where u.id = v_user_id),
+    jsonb_build_object('amount', abs(new.seller_earned_amount), 'paidAt', coalesce(new.transaction_date, now())),
+    v_user_id,
+    null,
+    'payout_sent:' || new.id
+  );
+  return new;
+end;
+$$;
+
+DROP TRIGGER IF EXISTS enqueue_payout_notification ON public.seller_earnings;
+CREATE TRIGGER enqueue_payout_notification
+  AFTER INSERT ON public.seller_earnings
+  FOR EACH ROW
+  EXECUTE FUNCTION public.enqueue_payout_notification();
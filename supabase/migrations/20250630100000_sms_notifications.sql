@@ -0,0 +1,185 @@
+-- SMS as a second notification channel. Order confirmation, out-for-delivery (the order is
+-- marked shipped) and delivered messages go to the checkout phone number, which create-order
+-- stores normalised to +2519XXXXXXXX / +2517XXXXXXXX. Every send attempt is logged in
+-- notification_attempts so admins can see per order what reached the customer.
+
+ALTER TABLE public.notification_outbox DROP CONSTRAINT IF EXISTS notification_outbox_channel_check;
+ALTER TABLE public.notification_outbox ADD CONSTRAINT notification_outbox_channel_check
+  CHECK (channel IN ('email', 'sms'));
+
+COMMENT ON COLUMN public.notification_outbox.recipient IS 'Email address, or an E.164 phone number for sms';
+
+ALTER TABLE public.notification_preferences ADD COLUMN IF NOT EXISTS sms_notifications BOOLEAN NOT NULL DEFAULT TRUE;
+
+-- ---------------------------------------------------------------------------
+-- Delivery log
+-- ---------------------------------------------------------------------------
+
+CREATE TABLE IF NOT EXISTS public.notification_attempts (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    notification_id UUID NOT NULL REFERENCES public.notification_outbox(id) ON DELETE CASCADE,
+    attempt INTEGER NOT NULL,
+    success BOOLEAN NOT NULL,
+    provider TEXT,
+    provider_message_id TEXT,
+    error TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_notification_attempts_notification_id ON public.notification_attempts(notification_id, created_at);
+
+ALTER TABLE public.notification_attempts ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Allow admins to read notification attempts" ON public.notification_attempts;
+CREATE POLICY "Allow admins to read notification attempts"
+ON public.notification_attempts
+FOR SELECT
+TO authenticated
+USING (public.is_admin());
+
+-- ---------------------------------------------------------------------------
+-- Functions (same signatures as before)
+-- ---------------------------------------------------------------------------
+
+-- As before, plus: SMS is skipped for users who turned sms_notifications off
+CREATE OR REPLACE FUNCTION public.enqueue_notification(
+  p_template text,
+  p_recipient text,
+  p_payload jsonb DEFAULT '{}'::jsonb,
+  p_user_id uuid DEFAULT NULL,
+  p_order_id uuid DEFAULT NULL,
+  p_dedupe_key text DEFAULT NULL,
+  p_channel text DEFAULT 'email'
+)
+RETURNS uuid
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+declare
+  v_preference text := public.notification_preference_for(p_template);
+  v_prefs jsonb;
+  v_skip_reason text;
+  v_id uuid;
+begin
+  if nullif(trim(p_recipient), '') is null then
+    return null;
+  end if;
+
+  if p_user_id is not null then
+    select to_jsonb(np) into v_prefs from public.notification_preferences np where np.user_id = p_user_id;
+    if p_channel = 'sms' and (v_prefs ->> 'sms_notifications')::boolean is false then
+      v_skip_reason := 'Recipient turned off sms_notifications';
+    elsif v_preference is not null and (v_prefs ->> v_preference)::boolean is false then
+      v_skip_reason := 'Recipient turned off ' || v_preference;
+    end if;
+  end if;
+
+  insert into public.notification_outbox (user_id, channel, template, recipient, payload, order_id, dedupe_key, status, last_error)
+  values (
+    p_user_id,
+    p_channel,
+    p_template,
+    trim(p_recipient),
+    coalesce(p_payload, '{}'::jsonb),
+    p_order_id,
+    p_dedupe_key,
+    case when v_skip_reason is null then 'pending' else 'skipped' end,
+    v_skip_reason
+  )
+  on conflict (dedupe_key) do nothing
+  returning id into v_id;
+
+  return v_id;
+end;
+$$;
+
+-- As before, plus a notification_attempts row for every outcome
+CREATE OR REPLACE FUNCTION public.complete_notification(
+  p_id uuid,
+  p_success boolean,
+  p_provider text DEFAULT NULL,
+  p_provider_message_id text DEFAULT NULL,
+  p_error text DEFAULT NULL
+)
+RETURNS public.notification_outbox
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+declare
+  v_row public.notification_outbox%rowtype;
+begin
+  update public.notification_outbox o
+     set status = case
+           when p_success then 'sent'
+           when o.attempts >= o.max_attempts then 'failed'
+           else 'pending'
+         end,
+         provider = coalesce(p_provider, o.provider),
+         provider_message_id = case when p_success then p_provider_message_id else o.provider_message_id end,
+         last_error = case when p_success then null else left(p_error, 1000) end,
+         sent_at = case when p_success then now() else o.sent_at end,
+         next_attempt_at = case
+           when p_success then o.next_attempt_at
+           else now() + least(interval '1 minute' * power(2, greatest(o.attempts - 1, 0)), interval '1 hour')
+         end,
+         updated_at = now()
+   where o.id = p_id
+  returning o.* into v_row;
+
+  if found then
+    insert into public.notification_attempts (notification_id, attempt, success, provider, provider_message_id, error)
+    values (p_id, v_row.attempts, p_success, p_provider, p_provider_message_id, left(p_error, 1000));
+  end if;
+
+  return v_row;
+end;
+$$;
+
+-- As before, plus an SMS to the checkout phone when it is an Ethiopian mobile number.
+-- 'shipped' is worded as out-for-delivery in the SMS, since orders go out with a local courier.
+CREATE OR REPLACE FUNCTION public.enqueue_order_status_notification()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+declare
+  v_payload jsonb;
+  v_phone text := new."shippingAddress" ->> 'phone';
+begin
+  if new.status is not distinct from old.status or new.status not in ('shipped', 'delivered') then
+    return new;
+  end if;
+
+  v_payload := jsonb_build_object(
+    'orderId', new.id,
+    'firstName', new."shippingAddress" ->> 'firstName',
+    'carrier', new.carrier,
+    'trackingNumber', new.tracking_number
+  );
+
+  perform public.enqueue_notification(
+    'order_' || new.status,
+    public.order_notification_email(new),
+    v_payload,
+    new."userId",
+    new.id,
+    'order_' || new.status || ':' || new.id
+  );
+
+  if v_phone ~ '^\+251[79][0-9]{8}$' then
+    perform public.enqueue_notification(
+      'order_' || new.status,
+      v_phone,
+      v_payload,
+      new."userId",
+      new.id,
+      'order_' || new.status || ':sms:' || new.id,
+      'sms'
+    );
+  end if;
+  return new;
+end;
+$$;
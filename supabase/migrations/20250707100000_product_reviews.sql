@@ -0,0 +1,379 @@
+-- Product reviews from verified buyers.
+--
+-- * One review per purchased order line, and only once the order has been delivered.
+-- * New reviews wait in the admin moderation queue; only approved ones are public and count
+--   towards products.rating / products.review_count, which a trigger keeps up to date.
+-- * Signed-in shoppers can mark reviews helpful; the seller of the product (or an admin) can
+--   post one public reply per review.
+
+ALTER TABLE public.products ADD COLUMN IF NOT EXISTS rating NUMERIC(3,2) NOT NULL DEFAULT 0;
+ALTER TABLE public.products ADD COLUMN IF NOT EXISTS review_count INTEGER NOT NULL DEFAULT 0;
+
+-- ---------------------------------------------------------------------------
+-- Tables
+-- ---------------------------------------------------------------------------
+
+CREATE TABLE IF NOT EXISTS public.product_reviews (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    product_id UUID NOT NULL REFERENCES public.products(id) ON DELETE CASCADE,
+    order_item_id UUID NOT NULL UNIQUE REFERENCES public.order_items(id) ON DELETE CASCADE,
+    user_id UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    reviewer_name TEXT,                          -- shown publicly, e.g. "Hanna T."
+    rating SMALLINT NOT NULL CHECK (rating BETWEEN 1 AND 5),
+    title TEXT,
+    body TEXT,
+    photo_paths TEXT[] NOT NULL DEFAULT '{}',    -- object paths in the review-photos bucket
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected')),
+    moderation_note TEXT,
+    moderated_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    moderated_at TIMESTAMPTZ,
+    helpful_count INTEGER NOT NULL DEFAULT 0,
+    seller_reply TEXT,
+    seller_replied_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    seller_replied_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_product_reviews_product ON public.product_reviews(product_id, status, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_product_reviews_status ON public.product_reviews(status, created_at);
+CREATE INDEX IF NOT EXISTS idx_product_reviews_user ON public.product_reviews(user_id);
+
+CREATE TABLE IF NOT EXISTS public.review_helpful_votes (
+    review_id UUID NOT NULL REFERENCES public.product_reviews(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    PRIMARY KEY (review_id, user_id)
+);
+
+ALTER TABLE public.product_reviews ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.review_helpful_votes ENABLE ROW LEVEL SECURITY;
+
+-- Whether the calling user sells the product (used for replies and the seller's review list)
+CREATE OR REPLACE FUNCTION public.sells_product(p_product_id uuid)
+RETURNS boolean
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  select public.current_seller_id() is not null
+     and exists (select 1 from public.products where id = p_product_id and seller_id = public.current_seller_id());
+$$;
+
+DROP POLICY IF EXISTS "Allow anyone to read approved reviews" ON public.product_reviews;
+CREATE POLICY "Allow anyone to read approved reviews"
+ON public.product_reviews
+FOR SELECT
+TO anon, authenticated
+USING (status = 'approved');
+
+DROP POLICY IF EXISTS "Allow owners, sellers and admins to read reviews" ON public.product_reviews;
+CREATE POLICY "Allow owners, sellers and admins to read reviews"
+ON public.product_reviews
+FOR SELECT
+TO authenticated
+USING (user_id = auth.uid() OR public.is_admin() OR public.sells_product(product_id));
+-- No insert/update policies: reviews are written through the functions below.
+
+DROP POLICY IF EXISTS "Allow users to read their own helpful votes" ON public.review_helpful_votes;
+CREATE POLICY "Allow users to read their own helpful votes"
+ON public.review_helpful_votes
+FOR SELECT
+TO authenticated
+USING (user_id = auth.uid());
+
+-- ---------------------------------------------------------------------------
+-- Aggregates
+-- ---------------------------------------------------------------------------
+
+CREATE OR REPLACE FUNCTION public.refresh_product_rating(p_product_id uuid)
+RETURNS void
+LANGUAGE sql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  update public.products p
+     set rating = s.average,
+         review_count = s.total
+    from (
+      select coalesce(round(avg(rating)::numeric, 2), 0) as average, count(*)::integer as total
+        from public.product_reviews
+       where product_id = p_product_id and status = 'approved'
+    ) s
+   where p.id = p_product_id;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.refresh_product_rating(uuid) FROM PUBLIC, anon, authenticated;
+
+CREATE OR REPLACE FUNCTION public.product_reviews_refresh_rating()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+begin
+  if tg_op = 'DELETE' then
+    perform public.refresh_product_rating(old.product_id);
+    return old;
+  end if;
+  if tg_op = 'INSERT'
+     or new.status is distinct from old.status
+     or new.rating is distinct from old.rating then
+    perform public.refresh_product_rating(new.product_id);
+  end if;
+  return new;
+end;
+$$;
+
+DROP TRIGGER IF EXISTS product_reviews_refresh_rating ON public.product_reviews;
+CREATE TRIGGER product_reviews_refresh_rating
+  AFTER INSERT OR UPDATE OR DELETE ON public.product_reviews
+  FOR EACH ROW
+  EXECUTE FUNCTION public.product_reviews_refresh_rating();
+
+-- Ratings typed in by hand before reviews existed are replaced by the real aggregate
+UPDATE public.products SET rating = 0, review_count = 0
+ WHERE NOT EXISTS (SELECT 1 FROM public.product_reviews r WHERE r.product_id = products.id);
+
+-- ---------------------------------------------------------------------------
+-- Review photos (public once uploaded; paths start with the uploader's user id)
+-- ---------------------------------------------------------------------------
+
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('review-photos', 'review-photos', true)
+ON CONFLICT (id) DO NOTHING;
+
+DROP POLICY IF EXISTS "Allow users to upload their own review photos" ON storage.objects;
+CREATE POLICY "Allow users to upload their own review photos"
+ON storage.objects
+FOR INSERT
+TO authenticated
+WITH CHECK ( bucket_id = 'review-photos' AND (storage.foldername(name))[1] = auth.uid()::text );
+
+-- ---------------------------------------------------------------------------
+-- Writing reviews
+-- ---------------------------------------------------------------------------
+
+-- Reviews one line of one of the caller's orders. The order must have been delivered (it may
+-- since have been returned or refunded); each line can be reviewed once.
+CREATE OR REPLACE FUNCTION public.submit_product_review(
+  p_order_item_id uuid,
+  p_rating integer,
+  p_title text DEFAULT NULL,
+  p_body text DEFAULT NULL,
+  p_photo_paths text[] DEFAULT '{}'
+)
+RETURNS public.product_reviews
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+declare
+  v_line record;
+  v_review public.product_reviews%rowtype;
+begin
+  select oi.id, oi."productId" as product_id, o.id as order_id, o."shippingAddress" as address
+    into v_line
+    from public.order_items oi
+    join public.orders o on o.id = oi."orderId"
+   where oi.id = p_order_item_id and o."userId" = auth.uid();
+  if not found then
+    raise exception 'Order item % not found', p_order_item_id using errcode = 'no_data_found';
+  end if;
+
+  if not exists (
+    select 1 from public.order_status_history
+     where order_id = v_line.order_id and to_status = 'delivered'
+  ) then
+    raise exception 'You can review this item once it has been delivered' using errcode = 'check_violation';
+  end if;
+  if p_rating is null or p_rating not between 1 and 5 then
+    raise exception 'Rating must be between 1 and 5' using errcode = 'check_violation';
+  end if;
+  if exists (
+    select 1 from unnest(coalesce(p_photo_paths, '{}')) as path
+     where split_part(path, '/', 1) <> auth.uid()::text
+  ) then
+    raise exception 'Photos must be uploaded by the reviewer' using errcode = 'check_violation';
+  end if;
+
+  begin
+    insert into public.product_reviews (product_id, order_item_id, user_id, reviewer_name, rating, title, body, photo_paths)
+    values (
+      v_line.product_id,
+      v_line.id,
+      auth.uid(),
+      nullif(trim(
+        coalesce(v_line.address->>'firstName', '') || ' ' ||
+        coalesce(left(nullif(trim(v_line.address->>'lastName'), ''), 1) || '.', '')
+      ), ''),
+      p_rating,
+      nullif(trim(p_title), ''),
+      nullif(trim(p_body), ''),
+      coalesce(p_photo_paths, '{}')
+    )
+    returning * into v_review;
+  exception when unique_violation then
+    raise exception 'You have already reviewed this item' using errcode = 'check_violation';
+  end;
+
+  return v_review;
+end;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.submit_product_review(uuid, integer, text, text, text[]) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.submit_product_review(uuid, integer, text, text, text[]) TO authenticated;
+
+-- Marks (or unmarks) a review as helpful for the caller. Returns the new helpful_count.
+CREATE OR REPLACE FUNCTION public.toggle_review_helpful(p_review_id uuid)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+declare
+  v_review public.product_reviews%rowtype;
+  v_voted boolean;
+begin
+  select * into v_review from public.product_reviews where id = p_review_id and status = 'approved' for update;
+  if not found then
+    raise exception 'Review % not found', p_review_id using errcode = 'no_data_found';
+  end if;
+  if v_review.user_id = auth.uid() then
+    raise exception 'You cannot vote on your own review' using errcode = 'check_violation';
+  end if;
+
+  delete from public.review_helpful_votes where review_id = p_review_id and user_id = auth.uid();
+  v_voted := not found;
+  if v_voted then
+    insert into public.review_helpful_votes (review_id, user_id) values (p_review_id, auth.uid());
+  end if;
+
+  update public.product_reviews
+     set helpful_count = (select count(*) from public.review_helpful_votes where review_id = p_review_id)
+   where id = p_review_id
+  returning * into v_review;
+
+  return jsonb_build_object('reviewId', p_review_id, 'voted', v_voted, 'helpfulCount', v_review.helpful_count);
+end;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.toggle_review_helpful(uuid) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.toggle_review_helpful(uuid) TO authenticated;
+
+-- The product's seller (or an admin) answers a review publicly. An empty reply removes it.
+CREATE OR REPLACE FUNCTION public.reply_to_product_review(p_review_id uuid, p_reply text)
+RETURNS public.product_reviews
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+declare
+  v_review public.product_reviews%rowtype;
+begin
+  select * into v_review from public.product_reviews where id = p_review_id for update;
+  if not found then
+    raise exception 'Review % not found', p_review_id using errcode = 'no_data_found';
+  end if;
+  if not (public.is_admin() or public.sells_product(v_review.product_id)) then
+    raise exception 'Only the seller of this product can reply' using errcode = 'insufficient_privilege';
+  end if;
+
+  update public.product_reviews
+     set seller_reply = nullif(trim(p_reply), ''),
+         seller_replied_by = case when nullif(trim(p_reply), '') is null then null else auth.uid() end,
+         seller_replied_at = case when nullif(trim(p_reply), '') is null then null else now() end,
+         updated_at = now()
+   where id = p_review_id
+  returning * into v_review;
+
+  return v_review;
+end;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.reply_to_product_review(uuid, text) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.reply_to_product_review(uuid, text) TO authenticated;
+
+-- ---------------------------------------------------------------------------
+-- Moderation
+-- ---------------------------------------------------------------------------
+
+ALTER TABLE public.notification_outbox DROP CONSTRAINT IF EXISTS notification_outbox_template_check;
+ALTER TABLE public.notification_outbox ADD CONSTRAINT notification_outbox_template_check CHECK (template IN (
+  'order_placed', 'order_shipped', 'order_delivered', 'seller_approved', 'payout_sent', 'password_reset',
+  'review_received'
+));
+
+CREATE OR REPLACE FUNCTION public.notification_preference_for(p_template text)
+RETURNS text
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  select case
+    when p_template in ('order_placed', 'order_shipped', 'order_delivered') then 'order_notifications'
+    when p_template = 'payout_sent' then 'payment_notifications'
+    when p_template = 'review_received' then 'review_notifications'
+  end;
+$$;
+
+-- Admin approves or rejects a review. Approval tells the product's seller about it.
+CREATE OR REPLACE FUNCTION public.moderate_product_review(p_review_id uuid, p_decision text, p_note text DEFAULT NULL)
+RETURNS public.product_reviews
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+declare
+  v_review public.product_reviews%rowtype;
+  v_seller_user uuid;
+  v_product_name text;
+begin
+  if not public.is_admin() then
+    raise exception 'Only admins can moderate reviews' using errcode = 'insufficient_privilege';
+  end if;
+  if p_decision not in ('approved', 'rejected') then
+    raise exception 'Decision must be approved or rejected' using errcode = 'check_violation';
+  end if;
+
+  update public.product_reviews
+     set status = p_decision,
+         moderation_note = nullif(trim(p_note), ''),
+         moderated_by = auth.uid(),
+         moderated_at = now(),
+         updated_at = now()
+   where id = p_review_id
+  returning * into v_review;
+  if not found then
+    raise exception 'Review % not found', p_review_id using errcode = 'no_data_found';
+  end if;
+
+  if p_decision = 'approved' then
+    select s.user_id, p.name into v_seller_user, v_product_name
+      from public.products p
+      join public.sellers s on s.id = p.seller_id
+     where p.id = v_review.product_id;
+    if v_seller_user is not null then
+      perform public.enqueue_notification(
+        'review_received',
+        (select u.email from auth.users u where u.id = v_seller_user),
+        jsonb_build_object(
+          'productId', v_review.product_id,
+          'productName', v_product_name,
+          'rating', v_review.rating,
+          'title', v_review.title,
+          'body', v_review.body
+        ),
+        v_seller_user,
+        null,
+        'review_received:' || v_review.id
+      );
+    end if;
+  end if;
+
+  return v_review;
+end;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.moderate_product_review(uuid, text, text) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.moderate_product_review(uuid, text, text) TO authenticated;
@@ -0,0 +1,338 @@
+-- Product variants: size x color combinations with their own SKU, barcode, stock and optionally
+-- price and images.
+--
+-- * A product with variants sells only through them: products.stock_quantity becomes the sum of
+--   its active variants' stock and products.has_variants is set (both kept in sync by a trigger),
+--   so listings keep working unchanged.
+-- * Cart lines and order items carry the variant; order items also keep a SKU/label snapshot so
+--   orders still read correctly after a variant is edited or deleted.
+-- * create_order_with_stock reserves variant stock, and cancellation puts it back.
+
+-- ---------------------------------------------------------------------------
+-- Variants
+-- ---------------------------------------------------------------------------
+
+CREATE TABLE IF NOT EXISTS public.product_variants (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    product_id UUID NOT NULL REFERENCES public.products(id) ON DELETE CASCADE,
+    size TEXT,
+    color TEXT,
+    sku TEXT UNIQUE,
+    barcode TEXT,
+    price NUMERIC(10,2) CHECK (price IS NULL OR price >= 0),   -- overrides products.price when set
+    stock_quantity INTEGER NOT NULL DEFAULT 0 CHECK (stock_quantity >= 0),
+    images TEXT[] NOT NULL DEFAULT '{}',                       -- productimages paths shown when picked
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    position INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_product_variants_product ON public.product_variants(product_id, position);
+-- One row per size/color combination of a product
+CREATE UNIQUE INDEX IF NOT EXISTS product_variants_options_key
+  ON public.product_variants(product_id, coalesce(size, ''), coalesce(color, ''));
+
+ALTER TABLE public.product_variants ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Allow anyone to read active variants" ON public.product_variants;
+CREATE POLICY "Allow anyone to read active variants"
+ON public.product_variants
+FOR SELECT
+TO anon, authenticated
+USING ( is_active OR public.is_admin() );
+
+-- The admin app edits variants directly; the web admin goes through the admin product functions
+DROP POLICY IF EXISTS "Allow admins to manage variants" ON public.product_variants;
+CREATE POLICY "Allow admins to manage variants"
+ON public.product_variants
+FOR ALL
+TO authenticated
+USING ( public.is_admin() )
+WITH CHECK ( public.is_admin() );
+
+-- "M / Black", or null for a variant without options
+CREATE OR REPLACE FUNCTION public.product_variant_label(p_variant public.product_variants)
+RETURNS text
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  select nullif(concat_ws(' / ', nullif(trim(p_variant.size), ''), nullif(trim(p_variant.color), '')), '');
+$$;
+
+-- Listings (which select products.*) use has_variants to send shoppers to the product page
+-- instead of adding straight to the cart
+ALTER TABLE public.products ADD COLUMN IF NOT EXISTS has_variants BOOLEAN NOT NULL DEFAULT false;
+
+-- products.stock_quantity of a product with variants is the stock of its active variants
+CREATE OR REPLACE FUNCTION public.sync_product_stock_from_variants()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+declare
+  v_product_id uuid := case when tg_op = 'DELETE' then old.product_id else new.product_id end;
+begin
+  update public.products p
+     set has_variants = exists (
+           select 1 from public.product_variants v where v.product_id = v_product_id and v.is_active
+         ),
+         stock_quantity = case
+           when exists (select 1 from public.product_variants v where v.product_id = v_product_id)
+             then (select coalesce(sum(v.stock_quantity), 0) from public.product_variants v
+                    where v.product_id = v_product_id and v.is_active)
+           else p.stock_quantity
+         end
+   where p.id = v_product_id;
+  return null;
+end;
+$$;
+
+DROP TRIGGER IF EXISTS on_product_variant_change_sync_stock ON public.product_variants;
+CREATE TRIGGER on_product_variant_change_sync_stock
+  AFTER INSERT OR UPDATE OF stock_quantity, is_active OR DELETE ON public.product_variants
+  FOR EACH ROW
+  EXECUTE FUNCTION public.sync_product_stock_from_variants();
+
+-- ---------------------------------------------------------------------------
+-- Cart lines and order items
+-- ---------------------------------------------------------------------------
+
+ALTER TABLE public.cart_items
+  ADD COLUMN IF NOT EXISTS variant_id UUID REFERENCES public.product_variants(id) ON DELETE CASCADE;
+
+-- The same product may now sit in the cart once per variant. Drop the old ("cartId", "productId")
+-- uniqueness, whatever it was called, and replace it with one that includes the variant.
+DO $$
+declare
+  r record;
+begin
+  for r in
+    select con.conname
+      from pg_constraint con
+     where con.conrelid = 'public.cart_items'::regclass
+       and con.contype = 'u'
+       and (select array_agg(att.attname::text order by att.attname::text)
+              from unnest(con.conkey) as k(attnum)
+              join pg_attribute att on att.attrelid = con.conrelid and att.attnum = k.attnum)
+           = array['cartId', 'productId']
+  loop
+    execute format('ALTER TABLE public.cart_items DROP CONSTRAINT %I', r.conname);
+  end loop;
+
+  for r in
+    select idx.relname
+      from pg_index i
+      join pg_class idx on idx.oid = i.indexrelid
+     where i.indrelid = 'public.cart_items'::regclass
+       and i.indisunique and not i.indisprimary
+       and (select array_agg(att.attname::text order by att.attname::text)
+              from unnest(i.indkey) as k(attnum)
+              join pg_attribute att on att.attrelid = i.indrelid and att.attnum = k.attnum)
+           = array['cartId', 'productId']
+  loop
+    execute format('DROP INDEX public.%I', r.relname);
+  end loop;
+end;
+$$;
+
+CREATE UNIQUE INDEX IF NOT EXISTS cart_items_cart_product_variant_key
+  ON public.cart_items("cartId", "productId", variant_id) NULLS NOT DISTINCT;
+
+ALTER TABLE public.order_items
+  ADD COLUMN IF NOT EXISTS variant_id UUID REFERENCES public.product_variants(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS variant_sku TEXT,     -- snapshot at order time
+  ADD COLUMN IF NOT EXISTS variant_label TEXT;   -- e.g. "M / Black", snapshot at order time
+
+-- ---------------------------------------------------------------------------
+-- Ordering
+-- ---------------------------------------------------------------------------
+
+-- Same contract as before; each item may now carry a variantId, whose stock is checked and
+-- reserved instead of the product's. Product rows are locked first (in id order) for every line,
+-- so variant stock changes, and the product total the trigger derives from them, never deadlock.
+CREATE OR REPLACE FUNCTION public.create_order_with_stock(
+  p_shipping_address jsonb,
+  p_subtotal_amount numeric,
+  p_total_amount numeric,
+  p_items jsonb,
+  p_discount jsonb DEFAULT NULL
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER -- Needs to update products/product_variants stock, which only admins may write under RLS
+SET search_path = public
+AS $$
+declare
+  v_user_id uuid := auth.uid();
+  v_item record;
+  v_insufficient jsonb := '[]'::jsonb;
+  v_order public.orders%rowtype;
+  v_coupon public.coupons%rowtype;
+  v_discount_amount numeric := coalesce((p_discount ->> 'amount')::numeric, 0);
+begin
+  if v_user_id is null then
+    raise exception 'create_order_with_stock requires an authenticated user';
+  end if;
+
+  if p_discount is not null then
+    select * into v_coupon from public.coupons where id = (p_discount ->> 'couponId')::uuid for update;
+    if not found or not v_coupon.is_active then
+      return jsonb_build_object('success', false, 'code', 'COUPON_INVALID', 'error', 'This promo code is no longer valid');
+    end if;
+    if v_coupon.usage_limit is not null
+       and (select count(*) from public.order_discounts where coupon_id = v_coupon.id) >= v_coupon.usage_limit then
+      return jsonb_build_object('success', false, 'code', 'COUPON_INVALID', 'error', 'This promo code has reached its usage limit');
+    end if;
+    if v_coupon.per_user_limit is not null
+       and (select count(*) from public.order_discounts where coupon_id = v_coupon.id and user_id = v_user_id) >= v_coupon.per_user_limit then
+      return jsonb_build_object('success', false, 'code', 'COUPON_INVALID', 'error', 'You have already used this promo code');
+    end if;
+  end if;
+
+  perform 1 from public.products
+   where id in (select ("value" ->> 'productId')::uuid from jsonb_array_elements(p_items))
+   order by id
+   for update;
+
+  if exists (
+    select 1 from jsonb_array_elements(p_items) item
+    where item ->> 'variantId' is not null
+      and not exists (
+        select 1 from public.product_variants v
+        where v.id = (item ->> 'variantId')::uuid and v.product_id = (item ->> 'productId')::uuid
+      )
+  ) then
+    raise exception 'Variant does not belong to the ordered product' using errcode = 'check_violation';
+  end if;
+
+  -- Variant lines: check the variant's own stock
+  for v_item in
+    select v.id, v.product_id, p.name, public.product_variant_label(v) as label,
+           v.stock_quantity as available, req.quantity as requested
+    from (
+      select ("value" ->> 'variantId')::uuid as variant_id, sum(("value" ->> 'quantity')::int) as quantity
+      from jsonb_array_elements(p_items)
+      where "value" ->> 'variantId' is not null
+      group by 1
+    ) req
+    join public.product_variants v on v.id = req.variant_id
+    join public.products p on p.id = v.product_id
+    order by v.id
+    for update of v
+  loop
+    if v_item.available < v_item.requested then
+      v_insufficient := v_insufficient || jsonb_build_object(
+        'productId', v_item.product_id,
+        'variantId', v_item.id,
+        'name', v_item.name || coalesce(' (' || v_item.label || ')', ''),
+        'requested', v_item.requested,
+        'available', v_item.available
+      );
+    end if;
+  end loop;
+
+  -- Plain lines: check the product's stock
+  for v_item in
+    select p.id, p.name, coalesce(p.stock_quantity, 0) as available, req.quantity as requested
+    from (
+      select ("value" ->> 'productId')::uuid as product_id, sum(("value" ->> 'quantity')::int) as quantity
+      from jsonb_array_elements(p_items)
+      where "value" ->> 'variantId' is null
+      group by 1
+    ) req
+    join public.products p on p.id = req.product_id
+    order by p.id
+  loop
+    if v_item.available < v_item.requested then
+      v_insufficient := v_insufficient || jsonb_build_object(
+        'productId', v_item.id,
+        'name', v_item.name,
+        'requested', v_item.requested,
+        'available', v_item.available
+      );
+    end if;
+  end loop;
+
+  if jsonb_array_length(v_insufficient) > 0 then
+    return jsonb_build_object('success', false, 'code', 'INSUFFICIENT_STOCK', 'insufficientItems', v_insufficient);
+  end if;
+
+  update public.product_variants v
+  set stock_quantity = v.stock_quantity - req.quantity,
+      updated_at = now()
+  from (
+    select ("value" ->> 'variantId')::uuid as variant_id, sum(("value" ->> 'quantity')::int) as quantity
+    from jsonb_array_elements(p_items)
+    where "value" ->> 'variantId' is not null
+    group by 1
+  ) req
+  where v.id = req.variant_id;
+
+  update public.products p
+  set stock_quantity = p.stock_quantity - req.quantity
+  from (
+    select ("value" ->> 'productId')::uuid as product_id, sum(("value" ->> 'quantity')::int) as quantity
+    from jsonb_array_elements(p_items)
+    where "value" ->> 'variantId' is null
+    group by 1
+  ) req
+  where p.id = req.product_id;
+
+  insert into public.orders ("userId", "shippingAddress", "totalAmount", subtotal_amount, discount_amount, coupon_code, status)
+  values (v_user_id, p_shipping_address, p_total_amount, p_subtotal_amount, v_discount_amount, p_discount ->> 'code', 'pending')
+  returning * into v_order;
+
+  insert into public.order_items ("orderId", "productId", quantity, price, variant_id, variant_sku, variant_label)
+  select v_order.id, (item ->> 'productId')::uuid, (item ->> 'quantity')::int, (item ->> 'price')::numeric,
+         v.id, v.sku, public.product_variant_label(v)
+  from jsonb_array_elements(p_items) as item
+  left join public.product_variants v on v.id = (item ->> 'variantId')::uuid;
+
+  if p_discount is not null then
+    insert into public.order_discounts (order_id, coupon_id, user_id, code, description, amount)
+    values (v_order.id, v_coupon.id, v_user_id, v_coupon.code, p_discount ->> 'description', v_discount_amount);
+  end if;
+
+  return jsonb_build_object('success', true, 'order', to_jsonb(v_order));
+end;
+$$;
+
+REVOKE ALL ON FUNCTION public.create_order_with_stock(jsonb, numeric, numeric, jsonb, jsonb) FROM public, anon;
+GRANT EXECUTE ON FUNCTION public.create_order_with_stock(jsonb, numeric, numeric, jsonb, jsonb) TO authenticated;
+
+-- Cancelled orders give stock back to the variant they took it from (the product total follows
+-- through the sync trigger); plain lines go back to the product as before.
+CREATE OR REPLACE FUNCTION public.restore_stock_on_order_cancel()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+begin
+  update public.product_variants v
+  set stock_quantity = v.stock_quantity + oi.quantity,
+      updated_at = now()
+  from (
+    select variant_id, sum(quantity) as quantity
+    from public.order_items
+    where "orderId" = new.id and variant_id is not null
+    group by variant_id
+  ) oi
+  where v.id = oi.variant_id;
+
+  update public.products p
+  set stock_quantity = p.stock_quantity + oi.quantity
+  from (
+    select "productId", sum(quantity) as quantity
+    from public.order_items
+    where "orderId" = new.id and variant_id is null
+    group by "productId"
+  ) oi
+  where p.id = oi."productId"
+    and not exists (select 1 from public.product_variants v where v.product_id = p.id);
+
+  return new;
+end;
+$$;
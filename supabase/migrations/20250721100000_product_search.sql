@@ -0,0 +1,206 @@
+-- Product search: full-text over name, description, category and seller store name, with
+-- trigram typo tolerance.
+--
+-- * Text goes through search_normalize() first: lower case, Ethiopic punctuation (። ፣ ፤ ...) turned
+--   into spaces so Amharic words split, and the homophone fidel series (ሐ/ኀ -> ሀ, ሠ -> ሰ, ዐ -> አ,
+--   ፀ -> ጸ) folded so either spelling matches.
+-- * The 'simple' text search config is used on purpose: there is no Amharic stemmer, and English
+--   stemming would mangle Amharic and transliterated names alike.
+-- * Documents live in product_search_documents rather than on products, so `select *` on products
+--   does not ship a tsvector; triggers on products, categories and sellers keep them current.
+-- * search_products() returns active products ranked by relevance; get-public-products and
+--   search-suggestions call it and can keep filtering/embedding on top of it.
+
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+-- ---------------------------------------------------------------------------
+-- Normalisation
+-- ---------------------------------------------------------------------------
+
+CREATE OR REPLACE FUNCTION public.search_normalize(p_text text)
+RETURNS text
+LANGUAGE sql
+IMMUTABLE
+PARALLEL SAFE
+AS $$
+  select btrim(regexp_replace(
+    translate(
+      lower(coalesce(p_text, '')),
+      -- Ethiopic wordspace/punctuation, then the homophone series (7 orders each)
+      '፡።፣፤፥፦፧፨' || 'ሐሑሒሓሔሕሖ' || 'ኀኁኂኃኄኅኆ' || 'ሠሡሢሣሤሥሦ' || 'ዐዑዒዓዔዕዖ' || 'ፀፁፂፃፄፅፆ',
+      '        '  || 'ሀሁሂሃሄህሆ' || 'ሀሁሂሃሄህሆ' || 'ሰሱሲሳሴስሶ' || 'አኡኢኣኤእኦ' || 'ጸጹጺጻጼጽጾ'
+    ),
+    '\s+', ' ', 'g'
+  ));
+$$;
+
+-- Turns free text into a prefix tsquery ("red dres" -> 'red':* & 'dres':*), or null when nothing
+-- searchable is left. tsquery operators are stripped so user input can never break the parse.
+CREATE OR REPLACE FUNCTION public.search_tsquery(p_query text)
+RETURNS tsquery
+LANGUAGE sql
+IMMUTABLE
+PARALLEL SAFE
+AS $$
+  select to_tsquery('simple', string_agg(quote_literal(word) || ':*', ' & '))
+  from regexp_split_to_table(
+    btrim(regexp_replace(public.search_normalize(p_query), '[&|!():*<>''"\\]+', ' ', 'g')),
+    '\s+'
+  ) as word
+  where word <> '';
+$$;
+
+-- ---------------------------------------------------------------------------
+-- Search document
+-- ---------------------------------------------------------------------------
+
+-- Only read through search_products(), so RLS is on with no policies
+CREATE TABLE IF NOT EXISTS public.product_search_documents (
+    product_id UUID PRIMARY KEY REFERENCES public.products(id) ON DELETE CASCADE,
+    document tsvector NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_product_search_documents_document
+  ON public.product_search_documents USING GIN (document);
+
+ALTER TABLE public.product_search_documents ENABLE ROW LEVEL SECURITY;
+
+-- Name weighs most, then category and store, then the description
+CREATE OR REPLACE FUNCTION public.build_product_search_vector(
+  p_name text,
+  p_description text,
+  p_category_id uuid,
+  p_seller_id uuid
+)
+RETURNS tsvector
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  select
+    setweight(to_tsvector('simple', public.search_normalize(p_name)), 'A') ||
+    setweight(to_tsvector('simple', public.search_normalize(
+      (select c.name from public.categories c where c.id = p_category_id)
+    )), 'B') ||
+    setweight(to_tsvector('simple', public.search_normalize(
+      (select s.store_name from public.sellers s where s.id = p_seller_id)
+    )), 'B') ||
+    setweight(to_tsvector('simple', public.search_normalize(p_description)), 'C');
+$$;
+
+-- Rebuilds the documents of the given products (all of them when p_product_ids is null)
+CREATE OR REPLACE FUNCTION public.refresh_product_search_documents(p_product_ids uuid[])
+RETURNS void
+LANGUAGE sql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  insert into public.product_search_documents (product_id, document)
+  select p.id, public.build_product_search_vector(p.name, p.description, p.category_id, p.seller_id)
+  from public.products p
+  where p_product_ids is null or p.id = any(p_product_ids)
+  on conflict (product_id) do update set document = excluded.document;
+$$;
+
+CREATE OR REPLACE FUNCTION public.sync_product_search_document()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  PERFORM public.refresh_product_search_documents(ARRAY[NEW.id]);
+  RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_products_search_document ON public.products;
+CREATE TRIGGER trg_products_search_document
+AFTER INSERT OR UPDATE OF name, description, category_id, seller_id ON public.products
+FOR EACH ROW
+EXECUTE FUNCTION public.sync_product_search_document();
+
+-- Renaming a category or store changes the documents of its products
+CREATE OR REPLACE FUNCTION public.refresh_category_product_search()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  PERFORM public.refresh_product_search_documents(
+    ARRAY(SELECT id FROM public.products WHERE category_id = NEW.id)
+  );
+  RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_categories_refresh_product_search ON public.categories;
+CREATE TRIGGER trg_categories_refresh_product_search
+AFTER UPDATE OF name ON public.categories
+FOR EACH ROW
+WHEN (OLD.name IS DISTINCT FROM NEW.name)
+EXECUTE FUNCTION public.refresh_category_product_search();
+
+CREATE OR REPLACE FUNCTION public.refresh_seller_product_search()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  PERFORM public.refresh_product_search_documents(
+    ARRAY(SELECT id FROM public.products WHERE seller_id = NEW.id)
+  );
+  RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_sellers_refresh_product_search ON public.sellers;
+CREATE TRIGGER trg_sellers_refresh_product_search
+AFTER UPDATE OF store_name ON public.sellers
+FOR EACH ROW
+WHEN (OLD.store_name IS DISTINCT FROM NEW.store_name)
+EXECUTE FUNCTION public.refresh_seller_product_search();
+
+-- Backfill existing products
+SELECT public.refresh_product_search_documents(NULL);
+
+CREATE INDEX IF NOT EXISTS idx_products_name_trgm
+  ON public.products USING GIN (public.search_normalize(name) gin_trgm_ops);
+
+-- ---------------------------------------------------------------------------
+-- Ranked search
+-- ---------------------------------------------------------------------------
+
+-- Active products matching p_query, best first. A product matches on full-text (every word as a
+-- prefix, in any field) or, to forgive typos, when its name is trigram-similar to the query.
+-- Returns SETOF products so PostgREST callers can still filter, embed and paginate the result;
+-- without an explicit order the rows keep this relevance order. Runs as definer to read the
+-- documents table, and so only ever returns active products.
+CREATE OR REPLACE FUNCTION public.search_products(p_query text)
+RETURNS SETOF public.products
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+SET pg_trgm.word_similarity_threshold = 0.4
+AS $$
+  with q as (
+    select public.search_normalize(p_query) as text, public.search_tsquery(p_query) as tsq
+  )
+  select p.*
+  from public.products p
+  cross join q
+  left join public.product_search_documents d on d.product_id = p.id
+  where p.is_active
+    and q.text <> ''
+    and (d.document @@ q.tsq or q.text <% public.search_normalize(p.name))
+  order by
+    -- Weighted full-text rank plus how closely the name matches, then alphabetical
+    (coalesce(ts_rank(d.document, q.tsq), 0) * 2 + word_similarity(q.text, public.search_normalize(p.name))) desc,
+    p.name;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.search_products(text) TO anon, authenticated;
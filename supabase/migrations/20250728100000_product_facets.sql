@@ -0,0 +1,263 @@
+-- Faceted product browsing.
+--
+-- * products.brand, set from the admin product form.
+-- * Price buckets are defined once, in product_price_buckets(); the storefront renders whatever
+--   product_facets() returns, labels included.
+-- * product_filter_matches() evaluates every facet filter per product. browse_products() keeps the
+--   products passing all of them; product_facets() counts each facet with every filter applied
+--   except its own, so picking "Shoes" still shows how many "Bags" there are.
+-- * p_filters (jsonb, all keys optional):
+--     search text, categories [slug], brands [text], sizes [text], colors [text],
+--     price [bucket id], priceMin/priceMax numeric, inStock bool, minRating numeric,
+--     isTrending/isFeatured/isNewArrival/flashDeal bool
+--   Several values within one facet are OR-ed; different facets are AND-ed.
+-- * Size and color match any active variant, so products without variants never match them.
+
+ALTER TABLE public.products ADD COLUMN IF NOT EXISTS brand TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_products_brand ON public.products(brand) WHERE brand IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_product_variants_active_options
+  ON public.product_variants(product_id, size, color) WHERE is_active;
+
+-- ---------------------------------------------------------------------------
+-- Helpers
+-- ---------------------------------------------------------------------------
+
+CREATE OR REPLACE FUNCTION public.product_price_buckets()
+RETURNS TABLE (id text, label text, min_price numeric, max_price numeric, position integer)
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  values
+    ('under-5000',  'Under 5,000 ETB',         0::numeric,  5000::numeric, 1),
+    ('5000-15000',  '5,000 - 15,000 ETB',   5000,          15000,          2),
+    ('15000-25000', '15,000 - 25,000 ETB', 15000,          25000,          3),
+    ('25000-50000', '25,000 - 50,000 ETB', 25000,          50000,          4),
+    ('50000-plus',  '50,000+ ETB',         50000,          null,           5);
+$$;
+
+-- Mirrors getEffectivePrice in _shared/pricing.ts: the discount applies unless the flash deal
+-- it belongs to has ended
+CREATE OR REPLACE FUNCTION public.product_effective_price(p_product public.products)
+RETURNS numeric
+LANGUAGE sql
+STABLE
+AS $$
+  select round(
+    case
+      when coalesce(p_product.discount, 0) > 0
+        and p_product.discount < 100
+        and not (coalesce(p_product.flash_deal, false) and p_product.flash_deal_end is not null and p_product.flash_deal_end <= now())
+      then p_product.price * (1 - p_product.discount / 100)
+      else p_product.price
+    end, 2);
+$$;
+
+-- Text array from a jsonb array of strings; empty (not null) when the key is missing
+CREATE OR REPLACE FUNCTION public.jsonb_text_array(p_value jsonb)
+RETURNS text[]
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  select coalesce(array_agg(trim(v)) filter (where trim(v) <> ''), '{}')
+  from jsonb_array_elements_text(case when jsonb_typeof(p_value) = 'array' then p_value else '[]'::jsonb end) as v;
+$$;
+
+-- ---------------------------------------------------------------------------
+-- Filter evaluation
+-- ---------------------------------------------------------------------------
+
+-- One row per active product passing the search and flag filters, with whether it passes each
+-- facet filter (true when that facet has no selection). relevance is the search position (1 is
+-- best), null without a search.
+CREATE OR REPLACE FUNCTION public.product_filter_matches(p_filters jsonb)
+RETURNS TABLE (
+  product_id uuid,
+  category_id uuid,
+  brand text,
+  effective_price numeric,
+  relevance bigint,
+  match_category boolean,
+  match_brand boolean,
+  match_size boolean,
+  match_color boolean,
+  match_price boolean,
+  match_stock boolean,
+  match_rating boolean
+)
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+#variable_conflict use_column
+DECLARE
+  v_filters jsonb := coalesce(p_filters, '{}'::jsonb);
+  v_search text := nullif(trim(v_filters->>'search'), '');
+  v_categories text[] := public.jsonb_text_array(v_filters->'categories');
+  v_brands text[] := array(select lower(b) from unnest(public.jsonb_text_array(v_filters->'brands')) b);
+  v_sizes text[] := array(select lower(s) from unnest(public.jsonb_text_array(v_filters->'sizes')) s);
+  v_colors text[] := array(select lower(c) from unnest(public.jsonb_text_array(v_filters->'colors')) c);
+  v_buckets text[] := public.jsonb_text_array(v_filters->'price');
+  v_price_min numeric := (v_filters->>'priceMin')::numeric;
+  v_price_max numeric := (v_filters->>'priceMax')::numeric;
+  v_in_stock boolean := coalesce((v_filters->>'inStock')::boolean, false);
+  v_min_rating numeric := (v_filters->>'minRating')::numeric;
+BEGIN
+  RETURN QUERY
+  with searched as (
+    select s.id, s.ordinality
+    from public.search_products(v_search) with ordinality as s
+    where v_search is not null
+  ),
+  base as (
+    select p.*, public.product_effective_price(p) as price_now, sr.ordinality as search_rank
+    from public.products p
+    left join searched sr on sr.id = p.id
+    where p.is_active
+      and (v_search is null or sr.id is not null)
+      and (not coalesce((v_filters->>'isTrending')::boolean, false) or p.is_trending)
+      and (not coalesce((v_filters->>'isFeatured')::boolean, false) or p.is_featured)
+      and (not coalesce((v_filters->>'isNewArrival')::boolean, false) or p.is_new_arrival)
+      and (not coalesce((v_filters->>'flashDeal')::boolean, false) or p.flash_deal)
+  )
+  select
+    b.id,
+    b.category_id,
+    nullif(trim(b.brand), ''),
+    b.price_now,
+    b.search_rank,
+    cardinality(v_categories) = 0
+      or exists (select 1 from public.categories c where c.id = b.category_id and c.slug = any(v_categories)),
+    cardinality(v_brands) = 0 or coalesce(lower(trim(b.brand)) = any(v_brands), false),
+    cardinality(v_sizes) = 0
+      or exists (select 1 from public.product_variants v
+                 where v.product_id = b.id and v.is_active and lower(trim(v.size)) = any(v_sizes)),
+    cardinality(v_colors) = 0
+      or exists (select 1 from public.product_variants v
+                 where v.product_id = b.id and v.is_active and lower(trim(v.color)) = any(v_colors)),
+    (cardinality(v_buckets) = 0
+      or exists (select 1 from public.product_price_buckets() pb
+                 where pb.id = any(v_buckets)
+                   and b.price_now >= pb.min_price
+                   and (pb.max_price is null or b.price_now < pb.max_price)))
+      and (v_price_min is null or b.price_now >= v_price_min)
+      and (v_price_max is null or b.price_now <= v_price_max),
+    not v_in_stock or coalesce(b.stock_quantity, 0) > 0,
+    v_min_rating is null or coalesce(b.rating, 0) >= v_min_rating
+  from base b;
+END;
+$$;
+
+-- ---------------------------------------------------------------------------
+-- Browse and facet counts
+-- ---------------------------------------------------------------------------
+
+-- Products passing every filter. Like search_products it returns SETOF products so PostgREST
+-- callers can embed, paginate and order on top; without an explicit order, searches come back
+-- by relevance and everything else by name.
+CREATE OR REPLACE FUNCTION public.browse_products(p_filters jsonb)
+RETURNS SETOF public.products
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  select p.*
+  from public.product_filter_matches(p_filters) m
+  join public.products p on p.id = m.product_id
+  where m.match_category and m.match_brand and m.match_size and m.match_color
+    and m.match_price and m.match_stock and m.match_rating
+  order by m.relevance nulls last, p.name;
+$$;
+
+-- {
+--   categories: [{ value: slug, label, count }], brands: [...], sizes: [...], colors: [...],
+--   price: [{ value: bucket id, label, count }]  (every bucket, in order),
+--   inStock: count, rating: [{ value: 4, count }, ...]  (products rated at least value)
+-- }
+CREATE OR REPLACE FUNCTION public.product_facets(p_filters jsonb)
+RETURNS jsonb
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  with m as (
+    select * from public.product_filter_matches(p_filters)
+  ),
+  category_facet as (
+    select c.slug as value, c.name as label, count(*) as count
+    from m
+    join public.categories c on c.id = m.category_id
+    where m.match_brand and m.match_size and m.match_color and m.match_price and m.match_stock and m.match_rating
+    group by c.slug, c.name
+  ),
+  brand_facet as (
+    select min(m.brand) as value, min(m.brand) as label, count(*) as count
+    from m
+    where m.brand is not null
+      and m.match_category and m.match_size and m.match_color and m.match_price and m.match_stock and m.match_rating
+    group by lower(m.brand)
+  ),
+  size_facet as (
+    select min(o.size) as value, min(o.size) as label, count(distinct m.product_id) as count
+    from m
+    join lateral (
+      select trim(v.size) as size from public.product_variants v
+      where v.product_id = m.product_id and v.is_active and nullif(trim(v.size), '') is not null
+    ) o on true
+    where m.match_category and m.match_brand and m.match_color and m.match_price and m.match_stock and m.match_rating
+    group by lower(o.size)
+  ),
+  color_facet as (
+    select min(o.color) as value, min(o.color) as label, count(distinct m.product_id) as count
+    from m
+    join lateral (
+      select trim(v.color) as color from public.product_variants v
+      where v.product_id = m.product_id and v.is_active and nullif(trim(v.color), '') is not null
+    ) o on true
+    where m.match_category and m.match_brand and m.match_size and m.match_price and m.match_stock and m.match_rating
+    group by lower(o.color)
+  ),
+  price_facet as (
+    select pb.id as value, pb.label, pb.position, count(m.product_id) as count
+    from public.product_price_buckets() pb
+    left join m
+      on m.effective_price >= pb.min_price
+     and (pb.max_price is null or m.effective_price < pb.max_price)
+     and m.match_category and m.match_brand and m.match_size and m.match_color and m.match_stock and m.match_rating
+    group by pb.id, pb.label, pb.position
+  ),
+  -- Counted as if the in-stock and rating filters were off, respectively
+  stock_facet as (
+    select count(*) as in_stock
+    from m
+    join public.products p on p.id = m.product_id
+    where coalesce(p.stock_quantity, 0) > 0
+      and m.match_category and m.match_brand and m.match_size and m.match_color and m.match_price and m.match_rating
+  ),
+  rating_facet as (
+    select r.value, count(rated.product_id) as count
+    from (values (4), (3), (2), (1)) as r(value)
+    left join (
+      select m.product_id, coalesce(p.rating, 0) as rating
+      from m
+      join public.products p on p.id = m.product_id
+      where m.match_category and m.match_brand and m.match_size and m.match_color and m.match_price and m.match_stock
+    ) rated on rated.rating >= r.value
+    group by r.value
+  )
+  select jsonb_build_object(
+    'categories', coalesce((select jsonb_agg(jsonb_build_object('value', value, 'label', label, 'count', count) order by label) from category_facet), '[]'),
+    'brands', coalesce((select jsonb_agg(jsonb_build_object('value', value, 'label', label, 'count', count) order by label) from brand_facet), '[]'),
+    'sizes', coalesce((select jsonb_agg(jsonb_build_object('value', value, 'label', label, 'count', count) order by label) from size_facet), '[]'),
+    'colors', coalesce((select jsonb_agg(jsonb_build_object('value', value, 'label', label, 'count', count) order by label) from color_facet), '[]'),
+    'price', (select jsonb_agg(jsonb_build_object('value', value, 'label', label, 'count', count) order by position) from price_facet),
+    'inStock', (select in_stock from stock_facet),
+    'rating', (select jsonb_agg(jsonb_build_object('value', value, 'count', count) order by value desc) from rating_facet)
+  );
+$$;
+
+GRANT EXECUTE ON FUNCTION public.browse_products(jsonb) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.product_facets(jsonb) TO anon, authenticated;
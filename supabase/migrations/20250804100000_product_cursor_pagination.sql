@@ -0,0 +1,238 @@
+-- Cursor (keyset) pagination for the storefront product lists.
+--
+-- * browse_products_page() returns one page after a position (sort key + id) instead of an
+--   offset, so products added or removed meanwhile do not shift later pages. get-public-products
+--   wraps the position in an opaque cursor bound to the sort and filters it was made for.
+-- * Relevance becomes a score (search_product_scores) rather than a result position, so it can be
+--   a keyset sort key too; product_filter_matches returns that score.
+-- * Offset pagination (browse_products) stays for the admin lists and numbered pages.
+
+-- ---------------------------------------------------------------------------
+-- Search scores
+-- ---------------------------------------------------------------------------
+
+-- Same matching as search_products, with the score it ranks by (higher is better)
+CREATE OR REPLACE FUNCTION public.search_product_scores(p_query text)
+RETURNS TABLE (product_id uuid, score real)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+SET pg_trgm.word_similarity_threshold = 0.4
+AS $$
+  with q as (
+    select public.search_normalize(p_query) as text, public.search_tsquery(p_query) as tsq
+  )
+  select
+    p.id,
+    (coalesce(ts_rank(d.document, q.tsq), 0) * 2 + word_similarity(q.text, public.search_normalize(p.name)))::real
+  from public.products p
+  cross join q
+  left join public.product_search_documents d on d.product_id = p.id
+  where p.is_active
+    and q.text <> ''
+    and (d.document @@ q.tsq or q.text <% public.search_normalize(p.name));
+$$;
+
+CREATE OR REPLACE FUNCTION public.search_products(p_query text)
+RETURNS SETOF public.products
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  select p.*
+  from public.search_product_scores(p_query) s
+  join public.products p on p.id = s.product_id
+  order by s.score desc, p.name;
+$$;
+
+-- ---------------------------------------------------------------------------
+-- Filter evaluation: relevance is now the search score
+-- ---------------------------------------------------------------------------
+
+-- The result type changes, which CREATE OR REPLACE cannot do
+DROP FUNCTION IF EXISTS public.product_filter_matches(jsonb);
+
+-- One row per active product passing the search and flag filters, with whether it passes each
+-- facet filter (true when that facet has no selection). relevance is the search score (higher
+-- is better), null without a search.
+CREATE OR REPLACE FUNCTION public.product_filter_matches(p_filters jsonb)
+RETURNS TABLE (
+  product_id uuid,
+  category_id uuid,
+  brand text,
+  effective_price numeric,
+  relevance real,
+  match_category boolean,
+  match_brand boolean,
+  match_size boolean,
+  match_color boolean,
+  match_price boolean,
+  match_stock boolean,
+  match_rating boolean
+)
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+#variable_conflict use_column
+DECLARE
+  v_filters jsonb := coalesce(p_filters, '{}'::jsonb);
+  v_search text := nullif(trim(v_filters->>'search'), '');
+  v_categories text[] := public.jsonb_text_array(v_filters->'categories');
+  v_brands text[] := array(select lower(b) from unnest(public.jsonb_text_array(v_filters->'brands')) b);
+  v_sizes text[] := array(select lower(s) from unnest(public.jsonb_text_array(v_filters->'sizes')) s);
+  v_colors text[] := array(select lower(c) from unnest(public.jsonb_text_array(v_filters->'colors')) c);
+  v_buckets text[] := public.jsonb_text_array(v_filters->'price');
+  v_price_min numeric := (v_filters->>'priceMin')::numeric;
+  v_price_max numeric := (v_filters->>'priceMax')::numeric;
+  v_in_stock boolean := coalesce((v_filters->>'inStock')::boolean, false);
+  v_min_rating numeric := (v_filters->>'minRating')::numeric;
+BEGIN
+  RETURN QUERY
+  with searched as (
+    select s.product_id, s.score
+    from public.search_product_scores(v_search) s
+    where v_search is not null
+  ),
+  base as (
+    select p.*, public.product_effective_price(p) as price_now, sr.score as search_score
+    from public.products p
+    left join searched sr on sr.product_id = p.id
+    where p.is_active
+      and (v_search is null or sr.product_id is not null)
+      and (not coalesce((v_filters->>'isTrending')::boolean, false) or p.is_trending)
+      and (not coalesce((v_filters->>'isFeatured')::boolean, false) or p.is_featured)
+      and (not coalesce((v_filters->>'isNewArrival')::boolean, false) or p.is_new_arrival)
+      and (not coalesce((v_filters->>'flashDeal')::boolean, false) or p.flash_deal)
+  )
+  select
+    b.id,
+    b.category_id,
+    nullif(trim(b.brand), ''),
+    b.price_now,
+    b.search_score,
+    cardinality(v_categories) = 0
+      or exists (select 1 from public.categories c where c.id = b.category_id and c.slug = any(v_categories)),
+    cardinality(v_brands) = 0 or coalesce(lower(trim(b.brand)) = any(v_brands), false),
+    cardinality(v_sizes) = 0
+      or exists (select 1 from public.product_variants v
+                 where v.product_id = b.id and v.is_active and lower(trim(v.size)) = any(v_sizes)),
+    cardinality(v_colors) = 0
+      or exists (select 1 from public.product_variants v
+                 where v.product_id = b.id and v.is_active and lower(trim(v.color)) = any(v_colors)),
+    (cardinality(v_buckets) = 0
+      or exists (select 1 from public.product_price_buckets() pb
+                 where pb.id = any(v_buckets)
+                   and b.price_now >= pb.min_price
+                   and (pb.max_price is null or b.price_now < pb.max_price)))
+      and (v_price_min is null or b.price_now >= v_price_min)
+      and (v_price_max is null or b.price_now <= v_price_max),
+    not v_in_stock or coalesce(b.stock_quantity, 0) > 0,
+    v_min_rating is null or coalesce(b.rating, 0) >= v_min_rating
+  from base b;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.browse_products(p_filters jsonb)
+RETURNS SETOF public.products
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  select p.*
+  from public.product_filter_matches(p_filters) m
+  join public.products p on p.id = m.product_id
+  where m.match_category and m.match_brand and m.match_size and m.match_color
+    and m.match_price and m.match_stock and m.match_rating
+  order by m.relevance desc nulls last, p.name;
+$$;
+
+-- ---------------------------------------------------------------------------
+-- Keyset pages
+-- ---------------------------------------------------------------------------
+
+-- Up to p_limit + 1 products passing every filter (see product_facets for p_filters), after the
+-- position p_after = { "num": sort_num, "text": sort_text, "id": product id } of the previous
+-- page's last row. The extra row only tells the caller there is another page.
+-- Each row is the product as JSON with its category embedded (the same shape as the offset
+-- list), its sort key and the total number of matches.
+-- p_sort: relevance | name | price | rating | units_sold; the id breaks ties.
+CREATE OR REPLACE FUNCTION public.browse_products_page(
+  p_filters jsonb,
+  p_sort text DEFAULT 'name',
+  p_ascending boolean DEFAULT true,
+  p_after jsonb DEFAULT NULL,
+  p_limit integer DEFAULT 12
+)
+RETURNS TABLE (product jsonb, sort_num numeric, sort_text text, total bigint)
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+#variable_conflict use_column
+DECLARE
+  v_after_num numeric := (p_after->>'num')::numeric;
+  v_after_text text := coalesce(p_after->>'text', '');
+  v_after_id uuid := (p_after->>'id')::uuid;
+BEGIN
+  IF p_sort NOT IN ('relevance', 'name', 'price', 'rating', 'units_sold') THEN
+    RAISE EXCEPTION 'Unsupported sort: %', p_sort USING ERRCODE = 'invalid_parameter_value';
+  END IF;
+  IF p_limit IS NULL OR p_limit < 1 OR p_limit > 100 THEN
+    RAISE EXCEPTION 'Page size must be between 1 and 100' USING ERRCODE = 'invalid_parameter_value';
+  END IF;
+
+  RETURN QUERY
+  with keyed as (
+    select
+      p as prod,
+      c.name as category_name,
+      c.slug as category_slug,
+      -- Unused keys are constant so the row comparisons below never see a null
+      case p_sort
+        when 'relevance' then coalesce(m.relevance, 0)::numeric
+        when 'price' then coalesce(p.price, 0)
+        when 'rating' then coalesce(p.rating, 0)
+        when 'units_sold' then coalesce(p.units_sold, 0)
+        else 0
+      end as k_num,
+      case when p_sort = 'name' then coalesce(p.name, '') else '' end as k_text
+    from public.product_filter_matches(p_filters) m
+    join public.products p on p.id = m.product_id
+    left join public.categories c on c.id = p.category_id
+    where m.match_category and m.match_brand and m.match_size and m.match_color
+      and m.match_price and m.match_stock and m.match_rating
+  ),
+  counted as (
+    select k.*, count(*) over () as match_count from keyed k
+  )
+  select
+    to_jsonb(k.prod) || jsonb_build_object(
+      'category',
+      case when k.category_slug is null then null
+           else jsonb_build_object('name', k.category_name, 'slug', k.category_slug) end
+    ),
+    k.k_num,
+    k.k_text,
+    k.match_count
+  from counted k
+  where p_after is null
+     or (p_ascending and (k.k_num, k.k_text, (k.prod).id) > (v_after_num, v_after_text, v_after_id))
+     or (not p_ascending and (k.k_num, k.k_text, (k.prod).id) < (v_after_num, v_after_text, v_after_id))
+  order by
+    case when p_ascending then k.k_num end,
+    case when p_ascending then k.k_text end,
+    case when p_ascending then (k.prod).id end,
+    case when not p_ascending then k.k_num end desc,
+    case when not p_ascending then k.k_text end desc,
+    case when not p_ascending then (k.prod).id end desc
+  limit p_limit + 1;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.browse_products_page(jsonb, text, boolean, jsonb, integer) TO anon, authenticated;
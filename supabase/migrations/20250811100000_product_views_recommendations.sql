@@ -0,0 +1,250 @@
+-- Recently viewed products and recommendations.
+--
+-- * product_views keeps one row per viewer and product (last view time and a view count).
+--   A viewer is a signed-in user or, before login, the random id the storefront keeps in
+--   localStorage; merge_product_views() moves the anonymous history onto the account at login,
+--   the same way the local cart is merged.
+-- * Only the 50 most recently viewed products are kept per viewer.
+-- * recommended_products() scores candidates from the products it is asked about (the product
+--   page, the cart) plus the viewer's recent views and wishlist:
+--     co-purchase   3 per order that contained a seed product as well (cancelled and
+--                   refunded orders do not count)
+--     same category 1 per seed product in the category
+--   Seed products weigh 1, history and wishlist products 0.5. Candidates are active and in stock,
+--   never a seed, and ties (including "no signal at all") go to the best sellers, so the list
+--   is never empty for a new visitor.
+-- * The table has RLS on and no policies: it is only read and written through the functions below.
+
+-- ---------------------------------------------------------------------------
+-- Table
+-- ---------------------------------------------------------------------------
+
+CREATE TABLE IF NOT EXISTS public.product_views (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    product_id UUID NOT NULL REFERENCES public.products(id) ON DELETE CASCADE,
+    user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE,
+    anonymous_id TEXT,                           -- set only while user_id is null
+    view_count INTEGER NOT NULL DEFAULT 1,
+    viewed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    CONSTRAINT product_views_viewer_check CHECK ((user_id IS NULL) <> (anonymous_id IS NULL))
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_product_views_user_product
+  ON public.product_views(user_id, product_id) WHERE user_id IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_product_views_anonymous_product
+  ON public.product_views(anonymous_id, product_id) WHERE user_id IS NULL;
+CREATE INDEX IF NOT EXISTS idx_product_views_user_recent
+  ON public.product_views(user_id, viewed_at DESC) WHERE user_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_product_views_anonymous_recent
+  ON public.product_views(anonymous_id, viewed_at DESC) WHERE user_id IS NULL;
+
+-- Co-purchase lookups go from a product to its orders and back
+CREATE INDEX IF NOT EXISTS idx_order_items_product_order ON public.order_items("productId", "orderId");
+CREATE INDEX IF NOT EXISTS idx_order_items_order ON public.order_items("orderId");
+
+ALTER TABLE public.product_views ENABLE ROW LEVEL SECURITY;
+
+-- ---------------------------------------------------------------------------
+-- Tracking
+-- ---------------------------------------------------------------------------
+
+-- Records a product page view for the signed-in user, or for p_anonymous_id when signed out.
+-- Views of inactive or unknown products are ignored.
+CREATE OR REPLACE FUNCTION public.record_product_view(p_product_id uuid, p_anonymous_id text DEFAULT NULL)
+RETURNS void
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_user_id uuid := auth.uid();
+  v_anonymous_id text := nullif(trim(p_anonymous_id), '');
+BEGIN
+  IF v_user_id IS NULL AND v_anonymous_id IS NULL THEN
+    raise exception 'Sign in or send an anonymous id to record views' using errcode = 'invalid_parameter_value';
+  END IF;
+
+  IF NOT EXISTS (SELECT 1 FROM public.products WHERE id = p_product_id AND is_active) THEN
+    RETURN;
+  END IF;
+
+  IF v_user_id IS NOT NULL THEN
+    INSERT INTO public.product_views (product_id, user_id)
+    VALUES (p_product_id, v_user_id)
+    ON CONFLICT (user_id, product_id) WHERE user_id IS NOT NULL
+    DO UPDATE SET viewed_at = now(), view_count = public.product_views.view_count + 1;
+
+    DELETE FROM public.product_views
+     WHERE id IN (SELECT id FROM public.product_views
+                   WHERE user_id = v_user_id
+                   ORDER BY viewed_at DESC OFFSET 50);
+  ELSE
+    INSERT INTO public.product_views (product_id, anonymous_id)
+    VALUES (p_product_id, v_anonymous_id)
+    ON CONFLICT (anonymous_id, product_id) WHERE user_id IS NULL
+    DO UPDATE SET viewed_at = now(), view_count = public.product_views.view_count + 1;
+
+    DELETE FROM public.product_views
+     WHERE id IN (SELECT id FROM public.product_views
+                   WHERE user_id IS NULL AND anonymous_id = v_anonymous_id
+                   ORDER BY viewed_at DESC OFFSET 50);
+  END IF;
+END;
+$$;
+
+-- Moves the views recorded under p_anonymous_id onto the signed-in user; returns how many
+-- products were moved. Products seen both ways keep the latest time and the summed count.
+CREATE OR REPLACE FUNCTION public.merge_product_views(p_anonymous_id text)
+RETURNS integer
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_user_id uuid := auth.uid();
+  v_anonymous_id text := nullif(trim(p_anonymous_id), '');
+  v_merged integer;
+BEGIN
+  IF v_user_id IS NULL THEN
+    raise exception 'Not authenticated' using errcode = 'insufficient_privilege';
+  END IF;
+  IF v_anonymous_id IS NULL THEN
+    RETURN 0;
+  END IF;
+
+  WITH moved AS (
+    DELETE FROM public.product_views
+     WHERE user_id IS NULL AND anonymous_id = v_anonymous_id
+    RETURNING product_id, view_count, viewed_at
+  )
+  INSERT INTO public.product_views (product_id, user_id, view_count, viewed_at)
+  SELECT product_id, v_user_id, view_count, viewed_at FROM moved
+  ON CONFLICT (user_id, product_id) WHERE user_id IS NOT NULL
+  DO UPDATE SET viewed_at = greatest(public.product_views.viewed_at, excluded.viewed_at),
+                view_count = public.product_views.view_count + excluded.view_count;
+  GET DIAGNOSTICS v_merged = ROW_COUNT;
+
+  DELETE FROM public.product_views
+   WHERE id IN (SELECT id FROM public.product_views
+                 WHERE user_id = v_user_id
+                 ORDER BY viewed_at DESC OFFSET 50);
+
+  RETURN v_merged;
+END;
+$$;
+
+-- The caller's views, newest first: the signed-in user's, else those of p_anonymous_id
+CREATE OR REPLACE FUNCTION public.viewer_product_views(p_anonymous_id text)
+RETURNS SETOF public.product_views
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  select v.*
+  from public.product_views v
+  where case
+          when auth.uid() is not null then v.user_id = auth.uid()
+          else v.user_id is null and v.anonymous_id = nullif(trim(p_anonymous_id), '')
+        end
+  order by v.viewed_at desc;
+$$;
+
+-- ---------------------------------------------------------------------------
+-- Reading
+-- ---------------------------------------------------------------------------
+
+-- Returns SETOF products (like browse_products) so callers can embed the category
+CREATE OR REPLACE FUNCTION public.recently_viewed_products(
+  p_anonymous_id text DEFAULT NULL,
+  p_exclude uuid[] DEFAULT '{}',
+  p_limit integer DEFAULT 8
+)
+RETURNS SETOF public.products
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  select p.*
+  from public.viewer_product_views(p_anonymous_id) v
+  join public.products p on p.id = v.product_id
+  where p.is_active
+    and not (p.id = any(coalesce(p_exclude, '{}')))
+  order by v.viewed_at desc
+  limit least(greatest(coalesce(p_limit, 8), 1), 24);
+$$;
+
+CREATE OR REPLACE FUNCTION public.recommended_products(
+  p_product_ids uuid[] DEFAULT '{}',
+  p_anonymous_id text DEFAULT NULL,
+  p_exclude uuid[] DEFAULT '{}',
+  p_limit integer DEFAULT 8
+)
+RETURNS SETOF public.products
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  with recent as (
+    select v.product_id from public.viewer_product_views(p_anonymous_id) v order by v.viewed_at desc limit 10
+  ),
+  wished as (
+    select w.product_id from public.wishlist_items w
+    where auth.uid() is not null and w."userId" = auth.uid()
+  ),
+  seeds as (
+    select s.product_id, max(s.weight) as weight
+    from (
+      select unnest(coalesce(p_product_ids, '{}')), 1.0
+      union all select product_id, 0.5 from recent
+      union all select product_id, 0.5 from wished
+    ) as s(product_id, weight)
+    group by s.product_id
+  ),
+  -- One row per (seed, order, other product), so several lines of one product in an order
+  -- (different variants) count once
+  co_purchase as (
+    select pair.product_id, 3 * sum(pair.weight) as score
+    from (
+      select distinct s.product_id as seed_id, s.weight, seed_line."orderId" as order_id, other."productId" as product_id
+      from seeds s
+      join public.order_items seed_line on seed_line."productId" = s.product_id
+      join public.orders o on o.id = seed_line."orderId" and o.status not in ('cancelled', 'refunded')
+      join public.order_items other on other."orderId" = seed_line."orderId" and other."productId" <> s.product_id
+    ) pair
+    group by pair.product_id
+  ),
+  same_category as (
+    select p.id as product_id, sum(s.weight) as score
+    from seeds s
+    join public.products seed_product on seed_product.id = s.product_id
+    join public.products p on p.category_id = seed_product.category_id
+    group by p.id
+  ),
+  scored as (
+    select signal.product_id, sum(signal.score) as score
+    from (
+      select product_id, score from co_purchase
+      union all
+      select product_id, score from same_category
+    ) signal
+    group by signal.product_id
+  )
+  select p.*
+  from public.products p
+  left join scored sc on sc.product_id = p.id
+  where p.is_active
+    and coalesce(p.stock_quantity, 0) > 0
+    and not exists (select 1 from seeds where seeds.product_id = p.id)
+    and not (p.id = any(coalesce(p_exclude, '{}')))
+  order by coalesce(sc.score, 0) desc, coalesce(p.units_sold, 0) desc, coalesce(p.rating, 0) desc, p.name
+  limit least(greatest(coalesce(p_limit, 8), 1), 24);
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.viewer_product_views(text) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.record_product_view(uuid, text) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.merge_product_views(text) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.recently_viewed_products(text, uuid[], integer) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.recommended_products(uuid[], text, uuid[], integer) TO anon, authenticated;
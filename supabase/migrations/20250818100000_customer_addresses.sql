@@ -0,0 +1,124 @@
+-- Customer address book.
+--
+-- * Several labelled addresses per customer ("Home", "Office", ...), one of them the default
+--   that checkout preselects. Triggers keep exactly one default while the customer has any
+--   addresses: the first one becomes the default, making another one the default clears the
+--   old one, and deleting the default promotes the most recently updated remaining address.
+-- * Addis Ababa addresses are located by sub-city and woreda plus a free-text landmark
+--   ("behind Edna Mall, blue gate"), since many places have no street name or house number.
+--   The sub-city list lives in _shared/addresses.ts and frontend/src/utils/addresses.js.
+-- * Orders keep a copy of the chosen address in "shippingAddress", so editing or deleting an
+--   address never changes past orders.
+
+CREATE TABLE IF NOT EXISTS public.customer_addresses (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    label TEXT NOT NULL,
+    first_name TEXT NOT NULL,
+    last_name TEXT,
+    phone TEXT NOT NULL,                         -- +2519XXXXXXXX for Ethiopian addresses
+    street TEXT,
+    apartment TEXT,
+    sub_city TEXT,
+    woreda TEXT,
+    landmark TEXT,
+    city TEXT NOT NULL DEFAULT 'Addis Ababa',
+    state TEXT,
+    zip_code TEXT,
+    country TEXT NOT NULL DEFAULT 'Ethiopia',
+    is_default BOOLEAN NOT NULL DEFAULT FALSE,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    CONSTRAINT customer_addresses_located_check CHECK (coalesce(street, '') <> '' OR coalesce(landmark, '') <> '')
+);
+
+CREATE INDEX IF NOT EXISTS idx_customer_addresses_user ON public.customer_addresses(user_id, updated_at DESC);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_customer_addresses_one_default
+  ON public.customer_addresses(user_id) WHERE is_default;
+
+ALTER TABLE public.customer_addresses ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Allow users to read their own addresses" ON public.customer_addresses;
+CREATE POLICY "Allow users to read their own addresses"
+ON public.customer_addresses
+FOR SELECT
+TO authenticated
+USING (user_id = auth.uid());
+
+DROP POLICY IF EXISTS "Allow users to add their own addresses" ON public.customer_addresses;
+CREATE POLICY "Allow users to add their own addresses"
+ON public.customer_addresses
+FOR INSERT
+TO authenticated
+WITH CHECK (user_id = auth.uid());
+
+DROP POLICY IF EXISTS "Allow users to update their own addresses" ON public.customer_addresses;
+CREATE POLICY "Allow users to update their own addresses"
+ON public.customer_addresses
+FOR UPDATE
+TO authenticated
+USING (user_id = auth.uid())
+WITH CHECK (user_id = auth.uid());
+
+DROP POLICY IF EXISTS "Allow users to delete their own addresses" ON public.customer_addresses;
+CREATE POLICY "Allow users to delete their own addresses"
+ON public.customer_addresses
+FOR DELETE
+TO authenticated
+USING (user_id = auth.uid());
+
+-- ---------------------------------------------------------------------------
+-- Default address bookkeeping
+-- ---------------------------------------------------------------------------
+
+-- Runs before the row is written, so the old default is already cleared when the unique index
+-- is checked
+CREATE OR REPLACE FUNCTION public.customer_addresses_set_default()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF TG_OP = 'INSERT' AND NOT EXISTS (SELECT 1 FROM public.customer_addresses WHERE user_id = new.user_id) THEN
+    new.is_default := true;
+  END IF;
+
+  IF new.is_default AND (TG_OP = 'INSERT' OR NOT old.is_default) THEN
+    UPDATE public.customer_addresses
+       SET is_default = false
+     WHERE user_id = new.user_id AND is_default AND id <> new.id;
+  END IF;
+
+  RETURN new;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_customer_addresses_set_default ON public.customer_addresses;
+CREATE TRIGGER trg_customer_addresses_set_default
+BEFORE INSERT OR UPDATE OF is_default ON public.customer_addresses
+FOR EACH ROW EXECUTE FUNCTION public.customer_addresses_set_default();
+
+CREATE OR REPLACE FUNCTION public.customer_addresses_promote_default()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF old.is_default THEN
+    UPDATE public.customer_addresses
+       SET is_default = true
+     WHERE id = (SELECT id FROM public.customer_addresses
+                  WHERE user_id = old.user_id
+                  ORDER BY updated_at DESC NULLS LAST
+                  LIMIT 1);
+  END IF;
+  RETURN old;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_customer_addresses_promote_default ON public.customer_addresses;
+CREATE TRIGGER trg_customer_addresses_promote_default
+AFTER DELETE ON public.customer_addresses
+FOR EACH ROW EXECUTE FUNCTION public.customer_addresses_promote_default();
@@ -0,0 +1,322 @@
+-- Delivery zones, shipping methods and the shipping fee on orders.
+--
+-- * A delivery zone groups the places it covers: Addis Ababa sub-cities and/or other cities.
+--   An address falls in the first active zone (by position) listing its sub-city (Addis) or its
+--   city (everywhere else).
+-- * Shipping methods are what the customer picks at checkout: standard, express or a pickup point.
+-- * shipping_rates prices one method in one zone; a method is offered in a zone only when it has
+--   an active rate there. The fee is
+--     base_fee + per_kg_fee for every started kg over included_weight_kg
+--   and drops to 0 once the cart subtotal (before discounts) reaches free_shipping_threshold.
+--   Products without a weight_kg count as 0.5 kg. The pricing lives in _shared/shipping.ts.
+-- * Orders keep a copy of the chosen method, zone, fee and delivery window, so later rate
+--   changes never touch past orders. "totalAmount" now includes the shipping fee.
+
+-- ---------------------------------------------------------------------------
+-- Tables
+-- ---------------------------------------------------------------------------
+
+ALTER TABLE public.products ADD COLUMN IF NOT EXISTS weight_kg NUMERIC(8,3) CHECK (weight_kg IS NULL OR weight_kg >= 0);
+
+CREATE TABLE IF NOT EXISTS public.delivery_zones (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name TEXT NOT NULL UNIQUE,
+    description TEXT,
+    sub_cities TEXT[] NOT NULL DEFAULT '{}',     -- Addis Ababa sub-cities, see _shared/addresses.ts
+    cities TEXT[] NOT NULL DEFAULT '{}',         -- cities outside Addis Ababa
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    position INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS public.shipping_methods (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    code TEXT NOT NULL UNIQUE,
+    name TEXT NOT NULL,
+    description TEXT,
+    kind TEXT NOT NULL CHECK (kind IN ('standard', 'express', 'pickup')),
+    pickup_location TEXT,                        -- where pickup orders are collected
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    position INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS public.shipping_rates (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    method_id UUID NOT NULL REFERENCES public.shipping_methods(id) ON DELETE CASCADE,
+    zone_id UUID NOT NULL REFERENCES public.delivery_zones(id) ON DELETE CASCADE,
+    base_fee NUMERIC(10,2) NOT NULL DEFAULT 0 CHECK (base_fee >= 0),
+    included_weight_kg NUMERIC(8,3) NOT NULL DEFAULT 0 CHECK (included_weight_kg >= 0),
+    per_kg_fee NUMERIC(10,2) NOT NULL DEFAULT 0 CHECK (per_kg_fee >= 0),
+    max_weight_kg NUMERIC(8,3) CHECK (max_weight_kg IS NULL OR max_weight_kg > 0),           -- heavier carts cannot use this rate
+    min_order_value NUMERIC(10,2) NOT NULL DEFAULT 0 CHECK (min_order_value >= 0),
+    free_shipping_threshold NUMERIC(10,2) CHECK (free_shipping_threshold IS NULL OR free_shipping_threshold > 0),
+    min_days INTEGER NOT NULL DEFAULT 1 CHECK (min_days >= 0),
+    max_days INTEGER NOT NULL DEFAULT 3,
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    CONSTRAINT shipping_rates_method_zone_key UNIQUE (method_id, zone_id),
+    CONSTRAINT shipping_rates_days_check CHECK (max_days >= min_days)
+);
+
+CREATE INDEX IF NOT EXISTS idx_shipping_rates_zone ON public.shipping_rates(zone_id);
+
+ALTER TABLE public.orders ADD COLUMN IF NOT EXISTS shipping_method_id UUID REFERENCES public.shipping_methods(id) ON DELETE SET NULL;
+ALTER TABLE public.orders ADD COLUMN IF NOT EXISTS shipping_method_code TEXT;   -- snapshot at order time
+ALTER TABLE public.orders ADD COLUMN IF NOT EXISTS shipping_method_name TEXT;   -- snapshot at order time
+ALTER TABLE public.orders ADD COLUMN IF NOT EXISTS shipping_zone_id UUID REFERENCES public.delivery_zones(id) ON DELETE SET NULL;
+ALTER TABLE public.orders ADD COLUMN IF NOT EXISTS shipping_fee NUMERIC(10,2) NOT NULL DEFAULT 0;
+ALTER TABLE public.orders ADD COLUMN IF NOT EXISTS estimated_delivery_start DATE;
+ALTER TABLE public.orders ADD COLUMN IF NOT EXISTS estimated_delivery_end DATE;
+
+-- RLS: anyone can read what is on offer (the quote runs with the shopper's client); admins manage it
+ALTER TABLE public.delivery_zones ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.shipping_methods ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.shipping_rates ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Allow public read access to active delivery zones" ON public.delivery_zones;
+CREATE POLICY "Allow public read access to active delivery zones"
+ON public.delivery_zones
+FOR SELECT
+USING ( is_active );
+
+DROP POLICY IF EXISTS "Allow ADMIN full access to delivery zones" ON public.delivery_zones;
+CREATE POLICY "Allow ADMIN full access to delivery zones"
+ON public.delivery_zones
+FOR ALL
+USING ( public.is_admin() )
+WITH CHECK ( public.is_admin() );
+
+DROP POLICY IF EXISTS "Allow public read access to active shipping methods" ON public.shipping_methods;
+CREATE POLICY "Allow public read access to active shipping methods"
+ON public.shipping_methods
+FOR SELECT
+USING ( is_active );
+
+DROP POLICY IF EXISTS "Allow ADMIN full access to shipping methods" ON public.shipping_methods;
+CREATE POLICY "Allow ADMIN full access to shipping methods"
+ON public.shipping_methods
+FOR ALL
+USING ( public.is_admin() )
+WITH CHECK ( public.is_admin() );
+
+DROP POLICY IF EXISTS "Allow public read access to active shipping rates" ON public.shipping_rates;
+CREATE POLICY "Allow public read access to active shipping rates"
+ON public.shipping_rates
+FOR SELECT
+USING ( is_active );
+
+DROP POLICY IF EXISTS "Allow ADMIN full access to shipping rates" ON public.shipping_rates;
+CREATE POLICY "Allow ADMIN full access to shipping rates"
+ON public.shipping_rates
+FOR ALL
+USING ( public.is_admin() )
+WITH CHECK ( public.is_admin() );
+
+-- ---------------------------------------------------------------------------
+-- Starting configuration (admins edit it from /admin/shipping)
+-- ---------------------------------------------------------------------------
+
+INSERT INTO public.delivery_zones (name, description, sub_cities, cities, position) VALUES
+  ('Addis Ababa - Central', 'Inner sub-cities, served from the Bole warehouse',
+   ARRAY['Addis Ketema', 'Arada', 'Bole', 'Kirkos', 'Lideta', 'Yeka'], '{}', 1),
+  ('Addis Ababa - Outer', 'Outer sub-cities',
+   ARRAY['Akaky Kaliti', 'Gullele', 'Kolfe Keranio', 'Lemi Kura', 'Nifas Silk-Lafto'], '{}', 2),
+  ('Regional Cities', 'Courier delivery to major regional cities',
+   '{}', ARRAY['Adama', 'Bahir Dar', 'Bishoftu', 'Dessie', 'Dire Dawa', 'Gondar', 'Harar', 'Hawassa', 'Jimma', 'Mekelle'], 3)
+ON CONFLICT (name) DO NOTHING;
+
+INSERT INTO public.shipping_methods (code, name, description, kind, pickup_location, position) VALUES
+  ('standard', 'Standard Delivery', 'Delivered to your door', 'standard', NULL, 1),
+  ('express', 'Express Delivery', 'Same or next day in Addis Ababa', 'express', NULL, 2),
+  ('pickup', 'Pickup Point', 'Collect your order from our Bole pickup point', 'pickup', 'SuriAddis Pickup Point, Bole Medhanialem, next to Edna Mall', 3)
+ON CONFLICT (code) DO NOTHING;
+
+INSERT INTO public.shipping_rates
+  (method_id, zone_id, base_fee, included_weight_kg, per_kg_fee, free_shipping_threshold, min_days, max_days)
+SELECT m.id, z.id, r.base_fee, r.included_weight_kg, r.per_kg_fee, r.free_shipping_threshold, r.min_days, r.max_days
+FROM (VALUES
+  ('standard', 'Addis Ababa - Central', 100, 2, 20, 5000, 1, 2),
+  ('standard', 'Addis Ababa - Outer', 150, 2, 25, 5000, 2, 3),
+  ('standard', 'Regional Cities', 350, 1, 60, 15000, 3, 5),
+  ('express', 'Addis Ababa - Central', 250, 2, 30, NULL, 0, 1),
+  ('express', 'Addis Ababa - Outer', 300, 2, 35, NULL, 1, 1),
+  ('pickup', 'Addis Ababa - Central', 0, 0, 0, NULL, 1, 2),
+  ('pickup', 'Addis Ababa - Outer', 0, 0, 0, NULL, 1, 2)
+) AS r(method_code, zone_name, base_fee, included_weight_kg, per_kg_fee, free_shipping_threshold, min_days, max_days)
+JOIN public.shipping_methods m ON m.code = r.method_code
+JOIN public.delivery_zones z ON z.name = r.zone_name
+ON CONFLICT (method_id, zone_id) DO NOTHING;
+
+-- ---------------------------------------------------------------------------
+-- Ordering
+-- ---------------------------------------------------------------------------
+
+-- Same contract as before, plus the shipping choice priced by create-order. p_total_amount
+-- already includes the fee.
+-- p_shipping: null, or { "methodId": uuid, "code": text, "name": text, "zoneId": uuid,
+--   "fee": numeric, "estimatedStart": date, "estimatedEnd": date }
+DROP FUNCTION IF EXISTS public.create_order_with_stock(jsonb, numeric, numeric, jsonb, jsonb);
+
+CREATE OR REPLACE FUNCTION public.create_order_with_stock(
+  p_shipping_address jsonb,
+  p_subtotal_amount numeric,
+  p_total_amount numeric,
+  p_items jsonb,
+  p_discount jsonb DEFAULT NULL,
+  p_shipping jsonb DEFAULT NULL
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER -- Needs to update products/product_variants stock, which only admins may write under RLS
+SET search_path = public
+AS $$
+declare
+  v_user_id uuid := auth.uid();
+  v_item record;
+  v_insufficient jsonb := '[]'::jsonb;
+  v_order public.orders%rowtype;
+  v_coupon public.coupons%rowtype;
+  v_discount_amount numeric := coalesce((p_discount ->> 'amount')::numeric, 0);
+begin
+  if v_user_id is null then
+    raise exception 'create_order_with_stock requires an authenticated user';
+  end if;
+
+  if p_discount is not null then
+    select * into v_coupon from public.coupons where id = (p_discount ->> 'couponId')::uuid for update;
+    if not found or not v_coupon.is_active then
+      return jsonb_build_object('success', false, 'code', 'COUPON_INVALID', 'error', 'This promo code is no longer valid');
+    end if;
+    if v_coupon.usage_limit is not null
+       and (select count(*) from public.order_discounts where coupon_id = v_coupon.id) >= v_coupon.usage_limit then
+      return jsonb_build_object('success', false, 'code', 'COUPON_INVALID', 'error', 'This promo code has reached its usage limit');
+    end if;
+    if v_coupon.per_user_limit is not null
+       and (select count(*) from public.order_discounts where coupon_id = v_coupon.id and user_id = v_user_id) >= v_coupon.per_user_limit then
+      return jsonb_build_object('success', false, 'code', 'COUPON_INVALID', 'error', 'You have already used this promo code');
+    end if;
+  end if;
+
+  perform 1 from public.products
+   where id in (select ("value" ->> 'productId')::uuid from jsonb_array_elements(p_items))
+   order by id
+   for update;
+
+  if exists (
+    select 1 from jsonb_array_elements(p_items) item
+    where item ->> 'variantId' is not null
+      and not exists (
+        select 1 from public.product_variants v
+        where v.id = (item ->> 'variantId')::uuid and v.product_id = (item ->> 'productId')::uuid
+      )
+  ) then
+    raise exception 'Variant does not belong to the ordered product' using errcode = 'check_violation';
+  end if;
+
+  -- Variant lines: check the variant's own stock
+  for v_item in
+    select v.id, v.product_id, p.name, public.product_variant_label(v) as label,
+           v.stock_quantity as available, req.quantity as requested
+    from (
+      select ("value" ->> 'variantId')::uuid as variant_id, sum(("value" ->> 'quantity')::int) as quantity
+      from jsonb_array_elements(p_items)
+      where "value" ->> 'variantId' is not null
+      group by 1
+    ) req
+    join public.product_variants v on v.id = req.variant_id
+    join public.products p on p.id = v.product_id
+    order by v.id
+    for update of v
+  loop
+    if v_item.available < v_item.requested then
+      v_insufficient := v_insufficient || jsonb_build_object(
+        'productId', v_item.product_id,
+        'variantId', v_item.id,
+        'name', v_item.name || coalesce(' (' || v_item.label || ')', ''),
+        'requested', v_item.requested,
+        'available', v_item.available
+      );
+    end if;
+  end loop;
+
+  -- Plain lines: check the product's stock
+  for v_item in
+    select p.id, p.name, coalesce(p.stock_quantity, 0) as available, req.quantity as requested
+    from (
+      select ("value" ->> 'productId')::uuid as product_id, sum(("value" ->> 'quantity')::int) as quantity
+      from jsonb_array_elements(p_items)
+      where "value" ->> 'variantId' is null
+      group by 1
+    ) req
+    join public.products p on p.id = req.product_id
+    order by p.id
+  loop
+    if v_item.available < v_item.requested then
+      v_insufficient := v_insufficient || jsonb_build_object(
+        'productId', v_item.id,
+        'name', v_item.name,
+        'requested', v_item.requested,
+        'available', v_item.available
+      );
+    end if;
+  end loop;
+
+  if jsonb_array_length(v_insufficient) > 0 then
+    return jsonb_build_object('success', false, 'code', 'INSUFFICIENT_STOCK', 'insufficientItems', v_insufficient);
+  end if;
+
+  update public.product_variants v
+  set stock_quantity = v.stock_quantity - req.quantity,
+      updated_at = now()
+  from (
+    select ("value" ->> 'variantId')::uuid as variant_id, sum(("value" ->> 'quantity')::int) as quantity
+    from jsonb_array_elements(p_items)
+    where "value" ->> 'variantId' is not null
+    group by 1
+  ) req
+  where v.id = req.variant_id;
+
+  update public.products p
+  set stock_quantity = p.stock_quantity - req.quantity
+  from (
+    select ("value" ->> 'productId')::uuid as product_id, sum(("value" ->> 'quantity')::int) as quantity
+    from jsonb_array_elements(p_items)
+    where "value" ->> 'variantId' is null
+    group by 1
+  ) req
+  where p.id = req.product_id;
+
+  insert into public.orders (
+    "userId", "shippingAddress", "totalAmount", subtotal_amount, discount_amount, coupon_code, status,
+    shipping_method_id, shipping_method_code, shipping_method_name, shipping_zone_id, shipping_fee,
+    estimated_delivery_start, estimated_delivery_end
+  )
+  values (
+    v_user_id, p_shipping_address, p_total_amount, p_subtotal_amount, v_discount_amount, p_discount ->> 'code', 'pending',
+    (p_shipping ->> 'methodId')::uuid, p_shipping ->> 'code', p_shipping ->> 'name', (p_shipping ->> 'zoneId')::uuid,
+    coalesce((p_shipping ->> 'fee')::numeric, 0),
+    (p_shipping ->> 'estimatedStart')::date, (p_shipping ->> 'estimatedEnd')::date
+  )
+  returning * into v_order;
+
+  insert into public.order_items ("orderId", "productId", quantity, price, variant_id, variant_sku, variant_label)
+  select v_order.id, (item ->> 'productId')::uuid, (item ->> 'quantity')::int, (item ->> 'price')::numeric,
+         v.id, v.sku, public.product_variant_label(v)
+  from jsonb_array_elements(p_items) as item
+  left join public.product_variants v on v.id = (item ->> 'variantId')::uuid;
+
+  if p_discount is not null then
+    insert into public.order_discounts (order_id, coupon_id, user_id, code, description, amount)
+    values (v_order.id, v_coupon.id, v_user_id, v_coupon.code, p_discount ->> 'description', v_discount_amount);
+  end if;
+
+  return jsonb_build_object('success', true, 'order', to_jsonb(v_order));
+end;
+$$;
+
+REVOKE ALL ON FUNCTION public.create_order_with_stock(jsonb, numeric, numeric, jsonb, jsonb, jsonb) FROM public, anon;
+GRANT EXECUTE ON FUNCTION public.create_order_with_stock(jsonb, numeric, numeric, jsonb, jsonb, jsonb) TO authenticated;
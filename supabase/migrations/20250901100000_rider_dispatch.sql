@@ -0,0 +1,572 @@
+-- Local delivery: riders and dispatch.
+--
+-- * Riders are users with user_role 'RIDER' in app_metadata (set by save-admin-rider) and a
+--   riders row. A deactivated rider keeps the role but can no longer act on deliveries.
+-- * Admins assign shipped orders (anything but pickup) to a rider: one deliveries row per order;
+--   assigning again hands it to another rider.
+-- * The rider starts the run (-> out_for_delivery), which emails/texts the customer a 6-digit
+--   delivery code, then completes it with proof (the code, a photo or a signature) or reports a
+--   failed attempt and starts again later.
+-- * Assignment, out-for-delivery and failed attempts are written to order_status_history as
+--   events (event set, status unchanged) so they show in the order timeline. Completing moves
+--   the order to 'delivered', recorded with actor_role 'rider'.
+-- * Delivery codes are only stored hashed, in delivery_codes, which no client can read.
+--
+-- Everything riders do goes through the SECURITY DEFINER functions below; the admin app calls
+-- them directly, the web admin through the *-admin-* edge functions.
+
+-- ---------------------------------------------------------------------------
+-- Riders
+-- ---------------------------------------------------------------------------
+
+CREATE OR REPLACE FUNCTION public.is_rider()
+RETURNS boolean
+LANGUAGE sql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT (auth.jwt() ->> 'app_metadata')::jsonb ->> 'user_role' = 'RIDER';
+$$;
+
+CREATE TABLE IF NOT EXISTS public.riders (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL UNIQUE REFERENCES auth.users(id) ON DELETE CASCADE,
+    full_name TEXT NOT NULL,
+    phone TEXT NOT NULL,               -- +2519XXXXXXXX, for dispatch to call
+    vehicle TEXT NOT NULL DEFAULT 'motorbike' CHECK (vehicle IN ('motorbike', 'bicycle', 'car', 'on_foot')),
+    notes TEXT,
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+ALTER TABLE public.riders ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Allow ADMIN full access to riders" ON public.riders;
+CREATE POLICY "Allow ADMIN full access to riders"
+ON public.riders
+FOR ALL
+TO authenticated
+USING ( public.is_admin() )
+WITH CHECK ( public.is_admin() );
+
+DROP POLICY IF EXISTS "Allow riders to read their own rider profile" ON public.riders;
+CREATE POLICY "Allow riders to read their own rider profile"
+ON public.riders
+FOR SELECT
+TO authenticated
+USING ( user_id = auth.uid() );
+
+-- The caller's riders.id, or NULL when they are not an active rider
+CREATE OR REPLACE FUNCTION public.current_rider_id()
+RETURNS uuid
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  select r.id from public.riders r where r.user_id = auth.uid() and r.is_active and public.is_rider();
+$$;
+
+-- ---------------------------------------------------------------------------
+-- Deliveries
+-- ---------------------------------------------------------------------------
+
+CREATE TABLE IF NOT EXISTS public.deliveries (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    order_id UUID NOT NULL UNIQUE REFERENCES public.orders(id) ON DELETE CASCADE,
+    rider_id UUID NOT NULL REFERENCES public.riders(id),
+    -- cancelled: the order left 'shipped' some other way (e.g. returned) before it was delivered
+    status TEXT NOT NULL DEFAULT 'assigned'
+      CHECK (status IN ('assigned', 'out_for_delivery', 'delivered', 'failed', 'cancelled')),
+    assigned_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    assigned_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    started_at TIMESTAMPTZ,
+    delivered_at TIMESTAMPTZ,
+    failed_attempts INTEGER NOT NULL DEFAULT 0,
+    failure_reason TEXT,               -- from the latest failed attempt
+    proof_type TEXT CHECK (proof_type IN ('otp', 'photo', 'signature')),
+    proof_path TEXT,                   -- photo or signature in the delivery-proofs bucket
+    recipient_name TEXT,
+    rider_note TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_deliveries_rider_id ON public.deliveries(rider_id, status);
+
+CREATE TABLE IF NOT EXISTS public.delivery_codes (
+    delivery_id UUID PRIMARY KEY REFERENCES public.deliveries(id) ON DELETE CASCADE,
+    code_hash TEXT NOT NULL,           -- delivery_code_hash(delivery_id, code)
+    failed_checks INTEGER NOT NULL DEFAULT 0,
+    verified_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+ALTER TABLE public.delivery_codes ENABLE ROW LEVEL SECURITY;
+-- No policies: only the functions below read or write codes.
+
+-- Whether the caller is the active rider the order is assigned to. SECURITY DEFINER so the
+-- orders policies below can use it without going through the deliveries policies (and back).
+CREATE OR REPLACE FUNCTION public.is_assigned_rider(p_order_id uuid)
+RETURNS boolean
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  select exists (
+    select 1 from public.deliveries d where d.order_id = p_order_id and d.rider_id = public.current_rider_id()
+  );
+$$;
+
+ALTER TABLE public.deliveries ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Allow admins, riders and customers to read deliveries" ON public.deliveries;
+CREATE POLICY "Allow admins, riders and customers to read deliveries"
+ON public.deliveries
+FOR SELECT
+TO authenticated
+USING (
+  public.is_admin()
+  OR rider_id = public.current_rider_id()
+  OR EXISTS (SELECT 1 FROM public.orders o WHERE o.id = order_id AND o."userId" = auth.uid())
+);
+-- No insert/update policies: rows are written by the functions below.
+
+DROP POLICY IF EXISTS "Allow riders to read orders assigned to them" ON public.orders;
+CREATE POLICY "Allow riders to read orders assigned to them"
+ON public.orders
+FOR SELECT
+TO authenticated
+USING ( public.is_assigned_rider(id) );
+
+DROP POLICY IF EXISTS "Allow riders to read items of orders assigned to them" ON public.order_items;
+CREATE POLICY "Allow riders to read items of orders assigned to them"
+ON public.order_items
+FOR SELECT
+TO authenticated
+USING ( public.is_assigned_rider("orderId") );
+
+-- ---------------------------------------------------------------------------
+-- Order timeline: delivery events and rider actors
+-- ---------------------------------------------------------------------------
+
+ALTER TABLE public.order_status_history ADD COLUMN IF NOT EXISTS event TEXT;
+COMMENT ON COLUMN public.order_status_history.event IS
+  'Set for timeline entries that do not change the status (rider_assigned, out_for_delivery, delivery_failed); from_status = to_status then';
+
+ALTER TABLE public.order_status_history DROP CONSTRAINT IF EXISTS order_status_history_actor_role_check;
+ALTER TABLE public.order_status_history ADD CONSTRAINT order_status_history_actor_role_check
+  CHECK (actor_role IN ('customer', 'admin', 'rider', 'system'));
+
+CREATE OR REPLACE FUNCTION public.current_actor_role()
+RETURNS text
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  select case
+    when auth.uid() is null then 'system'
+    when public.is_admin() then 'admin'
+    when public.is_rider() then 'rider'
+    else 'customer'
+  end;
+$$;
+
+-- Same as before, with riders recorded as such
+CREATE OR REPLACE FUNCTION public.record_order_status_change()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+begin
+  if tg_op = 'UPDATE' and new.status is not distinct from old.status then
+    return new;
+  end if;
+
+  insert into public.order_status_history (order_id, from_status, to_status, changed_by, actor_role, note)
+  values (
+    new.id,
+    case when tg_op = 'UPDATE' then old.status end,
+    new.status,
+    auth.uid(),
+    public.current_actor_role(),
+    nullif(current_setting('app.order_status_note', true), '')
+  );
+  return new;
+end;
+$$;
+
+CREATE OR REPLACE FUNCTION public.log_order_event(p_order_id uuid, p_event text, p_note text DEFAULT NULL)
+RETURNS void
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+begin
+  insert into public.order_status_history (order_id, from_status, to_status, changed_by, actor_role, note, event)
+  select o.id, o.status, o.status, auth.uid(), public.current_actor_role(), nullif(trim(p_note), ''), p_event
+    from public.orders o
+   where o.id = p_order_id;
+end;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.log_order_event(uuid, text, text) FROM PUBLIC, anon, authenticated;
+
+-- An order leaving 'shipped' without the rider (an admin marks it delivered, or it is returned)
+-- closes its open delivery so it drops off the rider's list.
+CREATE OR REPLACE FUNCTION public.close_delivery_on_order_status()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+begin
+  if old.status = 'shipped' and new.status is distinct from old.status then
+    update public.deliveries
+       set status = case when new.status = 'delivered' then 'delivered' else 'cancelled' end,
+           delivered_at = case when new.status = 'delivered' then now() else delivered_at end,
+           updated_at = now()
+     where order_id = new.id
+       and status in ('assigned', 'out_for_delivery', 'failed');
+  end if;
+  return new;
+end;
+$$;
+
+DROP TRIGGER IF EXISTS close_delivery_on_order_status ON public.orders;
+CREATE TRIGGER close_delivery_on_order_status
+  AFTER UPDATE OF status ON public.orders
+  FOR EACH ROW
+  EXECUTE FUNCTION public.close_delivery_on_order_status();
+
+-- ---------------------------------------------------------------------------
+-- Delivery code notification
+-- ---------------------------------------------------------------------------
+
+ALTER TABLE public.notification_outbox DROP CONSTRAINT IF EXISTS notification_outbox_template_check;
+ALTER TABLE public.notification_outbox ADD CONSTRAINT notification_outbox_template_check CHECK (template IN (
+  'order_placed', 'order_shipped', 'order_delivered', 'seller_approved', 'payout_sent', 'password_reset',
+  'review_received', 'delivery_code'
+));
+-- delivery_code has no preference toggle (notification_preference_for returns NULL): the customer
+-- needs it to receive the order. SMS still respects sms_notifications.
+
+CREATE OR REPLACE FUNCTION public.delivery_code_hash(p_delivery_id uuid, p_code text)
+RETURNS text
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  select encode(sha256(convert_to(p_delivery_id::text || ':' || p_code, 'UTF8')), 'hex');
+$$;
+
+-- ---------------------------------------------------------------------------
+-- Dispatch (admins)
+-- ---------------------------------------------------------------------------
+
+-- Assigns a shipped order to a rider, or hands it to another one. Any delivery code already
+-- sent stops working; the new run gets its own.
+CREATE OR REPLACE FUNCTION public.assign_delivery(p_order_id uuid, p_rider_id uuid, p_note text DEFAULT NULL)
+RETURNS public.deliveries
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+declare
+  v_order public.orders%rowtype;
+  v_delivery public.deliveries%rowtype;
+begin
+  if not public.is_admin() then
+    raise exception 'Only admins can assign deliveries' using errcode = 'insufficient_privilege';
+  end if;
+
+  select * into v_order from public.orders where id = p_order_id for update;
+  if not found then
+    raise exception 'Order % not found', p_order_id using errcode = 'no_data_found';
+  end if;
+  if v_order.status <> 'shipped' then
+    raise exception 'Only shipped orders can be given to a rider (this one is %)', v_order.status
+      using errcode = 'check_violation';
+  end if;
+  if exists (select 1 from public.shipping_methods m where m.id = v_order.shipping_method_id and m.kind = 'pickup') then
+    raise exception 'Pickup orders are collected by the customer' using errcode = 'check_violation';
+  end if;
+  if not exists (select 1 from public.riders r where r.id = p_rider_id and r.is_active) then
+    raise exception 'Rider % not found or inactive', p_rider_id using errcode = 'check_violation';
+  end if;
+
+  insert into public.deliveries (order_id, rider_id, assigned_by)
+  values (p_order_id, p_rider_id, auth.uid())
+  on conflict (order_id) do update
+     set rider_id = excluded.rider_id,
+         status = 'assigned',
+         assigned_by = excluded.assigned_by,
+         assigned_at = now(),
+         started_at = null,
+         updated_at = now()
+  returning * into v_delivery;
+
+  delete from public.delivery_codes where delivery_id = v_delivery.id;
+  perform public.log_order_event(p_order_id, 'rider_assigned', p_note);
+  return v_delivery;
+end;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.assign_delivery(uuid, uuid, text) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.assign_delivery(uuid, uuid, text) TO authenticated;
+
+-- ---------------------------------------------------------------------------
+-- Rider actions
+-- ---------------------------------------------------------------------------
+
+-- The caller's open delivery, locked; raises when it is someone else's or already closed
+CREATE OR REPLACE FUNCTION public.lock_rider_delivery(p_delivery_id uuid, p_statuses text[])
+RETURNS public.deliveries
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+declare
+  v_delivery public.deliveries%rowtype;
+begin
+  select * into v_delivery
+    from public.deliveries
+   where id = p_delivery_id and rider_id = public.current_rider_id()
+     for update;
+  if not found then
+    raise exception 'Delivery % not found', p_delivery_id using errcode = 'no_data_found';
+  end if;
+  if not (v_delivery.status = any(p_statuses)) then
+    raise exception 'This delivery is %', replace(v_delivery.status, '_', ' ') using errcode = 'check_violation';
+  end if;
+  return v_delivery;
+end;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.lock_rider_delivery(uuid, text[]) FROM PUBLIC, anon, authenticated;
+
+-- Rider sets off with the order: issues a new delivery code and sends it to the customer by
+-- email and, for Ethiopian mobile numbers, SMS.
+CREATE OR REPLACE FUNCTION public.start_delivery(p_delivery_id uuid)
+RETURNS public.deliveries
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+declare
+  v_delivery public.deliveries%rowtype := public.lock_rider_delivery(p_delivery_id, array['assigned', 'failed']);
+  v_order public.orders%rowtype;
+  v_code text;
+  v_payload jsonb;
+  v_phone text;
+  v_dedupe text := 'delivery_code:' || p_delivery_id || ':' || extract(epoch from now())::bigint;
+begin
+  select * into v_order from public.orders where id = v_delivery.order_id;
+  if v_order.status <> 'shipped' then
+    raise exception 'This order is % and no longer needs delivering', v_order.status using errcode = 'check_violation';
+  end if;
+
+  -- 6 digits from the random part of a v4 UUID
+  v_code := lpad(((('x' || left(replace(gen_random_uuid()::text, '-', ''), 8))::bit(32)::bigint) % 1000000)::text, 6, '0');
+  insert into public.delivery_codes (delivery_id, code_hash)
+  values (p_delivery_id, public.delivery_code_hash(p_delivery_id, v_code))
+  on conflict (delivery_id) do update
+     set code_hash = excluded.code_hash, failed_checks = 0, verified_at = null, created_at = now();
+
+  update public.deliveries
+     set status = 'out_for_delivery', started_at = now(), updated_at = now()
+   where id = p_delivery_id
+  returning * into v_delivery;
+
+  perform public.log_order_event(v_order.id, 'out_for_delivery');
+
+  v_payload := jsonb_build_object(
+    'orderId', v_order.id,
+    'firstName', v_order."shippingAddress" ->> 'firstName',
+    'riderName', (select split_part(r.full_name, ' ', 1) from public.riders r where r.id = v_delivery.rider_id),
+    'code', v_code
+  );
+  perform public.enqueue_notification(
+    'delivery_code', public.order_notification_email(v_order), v_payload, v_order."userId", v_order.id, v_dedupe
+  );
+  v_phone := v_order."shippingAddress" ->> 'phone';
+  if v_phone ~ '^\+251[79][0-9]{8}$' then
+    perform public.enqueue_notification(
+      'delivery_code', v_phone, v_payload, v_order."userId", v_order.id, v_dedupe || ':sms', 'sms'
+    );
+  end if;
+
+  return v_delivery;
+end;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.start_delivery(uuid) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.start_delivery(uuid) TO authenticated;
+
+-- Checks the code the customer reads out. Wrong codes are counted (and kept, so this returns
+-- false rather than raising); after 5 the rider has to use a photo or signature instead.
+CREATE OR REPLACE FUNCTION public.check_delivery_code(p_delivery_id uuid, p_code text)
+RETURNS boolean
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+declare
+  v_delivery public.deliveries%rowtype := public.lock_rider_delivery(p_delivery_id, array['out_for_delivery']);
+  v_code public.delivery_codes%rowtype;
+begin
+  select * into v_code from public.delivery_codes where delivery_id = v_delivery.id for update;
+  if not found then
+    raise exception 'No delivery code was sent for this run' using errcode = 'no_data_found';
+  end if;
+  if v_code.failed_checks >= 5 then
+    raise exception 'Too many wrong codes. Take a photo or the customer''s signature instead.'
+      using errcode = 'check_violation';
+  end if;
+
+  if v_code.code_hash = public.delivery_code_hash(v_delivery.id, regexp_replace(coalesce(p_code, ''), '\D', '', 'g')) then
+    update public.delivery_codes set verified_at = now() where delivery_id = v_delivery.id;
+    return true;
+  end if;
+
+  update public.delivery_codes set failed_checks = failed_checks + 1 where delivery_id = v_delivery.id;
+  return false;
+end;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.check_delivery_code(uuid, text) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.check_delivery_code(uuid, text) TO authenticated;
+
+-- Hands the order over. Proof is 'otp' (after check_delivery_code accepted the code), or a
+-- 'photo' / 'signature' already uploaded to delivery-proofs/<delivery id>/.
+-- Moves the order to 'delivered', which queues the delivered email/SMS.
+CREATE OR REPLACE FUNCTION public.complete_delivery(
+  p_delivery_id uuid,
+  p_proof_type text,
+  p_proof_path text DEFAULT NULL,
+  p_recipient_name text DEFAULT NULL,
+  p_note text DEFAULT NULL
+)
+RETURNS public.deliveries
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+declare
+  v_delivery public.deliveries%rowtype := public.lock_rider_delivery(p_delivery_id, array['out_for_delivery']);
+begin
+  if p_proof_type = 'otp' then
+    if not exists (select 1 from public.delivery_codes c where c.delivery_id = p_delivery_id and c.verified_at is not null) then
+      raise exception 'Enter the customer''s delivery code first' using errcode = 'check_violation';
+    end if;
+  elsif p_proof_type in ('photo', 'signature') then
+    if p_proof_path is null
+       or p_proof_path not like p_delivery_id::text || '/%'
+       or not exists (select 1 from storage.objects o where o.bucket_id = 'delivery-proofs' and o.name = p_proof_path) then
+      raise exception 'Upload the % first', p_proof_type using errcode = 'check_violation';
+    end if;
+  else
+    raise exception 'Proof must be otp, photo or signature' using errcode = 'check_violation';
+  end if;
+
+  update public.deliveries
+     set status = 'delivered',
+         delivered_at = now(),
+         proof_type = p_proof_type,
+         proof_path = case when p_proof_type = 'otp' then null else p_proof_path end,
+         recipient_name = nullif(trim(p_recipient_name), ''),
+         rider_note = nullif(trim(p_note), ''),
+         updated_at = now()
+   where id = p_delivery_id
+  returning * into v_delivery;
+
+  perform set_config('app.order_status_note', concat_ws(' · ',
+    case p_proof_type
+      when 'otp' then 'Confirmed with the delivery code'
+      when 'photo' then 'Photo taken at handover'
+      else 'Signed for'
+    end,
+    'received by ' || nullif(trim(p_recipient_name), ''),
+    nullif(trim(p_note), '')
+  ), true);
+  update public.orders set status = 'delivered' where id = v_delivery.order_id;
+  perform set_config('app.order_status_note', '', true);
+
+  return v_delivery;
+end;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.complete_delivery(uuid, text, text, text, text) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.complete_delivery(uuid, text, text, text, text) TO authenticated;
+
+-- Nobody home, wrong address, refused... The order stays shipped; the rider can start again
+-- later (with a new code) or an admin can give it to someone else.
+CREATE OR REPLACE FUNCTION public.fail_delivery(p_delivery_id uuid, p_reason text)
+RETURNS public.deliveries
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+declare
+  v_delivery public.deliveries%rowtype := public.lock_rider_delivery(p_delivery_id, array['assigned', 'out_for_delivery']);
+begin
+  if nullif(trim(p_reason), '') is null then
+    raise exception 'Say why the delivery failed' using errcode = 'check_violation';
+  end if;
+
+  update public.deliveries
+     set status = 'failed',
+         failed_attempts = failed_attempts + 1,
+         failure_reason = left(trim(p_reason), 500),
+         updated_at = now()
+   where id = p_delivery_id
+  returning * into v_delivery;
+
+  delete from public.delivery_codes where delivery_id = p_delivery_id;
+  perform public.log_order_event(v_delivery.order_id, 'delivery_failed', left(trim(p_reason), 500));
+  return v_delivery;
+end;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.fail_delivery(uuid, text) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.fail_delivery(uuid, text) TO authenticated;
+
+-- ---------------------------------------------------------------------------
+-- Storage: proof photos and signatures live under <delivery id>/...
+-- ---------------------------------------------------------------------------
+
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('delivery-proofs', 'delivery-proofs', false)
+ON CONFLICT (id) DO NOTHING;
+
+CREATE OR REPLACE FUNCTION public.is_my_open_delivery(p_delivery_id text)
+RETURNS boolean
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  select exists (
+    select 1 from public.deliveries d
+     where d.id::text = p_delivery_id
+       and d.rider_id = public.current_rider_id()
+       and d.status = 'out_for_delivery'
+  );
+$$;
+
+DROP POLICY IF EXISTS "Allow riders to upload proof for their deliveries" ON storage.objects;
+CREATE POLICY "Allow riders to upload proof for their deliveries"
+ON storage.objects
+FOR INSERT
+TO authenticated
+WITH CHECK ( bucket_id = 'delivery-proofs' AND public.is_my_open_delivery((storage.foldername(name))[1]) );
+
+DROP POLICY IF EXISTS "Allow admins to read delivery proofs" ON storage.objects;
+CREATE POLICY "Allow admins to read delivery proofs"
+ON storage.objects
+FOR SELECT
+TO authenticated
+USING ( bucket_id = 'delivery-proofs' AND public.is_admin() );
@@ -0,0 +1,276 @@
+-- Guest checkout: orders placed without an account.
+--
+-- * A guest order has no "userId"; it keeps the shopper's email in guest_email and a random
+--   guest_token. create-order returns the token and the storefront keeps it, so the same
+--   browser can show the order and pay for it (get-guest-order, initiate-payment).
+-- * Anyone else finds a guest order with its order number (the first 8 characters of the id,
+--   as shown in emails, or the whole id) plus the email or phone it was placed with.
+-- * Guest orders are placed only by create-order with the service role; RLS keeps hiding them
+--   from every shopper, since their "userId" matches nobody.
+-- * When the shopper signs in with an account whose email is confirmed and matches guest_email,
+--   claim_guest_orders() moves those orders (and their payments, discounts and notifications)
+--   onto the account and drops the token.
+-- * Promo codes limited per customer need an account; other codes work for guests.
+
+-- ---------------------------------------------------------------------------
+-- Orders
+-- ---------------------------------------------------------------------------
+
+ALTER TABLE public.orders ALTER COLUMN "userId" DROP NOT NULL;
+
+ALTER TABLE public.orders
+  ADD COLUMN IF NOT EXISTS guest_email TEXT,           -- lower-cased; kept after the order is claimed
+  ADD COLUMN IF NOT EXISTS guest_token UUID UNIQUE;    -- only while the order is a guest order
+
+CREATE INDEX IF NOT EXISTS idx_orders_guest_email
+  ON public.orders (guest_email) WHERE "userId" IS NULL;
+
+-- ---------------------------------------------------------------------------
+-- Ordering
+-- ---------------------------------------------------------------------------
+
+-- Same contract as before, plus p_guest for orders without an account:
+-- p_guest: null, or { "email": text }. Only used when there is no signed-in user, and then only
+-- accepted from the service role (create-order).
+DROP FUNCTION IF EXISTS public.create_order_with_stock(jsonb, numeric, numeric, jsonb, jsonb, jsonb);
+
+CREATE OR REPLACE FUNCTION public.create_order_with_stock(
+  p_shipping_address jsonb,
+  p_subtotal_amount numeric,
+  p_total_amount numeric,
+  p_items jsonb,
+  p_discount jsonb DEFAULT NULL,
+  p_shipping jsonb DEFAULT NULL,
+  p_guest jsonb DEFAULT NULL
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER -- Needs to update products/product_variants stock, which only admins may write under RLS
+SET search_path = public
+AS $$
+declare
+  v_user_id uuid := auth.uid();
+  v_guest_email text := nullif(lower(trim(p_guest ->> 'email')), '');
+  v_item record;
+  v_insufficient jsonb := '[]'::jsonb;
+  v_order public.orders%rowtype;
+  v_coupon public.coupons%rowtype;
+  v_discount_amount numeric := coalesce((p_discount ->> 'amount')::numeric, 0);
+begin
+  if v_user_id is null and (coalesce(auth.role(), '') <> 'service_role' or v_guest_email is null) then
+    raise exception 'create_order_with_stock requires an authenticated user';
+  end if;
+
+  if p_discount is not null then
+    select * into v_coupon from public.coupons where id = (p_discount ->> 'couponId')::uuid for update;
+    if not found or not v_coupon.is_active then
+      return jsonb_build_object('success', false, 'code', 'COUPON_INVALID', 'error', 'This promo code is no longer valid');
+    end if;
+    if v_coupon.usage_limit is not null
+       and (select count(*) from public.order_discounts where coupon_id = v_coupon.id) >= v_coupon.usage_limit then
+      return jsonb_build_object('success', false, 'code', 'COUPON_INVALID', 'error', 'This promo code has reached its usage limit');
+    end if;
+    if v_coupon.per_user_limit is not null and v_user_id is null then
+      return jsonb_build_object('success', false, 'code', 'COUPON_INVALID', 'error', 'Sign in to use this promo code');
+    end if;
+    if v_coupon.per_user_limit is not null
+       and (select count(*) from public.order_discounts where coupon_id = v_coupon.id and user_id = v_user_id) >= v_coupon.per_user_limit then
+      return jsonb_build_object('success', false, 'code', 'COUPON_INVALID', 'error', 'You have already used this promo code');
+    end if;
+  end if;
+
+  perform 1 from public.products
+   where id in (select ("value" ->> 'productId')::uuid from jsonb_array_elements(p_items))
+   order by id
+   for update;
+
+  if exists (
+    select 1 from jsonb_array_elements(p_items) item
+    where item ->> 'variantId' is not null
+      and not exists (
+        select 1 from public.product_variants v
+        where v.id = (item ->> 'variantId')::uuid and v.product_id = (item ->> 'productId')::uuid
+      )
+  ) then
+    raise exception 'Variant does not belong to the ordered product' using errcode = 'check_violation';
+  end if;
+
+  -- Variant lines: check the variant's own stock
+  for v_item in
+    select v.id, v.product_id, p.name, public.product_variant_label(v) as label,
+           v.stock_quantity as available, req.quantity as requested
+    from (
+      select ("value" ->> 'variantId')::uuid as variant_id, sum(("value" ->> 'quantity')::int) as quantity
+      from jsonb_array_elements(p_items)
+      where "value" ->> 'variantId' is not null
+      group by 1
+    ) req
+    join public.product_variants v on v.id = req.variant_id
+    join public.products p on p.id = v.product_id
+    order by v.id
+    for update of v
+  loop
+    if v_item.available < v_item.requested then
+      v_insufficient := v_insufficient || jsonb_build_object(
+        'productId', v_item.product_id,
+        'variantId', v_item.id,
+        'name', v_item.name || coalesce(' (' || v_item.label || ')', ''),
+        'requested', v_item.requested,
+        'available', v_item.available
+      );
+    end if;
+  end loop;
+
+  -- Plain lines: check the product's stock
+  for v_item in
+    select p.id, p.name, coalesce(p.stock_quantity, 0) as available, req.quantity as requested
+    from (
+      select ("value" ->> 'productId')::uuid as product_id, sum(("value" ->> 'quantity')::int) as quantity
+      from jsonb_array_elements(p_items)
+      where "value" ->> 'variantId' is null
+      group by 1
+    ) req
+    join public.products p on p.id = req.product_id
+    order by p.id
+  loop
+    if v_item.available < v_item.requested then
+      v_insufficient := v_insufficient || jsonb_build_object(
+        'productId', v_item.id,
+        'name', v_item.name,
+        'requested', v_item.requested,
+        'available', v_item.available
+      );
+    end if;
+  end loop;
+
+  if jsonb_array_length(v_insufficient) > 0 then
+    return jsonb_build_object('success', false, 'code', 'INSUFFICIENT_STOCK', 'insufficientItems', v_insufficient);
+  end if;
+
+  update public.product_variants v
+  set stock_quantity = v.stock_quantity - req.quantity,
+      updated_at = now()
+  from (
+    select ("value" ->> 'variantId')::uuid as variant_id, sum(("value" ->> 'quantity')::int) as quantity
+    from jsonb_array_elements(p_items)
+    where "value" ->> 'variantId' is not null
+    group by 1
+  ) req
+  where v.id = req.variant_id;
+
+  update public.products p
+  set stock_quantity = p.stock_quantity - req.quantity
+  from (
+    select ("value" ->> 'productId')::uuid as product_id, sum(("value" ->> 'quantity')::int) as quantity
+    from jsonb_array_elements(p_items)
+    where "value" ->> 'variantId' is null
+    group by 1
+  ) req
+  where p.id = req.product_id;
+
+  insert into public.orders (
+    "userId", "shippingAddress", "totalAmount", subtotal_amount, discount_amount, coupon_code, status,
+    shipping_method_id, shipping_method_code, shipping_method_name, shipping_zone_id, shipping_fee,
+    estimated_delivery_start, estimated_delivery_end, guest_email, guest_token
+  )
+  values (
+    v_user_id, p_shipping_address, p_total_amount, p_subtotal_amount, v_discount_amount, p_discount ->> 'code', 'pending',
+    (p_shipping ->> 'methodId')::uuid, p_shipping ->> 'code', p_shipping ->> 'name', (p_shipping ->> 'zoneId')::uuid,
+    coalesce((p_shipping ->> 'fee')::numeric, 0),
+    (p_shipping ->> 'estimatedStart')::date, (p_shipping ->> 'estimatedEnd')::date,
+    case when v_user_id is null then v_guest_email end,
+    case when v_user_id is null then gen_random_uuid() end
+  )
+  returning * into v_order;
+
+  insert into public.order_items ("orderId", "productId", quantity, price, variant_id, variant_sku, variant_label)
+  select v_order.id, (item ->> 'productId')::uuid, (item ->> 'quantity')::int, (item ->> 'price')::numeric,
+         v.id, v.sku, public.product_variant_label(v)
+  from jsonb_array_elements(p_items) as item
+  left join public.product_variants v on v.id = (item ->> 'variantId')::uuid;
+
+  if p_discount is not null then
+    insert into public.order_discounts (order_id, coupon_id, user_id, code, description, amount)
+    values (v_order.id, v_coupon.id, v_user_id, v_coupon.code, p_discount ->> 'description', v_discount_amount);
+  end if;
+
+  return jsonb_build_object('success', true, 'order', to_jsonb(v_order));
+end;
+$$;
+
+REVOKE ALL ON FUNCTION public.create_order_with_stock(jsonb, numeric, numeric, jsonb, jsonb, jsonb, jsonb) FROM public, anon;
+GRANT EXECUTE ON FUNCTION public.create_order_with_stock(jsonb, numeric, numeric, jsonb, jsonb, jsonb, jsonb) TO authenticated, service_role;
+
+-- ---------------------------------------------------------------------------
+-- Looking up and claiming guest orders
+-- ---------------------------------------------------------------------------
+
+-- The guest order with this number (8+ leading characters of the id) placed with this email or
+-- phone (+2519XXXXXXXX, as create-order stores it). Used by get-guest-order; returns null when
+-- nothing matches, without saying which part was wrong.
+CREATE OR REPLACE FUNCTION public.find_guest_order(p_order_number text, p_email text, p_phone text)
+RETURNS uuid
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  select o.id
+    from public.orders o
+   where o."userId" is null
+     and length(p_order_number) >= 8
+     and o.id::text like lower(p_order_number) || '%'
+     and (o.guest_email = nullif(lower(trim(p_email)), '') or o."shippingAddress" ->> 'phone' = nullif(p_phone, ''))
+   order by o.created_at desc
+   limit 1;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.find_guest_order(text, text, text) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.find_guest_order(text, text, text) TO service_role;
+
+-- Moves the guest orders placed with the caller's email onto their account; returns how many.
+-- The email must be confirmed, otherwise anyone could sign up with someone else's address.
+CREATE OR REPLACE FUNCTION public.claim_guest_orders()
+RETURNS integer
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+declare
+  v_user_id uuid := auth.uid();
+  v_email text;
+  v_order_ids uuid[];
+begin
+  if v_user_id is null then
+    raise exception 'claim_guest_orders requires an authenticated user';
+  end if;
+
+  select lower(u.email) into v_email
+    from auth.users u
+   where u.id = v_user_id and u.email_confirmed_at is not null;
+  if v_email is null then
+    return 0;
+  end if;
+
+  with claimed as (
+    update public.orders
+       set "userId" = v_user_id, guest_token = null
+     where "userId" is null and guest_email = v_email
+    returning id
+  )
+  select coalesce(array_agg(id), '{}') into v_order_ids from claimed;
+
+  if cardinality(v_order_ids) = 0 then
+    return 0;
+  end if;
+
+  update public.payments set user_id = v_user_id where order_id = any(v_order_ids) and user_id is null;
+  update public.order_discounts set user_id = v_user_id where order_id = any(v_order_ids) and user_id is null;
+  update public.notification_outbox set user_id = v_user_id where order_id = any(v_order_ids) and user_id is null;
+
+  return cardinality(v_order_ids);
+end;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.claim_guest_orders() FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION public.claim_guest_orders() TO authenticated;
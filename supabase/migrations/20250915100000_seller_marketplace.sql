@@ -0,0 +1,242 @@
+-- Seller marketplace backend for the seller dashboard (see RESUME_MULTI_VENDOR.md).
+--
+-- * sellers, collections and seller_earnings (created in 20250608100000_seller_schema.sql) are
+--   extended with what the application and profile forms collect, and collection_items is
+--   created as planned there. Seller status gains 'rejected' for applications that were turned
+--   down.
+-- * Seller-scoped RLS: a seller reads and writes their own store, collections and the items
+--   in them, reads their own products, earnings and the order lines for their products (plus
+--   the orders those lines belong to). Shoppers read active collections of active sellers.
+-- * Store status and approval are admin-only: a trigger stops sellers changing them on their
+--   own row, so the seller functions can update it through RLS.
+-- * seller_storefronts exposes the public part of active stores (name, logo, description)
+--   without the contact, tax and bank columns.
+
+ALTER TABLE public.sellers ADD COLUMN IF NOT EXISTS contact_phone TEXT;
+ALTER TABLE public.sellers ADD COLUMN IF NOT EXISTS business_address TEXT;
+ALTER TABLE public.sellers ADD COLUMN IF NOT EXISTS business_type TEXT;
+ALTER TABLE public.sellers ADD COLUMN IF NOT EXISTS business_registration_number TEXT;
+ALTER TABLE public.sellers ADD COLUMN IF NOT EXISTS tax_id TEXT;
+ALTER TABLE public.sellers ADD COLUMN IF NOT EXISTS website_url TEXT;
+ALTER TABLE public.sellers ADD COLUMN IF NOT EXISTS social_media_links TEXT;
+ALTER TABLE public.sellers ADD COLUMN IF NOT EXISTS bank_name TEXT;
+ALTER TABLE public.sellers ADD COLUMN IF NOT EXISTS bank_account_number TEXT;
+ALTER TABLE public.sellers ADD COLUMN IF NOT EXISTS account_holder_name TEXT;
+-- Business, payout and privacy preferences from Seller Settings ({ business: {...}, payout: {...}, privacy: {...} })
+ALTER TABLE public.sellers ADD COLUMN IF NOT EXISTS settings JSONB NOT NULL DEFAULT '{}'::jsonb;
+ALTER TABLE public.sellers ADD COLUMN IF NOT EXISTS approval_date TIMESTAMPTZ;
+
+ALTER TABLE public.sellers DROP CONSTRAINT IF EXISTS sellers_status_check;
+ALTER TABLE public.sellers ADD CONSTRAINT sellers_status_check
+  CHECK (status IN ('pending_approval', 'active', 'suspended', 'rejected'));
+
+-- One store per account
+CREATE UNIQUE INDEX IF NOT EXISTS idx_sellers_user_id ON public.sellers(user_id);
+
+-- Collections are curated sets of products; a bundle price is optional
+ALTER TABLE public.collections ALTER COLUMN price DROP NOT NULL;
+ALTER TABLE public.collections ADD COLUMN IF NOT EXISTS display_order INT NOT NULL DEFAULT 0;
+
+CREATE INDEX IF NOT EXISTS idx_collections_seller ON public.collections(seller_id, display_order);
+
+CREATE TABLE IF NOT EXISTS public.collection_items (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    collection_id UUID REFERENCES public.collections(id) ON DELETE CASCADE,
+    product_id UUID REFERENCES public.products(id) ON DELETE CASCADE,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE(collection_id, product_id)
+);
+
+-- Only admins (or the service role) move a store between statuses
+CREATE OR REPLACE FUNCTION public.protect_seller_status()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+begin
+  if auth.role() = 'service_role' or public.is_admin() then
+    return new;
+  end if;
+  if new.status is distinct from old.status
+     or new.approval_date is distinct from old.approval_date
+     or new.commission_rate is distinct from old.commission_rate
+     or new.user_id is distinct from old.user_id then
+    raise exception 'Only SuriAddis can change the status of a store' using errcode = 'insufficient_privilege';
+  end if;
+  new.updated_at := now();
+  return new;
+end;
+$$;
+
+DROP TRIGGER IF EXISTS protect_seller_status ON public.sellers;
+CREATE TRIGGER protect_seller_status
+  BEFORE UPDATE ON public.sellers
+  FOR EACH ROW
+  EXECUTE FUNCTION public.protect_seller_status();
+
+-- Whether the order has a line for the calling seller. SECURITY DEFINER so the orders policy
+-- below does not re-enter the order_items policies (which read orders).
+CREATE OR REPLACE FUNCTION public.order_has_seller_items(p_order_id uuid)
+RETURNS boolean
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  select public.current_seller_id() is not null
+     and exists (
+       select 1
+         from public.order_items oi
+         left join public.products p on p.id = oi."productId"
+        where oi."orderId" = p_order_id
+          and coalesce(oi.seller_id, p.seller_id) = public.current_seller_id()
+     );
+$$;
+
+CREATE OR REPLACE FUNCTION public.is_seller_order_item(p_order_item_id uuid)
+RETURNS boolean
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  select public.current_seller_id() is not null
+     and exists (
+       select 1
+         from public.order_items oi
+         left join public.products p on p.id = oi."productId"
+        where oi.id = p_order_item_id
+          and coalesce(oi.seller_id, p.seller_id) = public.current_seller_id()
+     );
+$$;
+
+-- Shoppers see a collection while it and its store are active
+CREATE OR REPLACE FUNCTION public.is_public_collection(p_collection_id uuid)
+RETURNS boolean
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  select exists (
+    select 1
+      from public.collections c
+      join public.sellers s on s.id = c.seller_id
+     where c.id = p_collection_id and c.status = 'active' and s.status = 'active'
+  );
+$$;
+
+CREATE OR REPLACE FUNCTION public.owns_collection(p_collection_id uuid)
+RETURNS boolean
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  select public.current_seller_id() is not null
+     and exists (select 1 from public.collections where id = p_collection_id and seller_id = public.current_seller_id());
+$$;
+
+ALTER TABLE public.sellers ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.collections ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.collection_items ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.seller_earnings ENABLE ROW LEVEL SECURITY;
+
+-- sellers: the applicant/owner and admins
+DROP POLICY IF EXISTS "Allow users to read their own store" ON public.sellers;
+CREATE POLICY "Allow users to read their own store"
+ON public.sellers
+FOR SELECT
+TO authenticated
+USING (user_id = auth.uid() OR public.is_admin());
+
+DROP POLICY IF EXISTS "Allow users to apply for a store" ON public.sellers;
+CREATE POLICY "Allow users to apply for a store"
+ON public.sellers
+FOR INSERT
+TO authenticated
+WITH CHECK (user_id = auth.uid() AND status = 'pending_approval');
+
+DROP POLICY IF EXISTS "Allow users to update their own store" ON public.sellers;
+CREATE POLICY "Allow users to update their own store"
+ON public.sellers
+FOR UPDATE
+TO authenticated
+USING (user_id = auth.uid() OR public.is_admin())
+WITH CHECK (user_id = auth.uid() OR public.is_admin());
+
+-- collections: sellers manage their own, everyone reads public ones
+DROP POLICY IF EXISTS "Allow everyone to read public collections" ON public.collections;
+CREATE POLICY "Allow everyone to read public collections"
+ON public.collections
+FOR SELECT
+TO anon, authenticated
+USING (public.is_public_collection(id));
+
+DROP POLICY IF EXISTS "Allow sellers to manage their collections" ON public.collections;
+CREATE POLICY "Allow sellers to manage their collections"
+ON public.collections
+FOR ALL
+TO authenticated
+USING (seller_id = public.current_seller_id() OR public.is_admin())
+WITH CHECK (seller_id = public.current_seller_id() OR public.is_admin());
+
+DROP POLICY IF EXISTS "Allow everyone to read public collection items" ON public.collection_items;
+CREATE POLICY "Allow everyone to read public collection items"
+ON public.collection_items
+FOR SELECT
+TO anon, authenticated
+USING (public.is_public_collection(collection_id));
+
+-- Only the seller's own products go into their collections
+DROP POLICY IF EXISTS "Allow sellers to manage their collection items" ON public.collection_items;
+CREATE POLICY "Allow sellers to manage their collection items"
+ON public.collection_items
+FOR ALL
+TO authenticated
+USING (public.owns_collection(collection_id) OR public.is_admin())
+WITH CHECK (
+  public.is_admin()
+  OR (
+    public.owns_collection(collection_id)
+    AND exists (select 1 from public.products p where p.id = product_id and p.seller_id = public.current_seller_id())
+  )
+);
+
+DROP POLICY IF EXISTS "Allow sellers to read their earnings" ON public.seller_earnings;
+CREATE POLICY "Allow sellers to read their earnings"
+ON public.seller_earnings
+FOR SELECT
+TO authenticated
+USING (seller_id = public.current_seller_id() OR public.is_admin());
+
+-- Including inactive ones, which the public product policies hide
+DROP POLICY IF EXISTS "Allow sellers to read their products" ON public.products;
+CREATE POLICY "Allow sellers to read their products"
+ON public.products
+FOR SELECT
+TO authenticated
+USING (seller_id IS NOT NULL AND seller_id = public.current_seller_id());
+
+DROP POLICY IF EXISTS "Allow sellers to read their order items" ON public.order_items;
+CREATE POLICY "Allow sellers to read their order items"
+ON public.order_items
+FOR SELECT
+TO authenticated
+USING (public.is_seller_order_item(id));
+
+DROP POLICY IF EXISTS "Allow sellers to read orders with their items" ON public.orders;
+CREATE POLICY "Allow sellers to read orders with their items"
+ON public.orders
+FOR SELECT
+TO authenticated
+USING (public.order_has_seller_items(id));
+
+-- Public face of active stores, for collection and product pages
+CREATE OR REPLACE VIEW public.seller_storefronts AS
+  select id, store_name, store_slug, store_logo_url, store_description, created_at
+    from public.sellers
+   where status = 'active';
+
+GRANT SELECT ON public.seller_storefronts TO anon, authenticated;
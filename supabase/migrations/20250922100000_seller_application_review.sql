@@ -0,0 +1,208 @@
+-- Seller application review for admins.
+--
+-- * review_seller_application() is the one way admins move a store between statuses:
+--   approve, reject or ask for more information on an application, suspend an active store
+--   and reinstate a suspended one. Rejections, information requests and suspensions need a
+--   reason, which the applicant sees (sellers.review_note).
+-- * 'needs_info' is a new store status: the applicant updates and resubmits their application
+--   (apply-for-seller-account), which puts it back in pending_approval.
+-- * seller_status_history records every status change with who made it and why.
+-- * Every change emails the applicant (seller_approved, seller_rejected, seller_info_requested,
+--   seller_suspended, seller_reinstated). This replaces enqueue_seller_approved_notification.
+-- * Approval promotes the account's profiles.role to 'seller'.
+
+ALTER TABLE public.sellers ADD COLUMN IF NOT EXISTS review_note TEXT;
+ALTER TABLE public.sellers ADD COLUMN IF NOT EXISTS reviewed_by UUID REFERENCES auth.users(id) ON DELETE SET NULL;
+ALTER TABLE public.sellers ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMPTZ;
+-- When the application was last (re)submitted; the review queue is oldest first
+ALTER TABLE public.sellers ADD COLUMN IF NOT EXISTS submitted_at TIMESTAMPTZ DEFAULT NOW();
+UPDATE public.sellers SET submitted_at = created_at WHERE submitted_at IS NULL;
+
+ALTER TABLE public.sellers DROP CONSTRAINT IF EXISTS sellers_status_check;
+ALTER TABLE public.sellers ADD CONSTRAINT sellers_status_check
+  CHECK (status IN ('pending_approval', 'needs_info', 'active', 'suspended', 'rejected'));
+
+CREATE INDEX IF NOT EXISTS idx_sellers_status ON public.sellers(status, submitted_at);
+
+-- RESUME_MULTI_VENDOR.md's account role, for projects that keep a profiles table
+ALTER TABLE IF EXISTS public.profiles ADD COLUMN IF NOT EXISTS role TEXT DEFAULT 'customer'
+  CHECK (role IN ('customer', 'seller', 'admin'));
+
+-- Review fields are admin-only too
+CREATE OR REPLACE FUNCTION public.protect_seller_status()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+begin
+  if auth.role() = 'service_role' or public.is_admin() then
+    return new;
+  end if;
+  if new.status is distinct from old.status
+     or new.approval_date is distinct from old.approval_date
+     or new.commission_rate is distinct from old.commission_rate
+     or new.user_id is distinct from old.user_id
+     or new.review_note is distinct from old.review_note
+     or new.reviewed_by is distinct from old.reviewed_by
+     or new.reviewed_at is distinct from old.reviewed_at
+     or new.submitted_at is distinct from old.submitted_at then
+    raise exception 'Only SuriAddis can change the status of a store' using errcode = 'insufficient_privilege';
+  end if;
+  new.updated_at := now();
+  return new;
+end;
+$$;
+
+-- ---------------------------------------------------------------------------
+-- Status history
+-- ---------------------------------------------------------------------------
+
+CREATE TABLE IF NOT EXISTS public.seller_status_history (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    seller_id UUID NOT NULL REFERENCES public.sellers(id) ON DELETE CASCADE,
+    from_status TEXT,
+    to_status TEXT NOT NULL,
+    changed_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,  -- null for the applicant resubmitting
+    note TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_seller_status_history_seller_id ON public.seller_status_history(seller_id, created_at);
+
+ALTER TABLE public.seller_status_history ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Allow admins to read seller status history" ON public.seller_status_history;
+CREATE POLICY "Allow admins to read seller status history"
+ON public.seller_status_history
+FOR SELECT
+TO authenticated
+USING (public.is_admin());
+-- No insert/update policies: rows are only written by the trigger below.
+
+-- ---------------------------------------------------------------------------
+-- Notifications
+-- ---------------------------------------------------------------------------
+
+ALTER TABLE public.notification_outbox DROP CONSTRAINT IF EXISTS notification_outbox_template_check;
+ALTER TABLE public.notification_outbox ADD CONSTRAINT notification_outbox_template_check CHECK (template IN (
+  'order_placed', 'order_shipped', 'order_delivered', 'seller_approved', 'payout_sent', 'password_reset',
+  'review_received', 'delivery_code',
+  'seller_rejected', 'seller_info_requested', 'seller_suspended', 'seller_reinstated'
+));
+-- The seller templates have no preference toggle (notification_preference_for returns NULL).
+
+-- Logs each status change and emails the applicant about it
+CREATE OR REPLACE FUNCTION public.on_seller_status_change()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+declare
+  v_history_id uuid;
+  v_template text;
+begin
+  if new.status is not distinct from old.status then
+    return new;
+  end if;
+
+  insert into public.seller_status_history (seller_id, from_status, to_status, changed_by, note)
+  values (new.id, old.status, new.status, auth.uid(), case when new.status <> 'pending_approval' then new.review_note end)
+  returning id into v_history_id;
+
+  v_template := case
+    when new.status = 'active' and old.status = 'suspended' then 'seller_reinstated'
+    when new.status = 'active' then 'seller_approved'
+    when new.status = 'rejected' then 'seller_rejected'
+    when new.status = 'needs_info' then 'seller_info_requested'
+    when new.status = 'suspended' then 'seller_suspended'
+  end;
+  if v_template is not null then
+    perform public.enqueue_notification(
+      v_template,
+      (select u.email from auth.users u where u.id = new.user_id),
+      jsonb_build_object('storeName', new.store_name, 'note', new.review_note),
+      new.user_id,
+      null,
+      v_template || ':' || v_history_id
+    );
+  end if;
+  return new;
+end;
+$$;
+
+DROP TRIGGER IF EXISTS enqueue_seller_approved_notification ON public.sellers;
+DROP FUNCTION IF EXISTS public.enqueue_seller_approved_notification();
+
+DROP TRIGGER IF EXISTS on_seller_status_change ON public.sellers;
+CREATE TRIGGER on_seller_status_change
+  AFTER UPDATE OF status ON public.sellers
+  FOR EACH ROW
+  EXECUTE FUNCTION public.on_seller_status_change();
+
+-- ---------------------------------------------------------------------------
+-- Review (admins)
+-- ---------------------------------------------------------------------------
+
+-- p_action: approve | reject | request_info | suspend | reinstate
+CREATE OR REPLACE FUNCTION public.review_seller_application(p_seller_id uuid, p_action text, p_note text DEFAULT NULL)
+RETURNS public.sellers
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+declare
+  v_seller public.sellers%rowtype;
+  v_note text := nullif(trim(p_note), '');
+  v_to text;
+  v_allowed_from text[];
+begin
+  if not public.is_admin() then
+    raise exception 'Only admins can review seller applications' using errcode = 'insufficient_privilege';
+  end if;
+
+  case p_action
+    when 'approve' then v_to := 'active'; v_allowed_from := array['pending_approval', 'needs_info', 'rejected'];
+    when 'reject' then v_to := 'rejected'; v_allowed_from := array['pending_approval', 'needs_info'];
+    when 'request_info' then v_to := 'needs_info'; v_allowed_from := array['pending_approval'];
+    when 'suspend' then v_to := 'suspended'; v_allowed_from := array['active'];
+    when 'reinstate' then v_to := 'active'; v_allowed_from := array['suspended'];
+    else
+      raise exception 'Unknown action %', p_action using errcode = 'check_violation';
+  end case;
+
+  if v_note is null and p_action in ('reject', 'request_info', 'suspend') then
+    raise exception 'Please give the applicant a reason' using errcode = 'check_violation';
+  end if;
+
+  select * into v_seller from public.sellers where id = p_seller_id for update;
+  if not found then
+    raise exception 'Seller % not found', p_seller_id using errcode = 'no_data_found';
+  end if;
+  if not (v_seller.status = any(v_allowed_from)) then
+    raise exception 'Cannot % a store that is %', replace(p_action, '_', ' '), replace(v_seller.status, '_', ' ')
+      using errcode = 'check_violation';
+  end if;
+
+  update public.sellers
+     set status = v_to,
+         review_note = v_note,
+         reviewed_by = auth.uid(),
+         reviewed_at = now(),
+         approval_date = case when p_action = 'approve' then now() else approval_date end,
+         updated_at = now()
+   where id = p_seller_id
+  returning * into v_seller;
+
+  if v_to = 'active' and to_regclass('public.profiles') is not null then
+    execute 'update public.profiles set role = ''seller'' where id = $1 and coalesce(role, ''customer'') = ''customer'''
+      using v_seller.user_id;
+  end if;
+
+  return v_seller;
+end;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.review_seller_application(uuid, text, text) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.review_seller_application(uuid, text, text) TO authenticated;
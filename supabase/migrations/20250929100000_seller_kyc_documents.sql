@@ -0,0 +1,181 @@
+-- Seller KYC documents and verification levels.
+--
+-- * Sellers upload a trade licence, TIN certificate and national ID (or passport) scan to the
+--   private seller-documents bucket under <user id>/<document type>/..., then register it with
+--   upload-seller-document. Each type has one current document; uploading a new one replaces
+--   it and sends it back to review.
+-- * Every document is reviewed on its own (pending -> verified | rejected) and may carry an
+--   expiry date; an expired document no longer counts as verified.
+-- * seller_verification_level() derives the store's level from its documents:
+--     none  - no valid ID yet
+--     basic - national ID verified: the seller may build collections
+--     full  - all three verified: the seller may also publish them
+--   Orders, returns, earnings and settings stay open to every active store so existing orders
+--   can always be fulfilled.
+
+CREATE TABLE IF NOT EXISTS public.seller_documents (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    seller_id UUID NOT NULL REFERENCES public.sellers(id) ON DELETE CASCADE,
+    document_type TEXT NOT NULL CHECK (document_type IN ('trade_license', 'tin_certificate', 'national_id')),
+    storage_path TEXT NOT NULL,      -- object path in the seller-documents bucket
+    file_name TEXT,
+    mime_type TEXT,
+    file_size INT,
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'verified', 'rejected')),
+    expires_at DATE,
+    review_note TEXT,
+    reviewed_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    reviewed_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (seller_id, document_type)
+);
+
+ALTER TABLE public.seller_documents ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Allow sellers and admins to read seller documents" ON public.seller_documents;
+CREATE POLICY "Allow sellers and admins to read seller documents"
+ON public.seller_documents
+FOR SELECT
+TO authenticated
+USING (
+  public.is_admin()
+  OR exists (select 1 from public.sellers s where s.id = seller_id and s.user_id = auth.uid())
+);
+-- No insert/update policies: upload-seller-document and review_seller_document write the rows.
+
+-- ---------------------------------------------------------------------------
+-- Storage: documents live under <user id>/<document type>/...
+-- ---------------------------------------------------------------------------
+
+INSERT INTO storage.buckets (id, name, public, file_size_limit, allowed_mime_types)
+VALUES ('seller-documents', 'seller-documents', false, 10485760, ARRAY['image/jpeg', 'image/png', 'image/webp', 'application/pdf'])
+ON CONFLICT (id) DO NOTHING;
+
+DROP POLICY IF EXISTS "Allow users to upload their own seller documents" ON storage.objects;
+CREATE POLICY "Allow users to upload their own seller documents"
+ON storage.objects
+FOR INSERT
+TO authenticated
+WITH CHECK ( bucket_id = 'seller-documents' AND (storage.foldername(name))[1] = auth.uid()::text );
+
+DROP POLICY IF EXISTS "Allow users and admins to read seller documents" ON storage.objects;
+CREATE POLICY "Allow users and admins to read seller documents"
+ON storage.objects
+FOR SELECT
+TO authenticated
+USING ( bucket_id = 'seller-documents' AND ((storage.foldername(name))[1] = auth.uid()::text OR public.is_admin()) );
+
+-- ---------------------------------------------------------------------------
+-- Verification level
+-- ---------------------------------------------------------------------------
+
+CREATE OR REPLACE FUNCTION public.seller_verification_level(p_seller_id uuid)
+RETURNS text
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  with valid as (
+    select document_type
+      from public.seller_documents
+     where seller_id = p_seller_id
+       and status = 'verified'
+       and (expires_at is null or expires_at >= current_date)
+  )
+  select case
+    when (select count(*) from valid) = 3 then 'full'
+    when exists (select 1 from valid where document_type = 'national_id') then 'basic'
+    else 'none'
+  end;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.seller_verification_level(uuid) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.seller_verification_level(uuid) TO authenticated, service_role;
+
+-- Building collections needs a verified ID; publishing one needs every document verified
+DROP POLICY IF EXISTS "Allow sellers to manage their collections" ON public.collections;
+CREATE POLICY "Allow sellers to manage their collections"
+ON public.collections
+FOR ALL
+TO authenticated
+USING (seller_id = public.current_seller_id() OR public.is_admin())
+WITH CHECK (
+  public.is_admin()
+  OR (
+    seller_id = public.current_seller_id()
+    AND public.seller_verification_level(seller_id) IN ('basic', 'full')
+    AND (status IS DISTINCT FROM 'active' OR public.seller_verification_level(seller_id) = 'full')
+  )
+);
+
+DROP POLICY IF EXISTS "Allow sellers to manage their collection items" ON public.collection_items;
+CREATE POLICY "Allow sellers to manage their collection items"
+ON public.collection_items
+FOR ALL
+TO authenticated
+USING (public.owns_collection(collection_id) OR public.is_admin())
+WITH CHECK (
+  public.is_admin()
+  OR (
+    public.owns_collection(collection_id)
+    AND public.seller_verification_level(public.current_seller_id()) IN ('basic', 'full')
+    AND exists (select 1 from public.products p where p.id = product_id and p.seller_id = public.current_seller_id())
+  )
+);
+
+-- ---------------------------------------------------------------------------
+-- Review (admins)
+-- ---------------------------------------------------------------------------
+
+-- p_decision: verified | rejected. A rejection needs a reason; p_expires_at overrides the
+-- expiry date the seller entered (null keeps it).
+CREATE OR REPLACE FUNCTION public.review_seller_document(
+  p_document_id uuid,
+  p_decision text,
+  p_note text DEFAULT NULL,
+  p_expires_at date DEFAULT NULL
+)
+RETURNS public.seller_documents
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+declare
+  v_document public.seller_documents%rowtype;
+  v_note text := nullif(trim(p_note), '');
+begin
+  if not public.is_admin() then
+    raise exception 'Only admins can review seller documents' using errcode = 'insufficient_privilege';
+  end if;
+  if p_decision not in ('verified', 'rejected') then
+    raise exception 'Decision must be verified or rejected' using errcode = 'check_violation';
+  end if;
+  if p_decision = 'rejected' and v_note is null then
+    raise exception 'Please give the seller a reason' using errcode = 'check_violation';
+  end if;
+
+  update public.seller_documents
+     set status = p_decision,
+         review_note = v_note,
+         expires_at = coalesce(p_expires_at, expires_at),
+         reviewed_by = auth.uid(),
+         reviewed_at = now(),
+         updated_at = now()
+   where id = p_document_id
+  returning * into v_document;
+  if not found then
+    raise exception 'Document % not found', p_document_id using errcode = 'no_data_found';
+  end if;
+
+  if p_decision = 'verified' and v_document.expires_at is not null and v_document.expires_at < current_date then
+    raise exception 'This document expired on %', v_document.expires_at using errcode = 'check_violation';
+  end if;
+
+  return v_document;
+end;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.review_seller_document(uuid, text, text, date) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.review_seller_document(uuid, text, text, date) TO authenticated;
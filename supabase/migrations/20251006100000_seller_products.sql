@@ -0,0 +1,225 @@
+-- Seller-owned product management.
+--
+-- * Sellers create, edit, archive and duplicate their own products (seller product functions,
+--   going through the RLS below); product images go in the products bucket under
+--   sellers/<seller id>/.
+-- * products.approval_status tracks the optional review step:
+--     draft          - never submitted, or edited since it was last approved
+--     pending_review - the seller asked to publish it; hidden until an admin decides
+--     approved       - live whenever is_active
+--     rejected       - sent back with approval_note
+--   Review is on while settings 'marketplace' has seller_product_approval = true (the
+--   default); with it off, publishing goes straight to approved.
+-- * protect_seller_product() holds the rules for sellers' own writes: they cannot touch
+--   ownership, ratings, sales counts or review fields, need a verified ID to save and full
+--   verification to publish (see 20250929100000_seller_kyc_documents.sql).
+-- * Archiving (archived_at) hides a product for good without deleting it, so past orders keep
+--   their lines. Admin-created products are unaffected: they default to approved.
+
+ALTER TABLE public.products ADD COLUMN IF NOT EXISTS approval_status TEXT NOT NULL DEFAULT 'approved'
+  CHECK (approval_status IN ('draft', 'pending_review', 'approved', 'rejected'));
+ALTER TABLE public.products ADD COLUMN IF NOT EXISTS approval_note TEXT;
+ALTER TABLE public.products ADD COLUMN IF NOT EXISTS submitted_at TIMESTAMPTZ;
+ALTER TABLE public.products ADD COLUMN IF NOT EXISTS reviewed_by UUID REFERENCES auth.users(id) ON DELETE SET NULL;
+ALTER TABLE public.products ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMPTZ;
+ALTER TABLE public.products ADD COLUMN IF NOT EXISTS archived_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_products_approval_queue ON public.products(submitted_at) WHERE approval_status = 'pending_review';
+
+INSERT INTO public.settings (key, value)
+VALUES ('marketplace', jsonb_build_object('seller_product_approval', true))
+ON CONFLICT (key) DO NOTHING;
+
+CREATE OR REPLACE FUNCTION public.seller_product_approval_required()
+RETURNS boolean
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  select coalesce((select (value->>'seller_product_approval')::boolean from public.settings where key = 'marketplace'), true);
+$$;
+
+GRANT EXECUTE ON FUNCTION public.seller_product_approval_required() TO authenticated, service_role;
+
+-- ---------------------------------------------------------------------------
+-- Seller writes
+-- ---------------------------------------------------------------------------
+
+DROP POLICY IF EXISTS "Allow sellers to add their products" ON public.products;
+CREATE POLICY "Allow sellers to add their products"
+ON public.products
+FOR INSERT
+TO authenticated
+WITH CHECK (seller_id IS NOT NULL AND seller_id = public.current_seller_id());
+
+DROP POLICY IF EXISTS "Allow sellers to update their products" ON public.products;
+CREATE POLICY "Allow sellers to update their products"
+ON public.products
+FOR UPDATE
+TO authenticated
+USING (seller_id IS NOT NULL AND seller_id = public.current_seller_id())
+WITH CHECK (seller_id IS NOT NULL AND seller_id = public.current_seller_id());
+-- No delete policy: sellers archive instead.
+
+CREATE OR REPLACE FUNCTION public.protect_seller_product()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+declare
+  v_content_changed boolean;
+  v_wants_live boolean;
+begin
+  -- Only a seller writing their own product; admins, the service role and checkout stock
+  -- updates by other users pass through
+  if auth.role() = 'service_role' or public.is_admin()
+     or new.seller_id is null or new.seller_id is distinct from public.current_seller_id() then
+    return new;
+  end if;
+
+  if tg_op = 'UPDATE' and (
+       new.seller_id is distinct from old.seller_id
+       or new.rating is distinct from old.rating
+       or new.review_count is distinct from old.review_count
+       or new.units_sold is distinct from old.units_sold
+       or new.approval_note is distinct from old.approval_note
+       or new.reviewed_by is distinct from old.reviewed_by
+       or new.reviewed_at is distinct from old.reviewed_at) then
+    raise exception 'Only SuriAddis can change these product fields' using errcode = 'insufficient_privilege';
+  end if;
+  if tg_op = 'INSERT' then
+    new.rating := 0;
+    new.review_count := 0;
+    new.units_sold := 0;
+    new.approval_note := null;
+    new.reviewed_by := null;
+    new.reviewed_at := null;
+  end if;
+
+  v_content_changed := tg_op = 'INSERT' or (
+       new.name is distinct from old.name
+    or new.description is distinct from old.description
+    or new.price is distinct from old.price
+    or new.original_price is distinct from old.original_price
+    or new.images is distinct from old.images
+    or new.category_id is distinct from old.category_id
+    or new.brand is distinct from old.brand);
+  -- Stock-only edits (and checkout) leave a live product live
+  if tg_op = 'UPDATE' and not v_content_changed and new.is_active is not distinct from old.is_active
+     and new.archived_at is not distinct from old.archived_at then
+    new.approval_status := old.approval_status;
+    new.submitted_at := old.submitted_at;
+    return new;
+  end if;
+
+  if public.seller_verification_level(new.seller_id) not in ('basic', 'full') then
+    raise exception 'Get your ID verified to manage products' using errcode = 'insufficient_privilege';
+  end if;
+
+  v_wants_live := coalesce(new.is_active, false) and new.archived_at is null;
+  if v_wants_live and public.seller_verification_level(new.seller_id) <> 'full' then
+    raise exception 'Get all your documents verified to publish products' using errcode = 'insufficient_privilege';
+  end if;
+
+  if new.archived_at is not null then
+    new.is_active := false;
+    new.approval_status := case when tg_op = 'UPDATE' then old.approval_status else 'draft' end;
+  elsif v_wants_live then
+    if not public.seller_product_approval_required() then
+      new.approval_status := 'approved';
+    elsif tg_op = 'INSERT' or v_content_changed or old.approval_status <> 'approved' then
+      -- Hidden until an admin approves it (review_seller_product publishes it); a product
+      -- already waiting keeps its place in the queue
+      new.is_active := false;
+      new.submitted_at := case
+        when tg_op = 'UPDATE' and old.approval_status = 'pending_review' then old.submitted_at
+        else now()
+      end;
+      new.approval_status := 'pending_review';
+    else
+      new.approval_status := 'approved';
+    end if;
+  else
+    -- Saved hidden: a draft, or withdrawn from review; an approved product stays approved
+    -- unless its listing changed
+    new.approval_status := case
+      when tg_op = 'UPDATE' and old.approval_status = 'approved' and not v_content_changed then 'approved'
+      else 'draft'
+    end;
+  end if;
+
+  return new;
+end;
+$$;
+
+DROP TRIGGER IF EXISTS protect_seller_product ON public.products;
+CREATE TRIGGER protect_seller_product
+  BEFORE INSERT OR UPDATE ON public.products
+  FOR EACH ROW
+  EXECUTE FUNCTION public.protect_seller_product();
+
+-- ---------------------------------------------------------------------------
+-- Storage: seller product images live under sellers/<seller id>/...
+-- ---------------------------------------------------------------------------
+
+DROP POLICY IF EXISTS "Allow sellers to upload their product images" ON storage.objects;
+CREATE POLICY "Allow sellers to upload their product images"
+ON storage.objects
+FOR INSERT
+TO authenticated
+WITH CHECK (
+  bucket_id = 'products'
+  AND (storage.foldername(name))[1] = 'sellers'
+  AND (storage.foldername(name))[2] = public.current_seller_id()::text
+);
+
+-- ---------------------------------------------------------------------------
+-- Review (admins)
+-- ---------------------------------------------------------------------------
+
+-- p_decision: approved | rejected. Approving publishes the product; a rejection needs a reason.
+CREATE OR REPLACE FUNCTION public.review_seller_product(p_product_id uuid, p_decision text, p_note text DEFAULT NULL)
+RETURNS public.products
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+declare
+  v_product public.products%rowtype;
+  v_note text := nullif(trim(p_note), '');
+begin
+  if not public.is_admin() then
+    raise exception 'Only admins can review products' using errcode = 'insufficient_privilege';
+  end if;
+  if p_decision not in ('approved', 'rejected') then
+    raise exception 'Decision must be approved or rejected' using errcode = 'check_violation';
+  end if;
+  if p_decision = 'rejected' and v_note is null then
+    raise exception 'Please give the seller a reason' using errcode = 'check_violation';
+  end if;
+
+  select * into v_product from public.products where id = p_product_id for update;
+  if not found then
+    raise exception 'Product % not found', p_product_id using errcode = 'no_data_found';
+  end if;
+  if v_product.approval_status <> 'pending_review' then
+    raise exception 'This product is not waiting for review' using errcode = 'check_violation';
+  end if;
+
+  update public.products
+     set approval_status = p_decision,
+         approval_note = v_note,
+         is_active = (p_decision = 'approved'),
+         reviewed_by = auth.uid(),
+         reviewed_at = now()
+   where id = p_product_id
+  returning * into v_product;
+
+  return v_product;
+end;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.review_seller_product(uuid, text, text) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.review_seller_product(uuid, text, text) TO authenticated;
@@ -0,0 +1,472 @@
+-- Per-seller sub-orders (fulfilments).
+--
+-- * Every order is split into one order_fulfillments row per store whose products it contains
+--   (seller_id null: SuriAddis's own stock). order_items.fulfillment_id links each line to its
+--   group; a trigger fills it in (and order_items.seller_id) as lines are inserted, so
+--   create_order_with_stock() is unchanged.
+-- * Each fulfilment has its own status, carrier, tracking number and timestamps:
+--     pending -> processing -> shipped -> delivered
+--     pending -> shipped                       (packed and handed over in one go)
+--     pending | processing -> cancelled        (only with the whole order, see below)
+--   A store moves its own with update_fulfillment_status() (update-seller-fulfillment) once the
+--   order is paid or processing; admins move any, including SuriAddis's own group
+--   (update-admin-fulfillment). The function is service-role only: those edge functions check
+--   who is calling and name the store and user acting.
+-- * The order follows its fulfilments: the first one started moves a paid order to processing,
+--   the order ships once every open fulfilment has shipped and is delivered once all of them
+--   are. Until then a partly shipped order stays processing; each shipment of a multi-store
+--   order is logged on its timeline (fulfillment_shipped / fulfillment_delivered events) and the
+--   shopper is emailed about partial shipments.
+-- * The other way round, an admin (or rider) moving the whole order to shipped, delivered or
+--   cancelled carries down to the fulfilments still behind. An order with a shipped part can no
+--   longer be cancelled as a whole. A single part cannot be cancelled on its own: nothing would
+--   restock its lines, refund them or take them off the order total.
+
+-- ---------------------------------------------------------------------------
+-- Fulfilments
+-- ---------------------------------------------------------------------------
+
+CREATE TABLE IF NOT EXISTS public.order_fulfillments (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    order_id UUID NOT NULL REFERENCES public.orders(id) ON DELETE CASCADE,
+    seller_id UUID REFERENCES public.sellers(id) ON DELETE SET NULL,   -- null: shipped by SuriAddis
+    status TEXT NOT NULL DEFAULT 'pending'
+      CHECK (status IN ('pending', 'processing', 'shipped', 'delivered', 'cancelled')),
+    carrier TEXT,
+    tracking_number TEXT,
+    note TEXT,                         -- latest note from the store or admin, shown to the shopper
+    shipped_at TIMESTAMPTZ,
+    delivered_at TIMESTAMPTZ,
+    cancelled_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_order_fulfillments_order ON public.order_fulfillments(order_id);
+CREATE INDEX IF NOT EXISTS idx_order_fulfillments_seller ON public.order_fulfillments(seller_id, created_at DESC);
+
+ALTER TABLE public.order_items ADD COLUMN IF NOT EXISTS fulfillment_id UUID REFERENCES public.order_fulfillments(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_order_items_fulfillment ON public.order_items(fulfillment_id);
+
+ALTER TABLE public.order_fulfillments ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Allow shoppers, sellers and admins to read fulfilments" ON public.order_fulfillments;
+CREATE POLICY "Allow shoppers, sellers and admins to read fulfilments"
+ON public.order_fulfillments
+FOR SELECT
+TO authenticated
+USING (
+  public.is_admin()
+  OR (seller_id IS NOT NULL AND seller_id = public.current_seller_id())
+  OR EXISTS (SELECT 1 FROM public.orders o WHERE o.id = order_id AND o."userId" = auth.uid())
+);
+-- No insert/update policies: the triggers and update_fulfillment_status() write them.
+
+-- Puts each new order line in its store's fulfilment, creating the fulfilment on first use
+CREATE OR REPLACE FUNCTION public.assign_order_item_fulfillment()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+begin
+  if new.seller_id is null then
+    select p.seller_id into new.seller_id from public.products p where p.id = new."productId";
+  end if;
+
+  if new.fulfillment_id is null then
+    select f.id into new.fulfillment_id
+      from public.order_fulfillments f
+     where f.order_id = new."orderId" and f.seller_id is not distinct from new.seller_id;
+    if new.fulfillment_id is null then
+      insert into public.order_fulfillments (order_id, seller_id)
+      values (new."orderId", new.seller_id)
+      returning id into new.fulfillment_id;
+    end if;
+  end if;
+
+  return new;
+end;
+$$;
+
+DROP TRIGGER IF EXISTS assign_order_item_fulfillment ON public.order_items;
+CREATE TRIGGER assign_order_item_fulfillment
+  BEFORE INSERT ON public.order_items
+  FOR EACH ROW
+  EXECUTE FUNCTION public.assign_order_item_fulfillment();
+
+-- Existing orders: one fulfilment per store, at the stage the whole order had reached
+UPDATE public.order_items oi
+   SET seller_id = p.seller_id
+  FROM public.products p
+ WHERE p.id = oi."productId" AND oi.seller_id IS NULL AND p.seller_id IS NOT NULL;
+
+INSERT INTO public.order_fulfillments (order_id, seller_id, status, carrier, tracking_number, shipped_at, cancelled_at, created_at)
+SELECT DISTINCT ON (oi."orderId", oi.seller_id)
+       oi."orderId",
+       oi.seller_id,
+       case
+         when o.status in ('pending', 'paid') then 'pending'
+         when o.status in ('processing', 'shipped', 'delivered') then o.status
+         when o.status = 'returned' then 'delivered'
+         when o.status = 'refunded' and o.shipped_at is not null then 'delivered'
+         else 'cancelled'
+       end,
+       o.carrier,
+       o.tracking_number,
+       o.shipped_at,
+       case when o.status = 'cancelled' or (o.status = 'refunded' and o.shipped_at is null) then now() end,
+       coalesce(o.created_at, now())
+  FROM public.order_items oi
+  JOIN public.orders o ON o.id = oi."orderId"
+ WHERE oi.fulfillment_id IS NULL
+   AND NOT EXISTS (
+     SELECT 1 FROM public.order_fulfillments f
+      WHERE f.order_id = oi."orderId" AND f.seller_id IS NOT DISTINCT FROM oi.seller_id
+   );
+
+UPDATE public.order_items oi
+   SET fulfillment_id = f.id
+  FROM public.order_fulfillments f
+ WHERE oi.fulfillment_id IS NULL
+   AND f.order_id = oi."orderId"
+   AND f.seller_id IS NOT DISTINCT FROM oi.seller_id;
+
+-- ---------------------------------------------------------------------------
+-- Timeline: sellers as actors, shipment events
+-- ---------------------------------------------------------------------------
+
+ALTER TABLE public.order_status_history DROP CONSTRAINT IF EXISTS order_status_history_actor_role_check;
+ALTER TABLE public.order_status_history ADD CONSTRAINT order_status_history_actor_role_check
+  CHECK (actor_role IN ('customer', 'admin', 'rider', 'seller', 'system'));
+
+COMMENT ON COLUMN public.order_status_history.event IS
+  'Set for timeline entries that do not change the status (rider_assigned, out_for_delivery, delivery_failed, fulfillment_shipped, fulfillment_delivered); from_status = to_status then';
+
+-- Same as before, except that a caller may name the role it acts in through the
+-- transaction-local setting app.order_actor_role (update_fulfillment_status sets 'seller')
+CREATE OR REPLACE FUNCTION public.current_actor_role()
+RETURNS text
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  select case
+    when nullif(current_setting('app.order_actor_role', true), '') is not null then current_setting('app.order_actor_role', true)
+    when auth.uid() is null then 'system'
+    when public.is_admin() then 'admin'
+    when public.is_rider() then 'rider'
+    else 'customer'
+  end;
+$$;
+
+-- The user behind a change: the caller, or the user a service-role caller names through the
+-- transaction-local setting app.order_actor_id (update_fulfillment_status)
+CREATE OR REPLACE FUNCTION public.current_actor_id()
+RETURNS uuid
+LANGUAGE sql
+STABLE
+AS $$
+  select coalesce(auth.uid(), nullif(current_setting('app.order_actor_id', true), '')::uuid);
+$$;
+
+-- Same as in 20250901100000_rider_dispatch.sql, except that the user comes from current_actor_id()
+CREATE OR REPLACE FUNCTION public.record_order_status_change()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+begin
+  if tg_op = 'UPDATE' and new.status is not distinct from old.status then
+    return new;
+  end if;
+
+  insert into public.order_status_history (order_id, from_status, to_status, changed_by, actor_role, note)
+  values (
+    new.id,
+    case when tg_op = 'UPDATE' then old.status end,
+    new.status,
+    public.current_actor_id(),
+    public.current_actor_role(),
+    nullif(current_setting('app.order_status_note', true), '')
+  );
+  return new;
+end;
+$$;
+
+CREATE OR REPLACE FUNCTION public.log_order_event(p_order_id uuid, p_event text, p_note text DEFAULT NULL)
+RETURNS void
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+begin
+  insert into public.order_status_history (order_id, from_status, to_status, changed_by, actor_role, note, event)
+  select o.id, o.status, o.status, public.current_actor_id(), public.current_actor_role(), nullif(trim(p_note), ''), p_event
+    from public.orders o
+   where o.id = p_order_id;
+end;
+$$;
+
+-- ---------------------------------------------------------------------------
+-- Partial shipment email
+-- ---------------------------------------------------------------------------
+
+ALTER TABLE public.notification_outbox DROP CONSTRAINT IF EXISTS notification_outbox_template_check;
+ALTER TABLE public.notification_outbox ADD CONSTRAINT notification_outbox_template_check CHECK (template IN (
+  'order_placed', 'order_shipped', 'order_delivered', 'seller_approved', 'payout_sent', 'password_reset',
+  'review_received', 'delivery_code',
+  'seller_rejected', 'seller_info_requested', 'seller_suspended', 'seller_reinstated',
+  'order_partially_shipped'
+));
+
+CREATE OR REPLACE FUNCTION public.notification_preference_for(p_template text)
+RETURNS text
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  select case
+    when p_template in ('order_placed', 'order_shipped', 'order_partially_shipped', 'order_delivered') then 'order_notifications'
+    when p_template = 'payout_sent' then 'payment_notifications'
+    when p_template = 'review_received' then 'review_notifications'
+  end;
+$$;
+
+-- ---------------------------------------------------------------------------
+-- Keeping the order and its fulfilments in step
+-- ---------------------------------------------------------------------------
+
+CREATE OR REPLACE FUNCTION public.fulfillment_status_transition_allowed(p_from text, p_to text)
+RETURNS boolean
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  select p_to = any(
+    case p_from
+      when 'pending'    then array['processing', 'shipped']
+      when 'processing' then array['shipped']
+      when 'shipped'    then array['delivered']
+      else array[]::text[]
+    end
+  );
+$$;
+
+-- Moves the order forward to match its fulfilments (see the header). Called by
+-- update_fulfillment_status(); each step goes through the order status machine and history.
+CREATE OR REPLACE FUNCTION public.sync_order_status_from_fulfillments(p_order_id uuid)
+RETURNS void
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+declare
+  v_order public.orders%rowtype;
+  v_open int;
+  v_started int;
+  v_shipped int;
+  v_delivered int;
+  v_only public.order_fulfillments%rowtype;
+begin
+  select * into v_order from public.orders where id = p_order_id for update;
+
+  select count(*) filter (where status <> 'cancelled'),
+         count(*) filter (where status in ('processing', 'shipped', 'delivered')),
+         count(*) filter (where status in ('shipped', 'delivered')),
+         count(*) filter (where status = 'delivered')
+    into v_open, v_started, v_shipped, v_delivered
+    from public.order_fulfillments
+   where order_id = p_order_id;
+
+  if v_open = 0 then
+    return; -- everything cancelled: the order itself is an admin decision
+  end if;
+
+  if v_order.status = 'paid' and v_started > 0 then
+    update public.orders set status = 'processing' where id = p_order_id returning * into v_order;
+  end if;
+
+  if v_order.status = 'processing' and v_shipped = v_open then
+    -- A single shipment's tracking becomes the order's, as when an admin ships it
+    if v_open = 1 then
+      select * into v_only from public.order_fulfillments where order_id = p_order_id and status <> 'cancelled';
+    end if;
+    update public.orders
+       set status = 'shipped',
+           carrier = coalesce(v_only.carrier, carrier),
+           tracking_number = coalesce(v_only.tracking_number, tracking_number),
+           shipped_at = now()
+     where id = p_order_id
+    returning * into v_order;
+  end if;
+
+  if v_order.status = 'shipped' and v_delivered = v_open then
+    update public.orders set status = 'delivered' where id = p_order_id;
+  end if;
+end;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.sync_order_status_from_fulfillments(uuid) FROM PUBLIC, anon, authenticated;
+
+-- Whole-order changes carry down to the fulfilments that are behind
+CREATE OR REPLACE FUNCTION public.sync_fulfillments_from_order_status()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+begin
+  if new.status is not distinct from old.status then
+    return new;
+  end if;
+
+  if new.status = 'cancelled' then
+    if exists (select 1 from public.order_fulfillments where order_id = new.id and status in ('shipped', 'delivered')) then
+      raise exception 'Part of this order has already shipped, so it can no longer be cancelled'
+        using errcode = 'check_violation';
+    end if;
+    update public.order_fulfillments
+       set status = 'cancelled', cancelled_at = now(), updated_at = now()
+     where order_id = new.id and status in ('pending', 'processing');
+  elsif new.status = 'shipped' then
+    update public.order_fulfillments
+       set status = 'shipped',
+           carrier = coalesce(carrier, new.carrier),
+           tracking_number = coalesce(tracking_number, new.tracking_number),
+           shipped_at = coalesce(new.shipped_at, now()),
+           updated_at = now()
+     where order_id = new.id and status in ('pending', 'processing');
+  elsif new.status = 'delivered' then
+    update public.order_fulfillments
+       set status = 'delivered',
+           shipped_at = coalesce(shipped_at, new.shipped_at, now()),
+           delivered_at = now(),
+           updated_at = now()
+     where order_id = new.id and status in ('pending', 'processing', 'shipped');
+  end if;
+
+  return new;
+end;
+$$;
+
+DROP TRIGGER IF EXISTS sync_fulfillments_from_order_status ON public.orders;
+CREATE TRIGGER sync_fulfillments_from_order_status
+  AFTER UPDATE OF status ON public.orders
+  FOR EACH ROW
+  EXECUTE FUNCTION public.sync_fulfillments_from_order_status();
+
+-- ---------------------------------------------------------------------------
+-- Updating a fulfilment (stores and admins)
+-- ---------------------------------------------------------------------------
+
+-- p_actor_id: the signed-in user, recorded on the order history. p_seller_id: the store acting,
+-- which may only move its own part; null for an admin, who may move any.
+-- p_status: processing | shipped | delivered. Carrier and tracking number are stored when moving
+-- to shipped; p_note is shown to the shopper with the shipment.
+CREATE OR REPLACE FUNCTION public.update_fulfillment_status(
+  p_actor_id uuid,
+  p_seller_id uuid,
+  p_fulfillment_id uuid,
+  p_status text,
+  p_carrier text DEFAULT NULL,
+  p_tracking_number text DEFAULT NULL,
+  p_note text DEFAULT NULL
+)
+RETURNS public.order_fulfillments
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+declare
+  v_fulfillment public.order_fulfillments%rowtype;
+  v_order public.orders%rowtype;
+  v_is_admin boolean := p_seller_id is null;
+  v_note text := nullif(trim(p_note), '');
+  v_open int;
+  v_store text;
+begin
+  select * into v_fulfillment from public.order_fulfillments where id = p_fulfillment_id for update;
+  if not found then
+    raise exception 'Fulfilment % not found', p_fulfillment_id using errcode = 'no_data_found';
+  end if;
+  if not v_is_admin and v_fulfillment.seller_id is distinct from p_seller_id then
+    raise exception 'You can only update your own part of an order' using errcode = 'insufficient_privilege';
+  end if;
+  if p_status = 'cancelled' then
+    raise exception 'A shipment cannot be cancelled on its own; cancel the order instead'
+      using errcode = 'check_violation';
+  end if;
+
+  select * into v_order from public.orders where id = v_fulfillment.order_id;
+  if v_order.status not in ('paid', 'processing', 'shipped') then
+    raise exception 'This order is % and cannot be fulfilled', v_order.status using errcode = 'check_violation';
+  end if;
+  if not public.fulfillment_status_transition_allowed(v_fulfillment.status, p_status) then
+    raise exception 'Cannot move this shipment from % to %', v_fulfillment.status, p_status using errcode = 'check_violation';
+  end if;
+
+  update public.order_fulfillments
+     set status = p_status,
+         carrier = case when p_status = 'shipped' then coalesce(nullif(trim(p_carrier), ''), carrier) else carrier end,
+         tracking_number = case when p_status = 'shipped' then coalesce(nullif(trim(p_tracking_number), ''), tracking_number) else tracking_number end,
+         shipped_at = case when p_status = 'shipped' then now() else shipped_at end,
+         delivered_at = case when p_status = 'delivered' then now() else delivered_at end,
+         note = coalesce(v_note, note),
+         updated_at = now()
+   where id = p_fulfillment_id
+  returning * into v_fulfillment;
+
+  -- Timeline and history entries below are recorded as the store (or SuriAddis) and its user
+  perform set_config('app.order_actor_role', case when v_is_admin then 'admin' else 'seller' end, true);
+  perform set_config('app.order_actor_id', coalesce(p_actor_id::text, ''), true);
+
+  select count(*) into v_open from public.order_fulfillments where order_id = v_order.id and status <> 'cancelled';
+  if v_open > 1 and p_status in ('shipped', 'delivered') then
+    select s.store_name into v_store from public.sellers s where s.id = v_fulfillment.seller_id;
+    perform public.log_order_event(
+      v_order.id,
+      'fulfillment_' || p_status,
+      concat_ws(' · ',
+        coalesce(v_store, 'SuriAddis'),
+        (select sum(quantity) || ' item(s)' from public.order_items where fulfillment_id = v_fulfillment.id),
+        v_fulfillment.carrier,
+        v_fulfillment.tracking_number)
+    );
+  end if;
+
+  perform public.sync_order_status_from_fulfillments(v_order.id);
+
+  -- Still only part of the order on its way: tell the shopper this part shipped
+  select * into v_order from public.orders where id = v_order.id;
+  if p_status = 'shipped' and v_order.status = 'processing' then
+    perform public.enqueue_notification(
+      'order_partially_shipped',
+      public.order_notification_email(v_order),
+      jsonb_build_object(
+        'orderId', v_order.id,
+        'firstName', v_order."shippingAddress" ->> 'firstName',
+        'storeName', coalesce(v_store, (select s.store_name from public.sellers s where s.id = v_fulfillment.seller_id)),
+        'items', (
+          select coalesce(jsonb_agg(jsonb_build_object('name', p.name, 'quantity', oi.quantity)), '[]'::jsonb)
+            from public.order_items oi
+            left join public.products p on p.id = oi."productId"
+           where oi.fulfillment_id = v_fulfillment.id
+        ),
+        'carrier', v_fulfillment.carrier,
+        'trackingNumber', v_fulfillment.tracking_number
+      ),
+      v_order."userId",
+      v_order.id,
+      'order_partially_shipped:' || v_fulfillment.id
+    );
+  end if;
+
+  perform set_config('app.order_actor_role', '', true);
+  perform set_config('app.order_actor_id', '', true);
+  return v_fulfillment;
+end;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.update_fulfillment_status(uuid, uuid, uuid, text, text, text, text) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.update_fulfillment_status(uuid, uuid, uuid, text, text, text, text) TO service_role;
@@ -0,0 +1,26 @@
+-- Orders are created only through create-order, which reprices every line, checks the promo
+-- code and quotes shipping before calling create_order_with_stock() (SECURITY DEFINER).
+--
+-- The baseline still let shoppers insert orders and order_items rows straight through
+-- PostgREST, with whatever totalAmount, item prices and status they sent. Drop those INSERT
+-- policies. The orders one is named in 20250428120000_definitive_fix_orders_rls.sql; the
+-- order_items one predates the migrations, so look both up by command instead of by name.
+-- Admins keep their FOR ALL policy.
+
+DROP POLICY IF EXISTS "Allow authenticated users to create their own orders" ON public.orders;
+
+DO $$
+declare
+  v_policy record;
+begin
+  for v_policy in
+    select schemaname, tablename, policyname
+      from pg_policies
+     where schemaname = 'public'
+       and tablename in ('orders', 'order_items')
+       and cmd = 'INSERT'
+  loop
+    execute format('DROP POLICY %I ON %I.%I', v_policy.policyname, v_policy.schemaname, v_policy.tablename);
+  end loop;
+end;
+$$;
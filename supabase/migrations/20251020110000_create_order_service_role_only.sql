@@ -0,0 +1,219 @@
+-- create_order_with_stock() writes the prices, discount and shipping fee it is given. Only
+-- create-order works those out (repricing, coupon and shipping quote), so the function is now
+-- service-role only, and create-order names the shopper with p_user_id (null for a guest).
+-- Shoppers calling it through PostgREST could otherwise place 1-birr orders, discounts they do
+-- not qualify for, or negative quantities that add stock.
+--
+-- Otherwise the same as 20250908100000_guest_checkout.sql, except that:
+-- * every line needs a whole quantity of at least 1 and a non-negative price;
+-- * the promo code re-check lives in order_coupon_error(), so it can change on its own;
+-- * the history row for the new order is recorded as the customer's (the caller is the
+--   service role, which current_actor_role() would report as system).
+
+-- Why a promo code can no longer be redeemed for this shopper, or null when it can. Locks the
+-- coupon row, so concurrent orders cannot both take its last use.
+CREATE OR REPLACE FUNCTION public.order_coupon_error(p_coupon_id uuid, p_user_id uuid)
+RETURNS text
+LANGUAGE plpgsql
+SET search_path = public
+AS $$
+declare
+  v_coupon public.coupons%rowtype;
+begin
+  select * into v_coupon from public.coupons where id = p_coupon_id for update;
+  if not found or not v_coupon.is_active then
+    return 'This promo code is no longer valid';
+  end if;
+  if v_coupon.usage_limit is not null
+     and (select count(*) from public.order_discounts where coupon_id = v_coupon.id) >= v_coupon.usage_limit then
+    return 'This promo code has reached its usage limit';
+  end if;
+  if v_coupon.per_user_limit is not null and p_user_id is null then
+    return 'Sign in to use this promo code';
+  end if;
+  if v_coupon.per_user_limit is not null
+     and (select count(*) from public.order_discounts where coupon_id = v_coupon.id and user_id = p_user_id) >= v_coupon.per_user_limit then
+    return 'You have already used this promo code';
+  end if;
+  return null;
+end;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.order_coupon_error(uuid, uuid) FROM PUBLIC, anon, authenticated;
+
+DROP FUNCTION IF EXISTS public.create_order_with_stock(jsonb, numeric, numeric, jsonb, jsonb, jsonb, jsonb);
+
+-- p_user_id: the signed-in shopper, or null for a guest order (p_guest then carries the email)
+CREATE OR REPLACE FUNCTION public.create_order_with_stock(
+  p_user_id uuid,
+  p_shipping_address jsonb,
+  p_subtotal_amount numeric,
+  p_total_amount numeric,
+  p_items jsonb,
+  p_discount jsonb DEFAULT NULL,
+  p_shipping jsonb DEFAULT NULL,
+  p_guest jsonb DEFAULT NULL
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER -- Needs to update products/product_variants stock, which only admins may write under RLS
+SET search_path = public
+AS $$
+declare
+  v_guest_email text := nullif(lower(trim(p_guest ->> 'email')), '');
+  v_item record;
+  v_insufficient jsonb := '[]'::jsonb;
+  v_order public.orders%rowtype;
+  v_coupon public.coupons%rowtype;
+  v_coupon_error text;
+  v_discount_amount numeric := coalesce((p_discount ->> 'amount')::numeric, 0);
+begin
+  if p_user_id is null and v_guest_email is null then
+    raise exception 'create_order_with_stock needs a user or a guest email';
+  end if;
+
+  if jsonb_typeof(p_items) <> 'array' or jsonb_array_length(p_items) = 0 or exists (
+    select 1 from jsonb_array_elements(p_items) item
+    where coalesce((item ->> 'quantity')::numeric, 0) < 1
+       or (item ->> 'quantity')::numeric <> trunc((item ->> 'quantity')::numeric)
+       or coalesce((item ->> 'price')::numeric, -1) < 0
+  ) then
+    raise exception 'Every order line needs a quantity of at least 1 and a price' using errcode = 'check_violation';
+  end if;
+  if p_total_amount < 0 or v_discount_amount < 0 or coalesce((p_shipping ->> 'fee')::numeric, 0) < 0 then
+    raise exception 'Order amounts cannot be negative' using errcode = 'check_violation';
+  end if;
+
+  if p_discount is not null then
+    v_coupon_error := public.order_coupon_error((p_discount ->> 'couponId')::uuid, p_user_id);
+    if v_coupon_error is not null then
+      return jsonb_build_object('success', false, 'code', 'COUPON_INVALID', 'error', v_coupon_error);
+    end if;
+    select * into v_coupon from public.coupons where id = (p_discount ->> 'couponId')::uuid;
+  end if;
+
+  perform 1 from public.products
+   where id in (select ("value" ->> 'productId')::uuid from jsonb_array_elements(p_items))
+   order by id
+   for update;
+
+  if exists (
+    select 1 from jsonb_array_elements(p_items) item
+    where item ->> 'variantId' is not null
+      and not exists (
+        select 1 from public.product_variants v
+        where v.id = (item ->> 'variantId')::uuid and v.product_id = (item ->> 'productId')::uuid
+      )
+  ) then
+    raise exception 'Variant does not belong to the ordered product' using errcode = 'check_violation';
+  end if;
+
+  -- Variant lines: check the variant's own stock
+  for v_item in
+    select v.id, v.product_id, p.name, public.product_variant_label(v) as label,
+           v.stock_quantity as available, req.quantity as requested
+    from (
+      select ("value" ->> 'variantId')::uuid as variant_id, sum(("value" ->> 'quantity')::int) as quantity
+      from jsonb_array_elements(p_items)
+      where "value" ->> 'variantId' is not null
+      group by 1
+    ) req
+    join public.product_variants v on v.id = req.variant_id
+    join public.products p on p.id = v.product_id
+    order by v.id
+    for update of v
+  loop
+    if v_item.available < v_item.requested then
+      v_insufficient := v_insufficient || jsonb_build_object(
+        'productId', v_item.product_id,
+        'variantId', v_item.id,
+        'name', v_item.name || coalesce(' (' || v_item.label || ')', ''),
+        'requested', v_item.requested,
+        'available', v_item.available
+      );
+    end if;
+  end loop;
+
+  -- Plain lines: check the product's stock
+  for v_item in
+    select p.id, p.name, coalesce(p.stock_quantity, 0) as available, req.quantity as requested
+    from (
+      select ("value" ->> 'productId')::uuid as product_id, sum(("value" ->> 'quantity')::int) as quantity
+      from jsonb_array_elements(p_items)
+      where "value" ->> 'variantId' is null
+      group by 1
+    ) req
+    join public.products p on p.id = req.product_id
+    order by p.id
+  loop
+    if v_item.available < v_item.requested then
+      v_insufficient := v_insufficient || jsonb_build_object(
+        'productId', v_item.id,
+        'name', v_item.name,
+        'requested', v_item.requested,
+        'available', v_item.available
+      );
+    end if;
+  end loop;
+
+  if jsonb_array_length(v_insufficient) > 0 then
+    return jsonb_build_object('success', false, 'code', 'INSUFFICIENT_STOCK', 'insufficientItems', v_insufficient);
+  end if;
+
+  update public.product_variants v
+  set stock_quantity = v.stock_quantity - req.quantity,
+      updated_at = now()
+  from (
+    select ("value" ->> 'variantId')::uuid as variant_id, sum(("value" ->> 'quantity')::int) as quantity
+    from jsonb_array_elements(p_items)
+    where "value" ->> 'variantId' is not null
+    group by 1
+  ) req
+  where v.id = req.variant_id;
+
+  update public.products p
+  set stock_quantity = p.stock_quantity - req.quantity
+  from (
+    select ("value" ->> 'productId')::uuid as product_id, sum(("value" ->> 'quantity')::int) as quantity
+    from jsonb_array_elements(p_items)
+    where "value" ->> 'variantId' is null
+    group by 1
+  ) req
+  where p.id = req.product_id;
+
+  perform set_config('app.order_actor_role', 'customer', true);
+
+  insert into public.orders (
+    "userId", "shippingAddress", "totalAmount", subtotal_amount, discount_amount, coupon_code, status,
+    shipping_method_id, shipping_method_code, shipping_method_name, shipping_zone_id, shipping_fee,
+    estimated_delivery_start, estimated_delivery_end, guest_email, guest_token
+  )
+  values (
+    p_user_id, p_shipping_address, p_total_amount, p_subtotal_amount, v_discount_amount, p_discount ->> 'code', 'pending',
+    (p_shipping ->> 'methodId')::uuid, p_shipping ->> 'code', p_shipping ->> 'name', (p_shipping ->> 'zoneId')::uuid,
+    coalesce((p_shipping ->> 'fee')::numeric, 0),
+    (p_shipping ->> 'estimatedStart')::date, (p_shipping ->> 'estimatedEnd')::date,
+    case when p_user_id is null then v_guest_email end,
+    case when p_user_id is null then gen_random_uuid() end
+  )
+  returning * into v_order;
+
+  perform set_config('app.order_actor_role', '', true);
+
+  insert into public.order_items ("orderId", "productId", quantity, price, variant_id, variant_sku, variant_label)
+  select v_order.id, (item ->> 'productId')::uuid, (item ->> 'quantity')::int, (item ->> 'price')::numeric,
+         v.id, v.sku, public.product_variant_label(v)
+  from jsonb_array_elements(p_items) as item
+  left join public.product_variants v on v.id = (item ->> 'variantId')::uuid;
+
+  if p_discount is not null then
+    insert into public.order_discounts (order_id, coupon_id, user_id, code, description, amount)
+    values (v_order.id, v_coupon.id, p_user_id, v_coupon.code, p_discount ->> 'description', v_discount_amount);
+  end if;
+
+  return jsonb_build_object('success', true, 'order', to_jsonb(v_order));
+end;
+$$;
+
+REVOKE ALL ON FUNCTION public.create_order_with_stock(uuid, jsonb, numeric, numeric, jsonb, jsonb, jsonb, jsonb) FROM public, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.create_order_with_stock(uuid, jsonb, numeric, numeric, jsonb, jsonb, jsonb, jsonb) TO service_role;
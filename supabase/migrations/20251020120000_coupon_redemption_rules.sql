@@ -0,0 +1,54 @@
+-- Promo code re-check at order time, brought in line with evaluateCoupon():
+-- * the code must be inside its starts_at / expires_at window, not only active;
+-- * usage caps count redemptions on orders that were not cancelled. A cancelled order gives its
+--   use back, including once its payment has been refunded (status 'refunded' after
+--   'cancelled').
+
+-- order_discounts rows that count as uses of their coupon. Read by evaluateCoupon() and
+-- get-admin-coupons through the service role.
+CREATE OR REPLACE VIEW public.coupon_redemptions
+WITH (security_invoker = true) AS
+  select d.*
+    from public.order_discounts d
+    join public.orders o on o.id = d.order_id
+   where o.status <> 'cancelled'
+     and not exists (
+       select 1 from public.order_status_history h
+        where h.order_id = o.id and h.to_status = 'cancelled'
+     );
+
+REVOKE ALL ON public.coupon_redemptions FROM anon, authenticated;
+GRANT SELECT ON public.coupon_redemptions TO service_role;
+
+CREATE OR REPLACE FUNCTION public.order_coupon_error(p_coupon_id uuid, p_user_id uuid)
+RETURNS text
+LANGUAGE plpgsql
+SET search_path = public
+AS $$
+declare
+  v_coupon public.coupons%rowtype;
+begin
+  select * into v_coupon from public.coupons where id = p_coupon_id for update;
+  if not found or not v_coupon.is_active then
+    return 'This promo code is no longer valid';
+  end if;
+  if v_coupon.starts_at is not null and v_coupon.starts_at > now() then
+    return 'This promo code is not active yet';
+  end if;
+  if v_coupon.expires_at is not null and v_coupon.expires_at <= now() then
+    return 'This promo code has expired';
+  end if;
+  if v_coupon.usage_limit is not null
+     and (select count(*) from public.coupon_redemptions where coupon_id = v_coupon.id) >= v_coupon.usage_limit then
+    return 'This promo code has reached its usage limit';
+  end if;
+  if v_coupon.per_user_limit is not null and p_user_id is null then
+    return 'Sign in to use this promo code';
+  end if;
+  if v_coupon.per_user_limit is not null
+     and (select count(*) from public.coupon_redemptions where coupon_id = v_coupon.id and user_id = p_user_id) >= v_coupon.per_user_limit then
+    return 'You have already used this promo code';
+  end if;
+  return null;
+end;
+$$;
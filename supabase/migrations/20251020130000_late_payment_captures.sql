@@ -0,0 +1,265 @@
+-- Payments captured on an attempt we had already given up on.
+--
+-- initiate-payment cancels an order's open attempt when the shopper starts a new one, and
+-- cancelling an order cancels its open attempts. The shopper may still finish the older checkout
+-- at the gateway, and until now settle_payment() ignored that "paid" webhook: the money was
+-- taken with no trace of it.
+--
+-- A capture on a cancelled attempt is now always recorded as paid. Then:
+-- * if the order is still waiting for its money (unpaid, not cancelled), it settles the order
+--   as usual, and any other open attempt is cancelled;
+-- * otherwise, because the order was cancelled or another attempt paid first, a 'late_payment'
+--   refund is queued for admins (Finance), linked to the payment. The shopper sees it on the
+--   order like any other refund. Completing it does not touch the order's own payment totals,
+--   since the money never counted towards them.
+
+ALTER TABLE public.refunds ADD COLUMN IF NOT EXISTS payment_id UUID REFERENCES public.payments(id) ON DELETE SET NULL;
+
+ALTER TABLE public.refunds DROP CONSTRAINT IF EXISTS refunds_reason_check;
+ALTER TABLE public.refunds ADD CONSTRAINT refunds_reason_check
+  CHECK (reason IN ('cancellation', 'return', 'late_payment'));
+
+-- Same as 20250519100000_add_payments.sql, plus the late capture handling above
+CREATE OR REPLACE FUNCTION public.settle_payment(
+  p_tx_ref text,
+  p_status text,
+  p_amount numeric,
+  p_provider_reference text DEFAULT NULL,
+  p_failure_reason text DEFAULT NULL,
+  p_raw_event jsonb DEFAULT NULL
+)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+declare
+  v_payment public.payments%rowtype;
+  v_order public.orders%rowtype;
+  v_amount numeric;
+begin
+  if p_status not in ('paid', 'failed') then
+    raise exception 'settle_payment: unsupported status %', p_status;
+  end if;
+
+  select * into v_payment from public.payments where tx_ref = p_tx_ref for update;
+  if not found then
+    return jsonb_build_object('success', false, 'code', 'PAYMENT_NOT_FOUND', 'error', 'No payment with this reference');
+  end if;
+
+  -- Money taken on an attempt that was superseded or whose order was cancelled
+  if v_payment.status = 'cancelled' and p_status = 'paid' then
+    v_amount := coalesce(p_amount, v_payment.amount);
+    select * into v_order from public.orders where id = v_payment.order_id for update;
+
+    update public.payments
+       set status = 'paid',
+           provider_reference = coalesce(p_provider_reference, provider_reference),
+           failure_reason = null,
+           raw_event = p_raw_event,
+           paid_at = now(),
+           updated_at = now()
+     where id = v_payment.id;
+
+    if v_order.payment_status not in ('paid', 'partially_refunded', 'refunded')
+       and v_order.status not in ('cancelled', 'refunded')
+       and abs(v_amount - v_order."totalAmount") <= 0.01 then
+      update public.payments set status = 'cancelled', updated_at = now()
+       where order_id = v_order.id and status = 'pending' and id <> v_payment.id;
+      update public.orders
+         set payment_status = 'paid',
+             payment_method = v_payment.provider,
+             status = case when status = 'pending' then 'paid' else status end
+       where id = v_order.id;
+      return jsonb_build_object('success', true, 'status', 'paid', 'orderId', v_order.id, 'lateCapture', true);
+    end if;
+
+    if v_amount > 0 and not exists (select 1 from public.refunds where payment_id = v_payment.id) then
+      insert into public.refunds (order_id, payment_id, amount, reason)
+      values (v_order.id, v_payment.id, v_amount, 'late_payment');
+    end if;
+    return jsonb_build_object('success', true, 'status', 'paid', 'orderId', v_order.id, 'lateCapture', true, 'refundDue', true);
+  end if;
+
+  if v_payment.status <> 'pending' then
+    return jsonb_build_object('success', true, 'alreadySettled', true, 'status', v_payment.status, 'orderId', v_payment.order_id);
+  end if;
+
+  if p_status = 'paid' and p_amount is not null and abs(p_amount - v_payment.amount) > 0.01 then
+    update public.payments
+       set status = 'failed',
+           failure_reason = format('Amount mismatch: expected %s, received %s', v_payment.amount, p_amount),
+           provider_reference = coalesce(p_provider_reference, provider_reference),
+           raw_event = p_raw_event,
+           updated_at = now()
+     where id = v_payment.id;
+    return jsonb_build_object('success', false, 'code', 'AMOUNT_MISMATCH', 'error', 'Paid amount does not match the order');
+  end if;
+
+  update public.payments
+     set status = p_status,
+         provider_reference = coalesce(p_provider_reference, provider_reference),
+         failure_reason = p_failure_reason,
+         raw_event = p_raw_event,
+         paid_at = case when p_status = 'paid' then now() else null end,
+         updated_at = now()
+   where id = v_payment.id;
+
+  if p_status = 'paid' then
+    update public.orders
+       set payment_status = 'paid',
+           status = case when status = 'pending' then 'paid' else status end
+     where id = v_payment.order_id;
+  else
+    update public.orders
+       set payment_status = 'failed'
+     where id = v_payment.order_id and payment_status <> 'paid';
+  end if;
+
+  return jsonb_build_object('success', true, 'status', p_status, 'orderId', v_payment.order_id);
+end;
+$$;
+
+REVOKE ALL ON FUNCTION public.settle_payment(text, text, numeric, text, text, jsonb) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.settle_payment(text, text, numeric, text, text, jsonb) TO service_role;
+
+-- Same as 20250609100000_returns_and_refunds.sql, except that a late_payment refund only
+-- closes itself: that money was never part of the order's paid total
+CREATE OR REPLACE FUNCTION public.complete_refund(p_refund_id uuid, p_reference text DEFAULT NULL)
+RETURNS public.refunds
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+declare
+  v_refund public.refunds%rowtype;
+  v_order public.orders%rowtype;
+begin
+  if not public.is_admin() then
+    raise exception 'Only admins can complete refunds' using errcode = 'insufficient_privilege';
+  end if;
+
+  select * into v_refund from public.refunds where id = p_refund_id for update;
+  if not found then
+    raise exception 'Refund % not found', p_refund_id using errcode = 'no_data_found';
+  end if;
+  if v_refund.status = 'completed' then
+    return v_refund;
+  end if;
+
+  update public.refunds
+     set status = 'completed',
+         reference = nullif(trim(p_reference), ''),
+         processed_by = auth.uid(),
+         processed_at = now(),
+         updated_at = now()
+   where id = p_refund_id
+   returning * into v_refund;
+
+  if v_refund.reason = 'late_payment' then
+    return v_refund;
+  end if;
+
+  update public.orders
+     set refunded_amount = refunded_amount + v_refund.amount,
+         payment_status = case
+           when refunded_amount + v_refund.amount >= "totalAmount" then 'refunded'
+           else 'partially_refunded'
+         end
+   where id = v_refund.order_id
+   returning * into v_order;
+
+  -- A fully refunded order moves to 'refunded' where the state machine allows it
+  if v_order.payment_status = 'refunded' and public.order_status_transition_allowed(v_order.status, 'refunded') then
+    perform set_config('app.order_status_note', 'Refund of ' || v_refund.amount || ' ETB completed', true);
+    update public.orders set status = 'refunded' where id = v_order.id;
+    perform set_config('app.order_status_note', '', true);
+  end if;
+
+  return v_refund;
+end;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.complete_refund(uuid, text) TO authenticated;
+
+-- Same as 20250609100000_returns_and_refunds.sql, except that late_payment refunds do not eat
+-- into what is left to refund on the order
+CREATE OR REPLACE FUNCTION public.review_return_request(
+  p_request_id uuid,
+  p_decision text,
+  p_note text DEFAULT NULL,
+  p_refund_amount numeric DEFAULT NULL
+)
+RETURNS public.return_requests
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+declare
+  v_request public.return_requests%rowtype;
+  v_order public.orders%rowtype;
+  v_items_total numeric;
+  v_max_refund numeric;
+  v_amount numeric;
+  v_refund_id uuid;
+  v_lines jsonb;
+begin
+  if p_decision not in ('approved', 'rejected') then
+    raise exception 'Decision must be approved or rejected' using errcode = 'check_violation';
+  end if;
+
+  select * into v_request from public.return_requests where id = p_request_id for update;
+  if not found then
+    raise exception 'Return request % not found', p_request_id using errcode = 'no_data_found';
+  end if;
+  if not public.can_review_return_request(p_request_id) then
+    raise exception 'Not allowed to review this return request' using errcode = 'insufficient_privilege';
+  end if;
+  if v_request.status <> 'pending' then
+    raise exception 'This return request has already been %', v_request.status using errcode = 'check_violation';
+  end if;
+
+  if p_decision = 'approved' then
+    select * into v_order from public.orders where id = v_request.order_id for update;
+
+    select coalesce(sum(amount), 0) into v_items_total
+      from public.return_request_items where return_request_id = p_request_id;
+
+    v_max_refund := least(
+      round(v_items_total * v_order."totalAmount" / coalesce(nullif(v_order.subtotal_amount, 0), v_order."totalAmount", 1), 2),
+      v_order."totalAmount" - coalesce((select sum(amount) from public.refunds where order_id = v_order.id and reason <> 'late_payment'), 0)
+    );
+    v_amount := coalesce(p_refund_amount, v_max_refund);
+    if v_amount < 0 or v_amount > v_max_refund then
+      raise exception 'Refund amount must be between 0 and %', v_max_refund using errcode = 'check_violation';
+    end if;
+
+    if v_amount > 0 then
+      insert into public.refunds (order_id, return_request_id, amount, reason, created_by)
+      values (v_order.id, p_request_id, v_amount, 'return', auth.uid())
+      returning id into v_refund_id;
+
+      -- Sellers give back their share of the lines in proportion to what is being refunded
+      select coalesce(jsonb_agg(jsonb_build_object('seller_id', seller_id, 'amount', round(amount * v_amount / nullif(v_items_total, 0), 2))), '[]'::jsonb)
+        into v_lines
+        from public.return_request_items
+       where return_request_id = p_request_id;
+      perform public.reverse_seller_earnings(v_order.id, v_refund_id, v_lines);
+    end if;
+  end if;
+
+  update public.return_requests
+     set status = p_decision,
+         refund_amount = case when p_decision = 'approved' then v_amount end,
+         review_note = nullif(trim(p_note), ''),
+         reviewed_by = auth.uid(),
+         reviewed_at = now(),
+         updated_at = now()
+   where id = p_request_id
+   returning * into v_request;
+
+  return v_request;
+end;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.review_return_request(uuid, text, text, numeric) TO authenticated;
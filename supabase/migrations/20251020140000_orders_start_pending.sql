@@ -0,0 +1,26 @@
+-- Every order starts its life as 'pending'.
+--
+-- enforce_order_status_transition() only guards updates, so an order inserted directly (not
+-- through create_order_with_stock(), which always writes 'pending') could begin as paid, shipped
+-- or delivered and skip the state machine. Shoppers lost their INSERT policies in
+-- 20251020100000_drop_direct_order_inserts.sql; this covers every other caller except the
+-- service role and direct database sessions (seeds, data fixes).
+
+CREATE OR REPLACE FUNCTION public.enforce_order_initial_status()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+begin
+  if coalesce(auth.role(), 'service_role') <> 'service_role' and new.status <> 'pending' then
+    raise exception 'New orders must start as pending, not %', new.status
+      using errcode = 'check_violation';
+  end if;
+  return new;
+end;
+$$;
+
+DROP TRIGGER IF EXISTS enforce_order_initial_status ON public.orders;
+CREATE TRIGGER enforce_order_initial_status
+  BEFORE INSERT ON public.orders
+  FOR EACH ROW
+  EXECUTE FUNCTION public.enforce_order_initial_status();
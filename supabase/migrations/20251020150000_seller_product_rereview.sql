@@ -0,0 +1,153 @@
+-- Seller product re-review, continued from 20251006100000_seller_products.sql. What shoppers pay
+-- for a listed product also depends on its percentage discount, its flash deal and the options
+-- and prices of its variants, so changing any of those now counts as a listing change: with
+-- product approval on, the product goes back to review like any other edit to its listing.
+--
+-- Variant writes by the product's seller mark the product through the transaction-local
+-- setting app.seller_variants_changed, which protect_seller_product() reads. Stock-only variant
+-- edits (and checkout) leave the product alone, as they do on the product itself. Sellers have
+-- no write policy on product_variants yet; this keeps review in place once they do, whatever
+-- path the write takes.
+
+-- Same as before, except for the extra listing columns and the variant flag
+CREATE OR REPLACE FUNCTION public.protect_seller_product()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+declare
+  v_content_changed boolean;
+  v_wants_live boolean;
+begin
+  -- Only a seller writing their own product; admins, the service role and checkout stock
+  -- updates by other users pass through
+  if auth.role() = 'service_role' or public.is_admin()
+     or new.seller_id is null or new.seller_id is distinct from public.current_seller_id() then
+    return new;
+  end if;
+
+  if tg_op = 'UPDATE' and (
+       new.seller_id is distinct from old.seller_id
+       or new.rating is distinct from old.rating
+       or new.review_count is distinct from old.review_count
+       or new.units_sold is distinct from old.units_sold
+       or new.approval_note is distinct from old.approval_note
+       or new.reviewed_by is distinct from old.reviewed_by
+       or new.reviewed_at is distinct from old.reviewed_at) then
+    raise exception 'Only SuriAddis can change these product fields' using errcode = 'insufficient_privilege';
+  end if;
+  if tg_op = 'INSERT' then
+    new.rating := 0;
+    new.review_count := 0;
+    new.units_sold := 0;
+    new.approval_note := null;
+    new.reviewed_by := null;
+    new.reviewed_at := null;
+  end if;
+
+  v_content_changed := tg_op = 'INSERT' or (
+       new.name is distinct from old.name
+    or new.description is distinct from old.description
+    or new.price is distinct from old.price
+    or new.original_price is distinct from old.original_price
+    or new.images is distinct from old.images
+    or new.category_id is distinct from old.category_id
+    or new.brand is distinct from old.brand
+    or new.discount is distinct from old.discount
+    or new.flash_deal is distinct from old.flash_deal
+    or new.flash_deal_end is distinct from old.flash_deal_end
+    or current_setting('app.seller_variants_changed', true) = new.id::text);
+  -- Stock-only edits (and checkout) leave a live product live
+  if tg_op = 'UPDATE' and not v_content_changed and new.is_active is not distinct from old.is_active
+     and new.archived_at is not distinct from old.archived_at then
+    new.approval_status := old.approval_status;
+    new.submitted_at := old.submitted_at;
+    return new;
+  end if;
+
+  if public.seller_verification_level(new.seller_id) not in ('basic', 'full') then
+    raise exception 'Get your ID verified to manage products' using errcode = 'insufficient_privilege';
+  end if;
+
+  v_wants_live := coalesce(new.is_active, false) and new.archived_at is null;
+  if v_wants_live and public.seller_verification_level(new.seller_id) <> 'full' then
+    raise exception 'Get all your documents verified to publish products' using errcode = 'insufficient_privilege';
+  end if;
+
+  if new.archived_at is not null then
+    new.is_active := false;
+    new.approval_status := case when tg_op = 'UPDATE' then old.approval_status else 'draft' end;
+  elsif v_wants_live then
+    if not public.seller_product_approval_required() then
+      new.approval_status := 'approved';
+    elsif tg_op = 'INSERT' or v_content_changed or old.approval_status <> 'approved' then
+      -- Hidden until an admin approves it (review_seller_product publishes it); a product
+      -- already waiting keeps its place in the queue
+      new.is_active := false;
+      new.submitted_at := case
+        when tg_op = 'UPDATE' and old.approval_status = 'pending_review' then old.submitted_at
+        else now()
+      end;
+      new.approval_status := 'pending_review';
+    else
+      new.approval_status := 'approved';
+    end if;
+  else
+    -- Saved hidden: a draft, or withdrawn from review; an approved product stays approved
+    -- unless its listing changed
+    new.approval_status := case
+      when tg_op = 'UPDATE' and old.approval_status = 'approved' and not v_content_changed then 'approved'
+      else 'draft'
+    end;
+  end if;
+
+  return new;
+end;
+$$;
+
+-- A seller changed a variant of their product: run the product through protect_seller_product()
+-- again as a listing change. Admin and service-role writes go straight through.
+CREATE OR REPLACE FUNCTION public.requeue_seller_product_on_variant_change()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+declare
+  v_product_id uuid := case when tg_op = 'DELETE' then old.product_id else new.product_id end;
+begin
+  if auth.role() = 'service_role' or public.is_admin() then
+    return null;
+  end if;
+  if tg_op = 'UPDATE'
+     and new.size is not distinct from old.size
+     and new.color is not distinct from old.color
+     and new.sku is not distinct from old.sku
+     and new.price is not distinct from old.price
+     and new.images is not distinct from old.images
+     and new.is_active is not distinct from old.is_active then
+    return null;
+  end if;
+  if not exists (
+    select 1 from public.products
+     where id = v_product_id and seller_id is not null and seller_id = public.current_seller_id()
+  ) then
+    return null;
+  end if;
+
+  -- A product waiting for review is hidden but still asked to go live, so it keeps its place
+  perform set_config('app.seller_variants_changed', v_product_id::text, true);
+  update public.products
+     set is_active = is_active or approval_status = 'pending_review'
+   where id = v_product_id;
+  perform set_config('app.seller_variants_changed', '', true);
+  return null;
+end;
+$$;
+
+DROP TRIGGER IF EXISTS requeue_seller_product_on_variant_change ON public.product_variants;
+CREATE TRIGGER requeue_seller_product_on_variant_change
+  AFTER INSERT OR UPDATE OR DELETE ON public.product_variants
+  FOR EACH ROW
+  EXECUTE FUNCTION public.requeue_seller_product_on_variant_change();
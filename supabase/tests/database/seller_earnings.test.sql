@@ -0,0 +1,64 @@
+-- Sales are booked into seller_earnings once an order is delivered (or paid), one row per seller,
+-- and only once. Run with `supabase test db`; everything is rolled back at the end.
+
+BEGIN;
+CREATE EXTENSION IF NOT EXISTS pgtap WITH SCHEMA extensions;
+
+SELECT plan(4);
+
+INSERT INTO auth.users (id, email)
+VALUES ('00000000-0000-4000-8000-0000000000a1', 'earnings-seller@example.com'),
+       ('00000000-0000-4000-8000-0000000000a2', 'earnings-shopper@example.com');
+
+INSERT INTO public.sellers (id, user_id, store_name, store_slug, status, commission_rate)
+VALUES ('00000000-0000-4000-8000-0000000000b1', '00000000-0000-4000-8000-0000000000a1',
+        'Earnings Test Store', 'earnings-test-store', 'active', 0.10);
+
+INSERT INTO public.products (id, name, slug, price, stock_quantity, is_active, seller_id)
+VALUES ('00000000-0000-4000-8000-0000000000c1', 'Earnings test scarf', 'earnings-test-scarf', 100, 10, true,
+        '00000000-0000-4000-8000-0000000000b1');
+
+INSERT INTO public.orders (id, "userId", "shippingAddress", "totalAmount", status)
+VALUES ('00000000-0000-4000-8000-0000000000d1', '00000000-0000-4000-8000-0000000000a2',
+        '{"city": "Addis Ababa"}', 200, 'pending');
+
+INSERT INTO public.order_items ("orderId", "productId", quantity, price)
+VALUES ('00000000-0000-4000-8000-0000000000d1', '00000000-0000-4000-8000-0000000000c1', 2, 100);
+
+UPDATE public.orders SET status = 'processing' WHERE id = '00000000-0000-4000-8000-0000000000d1';
+UPDATE public.orders SET status = 'shipped' WHERE id = '00000000-0000-4000-8000-0000000000d1';
+
+SELECT is(
+  (SELECT count(*)::int FROM public.seller_earnings WHERE order_id = '00000000-0000-4000-8000-0000000000d1'),
+  0,
+  'nothing is booked before a cash on delivery order is delivered'
+);
+
+UPDATE public.orders SET status = 'delivered' WHERE id = '00000000-0000-4000-8000-0000000000d1';
+
+SELECT results_eq(
+  $$ SELECT seller_id, entry_type, status, total_sale_amount, platform_commission_amount, seller_earned_amount
+       FROM public.seller_earnings
+      WHERE order_id = '00000000-0000-4000-8000-0000000000d1' $$,
+  $$ VALUES ('00000000-0000-4000-8000-0000000000b1'::uuid, 'sale'::text, 'pending'::text,
+             200.00::numeric(10,2), 20.00::numeric(10,2), 180.00::numeric(10,2)) $$,
+  'a delivered order books a sale for its seller, net of the commission'
+);
+
+-- The rider collects the cash afterwards
+UPDATE public.orders SET payment_status = 'paid' WHERE id = '00000000-0000-4000-8000-0000000000d1';
+
+SELECT is(
+  (SELECT count(*)::int FROM public.seller_earnings WHERE order_id = '00000000-0000-4000-8000-0000000000d1'),
+  1,
+  'marking the delivered order paid does not book the sale twice'
+);
+
+SELECT ok(
+  NOT has_function_privilege('authenticated', 'public.book_seller_sales(uuid)', 'execute')
+    AND NOT has_function_privilege('anon', 'public.book_seller_sales(uuid)', 'execute'),
+  'clients cannot book sales themselves'
+);
+
+SELECT * FROM finish();
+ROLLBACK;